@@ -37,6 +37,9 @@ import { initializeDeepLinking, cleanupDeepLinking } from './src/utils/deepLinki
 import { AnalyticsService } from './src/services/AnalyticsService';
 import notificationService from './src/services/NotificationService';
 import navigationService from './src/services/NavigationService';
+import MedicationService from './src/services/MedicationService';
+import MoodCheckInService from './src/services/MoodCheckInService';
+import { OfflineQueue } from './src/services/OfflineService';
 import { formatDistanceToNow } from 'date-fns';
 
 // Import internationalization
@@ -113,6 +116,8 @@ const App = () => {
         const initPromises = [
           // Initialize services that don't depend on user auth first
           AnalyticsService.initialize(),
+          // Restore offline and scheduled post queues
+          OfflineQueue.init(),
           // Pre-load cached data where possible
           AsyncStorage.getItem('userLanguage'),
           AsyncStorage.getItem('theme'),
@@ -185,6 +190,9 @@ const App = () => {
   useEffect(() => {
     // Set up foreground handler for notifications
     const unsubscribeForeground = notifee.onForegroundEvent(({ type, detail }) => {
+      // Medication reminders handle their own actions
+      MedicationService.handleNotificationEvent({ type, detail });
+      
       switch (type) {
         case notifee.EventType.PRESS:
           // Handle notification press by passing to navigation service
@@ -342,6 +350,12 @@ const AppContent = ({ initProgress, appVersion }) => {
       // Initialize notification service
       await notificationService.initialize(authUser.uid);
       
+      // Reschedule medication and mood check-in reminders, since signing out cancels them
+      MedicationService.refreshReminders(authUser.uid, { force: true })
+        .catch(error => console.error('Error scheduling medication reminders:', error));
+      MoodCheckInService.refreshReminder(authUser.uid, { force: true })
+        .catch(error => console.error('Error scheduling mood check-in reminder:', error));
+      
       // Identify user for analytics
       AnalyticsService.identifyUser(authUser.uid);
       
@@ -0,0 +1,265 @@
+// functions/index.js
+// Server-side endpoints and triggers for work the app can't be trusted with
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { onRequest } = require('firebase-functions/v2/https');
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { defineSecret } = require('firebase-functions/params');
+const logger = require('firebase-functions/logger');
+
+admin.initializeApp();
+
+const db = admin.firestore();
+
+// Keys pseudonym seeds so nobody can work out which member is behind a pseudonym
+const PSEUDONYM_SECRET = defineSecret('PSEUDONYM_SECRET');
+
+// Sizes of the word lists in the app's src/utils/anonymity.js, which pick a name from a seed
+const PSEUDONYM_ADJECTIVE_COUNT = 32;
+const PSEUDONYM_NOUN_COUNT = 32;
+
+// How many seeds to try for a name nobody in the thread has yet
+const MAX_PSEUDONYM_ATTEMPTS = 50;
+
+/**
+ * Get the signed-in user from a request's Firebase ID token
+ * @param {Object} req - HTTP request
+ * @returns {Promise<string|null>} User ID, or null if the token is missing or invalid
+ */
+const getRequestUserId = async (req) => {
+  const match = (req.get('Authorization') || '').match(/^Bearer (.+)$/);
+  if (!match) return null;
+  
+  try {
+    const { uid } = await admin.auth().verifyIdToken(match[1]);
+    return uid;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Derive a seed from the secret
+ * @param {string} value - Value to derive the seed from
+ * @returns {Buffer} HMAC-SHA256 digest
+ */
+const hmac = (value) => crypto
+  .createHmac('sha256', PSEUDONYM_SECRET.value())
+  .update(value)
+  .digest();
+
+/**
+ * Get the name a seed maps to in the app, as "<adjective>:<noun>"
+ * @param {number} seed - Pseudonym seed
+ * @returns {string} Name key
+ */
+const getPseudonymNameKey = (seed) => (
+  `${seed % PSEUDONYM_ADJECTIVE_COUNT}:${(seed >>> 8) % PSEUDONYM_NOUN_COUNT}`
+);
+
+/**
+ * Get the pseudonym seed for the signed-in user in a thread. The app turns
+ * the seed into a name, color and icon; the same user and thread always get
+ * the same seed, but without the secret it can't be linked back to the user.
+ * Seeds are assigned once per thread and re-rolled when their name is taken,
+ * so everyone in a thread has a different name. The assignments are kept in
+ * `pseudonymThreads`, keyed by a hash of the user rather than their ID.
+ *
+ * POST { threadId } -> { seed }
+ */
+exports.pseudonyms = onRequest({ secrets: [PSEUDONYM_SECRET] }, async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  
+  const userId = await getRequestUserId(req);
+  if (!userId) {
+    res.status(401).json({ error: 'Not signed in' });
+    return;
+  }
+  
+  const { threadId } = req.body || {};
+  if (typeof threadId !== 'string' || !threadId) {
+    res.status(400).json({ error: 'Thread ID is required' });
+    return;
+  }
+  
+  const memberKey = hmac(`member:${threadId}:${userId}`).toString('hex');
+  const threadRef = db.collection('pseudonymThreads').doc(threadId);
+  
+  const seed = await db.runTransaction(async (transaction) => {
+    const threadDoc = await transaction.get(threadRef);
+    const members = (threadDoc.exists && threadDoc.data().members) || {};
+    if (members[memberKey] !== undefined) return members[memberKey];
+    
+    const takenNames = new Set(Object.values(members).map(getPseudonymNameKey));
+    let candidate = hmac(`${threadId}:${userId}`).readUInt32BE(0);
+    
+    for (let attempt = 1; attempt < MAX_PSEUDONYM_ATTEMPTS && takenNames.has(getPseudonymNameKey(candidate)); attempt++) {
+      candidate = hmac(`${threadId}:${userId}:${attempt}`).readUInt32BE(0);
+    }
+    
+    transaction.set(threadRef, { members: { [memberKey]: candidate } }, { merge: true });
+    return candidate;
+  });
+  
+  res.json({ seed });
+});
+
+/**
+ * Address notifications about anonymous posts and comments. The sender's
+ * device doesn't know who wrote them, so it leaves the recipient for the
+ * server to fill in from `anonymousAuthors`.
+ */
+exports.resolveAnonymousRecipients = onDocumentCreated('notifications/{notificationId}', async (event) => {
+  const notification = event.data.data();
+  if (notification.recipientId || !notification.anonymousContentId) return;
+  
+  const authorDoc = await db.collection('anonymousAuthors').doc(notification.anonymousContentId).get();
+  
+  if (!authorDoc.exists || authorDoc.data().userId === notification.senderId) {
+    await event.data.ref.delete();
+    return;
+  }
+  
+  await event.data.ref.update({ recipientId: authorDoc.data().userId });
+});
+
+/**
+ * Delete every document a query matches
+ * @param {Object} query - Firestore query or collection reference
+ * @returns {Promise<number>} Number of documents deleted
+ */
+const deleteAll = async (query) => {
+  const snapshot = await query.get();
+  await Promise.all(snapshot.docs.map(doc => doc.ref.delete()));
+  return snapshot.size;
+};
+
+/**
+ * Delete a file in the default bucket from its download URL
+ * @param {string} url - Firebase Storage download URL
+ * @returns {Promise<void>}
+ */
+const deleteStorageFile = async (url) => {
+  const match = url.match(/\/o\/([^?]+)/);
+  if (!match) return;
+  
+  const path = decodeURIComponent(match[1]);
+  
+  try {
+    await admin.storage().bucket().file(path).delete();
+  } catch (error) {
+    // The file may already be gone; the post is purged either way
+    logger.error('Error deleting post media', { path, error: error.message });
+  }
+};
+
+/**
+ * Get the storage URLs a post's media was uploaded to, like the app's getPostStorageUrls
+ * @param {Object} post - Post document data
+ * @returns {Array<string>} Firebase Storage URLs
+ */
+const getPostStorageUrls = (post) => {
+  const urls = [post.content];
+  (post.media || []).forEach(item => {
+    urls.push(item.url, item.thumbnail);
+  });
+  
+  return [...new Set(urls)].filter(url =>
+    typeof url === 'string' && url.startsWith('https://firebasestorage.googleapis.com')
+  );
+};
+
+/**
+ * Permanently remove a deleted post with its comments, reactions and media
+ * @param {Object} postDoc - Post document snapshot
+ * @returns {Promise<void>}
+ */
+const purgePost = async (postDoc) => {
+  const postId = postDoc.id;
+  
+  await postDoc.ref.delete();
+  
+  await Promise.all([
+    deleteAll(db.collection('likes').where('postId', '==', postId)),
+    deleteAll(db.collection('reactions').where('postId', '==', postId)),
+    deleteAll(db.collection('comments').where('postId', '==', postId)),
+    deleteAll(db.collectionGroup('replies').where('postId', '==', postId)),
+    deleteAll(postDoc.ref.collection('versions')),
+    deleteAll(postDoc.ref.collection('viewers')),
+    deleteAll(postDoc.ref.collection('impressionDays')),
+    deleteAll(db.collection('pollVotes').where('postId', '==', postId)),
+    deleteAll(db.collection('notifications').where('postId', '==', postId)),
+    // The post's own record and those of anonymous comments under it
+    deleteAll(db.collection('anonymousAuthors').where('postId', '==', postId)),
+  ]);
+  
+  for (const url of getPostStorageUrls(postDoc.data())) {
+    await deleteStorageFile(url);
+  }
+};
+
+/**
+ * Permanently remove a deleted comment. One that has replies keeps an
+ * empty "[deleted]" placeholder so the replies stay in the thread.
+ * @param {Object} commentDoc - Comment or reply document snapshot
+ * @returns {Promise<void>}
+ */
+const purgeComment = async (commentDoc) => {
+  if (commentDoc.data().replyCount > 0) {
+    await commentDoc.ref.update({
+      text: '',
+      userFullName: null,
+      userProfileImageURL: null,
+      pseudonym: admin.firestore.FieldValue.delete(),
+      hashtags: [],
+      mentions: [],
+      deletedBy: admin.firestore.FieldValue.delete(),
+      deletedByPostAuthor: admin.firestore.FieldValue.delete(),
+      purgeAt: admin.firestore.FieldValue.delete(),
+    });
+  } else {
+    await commentDoc.ref.delete();
+  }
+  
+  await Promise.all([
+    deleteAll(db.collection('notifications').where('commentId', '==', commentDoc.id)),
+    deleteAll(commentDoc.ref.collection('versions')),
+    db.collection('anonymousAuthors').doc(commentDoc.id).delete(),
+  ]);
+};
+
+/**
+ * Purge deleted posts and comments whose restore window has passed. Runs
+ * daily so nothing outlives its window just because the person who
+ * deleted it stopped opening the app.
+ */
+exports.purgeExpiredDeleted = onSchedule('every 24 hours', async () => {
+  const now = admin.firestore.Timestamp.now();
+  const [postsSnapshot, commentsSnapshot, repliesSnapshot] = await Promise.all([
+    db.collection('posts').where('purgeAt', '<=', now).get(),
+    db.collection('comments').where('purgeAt', '<=', now).get(),
+    db.collectionGroup('replies').where('purgeAt', '<=', now).get(),
+  ]);
+  
+  // One at a time, since purging a post takes its comments with it and
+  // purging a reply and its parent both touch the thread
+  for (const doc of postsSnapshot.docs) {
+    await purgePost(doc);
+  }
+  for (const doc of [...commentsSnapshot.docs, ...repliesSnapshot.docs]) {
+    const current = await doc.ref.get();
+    if (current.exists && current.data().deleted) {
+      await purgeComment(current);
+    }
+  }
+  
+  logger.info('Purged expired deleted items', {
+    posts: postsSnapshot.size,
+    comments: commentsSnapshot.size + repliesSnapshot.size,
+  });
+});
@@ -2,8 +2,13 @@
 // Entry point for application
 
 import { AppRegistry } from 'react-native';
+import notifee from '@notifee/react-native';
 import App from './App';
 import { name as appName } from './app.json';
+import MedicationService from './src/services/MedicationService';
+
+// Answer medication reminder actions while the app is in the background or closed
+notifee.onBackgroundEvent(event => MedicationService.handleNotificationEvent(event));
 
 // Register the App component as the main component
 AppRegistry.registerComponent(appName, () => App);
@@ -0,0 +1,41 @@
+// src/components/AnonymousAvatar.js
+// Generated avatar shown in place of a profile photo on anonymous content
+
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+
+/**
+ * Anonymous avatar
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.pseudonym - Pseudonym from getPseudonym
+ * @param {number} props.size - Diameter in pixels
+ * @param {Object} props.style - Additional styles to apply
+ */
+const AnonymousAvatar = ({ pseudonym, size = 40, style }) => (
+  <View
+    style={[
+      styles.container,
+      {
+        width: size,
+        height: size,
+        borderRadius: size / 2,
+        backgroundColor: pseudonym?.color || '#90A4AE',
+      },
+      style
+    ]}
+    accessibilityLabel={`Anonymous member ${pseudonym?.name || ''}`.trim()}
+  >
+    <Icon name={pseudonym?.icon || 'help'} size={size / 2} color="white" />
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
+
+export default AnonymousAvatar;
@@ -0,0 +1,240 @@
+// src/components/ConditionPicker.js
+// Searchable picker over the bundled condition catalog
+
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { useTheme } from '../theme/ThemeContext';
+import { useConditionNames } from '../hooks/useConditionNames';
+import { CONDITION_CATEGORIES } from '../constants/conditions';
+import { searchConditions } from '../utils/conditions';
+
+const MAX_RESULTS = 8;
+
+/**
+ * Pick conditions by searching names and synonyms in any bundled language, or by browsing categories
+ *
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.selected - Selected condition codes
+ * @param {Function} props.onChange - Called with the new list of codes
+ * @param {Array<string>} props.unmapped - Free-text conditions the catalog couldn't match, shown so they can be replaced
+ * @param {Function} props.onRemoveUnmapped - Called with a free-text condition to drop it
+ */
+const ConditionPicker = ({ selected = [], onChange, unmapped = [], onRemoveUnmapped }) => {
+  const { theme } = useTheme();
+  const { conditionName, categoryName, language } = useConditionNames();
+  const [query, setQuery] = useState('');
+  const [expandedCategory, setExpandedCategory] = useState(null);
+  
+  const results = useMemo(
+    () => (query.trim() ? searchConditions(query, language).slice(0, MAX_RESULTS) : []),
+    [query, language]
+  );
+  
+  const allConditions = useMemo(() => searchConditions('', language), [language]);
+  
+  const toggle = (code) => {
+    onChange(selected.includes(code)
+      ? selected.filter(item => item !== code)
+      : [...selected, code]);
+  };
+  
+  const renderOption = (condition) => {
+    const isSelected = selected.includes(condition.code);
+    
+    return (
+      <TouchableOpacity
+        key={condition.code}
+        style={[styles.option, { borderBottomColor: theme.colors.divider }]}
+        onPress={() => toggle(condition.code)}
+        accessibilityRole="checkbox"
+        accessibilityState={{ checked: isSelected }}
+      >
+        <View style={styles.optionInfo}>
+          <Text style={[styles.optionName, { color: theme.colors.text.primary }]}>
+            {conditionName(condition.code)}
+          </Text>
+          {query.trim() !== '' && (
+            <Text style={[styles.optionCategory, { color: theme.colors.text.secondary }]}>
+              {categoryName(condition.category)}
+            </Text>
+          )}
+        </View>
+        <Icon
+          name={isSelected ? 'checkbox' : 'square-outline'}
+          size={22}
+          color={isSelected ? theme.colors.primary.main : theme.colors.text.hint}
+        />
+      </TouchableOpacity>
+    );
+  };
+  
+  const renderCategories = () => CONDITION_CATEGORIES.map(category => {
+    const conditions = allConditions.filter(condition => condition.category === category.code);
+    if (conditions.length === 0) return null;
+    
+    const isExpanded = expandedCategory === category.code;
+    const selectedCount = conditions.filter(condition => selected.includes(condition.code)).length;
+    
+    return (
+      <View key={category.code}>
+        <TouchableOpacity
+          style={[styles.category, { borderBottomColor: theme.colors.divider }]}
+          onPress={() => setExpandedCategory(isExpanded ? null : category.code)}
+          accessibilityRole="button"
+          accessibilityState={{ expanded: isExpanded }}
+        >
+          <Text style={[styles.categoryName, { color: theme.colors.text.primary }]}>
+            {categoryName(category.code)}
+            {selectedCount > 0 && (
+              <Text style={{ color: theme.colors.primary.main }}> ({selectedCount})</Text>
+            )}
+          </Text>
+          <Icon name={isExpanded ? 'chevron-up' : 'chevron-down'} size={18} color={theme.colors.text.secondary} />
+        </TouchableOpacity>
+        {isExpanded && conditions.map(renderOption)}
+      </View>
+    );
+  });
+  
+  return (
+    <View>
+      {(selected.length > 0 || unmapped.length > 0) && (
+        <View style={styles.chips}>
+          {selected.map(code => (
+            <TouchableOpacity
+              key={code}
+              style={[styles.chip, { backgroundColor: theme.colors.primary.main }]}
+              onPress={() => toggle(code)}
+              accessibilityRole="button"
+              accessibilityLabel={`Remove ${conditionName(code)}`}
+            >
+              <Text style={styles.chipText}>{conditionName(code)}</Text>
+              <Icon name="close" size={14} color="white" />
+            </TouchableOpacity>
+          ))}
+          {unmapped.map(value => (
+            <TouchableOpacity
+              key={value}
+              style={[styles.chip, { backgroundColor: theme.colors.gray[400] }]}
+              onPress={() => onRemoveUnmapped?.(value)}
+              accessibilityRole="button"
+              accessibilityLabel={`Remove ${value}, which isn't in the condition list`}
+            >
+              <Text style={styles.chipText}>{value}</Text>
+              <Icon name="close" size={14} color="white" />
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      
+      {unmapped.length > 0 && (
+        <Text style={[styles.hint, { color: theme.colors.text.secondary }]}>
+          Grey conditions aren't in our list yet. Search for the closest match so people and events can find you.
+        </Text>
+      )}
+      
+      <View style={[styles.searchBox, { backgroundColor: theme.colors.background.input }]}>
+        <Icon name="search" size={18} color={theme.colors.text.secondary} />
+        <TextInput
+          style={[styles.searchInput, { color: theme.colors.text.primary }]}
+          value={query}
+          onChangeText={setQuery}
+          placeholder="Search conditions, e.g. T2D or asthma"
+          placeholderTextColor={theme.colors.text.hint}
+          autoCorrect={false}
+          accessibilityLabel="Search conditions"
+        />
+        {query.length > 0 && (
+          <TouchableOpacity onPress={() => setQuery('')} accessibilityLabel="Clear search">
+            <Icon name="close-circle" size={18} color={theme.colors.text.secondary} />
+          </TouchableOpacity>
+        )}
+      </View>
+      
+      {query.trim() ? (
+        results.length > 0 ? results.map(renderOption) : (
+          <Text style={[styles.hint, { color: theme.colors.text.secondary }]}>
+            No conditions match "{query.trim()}". Try another name or browse the categories.
+          </Text>
+        )
+      ) : renderCategories()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingLeft: 12,
+    paddingRight: 8,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    color: 'white',
+    fontSize: 14,
+    marginRight: 4,
+  },
+  hint: {
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  searchBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    marginBottom: 8,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 15,
+    paddingVertical: 10,
+    marginLeft: 8,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 4,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  optionInfo: {
+    flex: 1,
+  },
+  optionName: {
+    fontSize: 15,
+  },
+  optionCategory: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  category: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  categoryName: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+});
+
+export default ConditionPicker;
@@ -0,0 +1,245 @@
+// src/components/SchedulePickerModal.js
+// Modal for choosing a future date and time to publish a post
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { Picker } from '@react-native-picker/picker';
+import { addDays, addMinutes, format, isToday, isTomorrow, startOfDay } from 'date-fns';
+import { useTheme } from '../theme/ThemeContext';
+
+// How far ahead a post can be scheduled
+const MAX_SCHEDULE_DAYS = 30;
+// Minimum lead time so the post isn't due before the user finishes composing
+const MIN_SCHEDULE_LEAD_MINUTES = 5;
+const MINUTE_STEP = 5;
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const MINUTES = Array.from({ length: 60 / MINUTE_STEP }, (_, index) => index * MINUTE_STEP);
+
+// Earliest allowed publish time, rounded up to the next minute step
+const getEarliestScheduleTime = () => {
+  const earliest = addMinutes(new Date(), MIN_SCHEDULE_LEAD_MINUTES);
+  const remainder = earliest.getMinutes() % MINUTE_STEP;
+  
+  earliest.setSeconds(0, 0);
+  return remainder === 0 ? earliest : addMinutes(earliest, MINUTE_STEP - remainder);
+};
+
+const getDayLabel = (day) => {
+  if (isToday(day)) return 'Today';
+  if (isTomorrow(day)) return 'Tomorrow';
+  return format(day, 'EEE, MMM d');
+};
+
+const SchedulePickerModal = ({ visible, initialDate, onConfirm, onClose, title = 'Schedule Post' }) => {
+  const { theme } = useTheme();
+  
+  const [dayIndex, setDayIndex] = useState(0);
+  const [hour, setHour] = useState(0);
+  const [minute, setMinute] = useState(0);
+  
+  const days = useMemo(() => {
+    const today = startOfDay(new Date());
+    return Array.from({ length: MAX_SCHEDULE_DAYS + 1 }, (_, index) => addDays(today, index));
+  }, [visible]);
+  
+  // Start from the current selection, or the earliest allowed time
+  useEffect(() => {
+    if (!visible) return;
+    
+    const start = initialDate && initialDate > new Date() ? initialDate : getEarliestScheduleTime();
+    const index = days.findIndex(day => day.getTime() === startOfDay(start).getTime());
+    
+    setDayIndex(Math.max(index, 0));
+    setHour(start.getHours());
+    setMinute(start.getMinutes() - (start.getMinutes() % MINUTE_STEP));
+  }, [visible, initialDate, days]);
+  
+  const selectedDate = useMemo(() => {
+    const date = new Date(days[dayIndex]);
+    date.setHours(hour, minute, 0, 0);
+    return date;
+  }, [days, dayIndex, hour, minute]);
+  
+  const isValid = selectedDate >= addMinutes(new Date(), MIN_SCHEDULE_LEAD_MINUTES - 1);
+  
+  const handleConfirm = () => {
+    if (!isValid) return;
+    onConfirm(selectedDate);
+  };
+  
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={[styles.modalContainer, { backgroundColor: theme.colors.background.paper }]}>
+          <View style={styles.modalHeader}>
+            <Text style={[styles.modalTitle, { color: theme.colors.text.primary }]}>
+              {title}
+            </Text>
+            <TouchableOpacity
+              onPress={onClose}
+              accessibilityLabel="Close"
+              accessibilityRole="button"
+            >
+              <Icon name="close" size={24} color={theme.colors.text.secondary} />
+            </TouchableOpacity>
+          </View>
+          
+          <Picker
+            selectedValue={dayIndex}
+            onValueChange={setDayIndex}
+            style={{ color: theme.colors.text.primary }}
+            accessibilityLabel="Day"
+          >
+            {days.map((day, index) => (
+              <Picker.Item key={index} label={getDayLabel(day)} value={index} />
+            ))}
+          </Picker>
+          
+          <View style={styles.timeRow}>
+            <Picker
+              selectedValue={hour}
+              onValueChange={setHour}
+              style={[styles.timePicker, { color: theme.colors.text.primary }]}
+              accessibilityLabel="Hour"
+            >
+              {HOURS.map(value => (
+                <Picker.Item key={value} label={format(new Date(0, 0, 1, value), 'h a')} value={value} />
+              ))}
+            </Picker>
+            <Picker
+              selectedValue={minute}
+              onValueChange={setMinute}
+              style={[styles.timePicker, { color: theme.colors.text.primary }]}
+              accessibilityLabel="Minute"
+            >
+              {MINUTES.map(value => (
+                <Picker.Item key={value} label={`:${String(value).padStart(2, '0')}`} value={value} />
+              ))}
+            </Picker>
+          </View>
+          
+          <Text style={[
+            styles.summaryText,
+            { color: isValid ? theme.colors.text.secondary : theme.colors.error.main }
+          ]}>
+            {isValid
+              ? `Publishes ${format(selectedDate, "EEEE, MMM d 'at' h:mm a")}`
+              : `Choose a time at least ${MIN_SCHEDULE_LEAD_MINUTES} minutes from now`}
+          </Text>
+          
+          <View style={styles.modalActions}>
+            <TouchableOpacity
+              style={[styles.cancelButton, { borderColor: theme.colors.divider }]}
+              onPress={onClose}
+              accessibilityRole="button"
+            >
+              <Text style={[styles.cancelButtonText, { color: theme.colors.text.primary }]}>
+                Cancel
+              </Text>
+            </TouchableOpacity>
+            
+            <TouchableOpacity
+              style={[
+                styles.confirmButton,
+                { backgroundColor: theme.colors.primary.main },
+                !isValid && { opacity: 0.5 }
+              ]}
+              onPress={handleConfirm}
+              disabled={!isValid}
+              accessibilityRole="button"
+            >
+              <Text style={styles.confirmButtonText}>Set Time</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  modalContainer: {
+    borderRadius: 12,
+    width: '100%',
+    maxWidth: 400,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  timeRow: {
+    flexDirection: 'row',
+  },
+  timePicker: {
+    flex: 1,
+  },
+  summaryText: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginVertical: 16,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  confirmButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginLeft: 8,
+  },
+  confirmButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default SchedulePickerModal;
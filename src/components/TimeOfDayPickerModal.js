@@ -0,0 +1,187 @@
+// src/components/TimeOfDayPickerModal.js
+// Modal for choosing a time of day, such as when a medication is due
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { Picker } from '@react-native-picker/picker';
+import { format } from 'date-fns';
+import { parseTimeOfDay } from '../utils/medications';
+import { useTheme } from '../theme/ThemeContext';
+
+const MINUTE_STEP = 5;
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const MINUTES = Array.from({ length: 60 / MINUTE_STEP }, (_, index) => index * MINUTE_STEP);
+
+/**
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is shown
+ * @param {string} props.initialTime - Time to start from in HH:mm form
+ * @param {Function} props.onConfirm - Called with the chosen time in HH:mm form
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {string} props.title - Modal title
+ */
+const TimeOfDayPickerModal = ({ visible, initialTime = '08:00', onConfirm, onClose, title = 'Choose Time' }) => {
+  const { theme } = useTheme();
+  
+  const [hour, setHour] = useState(8);
+  const [minute, setMinute] = useState(0);
+  
+  useEffect(() => {
+    if (!visible) return;
+    
+    const { hours, minutes } = parseTimeOfDay(initialTime);
+    setHour(hours);
+    setMinute(minutes - (minutes % MINUTE_STEP));
+  }, [visible, initialTime]);
+  
+  const handleConfirm = () => {
+    onConfirm(`${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`);
+  };
+  
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={[styles.modalContainer, { backgroundColor: theme.colors.background.paper }]}>
+          <View style={styles.modalHeader}>
+            <Text style={[styles.modalTitle, { color: theme.colors.text.primary }]}>
+              {title}
+            </Text>
+            <TouchableOpacity
+              onPress={onClose}
+              accessibilityLabel="Close"
+              accessibilityRole="button"
+            >
+              <Icon name="close" size={24} color={theme.colors.text.secondary} />
+            </TouchableOpacity>
+          </View>
+          
+          <View style={styles.timeRow}>
+            <Picker
+              selectedValue={hour}
+              onValueChange={setHour}
+              style={[styles.timePicker, { color: theme.colors.text.primary }]}
+              accessibilityLabel="Hour"
+            >
+              {HOURS.map(value => (
+                <Picker.Item key={value} label={format(new Date(0, 0, 1, value), 'h a')} value={value} />
+              ))}
+            </Picker>
+            <Picker
+              selectedValue={minute}
+              onValueChange={setMinute}
+              style={[styles.timePicker, { color: theme.colors.text.primary }]}
+              accessibilityLabel="Minute"
+            >
+              {MINUTES.map(value => (
+                <Picker.Item key={value} label={`:${String(value).padStart(2, '0')}`} value={value} />
+              ))}
+            </Picker>
+          </View>
+          
+          <View style={styles.modalActions}>
+            <TouchableOpacity
+              style={[styles.cancelButton, { borderColor: theme.colors.divider }]}
+              onPress={onClose}
+              accessibilityRole="button"
+            >
+              <Text style={[styles.cancelButtonText, { color: theme.colors.text.primary }]}>
+                Cancel
+              </Text>
+            </TouchableOpacity>
+            
+            <TouchableOpacity
+              style={[styles.confirmButton, { backgroundColor: theme.colors.primary.main }]}
+              onPress={handleConfirm}
+              accessibilityRole="button"
+            >
+              <Text style={styles.confirmButtonText}>Set Time</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  modalContainer: {
+    borderRadius: 12,
+    width: '100%',
+    maxWidth: 400,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  timeRow: {
+    flexDirection: 'row',
+    marginBottom: 16,
+  },
+  timePicker: {
+    flex: 1,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  confirmButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginLeft: 8,
+  },
+  confirmButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default TimeOfDayPickerModal;
@@ -0,0 +1,118 @@
+// src/components/ui/BarChart.js
+// Simple vertical bar chart drawn with react-native-svg
+
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import Svg, { Rect, Line, Text as SvgText } from 'react-native-svg';
+import { useTheme } from '../../theme/ThemeContext';
+
+const LABEL_HEIGHT = 18;
+const VALUE_HEIGHT = 14;
+const BAR_GAP_RATIO = 0.3;
+
+/**
+ * Bar chart with one bar per data point, sized to the width it is given
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.data - Points as { label, value }
+ * @param {number} props.height - Chart height including labels
+ * @param {string} props.color - Bar color, defaults to the theme's primary color
+ * @param {number} props.labelEvery - Show every nth label so they don't overlap
+ * @param {boolean} props.showValues - Show each bar's value above it
+ * @param {number} props.maxValue - Value at the top of the chart, defaults to the largest value
+ * @param {string} props.accessibilityLabel - Summary read by screen readers instead of the bars
+ */
+const BarChart = ({
+  data = [],
+  height = 160,
+  color,
+  labelEvery = 1,
+  showValues = false,
+  maxValue,
+  accessibilityLabel,
+}) => {
+  const { theme } = useTheme();
+  const [width, setWidth] = useState(0);
+  
+  const barColor = color || theme.colors.primary.main;
+  const scaleMax = maxValue || Math.max(...data.map(point => point.value), 1);
+  const plotTop = showValues ? VALUE_HEIGHT : 0;
+  const plotHeight = height - LABEL_HEIGHT - plotTop;
+  const slotWidth = data.length > 0 ? width / data.length : 0;
+  const barWidth = slotWidth * (1 - BAR_GAP_RATIO);
+  
+  return (
+    <View
+      style={[styles.container, { height }]}
+      onLayout={event => setWidth(event.nativeEvent.layout.width)}
+      accessible={!!accessibilityLabel}
+      accessibilityLabel={accessibilityLabel}
+    >
+      {width > 0 && (
+        <Svg width={width} height={height}>
+          <Line
+            x1={0}
+            y1={plotTop + plotHeight}
+            x2={width}
+            y2={plotTop + plotHeight}
+            stroke={theme.colors.divider}
+            strokeWidth={1}
+          />
+          
+          {data.map((point, index) => {
+            const barHeight = (point.value / scaleMax) * plotHeight;
+            const x = index * slotWidth + (slotWidth - barWidth) / 2;
+            const centerX = index * slotWidth + slotWidth / 2;
+            
+            return (
+              <React.Fragment key={index}>
+                {barHeight > 0 && (
+                  <Rect
+                    x={x}
+                    y={plotTop + plotHeight - barHeight}
+                    width={barWidth}
+                    height={barHeight}
+                    rx={Math.min(3, barWidth / 2)}
+                    fill={barColor}
+                  />
+                )}
+                
+                {showValues && point.value > 0 && (
+                  <SvgText
+                    x={centerX}
+                    y={plotTop + plotHeight - barHeight - 3}
+                    fontSize={10}
+                    fill={theme.colors.text.secondary}
+                    textAnchor="middle"
+                  >
+                    {point.value}
+                  </SvgText>
+                )}
+                
+                {index % labelEvery === 0 && (
+                  <SvgText
+                    x={centerX}
+                    y={height - 4}
+                    fontSize={10}
+                    fill={theme.colors.text.secondary}
+                    textAnchor="middle"
+                  >
+                    {point.label}
+                  </SvgText>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </Svg>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+  },
+});
+
+export default BarChart;
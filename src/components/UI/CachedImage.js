@@ -2,11 +2,11 @@
 // Enhanced image component with caching, progressive loading and error handling
 
 import React, { useState, useEffect } from 'react';
-import { View, StyleSheet, ActivityIndicator, Animated } from 'react-native';
+import { View, Text, StyleSheet, ActivityIndicator, Animated, Pressable } from 'react-native';
 import FastImage from 'react-native-fast-image';
 import { BlurView } from '@react-native-community/blur';
 import { useTheme } from '../../theme/ThemeContext';
-import { BLHeightWidth } from 'react-native-blurhash';
+import { Blurhash } from 'react-native-blurhash';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 
 /**
@@ -25,6 +25,8 @@ import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
  * @param {string} props.placeholderColor - Placeholder color until image loads
  * @param {boolean} props.progressiveLoading - Whether to load progressive JPEG
  * @param {Object} props.imageContainerStyle - Style for the image container
+ * @param {string} props.contentWarning - Warning label; when set the image stays blurred until tapped
+ * @param {Function} props.onReveal - Callback when a blurred image is tapped to reveal it
  */
 const CachedImage = ({
   source,
@@ -39,6 +41,8 @@ const CachedImage = ({
   placeholderColor,
   progressiveLoading = true,
   imageContainerStyle,
+  contentWarning,
+  onReveal,
   ...props
 }) => {
   const { theme } = useTheme();
@@ -46,6 +50,7 @@ const CachedImage = ({
   const [hasError, setHasError] = useState(false);
   const [imageOpacity] = useState(new Animated.Value(0));
   const [thumbnailOpacity] = useState(new Animated.Value(0));
+  const [revealed, setRevealed] = useState(false);
   
   // Reset state when source changes
   useEffect(() => {
@@ -128,6 +133,40 @@ const CachedImage = ({
   // Prepare placeholder color
   const bgColor = placeholderColor || theme.colors.background.card;
   
+  // Handle tap on the content warning
+  const handleReveal = () => {
+    setRevealed(true);
+    
+    if (onReveal) {
+      onReveal();
+    }
+  };
+  
+  // Show only the blurhash behind a content warning; the image isn't loaded until revealed
+  if (contentWarning && !revealed) {
+    return (
+      <Pressable
+        style={[styles.container, imageContainerStyle, style, { backgroundColor: theme.colors.gray[400] }]}
+        onPress={handleReveal}
+        accessibilityRole="button"
+        accessibilityLabel={`Sensitive content: ${contentWarning}`}
+        accessibilityHint="Reveals the image"
+      >
+        {blurhash && (
+          <Blurhash
+            blurhash={blurhash}
+            style={styles.absoluteFill}
+          />
+        )}
+        <View style={[styles.absoluteFill, styles.warningOverlay]}>
+          <Icon name="eye-off-outline" size={28} color="#FFFFFF" />
+          <Text style={styles.warningLabel}>{contentWarning}</Text>
+          <Text style={styles.warningHint}>Tap to reveal</Text>
+        </View>
+      </Pressable>
+    );
+  }
+  
   // Show error state
   if (hasError) {
     return (
@@ -145,7 +184,7 @@ const CachedImage = ({
     <View style={[styles.container, imageContainerStyle, { backgroundColor: bgColor }]}>
       {blurhash && !hasError && (
         <View style={styles.absoluteFill}>
-          <BLHeightWidth
+          <Blurhash
             blurhash={blurhash}
             style={styles.absoluteFill}
           />
@@ -209,6 +248,24 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  warningOverlay: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: 'rgba(0, 0, 0, 0.35)',
+  },
+  warningLabel: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  warningHint: {
+    color: 'rgba(255, 255, 255, 0.85)',
+    fontSize: 13,
+    marginTop: 4,
+  },
 });
 
 export default CachedImage;
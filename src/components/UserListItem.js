@@ -13,10 +13,23 @@ import FastImage from 'react-native-fast-image';
 import Icon from 'react-native-vector-icons/Ionicons';
 import firestore from '@react-native-firebase/firestore';
 import auth from '@react-native-firebase/auth';
+import { useConditionNames } from '../hooks/useConditionNames';
+import { isSameCondition } from '../utils/conditions';
 
-const UserListItem = ({ user, currentUserConditions, onPress }) => {
+/**
+ * A user in a list with a follow button
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.user - User to show
+ * @param {Array<string>} props.currentUserConditions - Viewer's conditions, to show what they share
+ * @param {Function} props.onPress - Called when the row is pressed
+ * @param {string} props.matchReason - Why this user was suggested, shown instead of the shared conditions
+ * @param {Function} props.onNotInterested - Shows a dismiss button for suggestions when set
+ */
+const UserListItem = ({ user, currentUserConditions, onPress, matchReason, onNotInterested }) => {
   const [isFollowing, setIsFollowing] = useState(false);
   const [loading, setLoading] = useState(true);
+  const { conditionName } = useConditionNames();
   
   useEffect(() => {
     checkFollowingStatus();
@@ -78,7 +91,7 @@ const UserListItem = ({ user, currentUserConditions, onPress }) => {
     if (!user.medicalConditions || !currentUserConditions) return [];
     
     return user.medicalConditions.filter(condition => 
-      currentUserConditions.includes(condition)
+      currentUserConditions.some(current => isSameCondition(current, condition))
     );
   };
 
@@ -104,12 +117,19 @@ const UserListItem = ({ user, currentUserConditions, onPress }) => {
             {user.firstName} {user.lastName}
           </Text>
           
-          {sharedConditions.length > 0 && (
+          {matchReason ? (
+            <View style={styles.sharedContainer}>
+              <Icon name="sparkles-outline" size={14} color="#2196F3" />
+              <Text style={[styles.sharedText, styles.matchReasonText]} numberOfLines={2}>
+                {matchReason}
+              </Text>
+            </View>
+          ) : sharedConditions.length > 0 && (
             <View style={styles.sharedContainer}>
               <Icon name="fitness-outline" size={14} color="#2196F3" />
               <Text style={styles.sharedText}>
                 {sharedConditions.length === 1
-                  ? `Shares ${sharedConditions[0]}`
+                  ? `Shares ${conditionName(sharedConditions[0])}`
                   : `Shares ${sharedConditions.length} conditions`}
               </Text>
             </View>
@@ -119,7 +139,7 @@ const UserListItem = ({ user, currentUserConditions, onPress }) => {
             {user.medicalConditions?.slice(0, 2).map((condition, index) => (
               <View key={index} style={styles.conditionTag}>
                 <Text style={styles.conditionText} numberOfLines={1}>
-                  {condition}
+                  {conditionName(condition)}
                 </Text>
               </View>
             ))}
@@ -152,6 +172,18 @@ const UserListItem = ({ user, currentUserConditions, onPress }) => {
           </Text>
         )}
       </TouchableOpacity>
+      
+      {onNotInterested && (
+        <TouchableOpacity
+          style={styles.dismissButton}
+          onPress={onNotInterested}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          accessibilityRole="button"
+          accessibilityLabel={`Not interested in ${user.firstName} ${user.lastName}`}
+        >
+          <Icon name="close" size={18} color="#90A4AE" />
+        </TouchableOpacity>
+      )}
     </TouchableOpacity>
   );
 };
@@ -208,6 +240,10 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginLeft: 4,
   },
+  matchReasonText: {
+    flex: 1,
+    fontWeight: '500',
+  },
   conditionsContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -248,6 +284,10 @@ const styles = StyleSheet.create({
   followingButtonText: {
     color: '#546E7A',
   },
+  dismissButton: {
+    marginLeft: 8,
+    padding: 4,
+  },
 });
 
 export default UserListItem;
@@ -0,0 +1,499 @@
+// src/components/VerificationQueue.js
+// Admin queue for health professional verification applications
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  TextInput,
+  Modal,
+  ScrollView
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import FastImage from 'react-native-fast-image';
+import { format } from 'date-fns';
+import { useTheme } from '../theme/ThemeContext';
+import { useUser } from '../contexts/UserContext';
+import { VerificationService } from '../services/FirebaseService';
+import { getProfession } from '../constants/professions';
+import { getVerifiedProfession } from '../utils/verification';
+
+const STATUS_FILTERS = [
+  { type: 'pending', label: 'Pending' },
+  { type: 'approved', label: 'Approved' },
+  { type: 'rejected', label: 'Rejected' },
+  { type: 'revoked', label: 'Revoked' },
+];
+
+/**
+ * Verification applications for admins to approve, reject or revoke
+ */
+const VerificationQueue = () => {
+  const { theme } = useTheme();
+  const { user } = useUser();
+  const [status, setStatus] = useState('pending');
+  const [applications, setApplications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedApplication, setSelectedApplication] = useState(null);
+  const [documentURL, setDocumentURL] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [isActionLoading, setIsActionLoading] = useState(false);
+  
+  const fetchApplications = useCallback(async () => {
+    try {
+      setLoading(true);
+      setApplications(await VerificationService.getApplications(status));
+    } catch (error) {
+      console.error('Error fetching verification applications:', error);
+      Alert.alert('Error', 'Failed to load verification applications');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+  
+  useEffect(() => {
+    fetchApplications();
+  }, [fetchApplications]);
+  
+  const formatDate = (date) => (date ? format(date, 'MMM d, yyyy') : '—');
+  
+  const openApplication = async (application) => {
+    setSelectedApplication(application);
+    setNotes('');
+    setDocumentURL(null);
+    
+    try {
+      setDocumentURL(await VerificationService.getDocumentURL(application.documentPath));
+    } catch (error) {
+      console.error('Error loading verification document:', error);
+    }
+  };
+  
+  const closeApplication = () => {
+    setSelectedApplication(null);
+    setDocumentURL(null);
+    setNotes('');
+  };
+  
+  const handleReview = async (approve) => {
+    if (!selectedApplication || !user) return;
+    
+    try {
+      setIsActionLoading(true);
+      await VerificationService.reviewApplication(selectedApplication.userId, user.uid, approve, notes);
+      closeApplication();
+      fetchApplications();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to review application');
+    } finally {
+      setIsActionLoading(false);
+    }
+  };
+  
+  const handleRevoke = () => {
+    if (!selectedApplication || !user) return;
+    
+    if (!notes.trim()) {
+      Alert.alert('Reason Required', 'Add a reason before revoking a verification. It is kept in the audit log.');
+      return;
+    }
+    
+    Alert.alert(
+      'Revoke Verification',
+      `${selectedApplication.userFullName || 'This professional'} will lose their badge on their profile, posts and comments.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Revoke',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setIsActionLoading(true);
+              await VerificationService.revokeVerification(selectedApplication.userId, user.uid, notes);
+              closeApplication();
+              fetchApplications();
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to revoke verification');
+            } finally {
+              setIsActionLoading(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+  
+  const renderStatusFilters = () => (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.filterButtonsContainer}
+      style={styles.filterContainer}
+    >
+      {STATUS_FILTERS.map(filter => (
+        <TouchableOpacity
+          key={filter.type}
+          style={[
+            styles.filterButton,
+            { borderColor: theme.colors.divider },
+            status === filter.type && { backgroundColor: theme.colors.primary.main, borderWidth: 0 }
+          ]}
+          onPress={() => setStatus(filter.type)}
+          accessibilityRole="button"
+          accessibilityState={{ selected: status === filter.type }}
+        >
+          <Text
+            style={[
+              styles.filterButtonText,
+              { color: status === filter.type ? 'white' : theme.colors.text.primary },
+              status === filter.type && styles.activeFilterButtonText
+            ]}
+          >
+            {filter.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+  
+  const renderApplication = ({ item }) => {
+    const profession = getProfession(item.profession);
+    const expired = item.status === 'approved' && !getVerifiedProfession(item);
+    
+    return (
+      <TouchableOpacity
+        style={[styles.applicationItem, { backgroundColor: theme.colors.background.paper }]}
+        onPress={() => openApplication(item)}
+        accessibilityRole="button"
+        accessibilityLabel={`${item.userFullName}, ${profession?.label || item.profession}`}
+      >
+        <View style={styles.applicationHeader}>
+          <Text style={[styles.applicantName, { color: theme.colors.text.primary }]}>
+            {item.userFullName || 'Unknown User'}
+          </Text>
+          {expired && (
+            <Text style={[styles.expiredText, { color: theme.colors.warning.main }]}>Expired</Text>
+          )}
+        </View>
+        <Text style={[styles.applicationMeta, { color: theme.colors.text.secondary }]}>
+          {profession?.label || item.profession} · {item.issuingRegion}
+        </Text>
+        <Text style={[styles.applicationMeta, { color: theme.colors.text.hint }]}>
+          {item.status === 'pending'
+            ? `Submitted ${formatDate(item.submittedAt)}`
+            : item.status === 'approved'
+              ? `Valid until ${formatDate(item.expiresAt)}`
+              : item.status === 'revoked'
+                ? `Revoked ${formatDate(item.revokedAt)}`
+                : `Reviewed ${formatDate(item.reviewedAt)}`}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+  
+  const renderDetailRow = (label, value) => (
+    <View style={styles.detailRow}>
+      <Text style={[styles.detailLabel, { color: theme.colors.text.secondary }]}>{label}:</Text>
+      <Text style={[styles.detailValue, { color: theme.colors.text.primary }]}>{value}</Text>
+    </View>
+  );
+  
+  const renderActionButton = (label, icon, color, onPress) => (
+    <TouchableOpacity
+      style={[styles.actionButton, { backgroundColor: color }]}
+      onPress={onPress}
+      disabled={isActionLoading}
+    >
+      {isActionLoading ? (
+        <ActivityIndicator size="small" color="white" />
+      ) : (
+        <>
+          <Icon name={icon} size={16} color="white" />
+          <Text style={styles.actionButtonText}>{label}</Text>
+        </>
+      )}
+    </TouchableOpacity>
+  );
+  
+  const renderDetailModal = () => (
+    <Modal
+      visible={!!selectedApplication}
+      transparent
+      animationType="slide"
+      onRequestClose={closeApplication}
+    >
+      <View style={styles.modalContainer}>
+        <View style={[styles.modalContent, { backgroundColor: theme.colors.background.paper }]}>
+          <View style={styles.modalHeader}>
+            <TouchableOpacity style={styles.closeButton} onPress={closeApplication}>
+              <Icon name="close" size={24} color={theme.colors.text.primary} />
+            </TouchableOpacity>
+            <Text style={[styles.modalTitle, { color: theme.colors.text.primary }]}>
+              Verification Application
+            </Text>
+          </View>
+          
+          {selectedApplication && (
+            <ScrollView style={styles.modalBody}>
+              {renderDetailRow('Applicant', selectedApplication.userFullName || 'Unknown User')}
+              {renderDetailRow('Profession', getProfession(selectedApplication.profession)?.label || selectedApplication.profession)}
+              {renderDetailRow('License no.', selectedApplication.licenseNumber)}
+              {renderDetailRow('Issued in', selectedApplication.issuingRegion)}
+              {renderDetailRow('Submitted', formatDate(selectedApplication.submittedAt))}
+              {selectedApplication.reviewNotes && renderDetailRow('Notes', selectedApplication.reviewNotes)}
+              {selectedApplication.revokeReason && renderDetailRow('Revoked for', selectedApplication.revokeReason)}
+              
+              {documentURL ? (
+                <FastImage
+                  source={{ uri: documentURL }}
+                  style={styles.documentImage}
+                  resizeMode={FastImage.resizeMode.contain}
+                  accessibilityLabel="License document"
+                />
+              ) : (
+                <View style={[styles.documentImage, styles.documentPlaceholder, { backgroundColor: theme.colors.background.default }]}>
+                  <ActivityIndicator color={theme.colors.primary.main} />
+                </View>
+              )}
+              
+              {(selectedApplication.status === 'pending' || selectedApplication.status === 'approved') && (
+                <View style={styles.actionSection}>
+                  <TextInput
+                    style={[
+                      styles.notesInput,
+                      {
+                        color: theme.colors.text.primary,
+                        backgroundColor: theme.colors.background.default,
+                        borderColor: theme.colors.divider
+                      }
+                    ]}
+                    placeholder={selectedApplication.status === 'pending'
+                      ? 'Notes for the applicant (optional)'
+                      : 'Reason for revoking (required)'}
+                    placeholderTextColor={theme.colors.text.hint}
+                    multiline
+                    value={notes}
+                    onChangeText={setNotes}
+                  />
+                  
+                  <View style={styles.actionButtons}>
+                    {selectedApplication.status === 'pending' ? (
+                      <>
+                        {renderActionButton('Reject', 'close-circle-outline', theme.colors.error.main, () => handleReview(false))}
+                        {renderActionButton('Approve', 'checkmark-circle-outline', theme.colors.success.main, () => handleReview(true))}
+                      </>
+                    ) : (
+                      renderActionButton('Revoke', 'remove-circle-outline', theme.colors.error.main, handleRevoke)
+                    )}
+                  </View>
+                </View>
+              )}
+            </ScrollView>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+  
+  return (
+    <View style={styles.container}>
+      {renderStatusFilters()}
+      
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary.main} />
+        </View>
+      ) : (
+        <FlatList
+          data={applications}
+          renderItem={renderApplication}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={applications.length === 0 ? { flex: 1 } : { paddingBottom: 20 }}
+          ListEmptyComponent={
+            <View style={styles.emptyContainer}>
+              <Icon name="shield-checkmark-outline" size={80} color={theme.colors.gray[300]} />
+              <Text style={[styles.emptyText, { color: theme.colors.text.secondary }]}>
+                {status === 'pending' ? 'No applications waiting for review' : `No ${status} applications`}
+              </Text>
+            </View>
+          }
+          refreshing={loading}
+          onRefresh={fetchApplications}
+        />
+      )}
+      
+      {renderDetailModal()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  filterContainer: {
+    padding: 12,
+    flexGrow: 0,
+  },
+  filterButtonsContainer: {
+    paddingVertical: 4,
+  },
+  filterButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+    marginRight: 8,
+    borderWidth: 1,
+  },
+  filterButtonText: {
+    fontSize: 14,
+  },
+  activeFilterButtonText: {
+    fontWeight: 'bold',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  applicationItem: {
+    marginVertical: 6,
+    marginHorizontal: 16,
+    padding: 12,
+    borderRadius: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  applicationHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  applicantName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  expiredText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  applicationMeta: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  modalContent: {
+    borderRadius: 12,
+    maxHeight: '85%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(0, 0, 0, 0.1)',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 12,
+  },
+  modalBody: {
+    padding: 16,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+    alignItems: 'center',
+  },
+  detailLabel: {
+    fontSize: 15,
+    fontWeight: '500',
+    width: 110,
+  },
+  detailValue: {
+    fontSize: 15,
+    flex: 1,
+  },
+  documentImage: {
+    width: '100%',
+    height: 240,
+    borderRadius: 8,
+    marginTop: 4,
+  },
+  documentPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  actionSection: {
+    marginTop: 16,
+    marginBottom: 20,
+    paddingTop: 16,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(0, 0, 0, 0.1)',
+  },
+  notesInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    minHeight: 80,
+    textAlignVertical: 'top',
+    fontSize: 15,
+    marginBottom: 16,
+  },
+  actionButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  actionButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 14,
+    marginLeft: 4,
+  },
+});
+
+export default VerificationQueue;
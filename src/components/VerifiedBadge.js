@@ -0,0 +1,32 @@
+// src/components/VerifiedBadge.js
+// Badge for verified health professionals
+
+import React from 'react';
+import Badge from './Badge';
+import { getVerifiedProfession } from '../utils/verification';
+
+/**
+ * Profession badge for a verified author. Renders nothing once the verification has expired.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.verification - { profession, expiresAt } from a user, post or comment
+ * @param {string} props.size - Badge size (small, medium, large)
+ * @param {Object} props.style - Additional styles for the badge
+ */
+const VerifiedBadge = ({ verification, size = 'small', style }) => {
+  const profession = getVerifiedProfession(verification);
+  if (!profession) return null;
+  
+  return (
+    <Badge
+      label={profession.badgeLabel}
+      icon={profession.icon}
+      variant={profession.variant}
+      size={size}
+      style={style}
+      accessibilityLabel={`Verified ${profession.label.toLowerCase()}`}
+    />
+  );
+};
+
+export default VerifiedBadge;
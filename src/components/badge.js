@@ -3,6 +3,7 @@
 
 import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
 import { theme } from '../theme/theme';
 import { useAccessibility } from '../hooks/useAccessibility';
 
@@ -17,6 +18,7 @@ import { useAccessibility } from '../hooks/useAccessibility';
  * @param {Object} props.labelStyle - Additional styles for the badge text
  * @param {boolean} props.dot - Show as a dot instead of with label text
  * @param {boolean} props.outline - Show with outline style instead of filled
+ * @param {string} props.icon - Ionicons name shown before the label
  * @param {string} props.testID - Test ID for testing
  */
 const Badge = ({
@@ -27,6 +29,7 @@ const Badge = ({
   labelStyle,
   dot = false,
   outline = false,
+  icon,
   testID,
   ...props
 }) => {
@@ -141,6 +144,14 @@ const Badge = ({
       {...accessibilityProps}
       {...props}
     >
+      {!dot && icon && (
+        <Icon
+          name={icon}
+          size={ICON_SIZES[size] || ICON_SIZES.medium}
+          color={getLabelStyle().color}
+          style={styles.icon}
+        />
+      )}
       {!dot && (
         <Text
           style={[
@@ -159,13 +170,18 @@ const Badge = ({
   );
 };
 
+// Icon sizes to match each label size
+const ICON_SIZES = { small: 10, medium: 12, large: 14 };
+
 const styles = StyleSheet.create({
   filledBadge: {
+    flexDirection: 'row',
     borderRadius: theme.borderRadius.circle,
     alignItems: 'center',
     justifyContent: 'center',
   },
   outlineBadge: {
+    flexDirection: 'row',
     borderRadius: theme.borderRadius.circle,
     borderWidth: 1,
     backgroundColor: 'transparent',
@@ -218,6 +234,9 @@ const styles = StyleSheet.create({
   largeLabel: {
     fontSize: theme.typography.fontSize.md,
   },
+  icon: {
+    marginRight: 3,
+  },
   highContrastText: {
     fontWeight: 'bold',
   },
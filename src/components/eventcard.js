@@ -8,9 +8,11 @@ import Icon from 'react-native-vector-icons/Ionicons';
 import { format } from 'date-fns';
 import { useTheme } from '../theme/ThemeContext';
 import { Badge } from './Badge';
+import { useConditionNames } from '../hooks/useConditionNames';
 
 const EventCard = ({ event, onPress }) => {
   const { theme } = useTheme();
+  const { conditionName } = useConditionNames();
   
   // Format date
   const formatEventDate = () => {
@@ -121,7 +123,7 @@ const EventCard = ({ event, onPress }) => {
             {event.relatedConditions.slice(0, 2).map((condition, index) => (
               <Badge 
                 key={index}
-                label={condition}
+                label={conditionName(condition)}
                 variant="primary"
                 size="small"
                 style={styles.conditionBadge}
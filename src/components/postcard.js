@@ -19,21 +19,106 @@ import { format, formatDistanceToNow } from 'date-fns';
 import firestore from '@react-native-firebase/firestore';
 import auth from '@react-native-firebase/auth';
 import LinkPreview from './LinkPreview';
+import PostMedia from './social/PostMedia';
+import PostPoll from './social/PostPoll';
+import JournalEntrySummary from './social/JournalEntrySummary';
+import ReactionPicker from './social/ReactionPicker';
+import ReactionsSheet from './social/ReactionsSheet';
+import EditHistorySheet from './social/EditHistorySheet';
+import PostInsightsSheet from './social/PostInsightsSheet';
+import SaveToCollectionModal from './social/SaveToCollectionModal';
+import EmbeddedPost from './social/EmbeddedPost';
+import QuotePostModal from './social/QuotePostModal';
 import { useUser } from '../contexts/UserContext';
+import { useConditionNames } from '../hooks/useConditionNames';
+import { PostService, RESHARE_POST_TYPES, DELETED_RETENTION_DAYS } from '../services/FirebaseService';
+import { OfflineQueue } from '../services/OfflineService';
+import BookmarkService from '../services/BookmarkService';
+import { sharePostWithMedia } from '../services/SocialShareService';
+import { REACTIONS, DEFAULT_REACTION, getReaction, getReactionCounts } from '../constants/reactions';
+import { DEFAULT_AUDIENCE, getAudience } from '../constants/audiences';
+import { DEFAULT_SENSITIVE_MEDIA_PREFERENCE } from '../constants/contentWarnings';
 import BlockUserModal from './BlockUserModal';
+import AnonymousAvatar from './AnonymousAvatar';
+import VerifiedBadge from './VerifiedBadge';
+import AudiencePicker from './social/AudiencePicker';
+import LinkedText from './social/LinkedText';
 
-const PostCard = ({ post, navigation, onCommentPress, onProfilePress }) => {
-  const { isUserBlocked } = useUser();
-  const [isLiked, setIsLiked] = useState(post.likes?.includes(auth().currentUser.uid) || false);
+// Number of reaction icons shown next to the total
+const MAX_SUMMARY_REACTIONS = 3;
+
+const PostCard = ({ post, navigation, onCommentPress, onProfilePress, onRemoveFromCommunity }) => {
+  const { userData, isUserBlocked } = useUser();
+  const { conditionName } = useConditionNames();
+  const [userReaction, setUserReaction] = useState(
+    post.likes?.includes(auth().currentUser.uid) ? DEFAULT_REACTION : null
+  );
+  const [reactionCounts, setReactionCounts] = useState(getReactionCounts(post));
   const [likeCount, setLikeCount] = useState(post.likeCount || 0);
+  const [reactionPickerVisible, setReactionPickerVisible] = useState(false);
+  const [reactionsSheetVisible, setReactionsSheetVisible] = useState(false);
+  const [editHistoryVisible, setEditHistoryVisible] = useState(false);
+  const [insightsVisible, setInsightsVisible] = useState(false);
+  const [isBookmarked, setIsBookmarked] = useState(BookmarkService.isBookmarked(post.id));
+  const [saveModalVisible, setSaveModalVisible] = useState(false);
+  const [reshareCount, setReshareCount] = useState(post.reshareCount || 0);
+  const [allowReshare, setAllowReshare] = useState(post.allowReshare !== false);
+  const [quoteModalVisible, setQuoteModalVisible] = useState(false);
+  const [audience, setAudience] = useState(post.audience || DEFAULT_AUDIENCE);
+  const [audienceCondition, setAudienceCondition] = useState(post.audienceCondition || null);
+  const [audiencePickerVisible, setAudiencePickerVisible] = useState(false);
   const [menuVisible, setMenuVisible] = useState(false);
   const [blockModalVisible, setBlockModalVisible] = useState(false);
   const [userIsPostAuthor, setUserIsPostAuthor] = useState(false);
   
   useEffect(() => {
-    // Check if current user is the post author
-    setUserIsPostAuthor(post.userId === auth().currentUser.uid);
-  }, [post.userId]);
+    let isMounted = true;
+    const uid = auth().currentUser.uid;
+    
+    // Check if current user is the post author. Anonymous posts don't store
+    // their author, so ask for the user's anonymous content in the thread.
+    if (!post.anonymous) {
+      setUserIsPostAuthor(post.userId === uid);
+      return;
+    }
+    
+    PostService.getAnonymousContentIds(post.id, uid)
+      .then(contentIds => {
+        if (isMounted) setUserIsPostAuthor(contentIds.includes(post.id));
+      })
+      .catch(error => console.error('Error checking post author:', error));
+    
+    return () => {
+      isMounted = false;
+    };
+  }, [post.id, post.userId, post.anonymous]);
+  
+  useEffect(() => {
+    let isMounted = true;
+    
+    // Load the current user's reaction, since it isn't stored on the post
+    PostService.getUserReaction(post.id, auth().currentUser.uid)
+      .then(type => {
+        if (isMounted && type) setUserReaction(type);
+      })
+      .catch(error => console.error('Error loading reaction:', error));
+    
+    return () => {
+      isMounted = false;
+    };
+  }, [post.id]);
+  
+  // Keep the save button in sync with bookmarks changed elsewhere in the app
+  useEffect(() => {
+    const unsubscribe = BookmarkService.subscribe(() => {
+      setIsBookmarked(BookmarkService.isBookmarked(post.id));
+    });
+    
+    BookmarkService.load(auth().currentUser.uid)
+      .then(() => setIsBookmarked(BookmarkService.isBookmarked(post.id)));
+    
+    return unsubscribe;
+  }, [post.id]);
 
   const formatTimestamp = (timestamp) => {
     const now = new Date();
@@ -48,50 +133,170 @@ const PostCard = ({ post, navigation, onCommentPress, onProfilePress }) => {
     return format(postDate, 'MMM d, yyyy');
   };
 
-  const handleLikeToggle = async () => {
-    const postRef = firestore().collection('posts').doc(post.id);
-    const currentUserUid = auth().currentUser.uid;
+  // Apply a reaction change locally so the card responds immediately
+  const applyReaction = (nextReaction) => {
+    setReactionCounts(prev => {
+      const counts = { ...prev };
+      if (userReaction) counts[userReaction] = Math.max((counts[userReaction] || 0) - 1, 0);
+      if (nextReaction) counts[nextReaction] = (counts[nextReaction] || 0) + 1;
+      return counts;
+    });
+    setLikeCount(prev => prev + (nextReaction ? 1 : 0) - (userReaction ? 1 : 0));
+    setUserReaction(nextReaction);
+  };
+
+  const handleReactionChange = async (nextReaction) => {
+    const previousReaction = userReaction;
+    const previousCounts = reactionCounts;
+    const previousLikeCount = likeCount;
+    
+    setReactionPickerVisible(false);
+    if (nextReaction === previousReaction) return;
+    
+    applyReaction(nextReaction);
     
     try {
-      await firestore().runTransaction(async transaction => {
-        const postDoc = await transaction.get(postRef);
-        
-        if (!postDoc.exists) {
-          throw new Error('Post does not exist!');
-        }
-        
-        const postData = postDoc.data();
-        const likes = postData.likes || [];
-        const userLiked = likes.includes(currentUserUid);
-        
-        if (userLiked) {
-          // Remove like
-          transaction.update(postRef, {
-            likes: firestore.FieldValue.arrayRemove(currentUserUid),
-            likeCount: firestore.FieldValue.increment(-1)
-          });
-          setIsLiked(false);
-          setLikeCount(prev => prev - 1);
-        } else {
-          // Add like
-          transaction.update(postRef, {
-            likes: firestore.FieldValue.arrayUnion(currentUserUid),
-            likeCount: firestore.FieldValue.increment(1)
-          });
-          setIsLiked(true);
-          setLikeCount(prev => prev + 1);
-        }
+      // Queued while offline and synced once the connection is back
+      await OfflineQueue.queueLikeOperation({
+        postId: post.id,
+        userId: auth().currentUser.uid,
+        reactionType: nextReaction,
+      });
+    } catch (error) {
+      console.error('Error updating reaction:', error);
+      setUserReaction(previousReaction);
+      setReactionCounts(previousCounts);
+      setLikeCount(previousLikeCount);
+      Alert.alert('Error', 'Could not update your reaction');
+    }
+  };
+
+  // A tap toggles the default reaction, or clears whichever reaction is set
+  const handleLikeToggle = () => {
+    handleReactionChange(userReaction ? null : DEFAULT_REACTION);
+  };
+
+  // Share outside the app
+  const handleSharePost = async () => {
+    try {
+      await sharePostWithMedia({
+        id: post.id,
+        text: post.caption,
+        media: post.media,
+        author: { displayName: post.userFullName },
       });
     } catch (error) {
-      console.error('Error toggling like:', error);
-      Alert.alert('Error', 'Could not update like status');
+      console.error('Error sharing post:', error);
+    }
+  };
+
+  const handleResharePost = async () => {
+    try {
+      await PostService.resharePost(post.id, auth().currentUser.uid);
+      
+      // Reshares of a reshare count towards the original post
+      if (post.type !== 'reshare') {
+        setReshareCount(prev => prev + 1);
+      }
+      
+      Alert.alert('Reshared', 'This post will appear in your followers\' feeds.');
+    } catch (error) {
+      console.error('Error resharing post:', error);
+      Alert.alert('Error', error.message || 'Could not reshare this post');
+    }
+  };
+
+  const handleQuotePosted = () => {
+    if (post.type !== 'reshare') {
+      setReshareCount(prev => prev + 1);
+    }
+  };
+
+  const handleToggleAllowReshare = async () => {
+    const nextValue = !allowReshare;
+    
+    setAllowReshare(nextValue);
+    try {
+      await PostService.setAllowReshare(post.id, auth().currentUser.uid, nextValue);
+    } catch (error) {
+      console.error('Error updating reshare setting:', error);
+      setAllowReshare(!nextValue);
+      Alert.alert('Error', 'Could not update the resharing setting');
+    }
+  };
+
+  const handleChangeAudience = async (nextAudience, nextCondition) => {
+    const previous = { audience, audienceCondition };
+    
+    setAudience(nextAudience);
+    setAudienceCondition(nextCondition);
+    try {
+      await PostService.setAudience(post.id, auth().currentUser.uid, nextAudience, nextCondition);
+    } catch (error) {
+      console.error('Error updating post audience:', error);
+      setAudience(previous.audience);
+      setAudienceCondition(previous.audienceCondition);
+      Alert.alert('Error', error.message || 'Could not change who can see this post');
     }
   };
 
-  const handleSharePost = () => {
-    // Implement share functionality
-    // This would typically use the Share API from react-native
-    Alert.alert('Share', 'Sharing functionality would be implemented here');
+  // Reshare, quote or share outside the app
+  const renderShareOptions = () => {
+    const isPublic = audience === 'public';
+    
+    // Restricted posts can only be passed on by their author, and only outside the app
+    if (!isPublic && !userIsPostAuthor) return null;
+    
+    // A plain reshare takes its setting from the post it reshared, which is checked when resharing
+    const canReshare = isPublic && (allowReshare || post.type === 'reshare');
+    
+    return (
+      <Menu style={styles.actionButton}>
+        <MenuTrigger customStyles={{ triggerWrapper: styles.shareTrigger }}>
+          <Icon name="repeat" size={24} color="#546E7A" />
+          <Text style={styles.actionText}>Share</Text>
+        </MenuTrigger>
+        <MenuOptions customStyles={{
+          optionsContainer: styles.menuOptions,
+        }}>
+          {canReshare && (
+            <>
+              <MenuOption onSelect={handleResharePost} customStyles={{
+                optionWrapper: styles.menuOption,
+              }}>
+                <Icon name="repeat" size={20} color="#546E7A" style={styles.menuIcon} />
+                <Text style={styles.menuText}>Reshare</Text>
+              </MenuOption>
+              
+              <MenuOption onSelect={() => setQuoteModalVisible(true)} customStyles={{
+                optionWrapper: styles.menuOption,
+              }}>
+                <Icon name="create-outline" size={20} color="#546E7A" style={styles.menuIcon} />
+                <Text style={styles.menuText}>Quote</Text>
+              </MenuOption>
+            </>
+          )}
+          
+          <MenuOption onSelect={handleSharePost} customStyles={{
+            optionWrapper: styles.menuOption,
+          }}>
+            <Icon name="share-outline" size={20} color="#546E7A" style={styles.menuIcon} />
+            <Text style={styles.menuText}>Share outside the app</Text>
+          </MenuOption>
+        </MenuOptions>
+      </Menu>
+    );
+  };
+
+  const handleMentionPress = (mention) => {
+    if (mention.userId === auth().currentUser.uid) {
+      navigation?.navigate('ProfileTab');
+    } else {
+      navigation?.navigate('UserProfile', {
+        userId: mention.userId,
+        title: mention.name
+      });
+    }
   };
 
   const handleReportPost = () => {
@@ -151,15 +356,56 @@ const PostCard = ({ post, navigation, onCommentPress, onProfilePress }) => {
               <Text style={styles.menuText}>Report Post</Text>
             </MenuOption>
             
-            <MenuOption onSelect={handleBlockUser} customStyles={{
-              optionWrapper: styles.menuOption,
-            }}>
-              <Icon name="shield-outline" size={20} color="#F44336" style={styles.menuIcon} />
-              <Text style={[styles.menuText, styles.dangerText]}>Block User</Text>
-            </MenuOption>
+            {/* Blocking would list the real author in Blocked Users */}
+            {!post.anonymous && (
+              <MenuOption onSelect={handleBlockUser} customStyles={{
+                optionWrapper: styles.menuOption,
+              }}>
+                <Icon name="shield-outline" size={20} color="#F44336" style={styles.menuIcon} />
+                <Text style={[styles.menuText, styles.dangerText]}>Block User</Text>
+              </MenuOption>
+            )}
           </>
         )}
         
+        {onRemoveFromCommunity && !userIsPostAuthor && (
+          <MenuOption onSelect={handleRemoveFromCommunity} customStyles={{
+            optionWrapper: styles.menuOption,
+          }}>
+            <Icon name="remove-circle-outline" size={20} color="#F44336" style={styles.menuIcon} />
+            <Text style={[styles.menuText, styles.dangerText]}>Remove from Community</Text>
+          </MenuOption>
+        )}
+        
+        {userIsPostAuthor && (
+          <MenuOption onSelect={() => setInsightsVisible(true)} customStyles={{
+            optionWrapper: styles.menuOption,
+          }}>
+            <Icon name="stats-chart-outline" size={20} color="#546E7A" style={styles.menuIcon} />
+            <Text style={styles.menuText}>View Insights</Text>
+          </MenuOption>
+        )}
+        
+        {userIsPostAuthor && !RESHARE_POST_TYPES.includes(post.type) && !post.communityId && (
+          <MenuOption onSelect={() => setAudiencePickerVisible(true)} customStyles={{
+            optionWrapper: styles.menuOption,
+          }}>
+            <Icon name={getAudience(audience)?.icon || 'earth'} size={20} color="#546E7A" style={styles.menuIcon} />
+            <Text style={styles.menuText}>Change Audience</Text>
+          </MenuOption>
+        )}
+        
+        {userIsPostAuthor && post.type !== 'reshare' && (
+          <MenuOption onSelect={handleToggleAllowReshare} customStyles={{
+            optionWrapper: styles.menuOption,
+          }}>
+            <Icon name="repeat" size={20} color="#546E7A" style={styles.menuIcon} />
+            <Text style={styles.menuText}>
+              {allowReshare ? 'Turn Off Resharing' : 'Allow Resharing'}
+            </Text>
+          </MenuOption>
+        )}
+        
         {userIsPostAuthor && (
           <MenuOption onSelect={handleDeletePost} customStyles={{
             optionWrapper: styles.menuOption,
@@ -179,7 +425,7 @@ const PostCard = ({ post, navigation, onCommentPress, onProfilePress }) => {
   const handleDeletePost = () => {
     Alert.alert(
       'Delete Post',
-      'Are you sure you want to delete this post? This action cannot be undone.',
+      `This post will move to Recently deleted, where you can restore it for ${DELETED_RETENTION_DAYS} days.`,
       [
         { text: 'Cancel', style: 'cancel' },
         { 
@@ -187,23 +433,9 @@ const PostCard = ({ post, navigation, onCommentPress, onProfilePress }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              // Delete the post
-              await firestore().collection('posts').doc(post.id).delete();
-              
-              // Delete associated comments
-              const commentsSnapshot = await firestore()
-                .collection('comments')
-                .where('postId', '==', post.id)
-                .get();
-              
-              const batch = firestore().batch();
-              commentsSnapshot.docs.forEach(doc => {
-                batch.delete(doc.ref);
-              });
+              await PostService.deletePost(post.id, auth().currentUser.uid);
               
-              await batch.commit();
-              
-              Alert.alert('Success', 'Post deleted successfully');
+              Alert.alert('Post deleted', 'You can restore it from Recently deleted in your profile settings.');
             } catch (error) {
               console.error('Error deleting post:', error);
               Alert.alert('Error', 'Failed to delete post. Please try again.');
@@ -214,8 +446,73 @@ const PostCard = ({ post, navigation, onCommentPress, onProfilePress }) => {
     );
   };
 
+  const handleRemoveFromCommunity = () => {
+    Alert.alert(
+      'Remove from Community',
+      `Remove this post from ${post.communityName}? Members will no longer see it.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { 
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await onRemoveFromCommunity(post);
+            } catch (error) {
+              console.error('Error removing post from community:', error);
+              Alert.alert('Error', 'Failed to remove post. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Most used reactions first, for the summary next to the total
+  const getTopReactions = () => REACTIONS
+    .filter(reaction => reactionCounts[reaction.type] > 0)
+    .sort((a, b) => reactionCounts[b.type] - reactionCounts[a.type])
+    .slice(0, MAX_SUMMARY_REACTIONS);
+
+  const renderReactionSummary = () => {
+    const topReactions = getTopReactions();
+    
+    return (
+      <TouchableOpacity
+        style={styles.stat}
+        onPress={() => setReactionsSheetVisible(true)}
+        disabled={likeCount === 0}
+        accessibilityRole="button"
+        accessibilityLabel={`${likeCount} reactions`}
+        accessibilityHint="Shows who reacted to this post"
+      >
+        {topReactions.length > 0 ? (
+          topReactions.map(reaction => (
+            <Icon
+              key={reaction.type}
+              name={reaction.icon}
+              size={16}
+              color={reaction.color}
+              style={styles.summaryIcon}
+            />
+          ))
+        ) : (
+          <Icon name="heart" size={16} color="#F44336" />
+        )}
+        <Text style={styles.statText}>
+          {likeCount} {likeCount === 1 ? 'reaction' : 'reactions'}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
   // Render post content based on type
   const renderPostContent = () => {
+    // Posts with a media list (carousels and newer single-item posts)
+    if (post.media?.length > 0) {
+      return <PostMedia media={post.media} contentWarnings={post.contentWarnings} />;
+    }
+    
     switch (post.type) {
       case 'image':
         return (
@@ -241,16 +538,43 @@ const PostCard = ({ post, navigation, onCommentPress, onProfilePress }) => {
         );
       case 'link':
         return <LinkPreview url={post.content} />;
+      case 'poll':
+        return post.poll ? <PostPoll postId={post.id} poll={post.poll} /> : null;
+      case 'journal':
+        return <JournalEntrySummary entry={post.journalEntry} style={styles.journalEntry} />;
+      case 'reshare':
+      case 'quote':
+        return (
+          <EmbeddedPost
+            postId={post.originalPostId}
+            userId={post.originalUserId}
+            onPress={original => navigation?.navigate('PostDetail', { postId: original.id })}
+          />
+        );
       default:
         return null;
     }
   };
 
+  // Members can choose to not see sensitive posts at all, except their own
+  const sensitiveMediaPreference = userData?.sensitiveMediaPreference || DEFAULT_SENSITIVE_MEDIA_PREFERENCE;
+  if (sensitiveMediaPreference === 'hide' && post.contentWarnings?.length > 0 && !userIsPostAuthor) {
+    return null;
+  }
+
+  const currentReaction = getReaction(userReaction);
+
   return (
     <View style={styles.container}>
       <View style={styles.header}>
-        <TouchableOpacity style={styles.userInfo} onPress={onProfilePress}>
-          {post.userProfileImageURL ? (
+        <TouchableOpacity 
+          style={styles.userInfo} 
+          onPress={onProfilePress}
+          disabled={post.anonymous}
+        >
+          {post.anonymous ? (
+            <AnonymousAvatar pseudonym={post.pseudonym} size={40} style={styles.anonymousAvatar} />
+          ) : post.userProfileImageURL ? (
             <FastImage
               source={{ uri: post.userProfileImageURL }}
               style={styles.profileImage}
@@ -262,8 +586,47 @@ const PostCard = ({ post, navigation, onCommentPress, onProfilePress }) => {
             </View>
           )}
           <View>
-            <Text style={styles.userName}>{post.userFullName}</Text>
-            <Text style={styles.timestamp}>{formatTimestamp(post.timestamp)}</Text>
+            <View style={styles.userNameRow}>
+              <Text style={styles.userName}>
+                {post.userFullName}
+                {post.type === 'reshare' && <Text style={styles.reshareLabel}> reshared</Text>}
+                {post.anonymous && userIsPostAuthor && <Text style={styles.reshareLabel}> (you, anonymous)</Text>}
+              </Text>
+              {!post.anonymous && <VerifiedBadge verification={post.authorVerification} style={styles.verifiedBadge} />}
+            </View>
+            <View style={styles.timestampRow}>
+              <Text style={styles.timestamp}>{formatTimestamp(post.timestamp)}</Text>
+              {post.edited && (
+                <TouchableOpacity
+                  onPress={() => setEditHistoryVisible(true)}
+                  accessibilityRole="button"
+                  accessibilityLabel="Edited"
+                  accessibilityHint="Shows earlier versions of this post"
+                >
+                  <Text style={styles.editedMarker}> · edited</Text>
+                </TouchableOpacity>
+              )}
+              <Icon 
+                name={getAudience(audience)?.icon || 'earth'} 
+                size={12} 
+                color="#78909C" 
+                style={styles.audienceIcon}
+                accessibilityLabel={audience === 'community' 
+                  ? `Visible to the ${conditionName(audienceCondition)} community` 
+                  : `Visible to: ${getAudience(audience)?.label}`}
+              />
+            </View>
+            {post.communityName && (
+              <TouchableOpacity
+                onPress={() => navigation?.navigate('Community', { communityId: post.communityId, title: post.communityName })}
+                accessibilityRole="link"
+                accessibilityLabel={`Posted in ${post.communityName}`}
+              >
+                <Text style={styles.communityLink} numberOfLines={1}>
+                  in {post.communityName}
+                </Text>
+              </TouchableOpacity>
+            )}
           </View>
         </TouchableOpacity>
         
@@ -272,38 +635,71 @@ const PostCard = ({ post, navigation, onCommentPress, onProfilePress }) => {
         </View>
       </View>
       
+      {post.type === 'question' && (
+        <View style={styles.questionLabel}>
+          <Icon name="help-circle" size={16} color="#2196F3" />
+          <Text style={styles.questionLabelText}>
+            Question{post.questionCondition ? ` about ${conditionName(post.questionCondition)}` : ''}
+          </Text>
+          {post.acceptedAnswerId && (
+            <View style={styles.answeredTag}>
+              <Icon name="checkmark-circle" size={14} color="#4CAF50" />
+              <Text style={styles.answeredTagText}>Answered</Text>
+            </View>
+          )}
+        </View>
+      )}
+      
       {post.caption && (
-        <Text style={styles.caption}>{post.caption}</Text>
+        <LinkedText
+          text={post.caption}
+          mentions={post.mentions}
+          style={styles.caption}
+          linkStyle={styles.captionLink}
+          onPressMention={handleMentionPress}
+          onPressHashtag={hashtag => navigation?.navigate('Topic', { hashtag })}
+        />
       )}
       
-      {post.content && renderPostContent()}
+      {(post.content || post.poll || post.journalEntry || post.originalPostId) && renderPostContent()}
       
       <View style={styles.statsContainer}>
-        <View style={styles.stat}>
-          <Icon name="heart" size={16} color="#F44336" />
-          <Text style={styles.statText}>{likeCount} likes</Text>
-        </View>
+        {renderReactionSummary()}
         <View style={styles.stat}>
           <Icon name="chatbubble" size={16} color="#2196F3" />
-          <Text style={styles.statText}>{post.commentCount || 0} comments</Text>
+          <Text style={styles.statText}>
+            {post.commentCount || 0} {post.type === 'question' ? 'answers' : 'comments'}
+          </Text>
         </View>
+        {post.type !== 'reshare' && (
+          <View style={styles.stat}>
+            <Icon name="repeat" size={16} color="#4CAF50" />
+            <Text style={styles.statText}>
+              {reshareCount} {reshareCount === 1 ? 'reshare' : 'reshares'}
+            </Text>
+          </View>
+        )}
       </View>
       
       <View style={styles.actionsContainer}>
         <TouchableOpacity 
           style={styles.actionButton}
           onPress={handleLikeToggle}
+          onLongPress={() => setReactionPickerVisible(true)}
+          accessibilityRole="button"
+          accessibilityLabel={currentReaction ? `Reacted ${currentReaction.label}` : 'React'}
+          accessibilityHint="Long press to choose a different reaction"
         >
           <Icon 
-            name={isLiked ? "heart" : "heart-outline"} 
+            name={currentReaction ? currentReaction.icon : "heart-outline"} 
             size={24} 
-            color={isLiked ? "#F44336" : "#546E7A"} 
+            color={currentReaction ? currentReaction.color : "#546E7A"} 
           />
           <Text style={[
             styles.actionText,
-            isLiked && { color: "#F44336" }
+            currentReaction && { color: currentReaction.color }
           ]}>
-            Like
+            {currentReaction ? currentReaction.label : 'Support'}
           </Text>
         </TouchableOpacity>
         
@@ -311,16 +707,29 @@ const PostCard = ({ post, navigation, onCommentPress, onProfilePress }) => {
           style={styles.actionButton}
           onPress={onCommentPress}
         >
-          <Icon name="chatbubble-outline" size={24} color="#546E7A" />
-          <Text style={styles.actionText}>Comment</Text>
+          <Icon name={post.type === 'question' ? 'help-buoy-outline' : 'chatbubble-outline'} size={24} color="#546E7A" />
+          <Text style={styles.actionText}>{post.type === 'question' ? 'Answer' : 'Comment'}</Text>
         </TouchableOpacity>
         
+        {renderShareOptions()}
+        
         <TouchableOpacity 
           style={styles.actionButton}
-          onPress={handleSharePost}
+          onPress={() => setSaveModalVisible(true)}
+          accessibilityRole="button"
+          accessibilityLabel={isBookmarked ? 'Saved' : 'Save post'}
         >
-          <Icon name="share-outline" size={24} color="#546E7A" />
-          <Text style={styles.actionText}>Share</Text>
+          <Icon 
+            name={isBookmarked ? "bookmark" : "bookmark-outline"} 
+            size={24} 
+            color={isBookmarked ? "#2196F3" : "#546E7A"} 
+          />
+          <Text style={[
+            styles.actionText,
+            isBookmarked && { color: "#2196F3" }
+          ]}>
+            {isBookmarked ? 'Saved' : 'Save'}
+          </Text>
         </TouchableOpacity>
       </View>
 
@@ -330,6 +739,63 @@ const PostCard = ({ post, navigation, onCommentPress, onProfilePress }) => {
         userToBlock={{ id: post.userId, name: post.userFullName }}
         onSuccess={handleBlockSuccess}
       />
+
+      <ReactionPicker
+        visible={reactionPickerVisible}
+        selectedType={userReaction}
+        onSelect={handleReactionChange}
+        onClose={() => setReactionPickerVisible(false)}
+      />
+
+      <ReactionsSheet
+        visible={reactionsSheetVisible}
+        postId={post.id}
+        reactionCounts={reactionCounts}
+        onClose={() => setReactionsSheetVisible(false)}
+      />
+
+      {post.edited && (
+        <EditHistorySheet
+          visible={editHistoryVisible}
+          current={{
+            text: post.caption,
+            content: post.type === 'link' ? post.content : null,
+            timestamp: post.editTimestamp?.toDate?.() || post.editTimestamp || post.timestamp,
+          }}
+          loadVersions={() => PostService.getEditHistory(post.id)}
+          onClose={() => setEditHistoryVisible(false)}
+        />
+      )}
+
+      {userIsPostAuthor && (
+        <PostInsightsSheet
+          visible={insightsVisible}
+          postId={post.id}
+          onClose={() => setInsightsVisible(false)}
+        />
+      )}
+
+      <QuotePostModal
+        visible={quoteModalVisible}
+        post={post}
+        onClose={() => setQuoteModalVisible(false)}
+        onPosted={handleQuotePosted}
+      />
+
+      <SaveToCollectionModal
+        visible={saveModalVisible}
+        post={post}
+        onClose={() => setSaveModalVisible(false)}
+      />
+
+      <AudiencePicker
+        visible={audiencePickerVisible}
+        audience={audience}
+        condition={audienceCondition}
+        conditions={userData?.medicalConditions || []}
+        onSelect={handleChangeAudience}
+        onClose={() => setAudiencePickerVisible(false)}
+      />
     </View>
   );
 };
@@ -362,20 +828,52 @@ const styles = StyleSheet.create({
     borderRadius: 20,
     marginRight: 10,
   },
+  anonymousAvatar: {
+    marginRight: 10,
+  },
   placeholderProfile: {
     backgroundColor: '#90A4AE',
     justifyContent: 'center',
     alignItems: 'center',
   },
+  userNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+  },
   userName: {
     fontWeight: 'bold',
     fontSize: 15,
     color: '#263238',
   },
+  verifiedBadge: {
+    marginLeft: 6,
+  },
+  reshareLabel: {
+    fontWeight: 'normal',
+    color: '#78909C',
+  },
+  timestampRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   timestamp: {
     fontSize: 12,
     color: '#78909C',
   },
+  editedMarker: {
+    fontSize: 12,
+    color: '#78909C',
+    textDecorationLine: 'underline',
+  },
+  audienceIcon: {
+    marginLeft: 4,
+  },
+  communityLink: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#2196F3',
+  },
   headerActions: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -400,6 +898,29 @@ const styles = StyleSheet.create({
   dangerText: {
     color: '#F44336',
   },
+  questionLabel: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    marginBottom: 6,
+  },
+  questionLabelText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#2196F3',
+    marginLeft: 4,
+  },
+  answeredTag: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 10,
+  },
+  answeredTagText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#4CAF50',
+    marginLeft: 3,
+  },
   caption: {
     paddingHorizontal: 12,
     paddingBottom: 12,
@@ -407,6 +928,9 @@ const styles = StyleSheet.create({
     color: '#263238',
     lineHeight: 22,
   },
+  captionLink: {
+    color: '#2196F3',
+  },
   postImage: {
     width: '100%',
     height: 300,
@@ -424,6 +948,10 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     backgroundColor: 'rgba(0, 0, 0, 0.2)',
   },
+  journalEntry: {
+    marginHorizontal: 12,
+    marginBottom: 12,
+  },
   statsContainer: {
     flexDirection: 'row',
     padding: 12,
@@ -436,6 +964,9 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginRight: 16,
   },
+  summaryIcon: {
+    marginRight: -2,
+  },
   statText: {
     marginLeft: 5,
     fontSize: 13,
@@ -453,6 +984,11 @@ const styles = StyleSheet.create({
     padding: 8,
     flex: 1,
   },
+  shareTrigger: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
   actionText: {
     marginLeft: 5,
     fontSize: 14,
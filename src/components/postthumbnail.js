@@ -17,6 +17,15 @@ const PostThumbnail = ({ post, onPress }) => {
         return <Icon name="play-circle" size={24} color="white" />;
       case 'link':
         return <Icon name="link" size={20} color="white" />;
+      case 'carousel':
+        return <Icon name="copy" size={18} color="white" />;
+      case 'poll':
+        return <Icon name="stats-chart" size={20} color="white" />;
+      case 'journal':
+        return <Icon name="journal" size={20} color="white" />;
+      case 'reshare':
+      case 'quote':
+        return <Icon name="repeat" size={20} color="white" />;
       default:
         return null;
     }
@@ -24,7 +33,22 @@ const PostThumbnail = ({ post, onPress }) => {
 
   // For post types other than image, we'll show a colored background with an icon
   const renderContent = () => {
-    if (post.type === 'image' && post.content) {
+    if (post.type === 'carousel' && post.media?.length > 0) {
+      const cover = post.media[0];
+      
+      return (
+        <View style={styles.image}>
+          <FastImage
+            style={styles.image}
+            source={{ uri: cover.type === 'video' ? cover.thumbnail || cover.url : cover.url }}
+            resizeMode={FastImage.resizeMode.cover}
+          />
+          <View style={styles.typeIconContainer}>
+            {renderPostTypeIcon()}
+          </View>
+        </View>
+      );
+    } else if (post.type === 'image' && post.content) {
       return (
         <FastImage
           style={styles.image}
@@ -39,6 +63,12 @@ const PostThumbnail = ({ post, onPress }) => {
         backgroundColor = '#4CAF50'; // Green for videos
       } else if (post.type === 'link') {
         backgroundColor = '#2196F3'; // Blue for links
+      } else if (post.type === 'poll') {
+        backgroundColor = '#FF9800'; // Orange for polls
+      } else if (post.type === 'journal') {
+        backgroundColor = '#7E57C2'; // Purple for shared journal entries
+      } else if (post.type === 'reshare' || post.type === 'quote') {
+        backgroundColor = '#009688'; // Teal for reshares and quotes
       }
       
       return (
@@ -66,6 +96,11 @@ const styles = StyleSheet.create({
     width: '100%',
     height: '100%',
   },
+  typeIconContainer: {
+    position: 'absolute',
+    top: 6,
+    right: 6,
+  },
   placeholderContainer: {
     flex: 1,
     justifyContent: 'center',
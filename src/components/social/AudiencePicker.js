@@ -0,0 +1,225 @@
+// src/components/social/AudiencePicker.js
+// Bottom sheet for choosing who can see a post
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Modal
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { AUDIENCES } from '../../constants/audiences';
+import { useTheme } from '../../theme/ThemeContext';
+import { useConditionNames } from '../../hooks/useConditionNames';
+import { isSameCondition } from '../../utils/conditions';
+
+/**
+ * Sheet for choosing a post's audience
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {string} props.audience - Currently selected audience type
+ * @param {string|null} props.condition - Currently selected community condition
+ * @param {Array<string>} props.conditions - Conditions from the author's profile
+ * @param {Function} props.onSelect - Called with (audience, condition) when an audience is chosen
+ * @param {Function} props.onClose - Called when the sheet is dismissed
+ */
+const AudiencePicker = ({ visible, audience, condition, conditions = [], onSelect, onClose }) => {
+  const { theme } = useTheme();
+  const { conditionName } = useConditionNames();
+  const [showConditions, setShowConditions] = useState(false);
+  
+  useEffect(() => {
+    if (visible) setShowConditions(audience === 'community');
+  }, [visible, audience]);
+  
+  const handleSelect = (type) => {
+    if (type === 'community') {
+      setShowConditions(prev => !prev);
+      return;
+    }
+    
+    onSelect(type, null);
+    onClose();
+  };
+  
+  const handleSelectCondition = (selectedCondition) => {
+    onSelect('community', selectedCondition);
+    onClose();
+  };
+  
+  const renderConditions = () => {
+    if (conditions.length === 0) {
+      return (
+        <Text style={[styles.conditionsHint, { color: theme.colors.text.secondary }]}>
+          Add conditions to your profile to share with a condition community.
+        </Text>
+      );
+    }
+    
+    return (
+      <View style={styles.conditions}>
+        {conditions.map(item => {
+          const isSelected = audience === 'community' && isSameCondition(condition, item);
+          
+          return (
+            <TouchableOpacity
+              key={item}
+              style={[
+                styles.conditionChip,
+                { borderColor: theme.colors.border },
+                isSelected && {
+                  borderColor: theme.colors.primary.main,
+                  backgroundColor: theme.colors.primary.lightest
+                }
+              ]}
+              onPress={() => handleSelectCondition(item)}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: isSelected }}
+            >
+              <Text style={[
+                styles.conditionText,
+                { color: isSelected ? theme.colors.primary.main : theme.colors.text.primary }
+              ]}>
+                {conditionName(item)}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    );
+  };
+  
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <TouchableOpacity style={styles.backdrop} onPress={onClose} accessibilityLabel="Close" />
+        
+        <View style={[styles.sheet, { backgroundColor: theme.colors.background.paper }]}>
+          <View style={styles.header}>
+            <Text style={[styles.title, { color: theme.colors.text.primary }]}>
+              Who can see this post?
+            </Text>
+            <TouchableOpacity
+              onPress={onClose}
+              accessibilityLabel="Close"
+              accessibilityRole="button"
+            >
+              <Icon name="close" size={24} color={theme.colors.text.secondary} />
+            </TouchableOpacity>
+          </View>
+          
+          <ScrollView>
+            {AUDIENCES.map(option => {
+              const isSelected = audience === option.type;
+              
+              return (
+                <View key={option.type}>
+                  <TouchableOpacity
+                    style={[styles.option, { borderBottomColor: theme.colors.divider }]}
+                    onPress={() => handleSelect(option.type)}
+                    accessibilityRole="radio"
+                    accessibilityLabel={option.label}
+                    accessibilityHint={option.description}
+                    accessibilityState={{ checked: isSelected }}
+                  >
+                    <Icon name={option.icon} size={22} color={theme.colors.text.secondary} />
+                    <View style={styles.optionLabel}>
+                      <Text style={[styles.optionText, { color: theme.colors.text.primary }]}>
+                        {option.label}
+                      </Text>
+                      <Text style={[styles.optionDescription, { color: theme.colors.text.secondary }]}>
+                        {option.type === 'community' && isSelected && condition
+                          ? `Members living with ${conditionName(condition)}`
+                          : option.description}
+                      </Text>
+                    </View>
+                    {isSelected && (
+                      <Icon name="checkmark" size={20} color={theme.colors.primary.main} />
+                    )}
+                  </TouchableOpacity>
+                  
+                  {option.type === 'community' && showConditions && renderConditions()}
+                </View>
+              );
+            })}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  backdrop: {
+    flex: 1,
+  },
+  sheet: {
+    maxHeight: '75%',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+  },
+  optionLabel: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  optionText: {
+    fontSize: 16,
+  },
+  optionDescription: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  conditions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingVertical: 12,
+  },
+  conditionChip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  conditionText: {
+    fontSize: 14,
+  },
+  conditionsHint: {
+    fontSize: 13,
+    paddingVertical: 12,
+  },
+});
+
+export default AudiencePicker;
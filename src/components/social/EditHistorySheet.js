@@ -0,0 +1,206 @@
+// src/components/social/EditHistorySheet.js
+// Bottom sheet listing the earlier versions of an edited post or comment
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  ActivityIndicator,
+  Modal
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { format } from 'date-fns';
+import { useTheme } from '../../theme/ThemeContext';
+
+const CURRENT_VERSION_ID = 'current';
+
+/**
+ * Sheet showing every version of an edited post or comment, newest first
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {Object} props.current - Current version ({ text, content, timestamp })
+ * @param {Function} props.loadVersions - Returns a promise of the previous versions, newest first
+ * @param {Function} props.onClose - Called when the sheet is dismissed
+ */
+const EditHistorySheet = ({ visible, current, loadVersions, onClose }) => {
+  const { theme } = useTheme();
+  
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  
+  // Reload each time the sheet opens so it includes the latest edit
+  useEffect(() => {
+    if (!visible) return;
+    
+    let isMounted = true;
+    setLoading(true);
+    
+    loadVersions()
+      .then(results => {
+        if (isMounted) setVersions(results);
+      })
+      .catch(error => console.error('Error loading edit history:', error))
+      .finally(() => {
+        if (isMounted) setLoading(false);
+      });
+    
+    return () => {
+      isMounted = false;
+    };
+  }, [visible]);
+  
+  const items = [
+    { id: CURRENT_VERSION_ID, text: current.text, content: current.content, timestamp: current.timestamp },
+    // Post versions store the caption, comment versions the text
+    ...versions.map(version => ({ ...version, text: version.caption ?? version.text })),
+  ];
+  
+  const formatDate = (date) => (date ? format(new Date(date), 'MMM d, yyyy h:mm a') : '');
+  
+  const renderVersion = ({ item }) => {
+    const isCurrent = item.id === CURRENT_VERSION_ID;
+    
+    return (
+      <View style={[styles.version, { borderBottomColor: theme.colors.divider }]}>
+        <View style={styles.versionHeader}>
+          <Text style={[
+            styles.versionLabel,
+            { color: isCurrent ? theme.colors.primary.main : theme.colors.text.secondary }
+          ]}>
+            {isCurrent ? 'Current' : 'Previous'}
+          </Text>
+          <Text style={[styles.versionDate, { color: theme.colors.text.secondary }]}>
+            {formatDate(item.timestamp)}
+          </Text>
+        </View>
+        {!!item.text && (
+          <Text style={[styles.versionText, { color: theme.colors.text.primary }]}>
+            {item.text}
+          </Text>
+        )}
+        {!!item.content && (
+          <View style={styles.linkRow}>
+            <Icon name="link" size={14} color={theme.colors.text.secondary} />
+            <Text style={[styles.linkText, { color: theme.colors.text.secondary }]} numberOfLines={1}>
+              {item.content}
+            </Text>
+          </View>
+        )}
+      </View>
+    );
+  };
+  
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <TouchableOpacity style={styles.backdrop} onPress={onClose} accessibilityLabel="Close" />
+        
+        <View style={[styles.sheet, { backgroundColor: theme.colors.background.paper }]}>
+          <View style={styles.header}>
+            <Text style={[styles.title, { color: theme.colors.text.primary }]}>
+              Edit history
+            </Text>
+            <TouchableOpacity
+              onPress={onClose}
+              accessibilityLabel="Close"
+              accessibilityRole="button"
+            >
+              <Icon name="close" size={24} color={theme.colors.text.secondary} />
+            </TouchableOpacity>
+          </View>
+          
+          {loading ? (
+            <View style={styles.loadingContainer}>
+              <ActivityIndicator size="small" color={theme.colors.primary.main} />
+            </View>
+          ) : (
+            <FlatList
+              data={items}
+              keyExtractor={item => item.id}
+              renderItem={renderVersion}
+              contentContainerStyle={styles.listContent}
+            />
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  backdrop: {
+    flex: 1,
+  },
+  sheet: {
+    maxHeight: '70%',
+    minHeight: 240,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingTop: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  loadingContainer: {
+    paddingVertical: 40,
+    alignItems: 'center',
+  },
+  listContent: {
+    paddingBottom: 16,
+  },
+  version: {
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  versionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  versionLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  versionDate: {
+    fontSize: 12,
+  },
+  versionText: {
+    fontSize: 15,
+    lineHeight: 21,
+  },
+  linkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  linkText: {
+    flex: 1,
+    fontSize: 13,
+    marginLeft: 4,
+  },
+});
+
+export default EditHistorySheet;
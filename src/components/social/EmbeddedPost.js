@@ -0,0 +1,257 @@
+// src/components/social/EmbeddedPost.js
+// Compact view of an original post inside a reshare or quote
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import FastImage from 'react-native-fast-image';
+import { formatDistanceToNow } from 'date-fns';
+import firestore from '@react-native-firebase/firestore';
+import auth from '@react-native-firebase/auth';
+import PostMedia from './PostMedia';
+import LinkPreview from '../LinkPreview';
+import AnonymousAvatar from '../AnonymousAvatar';
+import { DEFAULT_AUDIENCE } from '../../constants/audiences';
+import { useBlockedUsers } from '../../contexts/BlockedUsersContext';
+import { useTheme } from '../../theme/ThemeContext';
+
+/**
+ * Embedded original post
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.postId - ID of the original post
+ * @param {string} props.userId - Author of the original post, used to hide blocked users before loading
+ * @param {Function} props.onPress - Called with the original post when tapped
+ */
+const EmbeddedPost = ({ postId, userId, onPress }) => {
+  const { theme } = useTheme();
+  const { isUserBlocked, isBlockedByUser } = useBlockedUsers();
+  
+  const [post, setPost] = useState(null);
+  const [loading, setLoading] = useState(true);
+  
+  const isHidden = (authorId) => !!authorId && (isUserBlocked(authorId) || isBlockedByUser(authorId));
+  const hiddenBeforeLoad = isHidden(userId);
+  
+  useEffect(() => {
+    if (hiddenBeforeLoad) {
+      setLoading(false);
+      return;
+    }
+    
+    let isMounted = true;
+    
+    firestore()
+      .collection('posts')
+      .doc(postId)
+      .get()
+      .then(postDoc => {
+        if (!isMounted) return;
+        
+        setPost(postDoc.exists && !postDoc.data().deleted ? {
+          id: postDoc.id,
+          ...postDoc.data(),
+          timestamp: postDoc.data().timestamp?.toDate() || new Date(),
+        } : null);
+      })
+      .catch(error => console.error('Error loading original post:', error))
+      .finally(() => {
+        if (isMounted) setLoading(false);
+      });
+    
+    return () => {
+      isMounted = false;
+    };
+  }, [postId, hiddenBeforeLoad]);
+  
+  const renderUnavailable = (message) => (
+    <View style={[styles.container, styles.unavailable, { borderColor: theme.colors.border }]}>
+      <Icon name="eye-off-outline" size={18} color={theme.colors.text.secondary} />
+      <Text style={[styles.unavailableText, { color: theme.colors.text.secondary }]}>
+        {message}
+      </Text>
+    </View>
+  );
+  
+  const renderContent = () => {
+    if (post.media?.length > 0) {
+      return <PostMedia media={post.media} contentWarnings={post.contentWarnings} />;
+    }
+    
+    switch (post.type) {
+      case 'image':
+        return (
+          <FastImage
+            source={{ uri: post.content }}
+            style={styles.image}
+            resizeMode={FastImage.resizeMode.cover}
+          />
+        );
+      case 'video':
+        return (
+          <FastImage
+            source={{ uri: post.thumbnailUrl || post.content }}
+            style={styles.image}
+            resizeMode={FastImage.resizeMode.cover}
+          />
+        );
+      case 'link':
+        return <LinkPreview url={post.content} />;
+      case 'poll':
+        return (
+          <View style={styles.pollHint}>
+            <Icon name="stats-chart" size={16} color={theme.colors.text.secondary} />
+            <Text style={[styles.pollHintText, { color: theme.colors.text.secondary }]}>
+              Poll · {post.poll?.options?.length || 0} options
+            </Text>
+          </View>
+        );
+      default:
+        return null;
+    }
+  };
+  
+  if (loading) {
+    return (
+      <View style={[styles.container, styles.unavailable, { borderColor: theme.colors.border }]}>
+        <ActivityIndicator size="small" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  if (hiddenBeforeLoad || (post && isHidden(post.userId))) {
+    return renderUnavailable('This post is from an account you can\'t see');
+  }
+  
+  // Only public posts can be reshared, so one whose audience was narrowed since is hidden
+  const isRestricted = post && (post.audience || DEFAULT_AUDIENCE) !== 'public' &&
+    post.userId !== auth().currentUser?.uid;
+  
+  if (!post || isRestricted) {
+    return renderUnavailable('This post is no longer available');
+  }
+  
+  return (
+    <TouchableOpacity
+      style={[styles.container, { borderColor: theme.colors.border }]}
+      onPress={() => onPress?.(post)}
+      disabled={!onPress}
+      activeOpacity={0.8}
+      accessibilityRole="button"
+      accessibilityLabel={`Original post by ${post.userFullName}`}
+    >
+      <View style={styles.header}>
+        {post.anonymous ? (
+          <AnonymousAvatar pseudonym={post.pseudonym} size={24} style={styles.anonymousAvatar} />
+        ) : post.userProfileImageURL ? (
+          <FastImage source={{ uri: post.userProfileImageURL }} style={styles.avatar} />
+        ) : (
+          <View style={[styles.avatar, styles.placeholderAvatar, { backgroundColor: theme.colors.gray[400] }]}>
+            <Icon name="person" size={12} color="white" />
+          </View>
+        )}
+        <Text style={[styles.userName, { color: theme.colors.text.primary }]} numberOfLines={1}>
+          {post.userFullName}
+        </Text>
+        <Text style={[styles.timestamp, { color: theme.colors.text.secondary }]}>
+          {formatDistanceToNow(post.timestamp, { addSuffix: true })}
+        </Text>
+      </View>
+      
+      {!!post.caption && (
+        <Text style={[styles.caption, { color: theme.colors.text.primary }]} numberOfLines={4}>
+          {post.caption}
+        </Text>
+      )}
+      
+      {post.type === 'quote' ? (
+        <Text style={[styles.quoteHint, { color: theme.colors.text.secondary }]}>
+          Quoting another post
+        </Text>
+      ) : (
+        renderContent()
+      )}
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginHorizontal: 12,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  unavailable: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 16,
+  },
+  unavailableText: {
+    fontSize: 14,
+    marginLeft: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 10,
+  },
+  avatar: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    marginRight: 8,
+  },
+  anonymousAvatar: {
+    marginRight: 8,
+  },
+  placeholderAvatar: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  userName: {
+    flexShrink: 1,
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  timestamp: {
+    fontSize: 12,
+    marginLeft: 6,
+  },
+  caption: {
+    fontSize: 14,
+    lineHeight: 20,
+    paddingHorizontal: 10,
+    paddingBottom: 10,
+  },
+  image: {
+    width: '100%',
+    height: 200,
+  },
+  pollHint: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingBottom: 10,
+  },
+  pollHintText: {
+    fontSize: 13,
+    marginLeft: 6,
+  },
+  quoteHint: {
+    fontSize: 13,
+    fontStyle: 'italic',
+    paddingHorizontal: 10,
+    paddingBottom: 10,
+  },
+});
+
+export default EmbeddedPost;
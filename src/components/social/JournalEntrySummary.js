@@ -0,0 +1,164 @@
+// src/components/social/JournalEntrySummary.js
+// Mood, sleep, symptoms and medications from a health journal entry
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { format } from 'date-fns';
+import { getJournalMood, MAX_SYMPTOM_SEVERITY } from '../../constants/journal';
+import { fromDateKey } from '../../utils/journal';
+import { useTheme } from '../../theme/ThemeContext';
+
+/**
+ * Summary of a journal entry, used in the journal and on posts sharing an entry
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.entry - { date, mood, sleepHours, symptoms, medications }
+ * @param {boolean} props.showDate - Whether to show the entry's date
+ * @param {Object} props.style - Additional container styles
+ */
+const JournalEntrySummary = ({ entry, showDate = true, style }) => {
+  const { theme } = useTheme();
+  
+  if (!entry) return null;
+  
+  const mood = getJournalMood(entry.mood);
+  const symptoms = entry.symptoms || [];
+  const medications = entry.medications || [];
+  const hasSleep = typeof entry.sleepHours === 'number';
+  
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background.input }, style]}>
+      {showDate && (
+        <View style={styles.header}>
+          <Icon name="journal-outline" size={16} color={theme.colors.text.secondary} />
+          <Text style={[styles.headerText, { color: theme.colors.text.secondary }]}>
+            Journal · {format(fromDateKey(entry.date), 'EEEE, MMMM d')}
+          </Text>
+        </View>
+      )}
+      
+      {(mood || hasSleep) && (
+        <View style={styles.row}>
+          {mood && (
+            <View style={styles.stat} accessibilityLabel={`Mood: ${mood.label}`}>
+              <Icon name={mood.icon} size={18} color={mood.color} />
+              <Text style={[styles.statText, { color: theme.colors.text.primary }]}>{mood.label}</Text>
+            </View>
+          )}
+          {hasSleep && (
+            <View style={styles.stat} accessibilityLabel={`Slept ${entry.sleepHours} hours`}>
+              <Icon name="moon-outline" size={18} color={theme.colors.primary.main} />
+              <Text style={[styles.statText, { color: theme.colors.text.primary }]}>
+                {entry.sleepHours}h sleep
+              </Text>
+            </View>
+          )}
+        </View>
+      )}
+      
+      {symptoms.map(symptom => (
+        <View
+          key={symptom.name}
+          style={styles.symptom}
+          accessible
+          accessibilityLabel={`${symptom.name}, severity ${symptom.severity} out of ${MAX_SYMPTOM_SEVERITY}`}
+        >
+          <Text style={[styles.symptomName, { color: theme.colors.text.primary }]} numberOfLines={1}>
+            {symptom.name}
+          </Text>
+          <View style={[styles.severityTrack, { backgroundColor: theme.colors.divider }]}>
+            <View
+              style={[
+                styles.severityFill,
+                {
+                  width: `${(symptom.severity / MAX_SYMPTOM_SEVERITY) * 100}%`,
+                  backgroundColor: symptom.severity >= 7 ? theme.colors.error.main : theme.colors.warning.main,
+                }
+              ]}
+            />
+          </View>
+          <Text style={[styles.severityText, { color: theme.colors.text.secondary }]}>
+            {symptom.severity}/{MAX_SYMPTOM_SEVERITY}
+          </Text>
+        </View>
+      ))}
+      
+      {medications.length > 0 && (
+        <View style={styles.medications}>
+          <Icon name="medkit-outline" size={16} color={theme.colors.text.secondary} />
+          <Text style={[styles.medicationsText, { color: theme.colors.text.secondary }]}>
+            Took {medications.join(', ')}
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 12,
+    padding: 12,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  headerText: {
+    fontSize: 13,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  stat: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  statText: {
+    fontSize: 14,
+    marginLeft: 4,
+  },
+  symptom: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  symptomName: {
+    width: 110,
+    fontSize: 14,
+  },
+  severityTrack: {
+    flex: 1,
+    height: 6,
+    borderRadius: 3,
+    overflow: 'hidden',
+    marginHorizontal: 8,
+  },
+  severityFill: {
+    height: '100%',
+    borderRadius: 3,
+  },
+  severityText: {
+    width: 36,
+    fontSize: 13,
+    textAlign: 'right',
+  },
+  medications: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 2,
+  },
+  medicationsText: {
+    flex: 1,
+    fontSize: 13,
+    marginLeft: 6,
+  },
+});
+
+export default JournalEntrySummary;
@@ -0,0 +1,73 @@
+// src/components/social/LinkedText.js
+// Text with tappable @mentions and #hashtags
+
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+import { splitHashtags } from '../../utils/hashtags';
+import { splitMentions } from '../../utils/mentions';
+import { useTheme } from '../../theme/ThemeContext';
+
+/**
+ * Render text, turning each mention and hashtag into a link
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Caption, comment or message text
+ * @param {Array<Object>} props.mentions - Mention entities stored with the text
+ * @param {Object} props.style - Style for the whole text
+ * @param {Object} props.linkStyle - Extra style for mentions and hashtags
+ * @param {Function} props.onPressMention - Called with the mention entity when one is tapped
+ * @param {Function} props.onPressHashtag - Called with the normalized hashtag when one is tapped
+ */
+const LinkedText = ({ text, mentions = [], style, linkStyle, onPressMention, onPressHashtag, ...props }) => {
+  const { theme } = useTheme();
+  const linkStyles = [styles.link, { color: theme.colors.primary.main }, linkStyle];
+  
+  // Mentions are split out first so a # inside a name isn't treated as a hashtag
+  const segments = splitMentions(text, mentions || []).flatMap(segment => (
+    segment.mention ? [segment] : splitHashtags(segment.text)
+  ));
+  
+  return (
+    <Text style={style} {...props}>
+      {segments.map((segment, index) => {
+        if (segment.mention) {
+          return (
+            <Text
+              key={index}
+              style={linkStyles}
+              onPress={onPressMention ? () => onPressMention(segment.mention) : undefined}
+              accessibilityRole="link"
+              accessibilityLabel={`Mention of ${segment.mention.name}`}
+            >
+              {segment.text}
+            </Text>
+          );
+        }
+        
+        if (segment.hashtag) {
+          return (
+            <Text
+              key={index}
+              style={linkStyles}
+              onPress={onPressHashtag ? () => onPressHashtag(segment.hashtag) : undefined}
+              accessibilityRole="link"
+              accessibilityLabel={`Hashtag ${segment.hashtag}`}
+            >
+              {segment.text}
+            </Text>
+          );
+        }
+        
+        return segment.text;
+      })}
+    </Text>
+  );
+};
+
+const styles = StyleSheet.create({
+  link: {
+    fontWeight: '500',
+  },
+});
+
+export default LinkedText;
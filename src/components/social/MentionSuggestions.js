@@ -0,0 +1,111 @@
+// src/components/social/MentionSuggestions.js
+// List of people to @mention, shown above or below a text input while typing
+
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import FastImage from 'react-native-fast-image';
+import { useTheme } from '../../theme/ThemeContext';
+
+/**
+ * Mention suggestions
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.suggestions - Users from MentionService.searchUsers
+ * @param {Function} props.onSelect - Called with the chosen user
+ * @param {Object} props.style - Additional styles to apply
+ */
+const MentionSuggestions = ({ suggestions, onSelect, style }) => {
+  const { theme } = useTheme();
+  
+  if (!suggestions || suggestions.length === 0) return null;
+  
+  return (
+    <View
+      style={[
+        styles.container,
+        { backgroundColor: theme.colors.background.paper, borderColor: theme.colors.border },
+        style
+      ]}
+      accessibilityRole="menu"
+      accessibilityLabel="People you can mention"
+    >
+      {suggestions.map((user, index) => (
+        <TouchableOpacity
+          key={user.id}
+          style={[
+            styles.row,
+            index < suggestions.length - 1 && { borderBottomWidth: 1, borderBottomColor: theme.colors.divider }
+          ]}
+          onPress={() => onSelect(user)}
+          accessibilityRole="menuitem"
+          accessibilityLabel={`Mention ${user.name}`}
+        >
+          {user.profileImageURL ? (
+            <FastImage
+              style={styles.avatar}
+              source={{ uri: user.profileImageURL }}
+              resizeMode={FastImage.resizeMode.cover}
+            />
+          ) : (
+            <View style={[styles.avatar, styles.placeholderAvatar, { backgroundColor: theme.colors.gray[400] }]}>
+              <Icon name="person" size={14} color="#FFF" />
+            </View>
+          )}
+          <View style={styles.info}>
+            <Text style={[styles.name, { color: theme.colors.text.primary }]} numberOfLines={1}>
+              {user.name}
+            </Text>
+            {(user.inThread || user.following) && (
+              <Text style={[styles.context, { color: theme.colors.text.secondary }]}>
+                {user.inThread ? 'In this conversation' : 'Following'}
+              </Text>
+            )}
+          </View>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderWidth: 1,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  avatar: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+  },
+  placeholderAvatar: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  name: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  context: {
+    fontSize: 12,
+    marginTop: 1,
+  },
+});
+
+export default MentionSuggestions;
@@ -0,0 +1,252 @@
+// src/components/social/PostInsightsSheet.js
+// Bottom sheet showing a post's author how far it reached and how people engaged with it
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Modal
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import auth from '@react-native-firebase/auth';
+import { format } from 'date-fns';
+import { useTheme } from '../../theme/ThemeContext';
+import BarChart from '../ui/BarChart';
+import { PostInsightsService, INSIGHTS_CHART_DAYS } from '../../services/FirebaseService';
+
+const STATS = [
+  { key: 'impressions', label: 'Impressions', icon: 'eye-outline' },
+  { key: 'uniqueViewers', label: 'Unique viewers', icon: 'people-outline' },
+  { key: 'reactions', label: 'Reactions', icon: 'heart-outline' },
+  { key: 'comments', label: 'Comments', icon: 'chatbubble-outline' },
+  { key: 'shares', label: 'Shares', icon: 'share-outline' },
+  { key: 'bookmarks', label: 'Bookmarks', icon: 'bookmark-outline' },
+  { key: 'reshares', label: 'Reshares', icon: 'repeat' },
+];
+
+/**
+ * Sheet with a post's impressions, reach and engagement. Only the author can load it.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {string} props.postId - Post ID
+ * @param {Function} props.onClose - Called when the sheet is dismissed
+ */
+const PostInsightsSheet = ({ visible, postId, onClose }) => {
+  const { theme } = useTheme();
+  
+  const [insights, setInsights] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  
+  // Reload each time the sheet opens so the numbers are current
+  useEffect(() => {
+    if (!visible) return;
+    
+    let isMounted = true;
+    setLoading(true);
+    setError(null);
+    
+    PostInsightsService.getPostInsights(postId, auth().currentUser.uid)
+      .then(results => {
+        if (isMounted) setInsights(results);
+      })
+      .catch(loadError => {
+        console.error('Error loading post insights:', loadError);
+        if (isMounted) setError('Could not load insights. Please try again.');
+      })
+      .finally(() => {
+        if (isMounted) setLoading(false);
+      });
+    
+    return () => {
+      isMounted = false;
+    };
+  }, [visible, postId]);
+  
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <View style={styles.messageContainer}>
+          <ActivityIndicator size="small" color={theme.colors.primary.main} />
+        </View>
+      );
+    }
+    
+    if (error || !insights) {
+      return (
+        <View style={styles.messageContainer}>
+          <Text style={[styles.messageText, { color: theme.colors.text.secondary }]}>
+            {error}
+          </Text>
+        </View>
+      );
+    }
+    
+    const chartData = insights.daily.map(point => ({
+      label: format(point.date, 'd/M'),
+      value: point.impressions,
+    }));
+    
+    return (
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.statsGrid}>
+          {STATS.map(stat => (
+            <View
+              key={stat.key}
+              style={[styles.stat, { backgroundColor: theme.colors.background.input }]}
+              accessible
+              accessibilityLabel={`${stat.label}: ${insights[stat.key]}`}
+            >
+              <Icon name={stat.icon} size={18} color={theme.colors.primary.main} />
+              <Text style={[styles.statValue, { color: theme.colors.text.primary }]}>
+                {insights[stat.key]}
+              </Text>
+              <Text style={[styles.statLabel, { color: theme.colors.text.secondary }]}>
+                {stat.label}
+              </Text>
+            </View>
+          ))}
+        </View>
+        
+        <Text style={[styles.engagement, { color: theme.colors.text.secondary }]}>
+          Engagement rate{' '}
+          <Text style={[styles.engagementValue, { color: theme.colors.text.primary }]}>
+            {(insights.engagementRate * 100).toFixed(1)}%
+          </Text>
+          {' '}of impressions
+        </Text>
+        
+        <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>
+          Impressions, last {INSIGHTS_CHART_DAYS} days
+        </Text>
+        <BarChart
+          data={chartData}
+          height={160}
+          labelEvery={2}
+          showValues
+          accessibilityLabel={`Daily impressions for the last ${INSIGHTS_CHART_DAYS} days, ${insights.impressions} in total`}
+        />
+        
+        <Text style={[styles.footnote, { color: theme.colors.text.hint }]}>
+          Each person counts once a day. Your own views aren't counted.
+        </Text>
+      </ScrollView>
+    );
+  };
+  
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <TouchableOpacity style={styles.backdrop} onPress={onClose} accessibilityLabel="Close" />
+        
+        <View style={[styles.sheet, { backgroundColor: theme.colors.background.paper }]}>
+          <View style={styles.header}>
+            <Text style={[styles.title, { color: theme.colors.text.primary }]}>
+              Post insights
+            </Text>
+            <TouchableOpacity
+              onPress={onClose}
+              accessibilityLabel="Close"
+              accessibilityRole="button"
+            >
+              <Icon name="close" size={24} color={theme.colors.text.secondary} />
+            </TouchableOpacity>
+          </View>
+          
+          {renderContent()}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  backdrop: {
+    flex: 1,
+  },
+  sheet: {
+    maxHeight: '85%',
+    minHeight: 240,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingTop: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  messageContainer: {
+    paddingVertical: 40,
+    alignItems: 'center',
+  },
+  messageText: {
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  content: {
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  statsGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  stat: {
+    width: '31%',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 10,
+    marginBottom: 8,
+  },
+  statValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 4,
+  },
+  statLabel: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  engagement: {
+    fontSize: 14,
+    marginTop: 8,
+  },
+  engagementValue: {
+    fontWeight: 'bold',
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  footnote: {
+    fontSize: 12,
+    marginTop: 12,
+  },
+});
+
+export default PostInsightsSheet;
@@ -1,9 +1,10 @@
 // src/components/social/PostMedia.js
 // Component for displaying post media (images/videos) with carousel for multiple items
 
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { 
   View, 
+  Text,
   StyleSheet, 
   ScrollView, 
   TouchableOpacity, 
@@ -14,6 +15,8 @@ import {
 import CachedImage from '../ui/CachedImage';
 import VideoPlayer from '../ui/VideoPlayer';
 import { useTheme } from '../../theme/ThemeContext';
+import { useUser } from '../../contexts/UserContext';
+import { formatContentWarnings, DEFAULT_SENSITIVE_MEDIA_PREFERENCE } from '../../constants/contentWarnings';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 
 const { width: screenWidth } = Dimensions.get('window');
@@ -22,7 +25,8 @@ const { width: screenWidth } = Dimensions.get('window');
  * Component for displaying post media (images/videos) with carousel for multiple items
  * 
  * @param {Object} props - Component props
- * @param {Array} props.media - Array of media objects
+ * @param {Array} props.media - Array of media objects ({ type, url, thumbnail, blurhash, width, height, altText })
+ * @param {Array<string>} props.contentWarnings - Content warning types the author added to the post
  * @param {boolean} props.allowFullscreen - Whether to allow fullscreen mode
  * @param {Function} props.onFullscreen - Callback when fullscreen is requested
  * @param {Function} props.onMediaPress - Callback when media is pressed
@@ -42,22 +46,41 @@ const PostMedia = ({
   autoPlayVideos = false,
   showControls = true,
   onLoad,
+  contentWarnings = [],
 }) => {
   const { theme } = useTheme();
+  const { userData } = useUser();
   const [activeIndex, setActiveIndex] = useState(0);
   const [loaded, setLoaded] = useState(Array(media.length).fill(false));
   const [error, setError] = useState(Array(media.length).fill(false));
+  const [altTextIndex, setAltTextIndex] = useState(null);
+  const [revealed, setRevealed] = useState(false);
   const scrollViewRef = useRef(null);
   
+  // Reset per-item state when a different set of media is passed in
+  useEffect(() => {
+    setActiveIndex(0);
+    setLoaded(Array(media.length).fill(false));
+    setError(Array(media.length).fill(false));
+    setAltTextIndex(null);
+  }, [media.length]);
+  
   // Skip rendering if no media
   if (!media || media.length === 0) return null;
   
+  // PostCard drops posts for members who hide sensitive media, so anything but "show" means blur
+  const sensitiveMediaPreference = userData?.sensitiveMediaPreference || DEFAULT_SENSITIVE_MEDIA_PREFERENCE;
+  const contentWarning = contentWarnings?.length > 0 && sensitiveMediaPreference !== 'show' && !revealed
+    ? formatContentWarnings(contentWarnings)
+    : null;
+  
   // Handle scroll event to update active index
   const handleScroll = (event) => {
     const contentOffset = event.nativeEvent.contentOffset;
     const index = Math.round(contentOffset.x / screenWidth);
     if (index !== activeIndex) {
       setActiveIndex(index);
+      setAltTextIndex(null);
     }
   };
   
@@ -123,12 +146,52 @@ const PostMedia = ({
             ]}
             onPress={() => scrollToIndex(index)}
             activeOpacity={0.8}
+            accessibilityRole="button"
+            accessibilityLabel={`Show item ${index + 1} of ${media.length}`}
+            accessibilityState={{ selected: index === activeIndex }}
           />
         ))}
       </View>
     );
   };
   
+  // Render position counter for carousel
+  const renderCounter = () => {
+    if (media.length <= 1) return null;
+    
+    return (
+      <View style={styles.counter} pointerEvents="none">
+        <Text style={styles.counterText}>{activeIndex + 1}/{media.length}</Text>
+      </View>
+    );
+  };
+  
+  // Render alt text badge and its expanded description
+  const renderAltText = (altText, index) => {
+    if (!altText) return null;
+    
+    const expanded = altTextIndex === index;
+    
+    return (
+      <>
+        <TouchableOpacity
+          style={styles.altBadge}
+          onPress={() => setAltTextIndex(expanded ? null : index)}
+          accessibilityRole="button"
+          accessibilityLabel={expanded ? 'Hide image description' : 'Show image description'}
+        >
+          <Text style={styles.altBadgeText}>ALT</Text>
+        </TouchableOpacity>
+        
+        {expanded && (
+          <View style={styles.altTextContainer}>
+            <Text style={styles.altText}>{altText}</Text>
+          </View>
+        )}
+      </>
+    );
+  };
+  
   // Determine container dimensions
   const containerDimensions = {
     width: screenWidth,
@@ -137,7 +200,7 @@ const PostMedia = ({
   
   // Render media item
   const renderMediaItem = (item, index) => {
-    const { type, url, thumbnail, width: mediaWidth, height: mediaHeight } = item;
+    const { type, url, thumbnail, blurhash, altText, width: mediaWidth, height: mediaHeight } = item;
     
     // Skip rendering if no URL
     if (!url) return null;
@@ -159,14 +222,27 @@ const PostMedia = ({
       itemDimensions.height = Math.min(screenWidth * (1 / aspectRatio), maxHeight);
     }
     
-    // Loading indicator
-    if (!loaded[index] && !error[index]) {
+    const accessibilityLabel = altText || 
+      `${type === 'video' ? 'Video' : 'Image'} ${index + 1} of ${media.length}`;
+    
+    // Loading indicator shown over the item until it reports loaded
+    const loadingOverlay = !loaded[index] && !error[index] ? (
+      <View style={styles.loadingOverlay} pointerEvents="none">
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    ) : null;
+    
+    // Sensitive media stays behind its warning until revealed, whatever its type
+    if (contentWarning) {
       return (
-        <View 
-          key={`${url}-${index}`}
-          style={[styles.mediaItem, { width: screenWidth, alignItems: 'center', justifyContent: 'center' }]}
-        >
-          <ActivityIndicator size="large" color={theme.colors.primary.main} />
+        <View key={`${url}-${index}`} style={[styles.mediaItem, { width: screenWidth }]}>
+          <CachedImage
+            source={{ uri: type === 'video' ? thumbnail : url }}
+            blurhash={blurhash}
+            style={[styles.image, itemDimensions]}
+            contentWarning={contentWarning}
+            onReveal={() => setRevealed(true)}
+          />
         </View>
       );
     }
@@ -177,6 +253,7 @@ const PostMedia = ({
           key={`${url}-${index}`}
           style={[styles.mediaItem, { width: screenWidth }]}
           onPress={() => handleMediaPress(index)}
+          accessibilityLabel={accessibilityLabel}
         >
           <VideoPlayer
             source={{ uri: url }}
@@ -190,6 +267,8 @@ const PostMedia = ({
             onFullscreen={() => handleFullscreenRequest(index)}
             resizeMode="contain"
           />
+          {loadingOverlay}
+          {renderAltText(altText, index)}
         </Pressable>
       );
     }
@@ -199,9 +278,12 @@ const PostMedia = ({
         key={`${url}-${index}`}
         style={[styles.mediaItem, { width: screenWidth }]}
         onPress={() => handleMediaPress(index)}
+        accessibilityRole="image"
+        accessibilityLabel={accessibilityLabel}
       >
         <CachedImage
           source={{ uri: url }}
+          blurhash={blurhash}
           style={[styles.image, itemDimensions]}
           resizeMode="contain"
           onLoad={() => handleMediaLoad(index)}
@@ -209,6 +291,8 @@ const PostMedia = ({
           showLoader
         />
         
+        {renderAltText(altText, index)}
+        
         {allowFullscreen && (
           <TouchableOpacity
             style={[
@@ -239,6 +323,7 @@ const PostMedia = ({
         {media.map(renderMediaItem)}
       </ScrollView>
       
+      {renderCounter()}
       {renderDots()}
     </View>
   );
@@ -285,6 +370,53 @@ const styles = StyleSheet.create({
     marginHorizontal: 4,
     borderWidth: 1,
   },
+  loadingOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  counter: {
+    position: 'absolute',
+    top: 10,
+    left: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  counterText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  altBadge: {
+    position: 'absolute',
+    bottom: 24,
+    left: 10,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  altBadgeText: {
+    color: 'white',
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
+  altTextContainer: {
+    position: 'absolute',
+    left: 10,
+    right: 10,
+    bottom: 50,
+    padding: 8,
+    borderRadius: 6,
+    backgroundColor: 'rgba(0, 0, 0, 0.75)',
+  },
+  altText: {
+    color: 'white',
+    fontSize: 13,
+    lineHeight: 18,
+  },
   fullscreenButton: {
     position: 'absolute',
     top: 10,
@@ -0,0 +1,305 @@
+// src/components/social/PostPoll.js
+// Component for voting in poll posts and showing results as percentage bars
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { formatDistanceToNow } from 'date-fns';
+import auth from '@react-native-firebase/auth';
+import { PostService } from '../../services/FirebaseService';
+import { useTheme } from '../../theme/ThemeContext';
+
+/**
+ * Read a poll's closing time, which may be a Firestore Timestamp or a
+ * plain object/number once the post has been cached
+ * @param {*} closesAt - Stored closing time
+ * @returns {Date|null} Closing date
+ */
+const getCloseDate = (closesAt) => {
+  if (!closesAt) return null;
+  if (typeof closesAt.toDate === 'function') return closesAt.toDate();
+  if (typeof closesAt.seconds === 'number') return new Date(closesAt.seconds * 1000);
+  if (typeof closesAt._seconds === 'number') return new Date(closesAt._seconds * 1000);
+  return new Date(closesAt);
+};
+
+/**
+ * Component for voting in a poll
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.postId - ID of the poll post
+ * @param {Object} props.poll - Poll data ({ options, voteCounts, voterCount, multipleChoice, closesAt })
+ */
+const PostPoll = ({ postId, poll: initialPoll }) => {
+  const { theme } = useTheme();
+  const currentUserId = auth().currentUser?.uid;
+  
+  const [poll, setPoll] = useState(initialPoll);
+  const [userVote, setUserVote] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [loadingVote, setLoadingVote] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const isMounted = useRef(true);
+  
+  const closeDate = getCloseDate(poll.closesAt);
+  const isClosed = !!closeDate && closeDate <= new Date();
+  const showResults = !!userVote || isClosed;
+  
+  useEffect(() => {
+    return () => {
+      isMounted.current = false;
+    };
+  }, []);
+  
+  // Pick up new tallies when the post is refreshed
+  useEffect(() => {
+    setPoll(initialPoll);
+  }, [initialPoll]);
+  
+  // Check whether the current user has already voted
+  useEffect(() => {
+    if (!currentUserId) {
+      setLoadingVote(false);
+      return;
+    }
+    
+    PostService.getPollVote(postId, currentUserId)
+      .then(optionIds => {
+        if (isMounted.current) setUserVote(optionIds);
+      })
+      .catch(error => console.error('Error loading poll vote:', error))
+      .finally(() => {
+        if (isMounted.current) setLoadingVote(false);
+      });
+  }, [postId, currentUserId]);
+  
+  const toggleOption = (optionId) => {
+    if (poll.multipleChoice) {
+      setSelectedIds(prev => (
+        prev.includes(optionId) ? prev.filter(id => id !== optionId) : [...prev, optionId]
+      ));
+    } else {
+      setSelectedIds([optionId]);
+    }
+  };
+  
+  const handleVote = async () => {
+    if (selectedIds.length === 0 || submitting || !currentUserId) return;
+    
+    setSubmitting(true);
+    try {
+      const updatedPoll = await PostService.votePoll(postId, currentUserId, selectedIds);
+      
+      if (isMounted.current) {
+        setPoll(updatedPoll);
+        setUserVote(selectedIds);
+      }
+    } catch (error) {
+      console.error('Error voting in poll:', error);
+      Alert.alert('Error', error.message || 'Could not submit your vote');
+    } finally {
+      if (isMounted.current) setSubmitting(false);
+    }
+  };
+  
+  // Percentages are of voters, so multi-choice options can add up to more than 100%
+  const getPercentage = (optionId) => {
+    if (!poll.voterCount) return 0;
+    return Math.round(((poll.voteCounts?.[optionId] || 0) / poll.voterCount) * 100);
+  };
+  
+  const renderResult = (option) => {
+    const percentage = getPercentage(option.id);
+    const isUserChoice = userVote?.includes(option.id);
+    
+    return (
+      <View
+        key={option.id}
+        style={[styles.resultRow, { backgroundColor: theme.colors.background.input }]}
+        accessibilityLabel={`${option.text}, ${percentage} percent${isUserChoice ? ', your vote' : ''}`}
+      >
+        <View
+          style={[
+            styles.resultBar,
+            {
+              width: `${percentage}%`,
+              backgroundColor: isUserChoice ? theme.colors.primary.light : theme.colors.gray[300],
+            }
+          ]}
+        />
+        <View style={styles.resultContent}>
+          <Text style={[styles.optionText, { color: theme.colors.text.primary }]} numberOfLines={2}>
+            {option.text}
+          </Text>
+          {isUserChoice && (
+            <Icon name="checkmark-circle" size={16} color={theme.colors.primary.main} style={styles.choiceIcon} />
+          )}
+          <Text style={[styles.percentageText, { color: theme.colors.text.primary }]}>
+            {percentage}%
+          </Text>
+        </View>
+      </View>
+    );
+  };
+  
+  const renderOption = (option) => {
+    const isSelected = selectedIds.includes(option.id);
+    
+    return (
+      <TouchableOpacity
+        key={option.id}
+        style={[
+          styles.optionButton,
+          { borderColor: isSelected ? theme.colors.primary.main : theme.colors.border }
+        ]}
+        onPress={() => toggleOption(option.id)}
+        disabled={submitting}
+        accessibilityRole={poll.multipleChoice ? 'checkbox' : 'radio'}
+        accessibilityState={{ checked: isSelected }}
+      >
+        <Icon
+          name={poll.multipleChoice
+            ? (isSelected ? 'checkbox' : 'square-outline')
+            : (isSelected ? 'radio-button-on' : 'radio-button-off')}
+          size={20}
+          color={isSelected ? theme.colors.primary.main : theme.colors.text.secondary}
+        />
+        <Text style={[styles.optionText, styles.optionLabel, { color: theme.colors.text.primary }]}>
+          {option.text}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+  
+  const getFooterText = () => {
+    const votes = `${poll.voterCount || 0} ${poll.voterCount === 1 ? 'vote' : 'votes'}`;
+    
+    if (isClosed) return `${votes} · Final results`;
+    if (closeDate) return `${votes} · Closes ${formatDistanceToNow(closeDate, { addSuffix: true })}`;
+    return votes;
+  };
+  
+  if (loadingVote) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="small" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  return (
+    <View style={styles.container}>
+      {!showResults && poll.multipleChoice && (
+        <Text style={[styles.hintText, { color: theme.colors.text.secondary }]}>
+          Select all that apply
+        </Text>
+      )}
+      
+      {poll.options.map(option => (showResults ? renderResult(option) : renderOption(option)))}
+      
+      {!showResults && (
+        <TouchableOpacity
+          style={[
+            styles.voteButton,
+            { backgroundColor: selectedIds.length > 0 ? theme.colors.primary.main : theme.colors.action.disabledBackground }
+          ]}
+          onPress={handleVote}
+          disabled={selectedIds.length === 0 || submitting}
+          accessibilityRole="button"
+        >
+          {submitting ? (
+            <ActivityIndicator size="small" color="white" />
+          ) : (
+            <Text style={styles.voteButtonText}>Vote</Text>
+          )}
+        </TouchableOpacity>
+      )}
+      
+      <Text style={[styles.footerText, { color: theme.colors.text.secondary }]}>
+        {getFooterText()}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 12,
+    paddingBottom: 12,
+  },
+  loadingContainer: {
+    paddingVertical: 20,
+    alignItems: 'center',
+  },
+  hintText: {
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  optionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 8,
+  },
+  optionText: {
+    flex: 1,
+    fontSize: 15,
+  },
+  optionLabel: {
+    marginLeft: 10,
+  },
+  resultRow: {
+    borderRadius: 8,
+    marginBottom: 8,
+    overflow: 'hidden',
+    justifyContent: 'center',
+    minHeight: 42,
+  },
+  resultBar: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    left: 0,
+  },
+  resultContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+  },
+  choiceIcon: {
+    marginHorizontal: 6,
+  },
+  percentageText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  voteButton: {
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  voteButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  footerText: {
+    fontSize: 12,
+    marginTop: 8,
+  },
+});
+
+export default PostPoll;
@@ -0,0 +1,167 @@
+// src/components/social/QuotePostModal.js
+// Composer for quoting a post with commentary above the embedded original
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  Modal,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import auth from '@react-native-firebase/auth';
+import EmbeddedPost from './EmbeddedPost';
+import { PostService, MAX_QUOTE_LENGTH } from '../../services/FirebaseService';
+import { useTheme } from '../../theme/ThemeContext';
+
+/**
+ * Modal for writing a quote post
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the composer is shown
+ * @param {Object} props.post - Post being quoted
+ * @param {Function} props.onClose - Called when the composer is dismissed
+ * @param {Function} props.onPosted - Called with the new post's ID once published
+ */
+const QuotePostModal = ({ visible, post, onClose, onPosted }) => {
+  const { theme } = useTheme();
+  
+  const [quote, setQuote] = useState('');
+  const [posting, setPosting] = useState(false);
+  
+  // Quoting a plain reshare quotes the post it reshared
+  const quotedPostId = post.type === 'reshare' ? post.originalPostId : post.id;
+  const quotedUserId = post.type === 'reshare' ? post.originalUserId : post.userId;
+  
+  useEffect(() => {
+    if (visible) setQuote('');
+  }, [visible]);
+  
+  const handlePost = async () => {
+    if (!quote.trim() || posting) return;
+    
+    setPosting(true);
+    try {
+      const postId = await PostService.resharePost(quotedPostId, auth().currentUser.uid, quote);
+      onPosted?.(postId);
+      onClose();
+    } catch (error) {
+      console.error('Error quoting post:', error);
+      Alert.alert('Error', error.message || 'Could not publish your quote');
+    } finally {
+      setPosting(false);
+    }
+  };
+  
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={[styles.container, { backgroundColor: theme.colors.background.paper }]}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={[styles.header, { borderBottomColor: theme.colors.divider }]}>
+          <TouchableOpacity
+            onPress={onClose}
+            accessibilityLabel="Cancel"
+            accessibilityRole="button"
+          >
+            <Icon name="close" size={24} color={theme.colors.text.primary} />
+          </TouchableOpacity>
+          <Text style={[styles.title, { color: theme.colors.text.primary }]}>
+            Quote Post
+          </Text>
+          <TouchableOpacity
+            style={[
+              styles.postButton,
+              { backgroundColor: theme.colors.primary.main },
+              (!quote.trim() || posting) && { opacity: 0.5 }
+            ]}
+            onPress={handlePost}
+            disabled={!quote.trim() || posting}
+            accessibilityRole="button"
+          >
+            {posting ? (
+              <ActivityIndicator size="small" color="white" />
+            ) : (
+              <Text style={styles.postButtonText}>Post</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+        
+        <ScrollView keyboardShouldPersistTaps="handled">
+          <TextInput
+            style={[styles.input, { color: theme.colors.text.primary }]}
+            value={quote}
+            onChangeText={setQuote}
+            placeholder="Add your thoughts..."
+            placeholderTextColor={theme.colors.text.hint}
+            multiline
+            autoFocus
+            maxLength={MAX_QUOTE_LENGTH}
+            accessibilityLabel="Quote commentary"
+          />
+          <Text style={[styles.counter, { color: theme.colors.text.secondary }]}>
+            {quote.length}/{MAX_QUOTE_LENGTH}
+          </Text>
+          
+          <EmbeddedPost postId={quotedPostId} userId={quotedUserId} />
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  postButton: {
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+    minWidth: 64,
+    alignItems: 'center',
+  },
+  postButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  input: {
+    minHeight: 100,
+    fontSize: 16,
+    padding: 16,
+    textAlignVertical: 'top',
+  },
+  counter: {
+    fontSize: 12,
+    textAlign: 'right',
+    paddingHorizontal: 16,
+    marginBottom: 12,
+  },
+});
+
+export default QuotePostModal;
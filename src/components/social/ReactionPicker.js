@@ -0,0 +1,101 @@
+// src/components/social/ReactionPicker.js
+// Popup row of reactions shown when the react button is long-pressed
+
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  Modal
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { useTheme } from '../../theme/ThemeContext';
+import { REACTIONS } from '../../constants/reactions';
+
+/**
+ * Picker for choosing a reaction
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the picker is shown
+ * @param {string|null} props.selectedType - The user's current reaction
+ * @param {Function} props.onSelect - Called with the chosen reaction type
+ * @param {Function} props.onClose - Called when the picker is dismissed
+ */
+const ReactionPicker = ({ visible, selectedType, onSelect, onClose }) => {
+  const { theme } = useTheme();
+  
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay}>
+          <TouchableWithoutFeedback>
+            <View style={[styles.container, { backgroundColor: theme.colors.background.paper }]}>
+              {REACTIONS.map(reaction => {
+                const isSelected = reaction.type === selectedType;
+                
+                return (
+                  <TouchableOpacity
+                    key={reaction.type}
+                    style={[
+                      styles.reactionButton,
+                      isSelected && { backgroundColor: theme.colors.background.input }
+                    ]}
+                    onPress={() => onSelect(reaction.type)}
+                    accessibilityRole="button"
+                    accessibilityLabel={reaction.label}
+                    accessibilityState={{ selected: isSelected }}
+                  >
+                    <Icon name={reaction.icon} size={28} color={reaction.color} />
+                    <Text style={[styles.reactionLabel, { color: theme.colors.text.secondary }]}>
+                      {reaction.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </TouchableWithoutFeedback>
+        </View>
+      </TouchableWithoutFeedback>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  container: {
+    flexDirection: 'row',
+    borderRadius: 32,
+    paddingVertical: 8,
+    paddingHorizontal: 6,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  reactionButton: {
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    borderRadius: 20,
+  },
+  reactionLabel: {
+    fontSize: 11,
+    marginTop: 4,
+  },
+});
+
+export default ReactionPicker;
@@ -0,0 +1,277 @@
+// src/components/social/ReactionsSheet.js
+// Bottom sheet listing who reacted to a post, filterable by reaction
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  Image,
+  ActivityIndicator,
+  Modal
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { PostService } from '../../services/FirebaseService';
+import { useTheme } from '../../theme/ThemeContext';
+import { REACTIONS, getReaction } from '../../constants/reactions';
+
+const ALL_FILTER = 'all';
+
+/**
+ * Sheet showing the breakdown of reactions on a post
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {string} props.postId - ID of the post
+ * @param {Object} props.reactionCounts - Count per reaction type
+ * @param {Function} props.onClose - Called when the sheet is dismissed
+ */
+const ReactionsSheet = ({ visible, postId, reactionCounts = {}, onClose }) => {
+  const { theme } = useTheme();
+  
+  const [reactions, setReactions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [filter, setFilter] = useState(ALL_FILTER);
+  
+  // Reload each time the sheet opens so it reflects recent reactions
+  useEffect(() => {
+    if (!visible) return;
+    
+    let isMounted = true;
+    setFilter(ALL_FILTER);
+    setLoading(true);
+    
+    PostService.getReactions(postId)
+      .then(results => {
+        if (isMounted) setReactions(results);
+      })
+      .catch(error => console.error('Error loading reactions:', error))
+      .finally(() => {
+        if (isMounted) setLoading(false);
+      });
+    
+    return () => {
+      isMounted = false;
+    };
+  }, [visible, postId]);
+  
+  const total = Object.values(reactionCounts).reduce((sum, count) => sum + (count || 0), 0);
+  const tabs = REACTIONS.filter(reaction => reactionCounts[reaction.type] > 0);
+  const visibleReactions = filter === ALL_FILTER
+    ? reactions
+    : reactions.filter(reaction => reaction.type === filter);
+  
+  const renderTab = (key, label, count, icon, color) => {
+    const isActive = filter === key;
+    
+    return (
+      <TouchableOpacity
+        key={key}
+        style={[
+          styles.tab,
+          isActive && { borderBottomColor: theme.colors.primary.main }
+        ]}
+        onPress={() => setFilter(key)}
+        accessibilityRole="tab"
+        accessibilityState={{ selected: isActive }}
+        accessibilityLabel={`${label}, ${count}`}
+      >
+        {icon && <Icon name={icon} size={16} color={color} style={styles.tabIcon} />}
+        <Text style={[
+          styles.tabText,
+          { color: isActive ? theme.colors.primary.main : theme.colors.text.secondary }
+        ]}>
+          {icon ? count : `${label} ${count}`}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+  
+  const renderReactionItem = ({ item }) => {
+    const reaction = getReaction(item.type);
+    
+    return (
+      <View style={styles.reactionItem}>
+        <View>
+          {item.userProfileImageURL ? (
+            <Image source={{ uri: item.userProfileImageURL }} style={styles.avatar} />
+          ) : (
+            <View style={[styles.avatar, styles.placeholderAvatar, { backgroundColor: theme.colors.gray[300] }]}>
+              <Icon name="person" size={18} color="white" />
+            </View>
+          )}
+          {reaction && (
+            <View style={[styles.reactionBadge, { backgroundColor: theme.colors.background.paper }]}>
+              <Icon name={reaction.icon} size={12} color={reaction.color} />
+            </View>
+          )}
+        </View>
+        <Text style={[styles.userName, { color: theme.colors.text.primary }]} numberOfLines={1}>
+          {item.userFullName || 'Unknown user'}
+        </Text>
+        {reaction && (
+          <Text style={[styles.reactionLabel, { color: reaction.color }]}>
+            {reaction.label}
+          </Text>
+        )}
+      </View>
+    );
+  };
+  
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <TouchableOpacity style={styles.backdrop} onPress={onClose} accessibilityLabel="Close" />
+        
+        <View style={[styles.sheet, { backgroundColor: theme.colors.background.paper }]}>
+          <View style={styles.header}>
+            <Text style={[styles.title, { color: theme.colors.text.primary }]}>
+              Reactions
+            </Text>
+            <TouchableOpacity
+              onPress={onClose}
+              accessibilityLabel="Close"
+              accessibilityRole="button"
+            >
+              <Icon name="close" size={24} color={theme.colors.text.secondary} />
+            </TouchableOpacity>
+          </View>
+          
+          <View style={[styles.tabs, { borderBottomColor: theme.colors.divider }]}>
+            {renderTab(ALL_FILTER, 'All', total)}
+            {tabs.map(reaction => renderTab(
+              reaction.type,
+              reaction.label,
+              reactionCounts[reaction.type],
+              reaction.icon,
+              reaction.color
+            ))}
+          </View>
+          
+          {loading ? (
+            <View style={styles.loadingContainer}>
+              <ActivityIndicator size="small" color={theme.colors.primary.main} />
+            </View>
+          ) : (
+            <FlatList
+              data={visibleReactions}
+              keyExtractor={item => item.id}
+              renderItem={renderReactionItem}
+              contentContainerStyle={styles.listContent}
+              ListEmptyComponent={
+                <Text style={[styles.emptyText, { color: theme.colors.text.secondary }]}>
+                  No reactions yet
+                </Text>
+              }
+            />
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  backdrop: {
+    flex: 1,
+  },
+  sheet: {
+    maxHeight: '70%',
+    minHeight: 280,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingTop: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  tabs: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    paddingHorizontal: 8,
+  },
+  tab: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 10,
+    borderBottomWidth: 2,
+    borderBottomColor: 'transparent',
+  },
+  tabIcon: {
+    marginRight: 4,
+  },
+  tabText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  loadingContainer: {
+    paddingVertical: 40,
+    alignItems: 'center',
+  },
+  listContent: {
+    paddingVertical: 8,
+  },
+  reactionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+  },
+  placeholderAvatar: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  reactionBadge: {
+    position: 'absolute',
+    right: -4,
+    bottom: -4,
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  userName: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '500',
+    marginLeft: 12,
+  },
+  reactionLabel: {
+    fontSize: 13,
+    marginLeft: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: 'center',
+    paddingVertical: 40,
+  },
+});
+
+export default ReactionsSheet;
@@ -0,0 +1,268 @@
+// src/components/social/SaveToCollectionModal.js
+// Bottom sheet for saving a post into one of the user's bookmark collections
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Modal,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import auth from '@react-native-firebase/auth';
+import BookmarkService, { MAX_COLLECTION_NAME_LENGTH } from '../../services/BookmarkService';
+import { useTheme } from '../../theme/ThemeContext';
+
+/**
+ * Sheet for choosing where to save a post
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {Object} props.post - Post being saved
+ * @param {Function} props.onClose - Called when the sheet is dismissed
+ */
+const SaveToCollectionModal = ({ visible, post, onClose }) => {
+  const { theme } = useTheme();
+  const userId = auth().currentUser?.uid;
+  
+  const [collections, setCollections] = useState(BookmarkService.collections);
+  const [bookmark, setBookmark] = useState(null);
+  const [newCollectionName, setNewCollectionName] = useState('');
+  const [saving, setSaving] = useState(false);
+  
+  useEffect(() => {
+    if (!visible || !userId) return;
+    
+    setNewCollectionName('');
+    BookmarkService.load(userId).then(() => {
+      setCollections(BookmarkService.collections);
+      setBookmark(BookmarkService.getBookmark(post.id));
+    });
+  }, [visible, userId, post.id]);
+  
+  const handleSave = async (collectionId) => {
+    if (saving) return;
+    
+    setSaving(true);
+    try {
+      await BookmarkService.saveBookmark(userId, post, collectionId);
+      onClose();
+    } catch (error) {
+      console.error('Error saving post:', error);
+      Alert.alert('Error', 'Could not save this post. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const handleCreateCollection = async () => {
+    if (saving || !newCollectionName.trim()) return;
+    
+    setSaving(true);
+    try {
+      const collection = await BookmarkService.createCollection(userId, newCollectionName);
+      await BookmarkService.saveBookmark(userId, post, collection.id);
+      onClose();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not create the collection');
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const handleRemove = async () => {
+    setSaving(true);
+    try {
+      await BookmarkService.removeBookmark(userId, post.id);
+      onClose();
+    } catch (error) {
+      console.error('Error removing saved post:', error);
+      Alert.alert('Error', 'Could not remove this post from Saved. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const renderOption = (collectionId, label, icon) => {
+    const isCurrent = !!bookmark && bookmark.collectionId === collectionId;
+    
+    return (
+      <TouchableOpacity
+        key={collectionId || 'none'}
+        style={[styles.option, { borderBottomColor: theme.colors.divider }]}
+        onPress={() => handleSave(collectionId)}
+        disabled={saving}
+        accessibilityRole="button"
+        accessibilityLabel={`Save to ${label}`}
+        accessibilityState={{ selected: isCurrent }}
+      >
+        <Icon name={icon} size={22} color={theme.colors.text.secondary} />
+        <Text style={[styles.optionText, { color: theme.colors.text.primary }]} numberOfLines={1}>
+          {label}
+        </Text>
+        {isCurrent && (
+          <Icon name="checkmark" size={20} color={theme.colors.primary.main} />
+        )}
+      </TouchableOpacity>
+    );
+  };
+  
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <TouchableOpacity style={styles.backdrop} onPress={onClose} accessibilityLabel="Close" />
+        
+        <View style={[styles.sheet, { backgroundColor: theme.colors.background.paper }]}>
+          <View style={styles.header}>
+            <Text style={[styles.title, { color: theme.colors.text.primary }]}>
+              {bookmark ? 'Move Saved Post' : 'Save Post'}
+            </Text>
+            <TouchableOpacity
+              onPress={onClose}
+              accessibilityLabel="Close"
+              accessibilityRole="button"
+            >
+              <Icon name="close" size={24} color={theme.colors.text.secondary} />
+            </TouchableOpacity>
+          </View>
+          
+          <ScrollView style={styles.optionsList} keyboardShouldPersistTaps="handled">
+            {renderOption(null, 'Saved (no collection)', 'bookmark-outline')}
+            {collections.map(collection => renderOption(collection.id, collection.name, 'folder-outline'))}
+          </ScrollView>
+          
+          <View style={styles.newCollectionRow}>
+            <TextInput
+              style={[
+                styles.newCollectionInput,
+                {
+                  color: theme.colors.text.primary,
+                  backgroundColor: theme.colors.background.input,
+                }
+              ]}
+              value={newCollectionName}
+              onChangeText={setNewCollectionName}
+              placeholder="New collection, e.g. Questions for my doctor"
+              placeholderTextColor={theme.colors.text.hint}
+              maxLength={MAX_COLLECTION_NAME_LENGTH}
+              returnKeyType="done"
+              onSubmitEditing={handleCreateCollection}
+              accessibilityLabel="New collection name"
+            />
+            <TouchableOpacity
+              style={[
+                styles.createButton,
+                { backgroundColor: theme.colors.primary.main },
+                !newCollectionName.trim() && { opacity: 0.5 }
+              ]}
+              onPress={handleCreateCollection}
+              disabled={saving || !newCollectionName.trim()}
+              accessibilityRole="button"
+              accessibilityLabel="Create collection and save"
+            >
+              <Icon name="add" size={22} color="white" />
+            </TouchableOpacity>
+          </View>
+          
+          {bookmark && (
+            <TouchableOpacity
+              style={styles.removeButton}
+              onPress={handleRemove}
+              disabled={saving}
+              accessibilityRole="button"
+            >
+              <Icon name="trash-outline" size={18} color={theme.colors.error.main} />
+              <Text style={[styles.removeButtonText, { color: theme.colors.error.main }]}>
+                Remove from Saved
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  backdrop: {
+    flex: 1,
+  },
+  sheet: {
+    maxHeight: '75%',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  optionsList: {
+    flexGrow: 0,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+  },
+  optionText: {
+    flex: 1,
+    fontSize: 16,
+    marginLeft: 12,
+  },
+  newCollectionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  newCollectionInput: {
+    flex: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+  },
+  createButton: {
+    width: 42,
+    height: 42,
+    borderRadius: 21,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  removeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    marginTop: 8,
+  },
+  removeButtonText: {
+    fontSize: 15,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
+});
+
+export default SaveToCollectionModal;
@@ -0,0 +1,63 @@
+// src/components/social/TextDiff.js
+// Inline word diff between two versions of a text, for moderators reviewing edits
+
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+import { diffWords } from '../../utils/textDiff';
+import { useTheme } from '../../theme/ThemeContext';
+
+/**
+ * Show removed words struck through and added words highlighted
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.before - Earlier version
+ * @param {string} props.after - Later version
+ * @param {Object} props.style - Style for the whole text
+ */
+const TextDiff = ({ before, after, style }) => {
+  const { theme } = useTheme();
+  
+  return (
+    <Text style={[{ color: theme.colors.text.primary }, style]}>
+      {diffWords(before || '', after || '').map((segment, index) => {
+        if (segment.type === 'removed') {
+          return (
+            <Text
+              key={index}
+              style={[styles.removed, { color: theme.colors.error.main }]}
+              accessibilityLabel={`Removed: ${segment.text}`}
+            >
+              {segment.text}
+            </Text>
+          );
+        }
+        
+        if (segment.type === 'added') {
+          return (
+            <Text
+              key={index}
+              style={[styles.added, { color: theme.colors.success.dark }]}
+              accessibilityLabel={`Added: ${segment.text}`}
+            >
+              {segment.text}
+            </Text>
+          );
+        }
+        
+        return segment.text;
+      })}
+    </Text>
+  );
+};
+
+const styles = StyleSheet.create({
+  removed: {
+    textDecorationLine: 'line-through',
+    backgroundColor: 'rgba(244, 67, 54, 0.12)',
+  },
+  added: {
+    backgroundColor: 'rgba(76, 175, 80, 0.15)',
+  },
+});
+
+export default TextDiff;
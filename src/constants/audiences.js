@@ -0,0 +1,16 @@
+// src/constants/audiences.js
+// Who a post is shown to, in the order they appear in the audience picker
+
+export const AUDIENCES = [
+  { type: 'public', label: 'Public', icon: 'earth', description: 'Anyone on HealthConnect' },
+  { type: 'followers', label: 'Followers only', icon: 'people', description: 'People who follow you' },
+  { type: 'community', label: 'Condition community', icon: 'medkit', description: 'Members living with a condition you choose' },
+  { type: 'private', label: 'Only me', icon: 'lock-closed', description: 'Nobody else can see this post' },
+];
+
+export const AUDIENCE_TYPES = AUDIENCES.map(audience => audience.type);
+
+// Posts created before audiences existed were visible to everyone
+export const DEFAULT_AUDIENCE = 'public';
+
+export const getAudience = (type) => AUDIENCES.find(audience => audience.type === type) || null;
@@ -0,0 +1,13 @@
+// src/constants/communities.js
+// How people join a condition community, in the order they appear when setting one up
+
+export const COMMUNITY_MEMBERSHIPS = [
+  { type: 'open', label: 'Public', icon: 'earth', description: 'Anyone can join and read posts' },
+  { type: 'approval', label: 'Approval required', icon: 'shield-checkmark', description: 'Moderators approve new members, and only members can read posts' },
+];
+
+export const COMMUNITY_MEMBERSHIP_TYPES = COMMUNITY_MEMBERSHIPS.map(membership => membership.type);
+
+export const DEFAULT_COMMUNITY_MEMBERSHIP = 'open';
+
+export const getCommunityMembership = (type) => COMMUNITY_MEMBERSHIPS.find(membership => membership.type === type) || null;
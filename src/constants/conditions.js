@@ -0,0 +1,98 @@
+// src/constants/conditions.js
+// Bundled catalog of health conditions. Profiles, events, communities and post
+// audiences store the stable `code`; names and synonyms are only for display and matching.
+
+// Bump when codes are added or merged so stored free text is mapped again
+export const CONDITION_CATALOG_VERSION = 1;
+
+// Languages with bundled condition names; anything else falls back to English
+export const CONDITION_LANGUAGES = ['en', 'es', 'fr'];
+
+export const CONDITION_CATEGORIES = [
+  { code: 'endocrine', names: { en: 'Endocrine & metabolic', es: 'Endocrinas y metabólicas', fr: 'Endocriniennes et métaboliques' } },
+  { code: 'cardiovascular', names: { en: 'Heart & circulation', es: 'Corazón y circulación', fr: 'Cœur et circulation' } },
+  { code: 'respiratory', names: { en: 'Lungs & breathing', es: 'Pulmones y respiración', fr: 'Poumons et respiration' } },
+  { code: 'neurological', names: { en: 'Brain & nerves', es: 'Cerebro y nervios', fr: 'Cerveau et nerfs' } },
+  { code: 'mental_health', names: { en: 'Mental health', es: 'Salud mental', fr: 'Santé mentale' } },
+  { code: 'autoimmune', names: { en: 'Autoimmune & rheumatic', es: 'Autoinmunes y reumáticas', fr: 'Auto-immunes et rhumatismales' } },
+  { code: 'digestive', names: { en: 'Digestive', es: 'Digestivas', fr: 'Digestives' } },
+  { code: 'cancer', names: { en: 'Cancer', es: 'Cáncer', fr: 'Cancer' } },
+  { code: 'pain', names: { en: 'Chronic pain & fatigue', es: 'Dolor crónico y fatiga', fr: 'Douleur chronique et fatigue' } },
+  { code: 'kidney', names: { en: 'Kidney & urinary', es: 'Riñón y vías urinarias', fr: 'Reins et voies urinaires' } },
+  { code: 'other', names: { en: 'Other', es: 'Otras', fr: 'Autres' } },
+];
+
+export const CONDITIONS = [
+  // Endocrine & metabolic
+  { code: 'type_1_diabetes', category: 'endocrine', icd10: 'E10', names: { en: 'Type 1 Diabetes', es: 'Diabetes tipo 1', fr: 'Diabète de type 1' }, synonyms: ['T1D', 'T1DM', 'diabetes type I', 'juvenile diabetes', 'insulin-dependent diabetes'] },
+  { code: 'type_2_diabetes', category: 'endocrine', icd10: 'E11', names: { en: 'Type 2 Diabetes', es: 'Diabetes tipo 2', fr: 'Diabète de type 2' }, synonyms: ['T2D', 'T2DM', 'diabetes type II', 'adult-onset diabetes'] },
+  { code: 'diabetes', category: 'endocrine', icd10: 'E14', names: { en: 'Diabetes', es: 'Diabetes', fr: 'Diabète' }, synonyms: ['diabetes mellitus', 'DM'] },
+  { code: 'hashimotos', category: 'endocrine', icd10: 'E06.3', names: { en: 'Hashimoto\'s Thyroiditis', es: 'Tiroiditis de Hashimoto', fr: 'Thyroïdite de Hashimoto' }, synonyms: ['Hashimotos', 'Hashimoto\'s', 'Hashimoto', 'autoimmune thyroiditis'] },
+  { code: 'hypothyroidism', category: 'endocrine', icd10: 'E03', names: { en: 'Hypothyroidism', es: 'Hipotiroidismo', fr: 'Hypothyroïdie' }, synonyms: ['underactive thyroid'] },
+  { code: 'hyperthyroidism', category: 'endocrine', icd10: 'E05', names: { en: 'Hyperthyroidism', es: 'Hipertiroidismo', fr: 'Hyperthyroïdie' }, synonyms: ['overactive thyroid', 'Graves disease', 'Graves\' disease'] },
+  { code: 'pcos', category: 'endocrine', icd10: 'E28.2', names: { en: 'Polycystic Ovary Syndrome', es: 'Síndrome de ovario poliquístico', fr: 'Syndrome des ovaires polykystiques' }, synonyms: ['PCOS', 'SOP', 'SOPK'] },
+  
+  // Heart & circulation
+  { code: 'hypertension', category: 'cardiovascular', icd10: 'I10', names: { en: 'Hypertension', es: 'Hipertensión', fr: 'Hypertension' }, synonyms: ['high blood pressure', 'HBP', 'HTN'] },
+  { code: 'atrial_fibrillation', category: 'cardiovascular', icd10: 'I48', names: { en: 'Atrial Fibrillation', es: 'Fibrilación auricular', fr: 'Fibrillation auriculaire' }, synonyms: ['AFib', 'AF', 'A-fib'] },
+  { code: 'heart_disease', category: 'cardiovascular', icd10: 'I51.9', names: { en: 'Heart Disease', es: 'Enfermedad cardíaca', fr: 'Maladie cardiaque' }, synonyms: ['cardiovascular disease', 'CVD', 'coronary artery disease', 'CAD'] },
+  { code: 'heart_failure', category: 'cardiovascular', icd10: 'I50', names: { en: 'Heart Failure', es: 'Insuficiencia cardíaca', fr: 'Insuffisance cardiaque' }, synonyms: ['CHF', 'congestive heart failure'] },
+  { code: 'pots', category: 'cardiovascular', icd10: 'G90.A', names: { en: 'POTS', es: 'POTS', fr: 'POTS' }, synonyms: ['postural orthostatic tachycardia syndrome', 'postural tachycardia'] },
+  
+  // Lungs & breathing
+  { code: 'asthma', category: 'respiratory', icd10: 'J45', names: { en: 'Asthma', es: 'Asma', fr: 'Asthme' }, synonyms: [] },
+  { code: 'copd', category: 'respiratory', icd10: 'J44', names: { en: 'COPD', es: 'EPOC', fr: 'BPCO' }, synonyms: ['chronic obstructive pulmonary disease', 'emphysema', 'chronic bronchitis'] },
+  { code: 'cystic_fibrosis', category: 'respiratory', icd10: 'E84', names: { en: 'Cystic Fibrosis', es: 'Fibrosis quística', fr: 'Mucoviscidose' }, synonyms: ['CF'] },
+  { code: 'long_covid', category: 'respiratory', icd10: 'U09.9', names: { en: 'Long COVID', es: 'COVID persistente', fr: 'COVID long' }, synonyms: ['post-COVID syndrome', 'PASC', 'long haul covid'] },
+  
+  // Brain & nerves
+  { code: 'migraine', category: 'neurological', icd10: 'G43', names: { en: 'Migraine', es: 'Migraña', fr: 'Migraine' }, synonyms: ['migraines', 'chronic migraine'] },
+  { code: 'multiple_sclerosis', category: 'neurological', icd10: 'G35', names: { en: 'Multiple Sclerosis', es: 'Esclerosis múltiple', fr: 'Sclérose en plaques' }, synonyms: ['MS', 'EM', 'SEP'] },
+  { code: 'epilepsy', category: 'neurological', icd10: 'G40', names: { en: 'Epilepsy', es: 'Epilepsia', fr: 'Épilepsie' }, synonyms: ['seizure disorder'] },
+  { code: 'parkinsons', category: 'neurological', icd10: 'G20', names: { en: 'Parkinson\'s Disease', es: 'Enfermedad de Parkinson', fr: 'Maladie de Parkinson' }, synonyms: ['Parkinsons', 'Parkinson\'s', 'PD'] },
+  { code: 'vertigo', category: 'neurological', icd10: 'R42', names: { en: 'Vertigo', es: 'Vértigo', fr: 'Vertige' }, synonyms: ['dizziness', 'BPPV'] },
+  
+  // Mental health
+  { code: 'anxiety', category: 'mental_health', icd10: 'F41', names: { en: 'Anxiety', es: 'Ansiedad', fr: 'Anxiété' }, synonyms: ['anxiety disorder', 'GAD', 'generalized anxiety disorder'] },
+  { code: 'depression', category: 'mental_health', icd10: 'F32', names: { en: 'Depression', es: 'Depresión', fr: 'Dépression' }, synonyms: ['major depressive disorder', 'MDD', 'clinical depression'] },
+  { code: 'bipolar_disorder', category: 'mental_health', icd10: 'F31', names: { en: 'Bipolar Disorder', es: 'Trastorno bipolar', fr: 'Trouble bipolaire' }, synonyms: ['bipolar', 'manic depression'] },
+  { code: 'adhd', category: 'mental_health', icd10: 'F90', names: { en: 'ADHD', es: 'TDAH', fr: 'TDAH' }, synonyms: ['attention deficit hyperactivity disorder', 'ADD', 'attention deficit disorder'] },
+  { code: 'ptsd', category: 'mental_health', icd10: 'F43.1', names: { en: 'PTSD', es: 'TEPT', fr: 'TSPT' }, synonyms: ['post-traumatic stress disorder', 'post traumatic stress'] },
+  { code: 'ocd', category: 'mental_health', icd10: 'F42', names: { en: 'OCD', es: 'TOC', fr: 'TOC' }, synonyms: ['obsessive-compulsive disorder'] },
+  { code: 'eating_disorder', category: 'mental_health', icd10: 'F50', names: { en: 'Eating Disorder', es: 'Trastorno alimentario', fr: 'Trouble alimentaire' }, synonyms: ['anorexia', 'bulimia', 'binge eating disorder', 'ED'] },
+  
+  // Autoimmune & rheumatic
+  { code: 'rheumatoid_arthritis', category: 'autoimmune', icd10: 'M06.9', names: { en: 'Rheumatoid Arthritis', es: 'Artritis reumatoide', fr: 'Polyarthrite rhumatoïde' }, synonyms: ['RA'] },
+  { code: 'osteoarthritis', category: 'autoimmune', icd10: 'M19.9', names: { en: 'Osteoarthritis', es: 'Artrosis', fr: 'Arthrose' }, synonyms: ['OA', 'degenerative joint disease'] },
+  { code: 'arthritis', category: 'autoimmune', icd10: 'M13', names: { en: 'Arthritis', es: 'Artritis', fr: 'Arthrite' }, synonyms: [] },
+  { code: 'lupus', category: 'autoimmune', icd10: 'M32', names: { en: 'Lupus', es: 'Lupus', fr: 'Lupus' }, synonyms: ['SLE', 'systemic lupus erythematosus', 'LES'] },
+  { code: 'psoriasis', category: 'autoimmune', icd10: 'L40', names: { en: 'Psoriasis', es: 'Psoriasis', fr: 'Psoriasis' }, synonyms: ['psoriatic arthritis', 'PsA'] },
+  { code: 'celiac_disease', category: 'autoimmune', icd10: 'K90.0', names: { en: 'Celiac Disease', es: 'Enfermedad celíaca', fr: 'Maladie cœliaque' }, synonyms: ['coeliac disease', 'celiac', 'coeliac'] },
+  
+  // Digestive
+  { code: 'crohns_disease', category: 'digestive', icd10: 'K50', names: { en: 'Crohn\'s Disease', es: 'Enfermedad de Crohn', fr: 'Maladie de Crohn' }, synonyms: ['Crohns', 'Crohn\'s', 'Crohn disease'] },
+  { code: 'ulcerative_colitis', category: 'digestive', icd10: 'K51', names: { en: 'Ulcerative Colitis', es: 'Colitis ulcerosa', fr: 'Rectocolite hémorragique' }, synonyms: ['UC'] },
+  { code: 'ibs', category: 'digestive', icd10: 'K58', names: { en: 'Irritable Bowel Syndrome', es: 'Síndrome del intestino irritable', fr: 'Syndrome de l\'intestin irritable' }, synonyms: ['IBS', 'SII'] },
+  { code: 'gerd', category: 'digestive', icd10: 'K21', names: { en: 'Acid Reflux (GERD)', es: 'Reflujo ácido (ERGE)', fr: 'Reflux gastro-œsophagien (RGO)' }, synonyms: ['GERD', 'GORD', 'acid reflux', 'heartburn'] },
+  
+  // Cancer
+  { code: 'cancer', category: 'cancer', icd10: 'C80', names: { en: 'Cancer', es: 'Cáncer', fr: 'Cancer' }, synonyms: ['malignancy', 'tumor', 'tumour'] },
+  { code: 'breast_cancer', category: 'cancer', icd10: 'C50', names: { en: 'Breast Cancer', es: 'Cáncer de mama', fr: 'Cancer du sein' }, synonyms: [] },
+  { code: 'prostate_cancer', category: 'cancer', icd10: 'C61', names: { en: 'Prostate Cancer', es: 'Cáncer de próstata', fr: 'Cancer de la prostate' }, synonyms: [] },
+  { code: 'lung_cancer', category: 'cancer', icd10: 'C34', names: { en: 'Lung Cancer', es: 'Cáncer de pulmón', fr: 'Cancer du poumon' }, synonyms: [] },
+  { code: 'colorectal_cancer', category: 'cancer', icd10: 'C18', names: { en: 'Colorectal Cancer', es: 'Cáncer colorrectal', fr: 'Cancer colorectal' }, synonyms: ['colon cancer', 'bowel cancer'] },
+  
+  // Chronic pain & fatigue
+  { code: 'fibromyalgia', category: 'pain', icd10: 'M79.7', names: { en: 'Fibromyalgia', es: 'Fibromialgia', fr: 'Fibromyalgie' }, synonyms: ['FM', 'fibro'] },
+  { code: 'chronic_fatigue_syndrome', category: 'pain', icd10: 'G93.3', names: { en: 'ME/CFS', es: 'EM/SFC', fr: 'EM/SFC' }, synonyms: ['chronic fatigue syndrome', 'CFS', 'myalgic encephalomyelitis', 'ME'] },
+  { code: 'chronic_back_pain', category: 'pain', icd10: 'M54.5', names: { en: 'Chronic Back Pain', es: 'Dolor de espalda crónico', fr: 'Mal de dos chronique' }, synonyms: ['back pain', 'lower back pain'] },
+  { code: 'endometriosis', category: 'pain', icd10: 'N80', names: { en: 'Endometriosis', es: 'Endometriosis', fr: 'Endométriose' }, synonyms: ['endo'] },
+  
+  // Kidney & urinary
+  { code: 'chronic_kidney_disease', category: 'kidney', icd10: 'N18', names: { en: 'Chronic Kidney Disease', es: 'Enfermedad renal crónica', fr: 'Maladie rénale chronique' }, synonyms: ['CKD', 'kidney disease', 'renal failure'] },
+  
+  // Other
+  { code: 'hiv', category: 'other', icd10: 'B20', names: { en: 'HIV', es: 'VIH', fr: 'VIH' }, synonyms: ['HIV/AIDS', 'AIDS'] },
+  { code: 'sickle_cell_disease', category: 'other', icd10: 'D57', names: { en: 'Sickle Cell Disease', es: 'Anemia de células falciformes', fr: 'Drépanocytose' }, synonyms: ['sickle cell anemia', 'SCD'] },
+  { code: 'eds', category: 'other', icd10: 'Q79.6', names: { en: 'Ehlers-Danlos Syndrome', es: 'Síndrome de Ehlers-Danlos', fr: 'Syndrome d\'Ehlers-Danlos' }, synonyms: ['EDS', 'hEDS'] },
+];
@@ -0,0 +1,29 @@
+// src/constants/contentWarnings.js
+// Content warning labels authors can add to sensitive media, and how each member wants them shown
+
+export const CONTENT_WARNINGS = [
+  { type: 'medical', label: 'Medical imagery' },
+  { type: 'blood', label: 'Blood' },
+  { type: 'wounds', label: 'Wounds or scars' },
+  { type: 'needles', label: 'Needles' },
+  { type: 'surgery', label: 'Surgery' },
+];
+
+export const CONTENT_WARNING_TYPES = CONTENT_WARNINGS.map(warning => warning.type);
+
+export const getContentWarning = (type) => CONTENT_WARNINGS.find(warning => warning.type === type) || null;
+
+// Readable summary of a post's warnings, e.g. "Medical imagery, Blood"
+export const formatContentWarnings = (types = []) => types
+  .map(type => getContentWarning(type)?.label)
+  .filter(Boolean)
+  .join(', ');
+
+export const SENSITIVE_MEDIA_PREFERENCES = [
+  { type: 'show', label: 'Always show', description: 'Show sensitive media without a warning' },
+  { type: 'blur', label: 'Blur', description: 'Blur sensitive media until you tap to reveal it' },
+  { type: 'hide', label: 'Hide', description: 'Hide posts with sensitive media entirely' },
+];
+
+// Members who haven't picked a setting see sensitive media blurred
+export const DEFAULT_SENSITIVE_MEDIA_PREFERENCE = 'blur';
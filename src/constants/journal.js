@@ -0,0 +1,40 @@
+// src/constants/journal.js
+// Options for private health journal entries
+
+// Moods from worst to best, in the order they appear in the entry form
+export const JOURNAL_MOODS = [
+  { value: 'awful', label: 'Awful', icon: 'sad-outline', color: '#E53935' },
+  { value: 'bad', label: 'Bad', icon: 'cloudy-outline', color: '#FB8C00' },
+  { value: 'okay', label: 'Okay', icon: 'remove-circle-outline', color: '#FDD835' },
+  { value: 'good', label: 'Good', icon: 'happy-outline', color: '#7CB342' },
+  { value: 'great', label: 'Great', icon: 'sunny-outline', color: '#43A047' },
+];
+
+export const JOURNAL_MOOD_VALUES = JOURNAL_MOODS.map(mood => mood.value);
+
+export const getJournalMood = (value) => JOURNAL_MOODS.find(mood => mood.value === value) || null;
+
+// Symptoms offered as quick picks; members can type any other symptom
+export const COMMON_SYMPTOMS = [
+  'Pain',
+  'Fatigue',
+  'Headache',
+  'Nausea',
+  'Dizziness',
+  'Anxiety',
+  'Brain fog',
+  'Shortness of breath',
+  'Joint stiffness',
+  'Insomnia',
+];
+
+export const MIN_SYMPTOM_SEVERITY = 0;
+export const MAX_SYMPTOM_SEVERITY = 10;
+
+export const MAX_SLEEP_HOURS = 24;
+
+export const MAX_JOURNAL_SYMPTOMS = 20;
+export const MAX_JOURNAL_MEDICATIONS = 20;
+export const MAX_JOURNAL_PHOTOS = 4;
+export const MAX_JOURNAL_NOTES_LENGTH = 5000;
+export const MAX_JOURNAL_ITEM_NAME_LENGTH = 60;
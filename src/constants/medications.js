@@ -0,0 +1,37 @@
+// src/constants/medications.js
+// Medication schedules, dose outcomes and reminder timing
+
+// Ways a medication can be scheduled, in the order they appear in the form
+export const MEDICATION_SCHEDULE_TYPES = [
+  { type: 'daily', label: 'Every day' },
+  { type: 'weekdays', label: 'Specific days' },
+  { type: 'interval', label: 'Every few hours' },
+];
+
+export const MEDICATION_SCHEDULE_TYPE_VALUES = MEDICATION_SCHEDULE_TYPES.map(option => option.type);
+
+// Sunday first, matching Date.getDay()
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const DOSE_INTERVAL_HOURS = [2, 3, 4, 6, 8, 12];
+
+// What happened to a scheduled dose
+export const DOSE_STATUSES = [
+  { status: 'taken', label: 'Taken', icon: 'checkmark-circle', color: '#43A047' },
+  { status: 'skipped', label: 'Skipped', icon: 'remove-circle', color: '#FB8C00' },
+  { status: 'missed', label: 'Missed', icon: 'alert-circle', color: '#E53935' },
+];
+
+export const getDoseStatus = (status) => DOSE_STATUSES.find(option => option.status === status) || null;
+
+export const MAX_MEDICATION_NAME_LENGTH = 60;
+export const MAX_MEDICATION_DOSE_LENGTH = 40;
+export const MAX_DOSE_TIMES = 8;
+
+// A dose nobody answered counts as missed this long after it was due
+export const MISSED_DOSE_AFTER_HOURS = 2;
+
+export const SNOOZE_MINUTES = 10;
+
+// Dose outcomes older than this are dropped
+export const DOSE_HISTORY_DAYS = 90;
@@ -0,0 +1,15 @@
+// src/constants/mentionPolicies.js
+// Who may @mention a user, in the order they appear in privacy settings
+
+export const MENTION_POLICIES = [
+  { type: 'everyone', label: 'Everyone', description: 'Anyone on HealthConnect can mention you' },
+  { type: 'following', label: 'People you follow', description: 'Only people you follow can mention you' },
+  { type: 'nobody', label: 'No one', description: 'Nobody can mention you' },
+];
+
+export const MENTION_POLICY_TYPES = MENTION_POLICIES.map(policy => policy.type);
+
+// Users who haven't picked a setting can be mentioned by anyone
+export const DEFAULT_MENTION_POLICY = 'everyone';
+
+export const getMentionPolicy = (type) => MENTION_POLICIES.find(policy => policy.type === type) || null;
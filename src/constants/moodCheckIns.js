@@ -0,0 +1,48 @@
+// src/constants/moodCheckIns.js
+// Mood scale, emotion tags and trend ranges for mood check-ins
+
+export const MIN_MOOD_SCORE = 1;
+export const MAX_MOOD_SCORE = 5;
+
+// The 1-5 scale, lowest first
+export const MOOD_SCORES = [
+  { score: 1, label: 'Very low', icon: 'sad-outline', color: '#E53935' },
+  { score: 2, label: 'Low', icon: 'cloudy-outline', color: '#FB8C00' },
+  { score: 3, label: 'Okay', icon: 'remove-circle-outline', color: '#FDD835' },
+  { score: 4, label: 'Good', icon: 'partly-sunny-outline', color: '#7CB342' },
+  { score: 5, label: 'Very good', icon: 'happy-outline', color: '#43A047' },
+];
+
+export const getMoodScore = (score) => MOOD_SCORES.find(option => option.score === score) || null;
+
+export const EMOTION_TAGS = [
+  'Calm',
+  'Happy',
+  'Grateful',
+  'Hopeful',
+  'Energetic',
+  'Tired',
+  'Anxious',
+  'Stressed',
+  'Sad',
+  'Lonely',
+  'Irritable',
+  'Overwhelmed',
+  'Numb',
+  'In pain',
+];
+
+export const MAX_EMOTION_TAGS = 6;
+export const MAX_CHECK_IN_NOTE_LENGTH = 1000;
+
+// Trend chart ranges in days. Longer ranges are charted by week so the bars stay readable.
+export const MOOD_TREND_RANGES = [
+  { days: 7, label: '7 days', groupByWeek: false, labelEvery: 1 },
+  { days: 30, label: '30 days', groupByWeek: false, labelEvery: 5 },
+  { days: 90, label: '90 days', groupByWeek: true, labelEvery: 2 },
+];
+
+export const DEFAULT_CHECK_IN_TIME = '20:00';
+
+// A symptom needs to be logged on at least this many days with a check-in to compare moods
+export const MIN_CORRELATION_DAYS = 3;
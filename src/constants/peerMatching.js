@@ -0,0 +1,79 @@
+// src/constants/peerMatching.js
+// Profile details used to suggest peers, and whether a user wants to be suggested
+
+// Where someone is with their conditions, in the order they appear in the profile form
+export const DIAGNOSIS_STAGES = [
+  { type: 'seeking_diagnosis', label: 'Seeking a diagnosis', phrase: 'also seeking a diagnosis' },
+  { type: 'newly_diagnosed', label: 'Newly diagnosed', phrase: 'also newly diagnosed' },
+  { type: 'managing', label: 'Managing for a few years', phrase: 'at a similar stage' },
+  { type: 'long_term', label: 'Living with it for 10+ years', phrase: 'also living with it long-term' },
+  { type: 'caregiver', label: 'Caring for someone', phrase: 'also a caregiver' },
+];
+
+export const DIAGNOSIS_STAGE_TYPES = DIAGNOSIS_STAGES.map(stage => stage.type);
+
+export const getDiagnosisStage = (type) => DIAGNOSIS_STAGES.find(stage => stage.type === type) || null;
+
+// Ordered youngest first so neighbouring ranges can count as a partial match
+export const AGE_RANGES = [
+  { type: '18_24', label: '18–24' },
+  { type: '25_34', label: '25–34' },
+  { type: '35_44', label: '35–44' },
+  { type: '45_54', label: '45–54' },
+  { type: '55_64', label: '55–64' },
+  { type: '65_plus', label: '65+' },
+];
+
+export const AGE_RANGE_TYPES = AGE_RANGES.map(range => range.type);
+
+export const getAgeRange = (type) => AGE_RANGES.find(range => range.type === type) || null;
+
+export const REGIONS = [
+  { type: 'north_america', label: 'North America' },
+  { type: 'latin_america', label: 'Latin America & Caribbean' },
+  { type: 'europe', label: 'Europe' },
+  { type: 'middle_east', label: 'Middle East & North Africa' },
+  { type: 'africa', label: 'Sub-Saharan Africa' },
+  { type: 'asia', label: 'Asia' },
+  { type: 'oceania', label: 'Oceania' },
+];
+
+export const REGION_TYPES = REGIONS.map(region => region.type);
+
+export const getRegion = (type) => REGIONS.find(region => region.type === type) || null;
+
+// Languages people can list on their profile; `name` is used in match explanations
+export const PROFILE_LANGUAGES = [
+  { type: 'en', label: 'English', name: 'English' },
+  { type: 'es', label: 'Español', name: 'Spanish' },
+  { type: 'fr', label: 'Français', name: 'French' },
+  { type: 'pt', label: 'Português', name: 'Portuguese' },
+  { type: 'de', label: 'Deutsch', name: 'German' },
+  { type: 'it', label: 'Italiano', name: 'Italian' },
+  { type: 'zh', label: '中文', name: 'Chinese' },
+  { type: 'ar', label: 'العربية', name: 'Arabic' },
+  { type: 'hi', label: 'हिन्दी', name: 'Hindi' },
+];
+
+export const PROFILE_LANGUAGE_TYPES = PROFILE_LANGUAGES.map(language => language.type);
+
+export const getProfileLanguage = (type) => PROFILE_LANGUAGES.find(language => language.type === type) || null;
+
+// Whether a user appears in other people's peer suggestions
+export const PEER_SUGGESTION_PREFERENCES = [
+  {
+    type: 'on',
+    label: 'Suggest me to others',
+    description: 'People with similar conditions may see you in Explore',
+  },
+  {
+    type: 'off',
+    label: "Don't suggest me",
+    description: 'You won\'t appear in peer suggestions. People can still find you in search',
+  },
+];
+
+export const PEER_SUGGESTION_PREFERENCE_TYPES = PEER_SUGGESTION_PREFERENCES.map(preference => preference.type);
+
+// Users who haven't picked a setting are suggested
+export const DEFAULT_PEER_SUGGESTION_PREFERENCE = 'on';
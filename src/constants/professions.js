@@ -0,0 +1,21 @@
+// src/constants/professions.js
+// Health professions that can be verified, in the order they appear in the application form
+
+export const PROFESSIONS = [
+  { type: 'physician', label: 'Physician', badgeLabel: 'Physician', icon: 'medkit', variant: 'primary' },
+  { type: 'nurse', label: 'Nurse', badgeLabel: 'Nurse', icon: 'pulse', variant: 'info' },
+  { type: 'pharmacist', label: 'Pharmacist', badgeLabel: 'Pharmacist', icon: 'flask', variant: 'success' },
+  { type: 'dietitian', label: 'Dietitian', badgeLabel: 'Dietitian', icon: 'nutrition', variant: 'warning' },
+  { type: 'therapist', label: 'Therapist or psychologist', badgeLabel: 'Therapist', icon: 'chatbubbles', variant: 'secondary' },
+  { type: 'physiotherapist', label: 'Physiotherapist', badgeLabel: 'Physiotherapist', icon: 'body', variant: 'info' },
+];
+
+export const PROFESSION_TYPES = PROFESSIONS.map(profession => profession.type);
+
+export const getProfession = (type) => PROFESSIONS.find(profession => profession.type === type) || null;
+
+// Where an application is in review
+export const VERIFICATION_STATUSES = ['pending', 'approved', 'rejected', 'revoked'];
+
+// Verification lasts this long before the professional has to apply again
+export const VERIFICATION_VALIDITY_MONTHS = 12;
@@ -0,0 +1,30 @@
+// src/constants/reactions.js
+// Reactions users can leave on posts, in the order they appear in the picker
+
+export const REACTIONS = [
+  { type: 'support', label: 'Support', icon: 'heart', color: '#E91E63' },
+  { type: 'hug', label: 'Hug', icon: 'body', color: '#FF9800' },
+  { type: 'helpful', label: 'Helpful', icon: 'bulb', color: '#FFC107' },
+  { type: 'same_here', label: 'Same here', icon: 'people', color: '#2196F3' },
+  { type: 'celebrate', label: 'Celebrate', icon: 'sparkles', color: '#9C27B0' },
+];
+
+export const REACTION_TYPES = REACTIONS.map(reaction => reaction.type);
+
+// Reaction used for a quick tap and for older likes
+export const DEFAULT_REACTION = 'support';
+
+export const getReaction = (type) => REACTIONS.find(reaction => reaction.type === type) || null;
+
+// Likes from before reactions are in likeCount but not reactionCounts, so count them as the default reaction
+export const getReactionCounts = (post) => {
+  const counts = { ...(post.reactionCounts || {}) };
+  const reacted = Object.values(counts).reduce((sum, count) => sum + (count || 0), 0);
+  const legacyLikes = (post.likeCount || 0) - reacted;
+  
+  if (legacyLikes > 0) {
+    counts[DEFAULT_REACTION] = (counts[DEFAULT_REACTION] || 0) + legacyLikes;
+  }
+  
+  return counts;
+};
@@ -6,6 +6,8 @@ import auth from '@react-native-firebase/auth';
 import firestore from '@react-native-firebase/firestore';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { AnalyticsService } from '../services/AnalyticsService';
+import { UserService } from '../services/FirebaseService';
+import { DEFAULT_PEER_SUGGESTION_PREFERENCE } from '../constants/peerMatching';
 
 // Create context
 const UserContext = createContext();
@@ -34,7 +36,12 @@ export const UserProvider = ({ children }) => {
           const userDoc = await firestore().collection('users').doc(authUser.uid).get();
           
           if (userDoc.exists) {
-            const freshUserData = userDoc.data();
+            // Older profiles stored conditions as free text; move them to catalog codes
+            const migratedData = await UserService.migrateConditionCodes(authUser.uid, userDoc.data())
+              .catch(() => userDoc.data());
+            // and didn't store the peer suggestion setting, which suggestions query on
+            const freshUserData = await UserService.migratePeerSuggestions(authUser.uid, migratedData)
+              .catch(() => migratedData);
             setUserData(freshUserData);
             
             // Update cache
@@ -50,6 +57,7 @@ export const UserProvider = ({ children }) => {
               firstName: authUser.displayName?.split(' ')[0] || '',
               lastName: authUser.displayName?.split(' ').slice(1).join(' ') || '',
               profileImageURL: authUser.photoURL || null,
+              peerSuggestions: DEFAULT_PEER_SUGGESTION_PREFERENCE,
               joinDate: firestore.FieldValue.serverTimestamp(),
               createdAt: firestore.FieldValue.serverTimestamp(),
               updatedAt: firestore.FieldValue.serverTimestamp()
@@ -0,0 +1,23 @@
+// src/hooks/useConditionNames.js
+// Custom hook naming catalog conditions in the app's current language
+
+import { useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { getConditionName, getConditionCategoryName } from '../utils/conditions';
+
+/**
+ * Custom hook for showing condition codes as localized names. Re-renders when the language changes.
+ *
+ * @returns {Object} { conditionName, categoryName, language }
+ */
+export const useConditionNames = () => {
+  const { i18n } = useTranslation();
+  const language = i18n.language;
+  
+  const conditionName = useCallback(value => getConditionName(value, language), [language]);
+  const categoryName = useCallback(code => getConditionCategoryName(code, language), [language]);
+  
+  return { conditionName, categoryName, language };
+};
+
+export default useConditionNames;
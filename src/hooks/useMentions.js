@@ -0,0 +1,104 @@
+// src/hooks/useMentions.js
+// Custom hook for @mention autocomplete in a text input
+
+import { useState, useEffect, useCallback } from 'react';
+import auth from '@react-native-firebase/auth';
+import { MentionService } from '../services/FirebaseService';
+import { getMentionQuery, insertMention } from '../utils/mentions';
+
+// Delay after the last keystroke before suggestions are searched
+const SEARCH_DELAY_MS = 250;
+
+/**
+ * Custom hook for @mention autocomplete
+ *
+ * @param {Object} options - Mention options
+ * @param {string} options.text - Current input text
+ * @param {Function} options.setText - Setter for the input text
+ * @param {Array<string>} options.threadUserIds - IDs of people in the thread, ranked first
+ * @param {boolean} options.threadOnly - Only suggest people in the thread
+ * @returns {Object} Suggestions, picked users and props for the TextInput
+ */
+export const useMentions = ({ text, setText, threadUserIds = [], threadOnly = false }) => {
+  const [selection, setSelection] = useState({ start: 0, end: 0 });
+  const [context, setContext] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  // Users picked from suggestions, as { userId, name }
+  const [mentionedUsers, setMentionedUsers] = useState([]);
+  
+  const threadKey = threadUserIds.join(',');
+  
+  // Load who can be suggested whenever the thread changes
+  useEffect(() => {
+    const userId = auth().currentUser?.uid;
+    if (!userId) return;
+    
+    let cancelled = false;
+    
+    MentionService.getMentionContext(userId, { threadUserIds, threadOnly })
+      .then(mentionContext => {
+        if (!cancelled) setContext(mentionContext);
+      })
+      .catch(error => console.error('Error loading mention suggestions:', error));
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [threadKey, threadOnly]);
+  
+  const activeQuery = selection.start === selection.end ? getMentionQuery(text, selection.start) : null;
+  const query = activeQuery ? activeQuery.query : null;
+  
+  useEffect(() => {
+    if (query === null || !context) {
+      setSuggestions([]);
+      return;
+    }
+    
+    let cancelled = false;
+    
+    const timer = setTimeout(async () => {
+      try {
+        const results = await MentionService.searchUsers(query, context);
+        if (!cancelled) setSuggestions(results);
+      } catch (error) {
+        console.error('Error searching mention suggestions:', error);
+      }
+    }, SEARCH_DELAY_MS);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, context]);
+  
+  // Replace the @query being typed with the chosen user's name
+  const selectSuggestion = useCallback((user) => {
+    if (!activeQuery) return;
+    
+    const result = insertMention(text, activeQuery.start, selection.start, user.name);
+    
+    setText(result.text);
+    setSelection({ start: result.cursor, end: result.cursor });
+    setMentionedUsers(prev => [...prev, { userId: user.id, name: user.name }]);
+    setSuggestions([]);
+  }, [activeQuery, text, selection.start, setText]);
+  
+  const clearMentions = useCallback(() => {
+    setMentionedUsers([]);
+    setSuggestions([]);
+  }, []);
+  
+  return {
+    suggestions,
+    selectSuggestion,
+    mentionedUsers,
+    setMentionedUsers,
+    clearMentions,
+    inputProps: {
+      onSelectionChange: (event) => setSelection(event.nativeEvent.selection),
+    },
+  };
+};
+
+export default useMentions;
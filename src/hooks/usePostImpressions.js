@@ -0,0 +1,52 @@
+// src/hooks/usePostImpressions.js
+// Custom hook recording post impressions as posts scroll into view in a FlatList
+
+import { useRef } from 'react';
+import auth from '@react-native-firebase/auth';
+import { format } from 'date-fns';
+import { PostInsightsService } from '../services/FirebaseService';
+
+// A post counts as seen once at least half of it has been on screen for a second
+const VIEWABILITY_CONFIG = {
+  itemVisiblePercentThreshold: 50,
+  minimumViewTime: 1000,
+};
+
+// Impressions already recorded this session, so scrolling back doesn't write again
+const recordedImpressions = new Set();
+
+/**
+ * Custom hook for counting impressions of the posts in a FlatList
+ *
+ * @returns {Object} onViewableItemsChanged and viewabilityConfig props for the FlatList
+ */
+export const usePostImpressions = () => {
+  // FlatList doesn't allow these to change between renders
+  const onViewableItemsChanged = useRef(({ viewableItems }) => {
+    const userId = auth().currentUser?.uid;
+    if (!userId) return;
+    
+    const day = format(new Date(), 'yyyy-MM-dd');
+    
+    viewableItems.forEach(({ item, isViewable }) => {
+      if (!isViewable || !item?.id || item.userId === userId) return;
+      
+      const key = `${userId}_${item.id}_${day}`;
+      if (recordedImpressions.has(key)) return;
+      
+      recordedImpressions.add(key);
+      PostInsightsService.recordImpression(item, userId).catch(error => {
+        // Let the next view try again
+        recordedImpressions.delete(key);
+        console.error('Error recording impression:', error);
+      });
+    });
+  }).current;
+  
+  return {
+    onViewableItemsChanged,
+    viewabilityConfig: VIEWABILITY_CONFIG,
+  };
+};
+
+export default usePostImpressions;
@@ -29,6 +29,24 @@ import ChatListScreen from '../screens/ChatListScreen';
 import ChatScreen from '../screens/ChatScreen';
 import SearchScreen from '../screens/SearchScreen';
 import BlockedUsersScreen from '../screens/BlockedUsersScreen';
+import DraftsScreen from '../screens/DraftsScreen';
+import BookmarksScreen from '../screens/BookmarksScreen';
+import TopicScreen from '../screens/TopicScreen';
+import PrivacySettingsScreen from '../screens/PrivacySettingsScreen';
+import RecentlyDeletedScreen from '../screens/RecentlyDeletedScreen';
+import CommunitiesScreen from '../screens/CommunitiesScreen';
+import CommunityScreen from '../screens/CommunityScreen';
+import EditCommunityScreen from '../screens/EditCommunityScreen';
+import CommunityMembersScreen from '../screens/CommunityMembersScreen';
+import ProfessionalVerificationScreen from '../screens/ProfessionalVerificationScreen';
+import AdminModerationScreen from '../screens/AdminModerationScreen';
+import JournalScreen from '../screens/JournalScreen';
+import JournalEntryScreen from '../screens/JournalEntryScreen';
+import MedicationsScreen from '../screens/MedicationsScreen';
+import EditMedicationScreen from '../screens/EditMedicationScreen';
+import MedicationHistoryScreen from '../screens/MedicationHistoryScreen';
+import MoodScreen from '../screens/MoodScreen';
+import MoodCheckInScreen from '../screens/MoodCheckInScreen';
 
 // Enable react-native-screens for better performance
 enableScreens();
@@ -100,6 +118,14 @@ const FeedStack = () => {
           headerBackTitleVisible: false, 
         }}
       />
+      <Stack.Screen 
+        name="Topic" 
+        component={TopicScreen} 
+        options={({ route }) => ({ 
+          title: `#${route.params?.hashtag || ''}`,
+          headerBackTitleVisible: false,
+        })}
+      />
       <Stack.Screen 
         name="EventDetail" 
         component={EventDetailScreen} 
@@ -120,6 +146,38 @@ const FeedStack = () => {
           headerBackTitleVisible: false,
         })}
       />
+      <Stack.Screen 
+        name="Communities" 
+        component={CommunitiesScreen} 
+        options={{ 
+          title: 'Communities',
+          headerBackTitleVisible: false, 
+        }}
+      />
+      <Stack.Screen 
+        name="Community" 
+        component={CommunityScreen} 
+        options={({ route }) => ({ 
+          title: route.params?.title || 'Community',
+          headerBackTitleVisible: false,
+        })}
+      />
+      <Stack.Screen 
+        name="EditCommunity" 
+        component={EditCommunityScreen} 
+        options={{ 
+          title: 'New Community',
+          headerBackTitleVisible: false, 
+        }}
+      />
+      <Stack.Screen 
+        name="CommunityMembers" 
+        component={CommunityMembersScreen} 
+        options={{ 
+          title: 'Members',
+          headerBackTitleVisible: false, 
+        }}
+      />
     </Stack.Navigator>
   );
 };
@@ -167,6 +225,62 @@ const ExploreStack = () => {
           headerBackTitleVisible: false, 
         }}
       />
+      <Stack.Screen 
+        name="Topic" 
+        component={TopicScreen} 
+        options={({ route }) => ({ 
+          title: `#${route.params?.hashtag || ''}`,
+          headerBackTitleVisible: false,
+        })}
+      />
+      <Stack.Screen 
+        name="Comments" 
+        component={CommentsScreen} 
+        options={({ route }) => ({ 
+          title: route.params?.title || 'Comments',
+          headerBackTitleVisible: false,
+        })}
+      />
+      <Stack.Screen 
+        name="EventDetail" 
+        component={EventDetailScreen} 
+        options={{ 
+          title: 'Event',
+          headerBackTitleVisible: false, 
+        }}
+      />
+      <Stack.Screen 
+        name="Communities" 
+        component={CommunitiesScreen} 
+        options={{ 
+          title: 'Communities',
+          headerBackTitleVisible: false, 
+        }}
+      />
+      <Stack.Screen 
+        name="Community" 
+        component={CommunityScreen} 
+        options={({ route }) => ({ 
+          title: route.params?.title || 'Community',
+          headerBackTitleVisible: false,
+        })}
+      />
+      <Stack.Screen 
+        name="EditCommunity" 
+        component={EditCommunityScreen} 
+        options={{ 
+          title: 'New Community',
+          headerBackTitleVisible: false, 
+        }}
+      />
+      <Stack.Screen 
+        name="CommunityMembers" 
+        component={CommunityMembersScreen} 
+        options={{ 
+          title: 'Members',
+          headerBackTitleVisible: false, 
+        }}
+      />
     </Stack.Navigator>
   );
 };
@@ -257,6 +371,14 @@ const ProfileStack = () => {
           headerBackTitleVisible: false, 
         }}
       />
+      <Stack.Screen 
+        name="PrivacySettings" 
+        component={PrivacySettingsScreen} 
+        options={{ 
+          title: 'Privacy',
+          headerBackTitleVisible: false,
+        }}
+      />
       <Stack.Screen 
         name="BlockedUsers" 
         component={BlockedUsersScreen} 
@@ -265,6 +387,102 @@ const ProfileStack = () => {
           headerBackTitleVisible: false,
         }}
       />
+      <Stack.Screen 
+        name="RecentlyDeleted" 
+        component={RecentlyDeletedScreen} 
+        options={{ 
+          title: 'Recently Deleted',
+          headerBackTitleVisible: false,
+        }}
+      />
+      <Stack.Screen 
+        name="Drafts" 
+        component={DraftsScreen} 
+        options={{ 
+          title: 'Drafts',
+          headerBackTitleVisible: false,
+        }}
+      />
+      <Stack.Screen 
+        name="Bookmarks" 
+        component={BookmarksScreen} 
+        options={{ 
+          title: 'Saved Posts',
+          headerBackTitleVisible: false,
+        }}
+      />
+      <Stack.Screen 
+        name="Journal" 
+        component={JournalScreen} 
+        options={{ 
+          title: 'Health Journal',
+          headerBackTitleVisible: false,
+        }}
+      />
+      <Stack.Screen 
+        name="JournalEntry" 
+        component={JournalEntryScreen} 
+        options={({ route }) => ({ 
+          title: route.params?.entryId ? 'Journal Entry' : 'New Entry',
+          headerBackTitleVisible: false,
+        })}
+      />
+      <Stack.Screen 
+        name="Medications" 
+        component={MedicationsScreen} 
+        options={{ 
+          title: 'Medications',
+          headerBackTitleVisible: false,
+        }}
+      />
+      <Stack.Screen 
+        name="EditMedication" 
+        component={EditMedicationScreen} 
+        options={({ route }) => ({ 
+          title: route.params?.medicationId ? 'Edit Medication' : 'Add Medication',
+          headerBackTitleVisible: false,
+        })}
+      />
+      <Stack.Screen 
+        name="MedicationHistory" 
+        component={MedicationHistoryScreen} 
+        options={{ 
+          title: 'Dose History',
+          headerBackTitleVisible: false,
+        }}
+      />
+      <Stack.Screen 
+        name="Mood" 
+        component={MoodScreen} 
+        options={{ 
+          title: 'Mood',
+          headerBackTitleVisible: false,
+        }}
+      />
+      <Stack.Screen 
+        name="MoodCheckIn" 
+        component={MoodCheckInScreen} 
+        options={({ route }) => ({ 
+          title: route.params?.checkInId ? 'Check-in' : 'Check In',
+          headerBackTitleVisible: false,
+        })}
+      />
+      <Stack.Screen 
+        name="ProfessionalVerification" 
+        component={ProfessionalVerificationScreen} 
+        options={{ 
+          title: 'Professional Verification',
+          headerBackTitleVisible: false,
+        }}
+      />
+      <Stack.Screen 
+        name="AdminModeration" 
+        component={AdminModerationScreen} 
+        options={{ 
+          title: 'Moderation',
+          headerBackTitleVisible: false,
+        }}
+      />
       <Stack.Screen 
         name="PostDetail" 
         component={PostDetailScreen} 
@@ -277,6 +495,14 @@ const ProfileStack = () => {
           return [`post.image.${postId}`];
         }}
       />
+      <Stack.Screen 
+        name="Topic" 
+        component={TopicScreen} 
+        options={({ route }) => ({ 
+          title: `#${route.params?.hashtag || ''}`,
+          headerBackTitleVisible: false,
+        })}
+      />
     </Stack.Navigator>
   );
 };
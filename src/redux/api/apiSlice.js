@@ -31,6 +31,10 @@ export const api = createApi({
 import { api } from './apiSlice';
 import firestore from '@react-native-firebase/firestore';
 import storage from '@react-native-firebase/storage';
+import auth from '@react-native-firebase/auth';
+import { PostService } from '../../services/FirebaseService';
+import { DEFAULT_REACTION } from '../../constants/reactions';
+import { filterVisiblePosts } from '../../utils/postVisibility';
 
 // Convert Firestore data to JSON
 const convertFirestoreData = (doc) => {
@@ -76,12 +80,33 @@ const firestoreQuery = async ({ collection, where = [], orderBy, limit, startAft
   };
 };
 
+// Get what post visibility checks need to know about a user
+const getPostViewer = async (userId, followingIds = null) => {
+  if (!userId) return { id: null, followingIds: [], medicalConditions: [], communityIds: [] };
+  
+  const [userDoc, connectionIds] = await Promise.all([
+    firestore().collection('users').doc(userId).get(),
+    followingIds || firestore()
+      .collection('connections')
+      .where('userId', '==', userId)
+      .get()
+      .then(snapshot => snapshot.docs.map(doc => doc.data().connectedUserId)),
+  ]);
+  
+  return {
+    id: userId,
+    followingIds: connectionIds,
+    medicalConditions: (userDoc.exists && userDoc.data().medicalConditions) || [],
+    communityIds: (userDoc.exists && userDoc.data().communityIds) || [],
+  };
+};
+
 // Posts API slice
 export const postsApi = api.injectEndpoints({
   endpoints: (builder) => ({
-    // Get feed posts
+    // Get feed posts; mode 'for_you' ranks recent posts by relevance instead of time
     getFeedPosts: builder.query({
-      queryFn: async ({ userId, blockedUsers = [], limit = 10, lastDoc }) => {
+      queryFn: async ({ userId, blockedUsers = [], limit = 10, lastDoc, mode = 'latest' }) => {
         try {
           // Get user's connections
           const connectionsSnapshot = await firestore()
@@ -97,6 +122,22 @@ export const postsApi = api.injectEndpoints({
           // Filter out blocked users
           const filteredUserIds = allUserIds.filter(id => !blockedUsers.includes(id));
           
+          if (mode === 'for_you') {
+            // The ranked feed is one scored batch, so there are no further pages
+            const rankedPosts = await PostService.getRankedFeedPosts(filteredUserIds);
+            
+            return {
+              data: {
+                posts: rankedPosts.map(post => ({
+                  ...post,
+                  timestamp: new Date(post.timestamp).toISOString(),
+                })),
+                lastDoc: null,
+                hasMore: false
+              }
+            };
+          }
+          
           // Firestore 'in' operator supports up to 10 values
           let postsQuery;
           if (filteredUserIds.length <= 10) {
@@ -121,11 +162,15 @@ export const postsApi = api.injectEndpoints({
             // Ideally, you'd implement a more sophisticated solution for larger numbers of connections
           }
           
-          const { docs, lastDoc: newLastDoc } = await firestoreQuery(postsQuery);
+          const [{ docs, lastDoc: newLastDoc }, viewer] = await Promise.all([
+            firestoreQuery(postsQuery),
+            getPostViewer(userId, connectedUserIds),
+          ]);
           
           return { 
             data: { 
-              posts: docs, 
+              // Drops deleted posts and those outside the viewer's audience
+              posts: filterVisiblePosts(docs, viewer), 
               lastDoc: newLastDoc,
               hasMore: docs.length === limit 
             } 
@@ -155,11 +200,15 @@ export const postsApi = api.injectEndpoints({
             startAfter: lastDoc,
           };
           
-          const { docs, lastDoc: newLastDoc } = await firestoreQuery(postsQuery);
+          const [{ docs, lastDoc: newLastDoc }, viewer] = await Promise.all([
+            firestoreQuery(postsQuery),
+            getPostViewer(auth().currentUser?.uid),
+          ]);
           
           return { 
             data: { 
-              posts: docs, 
+              // Drops deleted posts and those outside the viewer's audience
+              posts: filterVisiblePosts(docs, viewer), 
               lastDoc: newLastDoc,
               hasMore: docs.length === limit 
             } 
@@ -183,7 +232,7 @@ export const postsApi = api.injectEndpoints({
         try {
           const doc = await firestore().collection('posts').doc(postId).get();
           
-          if (!doc.exists) {
+          if (!doc.exists || doc.data().deleted) {
             return { error: 'Post not found' };
           }
           
@@ -245,12 +294,12 @@ export const postsApi = api.injectEndpoints({
       invalidatesTags: [{ type: 'Posts', id: 'FEED' }],
     }),
     
-    // Update post
+    // Update post; the service keeps the replaced caption or link in the edit history
     updatePost: builder.mutation({
       queryFn: async ({ postId, updateData }) => {
         try {
-          await firestore().collection('posts').doc(postId).update(updateData);
-          return { data: { id: postId, ...updateData } };
+          await PostService.updatePost(postId, updateData);
+          return { data: { id: postId, ...updateData, edited: true } };
         } catch (error) {
           return { error: error.message };
         }
@@ -258,37 +307,11 @@ export const postsApi = api.injectEndpoints({
       invalidatesTags: (result, error, { postId }) => [{ type: 'Posts', id: postId }],
     }),
     
-    // Delete post
+    // Delete post; it moves to the author's "Recently deleted" until restored or purged
     deletePost: builder.mutation({
       queryFn: async (postId) => {
         try {
-          // Get post to check for media content that needs deletion
-          const postDoc = await firestore().collection('posts').doc(postId).get();
-          const postData = postDoc.data();
-          
-          // If post has image or video content, delete from storage
-          if (postData && postData.content && (postData.type === 'image' || postData.type === 'video')) {
-            const fileRef = storage().refFromURL(postData.content);
-            await fileRef.delete();
-          }
-          
-          // Delete post document
-          await firestore().collection('posts').doc(postId).delete();
-          
-          // Delete all associated comments
-          const commentsSnapshot = await firestore()
-            .collection('comments')
-            .where('postId', '==', postId)
-            .get();
-            
-          const batch = firestore().batch();
-          commentsSnapshot.docs.forEach(doc => {
-            batch.delete(doc.ref);
-          });
-          
-          if (commentsSnapshot.docs.length > 0) {
-            await batch.commit();
-          }
+          await PostService.deletePost(postId, auth().currentUser.uid);
           
           return { data: { id: postId } };
         } catch (error) {
@@ -302,66 +325,19 @@ export const postsApi = api.injectEndpoints({
       ],
     }),
     
-    // Toggle like on post
+    // Toggle like on post; a like is the default reaction, and unliking clears any reaction
     toggleLike: builder.mutation({
       queryFn: async ({ postId, userId }) => {
         try {
-          const postRef = firestore().collection('posts').doc(postId);
+          const isLiked = !!(await PostService.getUserReaction(postId, userId));
           
-          // Run in transaction to ensure consistency
-          const result = await firestore().runTransaction(async transaction => {
-            const postDoc = await transaction.get(postRef);
-            
-            if (!postDoc.exists) {
-              throw new Error('Post does not exist');
-            }
-            
-            const postData = postDoc.data();
-            const likes = postData.likes || [];
-            const isLiked = likes.includes(userId);
-            
-            if (isLiked) {
-              // Unlike
-              transaction.update(postRef, {
-                likes: firestore.FieldValue.arrayRemove(userId),
-                likeCount: firestore.FieldValue.increment(-1)
-              });
-              return { isLiked: false };
-            } else {
-              // Like
-              transaction.update(postRef, {
-                likes: firestore.FieldValue.arrayUnion(userId),
-                likeCount: firestore.FieldValue.increment(1)
-              });
-              
-              // Create notification for post author if it's not the current user
-              if (postData.userId !== userId) {
-                const userDoc = await transaction.get(
-                  firestore().collection('users').doc(userId)
-                );
-                const userData = userDoc.data();
-                
-                if (userData) {
-                  const notificationRef = firestore().collection('notifications').doc();
-                  transaction.set(notificationRef, {
-                    type: 'like',
-                    senderId: userId,
-                    senderName: `${userData.firstName} ${userData.lastName}`,
-                    senderProfileImage: userData.profileImageURL,
-                    recipientId: postData.userId,
-                    postId: postId,
-                    message: 'liked your post',
-                    timestamp: firestore.FieldValue.serverTimestamp(),
-                    read: false
-                  });
-                }
-              }
-              
-              return { isLiked: true };
-            }
-          });
+          if (isLiked) {
+            await PostService.removeReaction(postId, userId);
+          } else {
+            await PostService.setReaction(postId, userId, DEFAULT_REACTION);
+          }
           
-          return { data: { postId, userId, ...result } };
+          return { data: { postId, userId, isLiked: !isLiked } };
         } catch (error) {
           return { error: error.message };
         }
@@ -390,6 +366,8 @@ export const {
 
 import { api } from './apiSlice';
 import firestore from '@react-native-firebase/firestore';
+import auth from '@react-native-firebase/auth';
+import { CommentService } from '../../services/FirebaseService';
 
 export const commentsApi = api.injectEndpoints({
   endpoints: (builder) => ({
@@ -509,13 +487,10 @@ export const commentsApi = api.injectEndpoints({
     
     // Update comment
     updateComment: builder.mutation({
-      queryFn: async ({ commentId, text }) => {
+      queryFn: async ({ commentId, text, rootId = null }) => {
         try {
-          await firestore().collection('comments').doc(commentId).update({
-            text: text.trim(),
-            edited: true,
-            editTimestamp: firestore.FieldValue.serverTimestamp()
-          });
+          // Goes through the service so the previous text is kept in the edit history
+          await CommentService.editComment(commentId, auth().currentUser.uid, text, rootId);
           
           return { 
             data: { 
@@ -576,6 +551,7 @@ import { api } from './apiSlice';
 import firestore from '@react-native-firebase/firestore';
 import storage from '@react-native-firebase/storage';
 import auth from '@react-native-firebase/auth';
+import { conditionMatchesQuery, getConditionMatchValues } from '../../utils/conditions';
 
 export const userApi = api.injectEndpoints({
   endpoints: (builder) => ({
@@ -714,7 +690,11 @@ export const userApi = api.injectEndpoints({
           
           // Apply filters if provided
           if (filter?.condition) {
-            firestoreQuery = firestoreQuery.where('medicalConditions', 'array-contains', filter.condition);
+            firestoreQuery = firestoreQuery.where(
+              'medicalConditions',
+              'array-contains-any',
+              getConditionMatchValues(filter.condition)
+            );
           }
           
           if (lastDoc) {
@@ -738,7 +718,7 @@ export const userApi = api.injectEndpoints({
               (user.lastName && user.lastName.toLowerCase().includes(searchLower)) ||
               (user.email && user.email.toLowerCase().includes(searchLower)) ||
               (user.medicalConditions && user.medicalConditions.some(condition => 
-                condition.toLowerCase().includes(searchLower)
+                conditionMatchesQuery(condition, query)
               ))
             );
           }
@@ -877,6 +857,7 @@ export const {
 import { api } from './apiSlice';
 import firestore from '@react-native-firebase/firestore';
 import storage from '@react-native-firebase/storage';
+import { getConditionMatchValues } from '../../utils/conditions';
 
 export const eventsApi = api.injectEndpoints({
   endpoints: (builder) => ({
@@ -891,7 +872,7 @@ export const eventsApi = api.injectEndpoints({
           
           // Apply filters
           if (filters.condition) {
-            query = query.where('relatedConditions', 'array-contains', filters.condition);
+            query = query.where('relatedConditions', 'array-contains-any', getConditionMatchValues(filters.condition));
           }
           
           if (filters.hostId) {
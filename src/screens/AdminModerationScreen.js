@@ -11,7 +11,8 @@ import {
   ActivityIndicator,
   Alert,
   TextInput,
-  Modal
+  Modal,
+  ScrollView
 } from 'react-native';
 import firestore from '@react-native-firebase/firestore';
 import auth from '@react-native-firebase/auth';
@@ -19,6 +20,9 @@ import Icon from 'react-native-vector-icons/Ionicons';
 import { useTheme } from '../theme/ThemeContext';
 import { useUser } from '../contexts/UserContext';
 import { ContentModerationService } from '../services/ContentModerationService';
+import { PostService, CommentService } from '../services/FirebaseService';
+import TextDiff from '../components/social/TextDiff';
+import VerificationQueue from '../components/VerificationQueue';
 import FastImage from 'react-native-fast-image';
 import { format } from 'date-fns';
 
@@ -27,13 +31,15 @@ const AdminModerationScreen = ({ navigation }) => {
   const { user } = useUser();
   const [reports, setReports] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [activeTab, setActiveTab] = useState('pending'); // 'pending', 'resolved', 'all'
+  const [activeTab, setActiveTab] = useState('pending'); // 'pending', 'resolved', 'all', 'verification'
   const [selectedReport, setSelectedReport] = useState(null);
   const [isModalVisible, setIsModalVisible] = useState(false);
   const [actionNotes, setActionNotes] = useState('');
   const [isAdmin, setIsAdmin] = useState(false);
   const [filterType, setFilterType] = useState('all'); // 'all', 'post', 'comment', 'user'
   const [isActionLoading, setIsActionLoading] = useState(false);
+  const [reportedAuthor, setReportedAuthor] = useState(null);
+  const [editHistory, setEditHistory] = useState(null);
 
   // Check if current user is an admin
   useEffect(() => {
@@ -121,22 +127,98 @@ const AdminModerationScreen = ({ navigation }) => {
 
   // Effect to fetch reports when tab or filter changes
   useEffect(() => {
-    if (isAdmin) {
+    if (isAdmin && activeTab !== 'verification') {
       fetchReports();
     }
   }, [activeTab, filterType, isAdmin]);
 
+  // Look up who really wrote the reported content, including anonymous posts and comments
+  const loadReportedAuthor = async (report) => {
+    setReportedAuthor(null);
+    
+    if (report.type !== 'post' && report.type !== 'comment') return;
+    
+    try {
+      const contentDoc = await firestore()
+        .collection(report.type === 'post' ? 'posts' : 'comments')
+        .doc(report.contentId)
+        .get();
+      
+      // Anonymous content keeps its author in a moderator-only record
+      const anonymousDoc = await firestore().collection('anonymousAuthors').doc(report.contentId).get();
+      
+      // Replies live under their top-level comment, so fall back to the owner stored on the report
+      const content = contentDoc.exists ? contentDoc.data() : {};
+      const authorId = (anonymousDoc.exists && anonymousDoc.data().userId) || content.userId || report.contentOwnerId;
+      
+      if (!authorId || authorId === 'unknown') return;
+      
+      const userDoc = await firestore().collection('users').doc(authorId).get();
+      const authorData = userDoc.exists ? userDoc.data() : {};
+      
+      setReportedAuthor({
+        id: authorId,
+        name: `${authorData.firstName || ''} ${authorData.lastName || ''}`.trim() || 'Unknown user',
+        pseudonym: content.anonymous ? content.userFullName : null,
+      });
+    } catch (error) {
+      console.error('Error loading reported author:', error);
+    }
+  };
+
+  // Load every version of an edited post or comment, oldest first, ending with the current one
+  const loadEditHistory = async (report) => {
+    setEditHistory(null);
+    
+    if (report.type !== 'post' && report.type !== 'comment') return;
+    
+    try {
+      const contentDoc = await firestore()
+        .collection(report.type === 'post' ? 'posts' : 'comments')
+        .doc(report.contentId)
+        .get();
+      
+      if (!contentDoc.exists || !contentDoc.data().edited) return;
+      
+      const content = contentDoc.data();
+      const previousVersions = report.type === 'post'
+        ? await PostService.getEditHistory(report.contentId)
+        : await CommentService.getEditHistory(report.contentId);
+      
+      const toVersion = (version) => ({
+        text: version.caption ?? version.text ?? '',
+        link: version.content || null,
+        timestamp: version.timestamp,
+      });
+      
+      setEditHistory([
+        ...previousVersions.reverse().map(toVersion),
+        toVersion({
+          ...content,
+          content: content.type === 'link' ? content.content : null,
+          timestamp: content.editTimestamp?.toDate() || null,
+        }),
+      ]);
+    } catch (error) {
+      console.error('Error loading edit history:', error);
+    }
+  };
+
   // Handle report selection
   const handleReportPress = (report) => {
     setSelectedReport(report);
     setIsModalVisible(true);
     setActionNotes('');
+    loadReportedAuthor(report);
+    loadEditHistory(report);
   };
 
   // Close report details modal
   const closeModal = () => {
     setIsModalVisible(false);
     setSelectedReport(null);
+    setReportedAuthor(null);
+    setEditHistory(null);
     setActionNotes('');
   };
 
@@ -543,6 +625,37 @@ const AdminModerationScreen = ({ navigation }) => {
           All
         </Text>
       </TouchableOpacity>
+      
+      <TouchableOpacity
+        style={[
+          styles.tab,
+          activeTab === 'verification' && [
+            styles.activeTab,
+            { borderBottomColor: theme.colors.primary.main }
+          ]
+        ]}
+        onPress={() => handleTabChange('verification')}
+      >
+        <Icon
+          name="shield-checkmark-outline"
+          size={20}
+          color={activeTab === 'verification' 
+            ? theme.colors.primary.main 
+            : theme.colors.text.secondary}
+        />
+        <Text
+          style={[
+            styles.tabText,
+            activeTab === 'verification' && [
+              styles.activeTabText,
+              { color: theme.colors.primary.main }
+            ],
+            { color: theme.colors.text.secondary }
+          ]}
+        >
+          Verify
+        </Text>
+      </TouchableOpacity>
     </View>
   );
 
@@ -626,6 +739,33 @@ const AdminModerationScreen = ({ navigation }) => {
                 </Text>
               </View>
               
+              {reportedAuthor && (
+                <View style={styles.detailRow}>
+                  <Text style={[
+                    styles.detailLabel,
+                    { color: theme.colors.text.secondary }
+                  ]}>
+                    Author:
+                  </Text>
+                  <View style={styles.authorDetails}>
+                    <Text style={[
+                      styles.detailValue,
+                      { color: theme.colors.text.primary }
+                    ]}>
+                      {reportedAuthor.name}
+                    </Text>
+                    <Text style={[styles.authorMeta, { color: theme.colors.text.secondary }]} selectable>
+                      {reportedAuthor.id}
+                    </Text>
+                    {reportedAuthor.pseudonym && (
+                      <Text style={[styles.authorMeta, { color: theme.colors.warning.dark }]}>
+                        Posted anonymously as {reportedAuthor.pseudonym}
+                      </Text>
+                    )}
+                  </View>
+                </View>
+              )}
+              
               {selectedReport.additionalInfo && (
                 <View style={styles.detailBox}>
                   <Text style={[
@@ -646,6 +786,47 @@ const AdminModerationScreen = ({ navigation }) => {
                 </View>
               )}
               
+              {editHistory && editHistory.length > 1 && (
+                <View style={styles.detailBox}>
+                  <Text style={[
+                    styles.detailLabel,
+                    { color: theme.colors.text.secondary }
+                  ]}>
+                    Edit History:
+                  </Text>
+                  {editHistory.slice(1).map((version, index) => {
+                    const previous = editHistory[index];
+                    
+                    return (
+                      <View key={index} style={styles.editEntry}>
+                        <Text style={[styles.editEntryTitle, { color: theme.colors.text.secondary }]}>
+                          Edit {index + 1} of {editHistory.length - 1}
+                          {' · '}{formatDate(version.timestamp)}
+                        </Text>
+                        <TextDiff
+                          before={previous.text}
+                          after={version.text}
+                          style={[
+                            styles.detailText,
+                            { backgroundColor: theme.colors.background.default }
+                          ]}
+                        />
+                        {previous.link !== version.link && (
+                          <TextDiff
+                            before={previous.link}
+                            after={version.link}
+                            style={[
+                              styles.detailText,
+                              { backgroundColor: theme.colors.background.default }
+                            ]}
+                          />
+                        )}
+                      </View>
+                    );
+                  })}
+                </View>
+              )}
+              
               <View style={styles.detailRow}>
                 <Text style={[
                   styles.detailLabel,
@@ -825,6 +1006,27 @@ const AdminModerationScreen = ({ navigation }) => {
     </View>
   );
 
+  // Report list for the report tabs
+  const renderReportList = () => (
+    loading ? (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    ) : (
+      <FlatList
+        data={reports}
+        renderItem={renderReportItem}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={
+          reports.length === 0 ? { flex: 1 } : { paddingBottom: 20 }
+        }
+        ListEmptyComponent={renderEmptyState()}
+        refreshing={loading}
+        onRefresh={fetchReports}
+      />
+    )
+  );
+
   if (!isAdmin) {
     return (
       <View style={[
@@ -858,24 +1060,14 @@ const AdminModerationScreen = ({ navigation }) => {
       </View>
       
       {renderTabs()}
-      {renderFilterButtons()}
       
-      {loading ? (
-        <View style={styles.loadingContainer}>
-          <ActivityIndicator size="large" color={theme.colors.primary.main} />
-        </View>
+      {activeTab === 'verification' ? (
+        <VerificationQueue />
       ) : (
-        <FlatList
-          data={reports}
-          renderItem={renderReportItem}
-          keyExtractor={(item) => item.id}
-          contentContainerStyle={
-            reports.length === 0 ? { flex: 1 } : { paddingBottom: 20 }
-          }
-          ListEmptyComponent={renderEmptyState()}
-          refreshing={loading}
-          onRefresh={fetchReports}
-        />
+        <>
+          {renderFilterButtons()}
+          {renderReportList()}
+        </>
       )}
       
       {renderReportDetailModal()}
@@ -1085,9 +1277,22 @@ const styles = StyleSheet.create({
     fontSize: 15,
     flex: 1,
   },
+  authorDetails: {
+    flex: 1,
+  },
+  authorMeta: {
+    fontSize: 12,
+    marginTop: 2,
+  },
   detailBox: {
     marginBottom: 12,
   },
+  editEntry: {
+    marginTop: 12,
+  },
+  editEntryTitle: {
+    fontSize: 13,
+  },
   detailText: {
     fontSize: 15,
     marginTop: 8,
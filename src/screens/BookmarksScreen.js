@@ -0,0 +1,565 @@
+// src/screens/BookmarksScreen.js
+// Screen for browsing saved posts by collection and exporting them as links
+
+import React, { useState, useEffect, useCallback, useLayoutEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Image,
+  Modal,
+  Share,
+  ActivityIndicator,
+  RefreshControl,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { formatDistanceToNow } from 'date-fns';
+import { useFocusEffect } from '@react-navigation/native';
+import { useUser } from '../contexts/UserContext';
+import { useBlockedUsers } from '../contexts/BlockedUsersContext';
+import { useTheme } from '../theme/ThemeContext';
+import BookmarkService, { MAX_COLLECTION_NAME_LENGTH } from '../services/BookmarkService';
+import SaveToCollectionModal from '../components/social/SaveToCollectionModal';
+
+// Filters that aren't user collections
+const ALL_FILTER = 'all';
+const UNSORTED_FILTER = 'unsorted';
+
+const BookmarksScreen = ({ navigation }) => {
+  const { user } = useUser();
+  const { filterBlockedContent } = useBlockedUsers();
+  const { theme } = useTheme();
+  
+  const [collections, setCollections] = useState(BookmarkService.collections);
+  const [bookmarks, setBookmarks] = useState(BookmarkService.bookmarks);
+  const [filter, setFilter] = useState(ALL_FILTER);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [movingBookmark, setMovingBookmark] = useState(null);
+  // { collection } while naming a collection (null collection when creating one)
+  const [nameModal, setNameModal] = useState(null);
+  const [collectionName, setCollectionName] = useState('');
+  
+  // Hide posts from users who have since been blocked, or who blocked this user
+  const visibleBookmarks = filterBlockedContent(bookmarks, 'authorId').filter(bookmark => {
+    if (filter === ALL_FILTER) return true;
+    if (filter === UNSORTED_FILTER) return !bookmark.collectionId;
+    return bookmark.collectionId === filter;
+  });
+  
+  const loadBookmarks = useCallback(async () => {
+    if (!user) return;
+    
+    try {
+      const result = await BookmarkService.sync(user.uid);
+      setCollections(result.collections);
+      setBookmarks(result.bookmarks);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [user]);
+  
+  useFocusEffect(
+    useCallback(() => {
+      loadBookmarks();
+    }, [loadBookmarks])
+  );
+  
+  // Pick up changes made from the save sheet
+  useEffect(() => {
+    return BookmarkService.subscribe(state => {
+      setCollections(state.collections);
+      setBookmarks(state.bookmarks);
+    });
+  }, []);
+  
+  // Fall back to all posts if the selected collection was deleted
+  useEffect(() => {
+    if (filter !== ALL_FILTER && filter !== UNSORTED_FILTER
+        && !collections.some(collection => collection.id === filter)) {
+      setFilter(ALL_FILTER);
+    }
+  }, [collections, filter]);
+  
+  const handleExport = useCallback(async () => {
+    if (visibleBookmarks.length === 0) {
+      Alert.alert('Nothing to Export', 'There are no saved posts in this view.');
+      return;
+    }
+    
+    try {
+      await Share.share({
+        title: 'Saved posts',
+        message: BookmarkService.exportLinks(visibleBookmarks),
+      });
+    } catch (error) {
+      console.error('Error exporting saved posts:', error);
+      Alert.alert('Error', 'Failed to export saved posts. Please try again.');
+    }
+  }, [visibleBookmarks]);
+  
+  useLayoutEffect(() => {
+    navigation.setOptions({
+      headerRight: () => (
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={handleExport}
+          accessibilityLabel="Export saved posts as links"
+          accessibilityRole="button"
+        >
+          <Icon name="share-outline" size={22} color={theme.colors.text.primary} />
+        </TouchableOpacity>
+      ),
+    });
+  }, [navigation, handleExport, theme]);
+  
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadBookmarks();
+  };
+  
+  const handleRemoveBookmark = (bookmark) => {
+    Alert.alert(
+      'Remove from Saved',
+      'Remove this post from your saved posts?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await BookmarkService.removeBookmark(user.uid, bookmark.postId);
+            } catch (error) {
+              console.error('Error removing saved post:', error);
+              Alert.alert('Error', 'Failed to remove saved post. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  const openNameModal = (collection = null) => {
+    setCollectionName(collection ? collection.name : '');
+    setNameModal({ collection });
+  };
+  
+  const handleSaveCollectionName = async () => {
+    try {
+      if (nameModal.collection) {
+        await BookmarkService.renameCollection(user.uid, nameModal.collection.id, collectionName);
+      } else {
+        const collection = await BookmarkService.createCollection(user.uid, collectionName);
+        setFilter(collection.id);
+      }
+      setNameModal(null);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to save collection');
+    }
+  };
+  
+  const handleDeleteCollection = (collection) => {
+    Alert.alert(
+      'Delete Collection',
+      `Delete "${collection.name}"? Posts in it will stay in your saved posts.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await BookmarkService.deleteCollection(user.uid, collection.id);
+            } catch (error) {
+              console.error('Error deleting collection:', error);
+              Alert.alert('Error', 'Failed to delete collection. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  const handleCollectionOptions = (collection) => {
+    Alert.alert(
+      collection.name,
+      null,
+      [
+        { text: 'Rename', onPress: () => openNameModal(collection) },
+        { text: 'Delete', style: 'destructive', onPress: () => handleDeleteCollection(collection) },
+        { text: 'Cancel', style: 'cancel' }
+      ]
+    );
+  };
+  
+  const renderFilterChip = (key, label, collection = null) => {
+    const isActive = filter === key;
+    
+    return (
+      <TouchableOpacity
+        key={key}
+        style={[
+          styles.chip,
+          {
+            backgroundColor: isActive ? theme.colors.primary.main : theme.colors.background.paper,
+            borderColor: isActive ? theme.colors.primary.main : theme.colors.border,
+          }
+        ]}
+        onPress={() => setFilter(key)}
+        onLongPress={collection ? () => handleCollectionOptions(collection) : undefined}
+        accessibilityRole="tab"
+        accessibilityState={{ selected: isActive }}
+        accessibilityHint={collection ? 'Long press to rename or delete this collection' : undefined}
+      >
+        <Text style={[styles.chipText, { color: isActive ? 'white' : theme.colors.text.primary }]}>
+          {label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+  
+  const renderPreview = (bookmark) => {
+    if (bookmark.post.thumbnailUrl) {
+      return <Image source={{ uri: bookmark.post.thumbnailUrl }} style={styles.thumbnail} />;
+    }
+    
+    return (
+      <View style={[styles.thumbnail, styles.placeholderThumbnail, { backgroundColor: theme.colors.background.input }]}>
+        <Icon
+          name={bookmark.post.type === 'link'
+            ? 'link-outline'
+            : bookmark.post.type === 'poll' ? 'stats-chart-outline' : 'document-text-outline'}
+          size={24}
+          color={theme.colors.text.secondary}
+        />
+      </View>
+    );
+  };
+  
+  const renderBookmarkItem = ({ item }) => {
+    const collection = collections.find(entry => entry.id === item.collectionId);
+    
+    return (
+      <TouchableOpacity
+        style={[styles.bookmarkItem, { backgroundColor: theme.colors.background.paper }]}
+        onPress={() => navigation.navigate('PostDetail', { postId: item.postId, title: 'Post' })}
+        accessibilityRole="button"
+        accessibilityLabel={`Saved post by ${item.post.userFullName}: ${item.post.caption || 'No caption'}`}
+      >
+        {renderPreview(item)}
+        
+        <View style={styles.bookmarkInfo}>
+          <Text style={[styles.authorName, { color: theme.colors.text.primary }]} numberOfLines={1}>
+            {item.post.userFullName}
+          </Text>
+          <Text style={[styles.caption, { color: theme.colors.text.primary }]} numberOfLines={2}>
+            {item.post.caption?.trim() || 'No caption'}
+          </Text>
+          <Text style={[styles.meta, { color: theme.colors.text.secondary }]} numberOfLines={1}>
+            {collection ? `${collection.name} · ` : ''}Saved {formatDistanceToNow(item.createdAt, { addSuffix: true })}
+          </Text>
+        </View>
+        
+        <TouchableOpacity
+          style={styles.itemButton}
+          onPress={() => setMovingBookmark(item)}
+          hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
+          accessibilityLabel="Move to collection"
+        >
+          <Icon name="folder-outline" size={20} color={theme.colors.text.secondary} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.itemButton}
+          onPress={() => handleRemoveBookmark(item)}
+          hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
+          accessibilityLabel="Remove from saved"
+        >
+          <Icon name="bookmark" size={20} color={theme.colors.primary.main} />
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  };
+  
+  const renderEmptyComponent = () => (
+    <View style={styles.emptyContainer}>
+      <Icon name="bookmark-outline" size={50} color={theme.colors.gray[300]} />
+      <Text style={[styles.emptyTitle, { color: theme.colors.text.primary }]}>
+        {filter === ALL_FILTER ? 'No Saved Posts' : 'Nothing Here Yet'}
+      </Text>
+      <Text style={[styles.emptySubtitle, { color: theme.colors.text.secondary }]}>
+        Tap Save on a post to keep it for later
+      </Text>
+    </View>
+  );
+  
+  if (loading && bookmarks.length === 0) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background.default }]}>
+      <View>
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.chipsContainer}
+        >
+          {renderFilterChip(ALL_FILTER, 'All')}
+          {renderFilterChip(UNSORTED_FILTER, 'No collection')}
+          {collections.map(collection => renderFilterChip(collection.id, collection.name, collection))}
+          <TouchableOpacity
+            style={[styles.chip, styles.newChip, { borderColor: theme.colors.primary.main }]}
+            onPress={() => openNameModal()}
+            accessibilityRole="button"
+            accessibilityLabel="New collection"
+          >
+            <Icon name="add" size={16} color={theme.colors.primary.main} />
+            <Text style={[styles.chipText, { color: theme.colors.primary.main }]}>New</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </View>
+      
+      <FlatList
+        data={visibleBookmarks}
+        keyExtractor={item => item.postId}
+        renderItem={renderBookmarkItem}
+        ListEmptyComponent={renderEmptyComponent}
+        contentContainerStyle={visibleBookmarks.length === 0 ? { flex: 1 } : styles.listContent}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={handleRefresh}
+            colors={[theme.colors.primary.main]}
+            tintColor={theme.colors.primary.main}
+          />
+        }
+      />
+      
+      {movingBookmark && (
+        <SaveToCollectionModal
+          visible
+          post={{ id: movingBookmark.postId, userId: movingBookmark.authorId, ...movingBookmark.post }}
+          onClose={() => setMovingBookmark(null)}
+        />
+      )}
+      
+      <Modal
+        visible={!!nameModal}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setNameModal(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContainer, { backgroundColor: theme.colors.background.paper }]}>
+            <Text style={[styles.modalTitle, { color: theme.colors.text.primary }]}>
+              {nameModal?.collection ? 'Rename Collection' : 'New Collection'}
+            </Text>
+            <TextInput
+              style={[
+                styles.nameInput,
+                {
+                  color: theme.colors.text.primary,
+                  backgroundColor: theme.colors.background.input,
+                }
+              ]}
+              value={collectionName}
+              onChangeText={setCollectionName}
+              placeholder="e.g. Diet"
+              placeholderTextColor={theme.colors.text.hint}
+              maxLength={MAX_COLLECTION_NAME_LENGTH}
+              autoFocus
+              returnKeyType="done"
+              onSubmitEditing={handleSaveCollectionName}
+              accessibilityLabel="Collection name"
+            />
+            <View style={styles.modalActions}>
+              <TouchableOpacity
+                style={[styles.cancelButton, { borderColor: theme.colors.divider }]}
+                onPress={() => setNameModal(null)}
+                accessibilityRole="button"
+              >
+                <Text style={[styles.cancelButtonText, { color: theme.colors.text.primary }]}>
+                  Cancel
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[
+                  styles.confirmButton,
+                  { backgroundColor: theme.colors.primary.main },
+                  !collectionName.trim() && { opacity: 0.5 }
+                ]}
+                onPress={handleSaveCollectionName}
+                disabled={!collectionName.trim()}
+                accessibilityRole="button"
+              >
+                <Text style={styles.confirmButtonText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerButton: {
+    paddingHorizontal: 16,
+  },
+  chipsContainer: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  newChip: {
+    borderStyle: 'dashed',
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  listContent: {
+    paddingHorizontal: 16,
+    paddingBottom: 16,
+  },
+  bookmarkItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 10,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  thumbnail: {
+    width: 56,
+    height: 56,
+    borderRadius: 6,
+  },
+  placeholderThumbnail: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  bookmarkInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  authorName: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  caption: {
+    fontSize: 14,
+    lineHeight: 19,
+    marginTop: 2,
+  },
+  meta: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  itemButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 10,
+    marginBottom: 6,
+  },
+  emptySubtitle: {
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  modalContainer: {
+    borderRadius: 12,
+    width: '100%',
+    maxWidth: 400,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 16,
+  },
+  nameInput: {
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    marginBottom: 20,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  confirmButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  confirmButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default BookmarksScreen;
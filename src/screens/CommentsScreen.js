@@ -22,12 +22,23 @@ import { formatDistanceToNow } from 'date-fns';
 import { useUser } from '../contexts/UserContext';
 import { useNetInfo } from '@react-native-community/netinfo';
 import { useTheme } from '../theme/ThemeContext';
+import { CommentService, PostService, QuestionService, MAX_COMMENT_REPLY_DEPTH } from '../services/FirebaseService';
+import AnonymousAvatar from '../components/AnonymousAvatar';
+import VerifiedBadge from '../components/VerifiedBadge';
+import LinkedText from '../components/social/LinkedText';
+import MentionSuggestions from '../components/social/MentionSuggestions';
+import EditHistorySheet from '../components/social/EditHistorySheet';
+import { useMentions } from '../hooks/useMentions';
+import { getVerifiedProfession } from '../utils/verification';
+import { sortAnswers } from '../utils/answers';
 
 const COMMENTS_PER_PAGE = 15;
+const REPLIES_PER_PAGE = 5;
+const REPLY_INDENT = 28;
 
 const CommentsScreen = ({ route, navigation }) => {
   const { postId, focusCommentId } = route.params;
-  const { userData, blockedUsers } = useUser();
+  const { blockedUsers } = useUser();
   const { theme } = useTheme();
   const { isConnected } = useNetInfo();
   
@@ -42,6 +53,37 @@ const CommentsScreen = ({ route, navigation }) => {
   const [lastVisible, setLastVisible] = useState(null);
   const [hasMoreComments, setHasMoreComments] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  // Reply threads keyed by parent comment ID, each with its own pagination cursor
+  const [replyThreads, setReplyThreads] = useState({});
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingRootId, setEditingRootId] = useState(null);
+  const [commentAnonymously, setCommentAnonymously] = useState(false);
+  const [pseudonym, setPseudonym] = useState(null);
+  // The user's own anonymous post and comments here, which don't store their userId
+  const [anonymousContentIds, setAnonymousContentIds] = useState([]);
+  const [historyComment, setHistoryComment] = useState(null);
+  // Answers the user has marked helpful, on question posts
+  const [helpfulAnswerIds, setHelpfulAnswerIds] = useState([]);
+  
+  // Top-level comments on a question are its answers
+  const isQuestion = post?.type === 'question';
+  const isOwnContent = (item) => (
+    item.anonymous ? anonymousContentIds.includes(item.id) : item.userId === auth().currentUser.uid
+  );
+  const displayedComments = isQuestion ? sortAnswers(comments, post.acceptedAnswerId) : comments;
+  
+  // People who've posted under their own name here are suggested first when mentioning
+  const threadUserIds = [...new Set([
+    ...(post && !post.anonymous ? [post.userId] : []),
+    ...comments.filter(comment => !comment.anonymous && !comment.deleted).map(comment => comment.userId),
+  ])];
+  const {
+    suggestions: mentionSuggestions,
+    selectSuggestion: selectMention,
+    mentionedUsers,
+    clearMentions,
+    inputProps: mentionInputProps,
+  } = useMentions({ text: commentText, setText: setCommentText, threadUserIds });
   
   const flatListRef = useRef();
   const inputRef = useRef();
@@ -70,6 +112,27 @@ const CommentsScreen = ({ route, navigation }) => {
     }
   }, [postId, focusCommentId]);
 
+  useEffect(() => {
+    if (!isQuestion) return;
+    
+    navigation.setOptions({ title: 'Answers' });
+    QuestionService.getHelpfulVotes(postId, auth().currentUser.uid)
+      .then(ids => {
+        if (isMounted.current) setHelpfulAnswerIds(ids);
+      })
+      .catch(error => console.error('Error fetching helpful votes:', error));
+  }, [postId, isQuestion]);
+
+  useEffect(() => {
+    if (!commentAnonymously || pseudonym) return;
+    
+    PostService.getPseudonym(postId)
+      .then(result => {
+        if (isMounted.current) setPseudonym(result);
+      })
+      .catch(error => console.error('Error fetching pseudonym:', error));
+  }, [postId, commentAnonymously, pseudonym]);
+
   // Filter comments when blockedUsers changes
   useEffect(() => {
     if (comments.length > 0) {
@@ -77,6 +140,17 @@ const CommentsScreen = ({ route, navigation }) => {
         prevComments.filter(comment => !blockedUsers.includes(comment.userId))
       );
     }
+    
+    setReplyThreads(prevThreads => {
+      const filtered = {};
+      Object.keys(prevThreads).forEach(parentId => {
+        filtered[parentId] = {
+          ...prevThreads[parentId],
+          replies: prevThreads[parentId].replies.filter(reply => !blockedUsers.includes(reply.userId)),
+        };
+      });
+      return filtered;
+    });
   }, [blockedUsers]);
 
   const fetchPost = async () => {
@@ -85,18 +159,25 @@ const CommentsScreen = ({ route, navigation }) => {
     }
     
     try {
-      const postDoc = await firestore()
-        .collection('posts')
-        .doc(postId)
-        .get();
+      const [postDoc, ownAnonymousIds] = await Promise.all([
+        firestore().collection('posts').doc(postId).get(),
+        PostService.getAnonymousContentIds(postId, auth().currentUser.uid),
+      ]);
       
-      if (postDoc.exists && isMounted.current) {
+      if (postDoc.exists && !postDoc.data().deleted && isMounted.current) {
         const data = postDoc.data();
         setPost({
           id: postDoc.id,
           ...data,
           timestamp: data.timestamp?.toDate() || new Date(),
         });
+        
+        setAnonymousContentIds(ownAnonymousIds);
+        
+        // Authors of anonymous posts stay anonymous in their own thread by default
+        if (data.anonymous && ownAnonymousIds.includes(postDoc.id)) {
+          setCommentAnonymously(true);
+        }
       } else if (isMounted.current) {
         Alert.alert('Error', 'Post not found or has been deleted.');
         navigation.goBack();
@@ -148,11 +229,14 @@ const CommentsScreen = ({ route, navigation }) => {
               editTimestamp: data.editTimestamp?.toDate(),
             };
           })
-          .filter(comment => !blockedUsers.includes(comment.userId));
+          .filter(comment => !blockedUsers.includes(comment.userId))
+          // Deleted comments only stay in the thread as placeholders for their replies
+          .filter(comment => !comment.deleted || comment.replyCount > 0);
         
         // Update state
         if (reset) {
           setComments(commentsData);
+          setReplyThreads({});
         } else {
           setComments(prev => [...prev, ...commentsData]);
         }
@@ -201,7 +285,7 @@ const CommentsScreen = ({ route, navigation }) => {
             };
             
             // Check if comment is from a blocked user
-            if (!blockedUsers.includes(newComment.userId)) {
+            if (!blockedUsers.includes(newComment.userId) && !newComment.deleted) {
               // Check if comment already exists in our state (avoid duplicates)
               const exists = comments.some(comment => comment.id === newComment.id);
               
@@ -227,7 +311,7 @@ const CommentsScreen = ({ route, navigation }) => {
   };
 
   const scrollToComment = (commentId) => {
-    const index = comments.findIndex(comment => comment.id === commentId);
+    const index = displayedComments.findIndex(comment => comment.id === commentId);
     if (index !== -1 && flatListRef.current) {
       flatListRef.current.scrollToIndex({ 
         index, 
@@ -237,6 +321,178 @@ const CommentsScreen = ({ route, navigation }) => {
     }
   };
 
+  // Load a page of replies for a comment; reset starts the thread over from the first reply
+  const loadReplies = async (parentComment, reset = false) => {
+    const thread = replyThreads[parentComment.id];
+    if (thread?.loading) return;
+    
+    setReplyThreads(prev => ({
+      ...prev,
+      [parentComment.id]: { replies: [], hasMore: false, ...prev[parentComment.id], loading: true, expanded: true },
+    }));
+    
+    try {
+      const result = await CommentService.getReplies(
+        parentComment.rootId || parentComment.id,
+        parentComment.id,
+        REPLIES_PER_PAGE,
+        reset ? null : thread?.lastVisible
+      );
+      
+      if (!isMounted.current) return;
+      
+      const replies = result.replies.filter(reply => !blockedUsers.includes(reply.userId));
+      
+      setReplyThreads(prev => {
+        const existing = reset ? [] : prev[parentComment.id]?.replies || [];
+        const existingIds = new Set(existing.map(reply => reply.id));
+        
+        return {
+          ...prev,
+          [parentComment.id]: {
+            // Skip replies already added locally by the current user
+            replies: [...existing, ...replies.filter(reply => !existingIds.has(reply.id))],
+            lastVisible: result.lastVisible,
+            hasMore: result.hasMore,
+            loading: false,
+            expanded: true,
+          },
+        };
+      });
+    } catch (error) {
+      console.error('Error loading replies:', error);
+      if (isMounted.current) {
+        setReplyThreads(prev => ({
+          ...prev,
+          [parentComment.id]: { ...prev[parentComment.id], loading: false },
+        }));
+        Alert.alert('Error', 'Failed to load replies. Please try again.');
+      }
+    }
+  };
+
+  const toggleReplies = (parentComment) => {
+    const thread = replyThreads[parentComment.id];
+    
+    if (thread?.expanded) {
+      setReplyThreads(prev => ({
+        ...prev,
+        [parentComment.id]: { ...thread, expanded: false },
+      }));
+    } else if (thread?.replies.length > 0) {
+      setReplyThreads(prev => ({
+        ...prev,
+        [parentComment.id]: { ...thread, expanded: true },
+      }));
+    } else {
+      loadReplies(parentComment, true);
+    }
+  };
+
+  // Apply a change to a comment wherever it is shown, top level or in a reply thread
+  const updateCommentInState = (commentId, updater) => {
+    setComments(prev => prev.map(comment => (comment.id === commentId ? updater(comment) : comment)));
+    setReplyThreads(prev => {
+      const updated = {};
+      Object.keys(prev).forEach(parentId => {
+        updated[parentId] = {
+          ...prev[parentId],
+          replies: prev[parentId].replies.map(reply => (reply.id === commentId ? updater(reply) : reply)),
+        };
+      });
+      return updated;
+    });
+  };
+
+  // Vote an answer helpful, or take the vote back; the list re-sorts straight away
+  const handleToggleHelpful = async (answer) => {
+    const helpful = !helpfulAnswerIds.includes(answer.id);
+    const applyVote = (vote) => {
+      setHelpfulAnswerIds(prev => (vote ? [...prev, answer.id] : prev.filter(id => id !== answer.id)));
+      updateCommentInState(answer.id, comment => ({
+        ...comment,
+        helpfulCount: Math.max(0, (comment.helpfulCount || 0) + (vote ? 1 : -1)),
+      }));
+    };
+    
+    applyVote(helpful);
+    
+    try {
+      await QuestionService.setHelpful(answer.id, auth().currentUser.uid, helpful);
+    } catch (error) {
+      console.error('Error voting on answer:', error);
+      applyVote(!helpful);
+      Alert.alert('Error', error.message || 'Failed to save your vote. Please try again.');
+    }
+  };
+
+  // The asker accepts one answer; accepting it again clears it
+  const handleToggleAccepted = async (answer) => {
+    const previous = post.acceptedAnswerId || null;
+    const acceptedAnswerId = previous === answer.id ? null : answer.id;
+    
+    setPost(prev => ({ ...prev, acceptedAnswerId }));
+    
+    try {
+      await QuestionService.acceptAnswer(postId, acceptedAnswerId, auth().currentUser.uid);
+    } catch (error) {
+      console.error('Error accepting answer:', error);
+      setPost(prev => ({ ...prev, acceptedAnswerId: previous }));
+      Alert.alert('Error', error.message || 'Failed to accept this answer. Please try again.');
+    }
+  };
+
+  const handleReply = (comment) => {
+    setEditingCommentId(null);
+    setEditCommentText('');
+    setReplyingTo(comment);
+    
+    setTimeout(() => {
+      if (inputRef.current) {
+        inputRef.current.focus();
+      }
+    }, 100);
+  };
+
+  const handleAddReply = async () => {
+    const parentComment = replyingTo;
+    
+    const reply = await CommentService.addReply(
+      postId,
+      parentComment,
+      auth().currentUser.uid,
+      commentText,
+      commentAnonymously,
+      mentionedUsers
+    );
+    
+    if (!isMounted.current) return;
+    
+    if (reply.anonymous) {
+      setAnonymousContentIds(prev => [...prev, reply.id]);
+    }
+    
+    // Count the reply on its thread parent and show it at the end of that thread
+    updateCommentInState(reply.parentId, comment => ({
+      ...comment,
+      replyCount: (comment.replyCount || 0) + 1,
+    }));
+    setReplyThreads(prev => ({
+      ...prev,
+      [reply.parentId]: {
+        hasMore: false,
+        ...prev[reply.parentId],
+        replies: [...(prev[reply.parentId]?.replies || []), reply],
+        loading: false,
+        expanded: true,
+      },
+    }));
+    
+    setReplyingTo(null);
+    setCommentText('');
+    clearMentions();
+  };
+
   const handleAddComment = async () => {
     if (!commentText.trim() || sending) return;
     
@@ -247,46 +503,38 @@ const CommentsScreen = ({ route, navigation }) => {
     
     setSending(true);
     
+    if (replyingTo) {
+      try {
+        await handleAddReply();
+      } catch (error) {
+        console.error('Error adding reply:', error);
+        if (isMounted.current) {
+          Alert.alert('Error', 'Failed to add reply. Please try again.');
+        }
+      } finally {
+        if (isMounted.current) {
+          setSending(false);
+        }
+      }
+      return;
+    }
+    
     try {
-      // Add comment to Firestore
-      const commentData = {
-        postId: postId,
-        userId: auth().currentUser.uid,
-        userFullName: `${userData.firstName} ${userData.lastName}`.trim(),
-        userProfileImageURL: userData.profileImageURL || null,
-        text: commentText.trim(),
-        timestamp: firestore.FieldValue.serverTimestamp(),
-        edited: false
-      };
-      
-      const docRef = await firestore().collection('comments').add(commentData);
-      
-      // Update comment count on the post
-      await firestore()
-        .collection('posts')
-        .doc(postId)
-        .update({
-          commentCount: firestore.FieldValue.increment(1)
-        });
+      const commentId = await CommentService.addComment(
+        postId,
+        auth().currentUser.uid,
+        commentText,
+        commentAnonymously,
+        mentionedUsers
+      );
       
-      // Send notification to post author if it's not the current user
-      if (post && post.userId !== auth().currentUser.uid) {
-        await firestore().collection('notifications').add({
-          type: 'comment',
-          senderId: auth().currentUser.uid,
-          senderName: `${userData.firstName} ${userData.lastName}`.trim(),
-          senderProfileImage: userData.profileImageURL || null,
-          recipientId: post.userId,
-          postId: postId,
-          commentId: docRef.id,
-          message: 'commented on your post',
-          timestamp: firestore.FieldValue.serverTimestamp(),
-          read: false
-        });
+      if (commentAnonymously && isMounted.current) {
+        setAnonymousContentIds(prev => [...prev, commentId]);
       }
       
       // Clear input
       setCommentText('');
+      clearMentions();
     } catch (error) {
       console.error('Error adding comment:', error);
       if (isMounted.current) {
@@ -299,9 +547,11 @@ const CommentsScreen = ({ route, navigation }) => {
     }
   };
 
-  const handleEditComment = (commentId, currentText) => {
-    setEditingCommentId(commentId);
-    setEditCommentText(currentText);
+  const handleEditComment = (comment) => {
+    setReplyingTo(null);
+    setEditingCommentId(comment.id);
+    setEditingRootId(comment.rootId || null);
+    setEditCommentText(comment.text);
     
     // Focus the input with a slight delay to ensure the UI has updated
     setTimeout(() => {
@@ -322,32 +572,25 @@ const CommentsScreen = ({ route, navigation }) => {
     setSending(true);
     
     try {
-      await firestore()
-        .collection('comments')
-        .doc(editingCommentId)
-        .update({
-          text: editCommentText.trim(),
-          edited: true,
-          editTimestamp: firestore.FieldValue.serverTimestamp()
-        });
+      await CommentService.editComment(
+        editingCommentId,
+        auth().currentUser.uid,
+        editCommentText,
+        editingRootId
+      );
         
       // Update comment in local state
       if (isMounted.current) {
-        setComments(prevComments => 
-          prevComments.map(comment => 
-            comment.id === editingCommentId 
-              ? { 
-                  ...comment, 
-                  text: editCommentText.trim(), 
-                  edited: true,
-                  editTimestamp: new Date()
-                }
-              : comment
-          )
-        );
+        updateCommentInState(editingCommentId, comment => ({ 
+          ...comment, 
+          text: editCommentText.trim(), 
+          edited: true,
+          editTimestamp: new Date()
+        }));
       }
       
       setEditingCommentId(null);
+      setEditingRootId(null);
       setEditCommentText('');
     } catch (error) {
       console.error('Error updating comment:', error);
@@ -363,10 +606,11 @@ const CommentsScreen = ({ route, navigation }) => {
 
   const cancelEditComment = () => {
     setEditingCommentId(null);
+    setEditingRootId(null);
     setEditCommentText('');
   };
 
-  const handleDeleteComment = async (commentId) => {
+  const handleDeleteComment = async (comment) => {
     if (!isConnected) {
       Alert.alert('Offline', 'You cannot delete comments while offline.');
       return;
@@ -382,20 +626,39 @@ const CommentsScreen = ({ route, navigation }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              await firestore().collection('comments').doc(commentId).delete();
+              await CommentService.deleteComment(
+                comment.id,
+                auth().currentUser.uid,
+                comment.rootId || null
+              );
               
-              // Update post comment count
-              await firestore()
-                .collection('posts')
-                .doc(postId)
-                .update({
-                  commentCount: firestore.FieldValue.increment(-1)
-                });
+              if (!isMounted.current) return;
               
               // Update local state
-              if (isMounted.current) {
+              if (comment.replyCount > 0) {
+                // Comments with replies stay as a placeholder
+                updateCommentInState(comment.id, current => ({
+                  ...current,
+                  deleted: true,
+                  text: '',
+                  userFullName: null,
+                  userProfileImageURL: null,
+                }));
+              } else if (comment.parentId) {
+                setReplyThreads(prev => ({
+                  ...prev,
+                  [comment.parentId]: {
+                    ...prev[comment.parentId],
+                    replies: prev[comment.parentId].replies.filter(reply => reply.id !== comment.id),
+                  },
+                }));
+                updateCommentInState(comment.parentId, parent => ({
+                  ...parent,
+                  replyCount: Math.max((parent.replyCount || 1) - 1, 0),
+                }));
+              } else {
                 setComments(prevComments => 
-                  prevComments.filter(comment => comment.id !== commentId)
+                  prevComments.filter(item => item.id !== comment.id)
                 );
               }
             } catch (error) {
@@ -441,46 +704,113 @@ const CommentsScreen = ({ route, navigation }) => {
     }
   }, [hasMoreComments, loadingMore, loading]);
 
-  const renderCommentItem = useCallback(({ item, index }) => {
-    const isCurrentUserComment = item.userId === auth().currentUser.uid;
+  const renderComment = (item) => {
+    const isCurrentUserComment = isOwnContent(item) && !item.deleted;
     const isHighlighted = item.id === focusCommentId;
+    const isReply = (item.depth || 0) > 0;
+    const isAnswer = isQuestion && !isReply;
+    const isAccepted = isAnswer && item.id === post.acceptedAnswerId;
+    const verifiedProfession = isAnswer && !item.anonymous ? getVerifiedProfession(item.authorVerification) : null;
+    const isHelpful = helpfulAnswerIds.includes(item.id);
+    
+    if (item.deleted) {
+      return (
+        <View style={[styles.commentItem, isReply && styles.replyItem]}>
+          <View style={[styles.profileImage, isReply && styles.replyProfileImage, styles.placeholderProfile]}>
+            <Icon name="trash-outline" size={isReply ? 12 : 16} color="#FFF" />
+          </View>
+          <View style={styles.commentContent}>
+            <View style={styles.commentBubble}>
+              <Text style={[styles.deletedText, { color: theme.colors.text.secondary }]}>
+                [deleted]
+              </Text>
+            </View>
+          </View>
+        </View>
+      );
+    }
     
     return (
       <View 
         style={[
           styles.commentItem,
+          isReply && styles.replyItem,
           isHighlighted && { backgroundColor: theme.colors.background.highlighted }
         ]}
       >
-        <TouchableOpacity onPress={() => navigateToUserProfile(item.userId)}>
-          {item.userProfileImageURL ? (
+        <TouchableOpacity 
+          onPress={() => navigateToUserProfile(item.userId)}
+          disabled={item.anonymous}
+        >
+          {item.anonymous ? (
+            <AnonymousAvatar pseudonym={item.pseudonym} size={isReply ? 28 : 36} />
+          ) : item.userProfileImageURL ? (
             <FastImage
-              style={styles.profileImage}
+              style={[styles.profileImage, isReply && styles.replyProfileImage]}
               source={{ uri: item.userProfileImageURL }}
               resizeMode={FastImage.resizeMode.cover}
               defaultSource={require('../assets/default-avatar.png')}
             />
           ) : (
-            <View style={[styles.profileImage, styles.placeholderProfile]}>
-              <Icon name="person" size={16} color="#FFF" />
+            <View style={[styles.profileImage, isReply && styles.replyProfileImage, styles.placeholderProfile]}>
+              <Icon name="person" size={isReply ? 12 : 16} color="#FFF" />
             </View>
           )}
         </TouchableOpacity>
         
         <View style={styles.commentContent}>
-          <View style={styles.commentBubble}>
+          {(isAccepted || verifiedProfession) && (
+            <View style={styles.answerLabels}>
+              {isAccepted && (
+                <View style={styles.answerLabel}>
+                  <Icon name="checkmark-circle" size={14} color={theme.colors.success.main} />
+                  <Text style={[styles.answerLabelText, { color: theme.colors.success.main }]}>
+                    Accepted answer
+                  </Text>
+                </View>
+              )}
+              {verifiedProfession && (
+                <View style={styles.answerLabel}>
+                  <Icon name="shield-checkmark" size={14} color={theme.colors.primary.main} />
+                  <Text style={[styles.answerLabelText, { color: theme.colors.primary.main }]}>
+                    Answer from a verified {verifiedProfession.label.toLowerCase()}
+                  </Text>
+                </View>
+              )}
+            </View>
+          )}
+          <View style={[
+            styles.commentBubble,
+            verifiedProfession && [styles.highlightedAnswer, { 
+              backgroundColor: theme.colors.primary.lightest,
+              borderColor: theme.colors.primary.main 
+            }],
+            isAccepted && [styles.highlightedAnswer, { borderColor: theme.colors.success.main }]
+          ]}>
             <View style={styles.commentHeader}>
-              <TouchableOpacity onPress={() => navigateToUserProfile(item.userId)}>
+              <TouchableOpacity 
+                style={styles.userNameRow}
+                onPress={() => navigateToUserProfile(item.userId)}
+                disabled={item.anonymous}
+              >
                 <Text style={[styles.userName, { color: theme.colors.text.primary }]}>
                   {item.userFullName}
+                  {item.anonymous && isCurrentUserComment && (
+                    <Text style={[styles.anonymousLabel, { color: theme.colors.text.secondary }]}>
+                      {' '}(you, anonymous)
+                    </Text>
+                  )}
                 </Text>
+                {!item.anonymous && (
+                  <VerifiedBadge verification={item.authorVerification} style={styles.verifiedBadge} />
+                )}
               </TouchableOpacity>
               
               {isCurrentUserComment && (
                 <View style={styles.commentActions}>
                   <TouchableOpacity 
                     style={styles.actionButton}
-                    onPress={() => handleEditComment(item.id, item.text)}
+                    onPress={() => handleEditComment(item)}
                     hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
                   >
                     <Icon name="pencil" size={16} color="#546E7A" />
@@ -488,7 +818,7 @@ const CommentsScreen = ({ route, navigation }) => {
                   
                   <TouchableOpacity 
                     style={styles.actionButton}
-                    onPress={() => handleDeleteComment(item.id)}
+                    onPress={() => handleDeleteComment(item)}
                     hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
                   >
                     <Icon name="trash" size={16} color="#F44336" />
@@ -497,9 +827,13 @@ const CommentsScreen = ({ route, navigation }) => {
               )}
             </View>
             
-            <Text style={[styles.commentText, { color: theme.colors.text.primary }]}>
-              {item.text}
-            </Text>
+            <LinkedText
+              text={item.text}
+              mentions={item.mentions}
+              style={[styles.commentText, { color: theme.colors.text.primary }]}
+              onPressMention={mention => navigateToUserProfile(mention.userId)}
+              onPressHashtag={hashtag => navigation.navigate('Topic', { hashtag })}
+            />
           </View>
           
           <View style={styles.commentFooter}>
@@ -508,24 +842,141 @@ const CommentsScreen = ({ route, navigation }) => {
             </Text>
             
             {item.edited && (
-              <Text style={[styles.editedLabel, { color: theme.colors.text.secondary }]}>
-                (edited {item.editTimestamp ? formatTimestamp(item.editTimestamp) : ''})
+              <TouchableOpacity
+                onPress={() => setHistoryComment(item)}
+                hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
+                accessibilityRole="button"
+                accessibilityHint="Shows earlier versions of this comment"
+              >
+                <Text style={[styles.editedLabel, { color: theme.colors.text.secondary }]}>
+                  (edited {item.editTimestamp ? formatTimestamp(item.editTimestamp) : ''})
+                </Text>
+              </TouchableOpacity>
+            )}
+            
+            <TouchableOpacity 
+              onPress={() => handleReply(item)}
+              hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
+              accessibilityLabel={`Reply to ${item.userFullName}`}
+            >
+              <Text style={[styles.replyButtonText, { color: theme.colors.primary.main }]}>
+                Reply
               </Text>
+            </TouchableOpacity>
+            
+            {isAnswer && (
+              <TouchableOpacity 
+                style={styles.answerAction}
+                onPress={() => handleToggleHelpful(item)}
+                disabled={isCurrentUserComment}
+                hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
+                accessibilityRole="button"
+                accessibilityLabel={`Helpful, ${item.helpfulCount || 0} ${item.helpfulCount === 1 ? 'vote' : 'votes'}`}
+                accessibilityState={{ selected: isHelpful, disabled: isCurrentUserComment }}
+              >
+                <Icon 
+                  name={isHelpful ? 'thumbs-up' : 'thumbs-up-outline'} 
+                  size={14} 
+                  color={isHelpful ? theme.colors.primary.main : theme.colors.text.secondary} 
+                />
+                <Text style={[
+                  styles.answerActionText, 
+                  { color: isHelpful ? theme.colors.primary.main : theme.colors.text.secondary }
+                ]}>
+                  Helpful{item.helpfulCount > 0 ? ` · ${item.helpfulCount}` : ''}
+                </Text>
+              </TouchableOpacity>
+            )}
+            
+            {isAnswer && isOwnContent(post) && (
+              <TouchableOpacity 
+                style={styles.answerAction}
+                onPress={() => handleToggleAccepted(item)}
+                hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
+                accessibilityRole="button"
+                accessibilityState={{ selected: isAccepted }}
+              >
+                <Icon 
+                  name={isAccepted ? 'checkmark-circle' : 'checkmark-circle-outline'} 
+                  size={14} 
+                  color={isAccepted ? theme.colors.success.main : theme.colors.text.secondary} 
+                />
+                <Text style={[
+                  styles.answerActionText, 
+                  { color: isAccepted ? theme.colors.success.main : theme.colors.text.secondary }
+                ]}>
+                  {isAccepted ? 'Accepted' : 'Accept'}
+                </Text>
+              </TouchableOpacity>
             )}
           </View>
         </View>
       </View>
     );
-  }, [focusCommentId, theme]);
+  };
+
+  // Render a comment followed by its reply thread, if expanded
+  const renderThread = (item) => {
+    const thread = replyThreads[item.id];
+    const replyCount = item.replyCount || 0;
+    const depth = item.depth || 0;
+    
+    return (
+      <View key={item.id}>
+        {renderComment(item)}
+        
+        {replyCount > 0 && depth < MAX_COMMENT_REPLY_DEPTH && (
+          <View style={styles.repliesContainer}>
+            {thread?.expanded && thread.replies.map(renderThread)}
+            
+            {thread?.loading ? (
+              <ActivityIndicator 
+                style={styles.repliesLoader} 
+                size="small" 
+                color={theme.colors.primary.main} 
+              />
+            ) : (
+              <View style={styles.repliesControls}>
+                <TouchableOpacity onPress={() => toggleReplies(item)}>
+                  <Text style={[styles.viewRepliesText, { color: theme.colors.text.secondary }]}>
+                    {thread?.expanded 
+                      ? 'Hide replies' 
+                      : `View ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}`}
+                  </Text>
+                </TouchableOpacity>
+                
+                {thread?.expanded && thread.hasMore && (
+                  <TouchableOpacity onPress={() => loadReplies(item)}>
+                    <Text style={[styles.viewRepliesText, { color: theme.colors.primary.main }]}>
+                      View more replies
+                    </Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            )}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderCommentItem = useCallback(({ item }) => renderThread(item), [
+    focusCommentId, 
+    theme, 
+    replyThreads, 
+    blockedUsers,
+    post,
+    helpfulAnswerIds
+  ]);
 
   const renderEmptyComponent = () => (
     <View style={styles.emptyContainer}>
-      <Icon name="chatbubble-outline" size={50} color="#B0BEC5" />
+      <Icon name={isQuestion ? 'help-circle-outline' : 'chatbubble-outline'} size={50} color="#B0BEC5" />
       <Text style={[styles.emptyTitle, { color: theme.colors.text.primary }]}>
-        No comments yet
+        {isQuestion ? 'No answers yet' : 'No comments yet'}
       </Text>
       <Text style={[styles.emptySubtitle, { color: theme.colors.text.secondary }]}>
-        Be the first to comment
+        {isQuestion ? 'Be the first to answer' : 'Be the first to comment'}
       </Text>
     </View>
   );
@@ -547,14 +998,20 @@ const CommentsScreen = ({ route, navigation }) => {
       <View style={[styles.postAuthorContainer, { backgroundColor: theme.colors.background.card }]}>
         <View style={styles.postInfoRow}>
           <Text style={[styles.postInfoLabel, { color: theme.colors.text.secondary }]}>
-            Commenting on post by:
+            {isQuestion ? 'Question from:' : 'Commenting on post by:'}
           </Text>
           <TouchableOpacity 
             style={styles.postAuthorInfo}
             onPress={() => navigateToUserProfile(post.userId)}
-            disabled={!post.userId}
+            disabled={!post.userId || post.anonymous}
           >
-            {post.userProfileImageURL ? (
+            {post.anonymous ? (
+              <AnonymousAvatar
+                pseudonym={post.pseudonym}
+                size={20}
+                style={styles.smallAnonymousAvatar}
+              />
+            ) : post.userProfileImageURL ? (
               <FastImage
                 style={styles.smallProfileImage}
                 source={{ uri: post.userProfileImageURL }}
@@ -573,6 +1030,7 @@ const CommentsScreen = ({ route, navigation }) => {
             <Text style={[styles.postAuthorName, { color: theme.colors.text.primary }]}>
               {post.userFullName || 'Unknown User'}
             </Text>
+            {!post.anonymous && <VerifiedBadge verification={post.authorVerification} style={styles.verifiedBadge} />}
           </TouchableOpacity>
         </View>
         
@@ -606,7 +1064,7 @@ const CommentsScreen = ({ route, navigation }) => {
       ) : (
         <FlatList
           ref={flatListRef}
-          data={comments}
+          data={displayedComments}
           keyExtractor={item => item.id}
           renderItem={renderCommentItem}
           contentContainerStyle={
@@ -643,6 +1101,14 @@ const CommentsScreen = ({ route, navigation }) => {
         </View>
       )}
       
+      {!editingCommentId && (
+        <MentionSuggestions
+          suggestions={mentionSuggestions}
+          onSelect={selectMention}
+          style={styles.mentionSuggestions}
+        />
+      )}
+      
       <View style={[
         styles.inputContainer, 
         { 
@@ -699,6 +1165,45 @@ const CommentsScreen = ({ route, navigation }) => {
           </View>
         ) : (
           <>
+            {replyingTo && (
+              <View style={styles.replyingBanner}>
+                <Text 
+                  style={[styles.editingLabel, { color: theme.colors.primary.main }]}
+                  numberOfLines={1}
+                >
+                  Replying to {replyingTo.userFullName || 'comment'}
+                </Text>
+                <TouchableOpacity 
+                  onPress={() => setReplyingTo(null)}
+                  hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
+                  accessibilityLabel="Cancel reply"
+                >
+                  <Icon name="close" size={16} color={theme.colors.text.secondary} />
+                </TouchableOpacity>
+              </View>
+            )}
+            {commentAnonymously && (
+              <Text 
+                style={[styles.anonymousBanner, { color: theme.colors.text.secondary }]}
+                numberOfLines={1}
+              >
+                {pseudonym ? `Commenting anonymously as ${pseudonym.name}` : 'Commenting anonymously'}
+              </Text>
+            )}
+            <TouchableOpacity
+              style={styles.anonymousToggle}
+              onPress={() => setCommentAnonymously(prev => !prev)}
+              hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
+              accessibilityRole="switch"
+              accessibilityLabel="Post anonymously"
+              accessibilityState={{ checked: commentAnonymously }}
+            >
+              <Icon 
+                name={commentAnonymously ? 'eye-off' : 'eye-off-outline'} 
+                size={22} 
+                color={commentAnonymously ? theme.colors.primary.main : theme.colors.text.secondary} 
+              />
+            </TouchableOpacity>
             <TextInput
               ref={inputRef}
               style={[
@@ -708,10 +1213,11 @@ const CommentsScreen = ({ route, navigation }) => {
                   backgroundColor: theme.colors.background.input 
                 }
               ]}
-              placeholder="Write a comment..."
+              placeholder={replyingTo ? 'Write a reply...' : isQuestion ? 'Write an answer...' : 'Write a comment...'}
               placeholderTextColor={theme.colors.text.hint}
               value={commentText}
               onChangeText={setCommentText}
+              {...mentionInputProps}
               multiline
               maxLength={1000}
               editable={isConnected}
@@ -734,6 +1240,15 @@ const CommentsScreen = ({ route, navigation }) => {
           </>
         )}
       </View>
+      
+      {historyComment && (
+        <EditHistorySheet
+          visible
+          current={{ text: historyComment.text, timestamp: historyComment.editTimestamp }}
+          loadVersions={() => CommentService.getEditHistory(historyComment.id, historyComment.rootId || null)}
+          onClose={() => setHistoryComment(null)}
+        />
+      )}
     </KeyboardAvoidingView>
   );
 };
@@ -777,6 +1292,9 @@ const styles = StyleSheet.create({
     borderRadius: 10,
     marginRight: 4,
   },
+  smallAnonymousAvatar: {
+    marginRight: 4,
+  },
   postAuthorName: {
     fontSize: 12,
     fontWeight: 'bold',
@@ -819,9 +1337,20 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 4,
   },
+  userNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   userName: {
     fontWeight: 'bold',
   },
+  verifiedBadge: {
+    marginLeft: 6,
+  },
+  anonymousLabel: {
+    fontWeight: 'normal',
+    fontSize: 12,
+  },
   commentActions: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -848,6 +1377,70 @@ const styles = StyleSheet.create({
     fontStyle: 'italic',
     marginLeft: 4,
   },
+  replyButtonText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginLeft: 12,
+  },
+  answerAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 12,
+  },
+  answerActionText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginLeft: 3,
+  },
+  answerLabels: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+    marginLeft: 4,
+  },
+  answerLabel: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  answerLabelText: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginLeft: 3,
+  },
+  highlightedAnswer: {
+    borderWidth: 1,
+  },
+  replyItem: {
+    paddingVertical: 6,
+  },
+  replyProfileImage: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+  },
+  deletedText: {
+    fontSize: 14,
+    fontStyle: 'italic',
+  },
+  repliesContainer: {
+    marginLeft: REPLY_INDENT,
+  },
+  repliesControls: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: 12,
+    paddingBottom: 8,
+  },
+  viewRepliesText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  repliesLoader: {
+    alignSelf: 'flex-start',
+    marginLeft: 12,
+    marginBottom: 8,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -863,13 +1456,32 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginTop: 5,
   },
+  mentionSuggestions: {
+    marginHorizontal: 12,
+    marginBottom: 4,
+  },
   inputContainer: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     alignItems: 'center',
     paddingHorizontal: 12,
     paddingVertical: 8,
     borderTopWidth: 1,
   },
+  anonymousBanner: {
+    width: '100%',
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  anonymousToggle: {
+    marginRight: 8,
+  },
+  replyingBanner: {
+    width: '100%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
   editingContainer: {
     flex: 1,
   },
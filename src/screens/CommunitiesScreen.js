@@ -0,0 +1,261 @@
+// src/screens/CommunitiesScreen.js
+// Communities the user belongs to, and suggestions for their conditions
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SectionList,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import FastImage from 'react-native-fast-image';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../theme/ThemeContext';
+import { useConditionNames } from '../hooks/useConditionNames';
+import { CommunityService } from '../services/FirebaseService';
+import { getCommunityMembership } from '../constants/communities';
+
+const SUGGESTIONS_PER_CONDITION = 3;
+
+const CommunitiesScreen = ({ navigation }) => {
+  const { userData } = useUser();
+  const { theme } = useTheme();
+  const { conditionName } = useConditionNames();
+  
+  const [joined, setJoined] = useState([]);
+  const [suggested, setSuggested] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+  
+  const communityIds = userData?.communityIds || [];
+  const conditions = userData?.medicalConditions || [];
+  
+  const loadCommunities = useCallback(async () => {
+    try {
+      setError(null);
+      
+      const [joinedCommunities, ...byCondition] = await Promise.all([
+        CommunityService.getCommunitiesByIds(communityIds),
+        ...conditions.map(condition => (
+          CommunityService.getCommunitiesForCondition(condition, SUGGESTIONS_PER_CONDITION)
+        )),
+      ]);
+      
+      const joinedIds = new Set(joinedCommunities.map(community => community.id));
+      const suggestions = new Map();
+      byCondition.flat().forEach(community => {
+        if (!joinedIds.has(community.id)) suggestions.set(community.id, community);
+      });
+      
+      setJoined(joinedCommunities);
+      setSuggested([...suggestions.values()].sort((a, b) => b.memberCount - a.memberCount));
+    } catch (loadError) {
+      console.error('Error loading communities:', loadError);
+      setError('Could not load communities. Pull down to try again.');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [communityIds.join(','), conditions.join(',')]);
+  
+  // Reload on focus so joins and leaves elsewhere show up
+  useEffect(() => {
+    loadCommunities();
+    return navigation.addListener('focus', loadCommunities);
+  }, [navigation, loadCommunities]);
+  
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadCommunities();
+  };
+  
+  const openCommunity = (community) => {
+    navigation.navigate('Community', { communityId: community.id, title: community.name });
+  };
+  
+  const renderCommunity = ({ item }) => {
+    const membership = getCommunityMembership(item.membership);
+    
+    return (
+      <TouchableOpacity
+        style={[styles.communityItem, { backgroundColor: theme.colors.background.paper }]}
+        onPress={() => openCommunity(item)}
+        accessibilityRole="button"
+        accessibilityLabel={`${item.name}, ${conditionName(item.condition)}, ${item.memberCount} members`}
+      >
+        {item.coverImageURL ? (
+          <FastImage source={{ uri: item.coverImageURL }} style={styles.cover} />
+        ) : (
+          <View style={[styles.cover, styles.coverPlaceholder, { backgroundColor: theme.colors.primary.lightest }]}>
+            <Icon name="people" size={24} color={theme.colors.primary.main} />
+          </View>
+        )}
+        <View style={styles.communityInfo}>
+          <Text style={[styles.communityName, { color: theme.colors.text.primary }]} numberOfLines={1}>
+            {item.name}
+          </Text>
+          <Text style={[styles.communityMeta, { color: theme.colors.text.secondary }]} numberOfLines={1}>
+            {conditionName(item.condition)} · {item.memberCount} {item.memberCount === 1 ? 'member' : 'members'}
+          </Text>
+        </View>
+        {membership && (
+          <Icon name={membership.icon} size={16} color={theme.colors.text.hint} />
+        )}
+      </TouchableOpacity>
+    );
+  };
+  
+  const renderSectionHeader = ({ section }) => (
+    <Text style={[styles.sectionTitle, { color: theme.colors.text.secondary }]}>
+      {section.title}
+    </Text>
+  );
+  
+  const renderSectionFooter = ({ section }) => {
+    if (section.data.length > 0) return null;
+    
+    return (
+      <Text style={[styles.sectionEmpty, { color: theme.colors.text.hint }]}>
+        {section.emptyText}
+      </Text>
+    );
+  };
+  
+  if (loading) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  const sections = [
+    {
+      title: 'Your communities',
+      data: joined,
+      emptyText: 'You haven\'t joined any communities yet.',
+    },
+    {
+      title: 'Suggested for your conditions',
+      data: suggested,
+      emptyText: conditions.length > 0
+        ? 'No other communities for your conditions yet. Why not start one?'
+        : 'Add your conditions to your profile to see communities for them.',
+    },
+  ];
+  
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background.default }]}>
+      <SectionList
+        sections={sections}
+        keyExtractor={item => item.id}
+        renderItem={renderCommunity}
+        renderSectionHeader={renderSectionHeader}
+        renderSectionFooter={renderSectionFooter}
+        stickySectionHeadersEnabled={false}
+        ListHeaderComponent={error ? (
+          <Text style={[styles.errorText, { color: theme.colors.error.main }]}>{error}</Text>
+        ) : null}
+        ListFooterComponent={(
+          <TouchableOpacity
+            style={[styles.createButton, { borderColor: theme.colors.primary.main }]}
+            onPress={() => navigation.navigate('EditCommunity')}
+            accessibilityRole="button"
+          >
+            <Icon name="add-circle-outline" size={20} color={theme.colors.primary.main} />
+            <Text style={[styles.createButtonText, { color: theme.colors.primary.main }]}>
+              Start a community
+            </Text>
+          </TouchableOpacity>
+        )}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={handleRefresh}
+            colors={[theme.colors.primary.main]}
+            tintColor={theme.colors.primary.main}
+          />
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    paddingHorizontal: 16,
+    paddingTop: 20,
+    paddingBottom: 8,
+  },
+  sectionEmpty: {
+    fontSize: 14,
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+  },
+  communityItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginHorizontal: 16,
+    marginBottom: 8,
+    borderRadius: 10,
+  },
+  cover: {
+    width: 48,
+    height: 48,
+    borderRadius: 8,
+  },
+  coverPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  communityInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  communityName: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  communityMeta: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  errorText: {
+    fontSize: 14,
+    textAlign: 'center',
+    padding: 16,
+  },
+  createButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderRadius: 20,
+    paddingVertical: 10,
+    margin: 24,
+  },
+  createButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+});
+
+export default CommunitiesScreen;
@@ -0,0 +1,408 @@
+// src/screens/CommunityMembersScreen.js
+// Members of a community, with join requests and moderation for its moderators
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import FastImage from 'react-native-fast-image';
+import { formatDistanceToNow } from 'date-fns';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../theme/ThemeContext';
+import { CommunityService } from '../services/FirebaseService';
+
+const MEMBERS_PER_PAGE = 30;
+
+const CommunityMembersScreen = ({ route, navigation }) => {
+  const { communityId } = route.params;
+  const { user } = useUser();
+  const { theme } = useTheme();
+  
+  const [community, setCommunity] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+  const [busyUserId, setBusyUserId] = useState(null);
+  
+  const lastVisible = useRef(null);
+  const isMounted = useRef(true);
+  
+  const isModerator = !!community?.moderatorIds?.includes(user?.uid);
+  const isOwner = community?.ownerId === user?.uid;
+  
+  useEffect(() => {
+    return () => {
+      isMounted.current = false;
+    };
+  }, []);
+  
+  const loadMembers = useCallback(async (reset = false) => {
+    const result = await CommunityService.getMembers(
+      communityId,
+      MEMBERS_PER_PAGE,
+      reset ? null : lastVisible.current
+    );
+    
+    if (!isMounted.current) return;
+    
+    lastVisible.current = result.lastVisible;
+    setMembers(prev => (reset ? result.members : [...prev, ...result.members]));
+    setHasMore(result.hasMore);
+  }, [communityId]);
+  
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const communityData = await CommunityService.getCommunity(communityId);
+        if (!isMounted.current) return;
+        
+        setCommunity(communityData);
+        
+        await Promise.all([
+          loadMembers(true),
+          communityData.moderatorIds?.includes(user?.uid)
+            ? CommunityService.getJoinRequests(communityId, user.uid).then(result => {
+              if (isMounted.current) setRequests(result);
+            })
+            : Promise.resolve(),
+        ]);
+      } catch (error) {
+        console.error('Error loading community members:', error);
+        if (isMounted.current) {
+          Alert.alert('Error', 'Failed to load members. Please try again.');
+        }
+      } finally {
+        if (isMounted.current) {
+          setLoading(false);
+        }
+      }
+    };
+    
+    load();
+  }, [communityId, user?.uid, loadMembers]);
+  
+  const handleLoadMore = async () => {
+    if (loading || loadingMore || !hasMore) return;
+    
+    setLoadingMore(true);
+    try {
+      await loadMembers(false);
+    } catch (error) {
+      console.error('Error loading more members:', error);
+    } finally {
+      if (isMounted.current) setLoadingMore(false);
+    }
+  };
+  
+  const handleRespond = async (request, approve) => {
+    setBusyUserId(request.userId);
+    
+    try {
+      await CommunityService.respondToJoinRequest(communityId, request.userId, user.uid, approve);
+      
+      if (!isMounted.current) return;
+      
+      setRequests(prev => prev.filter(item => item.userId !== request.userId));
+      if (approve) {
+        setMembers(prev => [...prev, { ...request, id: request.userId, joinedAt: new Date() }]);
+      }
+    } catch (error) {
+      console.error('Error responding to join request:', error);
+      Alert.alert('Error', error.message || 'Failed to update the request. Please try again.');
+    } finally {
+      if (isMounted.current) setBusyUserId(null);
+    }
+  };
+  
+  const handleRemove = (member) => {
+    Alert.alert(
+      'Remove Member',
+      `Remove ${member.userFullName} from ${community.name}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            setBusyUserId(member.userId);
+            
+            try {
+              await CommunityService.removeMember(communityId, member.userId, user.uid);
+              
+              if (!isMounted.current) return;
+              
+              setMembers(prev => prev.filter(item => item.userId !== member.userId));
+            } catch (error) {
+              console.error('Error removing member:', error);
+              Alert.alert('Error', error.message || 'Failed to remove member. Please try again.');
+            } finally {
+              if (isMounted.current) setBusyUserId(null);
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  const handleToggleModerator = async (member) => {
+    const makeModerator = !community.moderatorIds.includes(member.userId);
+    setBusyUserId(member.userId);
+    
+    try {
+      await CommunityService.setModerator(communityId, member.userId, user.uid, makeModerator);
+      
+      if (!isMounted.current) return;
+      
+      setCommunity(prev => ({
+        ...prev,
+        moderatorIds: makeModerator
+          ? [...prev.moderatorIds, member.userId]
+          : prev.moderatorIds.filter(id => id !== member.userId),
+      }));
+    } catch (error) {
+      console.error('Error updating moderator:', error);
+      Alert.alert('Error', error.message || 'Failed to update moderator. Please try again.');
+    } finally {
+      if (isMounted.current) setBusyUserId(null);
+    }
+  };
+  
+  const openProfile = (userId, title) => {
+    if (userId === user?.uid) {
+      navigation.navigate('ProfileTab');
+    } else {
+      navigation.navigate('UserProfile', { userId, title });
+    }
+  };
+  
+  const renderAvatar = (imageURL) => (
+    imageURL ? (
+      <FastImage source={{ uri: imageURL }} style={styles.avatar} />
+    ) : (
+      <View style={[styles.avatar, styles.avatarPlaceholder, { backgroundColor: theme.colors.gray[300] }]}>
+        <Icon name="person" size={20} color="white" />
+      </View>
+    )
+  );
+  
+  const renderRequests = () => {
+    if (!isModerator || requests.length === 0) return null;
+    
+    return (
+      <View style={[styles.section, { backgroundColor: theme.colors.background.paper }]}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.text.secondary }]}>
+          Requests to join ({requests.length})
+        </Text>
+        {requests.map(request => (
+          <View key={request.userId} style={styles.row}>
+            <TouchableOpacity
+              style={styles.person}
+              onPress={() => openProfile(request.userId, request.userFullName)}
+            >
+              {renderAvatar(request.userProfileImageURL)}
+              <View style={styles.personInfo}>
+                <Text style={[styles.personName, { color: theme.colors.text.primary }]} numberOfLines={1}>
+                  {request.userFullName}
+                </Text>
+                <Text style={[styles.personMeta, { color: theme.colors.text.secondary }]}>
+                  Asked {formatDistanceToNow(request.requestedAt, { addSuffix: true })}
+                </Text>
+              </View>
+            </TouchableOpacity>
+            {busyUserId === request.userId ? (
+              <ActivityIndicator size="small" color={theme.colors.primary.main} />
+            ) : (
+              <>
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={() => handleRespond(request, false)}
+                  accessibilityRole="button"
+                  accessibilityLabel={`Decline ${request.userFullName}`}
+                >
+                  <Icon name="close-circle-outline" size={28} color={theme.colors.error.main} />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={() => handleRespond(request, true)}
+                  accessibilityRole="button"
+                  accessibilityLabel={`Approve ${request.userFullName}`}
+                >
+                  <Icon name="checkmark-circle" size={28} color={theme.colors.primary.main} />
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        ))}
+      </View>
+    );
+  };
+  
+  const renderMember = ({ item }) => {
+    const memberIsOwner = item.userId === community.ownerId;
+    const memberIsModerator = community.moderatorIds?.includes(item.userId);
+    const canRemove = isModerator && !memberIsOwner && item.userId !== user?.uid &&
+      (!memberIsModerator || isOwner);
+    
+    return (
+      <View style={[styles.row, styles.memberRow, { backgroundColor: theme.colors.background.paper }]}>
+        <TouchableOpacity
+          style={styles.person}
+          onPress={() => openProfile(item.userId, item.userFullName)}
+        >
+          {renderAvatar(item.userProfileImageURL)}
+          <View style={styles.personInfo}>
+            <Text style={[styles.personName, { color: theme.colors.text.primary }]} numberOfLines={1}>
+              {item.userFullName}
+            </Text>
+            {(memberIsOwner || memberIsModerator) && (
+              <Text style={[styles.personMeta, { color: theme.colors.primary.main }]}>
+                {memberIsOwner ? 'Owner' : 'Moderator'}
+              </Text>
+            )}
+          </View>
+        </TouchableOpacity>
+        {busyUserId === item.userId ? (
+          <ActivityIndicator size="small" color={theme.colors.primary.main} />
+        ) : (
+          <>
+            {isOwner && !memberIsOwner && (
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => handleToggleModerator(item)}
+                accessibilityRole="button"
+                accessibilityLabel={memberIsModerator
+                  ? `Remove ${item.userFullName} as moderator`
+                  : `Make ${item.userFullName} a moderator`}
+              >
+                <Icon
+                  name={memberIsModerator ? 'shield' : 'shield-outline'}
+                  size={22}
+                  color={theme.colors.primary.main}
+                />
+              </TouchableOpacity>
+            )}
+            {canRemove && (
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => handleRemove(item)}
+                accessibilityRole="button"
+                accessibilityLabel={`Remove ${item.userFullName}`}
+              >
+                <Icon name="person-remove-outline" size={22} color={theme.colors.error.main} />
+              </TouchableOpacity>
+            )}
+          </>
+        )}
+      </View>
+    );
+  };
+  
+  if (loading) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background.default }]}>
+      <FlatList
+        data={community ? members : []}
+        keyExtractor={item => item.userId}
+        renderItem={renderMember}
+        ListHeaderComponent={(
+          <>
+            {renderRequests()}
+            <Text style={[styles.sectionTitle, styles.membersTitle, { color: theme.colors.text.secondary }]}>
+              Members ({community?.memberCount || 0})
+            </Text>
+          </>
+        )}
+        ListFooterComponent={loadingMore ? (
+          <ActivityIndicator style={styles.footerLoader} size="small" color={theme.colors.primary.main} />
+        ) : null}
+        onEndReached={handleLoadMore}
+        onEndReachedThreshold={0.5}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  section: {
+    paddingVertical: 8,
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  membersTitle: {
+    paddingTop: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  memberRow: {
+    marginBottom: 1,
+  },
+  person: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+  },
+  avatarPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  personInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  personName: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  personMeta: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  iconButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  footerLoader: {
+    paddingVertical: 16,
+  },
+});
+
+export default CommunityMembersScreen;
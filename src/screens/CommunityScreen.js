@@ -0,0 +1,644 @@
+// src/screens/CommunityScreen.js
+// Community home with its rules, membership, upcoming events and posts
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import FastImage from 'react-native-fast-image';
+import { format } from 'date-fns';
+import { useUser } from '../contexts/UserContext';
+import { useBlockedUsers } from '../contexts/BlockedUsersContext';
+import { useTheme } from '../theme/ThemeContext';
+import { useConditionNames } from '../hooks/useConditionNames';
+import PostCard from '../components/PostCard';
+import { CommunityService } from '../services/FirebaseService';
+import { EventService } from '../services/EventService';
+import { getCommunityMembership } from '../constants/communities';
+
+const POSTS_PER_PAGE = 10;
+const UPCOMING_EVENTS = 3;
+
+const CommunityScreen = ({ route, navigation }) => {
+  const { communityId, updatedAt } = route.params;
+  const { user, setUserData } = useUser();
+  const { filterBlockedContent } = useBlockedUsers();
+  const { theme } = useTheme();
+  const { conditionName } = useConditionNames();
+  
+  const [community, setCommunity] = useState(null);
+  const [status, setStatus] = useState('none'); // 'member', 'pending', 'none'
+  const [events, setEvents] = useState([]);
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+  const [updatingMembership, setUpdatingMembership] = useState(false);
+  const [showRules, setShowRules] = useState(false);
+  
+  const lastVisible = useRef(null);
+  const isMounted = useRef(true);
+  
+  const isModerator = !!community?.moderatorIds?.includes(user?.uid);
+  const isOwner = community?.ownerId === user?.uid;
+  const canReadPosts = community?.membership !== 'approval' || status === 'member';
+  
+  useEffect(() => {
+    return () => {
+      isMounted.current = false;
+    };
+  }, []);
+  
+  const loadPosts = useCallback(async (reset = false) => {
+    try {
+      const result = await CommunityService.getCommunityPosts(
+        communityId,
+        user?.uid,
+        POSTS_PER_PAGE,
+        reset ? null : lastVisible.current
+      );
+      
+      if (!isMounted.current) return;
+      
+      lastVisible.current = result.lastVisible;
+      setPosts(prevPosts => (reset ? result.posts : [...prevPosts, ...result.posts]));
+      setHasMore(result.hasMore);
+    } catch (error) {
+      console.error('Error loading community posts:', error);
+    } finally {
+      if (isMounted.current) {
+        setLoadingMore(false);
+      }
+    }
+  }, [communityId, user?.uid]);
+  
+  const loadCommunity = useCallback(async () => {
+    try {
+      const [communityData, membershipStatus] = await Promise.all([
+        CommunityService.getCommunity(communityId),
+        CommunityService.getMembershipStatus(communityId, user?.uid),
+      ]);
+      
+      if (!isMounted.current) return;
+      
+      setCommunity(communityData);
+      setStatus(membershipStatus);
+      navigation.setOptions({ title: communityData.name });
+      
+      // Events are matched to the community by its condition
+      EventService.getEvents({ condition: communityData.condition, limit: UPCOMING_EVENTS })
+        .then(result => {
+          if (isMounted.current) setEvents(result.events);
+        })
+        .catch(error => console.error('Error loading community events:', error));
+      
+      if (communityData.membership !== 'approval' || membershipStatus === 'member') {
+        await loadPosts(true);
+      } else {
+        setPosts([]);
+        setHasMore(false);
+      }
+    } catch (error) {
+      console.error('Error loading community:', error);
+      if (isMounted.current) {
+        Alert.alert('Error', 'Failed to load this community. Please try again.');
+      }
+    } finally {
+      if (isMounted.current) {
+        setLoading(false);
+        setRefreshing(false);
+      }
+    }
+  }, [communityId, user?.uid, loadPosts]);
+  
+  // updatedAt changes when the community is edited, so the home shows the new details
+  useEffect(() => {
+    setLoading(true);
+    loadCommunity();
+  }, [loadCommunity, updatedAt]);
+  
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadCommunity();
+  };
+  
+  const handleLoadMore = () => {
+    if (loading || loadingMore || !hasMore || !canReadPosts) return;
+    
+    setLoadingMore(true);
+    loadPosts(false);
+  };
+  
+  // The user's communityIds decide which members-only posts they see elsewhere
+  const updateLocalCommunityIds = (joined) => {
+    setUserData(prev => prev && ({
+      ...prev,
+      communityIds: joined
+        ? [...new Set([...(prev.communityIds || []), communityId])]
+        : (prev.communityIds || []).filter(id => id !== communityId),
+    }));
+  };
+  
+  const handleJoin = async () => {
+    if (!user || updatingMembership) return;
+    
+    setUpdatingMembership(true);
+    
+    try {
+      const newStatus = await CommunityService.joinCommunity(communityId, user.uid);
+      
+      if (!isMounted.current) return;
+      
+      setStatus(newStatus);
+      
+      if (newStatus === 'member') {
+        updateLocalCommunityIds(true);
+        setCommunity(prev => ({ ...prev, memberCount: prev.memberCount + 1 }));
+        loadPosts(true);
+      } else {
+        Alert.alert('Request Sent', 'The moderators will review your request to join.');
+      }
+    } catch (error) {
+      console.error('Error joining community:', error);
+      if (isMounted.current) {
+        Alert.alert('Error', 'Failed to join this community. Please try again.');
+      }
+    } finally {
+      if (isMounted.current) {
+        setUpdatingMembership(false);
+      }
+    }
+  };
+  
+  const handleCancelRequest = async () => {
+    if (!user || updatingMembership) return;
+    
+    setUpdatingMembership(true);
+    
+    try {
+      await CommunityService.cancelJoinRequest(communityId, user.uid);
+      if (isMounted.current) setStatus('none');
+    } catch (error) {
+      console.error('Error cancelling join request:', error);
+      if (isMounted.current) {
+        Alert.alert('Error', 'Failed to cancel your request. Please try again.');
+      }
+    } finally {
+      if (isMounted.current) {
+        setUpdatingMembership(false);
+      }
+    }
+  };
+  
+  const handleLeave = () => {
+    if (isOwner) {
+      Alert.alert('You Own This Community', 'Owners can\'t leave the community they run.');
+      return;
+    }
+    
+    Alert.alert(
+      'Leave Community',
+      community.membership === 'approval'
+        ? `Leave ${community.name}? You'll need a moderator's approval to rejoin.`
+        : `Leave ${community.name}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Leave',
+          style: 'destructive',
+          onPress: async () => {
+            setUpdatingMembership(true);
+            
+            try {
+              await CommunityService.leaveCommunity(communityId, user.uid);
+              
+              if (!isMounted.current) return;
+              
+              updateLocalCommunityIds(false);
+              setStatus('none');
+              setCommunity(prev => ({
+                ...prev,
+                memberCount: Math.max(0, prev.memberCount - 1),
+                moderatorIds: (prev.moderatorIds || []).filter(id => id !== user.uid),
+              }));
+              
+              if (community.membership === 'approval') {
+                setPosts([]);
+                setHasMore(false);
+              }
+            } catch (error) {
+              console.error('Error leaving community:', error);
+              Alert.alert('Error', 'Failed to leave this community. Please try again.');
+            } finally {
+              if (isMounted.current) {
+                setUpdatingMembership(false);
+              }
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  const handleRemovePost = async (post) => {
+    await CommunityService.removePost(communityId, post.id, user.uid);
+    
+    if (isMounted.current) {
+      setPosts(prevPosts => prevPosts.filter(item => item.id !== post.id));
+    }
+  };
+  
+  const renderMembershipButton = () => {
+    if (status === 'member') {
+      return (
+        <TouchableOpacity
+          style={[styles.membershipButton, { borderColor: theme.colors.primary.main }]}
+          onPress={handleLeave}
+          disabled={updatingMembership}
+          accessibilityRole="button"
+          accessibilityLabel={`Leave ${community.name}`}
+        >
+          <Text style={[styles.membershipButtonText, { color: theme.colors.primary.main }]}>Joined</Text>
+        </TouchableOpacity>
+      );
+    }
+    
+    if (status === 'pending') {
+      return (
+        <TouchableOpacity
+          style={[styles.membershipButton, { borderColor: theme.colors.text.secondary }]}
+          onPress={handleCancelRequest}
+          disabled={updatingMembership}
+          accessibilityRole="button"
+          accessibilityLabel="Cancel your request to join"
+        >
+          <Text style={[styles.membershipButtonText, { color: theme.colors.text.secondary }]}>Requested</Text>
+        </TouchableOpacity>
+      );
+    }
+    
+    return (
+      <TouchableOpacity
+        style={[
+          styles.membershipButton,
+          { borderColor: theme.colors.primary.main, backgroundColor: theme.colors.primary.main }
+        ]}
+        onPress={handleJoin}
+        disabled={updatingMembership}
+        accessibilityRole="button"
+        accessibilityLabel={`Join ${community.name}`}
+      >
+        <Text style={[styles.membershipButtonText, { color: 'white' }]}>
+          {community.membership === 'approval' ? 'Ask to Join' : 'Join'}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+  
+  const renderHeader = () => {
+    if (!community) return null;
+    
+    const membership = getCommunityMembership(community.membership);
+    
+    return (
+      <View>
+        {community.coverImageURL ? (
+          <FastImage source={{ uri: community.coverImageURL }} style={styles.cover} />
+        ) : (
+          <View style={[styles.cover, styles.coverPlaceholder, { backgroundColor: theme.colors.primary.lightest }]}>
+            <Icon name="people" size={48} color={theme.colors.primary.main} />
+          </View>
+        )}
+        
+        <View style={[styles.info, { backgroundColor: theme.colors.background.paper }]}>
+          <View style={styles.titleRow}>
+            <View style={styles.titleInfo}>
+              <Text style={[styles.name, { color: theme.colors.text.primary }]}>{community.name}</Text>
+              <Text style={[styles.meta, { color: theme.colors.text.secondary }]}>
+                {conditionName(community.condition)}
+                {membership && ` · ${membership.label}`}
+              </Text>
+            </View>
+            {renderMembershipButton()}
+          </View>
+          
+          {!!community.description && (
+            <Text style={[styles.description, { color: theme.colors.text.primary }]}>
+              {community.description}
+            </Text>
+          )}
+          
+          <View style={styles.actionsRow}>
+            <TouchableOpacity
+              style={styles.action}
+              onPress={() => navigation.navigate('CommunityMembers', { communityId, title: community.name })}
+              accessibilityRole="button"
+            >
+              <Icon name="people-outline" size={18} color={theme.colors.text.secondary} />
+              <Text style={[styles.actionText, { color: theme.colors.text.secondary }]}>
+                {community.memberCount} {community.memberCount === 1 ? 'member' : 'members'}
+                {isModerator && community.pendingRequestCount > 0 && ` · ${community.pendingRequestCount} waiting`}
+              </Text>
+            </TouchableOpacity>
+            
+            {isModerator && (
+              <TouchableOpacity
+                style={styles.action}
+                onPress={() => navigation.navigate('EditCommunity', { communityId })}
+                accessibilityRole="button"
+              >
+                <Icon name="create-outline" size={18} color={theme.colors.text.secondary} />
+                <Text style={[styles.actionText, { color: theme.colors.text.secondary }]}>Edit</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+        
+        {community.rules?.length > 0 && (
+          <View style={[styles.section, { backgroundColor: theme.colors.background.paper }]}>
+            <TouchableOpacity
+              style={styles.sectionHeader}
+              onPress={() => setShowRules(!showRules)}
+              accessibilityRole="button"
+              accessibilityState={{ expanded: showRules }}
+            >
+              <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>
+                Rules ({community.rules.length})
+              </Text>
+              <Icon name={showRules ? 'chevron-up' : 'chevron-down'} size={18} color={theme.colors.text.secondary} />
+            </TouchableOpacity>
+            {showRules && community.rules.map((rule, index) => (
+              <Text key={index} style={[styles.rule, { color: theme.colors.text.primary }]}>
+                {index + 1}. {rule}
+              </Text>
+            ))}
+          </View>
+        )}
+        
+        {events.length > 0 && (
+          <View style={[styles.section, { backgroundColor: theme.colors.background.paper }]}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>Upcoming events</Text>
+            {events.map(event => (
+              <TouchableOpacity
+                key={event.id}
+                style={styles.event}
+                onPress={() => navigation.navigate('EventDetail', { eventId: event.id })}
+                accessibilityRole="button"
+              >
+                <Icon name="calendar-outline" size={18} color={theme.colors.primary.main} />
+                <View style={styles.eventInfo}>
+                  <Text style={[styles.eventTitle, { color: theme.colors.text.primary }]} numberOfLines={1}>
+                    {event.title}
+                  </Text>
+                  {event.startDate && (
+                    <Text style={[styles.eventDate, { color: theme.colors.text.secondary }]}>
+                      {format(event.startDate, 'EEE, MMM d • h:mm a')}
+                    </Text>
+                  )}
+                </View>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+        
+        {status === 'member' && (
+          <TouchableOpacity
+            style={[styles.newPostButton, { backgroundColor: theme.colors.background.paper }]}
+            onPress={() => navigation.navigate('NewPost', { communityId, communityName: community.name })}
+            accessibilityRole="button"
+          >
+            <Icon name="create-outline" size={20} color={theme.colors.primary.main} />
+            <Text style={[styles.newPostText, { color: theme.colors.text.secondary }]}>
+              Post in {community.name}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+  
+  const renderPostItem = ({ item }) => (
+    <PostCard
+      post={item}
+      navigation={navigation}
+      onRemoveFromCommunity={isModerator ? handleRemovePost : undefined}
+      onCommentPress={() => navigation.navigate('Comments', {
+        postId: item.id,
+        title: 'Comments'
+      })}
+      onProfilePress={() => {
+        if (item.userId === user?.uid) {
+          navigation.navigate('ProfileTab');
+        } else {
+          navigation.navigate('UserProfile', {
+            userId: item.userId,
+            title: item.userFullName
+          });
+        }
+      }}
+    />
+  );
+  
+  const renderEmptyComponent = () => {
+    if (loading || !community) return null;
+    
+    return (
+      <View style={styles.emptyContainer}>
+        <Icon
+          name={canReadPosts ? 'chatbubbles-outline' : 'lock-closed-outline'}
+          size={50}
+          color={theme.colors.gray[300]}
+        />
+        <Text style={[styles.emptyTitle, { color: theme.colors.text.primary }]}>
+          {canReadPosts ? 'No Posts Yet' : 'Members Only'}
+        </Text>
+        <Text style={[styles.emptySubtitle, { color: theme.colors.text.secondary }]}>
+          {canReadPosts
+            ? 'Start the conversation in this community'
+            : 'Posts in this community are visible once a moderator approves you'}
+        </Text>
+      </View>
+    );
+  };
+  
+  const renderFooter = () => {
+    if (!loadingMore) return null;
+    
+    return (
+      <View style={styles.footerLoader}>
+        <ActivityIndicator size="small" color={theme.colors.primary.main} />
+      </View>
+    );
+  };
+  
+  if (loading && !community) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background.default }]}>
+      <FlatList
+        data={filterBlockedContent(posts)}
+        keyExtractor={item => item.id}
+        renderItem={renderPostItem}
+        ListHeaderComponent={renderHeader}
+        ListEmptyComponent={renderEmptyComponent}
+        ListFooterComponent={renderFooter}
+        onEndReached={handleLoadMore}
+        onEndReachedThreshold={0.5}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={handleRefresh}
+            colors={[theme.colors.primary.main]}
+            tintColor={theme.colors.primary.main}
+          />
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  cover: {
+    width: '100%',
+    height: 140,
+  },
+  coverPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  info: {
+    padding: 16,
+    marginBottom: 8,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  titleInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  name: {
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  meta: {
+    fontSize: 13,
+    marginTop: 4,
+  },
+  membershipButton: {
+    borderWidth: 1,
+    borderRadius: 20,
+    paddingVertical: 8,
+    paddingHorizontal: 20,
+  },
+  membershipButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  description: {
+    fontSize: 15,
+    lineHeight: 21,
+    marginTop: 12,
+  },
+  actionsRow: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  action: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 20,
+  },
+  actionText: {
+    fontSize: 14,
+    marginLeft: 6,
+  },
+  section: {
+    padding: 16,
+    marginBottom: 8,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  rule: {
+    fontSize: 14,
+    lineHeight: 20,
+    marginTop: 8,
+  },
+  event: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  eventInfo: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  eventTitle: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  eventDate: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  newPostButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    marginBottom: 8,
+  },
+  newPostText: {
+    fontSize: 15,
+    marginLeft: 10,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 16,
+  },
+  emptySubtitle: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  footerLoader: {
+    paddingVertical: 16,
+  },
+});
+
+export default CommunityScreen;
@@ -0,0 +1,258 @@
+// src/screens/DraftsScreen.js
+// Screen for managing locally saved post drafts
+
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Image,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { formatDistanceToNow } from 'date-fns';
+import { useFocusEffect } from '@react-navigation/native';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../theme/ThemeContext';
+import DraftService from '../services/DraftService';
+
+const DraftsScreen = ({ navigation }) => {
+  const { user } = useUser();
+  const { theme } = useTheme();
+  
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  
+  const loadDrafts = useCallback(async () => {
+    if (!user) return;
+    
+    try {
+      const savedDrafts = await DraftService.getDrafts(user.uid);
+      setDrafts(savedDrafts);
+    } catch (error) {
+      console.error('Error loading drafts:', error);
+      Alert.alert('Error', error.message || 'Failed to load your drafts.');
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+  
+  // Reload whenever the screen is shown, since the composer saves in the background
+  useFocusEffect(
+    useCallback(() => {
+      loadDrafts();
+    }, [loadDrafts])
+  );
+  
+  // Open the draft in the composer to continue editing
+  const handleResumeDraft = (draft) => {
+    navigation.navigate('NewPost', { draftId: draft.id });
+  };
+  
+  const handleDiscardDraft = (draft) => {
+    Alert.alert(
+      'Discard Draft',
+      'Are you sure you want to discard this draft? This action cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await DraftService.deleteDraft(user.uid, draft.id);
+              setDrafts(prev => prev.filter(item => item.id !== draft.id));
+            } catch (error) {
+              console.error('Error discarding draft:', error);
+              Alert.alert('Error', 'Failed to discard draft. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  const renderPreview = (draft) => {
+    const cover = draft.mediaItems?.[0];
+    
+    if (cover) {
+      return (
+        <View>
+          <Image
+            source={{ uri: cover.type === 'video' ? cover.thumbnailUri || cover.uri : cover.uri }}
+            style={styles.thumbnail}
+          />
+          {draft.mediaItems.length > 1 && (
+            <View style={styles.mediaCount}>
+              <Text style={styles.mediaCountText}>{draft.mediaItems.length}</Text>
+            </View>
+          )}
+        </View>
+      );
+    }
+    
+    return (
+      <View style={[styles.thumbnail, styles.placeholderThumbnail, { backgroundColor: theme.colors.background.input }]}>
+        <Icon
+          name={draft.postType === 'link' 
+            ? 'link-outline' 
+            : draft.postType === 'poll' 
+              ? 'stats-chart-outline' 
+              : draft.postType === 'journal' ? 'journal-outline' : 'document-text-outline'}
+          size={24}
+          color={theme.colors.text.secondary}
+        />
+      </View>
+    );
+  };
+  
+  const renderDraftItem = ({ item }) => (
+    <TouchableOpacity
+      style={[styles.draftItem, { backgroundColor: theme.colors.background.paper }]}
+      onPress={() => handleResumeDraft(item)}
+      accessibilityRole="button"
+      accessibilityLabel={`Draft: ${item.caption || 'No caption'}`}
+      accessibilityHint="Opens the draft in the post composer"
+    >
+      {renderPreview(item)}
+      
+      <View style={styles.draftInfo}>
+        <Text
+          style={[styles.draftCaption, { color: theme.colors.text.primary }]}
+          numberOfLines={2}
+        >
+          {item.caption?.trim() || item.linkUrl || 'No caption'}
+        </Text>
+        <Text style={[styles.draftTimestamp, { color: theme.colors.text.secondary }]}>
+          Edited {formatDistanceToNow(item.updatedAt, { addSuffix: true })}
+        </Text>
+      </View>
+      
+      <TouchableOpacity
+        style={styles.discardButton}
+        onPress={() => handleDiscardDraft(item)}
+        hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
+        accessibilityLabel="Discard draft"
+      >
+        <Icon name="trash-outline" size={20} color={theme.colors.error.main} />
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+  
+  const renderEmptyComponent = () => (
+    <View style={styles.emptyContainer}>
+      <Icon name="document-text-outline" size={50} color={theme.colors.gray[300]} />
+      <Text style={[styles.emptyTitle, { color: theme.colors.text.primary }]}>
+        No Drafts
+      </Text>
+      <Text style={[styles.emptySubtitle, { color: theme.colors.text.secondary }]}>
+        Posts you start are saved here automatically until you publish them
+      </Text>
+    </View>
+  );
+  
+  if (loading) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background.default }]}>
+      <FlatList
+        data={drafts}
+        keyExtractor={item => item.id}
+        renderItem={renderDraftItem}
+        ListEmptyComponent={renderEmptyComponent}
+        contentContainerStyle={drafts.length === 0 ? { flex: 1 } : styles.listContent}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  listContent: {
+    padding: 16,
+  },
+  draftItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 10,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  thumbnail: {
+    width: 56,
+    height: 56,
+    borderRadius: 6,
+  },
+  placeholderThumbnail: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  mediaCount: {
+    position: 'absolute',
+    right: 2,
+    bottom: 2,
+    paddingHorizontal: 4,
+    borderRadius: 4,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  mediaCountText: {
+    color: 'white',
+    fontSize: 10,
+    fontWeight: 'bold',
+  },
+  draftInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  draftCaption: {
+    fontSize: 15,
+    lineHeight: 20,
+  },
+  draftTimestamp: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  discardButton: {
+    padding: 6,
+    marginLeft: 8,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 10,
+    marginBottom: 6,
+  },
+  emptySubtitle: {
+    fontSize: 14,
+    textAlign: 'center',
+  },
+});
+
+export default DraftsScreen;
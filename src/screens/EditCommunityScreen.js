@@ -0,0 +1,448 @@
+// src/screens/EditCommunityScreen.js
+// Form for starting a condition community or editing one you moderate
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import FastImage from 'react-native-fast-image';
+import { launchImageLibrary } from 'react-native-image-picker';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../theme/ThemeContext';
+import { useConditionNames } from '../hooks/useConditionNames';
+import {
+  CommunityService,
+  UploadService,
+  MAX_COMMUNITY_NAME_LENGTH,
+  MAX_COMMUNITY_DESCRIPTION_LENGTH,
+  MAX_COMMUNITY_RULES,
+  MAX_COMMUNITY_RULE_LENGTH
+} from '../services/FirebaseService';
+import { COMMUNITY_MEMBERSHIPS, DEFAULT_COMMUNITY_MEMBERSHIP } from '../constants/communities';
+import { processImage } from '../utils/mediaProcessing';
+
+const EditCommunityScreen = ({ route, navigation }) => {
+  const communityId = route.params?.communityId;
+  const { user, userData, setUserData } = useUser();
+  const { theme } = useTheme();
+  const { conditionName } = useConditionNames();
+  
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [rules, setRules] = useState(['']);
+  const [condition, setCondition] = useState(route.params?.condition || null);
+  const [membership, setMembership] = useState(DEFAULT_COMMUNITY_MEMBERSHIP);
+  const [coverImageURL, setCoverImageURL] = useState(null);
+  const [coverImage, setCoverImage] = useState(null);
+  const [loading, setLoading] = useState(!!communityId);
+  const [saving, setSaving] = useState(false);
+  
+  // Communities are started for one of your own conditions; an existing one keeps its condition
+  const conditionOptions = communityId
+    ? [condition].filter(Boolean)
+    : userData?.medicalConditions || [];
+  
+  useEffect(() => {
+    navigation.setOptions({ title: communityId ? 'Edit Community' : 'New Community' });
+    
+    if (!communityId) return;
+    
+    CommunityService.getCommunity(communityId)
+      .then(community => {
+        setName(community.name);
+        setDescription(community.description || '');
+        setRules(community.rules?.length > 0 ? community.rules : ['']);
+        setCondition(community.condition);
+        setMembership(community.membership || DEFAULT_COMMUNITY_MEMBERSHIP);
+        setCoverImageURL(community.coverImageURL || null);
+      })
+      .catch(error => {
+        console.error('Error loading community:', error);
+        Alert.alert('Error', 'Failed to load this community.');
+        navigation.goBack();
+      })
+      .finally(() => setLoading(false));
+  }, [communityId]);
+  
+  const selectCoverImage = async () => {
+    try {
+      const result = await launchImageLibrary({
+        mediaType: 'photo',
+        quality: 0.8,
+        maxWidth: 1200,
+        maxHeight: 600,
+      });
+      
+      if (result.didCancel) return;
+      
+      if (result.errorCode) {
+        throw new Error(result.errorMessage || 'Error selecting image');
+      }
+      
+      if (result.assets && result.assets.length > 0) {
+        setCoverImage(await processImage(result.assets[0]));
+      }
+    } catch (error) {
+      console.error('Error selecting cover image:', error);
+      Alert.alert('Error', 'Failed to select image. Please try again.');
+    }
+  };
+  
+  const updateRule = (index, text) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? text : rule)));
+  };
+  
+  const removeRule = (index) => {
+    setRules(prev => (prev.length > 1 ? prev.filter((_, i) => i !== index) : ['']));
+  };
+  
+  const handleSave = async () => {
+    if (!name.trim()) {
+      Alert.alert('Name Required', 'Give your community a name.');
+      return;
+    }
+    if (!condition) {
+      Alert.alert('Condition Required', 'Choose the condition this community is for.');
+      return;
+    }
+    
+    setSaving(true);
+    
+    try {
+      let uploadedCoverURL = coverImageURL;
+      if (coverImage) {
+        const extension = coverImage.uri.split('.').pop();
+        uploadedCoverURL = await UploadService.uploadImage(
+          coverImage.uri,
+          `communities/${user.uid}_${Date.now()}.${extension}`
+        );
+      }
+      
+      const data = {
+        name,
+        description,
+        rules,
+        condition,
+        membership,
+        coverImageURL: uploadedCoverURL,
+      };
+      
+      if (communityId) {
+        await CommunityService.updateCommunity(communityId, user.uid, data);
+        navigation.navigate({
+          name: 'Community',
+          params: { communityId, title: name.trim(), updatedAt: Date.now() },
+          merge: true,
+        });
+      } else {
+        const newCommunityId = await CommunityService.createCommunity(user.uid, data);
+        
+        // The creator is the first member
+        setUserData(prev => prev && ({
+          ...prev,
+          communityIds: [...(prev.communityIds || []), newCommunityId],
+        }));
+        navigation.replace('Community', { communityId: newCommunityId, title: name.trim() });
+      }
+    } catch (error) {
+      console.error('Error saving community:', error);
+      Alert.alert('Error', error.message || 'Failed to save community. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  if (loading) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  const inputStyle = [
+    styles.input,
+    { backgroundColor: theme.colors.background.input, color: theme.colors.text.primary }
+  ];
+  
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.colors.background.default }]}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      <TouchableOpacity
+        style={[styles.cover, { backgroundColor: theme.colors.primary.lightest }]}
+        onPress={selectCoverImage}
+        disabled={saving}
+        accessibilityRole="button"
+        accessibilityLabel="Choose a cover image"
+      >
+        {coverImage || coverImageURL ? (
+          <FastImage source={{ uri: coverImage?.uri || coverImageURL }} style={styles.coverImage} />
+        ) : (
+          <>
+            <Icon name="image-outline" size={32} color={theme.colors.primary.main} />
+            <Text style={[styles.coverText, { color: theme.colors.primary.main }]}>Add a cover image</Text>
+          </>
+        )}
+      </TouchableOpacity>
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>Name</Text>
+      <TextInput
+        style={inputStyle}
+        value={name}
+        onChangeText={setName}
+        placeholder="e.g. Living with Type 1 Diabetes"
+        placeholderTextColor={theme.colors.text.hint}
+        maxLength={MAX_COMMUNITY_NAME_LENGTH}
+      />
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>Description</Text>
+      <TextInput
+        style={[inputStyle, styles.textArea]}
+        value={description}
+        onChangeText={setDescription}
+        placeholder="What is this community about?"
+        placeholderTextColor={theme.colors.text.hint}
+        multiline
+        maxLength={MAX_COMMUNITY_DESCRIPTION_LENGTH}
+      />
+      <Text style={[styles.charCount, { color: theme.colors.text.hint }]}>
+        {description.length}/{MAX_COMMUNITY_DESCRIPTION_LENGTH}
+      </Text>
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>Condition</Text>
+      {conditionOptions.length > 0 ? (
+        <View style={styles.chips}>
+          {conditionOptions.map(option => (
+            <TouchableOpacity
+              key={option}
+              style={[
+                styles.chip,
+                { borderColor: theme.colors.primary.main },
+                condition === option && { backgroundColor: theme.colors.primary.main }
+              ]}
+              onPress={() => setCondition(option)}
+              disabled={!!communityId || saving}
+              accessibilityRole="radio"
+              accessibilityState={{ selected: condition === option }}
+            >
+              <Text style={[styles.chipText, { color: condition === option ? 'white' : theme.colors.primary.main }]}>
+                {conditionName(option)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      ) : (
+        <Text style={[styles.hint, { color: theme.colors.text.secondary }]}>
+          Add your conditions to your profile to start a community for one of them.
+        </Text>
+      )}
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>Membership</Text>
+      {COMMUNITY_MEMBERSHIPS.map(option => (
+        <TouchableOpacity
+          key={option.type}
+          style={[
+            styles.membershipOption,
+            { borderColor: membership === option.type ? theme.colors.primary.main : theme.colors.divider }
+          ]}
+          onPress={() => setMembership(option.type)}
+          disabled={saving}
+          accessibilityRole="radio"
+          accessibilityState={{ selected: membership === option.type }}
+        >
+          <Icon name={option.icon} size={22} color={theme.colors.primary.main} />
+          <View style={styles.membershipInfo}>
+            <Text style={[styles.membershipLabel, { color: theme.colors.text.primary }]}>{option.label}</Text>
+            <Text style={[styles.hint, { color: theme.colors.text.secondary }]}>{option.description}</Text>
+          </View>
+          {membership === option.type && (
+            <Icon name="checkmark-circle" size={22} color={theme.colors.primary.main} />
+          )}
+        </TouchableOpacity>
+      ))}
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>Rules</Text>
+      {rules.map((rule, index) => (
+        <View key={index} style={styles.ruleRow}>
+          <Text style={[styles.ruleNumber, { color: theme.colors.text.secondary }]}>{index + 1}.</Text>
+          <TextInput
+            style={[inputStyle, styles.ruleInput]}
+            value={rule}
+            onChangeText={text => updateRule(index, text)}
+            placeholder="e.g. Be kind. No medical advice."
+            placeholderTextColor={theme.colors.text.hint}
+            maxLength={MAX_COMMUNITY_RULE_LENGTH}
+            multiline
+          />
+          <TouchableOpacity
+            onPress={() => removeRule(index)}
+            accessibilityRole="button"
+            accessibilityLabel={`Remove rule ${index + 1}`}
+          >
+            <Icon name="close-circle" size={22} color={theme.colors.text.hint} />
+          </TouchableOpacity>
+        </View>
+      ))}
+      {rules.length < MAX_COMMUNITY_RULES && (
+        <TouchableOpacity
+          style={styles.addRule}
+          onPress={() => setRules(prev => [...prev, ''])}
+          accessibilityRole="button"
+        >
+          <Icon name="add" size={20} color={theme.colors.primary.main} />
+          <Text style={[styles.addRuleText, { color: theme.colors.primary.main }]}>Add a rule</Text>
+        </TouchableOpacity>
+      )}
+      
+      <TouchableOpacity
+        style={[styles.saveButton, { backgroundColor: theme.colors.primary.main }, saving && styles.disabled]}
+        onPress={handleSave}
+        disabled={saving}
+        accessibilityRole="button"
+      >
+        {saving ? (
+          <ActivityIndicator color="white" size="small" />
+        ) : (
+          <Text style={styles.saveButtonText}>{communityId ? 'Save Changes' : 'Create Community'}</Text>
+        )}
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  cover: {
+    height: 140,
+    borderRadius: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+    overflow: 'hidden',
+  },
+  coverImage: {
+    width: '100%',
+    height: '100%',
+  },
+  coverText: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginTop: 6,
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  input: {
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+  },
+  textArea: {
+    minHeight: 100,
+    textAlignVertical: 'top',
+  },
+  charCount: {
+    fontSize: 12,
+    textAlign: 'right',
+    marginTop: 4,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 14,
+  },
+  hint: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  membershipOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 8,
+  },
+  membershipInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  membershipLabel: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  ruleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  ruleNumber: {
+    width: 24,
+    fontSize: 15,
+  },
+  ruleInput: {
+    flex: 1,
+    marginRight: 8,
+  },
+  addRule: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  addRuleText: {
+    fontSize: 15,
+    fontWeight: '500',
+    marginLeft: 4,
+  },
+  saveButton: {
+    borderRadius: 24,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 28,
+  },
+  saveButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  disabled: {
+    opacity: 0.6,
+  },
+});
+
+export default EditCommunityScreen;
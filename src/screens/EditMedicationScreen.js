@@ -0,0 +1,523 @@
+// src/screens/EditMedicationScreen.js
+// Add or edit a medication and when its doses are due
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Switch,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { set } from 'date-fns';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../theme/ThemeContext';
+import MedicationService from '../services/MedicationService';
+import notificationService from '../services/NotificationService';
+import TimeOfDayPickerModal from '../components/TimeOfDayPickerModal';
+import { formatTimeOfDay, parseTimeOfDay, toTimeOfDay } from '../utils/medications';
+import {
+  MEDICATION_SCHEDULE_TYPES,
+  WEEKDAY_LABELS,
+  DOSE_INTERVAL_HOURS,
+  MAX_MEDICATION_NAME_LENGTH,
+  MAX_MEDICATION_DOSE_LENGTH,
+  MAX_DOSE_TIMES
+} from '../constants/medications';
+
+const DEFAULT_TIME = '08:00';
+const DEFAULT_INTERVAL_HOURS = 8;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const EditMedicationScreen = ({ navigation, route }) => {
+  const { user } = useUser();
+  const { theme } = useTheme();
+  const medicationId = route.params?.medicationId;
+  
+  const [savedMedication, setSavedMedication] = useState(null);
+  const [name, setName] = useState('');
+  const [dose, setDose] = useState('');
+  const [scheduleType, setScheduleType] = useState('daily');
+  const [times, setTimes] = useState([DEFAULT_TIME]);
+  const [weekdays, setWeekdays] = useState([]);
+  const [intervalHours, setIntervalHours] = useState(DEFAULT_INTERVAL_HOURS);
+  const [firstDoseTime, setFirstDoseTime] = useState(DEFAULT_TIME);
+  const [remindersEnabled, setRemindersEnabled] = useState(true);
+  // Which time the picker is editing: an index into times, 'new' or 'firstDose'
+  const [pickerTarget, setPickerTarget] = useState(null);
+  const [loading, setLoading] = useState(!!medicationId);
+  const [saving, setSaving] = useState(false);
+  
+  const fillForm = (medication) => {
+    const { schedule } = medication;
+    
+    setSavedMedication(medication);
+    setName(medication.name);
+    setDose(medication.dose);
+    setScheduleType(schedule.type);
+    setRemindersEnabled(medication.remindersEnabled);
+    
+    if (schedule.type === 'interval') {
+      setIntervalHours(schedule.intervalHours);
+      setFirstDoseTime(toTimeOfDay(schedule.startAt));
+    } else {
+      setTimes(schedule.times);
+      setWeekdays(schedule.weekdays || []);
+    }
+  };
+  
+  useEffect(() => {
+    if (!medicationId || !user) return;
+    
+    MedicationService.getMedication(user.uid, medicationId)
+      .then(medication => {
+        if (!medication) {
+          Alert.alert('Medication Not Found', 'This medication may have been removed.');
+          navigation.goBack();
+          return;
+        }
+        
+        fillForm(medication);
+      })
+      .catch(error => {
+        console.error('Error loading medication:', error);
+        Alert.alert('Error', error.message || 'Failed to load this medication.');
+        navigation.goBack();
+      })
+      .finally(() => setLoading(false));
+  }, [medicationId, user]);
+  
+  const toggleWeekday = (day) => {
+    setWeekdays(prev => (prev.includes(day) ? prev.filter(item => item !== day) : [...prev, day]));
+  };
+  
+  const handleTimeConfirm = (time) => {
+    if (pickerTarget === 'firstDose') {
+      setFirstDoseTime(time);
+    } else if (pickerTarget === 'new') {
+      setTimes(prev => (prev.includes(time) ? prev : [...prev, time].sort()));
+    } else {
+      setTimes(prev => [...new Set(prev.map((item, index) => (index === pickerTarget ? time : item)))].sort());
+    }
+    
+    setPickerTarget(null);
+  };
+  
+  // Interval doses count from an exact first dose, so only move it when the time changes
+  const getIntervalStartAt = () => {
+    const saved = savedMedication?.schedule;
+    
+    if (saved?.type === 'interval' && toTimeOfDay(saved.startAt) === firstDoseTime) {
+      return saved.startAt;
+    }
+    
+    return set(new Date(), { ...parseTimeOfDay(firstDoseTime), seconds: 0, milliseconds: 0 }).getTime();
+  };
+  
+  const handleSave = async () => {
+    setSaving(true);
+    
+    try {
+      const schedule = scheduleType === 'interval'
+        ? { type: 'interval', intervalHours, startAt: getIntervalStartAt() }
+        : { type: scheduleType, times, weekdays: scheduleType === 'weekdays' ? weekdays : undefined };
+      
+      if (remindersEnabled) {
+        const granted = await notificationService.requestPermission();
+        
+        if (!granted) {
+          Alert.alert(
+            'Notifications Off',
+            'Your medication is saved, but reminders won\'t appear until you allow notifications in your device settings.'
+          );
+        }
+      }
+      
+      await MedicationService.saveMedication(user.uid, {
+        id: savedMedication?.id,
+        name,
+        dose,
+        schedule,
+        remindersEnabled,
+      });
+      
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error saving medication:', error);
+      Alert.alert('Error', error.message || 'Failed to save this medication. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const handleDelete = () => {
+    Alert.alert(
+      'Remove Medication',
+      'Are you sure you want to remove this medication? Its reminders will stop, but doses you\'ve already recorded stay in your history.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await MedicationService.deleteMedication(user.uid, savedMedication.id);
+              navigation.goBack();
+            } catch (error) {
+              console.error('Error removing medication:', error);
+              Alert.alert('Error', 'Failed to remove this medication. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  if (loading) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  const inputStyle = [
+    styles.input,
+    { backgroundColor: theme.colors.background.input, color: theme.colors.text.primary }
+  ];
+  
+  const renderChip = (key, label, selected, onPress, accessibilityLabel) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        { borderColor: theme.colors.primary.main },
+        selected && { backgroundColor: theme.colors.primary.main }
+      ]}
+      onPress={onPress}
+      accessibilityRole="radio"
+      accessibilityState={{ selected }}
+      accessibilityLabel={accessibilityLabel}
+    >
+      <Text style={[styles.chipText, { color: selected ? 'white' : theme.colors.primary.main }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+  
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.colors.background.default }]}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      <Text style={[styles.label, styles.firstLabel, { color: theme.colors.text.primary }]}>Name</Text>
+      <TextInput
+        style={inputStyle}
+        value={name}
+        onChangeText={setName}
+        placeholder="e.g. Metformin"
+        placeholderTextColor={theme.colors.text.hint}
+        maxLength={MAX_MEDICATION_NAME_LENGTH}
+        accessibilityLabel="Medication name"
+      />
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>Dose</Text>
+      <TextInput
+        style={inputStyle}
+        value={dose}
+        onChangeText={setDose}
+        placeholder="e.g. 500 mg, 1 tablet"
+        placeholderTextColor={theme.colors.text.hint}
+        maxLength={MAX_MEDICATION_DOSE_LENGTH}
+        accessibilityLabel="Dose"
+      />
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>Schedule</Text>
+      <View style={styles.chips}>
+        {MEDICATION_SCHEDULE_TYPES.map(option => renderChip(
+          option.type,
+          option.label,
+          scheduleType === option.type,
+          () => setScheduleType(option.type)
+        ))}
+      </View>
+      
+      {scheduleType === 'weekdays' && (
+        <View style={styles.weekdays}>
+          {WEEKDAY_LABELS.map((label, day) => {
+            const selected = weekdays.includes(day);
+            
+            return (
+              <TouchableOpacity
+                key={label}
+                style={[
+                  styles.weekday,
+                  { borderColor: theme.colors.primary.main },
+                  selected && { backgroundColor: theme.colors.primary.main }
+                ]}
+                onPress={() => toggleWeekday(day)}
+                accessibilityRole="checkbox"
+                accessibilityState={{ checked: selected }}
+                accessibilityLabel={WEEKDAY_NAMES[day]}
+              >
+                <Text style={[styles.weekdayText, { color: selected ? 'white' : theme.colors.primary.main }]}>
+                  {label.charAt(0)}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
+      
+      {scheduleType === 'interval' ? (
+        <>
+          <Text style={[styles.label, { color: theme.colors.text.primary }]}>Every</Text>
+          <View style={styles.chips}>
+            {DOSE_INTERVAL_HOURS.map(hours => renderChip(
+              hours,
+              `${hours}h`,
+              intervalHours === hours,
+              () => setIntervalHours(hours),
+              `Every ${hours} hours`
+            ))}
+          </View>
+          
+          <Text style={[styles.label, { color: theme.colors.text.primary }]}>First dose</Text>
+          <TouchableOpacity
+            style={[styles.timeRow, { backgroundColor: theme.colors.background.paper }]}
+            onPress={() => setPickerTarget('firstDose')}
+            accessibilityRole="button"
+            accessibilityLabel={`First dose at ${formatTimeOfDay(firstDoseTime)}`}
+            accessibilityHint="Changes the time"
+          >
+            <Icon name="time-outline" size={20} color={theme.colors.primary.main} />
+            <Text style={[styles.timeText, { color: theme.colors.text.primary }]}>{formatTimeOfDay(firstDoseTime)}</Text>
+          </TouchableOpacity>
+        </>
+      ) : (
+        <>
+          <Text style={[styles.label, { color: theme.colors.text.primary }]}>Times</Text>
+          {times.map((time, index) => (
+            <View key={time} style={[styles.timeRow, { backgroundColor: theme.colors.background.paper }]}>
+              <TouchableOpacity
+                style={styles.timeButton}
+                onPress={() => setPickerTarget(index)}
+                accessibilityRole="button"
+                accessibilityLabel={`Dose at ${formatTimeOfDay(time)}`}
+                accessibilityHint="Changes the time"
+              >
+                <Icon name="time-outline" size={20} color={theme.colors.primary.main} />
+                <Text style={[styles.timeText, { color: theme.colors.text.primary }]}>{formatTimeOfDay(time)}</Text>
+              </TouchableOpacity>
+              {times.length > 1 && (
+                <TouchableOpacity
+                  onPress={() => setTimes(prev => prev.filter(item => item !== time))}
+                  hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+                  accessibilityLabel={`Remove ${formatTimeOfDay(time)}`}
+                >
+                  <Icon name="close" size={20} color={theme.colors.text.hint} />
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+          {times.length < MAX_DOSE_TIMES && (
+            <TouchableOpacity
+              style={styles.addTime}
+              onPress={() => setPickerTarget('new')}
+              accessibilityRole="button"
+            >
+              <Icon name="add-circle-outline" size={20} color={theme.colors.primary.main} />
+              <Text style={[styles.addTimeText, { color: theme.colors.primary.main }]}>Add a time</Text>
+            </TouchableOpacity>
+          )}
+        </>
+      )}
+      
+      <View style={[styles.reminderRow, { backgroundColor: theme.colors.background.paper }]}>
+        <View style={styles.reminderInfo}>
+          <Text style={[styles.reminderTitle, { color: theme.colors.text.primary }]}>Reminders</Text>
+          <Text style={[styles.reminderText, { color: theme.colors.text.secondary }]}>
+            Get a notification when each dose is due, with Taken, Snooze and Skip actions
+          </Text>
+        </View>
+        <Switch
+          value={remindersEnabled}
+          onValueChange={setRemindersEnabled}
+          trackColor={{ false: theme.colors.gray[300], true: theme.colors.primary.main }}
+          accessibilityLabel="Reminders"
+        />
+      </View>
+      
+      <TouchableOpacity
+        style={[styles.saveButton, { backgroundColor: theme.colors.primary.main }, saving && styles.disabled]}
+        onPress={handleSave}
+        disabled={saving}
+        accessibilityRole="button"
+      >
+        {saving ? (
+          <ActivityIndicator color="white" size="small" />
+        ) : (
+          <Text style={styles.saveButtonText}>Save Medication</Text>
+        )}
+      </TouchableOpacity>
+      
+      {savedMedication && (
+        <TouchableOpacity style={styles.deleteButton} onPress={handleDelete} accessibilityRole="button">
+          <Icon name="trash-outline" size={20} color={theme.colors.error.main} />
+          <Text style={[styles.deleteButtonText, { color: theme.colors.error.main }]}>Remove Medication</Text>
+        </TouchableOpacity>
+      )}
+      
+      <TimeOfDayPickerModal
+        visible={pickerTarget !== null}
+        initialTime={
+          pickerTarget === 'firstDose' ? firstDoseTime : (times[pickerTarget] || times[times.length - 1] || DEFAULT_TIME)
+        }
+        onConfirm={handleTimeConfirm}
+        onClose={() => setPickerTarget(null)}
+        title={pickerTarget === 'firstDose' ? 'First Dose' : 'Dose Time'}
+      />
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  firstLabel: {
+    marginTop: 0,
+  },
+  input: {
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 14,
+  },
+  weekdays: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  weekday: {
+    width: 38,
+    height: 38,
+    borderRadius: 19,
+    borderWidth: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  weekdayText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 8,
+  },
+  timeButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  timeText: {
+    fontSize: 16,
+    marginLeft: 8,
+  },
+  addTime: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  addTimeText: {
+    fontSize: 15,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
+  reminderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 24,
+  },
+  reminderInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  reminderTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  reminderText: {
+    fontSize: 13,
+    lineHeight: 18,
+    marginTop: 2,
+  },
+  saveButton: {
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 28,
+  },
+  saveButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  disabled: {
+    opacity: 0.6,
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    padding: 8,
+    marginTop: 20,
+  },
+  deleteButtonText: {
+    fontSize: 15,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
+});
+
+export default EditMedicationScreen;
@@ -20,6 +20,10 @@ import { launchImageLibrary } from 'react-native-image-picker';
 import storage from '@react-native-firebase/storage';
 import { useUser } from '../contexts/UserContext';
 import { processImage } from '../utils/mediaProcessing';
+import ConditionPicker from '../components/ConditionPicker';
+import { toConditionCodes } from '../utils/conditions';
+import { CONDITION_CATALOG_VERSION } from '../constants/conditions';
+import { DIAGNOSIS_STAGES, AGE_RANGES, REGIONS, PROFILE_LANGUAGES } from '../constants/peerMatching';
 
 const EditProfileScreen = ({ navigation }) => {
   const { userData, updateUserData } = useUser();
@@ -31,17 +35,14 @@ const EditProfileScreen = ({ navigation }) => {
   const [profileImage, setProfileImage] = useState(null);
   const [profileImageURL, setProfileImageURL] = useState(null);
   const [selectedConditions, setSelectedConditions] = useState([]);
+  const [unmappedConditions, setUnmappedConditions] = useState([]);
+  const [diagnosisStage, setDiagnosisStage] = useState('');
+  const [ageRange, setAgeRange] = useState('');
+  const [region, setRegion] = useState('');
+  const [languages, setLanguages] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [imageUploading, setImageUploading] = useState(false);
   
-  // Available medical conditions
-  const medicalConditions = [
-    "Vertigo", "Hypertension", "Hashimotos", "Arthritis", 
-    "Atrial Fibrillation", "Cancer", "Multiple Sclerosis", "Crohn's Disease",
-    "Fibromyalgia", "Lupus", "ADHD", "Anxiety", "Depression",
-    "Diabetes", "Heart Disease", "Asthma", "COPD", "Migraine"
-  ];
-
   // Load user data when component mounts
   useEffect(() => {
     if (userData) {
@@ -50,16 +51,25 @@ const EditProfileScreen = ({ navigation }) => {
       setGender(userData.gender || 'Prefer not to say');
       setBio(userData.bio || '');
       setProfileImageURL(userData.profileImageURL);
-      setSelectedConditions(userData.medicalConditions || []);
+      
+      // Profiles saved before the catalog may still hold free text
+      const { codes, unmapped } = toConditionCodes(userData.medicalConditions || []);
+      setSelectedConditions(codes);
+      setUnmappedConditions([...new Set([...(userData.unmappedConditions || []), ...unmapped])]);
+      
+      setDiagnosisStage(userData.diagnosisStage || '');
+      setAgeRange(userData.ageRange || '');
+      setRegion(userData.region || '');
+      setLanguages(userData.languages || []);
     }
   }, [userData]);
 
-  // Function to toggle a condition selection
-  const toggleCondition = (condition) => {
-    if (selectedConditions.includes(condition)) {
-      setSelectedConditions(selectedConditions.filter(c => c !== condition));
+  // Function to toggle a spoken language
+  const toggleLanguage = (language) => {
+    if (languages.includes(language)) {
+      setLanguages(languages.filter(l => l !== language));
     } else {
-      setSelectedConditions([...selectedConditions, condition]);
+      setLanguages([...languages, language]);
     }
   };
 
@@ -158,6 +168,12 @@ const EditProfileScreen = ({ navigation }) => {
         gender,
         bio: bio.trim(),
         medicalConditions: selectedConditions,
+        unmappedConditions,
+        conditionCatalogVersion: CONDITION_CATALOG_VERSION,
+        diagnosisStage: diagnosisStage || null,
+        ageRange: ageRange || null,
+        region: region || null,
+        languages,
       };
 
       if (imageURL) {
@@ -272,26 +288,93 @@ const EditProfileScreen = ({ navigation }) => {
           Select the health conditions you have experience with. This helps us connect you with relevant users and content.
         </Text>
         
-        <View style={styles.conditionsContainer}>
-          {medicalConditions.map((condition) => (
-            <TouchableOpacity
-              key={condition}
-              style={[
-                styles.conditionTag,
-                selectedConditions.includes(condition) && styles.selectedConditionTag
-              ]}
-              onPress={() => toggleCondition(condition)}
+        <ConditionPicker
+          selected={selectedConditions}
+          onChange={setSelectedConditions}
+          unmapped={unmappedConditions}
+          onRemoveUnmapped={value => setUnmappedConditions(prev => prev.filter(item => item !== value))}
+        />
+      </View>
+      
+      <View style={styles.formSection}>
+        <Text style={styles.sectionTitle}>Finding Peers</Text>
+        <Text style={styles.sectionDescription}>
+          Optional. These help us suggest people with similar experiences in Explore and are only used for matching.
+        </Text>
+        
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Where you are with your conditions</Text>
+          <View style={styles.pickerContainer}>
+            <Picker
+              selectedValue={diagnosisStage}
+              onValueChange={(itemValue) => setDiagnosisStage(itemValue)}
+              style={styles.picker}
+              itemStyle={styles.pickerItem}
+            >
+              <Picker.Item label="Prefer not to say" value="" />
+              {DIAGNOSIS_STAGES.map(stage => (
+                <Picker.Item key={stage.type} label={stage.label} value={stage.type} />
+              ))}
+            </Picker>
+          </View>
+        </View>
+        
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Age Range</Text>
+          <View style={styles.pickerContainer}>
+            <Picker
+              selectedValue={ageRange}
+              onValueChange={(itemValue) => setAgeRange(itemValue)}
+              style={styles.picker}
+              itemStyle={styles.pickerItem}
+            >
+              <Picker.Item label="Prefer not to say" value="" />
+              {AGE_RANGES.map(range => (
+                <Picker.Item key={range.type} label={range.label} value={range.type} />
+              ))}
+            </Picker>
+          </View>
+        </View>
+        
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Region</Text>
+          <View style={styles.pickerContainer}>
+            <Picker
+              selectedValue={region}
+              onValueChange={(itemValue) => setRegion(itemValue)}
+              style={styles.picker}
+              itemStyle={styles.pickerItem}
             >
-              <Text
-                style={[
-                  styles.conditionText,
-                  selectedConditions.includes(condition) && styles.selectedConditionText
-                ]}
-              >
-                {condition}
-              </Text>
-            </TouchableOpacity>
-          ))}
+              <Picker.Item label="Prefer not to say" value="" />
+              {REGIONS.map(item => (
+                <Picker.Item key={item.type} label={item.label} value={item.type} />
+              ))}
+            </Picker>
+          </View>
+        </View>
+        
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Languages You Speak</Text>
+          <View style={styles.languagesContainer}>
+            {PROFILE_LANGUAGES.map(language => {
+              const isSelected = languages.includes(language.type);
+              
+              return (
+                <TouchableOpacity
+                  key={language.type}
+                  style={[styles.languageTag, isSelected && styles.selectedLanguageTag]}
+                  onPress={() => toggleLanguage(language.type)}
+                  accessibilityRole="checkbox"
+                  accessibilityLabel={language.name}
+                  accessibilityState={{ checked: isSelected }}
+                >
+                  <Text style={[styles.languageText, isSelected && styles.selectedLanguageText]}>
+                    {language.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
         </View>
       </View>
       
@@ -456,11 +539,11 @@ const styles = StyleSheet.create({
   pickerItem: {
     fontSize: 16,
   },
-  conditionsContainer: {
+  languagesContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
   },
-  conditionTag: {
+  languageTag: {
     backgroundColor: '#F5F7F8',
     borderWidth: 1,
     borderColor: '#CFD8DC',
@@ -469,15 +552,15 @@ const styles = StyleSheet.create({
     paddingHorizontal: 12,
     margin: 4,
   },
-  selectedConditionTag: {
+  selectedLanguageTag: {
     backgroundColor: '#E3F2FD',
     borderColor: '#2196F3',
   },
-  conditionText: {
+  languageText: {
     color: '#546E7A',
     fontSize: 14,
   },
-  selectedConditionText: {
+  selectedLanguageText: {
     color: '#2196F3',
     fontWeight: '500',
   },
@@ -12,19 +12,29 @@ import {
   ActivityIndicator,
   SafeAreaView
 } from 'react-native';
-import firestore from '@react-native-firebase/firestore';
 import auth from '@react-native-firebase/auth';
 import Icon from 'react-native-vector-icons/Ionicons';
+import { formatDistanceToNow } from 'date-fns';
 import { useUser } from '../contexts/UserContext';
+import { useConditionNames } from '../hooks/useConditionNames';
+import { isSameCondition, conditionMatchesQuery } from '../utils/conditions';
+import { getMatchedFactors, describePeerMatch } from '../utils/peerMatching';
 import UserListItem from '../components/UserListItem';
+import { CommunityService, PeerService, QuestionService } from '../services/FirebaseService';
+
+// Open questions shown above the people suggestions
+const OPEN_QUESTIONS_SHOWN = 3;
 
 const ExploreScreen = ({ navigation }) => {
   const { userData } = useUser();
+  const { conditionName } = useConditionNames();
   const [searchQuery, setSearchQuery] = useState('');
   const [recommendedUsers, setRecommendedUsers] = useState([]);
   const [filteredUsers, setFilteredUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedCondition, setSelectedCondition] = useState(null);
+  const [conditionCommunity, setConditionCommunity] = useState(null);
+  const [openQuestions, setOpenQuestions] = useState([]);
 
   useEffect(() => {
     fetchRecommendedUsers();
@@ -34,6 +44,43 @@ const ExploreScreen = ({ navigation }) => {
     filterUsers();
   }, [searchQuery, recommendedUsers, selectedCondition]);
 
+  // The largest community for the selected condition
+  useEffect(() => {
+    setConditionCommunity(null);
+    if (!selectedCondition) return;
+    
+    let isCurrent = true;
+    CommunityService.getCommunitiesForCondition(selectedCondition, 1)
+      .then(communities => {
+        if (isCurrent) setConditionCommunity(communities[0] || null);
+      })
+      .catch(error => console.error('Error fetching condition community:', error));
+    
+    return () => {
+      isCurrent = false;
+    };
+  }, [selectedCondition]);
+
+  // Unanswered questions about the selected condition, or about any of the user's conditions
+  useEffect(() => {
+    const conditions = selectedCondition ? [selectedCondition] : userData?.medicalConditions || [];
+    if (conditions.length === 0) {
+      setOpenQuestions([]);
+      return;
+    }
+    
+    let isCurrent = true;
+    QuestionService.getOpenQuestions(auth().currentUser.uid, conditions, OPEN_QUESTIONS_SHOWN)
+      .then(questions => {
+        if (isCurrent) setOpenQuestions(questions);
+      })
+      .catch(error => console.error('Error fetching open questions:', error));
+    
+    return () => {
+      isCurrent = false;
+    };
+  }, [selectedCondition, userData?.medicalConditions]);
+
   const fetchRecommendedUsers = async () => {
     if (!userData || !userData.medicalConditions || userData.medicalConditions.length === 0) {
       setLoading(false);
@@ -43,32 +90,8 @@ const ExploreScreen = ({ navigation }) => {
     setLoading(true);
 
     try {
-      // Find users who share any of the current user's medical conditions
-      const usersSnapshot = await firestore()
-        .collection('users')
-        .where('medicalConditions', 'array-contains-any', userData.medicalConditions)
-        .limit(50)
-        .get();
-
-      let users = usersSnapshot.docs
-        .map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }))
-        .filter(user => user.id !== auth().currentUser.uid); // Filter out current user
-
-      // Sort by number of shared conditions (descending)
-      users.sort((a, b) => {
-        const sharedWithA = a.medicalConditions.filter(condition => 
-          userData.medicalConditions.includes(condition)
-        ).length;
-        
-        const sharedWithB = b.medicalConditions.filter(condition => 
-          userData.medicalConditions.includes(condition)
-        ).length;
-        
-        return sharedWithB - sharedWithA;
-      });
+      // Peers who share the current user's conditions, best match first
+      const users = await PeerService.getPeerSuggestions(auth().currentUser.uid, userData);
 
       setRecommendedUsers(users);
       setFilteredUsers(users);
@@ -87,19 +110,27 @@ const ExploreScreen = ({ navigation }) => {
       filtered = filtered.filter(user => 
         user.firstName.toLowerCase().includes(query) ||
         user.lastName.toLowerCase().includes(query) ||
-        user.medicalConditions.some(condition => condition.toLowerCase().includes(query))
+        user.medicalConditions.some(condition => conditionMatchesQuery(condition, searchQuery))
       );
     }
 
     if (selectedCondition) {
       filtered = filtered.filter(user =>
-        user.medicalConditions.includes(selectedCondition)
+        user.medicalConditions.some(condition => isSameCondition(condition, selectedCondition))
       );
     }
 
     setFilteredUsers(filtered);
   };
 
+  // Hide a suggestion now and rank peers like them lower from now on
+  const handleNotInterested = (peer) => {
+    setRecommendedUsers(prev => prev.filter(user => user.id !== peer.id));
+    
+    PeerService.dismissPeer(auth().currentUser.uid, peer.id, getMatchedFactors(peer.matchSignals))
+      .catch(error => console.error('Error dismissing peer suggestion:', error));
+  };
+
   const handleConditionSelect = (condition) => {
     if (selectedCondition === condition) {
       setSelectedCondition(null);
@@ -113,7 +144,7 @@ const ExploreScreen = ({ navigation }) => {
     if (!userData || !userData.medicalConditions) return [];
     
     return userData.medicalConditions.filter(condition => 
-      recommendedUsers.some(user => user.medicalConditions.includes(condition))
+      recommendedUsers.some(user => user.medicalConditions.some(other => isSameCondition(other, condition)))
     );
   };
 
@@ -157,16 +188,77 @@ const ExploreScreen = ({ navigation }) => {
                 selectedCondition === item && styles.selectedConditionText
               ]}
             >
-              {item}
+              {conditionName(item)}
             </Text>
           </TouchableOpacity>
         )}
       />
       
+      {selectedCondition ? (
+        <TouchableOpacity
+          style={styles.communityCard}
+          onPress={() => (conditionCommunity
+            ? navigation.navigate('Community', { communityId: conditionCommunity.id, title: conditionCommunity.name })
+            : navigation.navigate('EditCommunity', { condition: selectedCondition }))}
+          accessibilityRole="button"
+        >
+          <Icon name="people-circle-outline" size={32} color="#2196F3" />
+          <View style={styles.communityInfo}>
+            <Text style={styles.communityName} numberOfLines={1}>
+              {conditionCommunity ? conditionCommunity.name : `Start a ${conditionName(selectedCondition)} community`}
+            </Text>
+            <Text style={styles.communityMeta} numberOfLines={1}>
+              {conditionCommunity
+                ? `${conditionCommunity.memberCount} ${conditionCommunity.memberCount === 1 ? 'member' : 'members'}`
+                : 'A place for posts, rules and events about this condition'}
+            </Text>
+          </View>
+          <Icon name="chevron-forward" size={20} color="#90A4AE" />
+        </TouchableOpacity>
+      ) : (
+        <TouchableOpacity
+          style={styles.communityCard}
+          onPress={() => navigation.navigate('Communities')}
+          accessibilityRole="button"
+        >
+          <Icon name="people-circle-outline" size={32} color="#2196F3" />
+          <View style={styles.communityInfo}>
+            <Text style={styles.communityName}>Communities</Text>
+            <Text style={styles.communityMeta}>Join groups for your conditions</Text>
+          </View>
+          <Icon name="chevron-forward" size={20} color="#90A4AE" />
+        </TouchableOpacity>
+      )}
+      
+      {openQuestions.length > 0 && (
+        <View>
+          <Text style={styles.resultTitle}>Waiting for an answer</Text>
+          {openQuestions.map(question => (
+            <TouchableOpacity
+              key={question.id}
+              style={styles.questionCard}
+              onPress={() => navigation.navigate('Comments', { postId: question.id, title: 'Answers' })}
+              accessibilityRole="button"
+              accessibilityHint="Opens the question so you can answer it"
+            >
+              <Icon name="help-circle-outline" size={28} color="#2196F3" />
+              <View style={styles.communityInfo}>
+                <Text style={styles.questionText} numberOfLines={2}>{question.caption}</Text>
+                <Text style={styles.communityMeta} numberOfLines={1}>
+                  {question.questionCondition ? `${conditionName(question.questionCondition)} · ` : ''}
+                  {formatDistanceToNow(question.timestamp, { addSuffix: true })}
+                </Text>
+              </View>
+              <Icon name="chevron-forward" size={20} color="#90A4AE" />
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      
       <Text style={styles.resultTitle}>
         {selectedCondition 
-          ? `People with ${selectedCondition}`
-          : 'People with similar conditions'}
+          ? `People with ${conditionName(selectedCondition)}`
+          : 'Suggested for you'}
       </Text>
     </View>
   );
@@ -207,6 +299,8 @@ const ExploreScreen = ({ navigation }) => {
             <UserListItem
               user={item}
               currentUserConditions={userData.medicalConditions}
+              matchReason={describePeerMatch(item.matchShared, conditionName)}
+              onNotInterested={() => handleNotInterested(item)}
               onPress={() => navigation.navigate('UserProfile', { userId: item.id })}
             />
           )}
@@ -283,6 +377,51 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: 'bold',
   },
+  communityCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  communityInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  communityName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#263238',
+  },
+  communityMeta: {
+    fontSize: 13,
+    color: '#78909C',
+    marginTop: 2,
+  },
+  questionCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  questionText: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#263238',
+  },
   resultTitle: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -19,16 +19,25 @@ import firestore from '@react-native-firebase/firestore';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import Icon from 'react-native-vector-icons/Ionicons';
 import PostCard from '../components/PostCard';
+import { filterVisiblePosts } from '../utils/postVisibility';
+import { PostService, TopicService } from '../services/FirebaseService';
+import { usePostImpressions } from '../hooks/usePostImpressions';
 import { useFocusEffect } from '@react-navigation/native';
 
 // Constants
 const POSTS_PER_PAGE = 10;
 const CACHE_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours
+const FEED_MODE_KEY = '@feed_mode';
+const FEED_MODES = [
+  { key: 'latest', label: 'Latest' },
+  { key: 'for_you', label: 'For you' },
+];
 
 const FeedScreen = ({ navigation }) => {
-  const { user, blockedUsers } = useUser();
+  const { user, userData, blockedUsers } = useUser();
   const { theme } = useTheme();
   const { isConnected, isInternetReachable } = useNetInfo();
+  const { onViewableItemsChanged, viewabilityConfig } = usePostImpressions();
   
   const [posts, setPosts] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -38,9 +47,13 @@ const FeedScreen = ({ navigation }) => {
   const [hasMorePosts, setHasMorePosts] = useState(true);
   const [isFirstLoad, setIsFirstLoad] = useState(true);
   const [offlineMode, setOfflineMode] = useState(false);
+  const [feedMode, setFeedMode] = useState(null); // 'latest' or 'for_you', null until loaded
   
   const isMounted = useRef(true);
   const postsListener = useRef(null);
+  // Followed-topic posts are paged separately: the timestamp of the oldest one shown
+  const topicCursor = useRef(null);
+  const hasMoreTopicPosts = useRef(true);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -50,12 +63,28 @@ const FeedScreen = ({ navigation }) => {
     };
   }, []);
 
-  // Load posts when component mounts and when blockedUsers changes
+  // Restore the last feed mode the user picked
   useEffect(() => {
-    if (user) {
+    AsyncStorage.getItem(FEED_MODE_KEY)
+      .then(savedMode => setFeedMode(savedMode === 'for_you' ? 'for_you' : 'latest'))
+      .catch(() => setFeedMode('latest'));
+  }, []);
+
+  // Load posts when component mounts and when blockedUsers or the feed mode changes
+  useEffect(() => {
+    if (user && feedMode) {
       loadFeed(true);
     }
-  }, [user, blockedUsers]);
+  }, [user, blockedUsers, feedMode]);
+
+  const changeFeedMode = (mode) => {
+    if (mode === feedMode) return;
+    
+    setFeedMode(mode);
+    AsyncStorage.setItem(FEED_MODE_KEY, mode).catch(error => {
+      console.error('Error saving feed mode:', error);
+    });
+  };
 
   // Reload feed when app comes back into focus
   useFocusEffect(
@@ -98,6 +127,7 @@ const FeedScreen = ({ navigation }) => {
     try {
       const cachedPostsJson = await AsyncStorage.getItem('cachedFeedPosts');
       const cachedTimestamp = await AsyncStorage.getItem('cachedFeedTimestamp');
+      const cachedFollowingJson = await AsyncStorage.getItem('cachedFeedFollowingIds');
       
       if (cachedPostsJson && cachedTimestamp) {
         const timestamp = parseInt(cachedTimestamp);
@@ -105,8 +135,15 @@ const FeedScreen = ({ navigation }) => {
         
         // Only use cache if it's not expired
         if (now - timestamp < CACHE_EXPIRY_MS) {
-          const cachedPosts = JSON.parse(cachedPostsJson);
-          if (cachedPosts && cachedPosts.length > 0 && isMounted.current) {
+          // Who the user followed can't be checked offline, so use the list saved with the cache;
+          // their own conditions and communities are current
+          const cachedPosts = filterVisiblePosts(JSON.parse(cachedPostsJson) || [], {
+            id: user.uid,
+            followingIds: cachedFollowingJson ? JSON.parse(cachedFollowingJson) : [],
+            medicalConditions: userData?.medicalConditions || [],
+            communityIds: userData?.communityIds || [],
+          });
+          if (cachedPosts.length > 0 && isMounted.current) {
             setPosts(cachedPosts);
             return true;
           }
@@ -120,9 +157,10 @@ const FeedScreen = ({ navigation }) => {
   };
 
   // Function to cache posts
-  const cachePosts = async (postsToCache) => {
+  const cachePosts = async (postsToCache, followingIds) => {
     try {
       await AsyncStorage.setItem('cachedFeedPosts', JSON.stringify(postsToCache));
+      await AsyncStorage.setItem('cachedFeedFollowingIds', JSON.stringify(followingIds));
       await AsyncStorage.setItem('cachedFeedTimestamp', Date.now().toString());
     } catch (error) {
       console.error('Error caching posts:', error);
@@ -186,6 +224,20 @@ const FeedScreen = ({ navigation }) => {
         const userIds = [...connectedUserIds, user.uid]
           .filter(id => !blockedUsers.includes(id));
 
+        if (feedMode === 'for_you') {
+          // The ranked feed is scored as one batch, so it has no further pages
+          const rankedPosts = await PostService.getRankedFeedPosts(userIds);
+          
+          if (isMounted.current) {
+            // Topic posts can come from anyone, including blocked users
+            setPosts(rankedPosts.filter(post => !blockedUsers.includes(post.userId)));
+            setLastVisible(null);
+            setHasMorePosts(false);
+            setOfflineMode(false);
+          }
+          return;
+        }
+
         // If no connections and just the user, we'll still query but might get empty results
         let query = firestore()
           .collection('posts')
@@ -202,17 +254,52 @@ const FeedScreen = ({ navigation }) => {
 
         // Execute query
         const snapshot = await query.get();
+        const hasMoreFollowedPosts = snapshot.docs.length === POSTS_PER_PAGE;
+
+        if (reset) {
+          topicCursor.current = null;
+          hasMoreTopicPosts.current = true;
+        }
+
+        // Posts from followed topics are mixed in, but only down to the oldest post on this
+        // page so they stay in time order; older ones are picked up with the next page
+        let topicPosts = [];
+        if (hasMoreTopicPosts.current) {
+          const topicResult = await TopicService.getFollowedTopicPosts(user.uid, POSTS_PER_PAGE, topicCursor.current);
+          const oldestFollowedPost = snapshot.docs[snapshot.docs.length - 1]?.data().timestamp?.toDate();
+          
+          topicPosts = topicResult.posts.filter(post => (
+            !hasMoreFollowedPosts || !oldestFollowedPost || post.timestamp >= oldestFollowedPost
+          ));
+          
+          if (topicPosts.length > 0) {
+            topicCursor.current = topicPosts[topicPosts.length - 1].timestamp;
+          }
+          hasMoreTopicPosts.current = topicResult.hasMore || topicPosts.length < topicResult.posts.length;
+        }
 
         // Process results
         if (isMounted.current) {
-          const fetchedPosts = snapshot.docs.map(doc => {
+          // Everyone in the query is followed, but followers-only, community and private posts still apply
+          const fetchedPosts = filterVisiblePosts(snapshot.docs.map(doc => {
             const data = doc.data();
             return {
               id: doc.id,
               ...data,
               timestamp: data.timestamp ? data.timestamp.toDate() : new Date(),
             };
+          }), {
+            id: user.uid,
+            followingIds: connectedUserIds,
+            medicalConditions: userData?.medicalConditions || [],
+            communityIds: userData?.communityIds || [],
           });
+          
+          const shownPostIds = new Set([...(reset ? [] : posts), ...fetchedPosts].map(post => post.id));
+          fetchedPosts.push(...topicPosts.filter(post => (
+            !shownPostIds.has(post.id) && !blockedUsers.includes(post.userId)
+          )));
+          fetchedPosts.sort((a, b) => b.timestamp - a.timestamp);
 
           // Update state
           if (reset) {
@@ -220,7 +307,7 @@ const FeedScreen = ({ navigation }) => {
             
             // Cache posts for offline mode
             if (fetchedPosts.length > 0) {
-              cachePosts(fetchedPosts);
+              cachePosts(fetchedPosts, connectedUserIds);
             }
           } else {
             setPosts(prevPosts => [...prevPosts, ...fetchedPosts]);
@@ -228,8 +315,10 @@ const FeedScreen = ({ navigation }) => {
 
           // Update pagination state
           const lastDoc = snapshot.docs[snapshot.docs.length - 1];
-          setLastVisible(lastDoc);
-          setHasMorePosts(snapshot.docs.length === POSTS_PER_PAGE);
+          if (lastDoc || reset) {
+            setLastVisible(lastDoc);
+          }
+          setHasMorePosts(hasMoreFollowedPosts || hasMoreTopicPosts.current);
           setOfflineMode(false);
         }
       } else {
@@ -334,6 +423,36 @@ const FeedScreen = ({ navigation }) => {
     </View>
   ), [theme, offlineMode, navigateToExplore]);
 
+  // Latest / For you toggle shown above the posts
+  const renderFeedModeToggle = () => (
+    <View style={[styles.modeToggle, { backgroundColor: theme.colors.background.paper }]}>
+      {FEED_MODES.map(mode => {
+        const isSelected = feedMode === mode.key;
+        
+        return (
+          <TouchableOpacity
+            key={mode.key}
+            style={[
+              styles.modeButton,
+              isSelected && { backgroundColor: theme.colors.primary.main }
+            ]}
+            onPress={() => changeFeedMode(mode.key)}
+            disabled={offlineMode}
+            accessibilityRole="tab"
+            accessibilityState={{ selected: isSelected }}
+          >
+            <Text style={[
+              styles.modeButtonText,
+              { color: isSelected ? 'white' : theme.colors.text.secondary }
+            ]}>
+              {mode.label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
   // Render loading indicator at the bottom when loading more
   const renderFooterLoader = useCallback(() => {
     if (!loadingMore) return null;
@@ -385,6 +504,8 @@ const FeedScreen = ({ navigation }) => {
       {/* Offline mode banner */}
       {offlineMode && renderOfflineBanner()}
       
+      {renderFeedModeToggle()}
+      
       {loading && isFirstLoad ? (
         <View style={styles.loader}>
           <ActivityIndicator 
@@ -416,6 +537,8 @@ const FeedScreen = ({ navigation }) => {
           }
           onEndReached={loadMorePosts}
           onEndReachedThreshold={0.5}
+          onViewableItemsChanged={onViewableItemsChanged}
+          viewabilityConfig={viewabilityConfig}
           initialNumToRender={5}
           maxToRenderPerBatch={5}
           windowSize={10}
@@ -434,6 +557,22 @@ const styles = StyleSheet.create({
   contentContainer: {
     paddingBottom: 80, // Extra space for FAB
   },
+  modeToggle: {
+    flexDirection: 'row',
+    margin: 12,
+    padding: 4,
+    borderRadius: 20,
+  },
+  modeButton: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 16,
+    alignItems: 'center',
+  },
+  modeButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
   loader: {
     flex: 1,
     justifyContent: 'center',
@@ -0,0 +1,626 @@
+// src/screens/JournalEntryScreen.js
+// Write or edit a private health journal entry, and optionally share it as a post
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Image,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { format } from 'date-fns';
+import uuid from 'react-native-uuid';
+import { launchImageLibrary } from 'react-native-image-picker';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../theme/ThemeContext';
+import JournalService from '../services/JournalService';
+import DraftService from '../services/DraftService';
+import {
+  JOURNAL_MOODS,
+  COMMON_SYMPTOMS,
+  MIN_SYMPTOM_SEVERITY,
+  MAX_SYMPTOM_SEVERITY,
+  MAX_JOURNAL_PHOTOS,
+  MAX_JOURNAL_NOTES_LENGTH,
+  MAX_JOURNAL_ITEM_NAME_LENGTH
+} from '../constants/journal';
+import { fromDateKey, toSharedJournalEntry } from '../utils/journal';
+import { processImage } from '../utils/mediaProcessing';
+
+// Severity a symptom starts at when it's added
+const DEFAULT_SEVERITY = 5;
+
+const JournalEntryScreen = ({ navigation, route }) => {
+  const { user } = useUser();
+  const { theme } = useTheme();
+  const entryId = route.params?.entryId;
+  
+  // The entry as last saved, which is what gets shared
+  const [savedEntry, setSavedEntry] = useState(null);
+  const [date, setDate] = useState(route.params?.date);
+  const [mood, setMood] = useState(null);
+  const [symptoms, setSymptoms] = useState([]);
+  const [symptomInput, setSymptomInput] = useState('');
+  const [sleepHours, setSleepHours] = useState('');
+  const [medications, setMedications] = useState([]);
+  const [medicationInput, setMedicationInput] = useState('');
+  const [notes, setNotes] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [photoUris, setPhotoUris] = useState({});
+  const [loading, setLoading] = useState(!!entryId);
+  const [saving, setSaving] = useState(false);
+  
+  const fillForm = (entry) => {
+    setSavedEntry(entry);
+    setDate(entry.date);
+    setMood(entry.mood);
+    setSymptoms(entry.symptoms);
+    setSleepHours(entry.sleepHours === null ? '' : String(entry.sleepHours));
+    setMedications(entry.medications);
+    setNotes(entry.notes);
+    setPhotos(entry.photos);
+  };
+  
+  useEffect(() => {
+    if (!entryId || !user) return;
+    
+    JournalService.getEntry(user.uid, entryId)
+      .then(entry => {
+        if (!entry) {
+          Alert.alert('Entry Not Found', 'This entry may have been deleted.');
+          navigation.goBack();
+          return;
+        }
+        
+        fillForm(entry);
+      })
+      .catch(error => {
+        console.error('Error loading journal entry:', error);
+        Alert.alert('Error', error.message || 'Failed to load this entry.');
+        navigation.goBack();
+      })
+      .finally(() => setLoading(false));
+  }, [entryId, user]);
+  
+  // Stored photos are encrypted, so decrypt them for display
+  useEffect(() => {
+    const stored = photos.filter(photo => photo.path && !photoUris[photo.id]);
+    if (stored.length === 0) return;
+    
+    let isMounted = true;
+    
+    Promise.all(stored.map(async photo => [photo.id, await JournalService.loadPhoto(photo)]))
+      .then(loaded => {
+        if (isMounted) setPhotoUris(prev => ({ ...prev, ...Object.fromEntries(loaded) }));
+      });
+    
+    return () => {
+      isMounted = false;
+    };
+  }, [photos]);
+  
+  const addSymptom = (name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    
+    if (!symptoms.some(symptom => symptom.name.toLowerCase() === trimmed.toLowerCase())) {
+      setSymptoms(prev => [...prev, { name: trimmed, severity: DEFAULT_SEVERITY }]);
+    }
+    
+    setSymptomInput('');
+  };
+  
+  const changeSeverity = (name, change) => {
+    setSymptoms(prev => prev.map(symptom => (
+      symptom.name === name
+        ? {
+          ...symptom,
+          severity: Math.min(MAX_SYMPTOM_SEVERITY, Math.max(MIN_SYMPTOM_SEVERITY, symptom.severity + change)),
+        }
+        : symptom
+    )));
+  };
+  
+  const removeSymptom = (name) => {
+    setSymptoms(prev => prev.filter(symptom => symptom.name !== name));
+  };
+  
+  const addMedication = () => {
+    const trimmed = medicationInput.trim();
+    if (!trimmed) return;
+    
+    if (!medications.some(medication => medication.toLowerCase() === trimmed.toLowerCase())) {
+      setMedications(prev => [...prev, trimmed]);
+    }
+    
+    setMedicationInput('');
+  };
+  
+  const selectPhotos = async () => {
+    try {
+      const result = await launchImageLibrary({
+        mediaType: 'photo',
+        selectionLimit: MAX_JOURNAL_PHOTOS - photos.length,
+        quality: 0.9,
+      });
+      
+      if (result.didCancel) return;
+      
+      if (result.errorCode) {
+        throw new Error(result.errorMessage || 'Error selecting image');
+      }
+      
+      const processed = await Promise.all((result.assets || []).map(processImage));
+      setPhotos(prev => [
+        ...prev,
+        ...processed.map(image => ({ id: uuid.v4(), uri: image.uri, width: image.width, height: image.height })),
+      ].slice(0, MAX_JOURNAL_PHOTOS));
+    } catch (error) {
+      console.error('Error selecting journal photos:', error);
+      Alert.alert('Error', 'Failed to select image. Please try again.');
+    }
+  };
+  
+  const handleSave = async () => {
+    setSaving(true);
+    
+    try {
+      await JournalService.saveEntry(user.uid, {
+        id: savedEntry?.id,
+        date,
+        mood,
+        symptoms,
+        sleepHours: sleepHours.replace(',', '.'),
+        medications,
+        notes,
+        photos,
+      });
+      
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error saving journal entry:', error);
+      Alert.alert('Error', error.message || 'Failed to save this entry. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Entry',
+      'Are you sure you want to delete this entry and its photos? This action cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await JournalService.deleteEntry(user.uid, savedEntry.id);
+              navigation.goBack();
+            } catch (error) {
+              console.error('Error deleting journal entry:', error);
+              Alert.alert('Error', 'Failed to delete this entry. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  // Sharing starts a post draft the member can edit, and choose the audience for, before posting
+  const shareEntry = async () => {
+    try {
+      const { journalEntry, caption } = toSharedJournalEntry(savedEntry);
+      const draft = await DraftService.saveDraft(user.uid, {
+        postType: 'journal',
+        caption,
+        journalEntry,
+        mediaItems: [],
+      });
+      
+      navigation.navigate('NewPost', { draftId: draft.id });
+    } catch (error) {
+      console.error('Error sharing journal entry:', error);
+      Alert.alert('Error', error.message || 'Failed to share this entry. Please try again.');
+    }
+  };
+  
+  const handleShare = () => {
+    Alert.alert(
+      'Share as Post',
+      'Your mood, sleep, symptoms and medications from this entry will be added to a new post, with your ' +
+        'notes as its caption. You can edit it and choose who sees it before posting. Photos and your other ' +
+        'entries stay private.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Continue', onPress: shareEntry }
+      ]
+    );
+  };
+  
+  if (loading) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  const inputStyle = [
+    styles.input,
+    { backgroundColor: theme.colors.background.input, color: theme.colors.text.primary }
+  ];
+  const suggestedSymptoms = COMMON_SYMPTOMS.filter(name => (
+    !symptoms.some(symptom => symptom.name.toLowerCase() === name.toLowerCase())
+  ));
+  
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.colors.background.default }]}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      <Text style={[styles.date, { color: theme.colors.text.primary }]} accessibilityRole="header">
+        {date ? format(fromDateKey(date), 'EEEE, MMMM d, yyyy') : ''}
+      </Text>
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>Mood</Text>
+      <View style={styles.moods}>
+        {JOURNAL_MOODS.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[
+              styles.mood,
+              { borderColor: mood === option.value ? option.color : theme.colors.border }
+            ]}
+            onPress={() => setMood(mood === option.value ? null : option.value)}
+            accessibilityRole="radio"
+            accessibilityState={{ selected: mood === option.value }}
+            accessibilityLabel={option.label}
+          >
+            <Icon name={option.icon} size={24} color={mood === option.value ? option.color : theme.colors.text.hint} />
+            <Text style={[styles.moodText, { color: theme.colors.text.secondary }]}>{option.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>Symptoms</Text>
+      {symptoms.map(symptom => (
+        <View key={symptom.name} style={[styles.symptomRow, { backgroundColor: theme.colors.background.paper }]}>
+          <Text style={[styles.symptomName, { color: theme.colors.text.primary }]} numberOfLines={1}>
+            {symptom.name}
+          </Text>
+          <View
+            style={styles.stepper}
+            accessible
+            accessibilityRole="adjustable"
+            accessibilityLabel={`${symptom.name} severity`}
+            accessibilityValue={{ min: MIN_SYMPTOM_SEVERITY, max: MAX_SYMPTOM_SEVERITY, now: symptom.severity }}
+            accessibilityActions={[{ name: 'increment' }, { name: 'decrement' }]}
+            onAccessibilityAction={event => changeSeverity(symptom.name, event.nativeEvent.actionName === 'increment' ? 1 : -1)}
+          >
+            <TouchableOpacity
+              onPress={() => changeSeverity(symptom.name, -1)}
+              disabled={symptom.severity <= MIN_SYMPTOM_SEVERITY}
+              hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+            >
+              <Icon name="remove-circle-outline" size={24} color={theme.colors.primary.main} />
+            </TouchableOpacity>
+            <Text style={[styles.severity, { color: theme.colors.text.primary }]}>
+              {symptom.severity}/{MAX_SYMPTOM_SEVERITY}
+            </Text>
+            <TouchableOpacity
+              onPress={() => changeSeverity(symptom.name, 1)}
+              disabled={symptom.severity >= MAX_SYMPTOM_SEVERITY}
+              hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+            >
+              <Icon name="add-circle-outline" size={24} color={theme.colors.primary.main} />
+            </TouchableOpacity>
+          </View>
+          <TouchableOpacity
+            onPress={() => removeSymptom(symptom.name)}
+            hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+            accessibilityLabel={`Remove ${symptom.name}`}
+          >
+            <Icon name="close" size={20} color={theme.colors.text.hint} />
+          </TouchableOpacity>
+        </View>
+      ))}
+      <View style={styles.chips}>
+        {suggestedSymptoms.map(name => (
+          <TouchableOpacity
+            key={name}
+            style={[styles.chip, { borderColor: theme.colors.primary.main }]}
+            onPress={() => addSymptom(name)}
+            accessibilityLabel={`Add ${name}`}
+          >
+            <Text style={[styles.chipText, { color: theme.colors.primary.main }]}>{name}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <TextInput
+        style={inputStyle}
+        value={symptomInput}
+        onChangeText={setSymptomInput}
+        onSubmitEditing={() => addSymptom(symptomInput)}
+        placeholder="Add another symptom"
+        placeholderTextColor={theme.colors.text.hint}
+        maxLength={MAX_JOURNAL_ITEM_NAME_LENGTH}
+        returnKeyType="done"
+      />
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>Sleep (hours)</Text>
+      <TextInput
+        style={[inputStyle, styles.sleepInput]}
+        value={sleepHours}
+        onChangeText={setSleepHours}
+        placeholder="e.g. 7.5"
+        placeholderTextColor={theme.colors.text.hint}
+        keyboardType="decimal-pad"
+        maxLength={4}
+      />
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>Medications taken</Text>
+      {medications.length > 0 && (
+        <View style={styles.chips}>
+          {medications.map(medication => (
+            <TouchableOpacity
+              key={medication}
+              style={[styles.chip, styles.selectedChip, { backgroundColor: theme.colors.primary.main }]}
+              onPress={() => setMedications(prev => prev.filter(item => item !== medication))}
+              accessibilityLabel={`Remove ${medication}`}
+            >
+              <Text style={[styles.chipText, { color: 'white' }]}>{medication}</Text>
+              <Icon name="close" size={14} color="white" style={styles.chipIcon} />
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      <TextInput
+        style={inputStyle}
+        value={medicationInput}
+        onChangeText={setMedicationInput}
+        onSubmitEditing={addMedication}
+        placeholder="Add a medication"
+        placeholderTextColor={theme.colors.text.hint}
+        maxLength={MAX_JOURNAL_ITEM_NAME_LENGTH}
+        returnKeyType="done"
+      />
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>Notes</Text>
+      <TextInput
+        style={[inputStyle, styles.notesInput]}
+        value={notes}
+        onChangeText={setNotes}
+        placeholder="How are you feeling today?"
+        placeholderTextColor={theme.colors.text.hint}
+        multiline
+        maxLength={MAX_JOURNAL_NOTES_LENGTH}
+        textAlignVertical="top"
+      />
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>
+        Photos ({photos.length}/{MAX_JOURNAL_PHOTOS})
+      </Text>
+      <View style={styles.photos}>
+        {photos.map(photo => (
+          <View key={photo.id} style={styles.photo}>
+            {photo.uri || photoUris[photo.id] ? (
+              <Image source={{ uri: photo.uri || photoUris[photo.id] }} style={styles.photoImage} />
+            ) : (
+              <View style={[styles.photoImage, styles.photoPlaceholder, { backgroundColor: theme.colors.background.input }]}>
+                <ActivityIndicator size="small" color={theme.colors.primary.main} />
+              </View>
+            )}
+            <TouchableOpacity
+              style={styles.removePhoto}
+              onPress={() => setPhotos(prev => prev.filter(item => item.id !== photo.id))}
+              accessibilityLabel="Remove photo"
+            >
+              <Icon name="close-circle" size={22} color="white" />
+            </TouchableOpacity>
+          </View>
+        ))}
+        {photos.length < MAX_JOURNAL_PHOTOS && (
+          <TouchableOpacity
+            style={[styles.photo, styles.photoPlaceholder, { backgroundColor: theme.colors.primary.lightest }]}
+            onPress={selectPhotos}
+            accessibilityRole="button"
+            accessibilityLabel="Add photos"
+          >
+            <Icon name="camera-outline" size={28} color={theme.colors.primary.main} />
+          </TouchableOpacity>
+        )}
+      </View>
+      
+      <TouchableOpacity
+        style={[styles.saveButton, { backgroundColor: theme.colors.primary.main }, saving && styles.disabled]}
+        onPress={handleSave}
+        disabled={saving}
+        accessibilityRole="button"
+      >
+        {saving ? (
+          <ActivityIndicator color="white" size="small" />
+        ) : (
+          <Text style={styles.saveButtonText}>Save Entry</Text>
+        )}
+      </TouchableOpacity>
+      
+      {savedEntry && (
+        <View style={styles.secondaryActions}>
+          <TouchableOpacity style={styles.secondaryButton} onPress={handleShare} accessibilityRole="button">
+            <Icon name="share-outline" size={20} color={theme.colors.primary.main} />
+            <Text style={[styles.secondaryButtonText, { color: theme.colors.primary.main }]}>Share as Post</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.secondaryButton} onPress={handleDelete} accessibilityRole="button">
+            <Icon name="trash-outline" size={20} color={theme.colors.error.main} />
+            <Text style={[styles.secondaryButtonText, { color: theme.colors.error.main }]}>Delete Entry</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  date: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  moods: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  mood: {
+    flex: 1,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingVertical: 8,
+    marginHorizontal: 3,
+  },
+  moodText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  symptomRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginBottom: 8,
+  },
+  symptomName: {
+    flex: 1,
+    fontSize: 15,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  severity: {
+    width: 48,
+    textAlign: 'center',
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 0,
+  },
+  chipText: {
+    fontSize: 14,
+  },
+  chipIcon: {
+    marginLeft: 4,
+  },
+  input: {
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+  },
+  sleepInput: {
+    width: 100,
+  },
+  notesInput: {
+    minHeight: 120,
+  },
+  photos: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  photo: {
+    width: 76,
+    height: 76,
+    borderRadius: 8,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  photoImage: {
+    width: '100%',
+    height: '100%',
+    borderRadius: 8,
+  },
+  photoPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  removePhoto: {
+    position: 'absolute',
+    top: 2,
+    right: 2,
+  },
+  saveButton: {
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 28,
+  },
+  saveButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  disabled: {
+    opacity: 0.6,
+  },
+  secondaryActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginTop: 20,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 8,
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
+});
+
+export default JournalEntryScreen;
@@ -0,0 +1,375 @@
+// src/screens/JournalScreen.js
+// Private health journal with a month calendar of entries
+
+import React, { useState, useCallback, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { format, addMonths, subMonths, isSameMonth, isAfter, startOfToday } from 'date-fns';
+import { useFocusEffect } from '@react-navigation/native';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../theme/ThemeContext';
+import JournalService from '../services/JournalService';
+import JournalEntrySummary from '../components/social/JournalEntrySummary';
+import { toDateKey, fromDateKey, getMonthWeeks, getPeakSeverity } from '../utils/journal';
+
+const WEEKDAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const JournalScreen = ({ navigation }) => {
+  const { user } = useUser();
+  const { theme } = useTheme();
+  
+  const [entries, setEntries] = useState([]);
+  const [month, setMonth] = useState(() => new Date());
+  const [selectedDate, setSelectedDate] = useState(() => toDateKey(new Date()));
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  
+  const loadEntries = useCallback(async () => {
+    if (!user) return;
+    
+    try {
+      setEntries(await JournalService.getEntries(user.uid));
+      setLoadError(null);
+    } catch (error) {
+      console.error('Error loading journal:', error);
+      setLoadError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+  
+  // Reload whenever the screen is shown, and again if a sync brought in changes
+  useFocusEffect(
+    useCallback(() => {
+      if (!user) return;
+      
+      loadEntries();
+      
+      JournalService.sync(user.uid)
+        .then(synced => {
+          if (synced) loadEntries();
+        })
+        .catch(error => console.error('Error syncing journal:', error));
+    }, [loadEntries, user])
+  );
+  
+  const entriesByDate = useMemo(() => {
+    const byDate = new Map();
+    
+    entries.forEach(entry => {
+      byDate.set(entry.date, [...(byDate.get(entry.date) || []), entry]);
+    });
+    
+    return byDate;
+  }, [entries]);
+  
+  const today = startOfToday();
+  const selectedEntries = entriesByDate.get(selectedDate) || [];
+  const canAddEntry = !isAfter(fromDateKey(selectedDate), today);
+  
+  const getDayColor = (dayEntries) => {
+    const peak = Math.max(...dayEntries.map(entry => getPeakSeverity(entry) ?? -1));
+    
+    if (peak >= 7) return theme.colors.error.main;
+    if (peak >= 4) return theme.colors.warning.main;
+    return theme.colors.primary.main;
+  };
+  
+  const renderDay = (day) => {
+    const dateKey = toDateKey(day);
+    const dayEntries = entriesByDate.get(dateKey);
+    const selected = dateKey === selectedDate;
+    const inMonth = isSameMonth(day, month);
+    const future = isAfter(day, today);
+    
+    return (
+      <TouchableOpacity
+        key={dateKey}
+        style={styles.dayCell}
+        onPress={() => setSelectedDate(dateKey)}
+        disabled={future}
+        accessibilityRole="button"
+        accessibilityState={{ selected, disabled: future }}
+        accessibilityLabel={`${format(day, 'EEEE, MMMM d')}${dayEntries ? `, ${dayEntries.length} ${dayEntries.length === 1 ? 'entry' : 'entries'}` : ''}`}
+      >
+        <View style={[styles.dayNumber, selected && { backgroundColor: theme.colors.primary.main }]}>
+          <Text
+            style={[
+              styles.dayText,
+              { color: selected ? 'white' : theme.colors.text.primary },
+              dateKey === toDateKey(today) && styles.todayText,
+              (!inMonth || future) && !selected && { color: theme.colors.text.hint },
+            ]}
+          >
+            {format(day, 'd')}
+          </Text>
+        </View>
+        <View style={[styles.dot, dayEntries && { backgroundColor: getDayColor(dayEntries) }]} />
+      </TouchableOpacity>
+    );
+  };
+  
+  const renderEntry = (entry) => (
+    <TouchableOpacity
+      key={entry.id}
+      style={[styles.entryCard, { backgroundColor: theme.colors.background.paper }]}
+      onPress={() => navigation.navigate('JournalEntry', { entryId: entry.id })}
+      accessibilityRole="button"
+      accessibilityHint="Opens the entry"
+    >
+      <JournalEntrySummary entry={entry} showDate={false} />
+      {!!entry.notes && (
+        <Text style={[styles.entryNotes, { color: theme.colors.text.primary }]} numberOfLines={3}>
+          {entry.notes}
+        </Text>
+      )}
+      {entry.photos.length > 0 && (
+        <View style={styles.entryMeta}>
+          <Icon name="images-outline" size={14} color={theme.colors.text.secondary} />
+          <Text style={[styles.entryMetaText, { color: theme.colors.text.secondary }]}>
+            {entry.photos.length} {entry.photos.length === 1 ? 'photo' : 'photos'}
+          </Text>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+  
+  if (loading) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  if (loadError) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <Icon name="lock-closed-outline" size={50} color={theme.colors.gray[300]} />
+        <Text style={[styles.emptyTitle, { color: theme.colors.text.primary }]}>{loadError}</Text>
+      </View>
+    );
+  }
+  
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.colors.background.default }]}
+      contentContainerStyle={styles.content}
+    >
+      <View style={[styles.calendar, { backgroundColor: theme.colors.background.paper }]}>
+        <View style={styles.monthHeader}>
+          <TouchableOpacity
+            onPress={() => setMonth(current => subMonths(current, 1))}
+            hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
+            accessibilityLabel="Previous month"
+          >
+            <Icon name="chevron-back" size={22} color={theme.colors.text.primary} />
+          </TouchableOpacity>
+          <Text style={[styles.monthTitle, { color: theme.colors.text.primary }]} accessibilityRole="header">
+            {format(month, 'MMMM yyyy')}
+          </Text>
+          <TouchableOpacity
+            onPress={() => setMonth(current => addMonths(current, 1))}
+            disabled={isSameMonth(month, today)}
+            hitSlop={{ top: 10, right: 10, bottom: 10, left: 10 }}
+            accessibilityLabel="Next month"
+          >
+            <Icon
+              name="chevron-forward"
+              size={22}
+              color={isSameMonth(month, today) ? theme.colors.text.hint : theme.colors.text.primary}
+            />
+          </TouchableOpacity>
+        </View>
+        
+        <View style={styles.week}>
+          {WEEKDAYS.map((weekday, index) => (
+            <Text key={index} style={[styles.weekday, { color: theme.colors.text.secondary }]}>
+              {weekday}
+            </Text>
+          ))}
+        </View>
+        
+        {getMonthWeeks(month).map(week => (
+          <View key={toDateKey(week[0])} style={styles.week}>
+            {week.map(renderDay)}
+          </View>
+        ))}
+      </View>
+      
+      <View style={styles.dayHeader}>
+        <Text style={[styles.dayTitle, { color: theme.colors.text.primary }]}>
+          {format(fromDateKey(selectedDate), 'EEEE, MMMM d')}
+        </Text>
+        {canAddEntry && (
+          <TouchableOpacity
+            style={[styles.addButton, { backgroundColor: theme.colors.primary.main }]}
+            onPress={() => navigation.navigate('JournalEntry', { date: selectedDate })}
+            accessibilityRole="button"
+            accessibilityLabel="Add journal entry"
+          >
+            <Icon name="add" size={18} color="white" />
+            <Text style={styles.addButtonText}>Add Entry</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      
+      {selectedEntries.length > 0 ? selectedEntries.map(renderEntry) : (
+        <Text style={[styles.emptySubtitle, { color: theme.colors.text.secondary }]}>
+          Nothing logged for this day
+        </Text>
+      )}
+      
+      <View style={styles.privacyNote}>
+        <Icon name="lock-closed-outline" size={14} color={theme.colors.text.hint} />
+        <Text style={[styles.privacyText, { color: theme.colors.text.hint }]}>
+          {'Only you can see your journal. It\'s encrypted on this device, and nothing is shared ' +
+            'unless you share an entry as a post.'}
+        </Text>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  calendar: {
+    borderRadius: 12,
+    padding: 12,
+  },
+  monthHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  monthTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+  },
+  week: {
+    flexDirection: 'row',
+  },
+  weekday: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 12,
+    fontWeight: '500',
+    marginBottom: 4,
+  },
+  dayCell: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  dayNumber: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dayText: {
+    fontSize: 14,
+  },
+  todayText: {
+    fontWeight: '700',
+  },
+  dot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    marginTop: 2,
+  },
+  dayHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 20,
+    marginBottom: 12,
+  },
+  dayTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  addButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  entryCard: {
+    borderRadius: 10,
+    padding: 8,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  entryNotes: {
+    fontSize: 14,
+    lineHeight: 20,
+    marginTop: 8,
+    marginHorizontal: 4,
+  },
+  entryMeta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+    marginHorizontal: 4,
+  },
+  entryMetaText: {
+    fontSize: 13,
+    marginLeft: 4,
+  },
+  emptyTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  emptySubtitle: {
+    fontSize: 14,
+  },
+  privacyNote: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginTop: 24,
+  },
+  privacyText: {
+    flex: 1,
+    fontSize: 12,
+    lineHeight: 17,
+    marginLeft: 6,
+  },
+});
+
+export default JournalScreen;
@@ -0,0 +1,254 @@
+// src/screens/MedicationHistoryScreen.js
+// Weekly adherence and every recorded dose from the last four weeks
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SectionList,
+  ActivityIndicator
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { format, subDays, isToday, isYesterday } from 'date-fns';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../theme/ThemeContext';
+import MedicationService from '../services/MedicationService';
+import { getAdherence } from '../utils/medications';
+import { getDoseStatus } from '../constants/medications';
+
+const HISTORY_WEEKS = 4;
+
+const getDayTitle = (date) => {
+  if (isToday(date)) return 'Today';
+  if (isYesterday(date)) return 'Yesterday';
+  return format(date, 'EEEE, MMMM d');
+};
+
+const MedicationHistoryScreen = () => {
+  const { user } = useUser();
+  const { theme } = useTheme();
+  
+  const [doses, setDoses] = useState([]);
+  const [now] = useState(() => Date.now());
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  
+  useEffect(() => {
+    if (!user) return;
+    
+    MedicationService.getDoses(user.uid, subDays(now, HISTORY_WEEKS * 7).getTime(), now)
+      .then(loaded => setDoses(loaded.filter(dose => dose.status)))
+      .catch(error => {
+        console.error('Error loading dose history:', error);
+        setLoadError(error.message);
+      })
+      .finally(() => setLoading(false));
+  }, [user, now]);
+  
+  // Rolling weeks ending now, most recent first
+  const weeks = useMemo(() => Array.from({ length: HISTORY_WEEKS }, (_, index) => {
+    const to = subDays(now, index * 7);
+    const from = subDays(to, 7);
+    
+    return {
+      label: index === 0 ? 'Last 7 days' : `${format(from, 'MMM d')} – ${format(subDays(to, 1), 'MMM d')}`,
+      ...getAdherence(doses, from.getTime(), to.getTime()),
+    };
+  }), [doses, now]);
+  
+  const sections = useMemo(() => {
+    const byDay = new Map();
+    
+    [...doses].reverse().forEach(dose => {
+      const day = format(dose.scheduledAt, 'yyyy-MM-dd');
+      if (!byDay.has(day)) byDay.set(day, { title: getDayTitle(dose.scheduledAt), data: [] });
+      byDay.get(day).data.push(dose);
+    });
+    
+    return [...byDay.values()];
+  }, [doses]);
+  
+  const renderWeek = (week) => (
+    <View
+      key={week.label}
+      style={styles.week}
+      accessible
+      accessibilityLabel={week.percent === null
+        ? `${week.label}: no doses due`
+        : `${week.label}: ${week.percent} percent taken, ${week.taken} taken, ${week.skipped} skipped, ${week.missed} missed`}
+    >
+      <Text style={[styles.weekLabel, { color: theme.colors.text.secondary }]}>{week.label}</Text>
+      <View style={[styles.weekTrack, { backgroundColor: theme.colors.divider }]}>
+        <View
+          style={[
+            styles.weekFill,
+            { width: `${week.percent || 0}%`, backgroundColor: theme.colors.primary.main }
+          ]}
+        />
+      </View>
+      <Text style={[styles.weekPercent, { color: theme.colors.text.primary }]}>
+        {week.percent === null ? '–' : `${week.percent}%`}
+      </Text>
+    </View>
+  );
+  
+  const renderDose = ({ item }) => {
+    const status = getDoseStatus(item.status);
+    
+    return (
+      <View
+        style={[styles.doseRow, { backgroundColor: theme.colors.background.paper }]}
+        accessible
+        accessibilityLabel={`${item.medicationName} at ${format(item.scheduledAt, 'h:mm a')}, ${status.label}`}
+      >
+        <Icon name={status.icon} size={20} color={status.color} />
+        <View style={styles.doseInfo}>
+          <Text style={[styles.doseName, { color: theme.colors.text.primary }]} numberOfLines={1}>
+            {item.medicationName}
+          </Text>
+          <Text style={[styles.doseTime, { color: theme.colors.text.secondary }]}>
+            {format(item.scheduledAt, 'h:mm a')}
+          </Text>
+        </View>
+        <Text style={[styles.doseStatus, { color: status.color }]}>{status.label}</Text>
+      </View>
+    );
+  };
+  
+  if (loading) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  if (loadError) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <Icon name="lock-closed-outline" size={50} color={theme.colors.gray[300]} />
+        <Text style={[styles.emptyTitle, { color: theme.colors.text.primary }]}>{loadError}</Text>
+      </View>
+    );
+  }
+  
+  return (
+    <SectionList
+      style={{ backgroundColor: theme.colors.background.default }}
+      contentContainerStyle={styles.content}
+      sections={sections}
+      keyExtractor={item => item.doseId}
+      renderItem={renderDose}
+      renderSectionHeader={({ section }) => (
+        <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]} accessibilityRole="header">
+          {section.title}
+        </Text>
+      )}
+      stickySectionHeadersEnabled={false}
+      ListHeaderComponent={(
+        <View style={[styles.weeks, { backgroundColor: theme.colors.background.paper }]}>
+          <Text style={[styles.weeksTitle, { color: theme.colors.text.primary }]} accessibilityRole="header">
+            Doses taken
+          </Text>
+          {weeks.map(renderWeek)}
+        </View>
+      )}
+      ListEmptyComponent={(
+        <Text style={[styles.emptySubtitle, { color: theme.colors.text.secondary }]}>
+          Doses you take, skip or miss will appear here.
+        </Text>
+      )}
+    />
+  );
+};
+
+const styles = StyleSheet.create({
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  weeks: {
+    borderRadius: 12,
+    padding: 16,
+  },
+  weeksTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 12,
+  },
+  week: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  weekLabel: {
+    width: 110,
+    fontSize: 13,
+  },
+  weekTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    overflow: 'hidden',
+    marginHorizontal: 8,
+  },
+  weekFill: {
+    height: '100%',
+    borderRadius: 4,
+  },
+  weekPercent: {
+    width: 40,
+    fontSize: 14,
+    fontWeight: '600',
+    textAlign: 'right',
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  doseRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 6,
+  },
+  doseInfo: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  doseName: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  doseTime: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  doseStatus: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  emptyTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  emptySubtitle: {
+    fontSize: 14,
+    marginTop: 20,
+  },
+});
+
+export default MedicationHistoryScreen;
@@ -0,0 +1,443 @@
+// src/screens/MedicationsScreen.js
+// Today's doses, weekly adherence and the list of medications
+
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { format, startOfToday, startOfTomorrow, subDays } from 'date-fns';
+import { useFocusEffect } from '@react-navigation/native';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../theme/ThemeContext';
+import MedicationService from '../services/MedicationService';
+import { describeSchedule, getAdherence } from '../utils/medications';
+import { getDoseStatus } from '../constants/medications';
+
+const MedicationsScreen = ({ navigation }) => {
+  const { user } = useUser();
+  const { theme } = useTheme();
+  
+  const [medications, setMedications] = useState([]);
+  const [todayDoses, setTodayDoses] = useState([]);
+  const [adherence, setAdherence] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [recordingDoseId, setRecordingDoseId] = useState(null);
+  
+  const loadMedications = useCallback(async () => {
+    if (!user) return;
+    
+    try {
+      // Brings missed doses up to date before they're counted
+      await MedicationService.refreshReminders(user.uid);
+      
+      const now = Date.now();
+      const [savedMedications, doses, weekDoses] = await Promise.all([
+        MedicationService.getMedications(user.uid),
+        MedicationService.getDoses(user.uid, startOfToday().getTime(), startOfTomorrow().getTime()),
+        MedicationService.getDoses(user.uid, subDays(now, 7).getTime(), now),
+      ]);
+      
+      setMedications(savedMedications);
+      setTodayDoses(doses);
+      setAdherence(getAdherence(weekDoses, subDays(now, 7).getTime(), now));
+      setLoadError(null);
+    } catch (error) {
+      console.error('Error loading medications:', error);
+      setLoadError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+  
+  useFocusEffect(
+    useCallback(() => {
+      loadMedications();
+    }, [loadMedications])
+  );
+  
+  const handleRecordDose = async (dose, status) => {
+    try {
+      setRecordingDoseId(dose.doseId);
+      await MedicationService.recordDose(user.uid, dose, status);
+      await loadMedications();
+    } catch (error) {
+      console.error('Error recording dose:', error);
+      Alert.alert('Error', 'Failed to record this dose. Please try again.');
+    } finally {
+      setRecordingDoseId(null);
+    }
+  };
+  
+  const renderDose = (dose) => {
+    const status = getDoseStatus(dose.status);
+    // A missed dose can still be marked as taken late
+    const canRecord = !dose.status || dose.status === 'missed';
+    const recording = recordingDoseId === dose.doseId;
+    
+    return (
+      <View
+        key={dose.doseId}
+        style={[styles.doseRow, { borderBottomColor: theme.colors.divider }]}
+      >
+        <Text style={[styles.doseTime, { color: theme.colors.text.secondary }]}>
+          {format(dose.scheduledAt, 'h:mm a')}
+        </Text>
+        <View style={styles.doseInfo}>
+          <Text style={[styles.doseName, { color: theme.colors.text.primary }]} numberOfLines={1}>
+            {dose.medicationName}
+          </Text>
+          {(!!dose.dose || status) && (
+            <View style={styles.doseMeta}>
+              {status && <Icon name={status.icon} size={14} color={status.color} />}
+              <Text style={[styles.doseMetaText, { color: status ? status.color : theme.colors.text.secondary }]}>
+                {[status?.label, dose.dose].filter(Boolean).join(' · ')}
+              </Text>
+            </View>
+          )}
+        </View>
+        {recording ? (
+          <ActivityIndicator size="small" color={theme.colors.primary.main} />
+        ) : canRecord && (
+          <View style={styles.doseActions}>
+            <TouchableOpacity
+              style={[styles.skipButton, { borderColor: theme.colors.divider }]}
+              onPress={() => handleRecordDose(dose, 'skipped')}
+              accessibilityRole="button"
+              accessibilityLabel={`Skip ${dose.medicationName} at ${format(dose.scheduledAt, 'h:mm a')}`}
+            >
+              <Text style={[styles.skipButtonText, { color: theme.colors.text.primary }]}>Skip</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.takenButton, { backgroundColor: theme.colors.primary.main }]}
+              onPress={() => handleRecordDose(dose, 'taken')}
+              accessibilityRole="button"
+              accessibilityLabel={`Mark ${dose.medicationName} at ${format(dose.scheduledAt, 'h:mm a')} as taken`}
+            >
+              <Text style={styles.takenButtonText}>Taken</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+  
+  const renderMedication = (medication) => (
+    <TouchableOpacity
+      key={medication.id}
+      style={[styles.medicationCard, { backgroundColor: theme.colors.background.paper }]}
+      onPress={() => navigation.navigate('EditMedication', { medicationId: medication.id })}
+      accessibilityRole="button"
+      accessibilityHint="Edits the medication"
+    >
+      <View style={[styles.medicationIcon, { backgroundColor: theme.colors.primary.lightest }]}>
+        <Icon name="medkit-outline" size={20} color={theme.colors.primary.main} />
+      </View>
+      <View style={styles.medicationInfo}>
+        <Text style={[styles.medicationName, { color: theme.colors.text.primary }]} numberOfLines={1}>
+          {medication.name}{medication.dose ? ` · ${medication.dose}` : ''}
+        </Text>
+        <Text style={[styles.medicationSchedule, { color: theme.colors.text.secondary }]}>
+          {describeSchedule(medication.schedule)}
+        </Text>
+      </View>
+      {!medication.remindersEnabled && (
+        <Icon
+          name="notifications-off-outline"
+          size={18}
+          color={theme.colors.text.hint}
+          accessibilityLabel="Reminders off"
+        />
+      )}
+      <Icon name="chevron-forward" size={20} color={theme.colors.text.hint} />
+    </TouchableOpacity>
+  );
+  
+  if (loading) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  if (loadError) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <Icon name="lock-closed-outline" size={50} color={theme.colors.gray[300]} />
+        <Text style={[styles.emptyTitle, { color: theme.colors.text.primary }]}>{loadError}</Text>
+      </View>
+    );
+  }
+  
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.colors.background.default }]}
+      contentContainerStyle={styles.content}
+    >
+      {medications.length > 0 && (
+        <View style={[styles.adherenceCard, { backgroundColor: theme.colors.background.paper }]}>
+          <View
+            style={styles.adherenceSummary}
+            accessible
+            accessibilityLabel={adherence?.percent === null
+              ? 'No doses due in the last 7 days'
+              : `${adherence?.percent} percent of doses taken in the last 7 days`}
+          >
+            <Text style={[styles.adherencePercent, { color: theme.colors.primary.main }]}>
+              {adherence?.percent === null ? '–' : `${adherence?.percent}%`}
+            </Text>
+            <View style={styles.adherenceInfo}>
+              <Text style={[styles.adherenceTitle, { color: theme.colors.text.primary }]}>
+                Taken in the last 7 days
+              </Text>
+              <Text style={[styles.adherenceCounts, { color: theme.colors.text.secondary }]}>
+                {adherence?.taken} taken · {adherence?.skipped} skipped · {adherence?.missed} missed
+              </Text>
+            </View>
+          </View>
+          <TouchableOpacity
+            style={styles.historyLink}
+            onPress={() => navigation.navigate('MedicationHistory')}
+            accessibilityRole="button"
+          >
+            <Text style={[styles.historyLinkText, { color: theme.colors.primary.main }]}>View history</Text>
+            <Icon name="chevron-forward" size={16} color={theme.colors.primary.main} />
+          </TouchableOpacity>
+        </View>
+      )}
+      
+      {todayDoses.length > 0 && (
+        <>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]} accessibilityRole="header">
+            Today
+          </Text>
+          <View style={[styles.doseList, { backgroundColor: theme.colors.background.paper }]}>
+            {todayDoses.map(renderDose)}
+          </View>
+        </>
+      )}
+      
+      <View style={styles.sectionHeader}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]} accessibilityRole="header">
+          Medications
+        </Text>
+        <TouchableOpacity
+          style={[styles.addButton, { backgroundColor: theme.colors.primary.main }]}
+          onPress={() => navigation.navigate('EditMedication')}
+          accessibilityRole="button"
+          accessibilityLabel="Add medication"
+        >
+          <Icon name="add" size={18} color="white" />
+          <Text style={styles.addButtonText}>Add Medication</Text>
+        </TouchableOpacity>
+      </View>
+      
+      {medications.length > 0 ? medications.map(renderMedication) : (
+        <Text style={[styles.emptySubtitle, { color: theme.colors.text.secondary }]}>
+          Add a medication to get reminders when each dose is due and see how often you take it on time.
+        </Text>
+      )}
+      
+      <View style={styles.privacyNote}>
+        <Icon name="lock-closed-outline" size={14} color={theme.colors.text.hint} />
+        <Text style={[styles.privacyText, { color: theme.colors.text.hint }]}>
+          {'Your medications and doses are encrypted and stay on this device. Reminders work ' +
+            'without a connection.'}
+        </Text>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  adherenceCard: {
+    borderRadius: 12,
+    padding: 16,
+  },
+  adherenceSummary: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  adherencePercent: {
+    fontSize: 32,
+    fontWeight: '700',
+    minWidth: 80,
+  },
+  adherenceInfo: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  adherenceTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  adherenceCounts: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  historyLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-end',
+    marginTop: 8,
+  },
+  historyLinkText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginTop: 20,
+    marginBottom: 12,
+  },
+  doseList: {
+    borderRadius: 12,
+    paddingHorizontal: 12,
+  },
+  doseRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  doseTime: {
+    width: 72,
+    fontSize: 14,
+  },
+  doseInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  doseName: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  doseMeta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 2,
+  },
+  doseMetaText: {
+    fontSize: 13,
+    marginLeft: 4,
+  },
+  doseActions: {
+    flexDirection: 'row',
+  },
+  skipButton: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+  },
+  skipButtonText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  takenButton: {
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  takenButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginTop: 8,
+  },
+  addButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  medicationCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  medicationIcon: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  medicationInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  medicationName: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  medicationSchedule: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  emptyTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  emptySubtitle: {
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  privacyNote: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginTop: 24,
+  },
+  privacyText: {
+    flex: 1,
+    fontSize: 12,
+    lineHeight: 17,
+    marginLeft: 6,
+  },
+});
+
+export default MedicationsScreen;
@@ -0,0 +1,325 @@
+// src/screens/MoodCheckInScreen.js
+// Record how you're feeling on a 1-5 scale, with emotions and an optional note
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { format } from 'date-fns';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../theme/ThemeContext';
+import MoodCheckInService from '../services/MoodCheckInService';
+import {
+  MOOD_SCORES,
+  MAX_MOOD_SCORE,
+  EMOTION_TAGS,
+  MAX_EMOTION_TAGS,
+  MAX_CHECK_IN_NOTE_LENGTH
+} from '../constants/moodCheckIns';
+
+const MoodCheckInScreen = ({ navigation, route }) => {
+  const { user } = useUser();
+  const { theme } = useTheme();
+  const checkInId = route.params?.checkInId;
+  
+  const [savedCheckIn, setSavedCheckIn] = useState(null);
+  const [score, setScore] = useState(null);
+  const [emotions, setEmotions] = useState([]);
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(!!checkInId);
+  const [saving, setSaving] = useState(false);
+  
+  useEffect(() => {
+    if (!checkInId || !user) return;
+    
+    MoodCheckInService.getCheckIn(user.uid, checkInId)
+      .then(checkIn => {
+        if (!checkIn) {
+          Alert.alert('Check-in Not Found', 'This check-in may have been deleted.');
+          navigation.goBack();
+          return;
+        }
+        
+        setSavedCheckIn(checkIn);
+        setScore(checkIn.score);
+        setEmotions(checkIn.emotions);
+        setNote(checkIn.note);
+      })
+      .catch(error => {
+        console.error('Error loading mood check-in:', error);
+        Alert.alert('Error', error.message || 'Failed to load this check-in.');
+        navigation.goBack();
+      })
+      .finally(() => setLoading(false));
+  }, [checkInId, user]);
+  
+  const toggleEmotion = (emotion) => {
+    setEmotions(prev => {
+      if (prev.includes(emotion)) return prev.filter(item => item !== emotion);
+      return prev.length < MAX_EMOTION_TAGS ? [...prev, emotion] : prev;
+    });
+  };
+  
+  const handleSave = async () => {
+    setSaving(true);
+    
+    try {
+      await MoodCheckInService.saveCheckIn(user.uid, {
+        id: savedCheckIn?.id,
+        score,
+        emotions,
+        note,
+      });
+      
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error saving mood check-in:', error);
+      Alert.alert('Error', error.message || 'Failed to save this check-in. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Check-in',
+      'Are you sure you want to delete this check-in? This action cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await MoodCheckInService.deleteCheckIn(user.uid, savedCheckIn.id);
+              navigation.goBack();
+            } catch (error) {
+              console.error('Error deleting mood check-in:', error);
+              Alert.alert('Error', 'Failed to delete this check-in. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  if (loading) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.colors.background.default }]}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      <Text style={[styles.title, { color: theme.colors.text.primary }]} accessibilityRole="header">
+        {savedCheckIn
+          ? format(savedCheckIn.createdAt, "EEEE, MMMM d 'at' h:mm a")
+          : 'How are you feeling right now?'}
+      </Text>
+      
+      <View style={styles.scores} accessibilityRole="radiogroup">
+        {MOOD_SCORES.map(option => {
+          const selected = score === option.score;
+          
+          return (
+            <TouchableOpacity
+              key={option.score}
+              style={[styles.score, { borderColor: selected ? option.color : theme.colors.border }]}
+              onPress={() => setScore(option.score)}
+              accessibilityRole="radio"
+              accessibilityState={{ selected }}
+              accessibilityLabel={`${option.score} out of ${MAX_MOOD_SCORE}, ${option.label}`}
+            >
+              <Icon name={option.icon} size={28} color={selected ? option.color : theme.colors.text.hint} />
+              <Text style={[styles.scoreNumber, { color: theme.colors.text.primary }]}>{option.score}</Text>
+              <Text style={[styles.scoreLabel, { color: theme.colors.text.secondary }]}>{option.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>
+        Emotions ({emotions.length}/{MAX_EMOTION_TAGS})
+      </Text>
+      <View style={styles.chips}>
+        {EMOTION_TAGS.map(emotion => {
+          const selected = emotions.includes(emotion);
+          
+          return (
+            <TouchableOpacity
+              key={emotion}
+              style={[
+                styles.chip,
+                { borderColor: theme.colors.primary.main },
+                selected && { backgroundColor: theme.colors.primary.main }
+              ]}
+              onPress={() => toggleEmotion(emotion)}
+              disabled={!selected && emotions.length >= MAX_EMOTION_TAGS}
+              accessibilityRole="checkbox"
+              accessibilityState={{ checked: selected, disabled: !selected && emotions.length >= MAX_EMOTION_TAGS }}
+            >
+              <Text style={[styles.chipText, { color: selected ? 'white' : theme.colors.primary.main }]}>
+                {emotion}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      
+      <Text style={[styles.label, { color: theme.colors.text.primary }]}>Note</Text>
+      <TextInput
+        style={[
+          styles.input,
+          styles.noteInput,
+          { backgroundColor: theme.colors.background.input, color: theme.colors.text.primary }
+        ]}
+        value={note}
+        onChangeText={setNote}
+        placeholder="Anything on your mind? (optional)"
+        placeholderTextColor={theme.colors.text.hint}
+        multiline
+        maxLength={MAX_CHECK_IN_NOTE_LENGTH}
+        textAlignVertical="top"
+        accessibilityLabel="Note"
+      />
+      
+      <TouchableOpacity
+        style={[
+          styles.saveButton,
+          { backgroundColor: theme.colors.primary.main },
+          (saving || !score) && styles.disabled
+        ]}
+        onPress={handleSave}
+        disabled={saving || !score}
+        accessibilityRole="button"
+      >
+        {saving ? (
+          <ActivityIndicator color="white" size="small" />
+        ) : (
+          <Text style={styles.saveButtonText}>{savedCheckIn ? 'Save Check-in' : 'Check In'}</Text>
+        )}
+      </TouchableOpacity>
+      
+      {savedCheckIn && (
+        <TouchableOpacity style={styles.deleteButton} onPress={handleDelete} accessibilityRole="button">
+          <Icon name="trash-outline" size={20} color={theme.colors.error.main} />
+          <Text style={[styles.deleteButtonText, { color: theme.colors.error.main }]}>Delete Check-in</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 16,
+  },
+  scores: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  score: {
+    flex: 1,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingVertical: 10,
+    marginHorizontal: 3,
+  },
+  scoreNumber: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  scoreLabel: {
+    fontSize: 11,
+    textAlign: 'center',
+    marginTop: 2,
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 24,
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 14,
+  },
+  input: {
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+  },
+  noteInput: {
+    minHeight: 100,
+  },
+  saveButton: {
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 28,
+  },
+  saveButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  disabled: {
+    opacity: 0.6,
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    padding: 8,
+    marginTop: 20,
+  },
+  deleteButtonText: {
+    fontSize: 15,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
+});
+
+export default MoodCheckInScreen;
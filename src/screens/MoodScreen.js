@@ -0,0 +1,554 @@
+// src/screens/MoodScreen.js
+// Mood trends over 7, 30 and 90 days, how they line up with journal symptoms, and the daily reminder
+
+import React, { useState, useCallback, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Switch,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { format, subDays } from 'date-fns';
+import { useFocusEffect } from '@react-navigation/native';
+import { useUser } from '../contexts/UserContext';
+import { useAccessibility } from '../contexts/AccessibilityContext';
+import { useTheme } from '../theme/ThemeContext';
+import MoodCheckInService from '../services/MoodCheckInService';
+import JournalService from '../services/JournalService';
+import notificationService from '../services/NotificationService';
+import BarChart from '../components/UI/BarChart';
+import TimeOfDayPickerModal from '../components/TimeOfDayPickerModal';
+import { toDateKey } from '../utils/journal';
+import { formatTimeOfDay } from '../utils/medications';
+import {
+  getMoodTrend,
+  describeMoodTrend,
+  getSymptomCorrelations,
+  describeSymptomCorrelation
+} from '../utils/moodCheckIns';
+import {
+  MOOD_TREND_RANGES,
+  MAX_MOOD_SCORE,
+  DEFAULT_CHECK_IN_TIME,
+  getMoodScore
+} from '../constants/moodCheckIns';
+
+const RECENT_CHECK_INS = 5;
+const LONGEST_RANGE_DAYS = Math.max(...MOOD_TREND_RANGES.map(range => range.days));
+
+const MoodScreen = ({ navigation }) => {
+  const { user } = useUser();
+  const { theme } = useTheme();
+  const { isVoiceOverEnabled, simplifiedUI } = useAccessibility();
+  
+  const [checkIns, setCheckIns] = useState([]);
+  const [journalEntries, setJournalEntries] = useState([]);
+  const [reminder, setReminder] = useState({ enabled: false, time: DEFAULT_CHECK_IN_TIME });
+  const [rangeIndex, setRangeIndex] = useState(0);
+  // Screen reader and simplified layouts start with the table, but anyone can switch
+  const [tableView, setTableView] = useState(null);
+  const [timePickerVisible, setTimePickerVisible] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  
+  const showTable = tableView ?? (isVoiceOverEnabled || simplifiedUI);
+  const range = MOOD_TREND_RANGES[rangeIndex];
+  
+  const loadMood = useCallback(async () => {
+    if (!user) return;
+    
+    try {
+      const from = toDateKey(subDays(new Date(), LONGEST_RANGE_DAYS - 1));
+      const [savedCheckIns, savedReminder, entries] = await Promise.all([
+        MoodCheckInService.getCheckIns(user.uid, { from }),
+        MoodCheckInService.getReminder(user.uid),
+        // Trends still show if the journal can't be read
+        JournalService.getEntries(user.uid, { from }).catch(error => {
+          console.error('Error loading journal for mood comparison:', error);
+          return [];
+        }),
+      ]);
+      
+      setCheckIns(savedCheckIns);
+      setReminder(savedReminder);
+      setJournalEntries(entries);
+      setLoadError(null);
+    } catch (error) {
+      console.error('Error loading mood check-ins:', error);
+      setLoadError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+  
+  useFocusEffect(
+    useCallback(() => {
+      loadMood();
+    }, [loadMood])
+  );
+  
+  const rangeStart = toDateKey(subDays(new Date(), range.days - 1));
+  const rangeCheckIns = useMemo(
+    () => checkIns.filter(checkIn => checkIn.date >= rangeStart),
+    [checkIns, rangeStart]
+  );
+  const trend = useMemo(() => getMoodTrend(rangeCheckIns, range), [rangeCheckIns, range]);
+  const trendSummary = describeMoodTrend(trend, range.label);
+  const correlations = useMemo(
+    () => getSymptomCorrelations(rangeCheckIns, journalEntries.filter(entry => entry.date >= rangeStart)),
+    [rangeCheckIns, journalEntries, rangeStart]
+  );
+  
+  const saveReminder = async (changes) => {
+    const next = { ...reminder, ...changes };
+    
+    try {
+      if (next.enabled && !reminder.enabled) {
+        const granted = await notificationService.requestPermission();
+        
+        if (!granted) {
+          Alert.alert(
+            'Notifications Off',
+            'Allow notifications in your device settings to get a daily check-in reminder.'
+          );
+        }
+      }
+      
+      setReminder(await MoodCheckInService.setReminder(user.uid, next));
+    } catch (error) {
+      console.error('Error updating mood reminder:', error);
+      Alert.alert('Error', 'Failed to update your reminder. Please try again.');
+    }
+  };
+  
+  const renderTable = () => {
+    const rows = trend.filter(point => point.count > 0);
+    
+    if (rows.length === 0) {
+      return (
+        <Text style={[styles.emptyText, { color: theme.colors.text.secondary }]}>
+          No check-ins in the last {range.label}.
+        </Text>
+      );
+    }
+    
+    return (
+      <View style={[styles.table, { borderColor: theme.colors.divider }]}>
+        <View style={[styles.tableRow, { borderBottomColor: theme.colors.divider }]}>
+          <Text style={[styles.tableHeader, styles.tableDate, { color: theme.colors.text.secondary }]}>
+            {range.groupByWeek ? 'Week of' : 'Day'}
+          </Text>
+          <Text style={[styles.tableHeader, styles.tableValue, { color: theme.colors.text.secondary }]}>Average</Text>
+          <Text style={[styles.tableHeader, styles.tableValue, { color: theme.colors.text.secondary }]}>Check-ins</Text>
+        </View>
+        {rows.map(point => (
+          <View
+            key={point.start.getTime()}
+            style={[styles.tableRow, { borderBottomColor: theme.colors.divider }]}
+            accessible
+            accessibilityLabel={`${point.description}: average ${point.average} out of ${MAX_MOOD_SCORE}, ${point.count} ${point.count === 1 ? 'check-in' : 'check-ins'}`}
+          >
+            <Text style={[styles.tableCell, styles.tableDate, { color: theme.colors.text.primary }]}>
+              {format(point.start, range.groupByWeek ? 'MMM d' : 'EEE, MMM d')}
+            </Text>
+            <Text style={[styles.tableCell, styles.tableValue, { color: theme.colors.text.primary }]}>
+              {point.average}
+            </Text>
+            <Text style={[styles.tableCell, styles.tableValue, { color: theme.colors.text.primary }]}>
+              {point.count}
+            </Text>
+          </View>
+        ))}
+      </View>
+    );
+  };
+  
+  const renderCheckIn = (checkIn) => {
+    const mood = getMoodScore(checkIn.score);
+    
+    return (
+      <TouchableOpacity
+        key={checkIn.id}
+        style={[styles.checkInRow, { backgroundColor: theme.colors.background.paper }]}
+        onPress={() => navigation.navigate('MoodCheckIn', { checkInId: checkIn.id })}
+        accessibilityRole="button"
+        accessibilityLabel={`${format(checkIn.createdAt, 'EEEE, MMMM d, h:mm a')}: ${checkIn.score} out of ${MAX_MOOD_SCORE}, ${mood.label}${checkIn.emotions.length > 0 ? `, feeling ${checkIn.emotions.join(', ')}` : ''}`}
+        accessibilityHint="Opens the check-in"
+      >
+        <Icon name={mood.icon} size={24} color={mood.color} />
+        <View style={styles.checkInInfo}>
+          <Text style={[styles.checkInTitle, { color: theme.colors.text.primary }]}>
+            {mood.label} · {format(checkIn.createdAt, 'EEE, MMM d, h:mm a')}
+          </Text>
+          {(checkIn.emotions.length > 0 || !!checkIn.note) && (
+            <Text style={[styles.checkInDetail, { color: theme.colors.text.secondary }]} numberOfLines={2}>
+              {[checkIn.emotions.join(', '), checkIn.note].filter(Boolean).join(' — ')}
+            </Text>
+          )}
+        </View>
+        <Icon name="chevron-forward" size={18} color={theme.colors.text.hint} />
+      </TouchableOpacity>
+    );
+  };
+  
+  if (loading) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  if (loadError) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <Icon name="lock-closed-outline" size={50} color={theme.colors.gray[300]} />
+        <Text style={[styles.emptyTitle, { color: theme.colors.text.primary }]}>{loadError}</Text>
+      </View>
+    );
+  }
+  
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.colors.background.default }]}
+      contentContainerStyle={styles.content}
+    >
+      <TouchableOpacity
+        style={[styles.checkInButton, { backgroundColor: theme.colors.primary.main }]}
+        onPress={() => navigation.navigate('MoodCheckIn')}
+        accessibilityRole="button"
+      >
+        <Icon name="happy-outline" size={20} color="white" />
+        <Text style={styles.checkInButtonText}>Check In Now</Text>
+      </TouchableOpacity>
+      
+      <View style={[styles.card, { backgroundColor: theme.colors.background.paper }]}>
+        <View style={styles.reminderRow}>
+          <View style={styles.reminderInfo}>
+            <Text style={[styles.cardTitle, { color: theme.colors.text.primary }]}>Daily reminder</Text>
+            <Text style={[styles.reminderText, { color: theme.colors.text.secondary }]}>
+              A notification to check in each day
+            </Text>
+          </View>
+          <Switch
+            value={reminder.enabled}
+            onValueChange={enabled => saveReminder({ enabled })}
+            trackColor={{ false: theme.colors.divider, true: theme.colors.primary.main }}
+            accessibilityLabel="Daily check-in reminder"
+          />
+        </View>
+        {reminder.enabled && (
+          <TouchableOpacity
+            style={styles.reminderTime}
+            onPress={() => setTimePickerVisible(true)}
+            accessibilityRole="button"
+            accessibilityLabel={`Reminder time, ${formatTimeOfDay(reminder.time)}`}
+            accessibilityHint="Changes the time"
+          >
+            <Icon name="time-outline" size={18} color={theme.colors.primary.main} />
+            <Text style={[styles.reminderTimeText, { color: theme.colors.primary.main }]}>
+              {formatTimeOfDay(reminder.time)}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      
+      <View style={[styles.card, { backgroundColor: theme.colors.background.paper }]}>
+        <View style={styles.cardHeader}>
+          <Text style={[styles.cardTitle, { color: theme.colors.text.primary }]} accessibilityRole="header">
+            Mood trend
+          </Text>
+          <TouchableOpacity
+            onPress={() => setTableView(!showTable)}
+            accessibilityRole="button"
+            hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+          >
+            <Text style={[styles.linkText, { color: theme.colors.primary.main }]}>
+              {showTable ? 'Show chart' : 'Show table'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+        
+        <View style={styles.ranges} accessibilityRole="tablist">
+          {MOOD_TREND_RANGES.map((option, index) => (
+            <TouchableOpacity
+              key={option.days}
+              style={[
+                styles.range,
+                { borderColor: theme.colors.primary.main },
+                rangeIndex === index && { backgroundColor: theme.colors.primary.main }
+              ]}
+              onPress={() => setRangeIndex(index)}
+              accessibilityRole="tab"
+              accessibilityState={{ selected: rangeIndex === index }}
+              accessibilityLabel={`Last ${option.label}`}
+            >
+              <Text style={[styles.rangeText, { color: rangeIndex === index ? 'white' : theme.colors.primary.main }]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        
+        {showTable ? renderTable() : (
+          <BarChart
+            data={trend.map(point => ({ label: point.label, value: point.average || 0 }))}
+            height={180}
+            maxValue={MAX_MOOD_SCORE}
+            labelEvery={range.labelEvery}
+            showValues={range.days <= 7}
+            accessibilityLabel={trendSummary}
+          />
+        )}
+        
+        <Text style={[styles.summaryText, { color: theme.colors.text.secondary }]}>{trendSummary}</Text>
+      </View>
+      
+      <View style={[styles.card, { backgroundColor: theme.colors.background.paper }]}>
+        <Text style={[styles.cardTitle, { color: theme.colors.text.primary }]} accessibilityRole="header">
+          Mood and symptoms
+        </Text>
+        {correlations.length > 0 ? (
+          <>
+            <View style={[styles.tableRow, { borderBottomColor: theme.colors.divider }]}>
+              <Text style={[styles.tableHeader, styles.tableDate, { color: theme.colors.text.secondary }]}>Symptom</Text>
+              <Text style={[styles.tableHeader, styles.tableValue, { color: theme.colors.text.secondary }]}>With</Text>
+              <Text style={[styles.tableHeader, styles.tableValue, { color: theme.colors.text.secondary }]}>Without</Text>
+            </View>
+            {correlations.map(correlation => (
+              <View
+                key={correlation.name}
+                style={[styles.tableRow, { borderBottomColor: theme.colors.divider }]}
+                accessible
+                accessibilityLabel={describeSymptomCorrelation(correlation)}
+              >
+                <Text style={[styles.tableCell, styles.tableDate, { color: theme.colors.text.primary }]} numberOfLines={1}>
+                  {correlation.name} ({correlation.days} days)
+                </Text>
+                <Text
+                  style={[
+                    styles.tableCell,
+                    styles.tableValue,
+                    { color: correlation.difference < 0 ? theme.colors.error.main : theme.colors.text.primary }
+                  ]}
+                >
+                  {correlation.moodWith}
+                </Text>
+                <Text style={[styles.tableCell, styles.tableValue, { color: theme.colors.text.primary }]}>
+                  {correlation.moodWithout}
+                </Text>
+              </View>
+            ))}
+            <Text style={[styles.footnote, { color: theme.colors.text.hint }]}>
+              {'Average mood on days you logged each symptom in your journal, compared with days you ' +
+                'didn\'t. These show patterns worth discussing with your care team, not causes.'}
+            </Text>
+          </>
+        ) : (
+          <Text style={[styles.emptyText, { color: theme.colors.text.secondary }]}>
+            {'Log symptoms in your Health Journal on days you check in, and after a few days you\'ll ' +
+              'see how they line up with your mood.'}
+          </Text>
+        )}
+      </View>
+      
+      {checkIns.length > 0 && (
+        <>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]} accessibilityRole="header">
+            Recent check-ins
+          </Text>
+          {checkIns.slice(0, RECENT_CHECK_INS).map(renderCheckIn)}
+        </>
+      )}
+      
+      <View style={styles.privacyNote}>
+        <Icon name="lock-closed-outline" size={14} color={theme.colors.text.hint} />
+        <Text style={[styles.privacyText, { color: theme.colors.text.hint }]}>
+          Only you can see your check-ins. They're encrypted and stay on this device.
+        </Text>
+      </View>
+      
+      <TimeOfDayPickerModal
+        visible={timePickerVisible}
+        initialTime={reminder.time}
+        onConfirm={time => {
+          setTimePickerVisible(false);
+          saveReminder({ time });
+        }}
+        onClose={() => setTimePickerVisible(false)}
+        title="Reminder Time"
+      />
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  checkInButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 8,
+    paddingVertical: 14,
+  },
+  checkInButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  card: {
+    borderRadius: 12,
+    padding: 16,
+    marginTop: 16,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  reminderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  reminderInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  reminderText: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  reminderTime: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 12,
+  },
+  reminderTimeText: {
+    fontSize: 15,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
+  ranges: {
+    flexDirection: 'row',
+    marginVertical: 12,
+  },
+  range: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+  },
+  rangeText: {
+    fontSize: 14,
+  },
+  summaryText: {
+    fontSize: 14,
+    lineHeight: 20,
+    marginTop: 12,
+  },
+  table: {
+    borderTopWidth: StyleSheet.hairlineWidth,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  tableHeader: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  tableCell: {
+    fontSize: 14,
+  },
+  tableDate: {
+    flex: 2,
+  },
+  tableValue: {
+    flex: 1,
+    textAlign: 'right',
+  },
+  footnote: {
+    fontSize: 12,
+    lineHeight: 17,
+    marginTop: 12,
+  },
+  emptyTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    lineHeight: 20,
+    marginTop: 8,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginTop: 20,
+    marginBottom: 12,
+  },
+  checkInRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 8,
+  },
+  checkInInfo: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  checkInTitle: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  checkInDetail: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  privacyNote: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginTop: 24,
+  },
+  privacyText: {
+    flex: 1,
+    fontSize: 12,
+    lineHeight: 17,
+    marginLeft: 6,
+  },
+});
+
+export default MoodScreen;
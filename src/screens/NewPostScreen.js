@@ -1,7 +1,7 @@
 // src/screens/NewPostScreen.js
 // Screen for creating new posts - Updated with proper Firebase integration
 
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import {
   View,
   Text,
@@ -13,32 +13,99 @@ import {
   Alert,
   ActivityIndicator,
   KeyboardAvoidingView,
-  Platform
+  Platform,
+  Switch
 } from 'react-native';
 import Icon from 'react-native-vector-icons/Ionicons';
 import { launchImageLibrary } from 'react-native-image-picker';
+import { format } from 'date-fns';
 import { useUser } from '../contexts/UserContext';
 import { useTheme } from '../theme/ThemeContext';
-import { PostService, UploadService } from '../services/FirebaseService';
+import {
+  PostService,
+  UploadService,
+  MAX_POST_MEDIA_ITEMS,
+  MIN_POLL_OPTIONS,
+  MAX_POLL_OPTIONS,
+  MAX_POLL_OPTION_LENGTH
+} from '../services/FirebaseService';
+import MediaService from '../services/MediaService';
+import DraftService from '../services/DraftService';
+import { OfflineQueue } from '../services/OfflineService';
+import SchedulePickerModal from '../components/SchedulePickerModal';
+import AudiencePicker from '../components/social/AudiencePicker';
+import MentionSuggestions from '../components/social/MentionSuggestions';
+import JournalEntrySummary from '../components/social/JournalEntrySummary';
+import { useMentions } from '../hooks/useMentions';
+import { useConditionNames } from '../hooks/useConditionNames';
+import { DEFAULT_AUDIENCE, getAudience } from '../constants/audiences';
+import { CONTENT_WARNINGS } from '../constants/contentWarnings';
 
 // Constants for file limits
 const MAX_IMAGE_SIZE_MB = 5;
 const MAX_VIDEO_SIZE_MB = 20;
+const MAX_VIDEO_DURATION_SECONDS = 60;
+const MAX_ALT_TEXT_LENGTH = 250;
 const MB_IN_BYTES = 1024 * 1024;
 
-const NewPostScreen = ({ navigation }) => {
+// How long a poll stays open, in hours (0 keeps it open indefinitely)
+const POLL_DURATIONS = [
+  { label: 'No end', hours: 0 },
+  { label: '1 day', hours: 24 },
+  { label: '3 days', hours: 72 },
+  { label: '1 week', hours: 168 },
+];
+
+// Delay after the last edit before the draft is written to storage
+const AUTOSAVE_DELAY_MS = 1000;
+
+// Stored post type for a set of uploaded media
+const getMediaPostType = (media) => {
+  if (media.length > 1) return 'carousel';
+  return media[0].type;
+};
+
+const NewPostScreen = ({ navigation, route }) => {
+  const draftIdParam = route?.params?.draftId;
+  const communityIdParam = route?.params?.communityId;
   const { userData } = useUser();
+  const { conditionName } = useConditionNames();
   const { theme } = useTheme();
-  const [postType, setPostType] = useState('image'); // 'image', 'video', 'link'
+  const [postType, setPostType] = useState('media'); // 'media', 'link', 'poll', 'question', 'journal'
   const [caption, setCaption] = useState('');
-  const [imageUri, setImageUri] = useState(null);
-  const [imageInfo, setImageInfo] = useState(null);
-  const [videoUri, setVideoUri] = useState(null);
-  const [videoInfo, setVideoInfo] = useState(null);
+  const [mediaItems, setMediaItems] = useState([]);
+  const [selectedMediaIndex, setSelectedMediaIndex] = useState(0);
   const [linkUrl, setLinkUrl] = useState('');
+  const [pollOptions, setPollOptions] = useState(['', '']);
+  const [pollMultipleChoice, setPollMultipleChoice] = useState(false);
+  const [pollDurationHours, setPollDurationHours] = useState(24);
+  const [questionCondition, setQuestionCondition] = useState(null);
+  const [journalEntry, setJournalEntry] = useState(null); // health journal entry being shared
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [draftId, setDraftId] = useState(null);
+  const [draftStatus, setDraftStatus] = useState(null); // 'saving', 'saved', 'error'
+  const [draftCount, setDraftCount] = useState(0);
+  const [scheduledAt, setScheduledAt] = useState(null);
+  const [showSchedulePicker, setShowSchedulePicker] = useState(false);
+  const [postAnonymously, setPostAnonymously] = useState(false);
+  const [audience, setAudience] = useState(DEFAULT_AUDIENCE);
+  const [audienceCondition, setAudienceCondition] = useState(null);
+  const [showAudiencePicker, setShowAudiencePicker] = useState(false);
+  const [community, setCommunity] = useState(null); // { id, name } when posting in a community
+  const [contentWarnings, setContentWarnings] = useState([]);
+  const {
+    suggestions: mentionSuggestions,
+    selectSuggestion: selectMention,
+    mentionedUsers,
+    setMentionedUsers,
+    clearMentions,
+    inputProps: mentionInputProps,
+  } = useMentions({ text: caption, setText: setCaption });
   const isMounted = useRef(true);
+  const draftIdRef = useRef(null);
+  const skipAutosaveRef = useRef(false);
+  const draftSaveQueue = useRef(Promise.resolve());
 
   // Clean up on unmount
   React.useEffect(() => {
@@ -47,92 +114,335 @@ const NewPostScreen = ({ navigation }) => {
     };
   }, []);
 
-  const handleImagePick = () => {
-    const options = {
-      mediaType: 'photo',
-      quality: 0.8,
-      maxWidth: 1200,
-      maxHeight: 1200,
-      includeBase64: false,
-      includeExtra: true,
-    };
+  const refreshDraftCount = useCallback(async () => {
+    if (!userData?.id) return;
+    
+    try {
+      const drafts = await DraftService.getDrafts(userData.id);
+      if (isMounted.current) {
+        setDraftCount(drafts.length);
+      }
+    } catch (error) {
+      console.error('Error counting drafts:', error);
+    }
+  }, [userData?.id]);
 
-    launchImageLibrary(options, response => {
-      if (response.didCancel) {
+  // Keep the drafts badge current whenever the composer is shown
+  useEffect(() => {
+    refreshDraftCount();
+    return navigation.addListener('focus', refreshDraftCount);
+  }, [navigation, refreshDraftCount]);
+
+  const attachDraft = (id) => {
+    draftIdRef.current = id;
+    setDraftId(id);
+  };
+
+  // Resume a draft opened from the drafts list
+  useEffect(() => {
+    if (!draftIdParam || !userData?.id) return;
+    
+    const loadDraft = async () => {
+      let draft;
+      
+      try {
+        draft = await DraftService.getDraft(userData.id, draftIdParam);
+      } catch (error) {
+        console.error('Error loading draft:', error);
+        if (isMounted.current) {
+          Alert.alert('Error', error.message || 'Failed to load this draft.');
+        }
         return;
       }
-
-      if (response.errorCode) {
-        Alert.alert('Error', response.errorMessage || 'Failed to select image');
+      
+      if (!isMounted.current) return;
+      
+      if (!draft) {
+        Alert.alert('Draft Not Found', 'This draft may have already been posted or discarded.');
         return;
       }
+      
+      // Loading the draft's fields shouldn't immediately re-save it
+      skipAutosaveRef.current = true;
+      attachDraft(draft.id);
+      setPostType(draft.postType || 'media');
+      setCaption(draft.caption || '');
+      setMentionedUsers(draft.mentions || []);
+      setMediaItems(draft.mediaItems || []);
+      setSelectedMediaIndex(0);
+      setLinkUrl(draft.linkUrl || '');
+      setPollOptions(draft.pollOptions || ['', '']);
+      setPollMultipleChoice(!!draft.pollMultipleChoice);
+      setPollDurationHours(draft.pollDurationHours ?? 24);
+      setQuestionCondition(draft.questionCondition || null);
+      setJournalEntry(draft.journalEntry || null);
+      setPostAnonymously(!!draft.postAnonymously);
+      setAudience(draft.audience || DEFAULT_AUDIENCE);
+      setAudienceCondition(draft.audienceCondition || null);
+      setCommunity(draft.community || null);
+      setContentWarnings(draft.contentWarnings || []);
+      setDraftStatus('saved');
+    };
+    
+    loadDraft();
+    navigation.setParams({ draftId: undefined });
+  }, [draftIdParam, userData?.id]);
 
-      if (response.assets && response.assets.length > 0) {
-        const asset = response.assets[0];
+  // Start a post in the community it was opened from
+  useEffect(() => {
+    if (!communityIdParam) return;
+    
+    setCommunity({ id: communityIdParam, name: route.params.communityName });
+    navigation.setParams({ communityId: undefined, communityName: undefined });
+  }, [communityIdParam]);
+
+  // Saves are queued so a slow write can't race the next one into a duplicate draft
+  const saveDraft = useCallback((draft) => {
+    setDraftStatus('saving');
+    
+    draftSaveQueue.current = draftSaveQueue.current.then(async () => {
+      try {
+        const saved = await DraftService.saveDraft(userData.id, {
+          ...draft,
+          id: draftIdRef.current,
+        });
         
-        // Check file size
-        if (asset.fileSize > MAX_IMAGE_SIZE_MB * MB_IN_BYTES) {
-          Alert.alert('File Too Large', `Image must be smaller than ${MAX_IMAGE_SIZE_MB}MB`);
-          return;
-        }
+        if (!isMounted.current) return;
         
-        setImageUri(asset.uri);
-        setImageInfo(asset);
+        if (!draftIdRef.current) {
+          attachDraft(saved.id);
+          refreshDraftCount();
+        }
+        setDraftStatus('saved');
+      } catch (error) {
+        console.error('Error saving draft:', error);
+        if (isMounted.current) {
+          setDraftStatus('error');
+        }
       }
     });
+  }, [userData?.id, refreshDraftCount]);
+
+  // Autosave as the user types or changes media
+  useEffect(() => {
+    if (!userData?.id || uploading) return;
+    
+    if (skipAutosaveRef.current) {
+      skipAutosaveRef.current = false;
+      return;
+    }
+    
+    const hasContent = caption.trim() || mediaItems.length > 0 || linkUrl.trim() ||
+      pollOptions.some(option => option.trim()) || (postType === 'journal' && journalEntry);
+    if (!hasContent) return;
+    
+    const timer = setTimeout(() => {
+      saveDraft({ 
+        postType, 
+        caption, 
+        linkUrl, 
+        mediaItems, 
+        pollOptions, 
+        pollMultipleChoice, 
+        pollDurationHours, 
+        questionCondition, 
+        journalEntry, 
+        postAnonymously, 
+        audience, 
+        audienceCondition, 
+        community, 
+        mentions: mentionedUsers, 
+        contentWarnings 
+      });
+    }, AUTOSAVE_DELAY_MS);
+    
+    return () => clearTimeout(timer);
+  }, [
+    postType, 
+    caption, 
+    linkUrl, 
+    mediaItems, 
+    pollOptions, 
+    pollMultipleChoice, 
+    pollDurationHours, 
+    questionCondition, 
+    journalEntry, 
+    postAnonymously, 
+    audience, 
+    audienceCondition, 
+    community, 
+    mentionedUsers, 
+    contentWarnings, 
+    uploading, 
+    userData?.id, 
+    saveDraft
+  ]);
+
+  // Clear the composer; the current draft (if any) stays in the drafts list
+  const resetForm = () => {
+    skipAutosaveRef.current = true;
+    attachDraft(null);
+    setDraftStatus(null);
+    setCaption('');
+    setMediaItems([]);
+    setSelectedMediaIndex(0);
+    setLinkUrl('');
+    setPollOptions(['', '']);
+    setPollMultipleChoice(false);
+    setPollDurationHours(24);
+    setQuestionCondition(null);
+    setJournalEntry(null);
+    setPostType('media');
+    setScheduledAt(null);
+    setPostAnonymously(false);
+    setAudience(DEFAULT_AUDIENCE);
+    setAudienceCondition(null);
+    setCommunity(null);
+    setContentWarnings([]);
+    clearMentions();
+  };
+
+  const toggleContentWarning = (type) => {
+    setContentWarnings(prev => (
+      prev.includes(type) ? prev.filter(warning => warning !== type) : [...prev, type]
+    ));
+  };
+
+  const updatePollOption = (index, text) => {
+    setPollOptions(prev => prev.map((option, i) => (i === index ? text : option)));
+  };
+
+  const addPollOption = () => {
+    setPollOptions(prev => (prev.length < MAX_POLL_OPTIONS ? [...prev, ''] : prev));
   };
 
-  const handleVideoPick = () => {
+  const removePollOption = (index) => {
+    setPollOptions(prev => (prev.length > MIN_POLL_OPTIONS ? prev.filter((_, i) => i !== index) : prev));
+  };
+
+  const handleMediaPick = () => {
+    const remaining = MAX_POST_MEDIA_ITEMS - mediaItems.length;
+    
+    if (remaining <= 0) {
+      Alert.alert('Limit Reached', `A post can contain up to ${MAX_POST_MEDIA_ITEMS} photos and videos`);
+      return;
+    }
+    
     const options = {
-      mediaType: 'video',
+      mediaType: 'mixed',
+      selectionLimit: remaining,
       quality: 0.8,
+      maxWidth: 1200,
+      maxHeight: 1200,
       videoQuality: 'medium',
-      durationLimit: 60, // limit to 60 seconds
+      includeBase64: false,
       includeExtra: true,
     };
 
-    launchImageLibrary(options, response => {
+    launchImageLibrary(options, async response => {
       if (response.didCancel) {
         return;
       }
 
       if (response.errorCode) {
-        Alert.alert('Error', response.errorMessage || 'Failed to select video');
+        Alert.alert('Error', response.errorMessage || 'Failed to select media');
         return;
       }
 
-      if (response.assets && response.assets.length > 0) {
-        const asset = response.assets[0];
+      if (!response.assets || response.assets.length === 0) {
+        return;
+      }
+      
+      const accepted = [];
+      const skipped = [];
+      
+      for (const asset of response.assets.slice(0, remaining)) {
+        const isVideo = asset.type?.startsWith('video') || !!asset.duration;
+        const maxSizeMb = isVideo ? MAX_VIDEO_SIZE_MB : MAX_IMAGE_SIZE_MB;
+        const name = asset.fileName || (isVideo ? 'Video' : 'Image');
         
         // Check file size
-        if (asset.fileSize > MAX_VIDEO_SIZE_MB * MB_IN_BYTES) {
-          Alert.alert('File Too Large', `Video must be smaller than ${MAX_VIDEO_SIZE_MB}MB`);
-          return;
+        if (asset.fileSize > maxSizeMb * MB_IN_BYTES) {
+          skipped.push(`${name} is larger than ${maxSizeMb}MB`);
+          continue;
+        }
+        
+        if (isVideo && asset.duration > MAX_VIDEO_DURATION_SECONDS) {
+          skipped.push(`${name} is longer than ${MAX_VIDEO_DURATION_SECONDS} seconds`);
+          continue;
         }
         
-        setVideoUri(asset.uri);
-        setVideoInfo(asset);
+        accepted.push({
+          id: `${asset.uri}_${Date.now()}`,
+          type: isVideo ? 'video' : 'image',
+          uri: asset.uri,
+          thumbnailUri: isVideo ? await MediaService.generateVideoThumbnail(asset.uri) : null,
+          fileSize: asset.fileSize,
+          width: asset.width,
+          height: asset.height,
+          duration: asset.duration,
+          altText: '',
+        });
+      }
+      
+      if (!isMounted.current) return;
+      
+      setMediaItems(prev => [...prev, ...accepted].slice(0, MAX_POST_MEDIA_ITEMS));
+      
+      if (skipped.length > 0) {
+        Alert.alert('Some Files Were Skipped', skipped.join('\n'));
       }
     });
   };
 
+  // Move a media item one position left (-1) or right (+1) in the carousel order
+  const moveMediaItem = (index, direction) => {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= mediaItems.length) return;
+    
+    setMediaItems(prev => {
+      const reordered = [...prev];
+      [reordered[index], reordered[targetIndex]] = [reordered[targetIndex], reordered[index]];
+      return reordered;
+    });
+    setSelectedMediaIndex(targetIndex);
+  };
+
+  const removeMediaItem = (index) => {
+    setMediaItems(prev => prev.filter((_, i) => i !== index));
+    setSelectedMediaIndex(prev => Math.max(0, Math.min(prev, mediaItems.length - 2)));
+  };
+
+  const updateAltText = (index, altText) => {
+    setMediaItems(prev => prev.map((item, i) => (i === index ? { ...item, altText } : item)));
+  };
+
   const isPostValid = () => {
     if (!caption.trim()) {
       return false;
     }
 
-    if (postType === 'image' && !imageUri) {
+    if (postType === 'media' && mediaItems.length === 0) {
       return false;
     }
 
-    if (postType === 'video' && !videoUri) {
+    if (postType === 'link' && !linkUrl.trim()) {
       return false;
     }
 
-    if (postType === 'link' && !linkUrl.trim()) {
+    if (postType === 'journal' && !journalEntry) {
       return false;
     }
 
+    if (postType === 'poll') {
+      const options = pollOptions.map(option => option.trim().toLowerCase());
+      
+      // Every option needs text and must be distinct
+      if (options.some(option => !option) || new Set(options).size !== options.length) {
+        return false;
+      }
+    }
+
     return true;
   };
 
@@ -174,42 +484,34 @@ const NewPostScreen = ({ navigation }) => {
       setLinkUrl(formattedUrl);
     }
 
+    if (scheduledAt && scheduledAt <= new Date()) {
+      Alert.alert('Invalid Time', 'The scheduled time has already passed. Please choose a new time.');
+      return;
+    }
+
     if (isMounted.current) {
       setUploading(true);
     }
 
     try {
       let contentUrl = '';
+      let media = [];
       
       // Upload media if needed
-      if (postType === 'image' && imageUri) {
-        const filename = imageUri.substring(imageUri.lastIndexOf('/') + 1);
-        const extension = filename.split('.').pop();
-        const storagePath = `images/${userData.id}_${Date.now()}.${extension}`;
-        
-        contentUrl = await UploadService.uploadImage(
-          imageUri, 
-          storagePath, 
+      if (postType === 'media') {
+        media = await UploadService.uploadMedia(
+          mediaItems,
+          userData.id,
           (progress) => {
             if (isMounted.current) {
               setUploadProgress(progress);
             }
-          }
+          },
+          postAnonymously
         );
-      } else if (postType === 'video' && videoUri) {
-        const filename = videoUri.substring(videoUri.lastIndexOf('/') + 1);
-        const extension = filename.split('.').pop();
-        const storagePath = `videos/${userData.id}_${Date.now()}.${extension}`;
         
-        contentUrl = await UploadService.uploadVideo(
-          videoUri, 
-          storagePath, 
-          (progress) => {
-            if (isMounted.current) {
-              setUploadProgress(progress);
-            }
-          }
-        );
+        // Keep the first item as content for clients that only read a single URL
+        contentUrl = media[0].url;
       } else if (postType === 'link') {
         contentUrl = linkUrl;
       }
@@ -226,28 +528,73 @@ const NewPostScreen = ({ navigation }) => {
         userId: userData.id,
         userFullName,
         userProfileImageURL: userData?.profileImageURL || null,
-        type: postType,
+        type: postType === 'media' ? getMediaPostType(media) : postType,
         content: contentUrl,
-        caption: caption.trim()
+        caption: caption.trim(),
+        anonymous: postAnonymously,
+        // Community posts reach the community rather than a chosen audience
+        audience: community ? 'public' : audience,
+        audienceCondition: community ? null : audienceCondition,
+        mentions: mentionedUsers
       };
       
-      await PostService.createPost(postData);
+      if (community) {
+        postData.communityId = community.id;
+      }
+      
+      if (media.length > 0) {
+        postData.media = media;
+        postData.contentWarnings = contentWarnings;
+      }
+      
+      if (postType === 'poll') {
+        // The caption is the poll question; the service builds option IDs and the closing time
+        postData.poll = {
+          options: pollOptions.map(option => option.trim()),
+          multipleChoice: pollMultipleChoice,
+          durationHours: pollDurationHours,
+        };
+      }
+      
+      if (postType === 'question') {
+        postData.questionCondition = questionCondition;
+      }
+      
+      if (postType === 'journal') {
+        postData.journalEntry = journalEntry;
+      }
+      
+      if (scheduledAt) {
+        // Media is already uploaded; the offline queue publishes the post when it is due
+        await OfflineQueue.schedulePost(postData, scheduledAt);
+      } else {
+        await PostService.createPost(postData);
+      }
       
       if (!isMounted.current) return;
       
       // Show success message
-      Alert.alert('Success', 'Your post has been created', [
-        { text: 'OK', onPress: () => navigation.navigate('FeedTab') }
-      ]);
+      if (scheduledAt) {
+        Alert.alert('Post Scheduled', `Your post will be published ${format(scheduledAt, "MMM d 'at' h:mm a")}`, [
+          { text: 'OK', onPress: () => navigation.navigate('ProfileTab', { screen: 'Profile', params: { initialTab: 'scheduled' } }) }
+        ]);
+      } else {
+        Alert.alert('Success', community ? `Your post is in ${community.name}` : 'Your post has been created', [
+          { text: 'OK', onPress: () => navigation.navigate('FeedTab') }
+        ]);
+      }
+      
+      // The draft has been published, so remove it once pending saves finish
+      const publishedDraftId = draftIdRef.current;
+      if (publishedDraftId) {
+        draftSaveQueue.current = draftSaveQueue.current
+          .then(() => DraftService.deleteDraft(userData.id, publishedDraftId))
+          .then(refreshDraftCount)
+          .catch(error => console.error('Error removing published draft:', error));
+      }
       
       // Reset form
-      setCaption('');
-      setImageUri(null);
-      setImageInfo(null);
-      setVideoUri(null);
-      setVideoInfo(null);
-      setLinkUrl('');
-      setPostType('image');
+      resetForm();
       
     } catch (error) {
       console.error('Error creating post:', error);
@@ -270,96 +617,163 @@ const NewPostScreen = ({ navigation }) => {
       behavior={Platform.OS === 'ios' ? 'padding' : null}
       keyboardVerticalOffset={Platform.OS === 'ios' ? 64 : 0}
     >
-      <ScrollView contentContainerStyle={styles.scrollContent}>
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
         <View style={styles.header}>
-          <Text style={[styles.headerTitle, { color: theme.colors.text.primary }]}>Create Post</Text>
+          <View>
+            <Text style={[styles.headerTitle, { color: theme.colors.text.primary }]}>Create Post</Text>
+            {draftStatus && (
+              <Text style={[
+                styles.draftStatusText,
+                { color: draftStatus === 'error' ? theme.colors.error.main : theme.colors.text.secondary }
+              ]}>
+                {draftStatus === 'saving' 
+                  ? 'Saving draft...' 
+                  : draftStatus === 'saved' ? 'Draft saved' : 'Could not save draft'}
+              </Text>
+            )}
+          </View>
+          
+          <View style={styles.headerActions}>
+            {draftId && (
+              <TouchableOpacity
+                style={styles.headerButton}
+                onPress={resetForm}
+                disabled={uploading}
+                accessibilityLabel="Start a new post"
+                accessibilityHint="Your current draft stays in your drafts"
+              >
+                <Icon name="create-outline" size={22} color={theme.colors.primary.main} />
+              </TouchableOpacity>
+            )}
+            
+            <TouchableOpacity
+              style={styles.headerButton}
+              onPress={() => navigation.navigate('ProfileTab', { screen: 'Drafts' })}
+              disabled={uploading}
+              accessibilityLabel={`Drafts, ${draftCount} saved`}
+            >
+              <Icon name="document-text-outline" size={22} color={theme.colors.primary.main} />
+              <Text style={[styles.headerButtonText, { color: theme.colors.primary.main }]}>
+                Drafts{draftCount > 0 ? ` (${draftCount})` : ''}
+              </Text>
+            </TouchableOpacity>
+          </View>
         </View>
         
         <View style={[styles.typeSelector, { backgroundColor: theme.colors.background.paper }]}>
           <TouchableOpacity 
             style={[
               styles.typeButton, 
-              postType === 'image' && [
+              postType === 'media' && [
                 styles.activeTypeButton,
                 { borderBottomColor: theme.colors.primary.main }
               ]
             ]}
-            onPress={() => setPostType('image')}
+            onPress={() => setPostType('media')}
           >
             <Icon 
-              name="image-outline" 
+              name="images-outline" 
               size={20} 
-              color={postType === 'image' ? theme.colors.primary.main : theme.colors.text.secondary} 
+              color={postType === 'media' ? theme.colors.primary.main : theme.colors.text.secondary} 
             />
             <Text style={[
               styles.typeText, 
-              postType === 'image' && [
+              postType === 'media' && [
                 styles.activeTypeText,
                 { color: theme.colors.primary.main }
               ],
               { color: theme.colors.text.secondary }
             ]}>
-              Image
+              Photos & Videos
             </Text>
           </TouchableOpacity>
           
           <TouchableOpacity 
             style={[
               styles.typeButton, 
-              postType === 'video' && [
+              postType === 'link' && [
                 styles.activeTypeButton,
                 { borderBottomColor: theme.colors.primary.main }
               ]
             ]}
-            onPress={() => setPostType('video')}
+            onPress={() => setPostType('link')}
           >
             <Icon 
-              name="videocam-outline" 
+              name="link-outline" 
               size={20} 
-              color={postType === 'video' ? theme.colors.primary.main : theme.colors.text.secondary} 
+              color={postType === 'link' ? theme.colors.primary.main : theme.colors.text.secondary} 
             />
             <Text style={[
               styles.typeText, 
-              postType === 'video' && [
+              postType === 'link' && [
                 styles.activeTypeText,
                 { color: theme.colors.primary.main }
               ],
               { color: theme.colors.text.secondary }
             ]}>
-              Video
+              Link
             </Text>
           </TouchableOpacity>
           
           <TouchableOpacity 
             style={[
               styles.typeButton, 
-              postType === 'link' && [
+              postType === 'poll' && [
                 styles.activeTypeButton,
                 { borderBottomColor: theme.colors.primary.main }
               ]
             ]}
-            onPress={() => setPostType('link')}
+            onPress={() => setPostType('poll')}
           >
             <Icon 
-              name="link-outline" 
+              name="stats-chart-outline" 
               size={20} 
-              color={postType === 'link' ? theme.colors.primary.main : theme.colors.text.secondary} 
+              color={postType === 'poll' ? theme.colors.primary.main : theme.colors.text.secondary} 
             />
             <Text style={[
               styles.typeText, 
-              postType === 'link' && [
+              postType === 'poll' && [
                 styles.activeTypeText,
                 { color: theme.colors.primary.main }
               ],
               { color: theme.colors.text.secondary }
             ]}>
-              Link
+              Poll
+            </Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={[
+              styles.typeButton, 
+              postType === 'question' && [
+                styles.activeTypeButton,
+                { borderBottomColor: theme.colors.primary.main }
+              ]
+            ]}
+            onPress={() => setPostType('question')}
+          >
+            <Icon 
+              name="help-circle-outline" 
+              size={20} 
+              color={postType === 'question' ? theme.colors.primary.main : theme.colors.text.secondary} 
+            />
+            <Text style={[
+              styles.typeText, 
+              postType === 'question' && [
+                styles.activeTypeText,
+                { color: theme.colors.primary.main }
+              ],
+              { color: theme.colors.text.secondary }
+            ]}>
+              Question
             </Text>
           </TouchableOpacity>
         </View>
         
         <View style={[styles.inputSection, { backgroundColor: theme.colors.background.paper }]}>
-          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>Caption</Text>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>
+            {postType === 'poll' || postType === 'question' ? 'Question' : 'Caption'}
+          </Text>
           <TextInput
             style={[
               styles.captionInput,
@@ -369,12 +783,18 @@ const NewPostScreen = ({ navigation }) => {
                 borderColor: theme.colors.border
               }
             ]}
-            placeholder="Write your caption..."
+            placeholder={postType === 'poll' || postType === 'question' ? 'Ask the community a question...' : 'Write your caption...'}
             placeholderTextColor={theme.colors.text.hint}
             multiline
             maxLength={500}
             value={caption}
             onChangeText={setCaption}
+            {...mentionInputProps}
+          />
+          <MentionSuggestions
+            suggestions={mentionSuggestions}
+            onSelect={selectMention}
+            style={styles.mentionSuggestions}
           />
           <Text style={[styles.characterCount, { color: theme.colors.text.secondary }]}>
             {caption.length}/500
@@ -383,10 +803,16 @@ const NewPostScreen = ({ navigation }) => {
         
         <View style={[styles.inputSection, { backgroundColor: theme.colors.background.paper }]}>
           <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>
-            {postType === 'image' ? 'Image' : postType === 'video' ? 'Video' : 'URL'}
+            {postType === 'media' 
+              ? `Photos & Videos (${mediaItems.length}/${MAX_POST_MEDIA_ITEMS})` 
+              : postType === 'poll' 
+                ? `Options (${pollOptions.length}/${MAX_POLL_OPTIONS})` 
+                : postType === 'question' 
+                  ? 'Condition' 
+                  : postType === 'journal' ? 'Journal entry' : 'URL'}
           </Text>
           
-          {postType === 'image' && (
+          {postType === 'media' && (
             <View>
               <TouchableOpacity 
                 style={[
@@ -394,101 +820,160 @@ const NewPostScreen = ({ navigation }) => {
                   { 
                     backgroundColor: theme.colors.background.input,
                     borderColor: theme.colors.border
-                  }
+                  },
+                  mediaItems.length >= MAX_POST_MEDIA_ITEMS && styles.disabledMediaButton
                 ]}
-                onPress={handleImagePick}
+                onPress={handleMediaPick}
+                disabled={mediaItems.length >= MAX_POST_MEDIA_ITEMS}
               >
-                <Icon name="image-outline" size={24} color={theme.colors.text.secondary} />
+                <Icon name="add-circle-outline" size={24} color={theme.colors.text.secondary} />
                 <Text style={[styles.mediaButtonText, { color: theme.colors.text.primary }]}>
-                  {imageUri ? 'Change Image' : 'Select Image'}
+                  {mediaItems.length > 0 ? 'Add More' : 'Select Photos & Videos'}
                 </Text>
               </TouchableOpacity>
               
-              {imageUri && (
-                <View style={styles.previewContainer}>
-                  <Image source={{ uri: imageUri }} style={styles.preview} />
-                  <TouchableOpacity 
-                    style={styles.removePreview}
-                    onPress={() => {
-                      setImageUri(null);
-                      setImageInfo(null);
-                    }}
-                  >
-                    <Icon name="close-circle" size={24} color={theme.colors.error.main} />
-                  </TouchableOpacity>
-                </View>
+              {mediaItems.length > 0 && (
+                <ScrollView 
+                  horizontal 
+                  showsHorizontalScrollIndicator={false}
+                  style={styles.mediaStrip}
+                >
+                  {mediaItems.map((item, index) => (
+                    <TouchableOpacity
+                      key={item.id}
+                      style={[
+                        styles.mediaTile,
+                        index === selectedMediaIndex && { borderColor: theme.colors.primary.main }
+                      ]}
+                      onPress={() => setSelectedMediaIndex(index)}
+                      accessibilityLabel={`${item.type === 'video' ? 'Video' : 'Image'} ${index + 1} of ${mediaItems.length}`}
+                      accessibilityState={{ selected: index === selectedMediaIndex }}
+                    >
+                      <Image 
+                        source={{ uri: item.type === 'video' ? item.thumbnailUri || item.uri : item.uri }} 
+                        style={styles.mediaTileImage} 
+                      />
+                      {item.type === 'video' && (
+                        <View style={styles.mediaTileVideoIcon}>
+                          <Icon name="play-circle" size={22} color="white" />
+                        </View>
+                      )}
+                      <View style={[styles.mediaTileIndex, { backgroundColor: theme.colors.primary.main }]}>
+                        <Text style={styles.mediaTileIndexText}>{index + 1}</Text>
+                      </View>
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
               )}
               
-              {imageInfo && (
-                <View style={[
-                  styles.fileInfoContainer,
-                  { backgroundColor: theme.colors.background.default }
-                ]}>
-                  <Text style={[styles.fileInfoText, { color: theme.colors.text.secondary }]}>
-                    Size: {(imageInfo.fileSize / MB_IN_BYTES).toFixed(2)} MB
-                  </Text>
-                  {imageInfo.width && imageInfo.height && (
+              {mediaItems[selectedMediaIndex] && (
+                <View>
+                  <View style={styles.previewContainer}>
+                    <Image 
+                      source={{ 
+                        uri: mediaItems[selectedMediaIndex].type === 'video' 
+                          ? mediaItems[selectedMediaIndex].thumbnailUri || mediaItems[selectedMediaIndex].uri
+                          : mediaItems[selectedMediaIndex].uri 
+                      }} 
+                      style={styles.preview} 
+                    />
+                    <TouchableOpacity 
+                      style={styles.removePreview}
+                      onPress={() => removeMediaItem(selectedMediaIndex)}
+                      accessibilityLabel="Remove this item"
+                    >
+                      <Icon name="close-circle" size={24} color={theme.colors.error.main} />
+                    </TouchableOpacity>
+                  </View>
+                  
+                  <View style={styles.reorderRow}>
+                    <TouchableOpacity
+                      style={styles.reorderButton}
+                      onPress={() => moveMediaItem(selectedMediaIndex, -1)}
+                      disabled={selectedMediaIndex === 0}
+                      accessibilityLabel="Move earlier"
+                    >
+                      <Icon 
+                        name="chevron-back" 
+                        size={22} 
+                        color={selectedMediaIndex === 0 ? theme.colors.text.hint : theme.colors.primary.main} 
+                      />
+                    </TouchableOpacity>
                     <Text style={[styles.fileInfoText, { color: theme.colors.text.secondary }]}>
-                      Dimensions: {imageInfo.width} x {imageInfo.height}
+                      {mediaItems[selectedMediaIndex].type === 'video' ? 'Video' : 'Image'} {selectedMediaIndex + 1} of {mediaItems.length}
+                      {' · '}{(mediaItems[selectedMediaIndex].fileSize / MB_IN_BYTES).toFixed(2)} MB
                     </Text>
-                  )}
+                    <TouchableOpacity
+                      style={styles.reorderButton}
+                      onPress={() => moveMediaItem(selectedMediaIndex, 1)}
+                      disabled={selectedMediaIndex === mediaItems.length - 1}
+                      accessibilityLabel="Move later"
+                    >
+                      <Icon 
+                        name="chevron-forward" 
+                        size={22} 
+                        color={selectedMediaIndex === mediaItems.length - 1 ? theme.colors.text.hint : theme.colors.primary.main} 
+                      />
+                    </TouchableOpacity>
+                  </View>
+                  
+                  <TextInput
+                    style={[
+                      styles.altTextInput,
+                      { 
+                        color: theme.colors.text.primary,
+                        backgroundColor: theme.colors.background.input,
+                        borderColor: theme.colors.border
+                      }
+                    ]}
+                    placeholder="Alt text: describe this for people using screen readers"
+                    placeholderTextColor={theme.colors.text.hint}
+                    multiline
+                    maxLength={MAX_ALT_TEXT_LENGTH}
+                    value={mediaItems[selectedMediaIndex].altText}
+                    onChangeText={text => updateAltText(selectedMediaIndex, text)}
+                  />
                 </View>
               )}
-            </View>
-          )}
-          
-          {postType === 'video' && (
-            <View>
-              <TouchableOpacity 
-                style={[
-                  styles.mediaButton,
-                  { 
-                    backgroundColor: theme.colors.background.input,
-                    borderColor: theme.colors.border
-                  }
-                ]}
-                onPress={handleVideoPick}
-              >
-                <Icon name="videocam-outline" size={24} color={theme.colors.text.secondary} />
-                <Text style={[styles.mediaButtonText, { color: theme.colors.text.primary }]}>
-                  {videoUri ? 'Change Video' : 'Select Video'}
-                </Text>
-              </TouchableOpacity>
               
-              {videoUri && (
-                <View style={[
-                  styles.videoSelected,
-                  { backgroundColor: theme.colors.success.lightest }
-                ]}>
-                  <Icon name="checkmark-circle" size={20} color={theme.colors.success.main} />
-                  <Text style={[
-                    styles.videoSelectedText,
-                    { color: theme.colors.success.dark }
-                  ]}>
-                    Video selected
+              {mediaItems.length > 0 && (
+                <View style={styles.contentWarningSection}>
+                  <Text style={[styles.pollSettingText, { color: theme.colors.text.primary }]}>
+                    Content warning
                   </Text>
-                  <TouchableOpacity onPress={() => {
-                    setVideoUri(null);
-                    setVideoInfo(null);
-                  }}>
-                    <Icon name="close-circle" size={20} color={theme.colors.error.main} />
-                  </TouchableOpacity>
-                </View>
-              )}
-              
-              {videoInfo && (
-                <View style={[
-                  styles.fileInfoContainer,
-                  { backgroundColor: theme.colors.background.default }
-                ]}>
-                  <Text style={[styles.fileInfoText, { color: theme.colors.text.secondary }]}>
-                    Size: {(videoInfo.fileSize / MB_IN_BYTES).toFixed(2)} MB
+                  <Text style={[styles.anonymousHint, { color: theme.colors.text.secondary }]}>
+                    Add a label if your photos or videos might be hard for others to see. Members can blur or hide labelled posts.
                   </Text>
-                  {videoInfo.duration && (
-                    <Text style={[styles.fileInfoText, { color: theme.colors.text.secondary }]}>
-                      Duration: {Math.round(videoInfo.duration / 1000)} seconds
-                    </Text>
-                  )}
+                  <View style={styles.pollDurations}>
+                    {CONTENT_WARNINGS.map(warning => {
+                      const selected = contentWarnings.includes(warning.type);
+                      
+                      return (
+                        <TouchableOpacity
+                          key={warning.type}
+                          style={[
+                            styles.pollDuration,
+                            { borderColor: theme.colors.border },
+                            selected && { 
+                              borderColor: theme.colors.primary.main,
+                              backgroundColor: theme.colors.primary.lightest
+                            }
+                          ]}
+                          onPress={() => toggleContentWarning(warning.type)}
+                          disabled={uploading}
+                          accessibilityRole="checkbox"
+                          accessibilityState={{ checked: selected }}
+                        >
+                          <Text style={[
+                            styles.pollDurationText,
+                            { color: selected ? theme.colors.primary.main : theme.colors.text.secondary }
+                          ]}>
+                            {warning.label}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
                 </View>
               )}
             </View>
@@ -512,6 +997,243 @@ const NewPostScreen = ({ navigation }) => {
               onChangeText={setLinkUrl}
             />
           )}
+          
+          {postType === 'poll' && (
+            <View>
+              {pollOptions.map((option, index) => (
+                <View key={index} style={styles.pollOptionRow}>
+                  <TextInput
+                    style={[
+                      styles.pollOptionInput,
+                      { 
+                        color: theme.colors.text.primary,
+                        backgroundColor: theme.colors.background.input,
+                        borderColor: theme.colors.border
+                      }
+                    ]}
+                    placeholder={`Option ${index + 1}`}
+                    placeholderTextColor={theme.colors.text.hint}
+                    maxLength={MAX_POLL_OPTION_LENGTH}
+                    value={option}
+                    onChangeText={text => updatePollOption(index, text)}
+                  />
+                  {pollOptions.length > MIN_POLL_OPTIONS && (
+                    <TouchableOpacity
+                      style={styles.removePollOption}
+                      onPress={() => removePollOption(index)}
+                      accessibilityLabel={`Remove option ${index + 1}`}
+                    >
+                      <Icon name="close-circle" size={22} color={theme.colors.text.secondary} />
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+              
+              {pollOptions.length < MAX_POLL_OPTIONS && (
+                <TouchableOpacity style={styles.addPollOption} onPress={addPollOption}>
+                  <Icon name="add-circle-outline" size={20} color={theme.colors.primary.main} />
+                  <Text style={[styles.addPollOptionText, { color: theme.colors.primary.main }]}>
+                    Add option
+                  </Text>
+                </TouchableOpacity>
+              )}
+              
+              <View style={styles.pollSettingRow}>
+                <Text style={[styles.pollSettingText, { color: theme.colors.text.primary }]}>
+                  Allow multiple answers
+                </Text>
+                <Switch
+                  value={pollMultipleChoice}
+                  onValueChange={setPollMultipleChoice}
+                  trackColor={{
+                    false: theme.colors.divider,
+                    true: theme.colors.primary.light
+                  }}
+                  thumbColor={pollMultipleChoice ? theme.colors.primary.main : '#f4f3f4'}
+                />
+              </View>
+              
+              <Text style={[styles.pollSettingText, { color: theme.colors.text.primary }]}>
+                Poll length
+              </Text>
+              <View style={styles.pollDurations}>
+                {POLL_DURATIONS.map(duration => (
+                  <TouchableOpacity
+                    key={duration.hours}
+                    style={[
+                      styles.pollDuration,
+                      { borderColor: theme.colors.border },
+                      pollDurationHours === duration.hours && { 
+                        borderColor: theme.colors.primary.main,
+                        backgroundColor: theme.colors.primary.lightest
+                      }
+                    ]}
+                    onPress={() => setPollDurationHours(duration.hours)}
+                    accessibilityRole="radio"
+                    accessibilityState={{ checked: pollDurationHours === duration.hours }}
+                  >
+                    <Text style={[
+                      styles.pollDurationText,
+                      { color: pollDurationHours === duration.hours ? theme.colors.primary.main : theme.colors.text.secondary }
+                    ]}>
+                      {duration.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          )}
+          
+          {postType === 'journal' && journalEntry && (
+            <View>
+              <JournalEntrySummary entry={journalEntry} />
+              <Text style={[styles.anonymousHint, { color: theme.colors.text.secondary }]}>
+                Only this entry is shared. Its photos and the rest of your journal stay private.
+              </Text>
+            </View>
+          )}
+          
+          {postType === 'question' && (
+            <View>
+              <Text style={[styles.anonymousHint, { color: theme.colors.text.secondary }]}>
+                Comments on your question are answers. You can accept the one that helped most, and
+                members can vote for helpful answers. Questions nobody has answered yet are shown in
+                Explore to people with the condition you choose.
+              </Text>
+              {userData?.medicalConditions?.length > 0 ? (
+                <View style={styles.pollDurations}>
+                  {userData.medicalConditions.map(condition => {
+                    const selected = questionCondition === condition;
+                    
+                    return (
+                      <TouchableOpacity
+                        key={condition}
+                        style={[
+                          styles.pollDuration,
+                          { borderColor: theme.colors.border },
+                          selected && { 
+                            borderColor: theme.colors.primary.main,
+                            backgroundColor: theme.colors.primary.lightest
+                          }
+                        ]}
+                        onPress={() => setQuestionCondition(selected ? null : condition)}
+                        disabled={uploading}
+                        accessibilityRole="radio"
+                        accessibilityState={{ selected }}
+                      >
+                        <Text style={[
+                          styles.pollDurationText,
+                          { color: selected ? theme.colors.primary.main : theme.colors.text.secondary }
+                        ]}>
+                          {conditionName(condition)}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              ) : (
+                <Text style={[styles.anonymousHint, { color: theme.colors.text.secondary }]}>
+                  Add your conditions to your profile to ask about one of them.
+                </Text>
+              )}
+            </View>
+          )}
+        </View>
+        
+        {community ? (
+          <View style={[styles.inputSection, { backgroundColor: theme.colors.background.paper }]}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>Community</Text>
+            <View style={styles.audienceButton}>
+              <Icon name="people-circle-outline" size={20} color={theme.colors.primary.main} />
+              <Text style={[styles.audienceText, { color: theme.colors.text.primary }]}>
+                {community.name}
+              </Text>
+              <TouchableOpacity
+                onPress={() => setCommunity(null)}
+                disabled={uploading}
+                accessibilityRole="button"
+                accessibilityLabel={`Post to your feed instead of ${community.name}`}
+              >
+                <Icon name="close-circle" size={20} color={theme.colors.text.secondary} />
+              </TouchableOpacity>
+            </View>
+          </View>
+        ) : (
+          <View style={[styles.inputSection, { backgroundColor: theme.colors.background.paper }]}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>Audience</Text>
+            <TouchableOpacity
+              style={styles.audienceButton}
+              onPress={() => setShowAudiencePicker(true)}
+              disabled={uploading}
+              accessibilityRole="button"
+              accessibilityHint="Choose who can see this post"
+            >
+              <Icon 
+                name={getAudience(audience).icon} 
+                size={20} 
+                color={theme.colors.primary.main} 
+              />
+              <Text style={[styles.audienceText, { color: theme.colors.text.primary }]}>
+                {audience === 'community' ? `${conditionName(audienceCondition)} community` : getAudience(audience).label}
+              </Text>
+              <Icon name="chevron-forward" size={18} color={theme.colors.text.secondary} />
+            </TouchableOpacity>
+          </View>
+        )}
+        
+        <View style={[styles.inputSection, { backgroundColor: theme.colors.background.paper }]}>
+          <View style={styles.anonymousRow}>
+            <View style={styles.anonymousLabel}>
+              <Text style={[styles.pollSettingText, { color: theme.colors.text.primary }]}>
+                Post anonymously
+              </Text>
+              <Text style={[styles.anonymousHint, { color: theme.colors.text.secondary }]}>
+                Members see a pseudonym instead of your name and photo. Moderators can still see who posted.
+              </Text>
+            </View>
+            <Switch
+              value={postAnonymously}
+              onValueChange={setPostAnonymously}
+              disabled={uploading}
+              trackColor={{
+                false: theme.colors.divider,
+                true: theme.colors.primary.light
+              }}
+              thumbColor={postAnonymously ? theme.colors.primary.main : '#f4f3f4'}
+              accessibilityLabel="Post anonymously"
+            />
+          </View>
+        </View>
+        
+        <View style={[styles.inputSection, { backgroundColor: theme.colors.background.paper }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>Publish Time</Text>
+          <View style={styles.scheduleRow}>
+            <TouchableOpacity
+              style={styles.scheduleButton}
+              onPress={() => setShowSchedulePicker(true)}
+              disabled={uploading}
+              accessibilityRole="button"
+              accessibilityHint="Choose a later time to publish this post"
+            >
+              <Icon 
+                name={scheduledAt ? 'calendar' : 'calendar-outline'} 
+                size={20} 
+                color={scheduledAt ? theme.colors.primary.main : theme.colors.text.secondary} 
+              />
+              <Text style={[styles.scheduleText, { color: theme.colors.text.primary }]}>
+                {scheduledAt ? format(scheduledAt, "EEE, MMM d 'at' h:mm a") : 'Post now'}
+              </Text>
+            </TouchableOpacity>
+            {scheduledAt && (
+              <TouchableOpacity
+                onPress={() => setScheduledAt(null)}
+                disabled={uploading}
+                accessibilityLabel="Post now instead"
+              >
+                <Icon name="close-circle" size={20} color={theme.colors.text.secondary} />
+              </TouchableOpacity>
+            )}
+          </View>
         </View>
         
         <TouchableOpacity 
@@ -532,10 +1254,32 @@ const NewPostScreen = ({ navigation }) => {
               </Text>
             </View>
           ) : (
-            <Text style={styles.submitButtonText}>Create Post</Text>
+            <Text style={styles.submitButtonText}>{scheduledAt ? 'Schedule Post' : 'Create Post'}</Text>
           )}
         </TouchableOpacity>
       </ScrollView>
+      
+      <AudiencePicker
+        visible={showAudiencePicker}
+        audience={audience}
+        condition={audienceCondition}
+        conditions={userData?.medicalConditions || []}
+        onSelect={(selectedAudience, selectedCondition) => {
+          setAudience(selectedAudience);
+          setAudienceCondition(selectedCondition);
+        }}
+        onClose={() => setShowAudiencePicker(false)}
+      />
+      
+      <SchedulePickerModal
+        visible={showSchedulePicker}
+        initialDate={scheduledAt}
+        onConfirm={(date) => {
+          setScheduledAt(date);
+          setShowSchedulePicker(false);
+        }}
+        onClose={() => setShowSchedulePicker(false)}
+      />
     </KeyboardAvoidingView>
   );
 };
@@ -548,12 +1292,33 @@ const styles = StyleSheet.create({
     padding: 16,
   },
   header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
     marginBottom: 20,
   },
   headerTitle: {
     fontSize: 24,
     fontWeight: 'bold',
   },
+  draftStatusText: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  headerButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 12,
+  },
+  headerButtonText: {
+    marginLeft: 4,
+    fontSize: 14,
+    fontWeight: '500',
+  },
   typeSelector: {
     flexDirection: 'row',
     borderRadius: 10,
@@ -603,6 +1368,9 @@ const styles = StyleSheet.create({
     borderRadius: 5,
     padding: 10,
   },
+  mentionSuggestions: {
+    marginTop: 4,
+  },
   characterCount: {
     alignSelf: 'flex-end',
     marginTop: 5,
@@ -620,6 +1388,63 @@ const styles = StyleSheet.create({
     marginLeft: 8,
     fontSize: 16,
   },
+  disabledMediaButton: {
+    opacity: 0.5,
+  },
+  mediaStrip: {
+    marginTop: 12,
+  },
+  mediaTile: {
+    width: 64,
+    height: 64,
+    marginRight: 8,
+    borderRadius: 6,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    overflow: 'hidden',
+  },
+  mediaTileImage: {
+    width: '100%',
+    height: '100%',
+  },
+  mediaTileVideoIcon: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.2)',
+  },
+  mediaTileIndex: {
+    position: 'absolute',
+    top: 2,
+    left: 2,
+    minWidth: 16,
+    height: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  mediaTileIndexText: {
+    color: 'white',
+    fontSize: 10,
+    fontWeight: 'bold',
+  },
+  reorderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  reorderButton: {
+    padding: 6,
+  },
+  altTextInput: {
+    minHeight: 60,
+    textAlignVertical: 'top',
+    borderWidth: 1,
+    borderRadius: 5,
+    padding: 10,
+    marginTop: 8,
+  },
   previewContainer: {
     marginTop: 15,
     position: 'relative',
@@ -636,30 +1461,102 @@ const styles = StyleSheet.create({
     backgroundColor: 'rgba(255, 255, 255, 0.8)',
     borderRadius: 15,
   },
-  videoSelected: {
+  fileInfoText: {
+    fontSize: 12,
+  },
+  urlInput: {
+    height: 50,
+    borderWidth: 1,
+    borderRadius: 5,
+    padding: 10,
+  },
+  pollOptionRow: {
     flexDirection: 'row',
     alignItems: 'center',
-    marginTop: 15,
-    padding: 10,
-    borderRadius: 5,
+    marginBottom: 10,
   },
-  videoSelectedText: {
+  pollOptionInput: {
     flex: 1,
+    height: 44,
+    borderWidth: 1,
+    borderRadius: 5,
+    paddingHorizontal: 10,
+  },
+  removePollOption: {
     marginLeft: 8,
   },
-  fileInfoContainer: {
-    marginTop: 8,
-    padding: 8,
-    borderRadius: 4,
+  addPollOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
   },
-  fileInfoText: {
-    fontSize: 12,
+  addPollOptionText: {
+    marginLeft: 6,
+    fontSize: 15,
+    fontWeight: '500',
   },
-  urlInput: {
-    height: 50,
+  pollSettingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginVertical: 12,
+  },
+  pollSettingText: {
+    fontSize: 15,
+  },
+  pollDurations: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  pollDuration: {
     borderWidth: 1,
-    borderRadius: 5,
-    padding: 10,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  pollDurationText: {
+    fontSize: 14,
+  },
+  contentWarningSection: {
+    marginTop: 15,
+  },
+  audienceButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  audienceText: {
+    flex: 1,
+    fontSize: 15,
+    marginLeft: 8,
+  },
+  anonymousRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  anonymousLabel: {
+    flex: 1,
+    marginRight: 12,
+  },
+  anonymousHint: {
+    fontSize: 13,
+    marginTop: 4,
+  },
+  scheduleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  scheduleButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+  scheduleText: {
+    fontSize: 15,
+    marginLeft: 8,
   },
   submitButton: {
     borderRadius: 8,
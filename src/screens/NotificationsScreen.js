@@ -19,6 +19,8 @@ import { formatDistanceToNow } from 'date-fns';
 import { useUser } from '../contexts/UserContext';
 import { useTheme } from '../theme/ThemeContext';
 import { useNotifications } from '../hooks/useNotifications';
+import { getReaction } from '../constants/reactions';
+import AnonymousAvatar from '../components/AnonymousAvatar';
 
 const NotificationsScreen = () => {
   const { theme } = useTheme();
@@ -56,16 +58,40 @@ const NotificationsScreen = () => {
   };
 
   // Get the appropriate icon for notification type
-  const getNotificationIcon = (type) => {
+  const getNotificationIcon = (type, reactionType) => {
     switch (type) {
       case 'like':
         return { name: 'heart', color: '#F44336' };
+      case 'reaction': {
+        const reaction = getReaction(reactionType);
+        return reaction
+          ? { name: reaction.icon, color: reaction.color }
+          : { name: 'heart', color: '#F44336' };
+      }
       case 'comment':
         return { name: 'chatbubble', color: '#2196F3' };
+      case 'reshare':
+      case 'quote':
+        return { name: 'repeat', color: '#4CAF50' };
+      case 'reply':
+        return { name: 'chatbubbles', color: '#2196F3' };
+      case 'answer_accepted':
+        return { name: 'checkmark-circle', color: '#4CAF50' };
       case 'follow':
         return { name: 'person-add', color: '#4CAF50' };
       case 'message':
         return { name: 'mail', color: '#FF9800' };
+      case 'mention':
+        return { name: 'at', color: '#9C27B0' };
+      case 'community_request':
+        return { name: 'people', color: '#FF9800' };
+      case 'community_approved':
+        return { name: 'people', color: '#4CAF50' };
+      case 'verification_approved':
+        return { name: 'shield-checkmark', color: '#4CAF50' };
+      case 'verification_rejected':
+      case 'verification_revoked':
+        return { name: 'shield-outline', color: '#F44336' };
       default:
         return { name: 'notifications', color: '#607D8B' };
     }
@@ -81,6 +107,8 @@ const NotificationsScreen = () => {
     // Navigate based on notification type
     switch (notification.type) {
       case 'like':
+      case 'reaction':
+      case 'reshare':
       case 'comment':
         if (notification.postId) {
           navigation.navigate('FeedTab', {
@@ -92,6 +120,42 @@ const NotificationsScreen = () => {
           });
         }
         break;
+      case 'answer_accepted':
+        if (notification.postId) {
+          navigation.navigate('FeedTab', {
+            screen: 'Comments',
+            params: { 
+              postId: notification.postId,
+              focusCommentId: notification.commentId,
+              title: 'Answers'
+            }
+          });
+        }
+        break;
+      case 'quote':
+        // Open the quote itself, where the commentary is
+        if (notification.resharePostId) {
+          navigation.navigate('FeedTab', {
+            screen: 'Comments',
+            params: { 
+              postId: notification.resharePostId,
+              title: 'Comments'
+            }
+          });
+        }
+        break;
+      case 'reply':
+        if (notification.postId) {
+          navigation.navigate('FeedTab', {
+            screen: 'Comments',
+            params: { 
+              postId: notification.postId,
+              focusCommentId: notification.rootCommentId,
+              title: 'Comments'
+            }
+          });
+        }
+        break;
       case 'follow':
         if (notification.senderId) {
           navigation.navigate('UserProfile', { 
@@ -112,6 +176,53 @@ const NotificationsScreen = () => {
           });
         }
         break;
+      case 'mention':
+        // Mentions in messages open the chat; mentions in posts and comments open the thread
+        if (notification.conversationId) {
+          navigation.navigate('ChatTab', {
+            screen: 'Chat',
+            params: {
+              conversationId: notification.conversationId,
+              recipientId: notification.senderId,
+              recipientName: notification.senderName
+            }
+          });
+        } else if (notification.postId) {
+          navigation.navigate('FeedTab', {
+            screen: 'Comments',
+            params: { 
+              postId: notification.postId,
+              focusCommentId: notification.rootCommentId || notification.commentId,
+              title: 'Comments'
+            }
+          });
+        }
+        break;
+      case 'community_request':
+        // Moderators review the request from the member list
+        if (notification.communityId) {
+          navigation.navigate('FeedTab', {
+            screen: 'CommunityMembers',
+            params: { communityId: notification.communityId }
+          });
+        }
+        break;
+      case 'community_approved':
+        if (notification.communityId) {
+          navigation.navigate('FeedTab', {
+            screen: 'Community',
+            params: {
+              communityId: notification.communityId,
+              title: notification.communityName
+            }
+          });
+        }
+        break;
+      case 'verification_approved':
+      case 'verification_rejected':
+      case 'verification_revoked':
+        navigation.navigate('ProfileTab', { screen: 'ProfessionalVerification' });
+        break;
       default:
         // Default action for unknown notification types
         break;
@@ -136,7 +247,7 @@ const NotificationsScreen = () => {
 
   // Render notification item
   const renderNotificationItem = ({ item }) => {
-    const icon = getNotificationIcon(item.type);
+    const icon = getNotificationIcon(item.type, item.reactionType);
     
     return (
       <TouchableOpacity 
@@ -152,7 +263,13 @@ const NotificationsScreen = () => {
         </View>
         
         <View style={styles.notificationContent}>
-          {item.senderProfileImage ? (
+          {item.senderPseudonym ? (
+            <AnonymousAvatar
+              pseudonym={item.senderPseudonym}
+              size={36}
+              style={styles.anonymousAvatar}
+            />
+          ) : item.senderProfileImage ? (
             <FastImage
               style={styles.profileImage}
               source={{ uri: item.senderProfileImage }}
@@ -329,6 +446,9 @@ const styles = StyleSheet.create({
     borderRadius: 18,
     marginRight: 10,
   },
+  anonymousAvatar: {
+    marginRight: 10,
+  },
   placeholderProfile: {
     justifyContent: 'center',
     alignItems: 'center',
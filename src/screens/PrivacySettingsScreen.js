@@ -0,0 +1,207 @@
+// src/screens/PrivacySettingsScreen.js
+// Screen for privacy settings such as who can mention the user, how sensitive media is shown
+// and whether the user is suggested to peers
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../theme/ThemeContext';
+import { MentionService } from '../services/FirebaseService';
+import { MENTION_POLICIES, DEFAULT_MENTION_POLICY } from '../constants/mentionPolicies';
+import { SENSITIVE_MEDIA_PREFERENCES, DEFAULT_SENSITIVE_MEDIA_PREFERENCE } from '../constants/contentWarnings';
+import { PEER_SUGGESTION_PREFERENCES, DEFAULT_PEER_SUGGESTION_PREFERENCE } from '../constants/peerMatching';
+
+const PrivacySettingsScreen = () => {
+  const { user, userData, setUserData, updateUserData } = useUser();
+  const { theme } = useTheme();
+  const [savingPolicy, setSavingPolicy] = useState(null);
+  const [savingMediaPreference, setSavingMediaPreference] = useState(null);
+  const [savingPeerPreference, setSavingPeerPreference] = useState(null);
+  
+  const mentionPolicy = userData?.mentionPolicy || DEFAULT_MENTION_POLICY;
+  const sensitiveMediaPreference = userData?.sensitiveMediaPreference || DEFAULT_SENSITIVE_MEDIA_PREFERENCE;
+  const peerSuggestions = userData?.peerSuggestions || DEFAULT_PEER_SUGGESTION_PREFERENCE;
+  
+  const handleMentionPolicyChange = async (policy) => {
+    if (!user || policy === mentionPolicy || savingPolicy) return;
+    
+    setSavingPolicy(policy);
+    
+    try {
+      await MentionService.setMentionPolicy(user.uid, policy);
+      setUserData(prev => ({ ...prev, mentionPolicy: policy }));
+    } catch (error) {
+      console.error('Error saving mention setting:', error);
+      Alert.alert('Error', 'Failed to save your setting. Please try again.');
+    } finally {
+      setSavingPolicy(null);
+    }
+  };
+  
+  const handleSensitiveMediaChange = async (preference) => {
+    if (preference === sensitiveMediaPreference || savingMediaPreference) return;
+    
+    setSavingMediaPreference(preference);
+    
+    const saved = await updateUserData({ sensitiveMediaPreference: preference });
+    if (!saved) {
+      Alert.alert('Error', 'Failed to save your setting. Please try again.');
+    }
+    
+    setSavingMediaPreference(null);
+  };
+  
+  const handlePeerSuggestionsChange = async (preference) => {
+    if (preference === peerSuggestions || savingPeerPreference) return;
+    
+    setSavingPeerPreference(preference);
+    
+    const saved = await updateUserData({ peerSuggestions: preference });
+    if (!saved) {
+      Alert.alert('Error', 'Failed to save your setting. Please try again.');
+    }
+    
+    setSavingPeerPreference(null);
+  };
+  
+  // One section of mutually exclusive options
+  const renderOptions = (options, selectedType, savingType, onSelect) => options.map(option => {
+    const isSelected = selectedType === option.type;
+    
+    return (
+      <TouchableOpacity
+        key={option.type}
+        style={[
+          styles.option,
+          isSelected && styles.selectedOption,
+          { borderColor: theme.colors.divider }
+        ]}
+        onPress={() => onSelect(option.type)}
+        disabled={!!savingType}
+        accessibilityRole="radio"
+        accessibilityLabel={option.label}
+        accessibilityHint={option.description}
+        accessibilityState={{ checked: isSelected }}
+      >
+        <View style={styles.optionContent}>
+          <Text style={[styles.optionText, { color: theme.colors.text.primary }]}>
+            {option.label}
+          </Text>
+          <Text style={[styles.optionSubtext, { color: theme.colors.text.secondary }]}>
+            {option.description}
+          </Text>
+        </View>
+        {savingType === option.type ? (
+          <ActivityIndicator size="small" color={theme.colors.primary.main} />
+        ) : isSelected && (
+          <Icon name="checkmark-circle" size={24} color={theme.colors.primary.main} />
+        )}
+      </TouchableOpacity>
+    );
+  });
+  
+  return (
+    <ScrollView style={[styles.container, { backgroundColor: theme.colors.background.default }]}>
+      <View style={[styles.section, { backgroundColor: theme.colors.background.paper }]}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>
+          Who can mention you
+        </Text>
+        
+        {renderOptions(MENTION_POLICIES, mentionPolicy, savingPolicy, handleMentionPolicyChange)}
+      </View>
+      
+      <Text style={[styles.footnote, { color: theme.colors.text.secondary }]}>
+        People you've blocked, or who have blocked you, can never mention you.
+      </Text>
+      
+      <View style={[styles.section, { backgroundColor: theme.colors.background.paper }]}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>
+          Sensitive media
+        </Text>
+        
+        {renderOptions(
+          SENSITIVE_MEDIA_PREFERENCES,
+          sensitiveMediaPreference,
+          savingMediaPreference,
+          handleSensitiveMediaChange
+        )}
+      </View>
+      
+      <Text style={[styles.footnote, { color: theme.colors.text.secondary }]}>
+        Applies to posts whose authors added a content warning, such as medical imagery or blood.
+      </Text>
+      
+      <View style={[styles.section, { backgroundColor: theme.colors.background.paper }]}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.text.primary }]}>
+          Peer suggestions
+        </Text>
+        
+        {renderOptions(
+          PEER_SUGGESTION_PREFERENCES,
+          peerSuggestions,
+          savingPeerPreference,
+          handlePeerSuggestionsChange
+        )}
+      </View>
+      
+      <Text style={[styles.footnote, { color: theme.colors.text.secondary }]}>
+        Suggestions are based on shared conditions and the optional details on your profile.
+      </Text>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  section: {
+    margin: 16,
+    marginBottom: 8,
+    borderRadius: 12,
+    overflow: 'hidden',
+    elevation: 1,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    padding: 16,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    borderTopWidth: 1,
+  },
+  selectedOption: {
+    backgroundColor: 'rgba(33, 150, 243, 0.08)',
+  },
+  optionContent: {
+    flex: 1,
+    marginRight: 12,
+  },
+  optionText: {
+    fontSize: 16,
+  },
+  optionSubtext: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  footnote: {
+    fontSize: 13,
+    marginHorizontal: 20,
+    marginBottom: 8,
+  },
+});
+
+export default PrivacySettingsScreen;
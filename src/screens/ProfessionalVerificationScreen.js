@@ -0,0 +1,376 @@
+// src/screens/ProfessionalVerificationScreen.js
+// Apply for a verified health professional badge and see where the application stands
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import FastImage from 'react-native-fast-image';
+import { format } from 'date-fns';
+import { launchImageLibrary } from 'react-native-image-picker';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../theme/ThemeContext';
+import { VerificationService, MAX_LICENSE_NUMBER_LENGTH } from '../services/FirebaseService';
+import { PROFESSIONS, VERIFICATION_VALIDITY_MONTHS, getProfession } from '../constants/professions';
+import { getVerifiedProfession } from '../utils/verification';
+import { processImage } from '../utils/mediaProcessing';
+import VerifiedBadge from '../components/VerifiedBadge';
+
+const ProfessionalVerificationScreen = () => {
+  const { user } = useUser();
+  const { theme } = useTheme();
+  
+  const [application, setApplication] = useState(null);
+  const [profession, setProfession] = useState(null);
+  const [licenseNumber, setLicenseNumber] = useState('');
+  const [issuingRegion, setIssuingRegion] = useState('');
+  const [document, setDocument] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  
+  const loadApplication = useCallback(async () => {
+    if (!user) return;
+    
+    try {
+      const latest = await VerificationService.getApplication(user.uid);
+      setApplication(latest);
+      
+      // Start a reapplication from what they sent last time
+      if (latest) {
+        setProfession(latest.profession);
+        setLicenseNumber(latest.licenseNumber || '');
+        setIssuingRegion(latest.issuingRegion || '');
+      }
+    } catch (error) {
+      console.error('Error loading verification application:', error);
+      Alert.alert('Error', 'Failed to load your verification status.');
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+  
+  useEffect(() => {
+    loadApplication();
+  }, [loadApplication]);
+  
+  const selectDocument = async () => {
+    try {
+      const result = await launchImageLibrary({
+        mediaType: 'photo',
+        quality: 0.9,
+        maxWidth: 2000,
+        maxHeight: 2000,
+      });
+      
+      if (result.didCancel) return;
+      
+      if (result.errorCode) {
+        throw new Error(result.errorMessage || 'Error selecting image');
+      }
+      
+      if (result.assets && result.assets.length > 0) {
+        setDocument(await processImage(result.assets[0]));
+      }
+    } catch (error) {
+      console.error('Error selecting verification document:', error);
+      Alert.alert('Error', 'Failed to select image. Please try again.');
+    }
+  };
+  
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    
+    try {
+      await VerificationService.submitApplication(user.uid, {
+        profession,
+        licenseNumber,
+        issuingRegion,
+        document,
+      });
+      setDocument(null);
+      await loadApplication();
+      Alert.alert('Application Sent', 'We\'ll let you know once your application has been reviewed.');
+    } catch (error) {
+      console.error('Error submitting verification application:', error);
+      Alert.alert('Error', error.message || 'Failed to send your application. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+  
+  if (loading) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  const formatDate = (date) => (date ? format(date, 'MMMM d, yyyy') : '');
+  const professionLabel = getProfession(application?.profession)?.label.toLowerCase();
+  const active = application?.status === 'approved' && !!getVerifiedProfession(application);
+  const pending = application?.status === 'pending';
+  
+  const renderStatus = () => {
+    if (!application) return null;
+    
+    let icon;
+    let color;
+    let title;
+    let message;
+    
+    if (pending) {
+      icon = 'time-outline';
+      color = theme.colors.warning.main;
+      title = 'Application under review';
+      message = `Sent ${formatDate(application.submittedAt)}. We'll notify you when it has been reviewed.`;
+    } else if (active) {
+      icon = 'shield-checkmark';
+      color = theme.colors.success.main;
+      title = `Verified ${professionLabel}`;
+      message = `Your badge shows on your profile, posts and comments until ${formatDate(application.expiresAt)}.`;
+    } else if (application.status === 'approved') {
+      icon = 'hourglass-outline';
+      color = theme.colors.warning.main;
+      title = 'Verification expired';
+      message = `Your verification ended on ${formatDate(application.expiresAt)}. Apply again to get your badge back.`;
+    } else if (application.status === 'revoked') {
+      icon = 'remove-circle-outline';
+      color = theme.colors.error.main;
+      title = 'Verification revoked';
+      message = 'An admin revoked your verification. You can apply again with up-to-date details.';
+    } else {
+      icon = 'close-circle-outline';
+      color = theme.colors.error.main;
+      title = 'Application not approved';
+      message = application.reviewNotes || 'You can apply again with up-to-date details.';
+    }
+    
+    return (
+      <View style={[styles.statusCard, { backgroundColor: theme.colors.background.paper, borderColor: color }]}>
+        <Icon name={icon} size={28} color={color} />
+        <View style={styles.statusInfo}>
+          <Text style={[styles.statusTitle, { color: theme.colors.text.primary }]}>{title}</Text>
+          {active && <VerifiedBadge verification={application} size="medium" style={styles.statusBadge} />}
+          <Text style={[styles.hint, { color: theme.colors.text.secondary }]}>{message}</Text>
+        </View>
+      </View>
+    );
+  };
+  
+  const inputStyle = [
+    styles.input,
+    { backgroundColor: theme.colors.background.input, color: theme.colors.text.primary }
+  ];
+  
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.colors.background.default }]}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      {renderStatus()}
+      
+      {!pending && !active && (
+        <>
+          <Text style={[styles.intro, { color: theme.colors.text.secondary }]}>
+            {'Clinicians, pharmacists, dietitians and other health professionals can get a badge showing ' +
+              'their profession. An admin checks your license before approving it, and verification lasts ' +
+              `${VERIFICATION_VALIDITY_MONTHS} months. Only admins see your license details and document.`}
+          </Text>
+          
+          <Text style={[styles.label, { color: theme.colors.text.primary }]}>Profession</Text>
+          <View style={styles.chips}>
+            {PROFESSIONS.map(option => (
+              <TouchableOpacity
+                key={option.type}
+                style={[
+                  styles.chip,
+                  { borderColor: theme.colors.primary.main },
+                  profession === option.type && { backgroundColor: theme.colors.primary.main }
+                ]}
+                onPress={() => setProfession(option.type)}
+                disabled={submitting}
+                accessibilityRole="radio"
+                accessibilityState={{ selected: profession === option.type }}
+              >
+                <Text style={[styles.chipText, { color: profession === option.type ? 'white' : theme.colors.primary.main }]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          
+          <Text style={[styles.label, { color: theme.colors.text.primary }]}>License number</Text>
+          <TextInput
+            style={inputStyle}
+            value={licenseNumber}
+            onChangeText={setLicenseNumber}
+            placeholder="As it appears on your license"
+            placeholderTextColor={theme.colors.text.hint}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            maxLength={MAX_LICENSE_NUMBER_LENGTH}
+          />
+          
+          <Text style={[styles.label, { color: theme.colors.text.primary }]}>Issuing region</Text>
+          <TextInput
+            style={inputStyle}
+            value={issuingRegion}
+            onChangeText={setIssuingRegion}
+            placeholder="e.g. Ontario, Canada"
+            placeholderTextColor={theme.colors.text.hint}
+          />
+          
+          <Text style={[styles.label, { color: theme.colors.text.primary }]}>License or registration document</Text>
+          <TouchableOpacity
+            style={[styles.document, { backgroundColor: theme.colors.primary.lightest }]}
+            onPress={selectDocument}
+            disabled={submitting}
+            accessibilityRole="button"
+            accessibilityLabel={document ? 'Change document photo' : 'Upload a photo of your license'}
+          >
+            {document ? (
+              <FastImage
+                source={{ uri: document.uri }}
+                style={styles.documentImage}
+                resizeMode={FastImage.resizeMode.contain}
+              />
+            ) : (
+              <>
+                <Icon name="document-attach-outline" size={32} color={theme.colors.primary.main} />
+                <Text style={[styles.documentText, { color: theme.colors.primary.main }]}>
+                  Upload a photo of your license
+                </Text>
+              </>
+            )}
+          </TouchableOpacity>
+          
+          <TouchableOpacity
+            style={[styles.submitButton, { backgroundColor: theme.colors.primary.main }, submitting && styles.disabled]}
+            onPress={handleSubmit}
+            disabled={submitting}
+            accessibilityRole="button"
+          >
+            {submitting ? (
+              <ActivityIndicator color="white" size="small" />
+            ) : (
+              <Text style={styles.submitButtonText}>{application ? 'Apply Again' : 'Apply for Verification'}</Text>
+            )}
+          </TouchableOpacity>
+        </>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  statusCard: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  statusInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  statusTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  statusBadge: {
+    alignSelf: 'flex-start',
+    marginBottom: 6,
+  },
+  intro: {
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  input: {
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 14,
+  },
+  hint: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  document: {
+    height: 180,
+    borderRadius: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+    overflow: 'hidden',
+  },
+  documentImage: {
+    width: '100%',
+    height: '100%',
+  },
+  documentText: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginTop: 6,
+  },
+  submitButton: {
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 28,
+  },
+  submitButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  disabled: {
+    opacity: 0.6,
+  },
+});
+
+export default ProfessionalVerificationScreen;
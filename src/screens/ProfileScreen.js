@@ -31,12 +31,18 @@ import PostThumbnail from '../components/PostThumbnail';
 import { launchImageLibrary } from 'react-native-image-picker';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useNotifications } from '../hooks/useNotifications';
+import { useConditionNames } from '../hooks/useConditionNames';
 import * as Haptics from '../utils/haptics';
 import { AnalyticsService } from '../services/AnalyticsService';
+import { OfflineQueue } from '../services/OfflineService';
+import SchedulePickerModal from '../components/SchedulePickerModal';
+import VerifiedBadge from '../components/VerifiedBadge';
+import { getActiveVerification } from '../utils/verification';
 
-const ProfileScreen = ({ navigation }) => {
+const ProfileScreen = ({ navigation, route }) => {
   const { user, userData, updateUserData, signOut } = useUser();
   const { theme, isDarkMode, toggleTheme } = useTheme();
+  const { conditionName } = useConditionNames();
   const { isConnected } = useNetInfo();
   const { notificationsEnabled, toggleNotifications } = useNotifications();
   const insets = useSafeAreaInsets();
@@ -46,7 +52,9 @@ const ProfileScreen = ({ navigation }) => {
   const [loading, setLoading] = useState(true);
   const [postsLoading, setPostsLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
-  const [activeTab, setActiveTab] = useState('posts'); // 'posts' or 'settings'
+  const [activeTab, setActiveTab] = useState('posts'); // 'posts', 'scheduled' or 'settings'
+  const [scheduledPosts, setScheduledPosts] = useState([]);
+  const [reschedulingPost, setReschedulingPost] = useState(null);
   const [stats, setStats] = useState({
     followersCount: 0,
     followingCount: 0,
@@ -81,6 +89,34 @@ const ProfileScreen = ({ navigation }) => {
     }
   }, [user, userData, activeTab]);
 
+  // Open a specific tab when requested, e.g. after scheduling a post
+  useEffect(() => {
+    if (route?.params?.initialTab) {
+      setActiveTab(route.params.initialTab);
+      navigation.setParams({ initialTab: undefined });
+    }
+  }, [route?.params?.initialTab]);
+
+  // Scheduled posts are stored in Firestore, so they show on all of the user's devices
+  const loadScheduledPosts = useCallback(async () => {
+    if (!user) return;
+    
+    try {
+      setScheduledPosts(await OfflineQueue.getScheduledPosts(user.uid));
+    } catch (error) {
+      console.error('Error loading scheduled posts:', error);
+    }
+  }, [user]);
+
+  // Refresh scheduled posts when the tab is opened and whenever the screen regains focus,
+  // since posts drop off the list once they are published
+  useEffect(() => {
+    if (activeTab !== 'scheduled') return;
+    
+    loadScheduledPosts();
+    return navigation.addListener('focus', loadScheduledPosts);
+  }, [activeTab, navigation, loadScheduledPosts]);
+
   // Function to fetch user posts with realtime updates
   const fetchUserPosts = useCallback(() => {
     if (!user) return;
@@ -109,7 +145,7 @@ const ProfileScreen = ({ navigation }) => {
                 ...data,
                 timestamp: data.timestamp?.toDate() || new Date(),
               };
-            });
+            }).filter(post => !post.deleted);
             
             setPosts(postsData);
             setPostsLoading(false);
@@ -429,6 +465,45 @@ const ProfileScreen = ({ navigation }) => {
     );
   };
 
+  // Move a scheduled post to a new publish time
+  const handleReschedulePost = async (publishAt) => {
+    const scheduledPost = reschedulingPost;
+    setReschedulingPost(null);
+    
+    try {
+      await OfflineQueue.reschedulePost(scheduledPost.id, publishAt);
+      loadScheduledPosts();
+    } catch (error) {
+      console.error('Error rescheduling post:', error);
+      Alert.alert('Error', 'Failed to reschedule post. Please try again.');
+      loadScheduledPosts();
+    }
+  };
+
+  // Cancel a scheduled post after confirmation
+  const handleCancelScheduledPost = (scheduledPost) => {
+    Alert.alert(
+      'Cancel Scheduled Post',
+      'This post will not be published and its photos and videos will be deleted.',
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Cancel Post',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await OfflineQueue.cancelScheduledPost(scheduledPost.id);
+              loadScheduledPosts();
+            } catch (error) {
+              console.error('Error cancelling scheduled post:', error);
+              Alert.alert('Error', 'Failed to cancel post. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
   // Navigate to specific settings screen
   const navigateToSettings = (screenName) => {
     navigation.navigate(screenName);
@@ -447,6 +522,64 @@ const ProfileScreen = ({ navigation }) => {
     />
   ), [navigation]);
 
+  // Render a scheduled post row
+  const renderScheduledItem = ({ item }) => {
+    const { data } = item;
+    const cover = data.media?.[0];
+    const coverUrl = cover ? cover.thumbnail || (cover.type === 'image' ? cover.url : null) : null;
+    
+    return (
+      <View style={[styles.scheduledItem, { borderBottomColor: theme.colors.divider }]}>
+        {coverUrl ? (
+          <FastImage source={{ uri: coverUrl }} style={styles.scheduledThumbnail} />
+        ) : (
+          <View style={[
+            styles.scheduledThumbnail,
+            styles.scheduledPlaceholder,
+            { backgroundColor: theme.colors.background.input }
+          ]}>
+            <Icon 
+              name={data.type === 'link' 
+                ? 'link-outline' 
+                : data.type === 'poll' ? 'stats-chart-outline' : 'image-outline'} 
+              size={22} 
+              color={theme.colors.text.secondary} 
+            />
+          </View>
+        )}
+        
+        <View style={styles.scheduledInfo}>
+          <Text 
+            style={[styles.scheduledCaption, { color: theme.colors.text.primary }]}
+            numberOfLines={2}
+          >
+            {data.caption || (data.type === 'link' ? data.content : 'No caption')}
+          </Text>
+          <Text style={[styles.scheduledTime, { color: theme.colors.primary.main }]}>
+            {format(new Date(item.publishAt), "EEE, MMM d 'at' h:mm a")}
+          </Text>
+        </View>
+        
+        <TouchableOpacity
+          style={styles.scheduledAction}
+          onPress={() => setReschedulingPost(item)}
+          accessibilityLabel="Reschedule post"
+          accessibilityRole="button"
+        >
+          <Icon name="calendar-outline" size={20} color={theme.colors.text.secondary} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.scheduledAction}
+          onPress={() => handleCancelScheduledPost(item)}
+          accessibilityLabel="Cancel scheduled post"
+          accessibilityRole="button"
+        >
+          <Icon name="close-circle-outline" size={20} color={theme.colors.error.main} />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
   // Display name formatting
   const displayName = userData 
     ? `${userData.firstName || ''} ${userData.lastName || ''}`.trim() 
@@ -538,6 +671,11 @@ const ProfileScreen = ({ navigation }) => {
               <Text style={[styles.displayName, { color: theme.colors.text.primary }]}>
                 {displayName}
               </Text>
+              <VerifiedBadge
+                verification={getActiveVerification(userData)}
+                size="medium"
+                style={styles.verifiedBadge}
+              />
               
               {userData?.bio ? (
                 <Text 
@@ -663,7 +801,7 @@ const ProfileScreen = ({ navigation }) => {
                       styles.conditionText,
                       { color: theme.colors.primary.main }
                     ]}>
-                      {condition}
+                      {conditionName(condition)}
                     </Text>
                   </View>
                 ))}
@@ -715,6 +853,41 @@ const ProfileScreen = ({ navigation }) => {
             </Text>
           </TouchableOpacity>
           
+          <TouchableOpacity 
+            style={[
+              styles.tab,
+              activeTab === 'scheduled' && [
+                styles.activeTab,
+                { borderBottomColor: theme.colors.primary.main }
+              ]
+            ]}
+            onPress={() => handleTabChange('scheduled')}
+            accessibilityLabel="Scheduled posts tab"
+            accessibilityRole="tab"
+            accessibilityState={{ selected: activeTab === 'scheduled' }}
+          >
+            <Icon 
+              name="time-outline" 
+              size={22} 
+              color={activeTab === 'scheduled' 
+                ? theme.colors.primary.main
+                : theme.colors.text.secondary
+              } 
+            />
+            <Text 
+              style={[
+                styles.tabText, 
+                activeTab === 'scheduled' && [
+                  styles.activeTabText,
+                  { color: theme.colors.primary.main }
+                ],
+                { color: theme.colors.text.secondary }
+              ]}
+            >
+              Scheduled
+            </Text>
+          </TouchableOpacity>
+          
           <TouchableOpacity 
             style={[
               styles.tab,
@@ -788,6 +961,34 @@ const ProfileScreen = ({ navigation }) => {
               />
             )}
           </View>
+        ) : activeTab === 'scheduled' ? (
+          <View style={styles.postsContainer}>
+            {scheduledPosts.length === 0 ? (
+              <View style={styles.emptyContainer}>
+                <Icon name="time-outline" size={50} color={theme.colors.gray[300]} />
+                <Text style={[styles.emptyTitle, { color: theme.colors.text.primary }]}>
+                  No Scheduled Posts
+                </Text>
+                <Text style={[styles.emptySubtitle, { color: theme.colors.text.secondary }]}>
+                  Pick a publish time when creating a post to schedule it
+                </Text>
+              </View>
+            ) : (
+              <>
+                <Text style={[styles.scheduledNote, { color: theme.colors.text.secondary }]}>
+                  Scheduled posts are published by the app, so they go out the next time
+                  HealthConnect is open on one of your devices after their time.
+                </Text>
+                <FlatList
+                  data={scheduledPosts}
+                  keyExtractor={item => item.id}
+                  renderItem={renderScheduledItem}
+                  scrollEnabled={false}
+                  style={{ backgroundColor: theme.colors.background.paper }}
+                />
+              </>
+            )}
+          </View>
         ) : (
           <View style={styles.settingsContainer}>
             {/* Settings Groups */}
@@ -818,6 +1019,90 @@ const ProfileScreen = ({ navigation }) => {
                 <Icon name="chevron-forward" size={18} color={theme.colors.text.hint} />
               </TouchableOpacity>
               
+              <TouchableOpacity 
+                style={[
+                  styles.settingsItem,
+                  { borderBottomColor: theme.colors.divider }
+                ]}
+                onPress={() => navigateToSettings('Drafts')}
+              >
+                <Icon name="document-text-outline" size={22} color={theme.colors.text.secondary} />
+                <Text style={[styles.settingsItemText, { color: theme.colors.text.primary }]}>
+                  Drafts
+                </Text>
+                <Icon name="chevron-forward" size={18} color={theme.colors.text.hint} />
+              </TouchableOpacity>
+              
+              <TouchableOpacity 
+                style={[
+                  styles.settingsItem,
+                  { borderBottomColor: theme.colors.divider }
+                ]}
+                onPress={() => navigateToSettings('Journal')}
+              >
+                <Icon name="journal-outline" size={22} color={theme.colors.text.secondary} />
+                <Text style={[styles.settingsItemText, { color: theme.colors.text.primary }]}>
+                  Health Journal
+                </Text>
+                <Icon name="chevron-forward" size={18} color={theme.colors.text.hint} />
+              </TouchableOpacity>
+              
+              <TouchableOpacity 
+                style={[
+                  styles.settingsItem,
+                  { borderBottomColor: theme.colors.divider }
+                ]}
+                onPress={() => navigateToSettings('Medications')}
+              >
+                <Icon name="medkit-outline" size={22} color={theme.colors.text.secondary} />
+                <Text style={[styles.settingsItemText, { color: theme.colors.text.primary }]}>
+                  Medications
+                </Text>
+                <Icon name="chevron-forward" size={18} color={theme.colors.text.hint} />
+              </TouchableOpacity>
+              
+              <TouchableOpacity 
+                style={[
+                  styles.settingsItem,
+                  { borderBottomColor: theme.colors.divider }
+                ]}
+                onPress={() => navigateToSettings('Mood')}
+              >
+                <Icon name="happy-outline" size={22} color={theme.colors.text.secondary} />
+                <Text style={[styles.settingsItemText, { color: theme.colors.text.primary }]}>
+                  Mood Check-ins
+                </Text>
+                <Icon name="chevron-forward" size={18} color={theme.colors.text.hint} />
+              </TouchableOpacity>
+              
+              <TouchableOpacity 
+                style={[
+                  styles.settingsItem,
+                  { borderBottomColor: theme.colors.divider }
+                ]}
+                onPress={() => navigateToSettings('Bookmarks')}
+              >
+                <Icon name="bookmark-outline" size={22} color={theme.colors.text.secondary} />
+                <Text style={[styles.settingsItemText, { color: theme.colors.text.primary }]}>
+                  Saved Posts
+                </Text>
+                <Icon name="chevron-forward" size={18} color={theme.colors.text.hint} />
+              </TouchableOpacity>
+              
+              <TouchableOpacity 
+                style={[
+                  styles.settingsItem,
+                  { borderBottomColor: theme.colors.divider }
+                ]}
+                onPress={() => navigateToSettings('RecentlyDeleted')}
+              >
+                <Icon name="trash-outline" size={22} color={theme.colors.text.secondary} />
+                <Text style={[styles.settingsItemText, { color: theme.colors.text.primary }]}>
+                  Recently Deleted
+                </Text>
+                <Icon name="chevron-forward" size={18} color={theme.colors.text.hint} />
+              </TouchableOpacity>
+              
               <TouchableOpacity 
                 style={[
                   styles.settingsItem,
@@ -832,6 +1117,36 @@ const ProfileScreen = ({ navigation }) => {
                 <Icon name="chevron-forward" size={18} color={theme.colors.text.hint} />
               </TouchableOpacity>
               
+              <TouchableOpacity 
+                style={[
+                  styles.settingsItem,
+                  { borderBottomColor: theme.colors.divider }
+                ]}
+                onPress={() => navigateToSettings('ProfessionalVerification')}
+              >
+                <Icon name="shield-checkmark-outline" size={22} color={theme.colors.text.secondary} />
+                <Text style={[styles.settingsItemText, { color: theme.colors.text.primary }]}>
+                  Professional Verification
+                </Text>
+                <Icon name="chevron-forward" size={18} color={theme.colors.text.hint} />
+              </TouchableOpacity>
+              
+              {userData?.role === 'admin' && (
+                <TouchableOpacity 
+                  style={[
+                    styles.settingsItem,
+                    { borderBottomColor: theme.colors.divider }
+                  ]}
+                  onPress={() => navigateToSettings('AdminModeration')}
+                >
+                  <Icon name="construct-outline" size={22} color={theme.colors.text.secondary} />
+                  <Text style={[styles.settingsItemText, { color: theme.colors.text.primary }]}>
+                    Moderation
+                  </Text>
+                  <Icon name="chevron-forward" size={18} color={theme.colors.text.hint} />
+                </TouchableOpacity>
+              )}
+              
               <TouchableOpacity 
                 style={styles.settingsItem}
                 onPress={() => navigateToSettings('PrivacySettings')}
@@ -996,6 +1311,14 @@ const ProfileScreen = ({ navigation }) => {
           <Icon name="add" size={24} color="white" />
         </TouchableOpacity>
       )}
+      
+      <SchedulePickerModal
+        visible={!!reschedulingPost}
+        initialDate={reschedulingPost ? new Date(reschedulingPost.publishAt) : null}
+        onConfirm={handleReschedulePost}
+        onClose={() => setReschedulingPost(null)}
+        title="Reschedule Post"
+      />
     </View>
   );
 };
@@ -1060,6 +1383,10 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 4,
   },
+  verifiedBadge: {
+    alignSelf: 'flex-start',
+    marginBottom: 6,
+  },
   bio: {
     fontSize: 14,
     lineHeight: 18,
@@ -1164,6 +1491,41 @@ const styles = StyleSheet.create({
   postsGrid: {
     padding: 1,
   },
+  scheduledNote: {
+    fontSize: 13,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  scheduledItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  scheduledThumbnail: {
+    width: 50,
+    height: 50,
+    borderRadius: 6,
+  },
+  scheduledPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scheduledInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  scheduledCaption: {
+    fontSize: 15,
+  },
+  scheduledTime: {
+    fontSize: 13,
+    marginTop: 4,
+  },
+  scheduledAction: {
+    padding: 8,
+  },
   emptyContainer: {
     alignItems: 'center',
     justifyContent: 'center',
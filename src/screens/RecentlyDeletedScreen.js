@@ -0,0 +1,373 @@
+// src/screens/RecentlyDeletedScreen.js
+// Screen for restoring or permanently deleting the user's recently deleted posts and comments
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  RefreshControl
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { useNetInfo } from '@react-native-community/netinfo';
+import { formatDistanceToNow } from 'date-fns';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../theme/ThemeContext';
+import {
+  PostService,
+  CommentService,
+  RecentlyDeletedService,
+  DELETED_RETENTION_DAYS
+} from '../services/FirebaseService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days until an item is purged, counting today's remainder as a day
+const getDaysLeft = (purgeAt) => (
+  purgeAt ? Math.max(Math.ceil((purgeAt.getTime() - Date.now()) / DAY_MS), 0) : DELETED_RETENTION_DAYS
+);
+
+const RecentlyDeletedScreen = () => {
+  const { theme } = useTheme();
+  const { user } = useUser();
+  const { isConnected } = useNetInfo();
+  
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [processingIds, setProcessingIds] = useState([]);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    fetchItems();
+  }, [user]);
+  
+  const fetchItems = async () => {
+    if (!user) return;
+    
+    try {
+      setLoading(true);
+      setError(null);
+      
+      if (!isConnected) {
+        setError('Cannot load recently deleted items while offline');
+        return;
+      }
+      
+      setItems(await RecentlyDeletedService.getDeletedItems(user.uid));
+    } catch (error) {
+      console.error('Error fetching recently deleted items:', error);
+      setError('Failed to load recently deleted items. Please try again.');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+  
+  const handleRefresh = useCallback(() => {
+    setRefreshing(true);
+    fetchItems();
+  }, [user, isConnected]);
+  
+  // Run a restore or purge for one item, then drop it from the list
+  const processItem = async (item, action) => {
+    setProcessingIds(prev => [...prev, item.id]);
+    
+    try {
+      await action();
+      setItems(prev => prev.filter(current => current.id !== item.id));
+    } finally {
+      setProcessingIds(prev => prev.filter(id => id !== item.id));
+    }
+  };
+  
+  const handleRestore = useCallback(async (item) => {
+    if (!isConnected) {
+      Alert.alert('Offline', 'You cannot restore items while offline.');
+      return;
+    }
+    
+    try {
+      await processItem(item, () => (
+        item.type === 'post'
+          ? PostService.restorePost(item.id, user.uid)
+          : CommentService.restoreComment(item.id, user.uid, item.rootId)
+      ));
+    } catch (error) {
+      console.error('Error restoring item:', error);
+      Alert.alert('Error', `Failed to restore ${item.type}. Please try again.`);
+    }
+  }, [isConnected, user]);
+  
+  const handlePurge = useCallback((item) => {
+    if (!isConnected) {
+      Alert.alert('Offline', 'You cannot delete items while offline.');
+      return;
+    }
+    
+    Alert.alert(
+      'Delete Permanently',
+      `This ${item.type} will be deleted permanently. This action cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await processItem(item, () => (
+                item.type === 'post'
+                  ? PostService.purgePost(item.id, user.uid)
+                  : CommentService.purgeComment(item.id, user.uid, item.rootId)
+              ));
+            } catch (error) {
+              console.error('Error deleting item permanently:', error);
+              Alert.alert('Error', `Failed to delete ${item.type}. Please try again.`);
+            }
+          }
+        }
+      ]
+    );
+  }, [isConnected, user]);
+  
+  const renderItem = useCallback(({ item }) => {
+    const isProcessing = processingIds.includes(item.id);
+    const daysLeft = getDaysLeft(item.purgeAt);
+    const preview = item.type === 'post'
+      ? item.caption || item.content || (item.media?.length ? 'Photo or video post' : '')
+      : item.text;
+    
+    return (
+      <View style={[styles.item, { backgroundColor: theme.colors.background.card }]}>
+        <View style={styles.itemHeader}>
+          <Icon
+            name={item.type === 'post' ? 'document-text-outline' : 'chatbubble-outline'}
+            size={18}
+            color={theme.colors.text.secondary}
+          />
+          <Text style={[styles.itemType, { color: theme.colors.text.secondary }]}>
+            {item.type === 'post' ? 'Post' : item.parentId ? 'Reply' : 'Comment'}
+            {' · deleted '}
+            {formatDistanceToNow(item.deletedAt, { addSuffix: true })}
+          </Text>
+        </View>
+        
+        {!!preview && (
+          <Text
+            style={[styles.preview, { color: theme.colors.text.primary }]}
+            numberOfLines={3}
+          >
+            {preview}
+          </Text>
+        )}
+        
+        <Text style={[styles.daysLeft, { color: theme.colors.warning.dark }]}>
+          {daysLeft === 1 ? 'Deleted permanently in 1 day' : `Deleted permanently in ${daysLeft} days`}
+        </Text>
+        
+        <View style={styles.actions}>
+          {isProcessing ? (
+            <ActivityIndicator size="small" color={theme.colors.primary.main} />
+          ) : (
+            <>
+              <TouchableOpacity
+                style={[styles.actionButton, { backgroundColor: theme.colors.primary.lightest }]}
+                onPress={() => handleRestore(item)}
+                accessibilityRole="button"
+                accessibilityLabel={`Restore ${item.type}`}
+              >
+                <Icon name="arrow-undo-outline" size={16} color={theme.colors.primary.main} />
+                <Text style={[styles.actionText, { color: theme.colors.primary.main }]}>
+                  Restore
+                </Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={styles.actionButton}
+                onPress={() => handlePurge(item)}
+                accessibilityRole="button"
+                accessibilityLabel={`Delete ${item.type} permanently`}
+              >
+                <Icon name="trash-outline" size={16} color={theme.colors.error.main} />
+                <Text style={[styles.actionText, { color: theme.colors.error.main }]}>
+                  Delete permanently
+                </Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      </View>
+    );
+  }, [theme, processingIds, handleRestore, handlePurge]);
+  
+  const renderEmptyList = useCallback(() => (
+    <View style={styles.emptyContainer}>
+      <Icon name="trash-outline" size={64} color={theme.colors.gray[300]} />
+      <Text style={[styles.emptyTitle, { color: theme.colors.text.primary }]}>
+        Nothing Recently Deleted
+      </Text>
+      <Text style={[styles.emptyText, { color: theme.colors.text.secondary }]}>
+        Posts and comments you delete stay here for {DELETED_RETENTION_DAYS} days
+      </Text>
+    </View>
+  ), [theme]);
+  
+  if (loading && !refreshing) {
+    return (
+      <View style={[styles.centered, { backgroundColor: theme.colors.background.default }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary.main} />
+      </View>
+    );
+  }
+  
+  if (error) {
+    return (
+      <View style={[styles.centered, { backgroundColor: theme.colors.background.default }]}>
+        <Icon name="alert-circle-outline" size={64} color={theme.colors.error.main} />
+        <Text style={[styles.errorText, { color: theme.colors.text.secondary }]}>
+          {error}
+        </Text>
+        <TouchableOpacity
+          style={[styles.retryButton, { backgroundColor: theme.colors.primary.main }]}
+          onPress={fetchItems}
+        >
+          <Text style={styles.retryButtonText}>Retry</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+  
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background.default }]}>
+      <View style={[
+        styles.header,
+        {
+          backgroundColor: theme.colors.background.paper,
+          borderBottomColor: theme.colors.divider
+        }
+      ]}>
+        <Text style={[styles.headerSubtitle, { color: theme.colors.text.secondary }]}>
+          Only you can see these. They're deleted permanently after {DELETED_RETENTION_DAYS} days.
+        </Text>
+      </View>
+      
+      <FlatList
+        data={items}
+        renderItem={renderItem}
+        keyExtractor={(item) => `${item.type}_${item.id}`}
+        contentContainerStyle={items.length === 0 ? { flex: 1 } : { paddingBottom: 16 }}
+        ListEmptyComponent={renderEmptyList}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={handleRefresh}
+            colors={[theme.colors.primary.main]}
+            tintColor={theme.colors.primary.main}
+          />
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  header: {
+    padding: 16,
+    borderBottomWidth: 1,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+  },
+  item: {
+    padding: 16,
+    marginHorizontal: 16,
+    marginTop: 16,
+    borderRadius: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  itemType: {
+    fontSize: 13,
+    marginLeft: 6,
+  },
+  preview: {
+    fontSize: 15,
+    lineHeight: 21,
+  },
+  daysLeft: {
+    fontSize: 12,
+    marginTop: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    marginRight: 8,
+  },
+  actionText: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginLeft: 4,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 16,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  errorText: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 16,
+    marginBottom: 20,
+  },
+  retryButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+  },
+  retryButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default RecentlyDeletedScreen;
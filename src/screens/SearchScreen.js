@@ -17,25 +17,34 @@ import Icon from 'react-native-vector-icons/Ionicons';
 import { useFocusEffect } from '@react-navigation/native';
 import { useTheme } from '../theme/ThemeContext';
 import { useDebounce } from '../hooks/useDebounce';
+import { useConditionNames } from '../hooks/useConditionNames';
 import firestore from '@react-native-firebase/firestore';
 import { useUser } from '../contexts/UserContext';
 import PostCard from '../components/PostCard';
 import UserListItem from '../components/UserListItem';
 import SegmentedControl from '../components/SegmentedControl';
+import { filterVisiblePosts } from '../utils/postVisibility';
+import { getCondition, toConditionCode, conditionMatchesQuery, getConditionMatchValues } from '../utils/conditions';
+import { TopicService } from '../services/FirebaseService';
+
+// Search modes in the order of the segmented control
+const SEARCH_MODES = ['users', 'posts', 'conditions', 'topics'];
 
 const SearchScreen = ({ navigation, route }) => {
   const { theme } = useTheme();
   const { userData } = useUser();
+  const { conditionName, categoryName } = useConditionNames();
   
   // Search state
   const [searchTerm, setSearchTerm] = useState('');
-  const [searchMode, setSearchMode] = useState('users'); // 'users', 'posts', 'conditions'
+  const [searchMode, setSearchMode] = useState('users'); // 'users', 'posts', 'conditions', 'topics'
   const debouncedSearchTerm = useDebounce(searchTerm, 500);
   
   // Results state
   const [users, setUsers] = useState([]);
   const [posts, setPosts] = useState([]);
   const [conditions, setConditions] = useState([]);
+  const [hashtags, setHashtags] = useState([]);
   const [recentSearches, setRecentSearches] = useState([]);
   
   // Loading states
@@ -135,6 +144,7 @@ const SearchScreen = ({ navigation, route }) => {
       setPosts([]);
       setUsers([]);
       setConditions([]);
+      setHashtags([]);
       setLastDoc(null);
       setHasMore(false);
     }
@@ -160,6 +170,8 @@ const SearchScreen = ({ navigation, route }) => {
           setPosts([]);
         } else if (searchMode === 'conditions') {
           setConditions([]);
+        } else if (searchMode === 'topics') {
+          setHashtags([]);
         }
         
         setLastDoc(null);
@@ -175,6 +187,9 @@ const SearchScreen = ({ navigation, route }) => {
         case 'conditions':
           await searchConditions(loadMore);
           break;
+        case 'topics':
+          await searchTopics();
+          break;
       }
     } catch (error) {
       console.error('Error performing search:', error);
@@ -194,7 +209,7 @@ const SearchScreen = ({ navigation, route }) => {
       
       // Apply condition filter if selected
       if (selectedCondition) {
-        query = query.where('medicalConditions', 'array-contains', selectedCondition);
+        query = query.where('medicalConditions', 'array-contains-any', getConditionMatchValues(selectedCondition));
       }
       
       // Limit results
@@ -223,7 +238,7 @@ const SearchScreen = ({ navigation, route }) => {
           (user.email && user.email.toLowerCase().includes(searchLower)) ||
           (user.bio && user.bio.toLowerCase().includes(searchLower)) ||
           (user.medicalConditions && user.medicalConditions.some(condition => 
-            condition.toLowerCase().includes(searchLower)
+            conditionMatchesQuery(condition, debouncedSearchTerm)
           ))
         );
       }
@@ -257,7 +272,7 @@ const SearchScreen = ({ navigation, route }) => {
         // First get users with this condition
         const usersSnapshot = await firestore()
           .collection('users')
-          .where('medicalConditions', 'array-contains', selectedCondition)
+          .where('medicalConditions', 'array-contains-any', getConditionMatchValues(selectedCondition))
           .get();
         
         const userIds = usersSnapshot.docs.map(doc => doc.id);
@@ -317,14 +332,25 @@ const SearchScreen = ({ navigation, route }) => {
         query = query.startAfter(lastDoc);
       }
       
-      const snapshot = await query.get();
+      const [snapshot, connectionsSnapshot] = await Promise.all([
+        query.get(),
+        firestore()
+          .collection('connections')
+          .where('userId', '==', userData.id)
+          .get(),
+      ]);
       
-      // Extract post data
-      let fetchedPosts = snapshot.docs.map(doc => ({
+      // Extract post data, keeping only posts the viewer's audience allows
+      let fetchedPosts = filterVisiblePosts(snapshot.docs.map(doc => ({
         id: doc.id,
         ...doc.data(),
         timestamp: doc.data().timestamp?.toDate() || new Date(),
-      }));
+      })), {
+        id: userData.id,
+        followingIds: connectionsSnapshot.docs.map(doc => doc.data().connectedUserId),
+        medicalConditions: userData.medicalConditions || [],
+        communityIds: userData.communityIds || [],
+      });
       
       // If search term provided, filter results client-side
       if (debouncedSearchTerm) {
@@ -367,7 +393,7 @@ const SearchScreen = ({ navigation, route }) => {
         const userData = doc.data();
         if (userData.medicalConditions && Array.isArray(userData.medicalConditions)) {
           userData.medicalConditions.forEach(condition => {
-            uniqueConditions.add(condition);
+            uniqueConditions.add(toConditionCode(condition) || condition);
           });
         }
       });
@@ -377,14 +403,13 @@ const SearchScreen = ({ navigation, route }) => {
       
       // If search term provided, filter conditions
       if (debouncedSearchTerm) {
-        const searchLower = debouncedSearchTerm.toLowerCase();
         allConditions = allConditions.filter(condition =>
-          condition.toLowerCase().includes(searchLower)
+          conditionMatchesQuery(condition, debouncedSearchTerm)
         );
       }
       
-      // Sort alphabetically
-      allConditions.sort();
+      // Sort alphabetically in the current language
+      allConditions.sort((a, b) => conditionName(a).localeCompare(conditionName(b)));
       
       setConditions(allConditions);
       setHasMore(false);
@@ -393,6 +418,16 @@ const SearchScreen = ({ navigation, route }) => {
     }
   };
   
+  // Autocomplete hashtags from what's been typed so far
+  const searchTopics = async () => {
+    try {
+      setHashtags(await TopicService.searchHashtags(debouncedSearchTerm));
+      setHasMore(false);
+    } catch (error) {
+      console.error('Error searching topics:', error);
+    }
+  };
+  
   // Load more results on scroll end
   const handleLoadMore = () => {
     if (hasMore && !searching) {
@@ -509,10 +544,44 @@ const SearchScreen = ({ navigation, route }) => {
               </View>
               <View style={styles.conditionContent}>
                 <Text style={[styles.conditionName, { color: theme.colors.text.primary }]}>
-                  {item}
+                  {conditionName(item)}
+                </Text>
+                <Text style={[styles.conditionMeta, { color: theme.colors.text.secondary }]}>
+                  {getCondition(item) ? categoryName(getCondition(item).category) : 'Health Condition'}
+                </Text>
+              </View>
+              <Icon name="chevron-forward" size={20} color={theme.colors.text.secondary} />
+            </TouchableOpacity>
+          )}
+          ItemSeparatorComponent={() => <View style={styles.separator} />}
+        />
+      );
+    } else if (searchMode === 'topics') {
+      if (hashtags.length === 0 && debouncedSearchTerm) {
+        return renderEmptyResults();
+      }
+      
+      return (
+        <FlatList
+          data={hashtags}
+          keyExtractor={(item) => item.hashtag}
+          keyboardShouldPersistTaps="handled"
+          renderItem={({ item }) => (
+            <TouchableOpacity 
+              style={styles.conditionItem}
+              onPress={() => navigation.navigate('Topic', { hashtag: item.hashtag })}
+              accessibilityRole="button"
+              accessibilityLabel={`Hashtag ${item.hashtag}, ${item.postCount} posts`}
+            >
+              <View style={styles.conditionIconContainer}>
+                <Icon name="pricetag-outline" size={24} color={theme.colors.primary.main} />
+              </View>
+              <View style={styles.conditionContent}>
+                <Text style={[styles.conditionName, { color: theme.colors.text.primary }]}>
+                  #{item.hashtag}
                 </Text>
                 <Text style={[styles.conditionMeta, { color: theme.colors.text.secondary }]}>
-                  Health Condition
+                  {item.postCount === 1 ? '1 post' : `${item.postCount} posts`}
                 </Text>
               </View>
               <Icon name="chevron-forward" size={20} color={theme.colors.text.secondary} />
@@ -542,7 +611,7 @@ const SearchScreen = ({ navigation, route }) => {
         <Text style={[styles.emptyText, { color: theme.colors.text.secondary }]}>
           We couldn't find any results for "{debouncedSearchTerm}"
         </Text>
-        {searchMode !== 'conditions' && (
+        {(searchMode === 'users' || searchMode === 'posts') && (
           <TouchableOpacity
             style={[styles.tryButton, { backgroundColor: theme.colors.primary.lightest }]}
             onPress={() => {
@@ -839,7 +908,7 @@ const SearchScreen = ({ navigation, route }) => {
                     ],
                     { color: theme.colors.text.primary }
                   ]}>
-                    {condition}
+                    {conditionName(condition)}
                   </Text>
                 </TouchableOpacity>
               ))}
@@ -868,7 +937,7 @@ const SearchScreen = ({ navigation, route }) => {
             <Icon name="search" size={20} color={theme.colors.text.secondary} />
             <TextInput
               style={[styles.searchInput, { color: theme.colors.text.primary }]}
-              placeholder="Search..."
+              placeholder={searchMode === 'topics' ? 'Search #hashtags...' : 'Search...'}
               placeholderTextColor={theme.colors.text.hint}
               value={searchTerm}
               onChangeText={setSearchTerm}
@@ -905,14 +974,10 @@ const SearchScreen = ({ navigation, route }) => {
         </View>
         
         <SegmentedControl
-          values={['Users', 'Posts', 'Conditions']}
-          selectedIndex={
-            searchMode === 'users' ? 0 : searchMode === 'posts' ? 1 : 2
-          }
+          values={['Users', 'Posts', 'Conditions', 'Topics']}
+          selectedIndex={SEARCH_MODES.indexOf(searchMode)}
           onChange={(index) => {
-            setSearchMode(
-              index === 0 ? 'users' : index === 1 ? 'posts' : 'conditions'
-            );
+            setSearchMode(SEARCH_MODES[index]);
           }}
           style={styles.segmentedControl}
         />
@@ -0,0 +1,291 @@
+// src/screens/TopicScreen.js
+// Posts tagged with a hashtag, with a button to follow the topic
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/Ionicons';
+import { useUser } from '../contexts/UserContext';
+import { useBlockedUsers } from '../contexts/BlockedUsersContext';
+import { useTheme } from '../theme/ThemeContext';
+import PostCard from '../components/PostCard';
+import { TopicService } from '../services/FirebaseService';
+
+const POSTS_PER_PAGE = 10;
+
+const TopicScreen = ({ route, navigation }) => {
+  const { hashtag } = route.params;
+  const { user } = useUser();
+  const { filterBlockedContent } = useBlockedUsers();
+  const { theme } = useTheme();
+  
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+  const [isFollowing, setIsFollowing] = useState(false);
+  const [updatingFollow, setUpdatingFollow] = useState(false);
+  
+  const lastVisible = useRef(null);
+  const isMounted = useRef(true);
+  
+  useEffect(() => {
+    return () => {
+      isMounted.current = false;
+    };
+  }, []);
+  
+  const loadPosts = useCallback(async (reset = false) => {
+    try {
+      const result = await TopicService.getTopicPosts(
+        hashtag,
+        POSTS_PER_PAGE,
+        reset ? null : lastVisible.current
+      );
+      
+      if (!isMounted.current) return;
+      
+      lastVisible.current = result.lastVisible;
+      setPosts(prevPosts => (reset ? result.posts : [...prevPosts, ...result.posts]));
+      setHasMore(result.hasMore);
+    } catch (error) {
+      console.error('Error loading topic posts:', error);
+      if (isMounted.current) {
+        Alert.alert('Error', 'Failed to load posts. Please try again.');
+      }
+    } finally {
+      if (isMounted.current) {
+        setLoading(false);
+        setRefreshing(false);
+        setLoadingMore(false);
+      }
+    }
+  }, [hashtag]);
+  
+  useEffect(() => {
+    setLoading(true);
+    loadPosts(true);
+    
+    if (user) {
+      TopicService.isFollowingTopic(user.uid, hashtag)
+        .then(following => {
+          if (isMounted.current) setIsFollowing(following);
+        })
+        .catch(error => console.error('Error checking topic follow:', error));
+    }
+  }, [hashtag, user, loadPosts]);
+  
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadPosts(true);
+  };
+  
+  const handleLoadMore = () => {
+    if (loading || loadingMore || !hasMore) return;
+    
+    setLoadingMore(true);
+    loadPosts(false);
+  };
+  
+  const handleToggleFollow = async () => {
+    if (!user || updatingFollow) return;
+    
+    const wasFollowing = isFollowing;
+    setIsFollowing(!wasFollowing);
+    setUpdatingFollow(true);
+    
+    try {
+      if (wasFollowing) {
+        await TopicService.unfollowTopic(user.uid, hashtag);
+      } else {
+        await TopicService.followTopic(user.uid, hashtag);
+      }
+    } catch (error) {
+      console.error('Error updating topic follow:', error);
+      if (isMounted.current) {
+        setIsFollowing(wasFollowing);
+        Alert.alert('Error', 'Failed to update topic. Please try again.');
+      }
+    } finally {
+      if (isMounted.current) {
+        setUpdatingFollow(false);
+      }
+    }
+  };
+  
+  const renderHeader = () => (
+    <View style={[styles.header, { backgroundColor: theme.colors.background.paper }]}>
+      <View style={styles.headerInfo}>
+        <Text style={[styles.hashtag, { color: theme.colors.text.primary }]}>#{hashtag}</Text>
+        <Text style={[styles.headerHint, { color: theme.colors.text.secondary }]}>
+          {isFollowing
+            ? 'Posts with this tag appear in your feed'
+            : 'Follow to see posts with this tag in your feed'}
+        </Text>
+      </View>
+      <TouchableOpacity
+        style={[
+          styles.followButton,
+          { borderColor: theme.colors.primary.main },
+          !isFollowing && { backgroundColor: theme.colors.primary.main }
+        ]}
+        onPress={handleToggleFollow}
+        disabled={updatingFollow}
+        accessibilityRole="button"
+        accessibilityLabel={isFollowing ? `Unfollow #${hashtag}` : `Follow #${hashtag}`}
+      >
+        <Text style={[styles.followButtonText, { color: isFollowing ? theme.colors.primary.main : 'white' }]}>
+          {isFollowing ? 'Following' : 'Follow'}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+  
+  const renderPostItem = ({ item }) => (
+    <PostCard
+      post={item}
+      navigation={navigation}
+      onCommentPress={() => navigation.navigate('Comments', {
+        postId: item.id,
+        title: 'Comments'
+      })}
+      onProfilePress={() => {
+        if (item.userId === user?.uid) {
+          navigation.navigate('ProfileTab');
+        } else {
+          navigation.navigate('UserProfile', {
+            userId: item.userId,
+            title: item.userFullName
+          });
+        }
+      }}
+    />
+  );
+  
+  const renderEmptyComponent = () => {
+    if (loading) return null;
+    
+    return (
+      <View style={styles.emptyContainer}>
+        <Icon name="pricetag-outline" size={50} color={theme.colors.gray[300]} />
+        <Text style={[styles.emptyTitle, { color: theme.colors.text.primary }]}>
+          No Posts Yet
+        </Text>
+        <Text style={[styles.emptySubtitle, { color: theme.colors.text.secondary }]}>
+          Be the first to post with #{hashtag}
+        </Text>
+      </View>
+    );
+  };
+  
+  const renderFooter = () => {
+    if (!loadingMore) return null;
+    
+    return (
+      <View style={styles.footerLoader}>
+        <ActivityIndicator size="small" color={theme.colors.primary.main} />
+      </View>
+    );
+  };
+  
+  const visiblePosts = filterBlockedContent(posts);
+  
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background.default }]}>
+      {loading && posts.length === 0 ? (
+        <>
+          {renderHeader()}
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color={theme.colors.primary.main} />
+          </View>
+        </>
+      ) : (
+        <FlatList
+          data={visiblePosts}
+          keyExtractor={item => item.id}
+          renderItem={renderPostItem}
+          ListHeaderComponent={renderHeader}
+          ListEmptyComponent={renderEmptyComponent}
+          ListFooterComponent={renderFooter}
+          onEndReached={handleLoadMore}
+          onEndReachedThreshold={0.5}
+          refreshControl={
+            <RefreshControl
+              refreshing={refreshing}
+              onRefresh={handleRefresh}
+              colors={[theme.colors.primary.main]}
+              tintColor={theme.colors.primary.main}
+            />
+          }
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    marginBottom: 8,
+  },
+  headerInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  hashtag: {
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  headerHint: {
+    fontSize: 13,
+    marginTop: 4,
+  },
+  followButton: {
+    borderWidth: 1,
+    borderRadius: 20,
+    paddingVertical: 8,
+    paddingHorizontal: 20,
+  },
+  followButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 16,
+  },
+  emptySubtitle: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  footerLoader: {
+    paddingVertical: 16,
+  },
+});
+
+export default TopicScreen;
@@ -26,15 +26,20 @@ import Icon from 'react-native-vector-icons/Ionicons';
 import { format } from 'date-fns';
 import { useUser } from '../contexts/UserContext';
 import { useTheme } from '../theme/ThemeContext';
+import { useConditionNames } from '../hooks/useConditionNames';
 import { useNetInfo } from '@react-native-community/netinfo';
 import PostThumbnail from '../components/PostThumbnail';
+import VerifiedBadge from '../components/VerifiedBadge';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import * as Haptics from '../utils/haptics';
 import { AnalyticsService } from '../services/AnalyticsService';
+import { canViewPost } from '../utils/postVisibility';
+import { getActiveVerification } from '../utils/verification';
 
 const UserProfileScreen = ({ route, navigation }) => {
   const { userId } = route.params;
   const { theme } = useTheme();
+  const { conditionName } = useConditionNames();
   const { user, userData: currentUserData, isUserBlocked, blockUser, unblockUser } = useUser();
   const { isConnected } = useNetInfo();
   const insets = useSafeAreaInsets();
@@ -94,7 +99,7 @@ const UserProfileScreen = ({ route, navigation }) => {
     checkFollowStatus();
   }, [userId]);
 
-  // Fetch user posts
+  // Fetch user posts, re-subscribing when the viewer's access changes so audience rules apply right away
   useEffect(() => {
     if (activeTab === 'posts' && !userIsBlocked) {
       fetchUserPosts();
@@ -108,7 +113,7 @@ const UserProfileScreen = ({ route, navigation }) => {
         postsListener.current = null;
       }
     };
-  }, [userId, activeTab, userIsBlocked]);
+  }, [userId, activeTab, userIsBlocked, isFollowing, currentUserData?.medicalConditions]);
 
   // Update navigation title when user data is loaded
   useEffect(() => {
@@ -223,14 +228,26 @@ const UserProfileScreen = ({ route, navigation }) => {
         .limit(20)
         .onSnapshot(snapshot => {
           if (isMounted.current) {
-            const postsData = snapshot.docs.map(doc => {
-              const data = doc.data();
-              return {
-                id: doc.id,
-                ...data,
-                timestamp: data.timestamp ? data.timestamp.toDate() : new Date(),
-              };
-            });
+            const viewer = {
+              id: user?.uid,
+              followingIds: isFollowing ? [userId] : [],
+              medicalConditions: currentUserData?.medicalConditions || [],
+              communityIds: currentUserData?.communityIds || [],
+            };
+            
+            // Anonymous posts must never be traceable from the author's profile.
+            // They store no userId so the query skips them, but older ones still do.
+            const postsData = snapshot.docs
+              .filter(doc => !doc.data().anonymous)
+              .map(doc => {
+                const data = doc.data();
+                return {
+                  id: doc.id,
+                  ...data,
+                  timestamp: data.timestamp ? data.timestamp.toDate() : new Date(),
+                };
+              })
+              .filter(post => canViewPost(post, viewer));
             
             setPosts(postsData);
             setPostsLoading(false);
@@ -742,6 +759,12 @@ const UserProfileScreen = ({ route, navigation }) => {
             {displayName}
           </Text>
           
+          <VerifiedBadge
+            verification={getActiveVerification(userData)}
+            size="medium"
+            style={styles.verifiedBadge}
+          />
+          
           {userData?.bio && !userIsBlocked && (
             <Text 
               style={[styles.bio, { color: theme.colors.text.secondary }]}
@@ -932,7 +955,7 @@ const UserProfileScreen = ({ route, navigation }) => {
                 horizontal 
                 showsHorizontalScrollIndicator={false}
                 contentContainerStyle={styles.conditionsList}
-                accessibilityLabel={`Medical conditions: ${userData.medicalConditions.join(', ')}`}
+                accessibilityLabel={`Medical conditions: ${userData.medicalConditions.map(conditionName).join(', ')}`}
               >
                 {userData.medicalConditions.map((condition, index) => (
                   <View 
@@ -942,13 +965,13 @@ const UserProfileScreen = ({ route, navigation }) => {
                       { backgroundColor: theme.colors.primary.lightest }
                     ]}
                     accessible={true}
-                    accessibilityLabel={condition}
+                    accessibilityLabel={conditionName(condition)}
                   >
                     <Text style={[
                       styles.conditionText,
                       { color: theme.colors.primary.main }
                     ]}>
-                      {condition}
+                      {conditionName(condition)}
                     </Text>
                   </View>
                 ))}
@@ -1545,6 +1568,9 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 5,
   },
+  verifiedBadge: {
+    marginBottom: 8,
+  },
   bio: {
     fontSize: 16,
     textAlign: 'center',
@@ -20,6 +20,7 @@ import Icon from 'react-native-vector-icons/Ionicons';
 import { format } from 'date-fns';
 import { useTheme } from '../theme/ThemeContext';
 import { useUser } from '../contexts/UserContext';
+import { useConditionNames } from '../hooks/useConditionNames';
 import { 
   fetchEventById, 
   fetchEventAttendees,
@@ -34,6 +35,7 @@ const EventDetailScreen = ({ route, navigation }) => {
   const { eventId } = route.params;
   const dispatch = useDispatch();
   const { theme } = useTheme();
+  const { conditionName } = useConditionNames();
   const { user, userData } = useUser();
   
   const { currentEvent, attendees, status, error } = useSelector(state => state.events);
@@ -379,7 +381,7 @@ const EventDetailScreen = ({ route, navigation }) => {
                 {currentEvent.relatedConditions.map((condition, index) => (
                   <Badge 
                     key={index}
-                    label={condition}
+                    label={conditionName(condition)}
                     variant="primary"
                     size="small"
                     style={styles.conditionBadge}
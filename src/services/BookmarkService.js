@@ -0,0 +1,485 @@
+// src/services/BookmarkService.js
+// Private saved posts organised into user-defined collections, cached for offline use
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import firestore from '@react-native-firebase/firestore';
+import { AnalyticsService } from './AnalyticsService';
+import SocialShareService from './SocialShareService';
+import { canViewPost } from '../utils/postVisibility';
+
+// Storage constants
+const BOOKMARK_CACHE_PREFIX = '@cache_bookmarks_';
+// Firestore 'in' queries accept at most 10 values
+const POST_LOOKUP_CHUNK_SIZE = 10;
+
+export const MAX_COLLECTION_NAME_LENGTH = 40;
+
+/**
+ * Keep the fields needed to list a saved post while offline
+ * @param {Object} post - Post data
+ * @returns {Object} Post summary
+ */
+const summarizePost = (post) => {
+  const cover = post.media?.[0];
+  
+  return {
+    type: post.type || 'text',
+    caption: post.caption || '',
+    userFullName: post.userFullName || '',
+    userProfileImageURL: post.userProfileImageURL || null,
+    thumbnailUrl: cover
+      ? cover.thumbnailUrl || cover.url
+      : (post.type === 'image' && post.content) || post.thumbnailUrl || null,
+  };
+};
+
+/**
+ * Convert a Firestore timestamp (or a cached millisecond value) to milliseconds
+ * @param {*} value - Stored time
+ * @returns {number} Milliseconds since the epoch
+ */
+const toMillis = (value) => {
+  if (!value) return Date.now();
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return typeof value === 'number' ? value : new Date(value).getTime();
+};
+
+/**
+ * Get what post visibility checks need to know about a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Viewer for canViewPost
+ */
+const getViewer = async (userId) => {
+  const [userDoc, connectionsSnapshot] = await Promise.all([
+    firestore().collection('users').doc(userId).get(),
+    firestore().collection('connections').where('userId', '==', userId).get(),
+  ]);
+  
+  return {
+    id: userId,
+    followingIds: connectionsSnapshot.docs.map(doc => doc.data().connectedUserId),
+    medicalConditions: (userDoc.exists && userDoc.data().medicalConditions) || [],
+    communityIds: (userDoc.exists && userDoc.data().communityIds) || [],
+  };
+};
+
+class BookmarkService {
+  constructor() {
+    this.userId = null;
+    this.collections = [];
+    this.bookmarks = [];
+    this.listeners = new Set();
+    this.cacheLoaded = null;
+  }
+  
+  /**
+   * Get the AsyncStorage key holding a user's bookmarks
+   * @param {string} userId - User ID
+   * @returns {string} Storage key
+   */
+  getCacheKey(userId) {
+    return `${BOOKMARK_CACHE_PREFIX}${userId}`;
+  }
+  
+  getBookmarksRef(userId) {
+    return firestore().collection('users').doc(userId).collection('bookmarks');
+  }
+  
+  getCollectionsRef(userId) {
+    return firestore().collection('users').doc(userId).collection('bookmarkCollections');
+  }
+  
+  /**
+   * Load the cached bookmarks for a user, once per sign-in
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  load(userId) {
+    if (!userId) throw new Error('User ID is required');
+    
+    if (this.userId !== userId) {
+      this.userId = userId;
+      this.collections = [];
+      this.bookmarks = [];
+      this.cacheLoaded = AsyncStorage.getItem(this.getCacheKey(userId))
+        .then(cached => {
+          if (!cached || this.userId !== userId) return;
+          
+          const { collections, bookmarks } = JSON.parse(cached);
+          this.collections = collections || [];
+          this.bookmarks = bookmarks || [];
+          this.notify();
+        })
+        .catch(error => console.error('Error loading cached bookmarks:', error));
+    }
+    
+    return this.cacheLoaded;
+  }
+  
+  async writeCache() {
+    try {
+      await AsyncStorage.setItem(
+        this.getCacheKey(this.userId),
+        JSON.stringify({
+          collections: this.collections,
+          bookmarks: this.bookmarks,
+          timestamp: Date.now(),
+        })
+      );
+    } catch (error) {
+      console.error('Error caching bookmarks:', error);
+    }
+  }
+  
+  /**
+   * Listen for changes to the current user's bookmarks
+   * @param {Function} listener - Called with { collections, bookmarks }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  notify() {
+    const state = { collections: this.collections, bookmarks: this.bookmarks };
+    this.listeners.forEach(listener => listener(state));
+  }
+  
+  /**
+   * Apply a local change, persist it to the cache and notify listeners
+   * @param {Object} changes - New collections and/or bookmarks
+   */
+  async update(changes) {
+    if (changes.collections) this.collections = changes.collections;
+    if (changes.bookmarks) this.bookmarks = changes.bookmarks;
+    
+    this.notify();
+    await this.writeCache();
+  }
+  
+  /**
+   * Send a write to Firestore. Offline writes are kept by Firestore's local
+   * persistence and sent on reconnect, so they aren't awaited.
+   * @param {Promise} write - Pending Firestore write
+   * @param {string} errorType - Analytics error type
+   * @returns {Promise<void>}
+   */
+  async commit(write, errorType) {
+    const networkState = await NetInfo.fetch();
+    
+    if (networkState.isConnected && networkState.isInternetReachable !== false) {
+      try {
+        await write;
+      } catch (error) {
+        AnalyticsService.logError(error.message, errorType);
+        throw error;
+      }
+    } else {
+      write.catch(error => AnalyticsService.logError(error.message, errorType));
+    }
+  }
+  
+  /**
+   * Keep the post's bookmark count, which its author sees in insights, in step
+   * @param {string} postId - Post ID
+   * @param {number} change - 1 for a new bookmark, -1 for a removed one
+   */
+  updateBookmarkCount(postId, change) {
+    // Best effort: the post may already be gone, and the bookmark itself is what matters
+    firestore()
+      .collection('posts')
+      .doc(postId)
+      .update({ bookmarkCount: firestore.FieldValue.increment(change) })
+      .catch(error => AnalyticsService.logError(error.message, 'update_bookmark_count_error'));
+  }
+  
+  isBookmarked(postId) {
+    return this.bookmarks.some(bookmark => bookmark.postId === postId);
+  }
+  
+  getBookmark(postId) {
+    return this.bookmarks.find(bookmark => bookmark.postId === postId) || null;
+  }
+  
+  /**
+   * Refresh bookmarks from Firestore, dropping saved posts that have been deleted.
+   * Returns the cached bookmarks when offline.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { collections, bookmarks }, newest bookmarks first
+   */
+  async sync(userId) {
+    await this.load(userId);
+    
+    const networkState = await NetInfo.fetch();
+    if (!networkState.isConnected || networkState.isInternetReachable === false) {
+      return { collections: this.collections, bookmarks: this.bookmarks };
+    }
+    
+    try {
+      const [collectionsSnapshot, bookmarksSnapshot] = await Promise.all([
+        this.getCollectionsRef(userId).orderBy('createdAt', 'asc').get(),
+        this.getBookmarksRef(userId).orderBy('createdAt', 'desc').get(),
+      ]);
+      
+      const collections = collectionsSnapshot.docs.map(doc => ({
+        id: doc.id,
+        name: doc.data().name,
+        createdAt: toMillis(doc.data().createdAt),
+      }));
+      
+      // Look up the saved posts to refresh their summaries and find deleted ones
+      const postIds = bookmarksSnapshot.docs.map(doc => doc.id);
+      const posts = {};
+      const viewer = await getViewer(userId);
+      
+      for (let i = 0; i < postIds.length; i += POST_LOOKUP_CHUNK_SIZE) {
+        const chunk = postIds.slice(i, i + POST_LOOKUP_CHUNK_SIZE);
+        const postsSnapshot = await firestore()
+          .collection('posts')
+          .where(firestore.FieldPath.documentId(), 'in', chunk)
+          .get();
+        
+        postsSnapshot.docs.forEach(doc => {
+          posts[doc.id] = doc.data();
+        });
+      }
+      
+      const bookmarks = [];
+      const batch = firestore().batch();
+      let hasDeletedPosts = false;
+      
+      bookmarksSnapshot.docs.forEach(doc => {
+        const post = posts[doc.id];
+        
+        if (!post) {
+          batch.delete(doc.ref);
+          hasDeletedPosts = true;
+          return;
+        }
+        
+        // Keep the bookmark of a post in its author's "Recently deleted" in case it comes back
+        if (post.deleted) return;
+        
+        // Likewise for posts whose audience no longer includes the user
+        if (!canViewPost(post, viewer)) return;
+        
+        bookmarks.push({
+          postId: doc.id,
+          authorId: post.userId,
+          collectionId: doc.data().collectionId || null,
+          post: summarizePost(post),
+          createdAt: toMillis(doc.data().createdAt),
+        });
+      });
+      
+      if (hasDeletedPosts) {
+        await batch.commit();
+      }
+      
+      if (this.userId === userId) {
+        await this.update({ collections, bookmarks });
+      }
+      
+      return { collections, bookmarks };
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'sync_bookmarks_error');
+      return { collections: this.collections, bookmarks: this.bookmarks };
+    }
+  }
+  
+  /**
+   * Save a post, or move it if it is already saved
+   * @param {string} userId - User ID
+   * @param {Object} post - Post to save
+   * @param {string|null} collectionId - Collection to save into, or null for none
+   * @returns {Promise<Object>} The bookmark
+   */
+  async saveBookmark(userId, post, collectionId = null) {
+    if (!userId || !post?.id) throw new Error('User ID and post are required');
+    await this.load(userId);
+    
+    const existing = this.getBookmark(post.id);
+    const bookmark = {
+      postId: post.id,
+      authorId: post.userId,
+      collectionId,
+      post: summarizePost(post),
+      createdAt: existing ? existing.createdAt : Date.now(),
+    };
+    
+    await this.update({
+      bookmarks: existing
+        ? this.bookmarks.map(item => (item.postId === post.id ? bookmark : item))
+        : [bookmark, ...this.bookmarks],
+    });
+    
+    const bookmarkRef = this.getBookmarksRef(userId).doc(post.id);
+    await this.commit(
+      existing
+        ? bookmarkRef.update({ collectionId })
+        : bookmarkRef.set({ collectionId, createdAt: firestore.FieldValue.serverTimestamp() }),
+      'save_bookmark_error'
+    );
+    
+    if (!existing) {
+      this.updateBookmarkCount(post.id, 1);
+    }
+    
+    AnalyticsService.logEvent(existing ? 'bookmark_moved' : 'bookmark_added', {
+      has_collection: !!collectionId,
+    });
+    
+    return bookmark;
+  }
+  
+  /**
+   * Remove a saved post
+   * @param {string} userId - User ID
+   * @param {string} postId - Post ID
+   * @returns {Promise<boolean>} Whether a bookmark was removed
+   */
+  async removeBookmark(userId, postId) {
+    if (!userId || !postId) throw new Error('User ID and post ID are required');
+    await this.load(userId);
+    
+    if (!this.isBookmarked(postId)) return false;
+    
+    await this.update({
+      bookmarks: this.bookmarks.filter(bookmark => bookmark.postId !== postId),
+    });
+    
+    await this.commit(this.getBookmarksRef(userId).doc(postId).delete(), 'remove_bookmark_error');
+    
+    this.updateBookmarkCount(postId, -1);
+    
+    AnalyticsService.logEvent('bookmark_removed');
+    
+    return true;
+  }
+  
+  /**
+   * Validate and tidy a collection name
+   * @param {string} name - Collection name
+   * @param {string} excludeId - Collection being renamed, if any
+   * @returns {string} Trimmed name
+   */
+  validateCollectionName(name, excludeId = null) {
+    const trimmed = (name || '').trim();
+    
+    if (!trimmed) {
+      throw new Error('Collection name is required');
+    }
+    if (trimmed.length > MAX_COLLECTION_NAME_LENGTH) {
+      throw new Error(`Collection names can be at most ${MAX_COLLECTION_NAME_LENGTH} characters`);
+    }
+    if (this.collections.some(collection => (
+      collection.id !== excludeId && collection.name.toLowerCase() === trimmed.toLowerCase()
+    ))) {
+      throw new Error('You already have a collection with this name');
+    }
+    
+    return trimmed;
+  }
+  
+  /**
+   * Create a bookmark collection
+   * @param {string} userId - User ID
+   * @param {string} name - Collection name
+   * @returns {Promise<Object>} The new collection
+   */
+  async createCollection(userId, name) {
+    if (!userId) throw new Error('User ID is required');
+    await this.load(userId);
+    
+    const trimmed = this.validateCollectionName(name);
+    
+    // Generate the ID locally so the collection can be used while offline
+    const collectionRef = this.getCollectionsRef(userId).doc();
+    const collection = { id: collectionRef.id, name: trimmed, createdAt: Date.now() };
+    
+    await this.update({ collections: [...this.collections, collection] });
+    
+    await this.commit(
+      collectionRef.set({ name: trimmed, createdAt: firestore.FieldValue.serverTimestamp() }),
+      'create_bookmark_collection_error'
+    );
+    
+    AnalyticsService.logEvent('bookmark_collection_created');
+    
+    return collection;
+  }
+  
+  /**
+   * Rename a bookmark collection
+   * @param {string} userId - User ID
+   * @param {string} collectionId - Collection ID
+   * @param {string} name - New name
+   * @returns {Promise<void>}
+   */
+  async renameCollection(userId, collectionId, name) {
+    if (!userId || !collectionId) throw new Error('User ID and collection ID are required');
+    await this.load(userId);
+    
+    const current = this.collections.find(collection => collection.id === collectionId);
+    if (!current) throw new Error('Collection not found');
+    if ((name || '').trim() === current.name) return;
+    
+    const trimmed = this.validateCollectionName(name, collectionId);
+    
+    await this.update({
+      collections: this.collections.map(collection => (
+        collection.id === collectionId ? { ...collection, name: trimmed } : collection
+      )),
+    });
+    
+    await this.commit(
+      this.getCollectionsRef(userId).doc(collectionId).update({ name: trimmed }),
+      'rename_bookmark_collection_error'
+    );
+  }
+  
+  /**
+   * Delete a bookmark collection. Its posts stay saved without a collection.
+   * @param {string} userId - User ID
+   * @param {string} collectionId - Collection ID
+   * @returns {Promise<void>}
+   */
+  async deleteCollection(userId, collectionId) {
+    if (!userId || !collectionId) throw new Error('User ID and collection ID are required');
+    await this.load(userId);
+    
+    const affected = this.bookmarks.filter(bookmark => bookmark.collectionId === collectionId);
+    
+    await this.update({
+      collections: this.collections.filter(collection => collection.id !== collectionId),
+      bookmarks: this.bookmarks.map(bookmark => (
+        bookmark.collectionId === collectionId ? { ...bookmark, collectionId: null } : bookmark
+      )),
+    });
+    
+    const batch = firestore().batch();
+    batch.delete(this.getCollectionsRef(userId).doc(collectionId));
+    affected.forEach(bookmark => {
+      batch.update(this.getBookmarksRef(userId).doc(bookmark.postId), { collectionId: null });
+    });
+    
+    await this.commit(batch.commit(), 'delete_bookmark_collection_error');
+    
+    AnalyticsService.logEvent('bookmark_collection_deleted', { post_count: affected.length });
+  }
+  
+  /**
+   * Build a plain-text list of links to saved posts, for sharing or exporting
+   * @param {Array} bookmarks - Bookmarks to export
+   * @returns {string} One link per line
+   */
+  exportLinks(bookmarks) {
+    return bookmarks
+      .map(bookmark => SocialShareService.generateShareUrl('post', bookmark.postId))
+      .join('\n');
+  }
+}
+
+export default new BookmarkService();
@@ -8,6 +8,8 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { withRetry, isRetriableError } from './RetryService';
 import { isDeviceOnline } from './NetworkService';
 import { Analytics } from './AnalyticsService';
+import { MentionService } from './FirebaseService';
+import { buildMentionEntities } from '../utils/mentions';
 
 // Constants
 const MESSAGES_CACHE_PREFIX = 'chat_messages_';
@@ -632,7 +634,7 @@ class ChatService {
   /**
    * Send a message with offline support
    * @param {string} conversationId - Conversation ID
-   * @param {Object} message - Message data
+   * @param {Object} message - Message data; `mentions` lists users picked from mention suggestions as { userId, name }
    * @returns {Promise<Object>} Sent message data
    */
   async sendMessage(conversationId, message) {
@@ -837,9 +839,19 @@ class ChatService {
         );
       }
       
+      // Only people in the conversation can be mentioned in it
+      const mentions = await MentionService.resolveMentions(
+        userId,
+        buildMentionEntities(message.text || '', (message.mentions || []).filter(mention => (
+          conversationData.participants.includes(mention.userId)
+        )))
+      );
+      const mentionsRecipient = mentions.some(mention => mention.userId === recipientId);
+      
       // Create message data
       const messageData = {
         text: message.text || '',
+        mentions,
         senderId: userId,
         senderName: userData.name,
         senderProfileImage: userData.profileImage,
@@ -882,16 +894,16 @@ class ChatService {
       // Commit batch
       await withRetry(() => batch.commit());
       
-      // Create notification for recipient
+      // Create notification for recipient; a mention replaces the plain message notification
       await withRetry(() => 
         firestore().collection('notifications').add({
-          type: 'message',
+          type: mentionsRecipient ? 'mention' : 'message',
           senderId: userId,
           senderName: userData.name,
           senderProfileImage: userData.profileImage,
           recipientId,
           conversationId,
-          message: 'sent you a message',
+          message: mentionsRecipient ? 'mentioned you in a message' : 'sent you a message',
           preview: (message.text || '[Image]').substring(0, 50) + 
                   ((message.text || '').length > 50 ? '...' : ''),
           timestamp: firestore.FieldValue.serverTimestamp(),
@@ -0,0 +1,208 @@
+// src/services/DraftService.js
+// Local, encrypted storage for post drafts
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import RNFS from 'react-native-fs';
+import uuid from 'react-native-uuid';
+import SecurityUtils from '../utils/SecurityUtils';
+import { AnalyticsService } from './AnalyticsService';
+
+// Storage constants
+const DRAFTS_KEY_PREFIX = '@drafts_';
+const DRAFT_MEDIA_DIR = `${RNFS.DocumentDirectoryPath}/drafts`;
+const MAX_DRAFTS = 50;
+
+class DraftService {
+  /**
+   * Get the AsyncStorage key holding a user's drafts
+   * @param {string} userId - User ID
+   * @returns {string} Storage key
+   */
+  getStorageKey(userId) {
+    return `${DRAFTS_KEY_PREFIX}${userId}`;
+  }
+  
+  /**
+   * Read and decrypt all drafts for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Drafts, most recently updated first
+   * @throws {Error} If the drafts can't be decrypted, so they are never overwritten
+   */
+  async getDrafts(userId) {
+    if (!userId) throw new Error('User ID is required');
+    
+    const encrypted = await AsyncStorage.getItem(this.getStorageKey(userId));
+    if (!encrypted) return [];
+    
+    await SecurityUtils.requireEncryption();
+    const drafts = await SecurityUtils.decryptData(encrypted);
+    
+    if (!Array.isArray(drafts)) {
+      throw new Error('Your drafts couldn\'t be unlocked on this device');
+    }
+    
+    return drafts.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+  
+  /**
+   * Get a single draft
+   * @param {string} userId - User ID
+   * @param {string} draftId - Draft ID
+   * @returns {Promise<Object|null>} Draft or null if it no longer exists
+   */
+  async getDraft(userId, draftId) {
+    const drafts = await this.getDrafts(userId);
+    return drafts.find(draft => draft.id === draftId) || null;
+  }
+  
+  /**
+   * Encrypt and write the full draft list for a user
+   * @param {string} userId - User ID
+   * @param {Array} drafts - Drafts to store
+   */
+  async writeDrafts(userId, drafts) {
+    await SecurityUtils.requireEncryption();
+    const encrypted = await SecurityUtils.encryptData(drafts);
+    
+    if (!encrypted) {
+      throw new Error('Failed to encrypt drafts');
+    }
+    
+    await AsyncStorage.setItem(this.getStorageKey(userId), encrypted);
+  }
+  
+  /**
+   * Copy picked media into app storage so a draft survives the picker's
+   * temporary files being cleaned up after an app restart
+   * @param {string} draftId - Draft ID
+   * @param {Array} mediaItems - Composer media items
+   * @param {Array} previousItems - Media items from the last saved version of the draft
+   * @returns {Promise<Array>} Media items pointing at persisted files
+   */
+  async persistMedia(draftId, mediaItems = [], previousItems = []) {
+    const draftDir = `${DRAFT_MEDIA_DIR}/${draftId}`;
+    await RNFS.mkdir(draftDir);
+    
+    const persistFile = async (uri) => {
+      if (!uri || uri.includes(DRAFT_MEDIA_DIR)) return uri;
+      
+      const filename = uri.substring(uri.lastIndexOf('/') + 1);
+      const destination = `${draftDir}/${Date.now()}_${filename}`;
+      await RNFS.copyFile(uri.replace('file://', ''), destination);
+      
+      return `file://${destination}`;
+    };
+    
+    const persisted = [];
+    
+    for (const item of mediaItems) {
+      // The composer keeps the picker URI, so reuse the copy made on an earlier save
+      const previous = previousItems.find(prev => prev.id === item.id);
+      if (previous) {
+        persisted.push({ ...item, uri: previous.uri, thumbnailUri: previous.thumbnailUri });
+        continue;
+      }
+      
+      try {
+        persisted.push({
+          ...item,
+          uri: await persistFile(item.uri),
+          thumbnailUri: await persistFile(item.thumbnailUri),
+        });
+      } catch (error) {
+        // Keep the original reference; it still works until the OS clears it
+        console.error('Error persisting draft media:', error);
+        persisted.push(item);
+      }
+    }
+    
+    // Remove copies of items that were taken out of the draft
+    try {
+      const referenced = persisted.flatMap(item => [item.uri, item.thumbnailUri]);
+      const files = await RNFS.readDir(draftDir);
+      
+      await Promise.all(files
+        .filter(file => !referenced.includes(`file://${file.path}`))
+        .map(file => RNFS.unlink(file.path)));
+    } catch (error) {
+      console.error('Error cleaning up draft media:', error);
+    }
+    
+    return persisted;
+  }
+  
+  /**
+   * Create or update a draft
+   * @param {string} userId - User ID
+   * @param {Object} draft - Draft data ({ id?, postType, caption, linkUrl, mediaItems })
+   * @returns {Promise<Object>} Saved draft
+   */
+  async saveDraft(userId, draft) {
+    if (!userId) throw new Error('User ID is required');
+    
+    try {
+      const drafts = await this.getDrafts(userId);
+      const id = draft.id || `draft_${uuid.v4()}`;
+      const existing = drafts.find(item => item.id === id);
+      
+      const savedDraft = {
+        ...existing,
+        ...draft,
+        id,
+        mediaItems: await this.persistMedia(id, draft.mediaItems, existing?.mediaItems),
+        createdAt: existing?.createdAt || Date.now(),
+        updatedAt: Date.now(),
+      };
+      
+      const otherDrafts = drafts.filter(item => item.id !== id);
+      
+      if (!existing && otherDrafts.length >= MAX_DRAFTS) {
+        throw new Error(`You can keep up to ${MAX_DRAFTS} drafts`);
+      }
+      
+      await this.writeDrafts(userId, [savedDraft, ...otherDrafts]);
+      
+      if (!existing) {
+        AnalyticsService.logEvent('draft_created', { postType: draft.postType });
+      }
+      
+      return savedDraft;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'save_draft_error');
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete a draft and its persisted media
+   * @param {string} userId - User ID
+   * @param {string} draftId - Draft ID
+   * @returns {Promise<boolean>} Whether a draft was deleted
+   */
+  async deleteDraft(userId, draftId) {
+    if (!userId || !draftId) throw new Error('User ID and draft ID are required');
+    
+    try {
+      const drafts = await this.getDrafts(userId);
+      const remaining = drafts.filter(draft => draft.id !== draftId);
+      
+      if (remaining.length === drafts.length) return false;
+      
+      await this.writeDrafts(userId, remaining);
+      
+      const draftDir = `${DRAFT_MEDIA_DIR}/${draftId}`;
+      if (await RNFS.exists(draftDir)) {
+        await RNFS.unlink(draftDir);
+      }
+      
+      AnalyticsService.logEvent('draft_deleted');
+      
+      return true;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'delete_draft_error');
+      throw error;
+    }
+  }
+}
+
+export default new DraftService();
@@ -7,13 +7,628 @@ import storage from '@react-native-firebase/storage';
 import { Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { AnalyticsService } from './AnalyticsService';
+import { REACTION_TYPES, DEFAULT_REACTION, getReaction } from '../constants/reactions';
+import { toPseudonym } from '../utils/anonymity';
+import { AUDIENCE_TYPES, DEFAULT_AUDIENCE } from '../constants/audiences';
+import { canViewPost, filterVisiblePosts } from '../utils/postVisibility';
+import { rankPosts, mergeRankingConfig } from '../utils/feedRanking';
+import { extractHashtags, normalizeHashtag } from '../utils/hashtags';
+import { MAX_MENTIONS, buildMentionEntities, rankMentionCandidates, getMentionName } from '../utils/mentions';
+import { MENTION_POLICY_TYPES, DEFAULT_MENTION_POLICY } from '../constants/mentionPolicies';
+import { CONTENT_WARNING_TYPES } from '../constants/contentWarnings';
+import { COMMUNITY_MEMBERSHIP_TYPES, DEFAULT_COMMUNITY_MEMBERSHIP } from '../constants/communities';
+import { CONDITION_CATALOG_VERSION } from '../constants/conditions';
+import { toConditionCode, toConditionCodes } from '../utils/conditions';
+import { PEER_SUGGESTION_PREFERENCE_TYPES, DEFAULT_PEER_SUGGESTION_PREFERENCE } from '../constants/peerMatching';
+import { rankPeers, countConditions } from '../utils/peerMatching';
+import { PROFESSION_TYPES, VERIFICATION_VALIDITY_MONTHS, getProfession } from '../constants/professions';
+import { getActiveVerification } from '../utils/verification';
+import SecurityUtils from '../utils/SecurityUtils';
 import NetInfo from '@react-native-community/netinfo';
+import { Blurhash } from 'react-native-blurhash';
+import { format, subDays, addMonths } from 'date-fns';
+import { FIREBASE_API_URL } from '@env';
 
 // Cache constants
 const CACHE_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
 const POST_CACHE_KEY = '@cache_posts';
 const USER_CACHE_KEY = '@cache_user_';
 
+// Post media limits
+export const MAX_POST_MEDIA_ITEMS = 10;
+
+// Poll limits
+export const MIN_POLL_OPTIONS = 2;
+export const MAX_POLL_OPTIONS = 6;
+export const MAX_POLL_OPTION_LENGTH = 80;
+
+// Replies nest at most this many levels below a top-level comment
+export const MAX_COMMENT_REPLY_DEPTH = 2;
+
+// Post types that embed another post
+export const RESHARE_POST_TYPES = ['reshare', 'quote'];
+
+// Commentary limit for quote posts
+export const MAX_QUOTE_LENGTH = 500;
+
+// Firestore document (in the `config` collection) holding the feed ranking tunables
+const RANKING_CONFIG_DOC = 'feedRanking';
+
+// array-contains-any accepts at most 10 values, so only this many followed topics feed the home feed
+export const MAX_FEED_TOPICS = 10;
+
+// Deleted posts and comments can be restored for this long before they are purged
+export const DELETED_RETENTION_DAYS = 30;
+
+// Days of impressions charted in post insights
+export const INSIGHTS_CHART_DAYS = 14;
+
+// Community limits
+export const MAX_COMMUNITY_NAME_LENGTH = 60;
+export const MAX_COMMUNITY_DESCRIPTION_LENGTH = 1000;
+export const MAX_COMMUNITY_RULES = 10;
+export const MAX_COMMUNITY_RULE_LENGTH = 200;
+
+// Users fetched and ranked for peer suggestions
+const PEER_CANDIDATE_POOL_SIZE = 100;
+
+// Followed users whose own follows are checked when counting followers in common
+const MUTUAL_FOLLOW_SAMPLE_SIZE = 30;
+
+// License numbers on verification applications
+export const MAX_LICENSE_NUMBER_LENGTH = 40;
+
+// Firestore batches accept at most 500 writes
+const MAX_BATCH_WRITES = 500;
+
+// Impressions are bucketed by the viewer's local day
+const getDayKey = (date = new Date()) => format(date, 'yyyy-MM-dd');
+
+/**
+ * Collect every Firebase Storage URL referenced by a post
+ * @param {Object} postData - Post document data
+ * @returns {Array<string>} Storage URLs
+ */
+export const getPostStorageUrls = (postData) => {
+  const urls = [postData.content];
+  (postData.media || []).forEach(item => {
+    urls.push(item.url, item.thumbnail);
+  });
+  
+  return [...new Set(urls)].filter(url =>
+    typeof url === 'string' && url.startsWith('https://firebasestorage.googleapis.com')
+  );
+};
+
+/**
+ * Build the stored poll from the composer's poll settings
+ * @param {Object} poll - Poll settings ({ options, multipleChoice, durationHours })
+ * @returns {Object} Poll data for the post document
+ */
+const buildPoll = (poll) => {
+  const options = (poll.options || [])
+    .map(option => (typeof option === 'string' ? option : option.text || '').trim())
+    .filter(Boolean);
+  
+  if (options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+    throw new Error(`A poll needs between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options`);
+  }
+  
+  if (options.some(option => option.length > MAX_POLL_OPTION_LENGTH)) {
+    throw new Error(`Poll options can be at most ${MAX_POLL_OPTION_LENGTH} characters`);
+  }
+  
+  if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+    throw new Error('Poll options must be unique');
+  }
+  
+  const pollOptions = options.map((text, index) => ({ id: `option_${index}`, text }));
+  
+  // The closing time is counted from publication, so scheduled polls get their full duration
+  const closesAt = poll.durationHours > 0
+    ? firestore.Timestamp.fromMillis(Date.now() + poll.durationHours * 60 * 60 * 1000)
+    : null;
+  
+  return {
+    options: pollOptions,
+    voteCounts: pollOptions.reduce((counts, option) => ({ ...counts, [option.id]: 0 }), {}),
+    voterCount: 0,
+    multipleChoice: !!poll.multipleChoice,
+    closesAt,
+  };
+};
+
+/**
+ * Get the document reference for a comment. Replies live in a `replies`
+ * subcollection of their top-level comment so they stay out of the
+ * post's top-level comment queries.
+ * @param {string} commentId - Comment ID
+ * @param {string|null} rootId - Top-level comment ID for replies, null for top-level comments
+ * @returns {Object} Firestore document reference
+ */
+const getCommentRef = (commentId, rootId = null) => (
+  rootId
+    ? firestore().collection('comments').doc(rootId).collection('replies').doc(commentId)
+    : firestore().collection('comments').doc(commentId)
+);
+
+/**
+ * Get the author fields shown on a comment. Anonymous comments use the
+ * pseudonym for the post's thread and store no userId.
+ * @param {Object} userData - Author's user document data
+ * @param {Object|null} pseudonym - Thread pseudonym for anonymous comments, null otherwise
+ * @returns {Object} Author display fields
+ */
+const getCommentAuthor = (userData, pseudonym) => {
+  if (!pseudonym) {
+    return {
+      userFullName: `${userData.firstName || ''} ${userData.lastName || ''}`.trim(),
+      userProfileImageURL: userData.profileImageURL || null,
+      authorVerification: getActiveVerification(userData),
+      anonymous: false,
+    };
+  }
+  
+  return {
+    userFullName: pseudonym.name,
+    userProfileImageURL: null,
+    anonymous: true,
+    pseudonym,
+  };
+};
+
+/**
+ * Get the sender fields for a notification about a comment. Anonymous
+ * senders are left out so the recipient can't open their profile.
+ * @param {string} userId - Real sender ID
+ * @param {Object|null} pseudonym - Thread pseudonym for anonymous senders, null otherwise
+ * @returns {Object} Notification sender fields
+ */
+const getNotificationSender = (userId, pseudonym) => {
+  if (!pseudonym) {
+    return { senderId: userId };
+  }
+  
+  return {
+    senderName: pseudonym.name,
+    senderPseudonym: pseudonym,
+  };
+};
+
+// Pseudonyms already fetched this session, keyed by user and thread
+const pseudonymCache = new Map();
+
+/**
+ * Get the pseudonym the signed-in user appears under within a thread. The
+ * seed is derived on the server from a secret the app doesn't hold, so a
+ * pseudonym can't be traced back to its author.
+ * @param {string} threadId - Post ID the post or comment belongs to
+ * @returns {Promise<Object>} Pseudonym with name, color and icon
+ */
+const fetchPseudonym = async (threadId) => {
+  const currentUser = auth().currentUser;
+  if (!currentUser) {
+    throw new Error('You must be signed in to post anonymously');
+  }
+  
+  const cacheKey = `${currentUser.uid}:${threadId}`;
+  if (pseudonymCache.has(cacheKey)) return pseudonymCache.get(cacheKey);
+  
+  const token = await currentUser.getIdToken();
+  const response = await fetch(`${FIREBASE_API_URL}/pseudonyms`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ threadId }),
+  });
+  
+  if (!response.ok) {
+    throw new Error('Couldn\'t set up your anonymous name. Please try again.');
+  }
+  
+  const { seed } = await response.json();
+  const pseudonym = toPseudonym(seed);
+  pseudonymCache.set(cacheKey, pseudonym);
+  
+  return pseudonym;
+};
+
+/**
+ * Record who wrote an anonymous post or comment. The public document
+ * stores no userId; this record is only readable by its author and
+ * moderators.
+ * @param {Object} batch - Write batch that creates the post or comment
+ * @param {string} contentId - Post or comment ID
+ * @param {Object} author - { userId, postId, type: 'post'|'comment', rootId }
+ */
+const addAnonymousAuthor = (batch, contentId, { userId, postId, type, rootId = null }) => {
+  batch.set(firestore().collection('anonymousAuthors').doc(contentId), {
+    userId,
+    postId,
+    type,
+    rootId,
+    deleted: false,
+    createdAt: firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+/**
+ * Get the author record of an anonymous post or comment
+ * @param {string} contentId - Post or comment ID
+ * @returns {Promise<Object|null>} Record data, or null if it doesn't exist or the user may not read it
+ */
+const getAnonymousAuthor = async (contentId) => {
+  try {
+    const authorDoc = await firestore().collection('anonymousAuthors').doc(contentId).get();
+    return authorDoc.exists ? authorDoc.data() : null;
+  } catch (error) {
+    // Only the author and moderators can read the record
+    if (error.code === 'firestore/permission-denied') return null;
+    throw error;
+  }
+};
+
+/**
+ * Get the real author of a post or comment
+ * @param {string} contentId - Post or comment ID
+ * @param {Object} data - Post or comment document data
+ * @returns {Promise<string|null>} Author ID, or null for anonymous content the user didn't write
+ */
+const getAuthorId = async (contentId, data) => {
+  if (!data.anonymous) return data.userId;
+  
+  const author = await getAnonymousAuthor(contentId);
+  return author ? author.userId : null;
+};
+
+/**
+ * Get the recipient fields for a notification to the author of a post or
+ * comment. Anonymous authors are filled in on the server so the sender
+ * never learns who they are.
+ * @param {string} contentId - Post or comment ID
+ * @param {Object} data - Post or comment document data
+ * @returns {Object} Notification recipient fields
+ */
+const getNotificationRecipient = (contentId, data) => (
+  data.anonymous
+    ? { recipientId: null, anonymousContentId: contentId }
+    : { recipientId: data.userId }
+);
+
+/**
+ * Check whether a user deleted a post or comment that's in Recently Deleted
+ * @param {Object} doc - Post or comment document snapshot
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} Whether the user deleted it
+ */
+const isDeletedBy = async (doc, userId) => {
+  if (doc.data().deletedBy === userId) return true;
+  if (!doc.data().anonymous) return false;
+  
+  const author = await getAnonymousAuthor(doc.id);
+  return !!author && author.userId === userId && author.deleted === true;
+};
+
+/**
+ * Find a user's like on a post from before reactions. It counts towards
+ * likeCount but not reactionCounts, and stands for the default reaction.
+ * @param {string} postId - Post ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Like document reference, or null if there isn't one
+ */
+const getLegacyLikeRef = async (postId, userId) => {
+  const likeQuery = await firestore()
+    .collection('likes')
+    .where('postId', '==', postId)
+    .where('userId', '==', userId)
+    .limit(1)
+    .get();
+  
+  return likeQuery.empty ? null : likeQuery.docs[0].ref;
+};
+
+/**
+ * Validate a post audience and return the fields stored on the post
+ * @param {string} audience - One of AUDIENCE_TYPES
+ * @param {string|null} condition - Condition for community posts
+ * @param {boolean} anonymous - Whether the post is anonymous
+ * @returns {Object} audience and audienceCondition fields
+ */
+const buildAudience = (audience = DEFAULT_AUDIENCE, condition = null, anonymous = false) => {
+  if (!AUDIENCE_TYPES.includes(audience)) {
+    throw new Error('Invalid audience');
+  }
+  // These audiences are worked out from the author, which anonymous posts don't store
+  if (anonymous && (audience === 'followers' || audience === 'private')) {
+    throw new Error('Anonymous posts can\'t be limited to followers or to yourself');
+  }
+  if (audience === 'community' && !condition) {
+    throw new Error('Choose a condition community for this post');
+  }
+  
+  return {
+    audience,
+    audienceCondition: audience === 'community' ? toConditionCode(condition) || condition : null,
+  };
+};
+
+/**
+ * Get what post visibility checks need to know about the signed-in user
+ * @param {Array<string>} followingIds - IDs of users the viewer follows
+ * @returns {Promise<Object>} Viewer for canViewPost
+ */
+const getPostViewer = async (followingIds) => {
+  const uid = auth().currentUser?.uid;
+  if (!uid) return { id: null, followingIds, medicalConditions: [], communityIds: [] };
+  
+  const userDoc = await firestore().collection('users').doc(uid).get();
+  
+  return {
+    id: uid,
+    followingIds,
+    medicalConditions: (userDoc.exists && userDoc.data().medicalConditions) || [],
+    communityIds: (userDoc.exists && userDoc.data().communityIds) || [],
+  };
+};
+
+/**
+ * Check that a user may post to a community and get the fields the post keeps
+ * @param {string|null} communityId - Community to post in
+ * @param {string} userId - Author's user ID
+ * @returns {Promise<Object>} Community fields for the post, empty outside a community
+ */
+const getPostCommunity = async (communityId, userId) => {
+  if (!communityId) return {};
+  
+  const communityRef = firestore().collection('communities').doc(communityId);
+  const [communityDoc, memberDoc] = await Promise.all([
+    communityRef.get(),
+    communityRef.collection('members').doc(userId).get(),
+  ]);
+  
+  if (!communityDoc.exists) {
+    throw new Error('Community not found');
+  }
+  if (!memberDoc.exists) {
+    throw new Error('Join this community to post in it');
+  }
+  
+  return {
+    communityId,
+    communityName: communityDoc.data().name,
+    communityMembersOnly: communityDoc.data().membership === 'approval',
+  };
+};
+
+/**
+ * Get the IDs of users someone follows
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} Followed user IDs
+ */
+const getFollowingIds = async (userId) => {
+  if (!userId) return [];
+  
+  const snapshot = await firestore()
+    .collection('connections')
+    .where('userId', '==', userId)
+    .get();
+  
+  return snapshot.docs.map(doc => doc.data().connectedUserId);
+};
+
+/**
+ * Get the IDs of users who follow someone
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} Follower IDs
+ */
+const getFollowerIds = async (userId) => {
+  if (!userId) return [];
+  
+  const snapshot = await firestore()
+    .collection('connections')
+    .where('connectedUserId', '==', userId)
+    .get();
+  
+  return snapshot.docs.map(doc => doc.data().userId);
+};
+
+/**
+ * Get the IDs of users someone has blocked or been blocked by
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} User IDs on either side of a block
+ */
+const getBlockedIdsBothWays = async (userId) => {
+  const [blockedSnapshot, blockedBySnapshot] = await Promise.all([
+    firestore().collection('blocks').where('blockedBy', '==', userId).get(),
+    firestore().collection('blocks').where('blockedUser', '==', userId).get(),
+  ]);
+  
+  return [
+    ...blockedSnapshot.docs.map(doc => doc.data().blockedUser),
+    ...blockedBySnapshot.docs.map(doc => doc.data().blockedBy),
+  ];
+};
+
+/**
+ * Count, for each candidate, the people a user follows who also follow them
+ * @param {Array<string>} followingIds - IDs the user follows
+ * @param {Array<string>} candidateIds - Candidate user IDs
+ * @returns {Promise<Object>} Counts keyed by candidate ID
+ */
+const getMutualFollowCounts = async (followingIds, candidateIds) => {
+  const candidates = new Set(candidateIds);
+  const sample = followingIds.slice(0, MUTUAL_FOLLOW_SAMPLE_SIZE);
+  const queries = [];
+  
+  // Firestore 'in' queries accept at most 10 values
+  for (let i = 0; i < sample.length; i += 10) {
+    queries.push(
+      firestore()
+        .collection('connections')
+        .where('userId', 'in', sample.slice(i, i + 10))
+        .get()
+    );
+  }
+  
+  const counts = {};
+  (await Promise.all(queries)).forEach(snapshot => {
+    snapshot.docs.forEach(doc => {
+      const { connectedUserId } = doc.data();
+      if (candidates.has(connectedUserId)) {
+        counts[connectedUserId] = (counts[connectedUserId] || 0) + 1;
+      }
+    });
+  });
+  
+  return counts;
+};
+
+/**
+ * Check that a user is an admin before they review verifications
+ * @param {string} adminId - User ID
+ * @returns {Promise<void>}
+ */
+const assertAdmin = async (adminId) => {
+  const adminDoc = await firestore().collection('users').doc(adminId).get();
+  
+  if (!adminDoc.exists || adminDoc.data().role !== 'admin') {
+    throw new Error('Only admins can review verifications');
+  }
+};
+
+/**
+ * Copy a professional's badge onto the posts and comments they wrote under their own name, or clear it
+ * @param {string} userId - User ID
+ * @param {Object|null} authorVerification - { profession, expiresAt }, or null to clear
+ * @returns {Promise<void>}
+ */
+const setAuthorVerification = async (userId, authorVerification) => {
+  const snapshots = await Promise.all([
+    firestore().collection('posts').where('userId', '==', userId).get(),
+    firestore().collection('comments').where('userId', '==', userId).get(),
+    firestore().collectionGroup('replies').where('userId', '==', userId).get(),
+  ]);
+  const docs = snapshots
+    .flatMap(snapshot => snapshot.docs)
+    .filter(doc => !doc.data().anonymous);
+  
+  for (let i = 0; i < docs.length; i += MAX_BATCH_WRITES) {
+    const batch = firestore().batch();
+    docs.slice(i, i + MAX_BATCH_WRITES).forEach(doc => batch.update(doc.ref, { authorVerification }));
+    await batch.commit();
+  }
+};
+
+/**
+ * Convert a verification application document to plain data
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object} Application with dates
+ */
+const toApplication = (doc) => {
+  const data = doc.data();
+  
+  return {
+    id: doc.id,
+    ...data,
+    submittedAt: data.submittedAt?.toDate() || new Date(),
+    reviewedAt: data.reviewedAt?.toDate() || null,
+    expiresAt: data.expiresAt?.toDate() || null,
+    revokedAt: data.revokedAt?.toDate() || null,
+  };
+};
+
+/**
+ * Check a user's mention setting against someone trying to mention them
+ * @param {Object} userData - Mentioned user's document data
+ * @param {boolean} followsSender - Whether the mentioned user follows the sender
+ * @returns {boolean} Whether the mention is allowed
+ */
+const allowsMentionFrom = (userData, followsSender) => {
+  const policy = userData?.mentionPolicy || DEFAULT_MENTION_POLICY;
+  
+  if (policy === 'nobody') return false;
+  if (policy === 'following') return followsSender;
+  return true;
+};
+
+/**
+ * Bump the usage counts that drive hashtag autocomplete
+ * @param {Array<string>} hashtags - Normalized hashtags
+ * @returns {Promise<void>}
+ */
+const countHashtags = async (hashtags) => {
+  if (!hashtags || hashtags.length === 0) return;
+  
+  const batch = firestore().batch();
+  
+  hashtags.forEach(tag => {
+    batch.set(firestore().collection('hashtags').doc(tag), {
+      postCount: firestore.FieldValue.increment(1),
+      lastUsedAt: firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+  });
+  
+  await batch.commit();
+};
+
+/**
+ * Compute a blurhash placeholder for a local image
+ * @param {string} uri - Local image URI
+ * @returns {Promise<string|null>} Blurhash, or null if it couldn't be computed
+ */
+const encodeBlurhash = async (uri) => {
+  if (!uri) return null;
+  
+  try {
+    return await Blurhash.encode(uri, 4, 3);
+  } catch (error) {
+    // Posts still work without a placeholder, so don't fail the upload
+    console.error('Error encoding blurhash:', error);
+    return null;
+  }
+};
+
+/**
+ * When something deleted now should be purged for good
+ * @returns {Object} Firestore timestamp DELETED_RETENTION_DAYS from now
+ */
+const getPurgeAt = () => firestore.Timestamp.fromDate(
+  new Date(Date.now() + DELETED_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+);
+
+/**
+ * Record the version of a post or comment that an edit replaces
+ * @param {Object} batch - Write batch the edit is part of
+ * @param {Object} docRef - Post or comment document reference
+ * @param {Object} version - Edited fields as they were before the edit
+ * @param {Object} writtenAt - When that version was written (last edit, or creation)
+ */
+const addPreviousVersion = (batch, docRef, version, writtenAt) => {
+  batch.set(docRef.collection('versions').doc(), {
+    ...version,
+    timestamp: writtenAt || null,
+    replacedAt: firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+/**
+ * Get the earlier versions of a post or comment, newest first
+ * @param {Object} docRef - Post or comment document reference
+ * @returns {Promise<Array>} Previous versions
+ */
+const getPreviousVersions = async (docRef) => {
+  const snapshot = await docRef.collection('versions').orderBy('replacedAt', 'desc').get();
+  
+  return snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data(),
+    timestamp: doc.data().timestamp?.toDate() || null,
+    replacedAt: doc.data().replacedAt?.toDate() || new Date(),
+  }));
+};
+
 /**
  * Authentication service for Firebase auth operations
  */
@@ -246,6 +861,94 @@ export const UserService = {
     }
   },
 
+  /**
+   * Move a user's free-text conditions to catalog codes, along with the conditions on the
+   * communities they own, the events they host and their community posts. Runs once per catalog version.
+   * @param {string} userId - User ID
+   * @param {Object} userData - The user's document data
+   * @returns {Promise<Object>} User data with migrated conditions
+   */
+  migrateConditionCodes: async (userId, userData) => {
+    if (!userId || !userData) return userData;
+    if (userData.conditionCatalogVersion === CONDITION_CATALOG_VERSION) return userData;
+    
+    try {
+      const { codes, unmapped } = toConditionCodes([
+        ...(userData.medicalConditions || []),
+        ...(userData.unmappedConditions || []),
+      ]);
+      const migrated = {
+        medicalConditions: codes,
+        unmappedConditions: unmapped,
+        conditionCatalogVersion: CONDITION_CATALOG_VERSION,
+      };
+      
+      const [postsSnapshot, eventsSnapshot, communitiesSnapshot] = await Promise.all([
+        firestore().collection('posts').where('userId', '==', userId).where('audience', '==', 'community').get(),
+        firestore().collection('events').where('hostId', '==', userId).get(),
+        firestore().collection('communities').where('ownerId', '==', userId).get(),
+      ]);
+      
+      const updates = [];
+      postsSnapshot.docs.forEach(doc => {
+        const { audienceCondition } = doc.data();
+        const code = toConditionCode(audienceCondition);
+        if (code && code !== audienceCondition) updates.push([doc.ref, { audienceCondition: code }]);
+      });
+      eventsSnapshot.docs.forEach(doc => {
+        const relatedConditions = doc.data().relatedConditions || [];
+        const converted = toConditionCodes(relatedConditions);
+        const next = [...converted.codes, ...converted.unmapped];
+        if (next.join() !== relatedConditions.join()) updates.push([doc.ref, { relatedConditions: next }]);
+      });
+      communitiesSnapshot.docs.forEach(doc => {
+        const { condition } = doc.data();
+        const code = toConditionCode(condition);
+        if (code && code !== condition) updates.push([doc.ref, { condition: code }]);
+      });
+      updates.push([firestore().collection('users').doc(userId), migrated]);
+      
+      for (let i = 0; i < updates.length; i += MAX_BATCH_WRITES) {
+        const batch = firestore().batch();
+        updates.slice(i, i + MAX_BATCH_WRITES).forEach(([ref, data]) => batch.update(ref, data));
+        await batch.commit();
+      }
+      
+      AnalyticsService.logEvent('migrate_condition_codes', {
+        mapped: codes.length,
+        unmapped: unmapped.length,
+        documents: updates.length - 1,
+      });
+      
+      return { ...userData, ...migrated };
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'migrate_condition_codes_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Store the peer suggestion setting on profiles from before it was saved
+   * explicitly. Peer suggestions only look at users whose setting is 'on'.
+   * @param {string} userId - User ID
+   * @param {Object} userData - User document data
+   * @returns {Promise<Object>} User data with the setting
+   */
+  migratePeerSuggestions: async (userId, userData) => {
+    if (!userId || !userData) return userData;
+    if (PEER_SUGGESTION_PREFERENCE_TYPES.includes(userData.peerSuggestions)) return userData;
+    
+    try {
+      const peerSuggestions = DEFAULT_PEER_SUGGESTION_PREFERENCE;
+      await firestore().collection('users').doc(userId).update({ peerSuggestions });
+      
+      return { ...userData, peerSuggestions };
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'migrate_peer_suggestions_error');
+      throw error;
+    }
+  },
+
   /**
    * Follow a user
    * @param {string} userId - Current user ID
@@ -468,18 +1171,96 @@ export const PostService = {
   createPost: async (postData) => {
     const user = auth().currentUser;
     if (!user) throw new Error('No user is currently signed in');
+    if (postData.media && postData.media.length > MAX_POST_MEDIA_ITEMS) {
+      throw new Error(`A post can contain at most ${MAX_POST_MEDIA_ITEMS} media items`);
+    }
+    if (postData.type === 'poll' && !postData.poll) {
+      throw new Error('Poll options are required for poll posts');
+    }
+    if (postData.type === 'question' && postData.media?.length > 0) {
+      throw new Error('Questions can\'t include photos or videos');
+    }
+    if (postData.type === 'journal' && !postData.journalEntry) {
+      throw new Error('A journal entry is required for journal posts');
+    }
+    if (postData.type === 'journal' && postData.media?.length > 0) {
+      throw new Error('Shared journal entries can\'t include photos or videos');
+    }
     
     try {
+      const poll = postData.poll ? buildPoll(postData.poll) : undefined;
+      const audience = buildAudience(postData.audience, postData.audienceCondition, !!postData.anonymous);
+      const hashtags = extractHashtags(postData.caption);
+      const community = await getPostCommunity(postData.communityId, user.uid);
+      const mentions = await MentionService.resolveMentions(
+        user.uid,
+        buildMentionEntities(postData.caption, postData.mentions),
+        { userId: user.uid, ...audience, ...community }
+      );
+      const contentWarnings = CONTENT_WARNING_TYPES.filter(type => (postData.contentWarnings || []).includes(type));
+      
+      // The ID is needed up front to derive the pseudonym for anonymous posts
+      const postRef = firestore().collection('posts').doc();
+      const pseudonym = postData.anonymous ? await fetchPseudonym(postRef.id) : null;
+      // Anonymous posts never carry a badge, which could identify the author
+      const authorVerification = pseudonym
+        ? null
+        : getActiveVerification((await firestore().collection('users').doc(user.uid).get()).data());
+      
+      const batch = firestore().batch();
+      
       // Add post to Firestore
-      const postRef = await firestore().collection('posts').add({
+      batch.set(postRef, {
         ...postData,
-        userId: user.uid,
+        ...(poll && { poll }),
+        ...audience,
+        ...community,
+        // Anonymous posts show the pseudonym's name and photo; the real
+        // author is only kept in anonymousAuthors for ownership and moderation
+        ...(pseudonym && {
+          userFullName: pseudonym.name,
+          userProfileImageURL: null,
+          pseudonym,
+        }),
+        anonymous: !!pseudonym,
+        authorVerification,
+        // Questions surface in Explore for their condition until someone answers
+        ...(postData.type === 'question' && {
+          questionCondition: toConditionCode(postData.questionCondition) || null,
+          acceptedAnswerId: null,
+        }),
+        hashtags,
+        mentions,
+        contentWarnings,
+        userId: pseudonym ? null : user.uid,
         timestamp: firestore.FieldValue.serverTimestamp(),
         likeCount: 0,
+        reactionCounts: REACTION_TYPES.reduce((counts, type) => ({ ...counts, [type]: 0 }), {}),
         commentCount: 0,
+        reshareCount: 0,
+        allowReshare: postData.allowReshare !== false,
       });
       
-      AnalyticsService.logEvent('create_post', { postType: postData.type });
+      if (pseudonym) {
+        addAnonymousAuthor(batch, postRef.id, { userId: user.uid, postId: postRef.id, type: 'post' });
+      }
+      
+      await batch.commit();
+      
+      await countHashtags(hashtags);
+      await MentionService.notifyMentions(user.uid, mentions, {
+        postId: postRef.id,
+        pseudonym,
+      });
+      
+      AnalyticsService.logEvent('create_post', { 
+        postType: postData.type, 
+        anonymous: !!pseudonym, 
+        audience: audience.audience,
+        hashtagCount: hashtags.length,
+        contentWarningCount: contentWarnings.length,
+        inCommunity: !!community.communityId
+      });
       
       return postRef.id;
     } catch (error) {
@@ -497,7 +1278,7 @@ export const PostService = {
     try {
       const postDoc = await firestore().collection('posts').doc(postId).get();
       
-      if (!postDoc.exists) {
+      if (!postDoc.exists || postDoc.data().deleted) {
         throw new Error('Post not found');
       }
       
@@ -512,6 +1293,47 @@ export const PostService = {
     }
   },
 
+  /**
+   * Get the pseudonym the signed-in user would appear under in a thread
+   * @param {string} postId - Post ID of the thread
+   * @returns {Promise<Object>} Pseudonym with name, color and icon
+   */
+  getPseudonym: async (postId) => {
+    if (!postId) throw new Error('Post ID is required');
+    
+    try {
+      return await fetchPseudonym(postId);
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_pseudonym_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get the IDs of the anonymous post and comments a user wrote in a thread.
+   * Anonymous content stores no userId, so this is how screens recognise
+   * the user's own.
+   * @param {string} postId - Post ID of the thread
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Post and comment IDs
+   */
+  getAnonymousContentIds: async (postId, userId) => {
+    if (!postId || !userId) throw new Error('Post ID and User ID are required');
+    
+    try {
+      const snapshot = await firestore()
+        .collection('anonymousAuthors')
+        .where('postId', '==', postId)
+        .where('userId', '==', userId)
+        .get();
+      
+      return snapshot.docs.map(doc => doc.id);
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_anonymous_content_error');
+      throw error;
+    }
+  },
+
   /**
    * Get posts for feed
    * @param {Array} userIds - Array of user IDs to get posts from
@@ -538,8 +1360,12 @@ export const PostService = {
           
           // Return cached data if we're offline or cache is fresh
           if (isOffline || Date.now() - timestamp < CACHE_EXPIRY) {
-            // Filter cached posts for the specified userIds
-            const filteredPosts = posts.filter(post => userIds.includes(post.userId));
+            // Filter cached posts for the specified userIds, and check them against
+            // the viewer as they are now since audiences and follows may have changed
+            const filteredPosts = filterVisiblePosts(
+              posts.filter(post => userIds.includes(post.userId)),
+              await getPostViewer(userIds)
+            );
             return { posts: filteredPosts, lastVisible: null };
           }
         }
@@ -550,6 +1376,9 @@ export const PostService = {
         return { posts: [], lastVisible: null };
       }
       
+      // The feed is made of the viewer's follows, so they count as following every author here
+      const viewer = await getPostViewer(userIds);
+      
       // Using chunks to avoid the "in" query limitation (max 10 items)
       const maxChunkSize = 10;
       let allPosts = [];
@@ -574,11 +1403,11 @@ export const PostService = {
         const snapshot = await query.get();
         
         if (!snapshot.empty) {
-          const chunkPosts = snapshot.docs.map(doc => ({
+          const chunkPosts = filterVisiblePosts(snapshot.docs.map(doc => ({
             id: doc.id,
             ...doc.data(),
             timestamp: doc.data().timestamp?.toDate() || new Date(),
-          }));
+          })), viewer);
           
           allPosts = [...allPosts, ...chunkPosts];
           
@@ -615,102 +1444,243 @@ export const PostService = {
   },
 
   /**
-   * Like a post
-   * @param {string} postId - Post ID
-   * @param {string} userId - User ID
-   * @returns {Promise<boolean>} Success status
+   * Get the "For you" feed: recent posts from followed users and topics,
+   * ordered by relevance to the viewer instead of by time
+   * @param {Array} userIds - Array of user IDs to get posts from
+   * @returns {Promise<Array>} Ranked posts, each with a rankingScore
    */
-  likePost: async (postId, userId) => {
-    if (!postId || !userId) throw new Error('Post ID and User ID are required');
+  getRankedFeedPosts: async (userIds) => {
+    const uid = auth().currentUser?.uid;
+    if (!uid) throw new Error('No user is currently signed in');
     
     try {
-      // Check if already liked
-      const likeDoc = await firestore()
-        .collection('likes')
-        .where('postId', '==', postId)
-        .where('userId', '==', userId)
-        .limit(1)
-        .get();
+      const configDoc = await firestore().collection('config').doc(RANKING_CONFIG_DOC).get();
+      const config = mergeRankingConfig(configDoc.exists ? configDoc.data() : {});
       
-      if (!likeDoc.empty) {
-        return false; // Already liked
-      }
+      const { posts: followedPosts } = await PostService.getFeedPosts(userIds, config.candidatePoolSize, null, false);
+      const { posts: topicPosts } = await TopicService.getFollowedTopicPosts(uid, config.candidatePoolSize);
       
-      // Create a new like document
-      await firestore().collection('likes').add({
-        postId,
-        userId,
-        timestamp: firestore.FieldValue.serverTimestamp(),
-      });
+      // Posts from followed topics join the candidate pool unless they're already in it
+      const followedPostIds = new Set(followedPosts.map(post => post.id));
+      const posts = [...followedPosts, ...topicPosts.filter(post => !followedPostIds.has(post.id))];
       
-      // Increment like count on post
-      await firestore()
-        .collection('posts')
-        .doc(postId)
-        .update({
-          likeCount: firestore.FieldValue.increment(1),
-        });
+      // Anonymous posts have no author to look up
+      const authorIds = [...new Set([uid, ...posts.map(post => post.userId)])].filter(Boolean);
+      const authorConditions = {};
       
-      // Get post details for notification
-      const postDoc = await firestore().collection('posts').doc(postId).get();
-      if (postDoc.exists && postDoc.data().userId !== userId) {
-        // Create notification
-        await firestore().collection('notifications').add({
-          type: 'like',
-          postId,
-          senderId: userId,
-          recipientId: postDoc.data().userId,
-          timestamp: firestore.FieldValue.serverTimestamp(),
-          read: false,
+      for (let i = 0; i < authorIds.length; i += 10) {
+        const usersSnapshot = await firestore()
+          .collection('users')
+          .where(firestore.FieldPath.documentId(), 'in', authorIds.slice(i, i + 10))
+          .get();
+        
+        usersSnapshot.docs.forEach(doc => {
+          authorConditions[doc.id] = doc.data().medicalConditions || [];
         });
       }
       
-      AnalyticsService.logEvent('like_post', { postId });
+      const interactionsSnapshot = await firestore()
+        .collection('users')
+        .doc(uid)
+        .collection('interactions')
+        .get();
+      
+      const interactionCounts = interactionsSnapshot.docs.reduce((counts, doc) => ({
+        ...counts,
+        [doc.id]: doc.data().count || 0,
+      }), {});
       
-      return true;
+      const ranked = rankPosts(posts, {
+        viewerConditions: authorConditions[uid] || [],
+        authorConditions,
+        interactionCounts,
+      }, config, Date.now());
+      
+      AnalyticsService.logEvent('get_ranked_feed', { candidates: posts.length });
+      
+      return ranked;
     } catch (error) {
-      AnalyticsService.logError(error.message, 'like_post_error');
+      AnalyticsService.logError(error.message, 'get_ranked_feed_error');
       throw error;
     }
   },
 
   /**
-   * Unlike a post
+   * Count an interaction with another user's content. The counts feed the
+   * author affinity signal of the ranked feed.
+   * @param {string} userId - User who interacted
+   * @param {string} authorId - Author of the content
+   * @returns {Promise<void>}
+   */
+  recordInteraction: async (userId, authorId) => {
+    if (!userId || !authorId || userId === authorId) return;
+    
+    try {
+      await firestore()
+        .collection('users')
+        .doc(userId)
+        .collection('interactions')
+        .doc(authorId)
+        .set({
+          count: firestore.FieldValue.increment(1),
+          lastInteractionAt: firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+    } catch (error) {
+      // Ranking still works without this, so it never fails the interaction itself
+      AnalyticsService.logError(error.message, 'record_interaction_error');
+    }
+  },
+
+  /**
+   * React to a post, replacing the user's previous reaction if they had one
    * @param {string} postId - Post ID
    * @param {string} userId - User ID
-   * @returns {Promise<boolean>} Success status
+   * @param {string} reactionType - One of REACTION_TYPES
+   * @returns {Promise<string>} The user's reaction type
    */
-  unlikePost: async (postId, userId) => {
+  setReaction: async (postId, userId, reactionType) => {
     if (!postId || !userId) throw new Error('Post ID and User ID are required');
+    if (!REACTION_TYPES.includes(reactionType)) throw new Error('Invalid reaction type');
+    
+    const postRef = firestore().collection('posts').doc(postId);
+    const reactionRef = firestore().collection('reactions').doc(`${postId}_${userId}`);
     
     try {
-      // Find like document
-      const likeQuery = await firestore()
-        .collection('likes')
-        .where('postId', '==', postId)
-        .where('userId', '==', userId)
-        .limit(1)
-        .get();
+      const userDoc = await firestore().collection('users').doc(userId).get();
+      const user = userDoc.exists ? userDoc.data() : {};
+      const legacyLikeRef = await getLegacyLikeRef(postId, userId);
+      
+      const previousType = await firestore().runTransaction(async transaction => {
+        const [postDoc, reactionDoc, legacyLikeDoc] = await Promise.all([
+          transaction.get(postRef),
+          transaction.get(reactionRef),
+          legacyLikeRef ? transaction.get(legacyLikeRef) : null,
+        ]);
+        
+        if (!postDoc.exists || postDoc.data().deleted) {
+          throw new Error('Post not found');
+        }
+        
+        const existingType = reactionDoc.exists ? reactionDoc.data().type : null;
+        const hasLegacyLike = !existingType && !!legacyLikeDoc?.exists;
+        if (existingType === reactionType) return existingType;
+        
+        const update = {
+          [`reactionCounts.${reactionType}`]: firestore.FieldValue.increment(1),
+        };
+        
+        if (existingType) {
+          // Switching reactions moves the user's count to the new type
+          update[`reactionCounts.${existingType}`] = firestore.FieldValue.increment(-1);
+        } else if (hasLegacyLike) {
+          // The old like becomes this reaction; it's already in likeCount
+          transaction.delete(legacyLikeRef);
+        } else {
+          // likeCount keeps the total number of reactions
+          update.likeCount = firestore.FieldValue.increment(1);
+        }
+        
+        transaction.set(reactionRef, {
+          postId,
+          userId,
+          userFullName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+          userProfileImageURL: user.profileImageURL || null,
+          type: reactionType,
+          timestamp: firestore.FieldValue.serverTimestamp(),
+        });
+        transaction.update(postRef, update);
+        
+        return existingType || (hasLegacyLike ? DEFAULT_REACTION : null);
+      });
       
-      if (likeQuery.empty) {
-        return false; // Not liked
+      if (previousType === reactionType) return reactionType;
+      
+      // Notify the author about new reactions only, not switches
+      if (!previousType) {
+        const postDoc = await postRef.get();
+        const authorId = postDoc.exists ? await getAuthorId(postId, postDoc.data()) : null;
+        if (postDoc.exists && authorId !== userId) {
+          if (authorId) {
+            await PostService.recordInteraction(userId, authorId);
+          }
+          await firestore().collection('notifications').add({
+            type: 'reaction',
+            reactionType,
+            postId,
+            senderId: userId,
+            ...getNotificationRecipient(postId, postDoc.data()),
+            message: `reacted to your post with ${getReaction(reactionType).label}`,
+            timestamp: firestore.FieldValue.serverTimestamp(),
+            read: false,
+          });
+        }
       }
       
-      // Delete the like document
-      await likeQuery.docs[0].ref.delete();
+      AnalyticsService.logEvent('react_post', { postId, reactionType, switched: !!previousType });
       
-      // Decrement like count on post
-      await firestore()
-        .collection('posts')
-        .doc(postId)
-        .update({
-          likeCount: firestore.FieldValue.increment(-1),
-        });
+      return reactionType;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'react_post_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Remove the user's reaction from a post
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Whether a reaction was removed
+   */
+  removeReaction: async (postId, userId) => {
+    if (!postId || !userId) throw new Error('Post ID and User ID are required');
+    
+    const postRef = firestore().collection('posts').doc(postId);
+    const reactionRef = firestore().collection('reactions').doc(`${postId}_${userId}`);
+    
+    try {
+      const legacyLikeRef = await getLegacyLikeRef(postId, userId);
+      
+      const removed = await firestore().runTransaction(async transaction => {
+        const [postDoc, reactionDoc, legacyLikeDoc] = await Promise.all([
+          transaction.get(postRef),
+          transaction.get(reactionRef),
+          legacyLikeRef ? transaction.get(legacyLikeRef) : null,
+        ]);
+        
+        const hasLegacyLike = !!legacyLikeDoc?.exists;
+        if (!reactionDoc.exists && !hasLegacyLike) return false;
+        
+        const update = {};
+        let removedCount = 0;
+        
+        if (reactionDoc.exists) {
+          transaction.delete(reactionRef);
+          update[`reactionCounts.${reactionDoc.data().type}`] = firestore.FieldValue.increment(-1);
+          removedCount++;
+        }
+        
+        // Old likes only count towards likeCount
+        if (hasLegacyLike) {
+          transaction.delete(legacyLikeRef);
+          removedCount++;
+        }
+        
+        if (postDoc.exists) {
+          transaction.update(postRef, {
+            ...update,
+            likeCount: firestore.FieldValue.increment(-removedCount),
+          });
+        }
+        
+        return true;
+      });
       
-      // Remove notification
+      if (!removed) return false;
+      
+      // Remove notification, which is a 'like' for old likes
       const notificationQuery = await firestore()
         .collection('notifications')
-        .where('type', '==', 'like')
+        .where('type', 'in', ['reaction', 'like'])
         .where('postId', '==', postId)
         .where('senderId', '==', userId)
         .limit(1)
@@ -720,328 +1690,740 @@ export const PostService = {
         await notificationQuery.docs[0].ref.delete();
       }
       
-      AnalyticsService.logEvent('unlike_post', { postId });
+      AnalyticsService.logEvent('remove_post_reaction', { postId });
       
       return true;
     } catch (error) {
-      AnalyticsService.logError(error.message, 'unlike_post_error');
+      AnalyticsService.logError(error.message, 'remove_post_reaction_error');
       throw error;
     }
   },
 
   /**
-   * Delete a post
+   * Get the user's reaction to a post
    * @param {string} postId - Post ID
    * @param {string} userId - User ID
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<string|null>} Reaction type, or null if the user hasn't reacted
    */
-  deletePost: async (postId, userId) => {
+  getUserReaction: async (postId, userId) => {
     if (!postId || !userId) throw new Error('Post ID and User ID are required');
     
     try {
-      // Verify ownership
-      const postDoc = await firestore().collection('posts').doc(postId).get();
-      
-      if (!postDoc.exists) {
-        throw new Error('Post not found');
-      }
-      
-      if (postDoc.data().userId !== userId) {
-        throw new Error('Not authorized to delete this post');
-      }
-      
-      // Delete the post
-      await postDoc.ref.delete();
-      
-      // Delete related likes
-      const likesQuery = await firestore()
-        .collection('likes')
-        .where('postId', '==', postId)
-        .get();
-      
-      const likeDeletions = likesQuery.docs.map(doc => doc.ref.delete());
-      await Promise.all(likeDeletions);
-      
-      // Delete related comments
-      const commentsQuery = await firestore()
-        .collection('comments')
-        .where('postId', '==', postId)
-        .get();
-      
-      const commentDeletions = commentsQuery.docs.map(doc => doc.ref.delete());
-      await Promise.all(commentDeletions);
-      
-      // Delete related notifications
-      const notificationsQuery = await firestore()
-        .collection('notifications')
-        .where('postId', '==', postId)
+      const reactionDoc = await firestore()
+        .collection('reactions')
+        .doc(`${postId}_${userId}`)
         .get();
       
-      const notificationDeletions = notificationsQuery.docs.map(doc => doc.ref.delete());
-      await Promise.all(notificationDeletions);
-      
-      // If post has content URL, delete from storage
-      if (postDoc.data().content && postDoc.data().content.startsWith('https://firebasestorage.googleapis.com')) {
-        try {
-          const storageRef = storage().refFromURL(postDoc.data().content);
-          await storageRef.delete();
-        } catch (storageError) {
-          console.error('Error deleting post media:', storageError);
-          // Continue despite storage delete error
-        }
-      }
-      
-      AnalyticsService.logEvent('delete_post', { postId });
+      if (reactionDoc.exists) return reactionDoc.data().type;
       
-      return true;
+      // Likes from before reactions show as the default reaction
+      return (await getLegacyLikeRef(postId, userId)) ? DEFAULT_REACTION : null;
     } catch (error) {
-      AnalyticsService.logError(error.message, 'delete_post_error');
+      AnalyticsService.logError(error.message, 'get_user_reaction_error');
       throw error;
     }
   },
 
   /**
-   * Report a post
+   * Get who reacted to a post, most recent first
    * @param {string} postId - Post ID
-   * @param {string} userId - User ID reporting
-   * @param {string} reason - Reason for report
-   * @param {string} additionalInfo - Additional information
-   * @returns {Promise<string>} Report ID
+   * @param {number} limit - Maximum number of reactions to get
+   * @returns {Promise<Array>} Reactions ({ id, userId, userFullName, userProfileImageURL, type, timestamp })
    */
-  reportPost: async (postId, userId, reason, additionalInfo = '') => {
-    if (!postId || !userId || !reason) {
-      throw new Error('Post ID, User ID, and reason are required');
-    }
+  getReactions: async (postId, limit = 100) => {
+    if (!postId) throw new Error('Post ID is required');
     
     try {
-      // Get post data for report context
-      const postDoc = await firestore().collection('posts').doc(postId).get();
-      
-      if (!postDoc.exists) {
-        throw new Error('Post not found');
-      }
-      
-      // Create report
-      const reportRef = await firestore().collection('reports').add({
-        type: 'post',
-        contentId: postId,
-        reportedBy: userId,
-        reportedUserId: postDoc.data().userId,
-        reason,
-        additionalInfo,
-        timestamp: firestore.FieldValue.serverTimestamp(),
-        status: 'pending',
-        reviewed: false,
-      });
-      
-      AnalyticsService.logEvent('report_post', { postId, reason });
+      const [snapshot, likesSnapshot] = await Promise.all([
+        firestore()
+          .collection('reactions')
+          .where('postId', '==', postId)
+          .orderBy('timestamp', 'desc')
+          .limit(limit)
+          .get(),
+        firestore()
+          .collection('likes')
+          .where('postId', '==', postId)
+          .limit(limit)
+          .get(),
+      ]);
+      
+      const reactions = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        timestamp: doc.data().timestamp?.toDate() || new Date(),
+      }));
+      
+      // Likes from before reactions don't store the liker's name, so look it up
+      const legacyLikes = await Promise.all(likesSnapshot.docs.map(async doc => ({
+        id: doc.id,
+        ...(await getMemberProfile(doc.data().userId)),
+        postId,
+        type: DEFAULT_REACTION,
+        timestamp: doc.data().timestamp?.toDate() || new Date(),
+      })));
       
-      return reportRef.id;
+      return [...reactions, ...legacyLikes]
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, limit);
     } catch (error) {
-      AnalyticsService.logError(error.message, 'report_post_error');
+      AnalyticsService.logError(error.message, 'get_reactions_error');
       throw error;
     }
   },
-};
 
-/**
- * Comment service for Firestore comment operations
- */
-export const CommentService = {
   /**
-   * Add a comment to a post
+   * Like a post. Likes are Support reactions.
    * @param {string} postId - Post ID
    * @param {string} userId - User ID
-   * @param {string} text - Comment text
-   * @returns {Promise<string>} Comment ID
+   * @returns {Promise<boolean>} Whether a new like was added
    */
-  addComment: async (postId, userId, text) => {
-    if (!postId || !userId || !text.trim()) {
-      throw new Error('Post ID, User ID, and text are required');
+  likePost: async (postId, userId) => {
+    const existingType = await PostService.getUserReaction(postId, userId);
+    if (existingType) return false; // Already reacted
+    
+    await PostService.setReaction(postId, userId, DEFAULT_REACTION);
+    return true;
+  },
+
+  /**
+   * Unlike a post, removing whichever reaction the user left
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Whether a reaction was removed
+   */
+  unlikePost: async (postId, userId) => {
+    return PostService.removeReaction(postId, userId);
+  },
+
+  /**
+   * Reshare a post into the user's followers' feeds, optionally quoting it
+   * with commentary. Resharing a reshare points at the original post.
+   * @param {string} postId - ID of the post to reshare
+   * @param {string} userId - User ID
+   * @param {string} quote - Commentary for a quote post, empty for a plain reshare
+   * @returns {Promise<string>} ID of the new post
+   */
+  resharePost: async (postId, userId, quote = '') => {
+    if (!postId || !userId) throw new Error('Post ID and User ID are required');
+    
+    const commentary = quote.trim();
+    if (commentary.length > MAX_QUOTE_LENGTH) {
+      throw new Error(`Quotes can be at most ${MAX_QUOTE_LENGTH} characters`);
     }
     
     try {
-      // Get user data for comment
-      const userDoc = await firestore().collection('users').doc(userId).get();
+      const sharedDoc = await firestore().collection('posts').doc(postId).get();
+      if (!sharedDoc.exists || sharedDoc.data().deleted) throw new Error('Post not found');
       
-      if (!userDoc.exists) {
-        throw new Error('User not found');
-      }
+      const originalPostId = sharedDoc.data().type === 'reshare'
+        ? sharedDoc.data().originalPostId
+        : postId;
+      const originalRef = firestore().collection('posts').doc(originalPostId);
       
-      // Create comment
-      const commentRef = await firestore().collection('comments').add({
-        postId,
-        userId,
-        userFullName: `${userDoc.data().firstName || ''} ${userDoc.data().lastName || ''}`.trim(),
-        userProfileImageURL: userDoc.data().profileImageURL || null,
-        text: text.trim(),
-        timestamp: firestore.FieldValue.serverTimestamp(),
-        edited: false,
-      });
+      // Plain reshares use a fixed ID so a post can only be reshared once per user
+      const postRef = commentary
+        ? firestore().collection('posts').doc()
+        : firestore().collection('posts').doc(`reshare_${originalPostId}_${userId}`);
       
-      // Increment comment count on post
-      await firestore()
-        .collection('posts')
-        .doc(postId)
-        .update({
-          commentCount: firestore.FieldValue.increment(1),
+      const userDoc = await firestore().collection('users').doc(userId).get();
+      const user = userDoc.exists ? userDoc.data() : {};
+      
+      const original = await firestore().runTransaction(async transaction => {
+        const [originalDoc, existingDoc] = await Promise.all([
+          transaction.get(originalRef),
+          transaction.get(postRef),
+        ]);
+        
+        if (!originalDoc.exists || originalDoc.data().deleted) {
+          throw new Error('Post not found');
+        }
+        if (originalDoc.data().allowReshare === false) {
+          throw new Error('The author has turned off resharing for this post');
+        }
+        if ((originalDoc.data().audience || DEFAULT_AUDIENCE) !== 'public') {
+          throw new Error('Only public posts can be reshared');
+        }
+        if (existingDoc.exists) {
+          throw new Error('You have already reshared this post');
+        }
+        
+        transaction.set(postRef, {
+          type: commentary ? 'quote' : 'reshare',
+          caption: commentary,
+          hashtags: extractHashtags(commentary),
+          originalPostId,
+          originalUserId: originalDoc.data().userId || null,
+          userId,
+          userFullName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+          userProfileImageURL: user.profileImageURL || null,
+          timestamp: firestore.FieldValue.serverTimestamp(),
+          likeCount: 0,
+          reactionCounts: REACTION_TYPES.reduce((counts, type) => ({ ...counts, [type]: 0 }), {}),
+          commentCount: 0,
+          reshareCount: 0,
+          allowReshare: true,
+          audience: 'public',
+          audienceCondition: null,
+        });
+        transaction.update(originalRef, {
+          reshareCount: firestore.FieldValue.increment(1),
         });
+        
+        return originalDoc.data();
+      });
       
-      // Get post details for notification
-      const postDoc = await firestore().collection('posts').doc(postId).get();
-      if (postDoc.exists && postDoc.data().userId !== userId) {
-        // Create notification
+      await countHashtags(extractHashtags(commentary));
+      
+      const originalAuthorId = await getAuthorId(originalPostId, original);
+      if (originalAuthorId !== userId) {
+        if (originalAuthorId) {
+          await PostService.recordInteraction(userId, originalAuthorId);
+        }
+        
         await firestore().collection('notifications').add({
-          type: 'comment',
-          postId,
-          commentId: commentRef.id,
+          type: commentary ? 'quote' : 'reshare',
+          postId: originalPostId,
+          resharePostId: postRef.id,
           senderId: userId,
-          recipientId: postDoc.data().userId,
-          message: 'commented on your post',
+          ...getNotificationRecipient(originalPostId, original),
+          message: commentary ? 'quoted your post' : 'reshared your post',
           timestamp: firestore.FieldValue.serverTimestamp(),
           read: false,
         });
       }
       
-      AnalyticsService.logEvent('add_comment', { postId });
+      AnalyticsService.logEvent(commentary ? 'quote_post' : 'reshare_post', { postId: originalPostId });
       
-      return commentRef.id;
+      return postRef.id;
     } catch (error) {
-      AnalyticsService.logError(error.message, 'add_comment_error');
+      AnalyticsService.logError(error.message, 'reshare_post_error');
       throw error;
     }
   },
 
   /**
-   * Edit a comment
-   * @param {string} commentId - Comment ID
-   * @param {string} userId - User ID
-   * @param {string} text - Updated comment text
-   * @returns {Promise<boolean>} Success status
+   * Turn resharing on or off for one of the user's posts. Existing reshares
+   * are kept; this only stops new ones.
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID of the post's author
+   * @param {boolean} allowReshare - Whether others may reshare the post
+   * @returns {Promise<void>}
    */
-  editComment: async (commentId, userId, text) => {
-    if (!commentId || !userId || !text.trim()) {
-      throw new Error('Comment ID, User ID, and text are required');
-    }
+  setAllowReshare: async (postId, userId, allowReshare) => {
+    if (!postId || !userId) throw new Error('Post ID and User ID are required');
     
     try {
-      // Verify ownership
-      const commentDoc = await firestore().collection('comments').doc(commentId).get();
+      const postRef = firestore().collection('posts').doc(postId);
+      const postDoc = await postRef.get();
       
-      if (!commentDoc.exists) {
-        throw new Error('Comment not found');
+      if (!postDoc.exists) {
+        throw new Error('Post not found');
       }
       
-      if (commentDoc.data().userId !== userId) {
-        throw new Error('Not authorized to edit this comment');
+      if (await getAuthorId(postId, postDoc.data()) !== userId) {
+        throw new Error('Not authorized to update this post');
       }
       
-      // Update comment
-      await commentDoc.ref.update({
-        text: text.trim(),
-        edited: true,
-        editTimestamp: firestore.FieldValue.serverTimestamp(),
-      });
-      
-      AnalyticsService.logEvent('edit_comment', { commentId });
+      await postRef.update({ allowReshare });
       
-      return true;
+      AnalyticsService.logEvent('post_reshare_setting_changed', { allowReshare });
     } catch (error) {
-      AnalyticsService.logError(error.message, 'edit_comment_error');
+      AnalyticsService.logError(error.message, 'set_allow_reshare_error');
       throw error;
     }
   },
 
   /**
-   * Delete a comment
-   * @param {string} commentId - Comment ID
-   * @param {string} userId - User ID
-   * @returns {Promise<boolean>} Success status
+   * Change who can see one of the user's posts. Feeds, profiles and search
+   * check the audience when they load, so the change applies immediately.
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID of the post's author
+   * @param {string} audience - One of AUDIENCE_TYPES
+   * @param {string|null} condition - Condition for community posts
+   * @returns {Promise<Object>} Stored audience fields
    */
-  deleteComment: async (commentId, userId) => {
-    if (!commentId || !userId) throw new Error('Comment ID and User ID are required');
+  setAudience: async (postId, userId, audience, condition = null) => {
+    if (!postId || !userId) throw new Error('Post ID and User ID are required');
     
     try {
-      // Verify ownership
-      const commentDoc = await firestore().collection('comments').doc(commentId).get();
+      const postRef = firestore().collection('posts').doc(postId);
+      const postDoc = await postRef.get();
       
-      if (!commentDoc.exists) {
-        throw new Error('Comment not found');
+      if (!postDoc.exists) {
+        throw new Error('Post not found');
       }
       
-      // Check if owner or post owner
-      const isCommenter = commentDoc.data().userId === userId;
-      const postId = commentDoc.data().postId;
+      const audienceFields = buildAudience(audience, condition, !!postDoc.data().anonymous);
       
-      let isPostOwner = false;
-      if (!isCommenter && postId) {
-        const postDoc = await firestore().collection('posts').doc(postId).get();
-        isPostOwner = postDoc.exists && postDoc.data().userId === userId;
+      if (await getAuthorId(postId, postDoc.data()) !== userId) {
+        throw new Error('Not authorized to update this post');
       }
       
-      if (!isCommenter && !isPostOwner) {
-        throw new Error('Not authorized to delete this comment');
+      if (RESHARE_POST_TYPES.includes(postDoc.data().type)) {
+        throw new Error('Reshares and quotes are always public');
       }
       
-      // Delete the comment
-      await commentDoc.ref.delete();
+      await postRef.update(audienceFields);
       
-      // Decrement comment count on post
-      if (postId) {
-        await firestore()
-          .collection('posts')
-          .doc(postId)
-          .update({
-            commentCount: firestore.FieldValue.increment(-1),
-          });
-      }
+      // Don't let this device's feed cache show the post to the old audience
+      await AsyncStorage.removeItem(POST_CACHE_KEY);
       
-      // Delete related notifications
-      const notificationsQuery = await firestore()
-        .collection('notifications')
-        .where('commentId', '==', commentId)
-        .get();
+      AnalyticsService.logEvent('post_audience_changed', { audience });
+      
+      return audienceFields;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'set_post_audience_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Vote in a poll. Each user can vote once; the vote and the tallies are
+   * written in one transaction so concurrent votes can't be lost.
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID
+   * @param {Array<string>} optionIds - Chosen option IDs (exactly one for single-choice polls)
+   * @returns {Promise<Object>} Updated poll data
+   */
+  votePoll: async (postId, userId, optionIds) => {
+    if (!postId || !userId) throw new Error('Post ID and User ID are required');
+    if (!Array.isArray(optionIds) || optionIds.length === 0) {
+      throw new Error('At least one option must be selected');
+    }
+    
+    const postRef = firestore().collection('posts').doc(postId);
+    const voteRef = firestore().collection('pollVotes').doc(`${postId}_${userId}`);
+    
+    try {
+      const updatedPoll = await firestore().runTransaction(async transaction => {
+        const [postDoc, voteDoc] = await Promise.all([
+          transaction.get(postRef),
+          transaction.get(voteRef),
+        ]);
+        
+        if (!postDoc.exists || postDoc.data().deleted) {
+          throw new Error('Post not found');
+        }
+        
+        if (voteDoc.exists) {
+          throw new Error('You have already voted in this poll');
+        }
+        
+        const poll = postDoc.data().poll;
+        if (!poll) {
+          throw new Error('This post does not have a poll');
+        }
+        
+        if (poll.closesAt && poll.closesAt.toMillis() <= Date.now()) {
+          throw new Error('This poll has closed');
+        }
+        
+        const uniqueOptionIds = [...new Set(optionIds)];
+        const validIds = poll.options.map(option => option.id);
+        
+        if (uniqueOptionIds.some(id => !validIds.includes(id))) {
+          throw new Error('Invalid poll option');
+        }
+        
+        if (!poll.multipleChoice && uniqueOptionIds.length > 1) {
+          throw new Error('Only one option can be selected in this poll');
+        }
+        
+        const voteCounts = { ...poll.voteCounts };
+        const update = {
+          'poll.voterCount': firestore.FieldValue.increment(1),
+        };
+        
+        uniqueOptionIds.forEach(id => {
+          voteCounts[id] = (voteCounts[id] || 0) + 1;
+          update[`poll.voteCounts.${id}`] = firestore.FieldValue.increment(1);
+        });
+        
+        transaction.set(voteRef, {
+          postId,
+          userId,
+          optionIds: uniqueOptionIds,
+          timestamp: firestore.FieldValue.serverTimestamp(),
+        });
+        transaction.update(postRef, update);
+        
+        return {
+          ...poll,
+          voteCounts,
+          voterCount: (poll.voterCount || 0) + 1,
+        };
+      });
+      
+      AnalyticsService.logEvent('vote_poll', { postId, optionCount: optionIds.length });
+      
+      return updatedPoll;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'vote_poll_error', { postId });
+      throw error;
+    }
+  },
+
+  /**
+   * Get the options a user voted for in a poll
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>|null>} Chosen option IDs, or null if the user hasn't voted
+   */
+  getPollVote: async (postId, userId) => {
+    if (!postId || !userId) throw new Error('Post ID and User ID are required');
+    
+    try {
+      const voteDoc = await firestore()
+        .collection('pollVotes')
+        .doc(`${postId}_${userId}`)
+        .get();
+      
+      return voteDoc.exists ? voteDoc.data().optionIds : null;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_poll_vote_error', { postId });
+      throw error;
+    }
+  },
+
+  /**
+   * Edit a post's caption, or the URL of a link post. The version being
+   * replaced is kept in the post's edit history.
+   * @param {string} postId - Post ID
+   * @param {Object} updateData - New values ({ caption, content })
+   * @returns {Promise<boolean>} Whether anything changed
+   */
+  updatePost: async (postId, updateData) => {
+    const user = auth().currentUser;
+    if (!user) throw new Error('No user is currently signed in');
+    if (!postId) throw new Error('Post ID is required');
+    
+    try {
+      const postDoc = await firestore().collection('posts').doc(postId).get();
+      
+      if (!postDoc.exists || postDoc.data().deleted) {
+        throw new Error('Post not found');
+      }
+      
+      const post = postDoc.data();
+      
+      if (await getAuthorId(postId, post) !== user.uid) {
+        throw new Error('Not authorized to edit this post');
+      }
+      
+      const edits = {};
+      
+      if (typeof updateData.caption === 'string' && updateData.caption.trim() !== (post.caption || '')) {
+        if (!updateData.caption.trim()) throw new Error('Caption cannot be empty');
+        edits.caption = updateData.caption.trim();
+      }
+      
+      // Only link posts have a user-editable content URL
+      if (post.type === 'link' && updateData.content && updateData.content.trim() !== post.content) {
+        edits.content = updateData.content.trim();
+      }
+      
+      if (Object.keys(edits).length === 0) return false;
+      
+      const batch = firestore().batch();
+      
+      addPreviousVersion(batch, postDoc.ref, {
+        caption: post.caption || '',
+        content: post.type === 'link' ? post.content : null,
+      }, post.editTimestamp || post.timestamp);
+      
+      let newHashtags = [];
+      
+      if (edits.caption !== undefined) {
+        // Mentions whose @name was edited out are dropped, and no new ones are added
+        edits.hashtags = extractHashtags(edits.caption);
+        edits.mentions = buildMentionEntities(edits.caption, post.mentions || []);
+        newHashtags = edits.hashtags.filter(tag => !(post.hashtags || []).includes(tag));
+      }
+      
+      batch.update(postDoc.ref, {
+        ...edits,
+        edited: true,
+        editTimestamp: firestore.FieldValue.serverTimestamp(),
+        editCount: firestore.FieldValue.increment(1),
+      });
+      
+      await batch.commit();
+      await countHashtags(newHashtags);
+      
+      AnalyticsService.logEvent('edit_post', { postId, fields: Object.keys(edits) });
+      
+      return true;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'edit_post_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get the earlier versions of an edited post
+   * @param {string} postId - Post ID
+   * @returns {Promise<Array>} Previous versions ({ caption, content, timestamp, replacedAt }), newest first
+   */
+  getEditHistory: async (postId) => {
+    if (!postId) throw new Error('Post ID is required');
+    
+    try {
+      return await getPreviousVersions(firestore().collection('posts').doc(postId));
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_post_edit_history_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a post. It is hidden everywhere straight away, but stays in the
+   * owner's "Recently deleted" list until restored or purged.
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Success status
+   */
+  deletePost: async (postId, userId) => {
+    if (!postId || !userId) throw new Error('Post ID and User ID are required');
+    
+    try {
+      // Verify ownership
+      const postDoc = await firestore().collection('posts').doc(postId).get();
+      
+      if (!postDoc.exists || postDoc.data().deleted) {
+        throw new Error('Post not found');
+      }
+      
+      if (await getAuthorId(postId, postDoc.data()) !== userId) {
+        throw new Error('Not authorized to delete this post');
+      }
+      
+      const batch = firestore().batch();
+      
+      batch.update(postDoc.ref, {
+        deleted: true,
+        // Anonymous authors are marked on their private record instead
+        deletedBy: postDoc.data().anonymous ? null : userId,
+        deletedAt: firestore.FieldValue.serverTimestamp(),
+        purgeAt: getPurgeAt(),
+      });
+      
+      if (postDoc.data().anonymous) {
+        batch.update(firestore().collection('anonymousAuthors').doc(postId), { deleted: true });
+      }
+      
+      await batch.commit();
+      
+      // Reshares and quotes no longer count towards the original
+      if (RESHARE_POST_TYPES.includes(postDoc.data().type) && postDoc.data().originalPostId) {
+        try {
+          await firestore()
+            .collection('posts')
+            .doc(postDoc.data().originalPostId)
+            .update({ reshareCount: firestore.FieldValue.increment(-1) });
+        } catch (updateError) {
+          // The original may have been deleted already
+          console.error('Error updating reshare count:', updateError);
+        }
+      }
+      
+      AnalyticsService.logEvent('delete_post', { postId });
+      
+      return true;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'delete_post_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Bring back a post from "Recently deleted"
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Success status
+   */
+  restorePost: async (postId, userId) => {
+    if (!postId || !userId) throw new Error('Post ID and User ID are required');
+    
+    try {
+      const postDoc = await firestore().collection('posts').doc(postId).get();
+      
+      if (!postDoc.exists || !postDoc.data().deleted || !(await isDeletedBy(postDoc, userId))) {
+        throw new Error('Post not found');
+      }
+      
+      const batch = firestore().batch();
+      
+      batch.update(postDoc.ref, {
+        deleted: false,
+        deletedBy: firestore.FieldValue.delete(),
+        deletedAt: firestore.FieldValue.delete(),
+        purgeAt: firestore.FieldValue.delete(),
+      });
+      
+      if (postDoc.data().anonymous) {
+        batch.update(firestore().collection('anonymousAuthors').doc(postId), { deleted: false });
+      }
+      
+      await batch.commit();
+      
+      if (RESHARE_POST_TYPES.includes(postDoc.data().type) && postDoc.data().originalPostId) {
+        try {
+          await firestore()
+            .collection('posts')
+            .doc(postDoc.data().originalPostId)
+            .update({ reshareCount: firestore.FieldValue.increment(1) });
+        } catch (updateError) {
+          console.error('Error updating reshare count:', updateError);
+        }
+      }
+      
+      AnalyticsService.logEvent('restore_post', { postId });
+      
+      return true;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'restore_post_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Permanently remove a deleted post with its comments, reactions and media
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Success status
+   */
+  purgePost: async (postId, userId) => {
+    if (!postId || !userId) throw new Error('Post ID and User ID are required');
+    
+    try {
+      const postDoc = await firestore().collection('posts').doc(postId).get();
+      
+      // Only posts already in "Recently deleted" can be purged
+      if (!postDoc.exists || !postDoc.data().deleted || !(await isDeletedBy(postDoc, userId))) {
+        throw new Error('Post not found');
+      }
+      
+      // Delete the post
+      await postDoc.ref.delete();
+      
+      if (postDoc.data().anonymous) {
+        await firestore().collection('anonymousAuthors').doc(postId).delete();
+      }
+      
+      // Delete related likes
+      const likesQuery = await firestore()
+        .collection('likes')
+        .where('postId', '==', postId)
+        .get();
+      
+      const likeDeletions = likesQuery.docs.map(doc => doc.ref.delete());
+      await Promise.all(likeDeletions);
+      
+      // Delete related reactions
+      const reactionsQuery = await firestore()
+        .collection('reactions')
+        .where('postId', '==', postId)
+        .get();
+      
+      await Promise.all(reactionsQuery.docs.map(doc => doc.ref.delete()));
+      
+      // Delete related comments
+      const commentsQuery = await firestore()
+        .collection('comments')
+        .where('postId', '==', postId)
+        .get();
+      
+      const commentDeletions = commentsQuery.docs.map(doc => doc.ref.delete());
+      await Promise.all(commentDeletions);
+      
+      // Delete comment replies, which live in subcollections of their top-level comment
+      const repliesQuery = await firestore()
+        .collectionGroup('replies')
+        .where('postId', '==', postId)
+        .get();
+      
+      await Promise.all(repliesQuery.docs.map(doc => doc.ref.delete()));
+      
+      // Delete the post's edit history
+      const versionsQuery = await postDoc.ref.collection('versions').get();
+      
+      await Promise.all(versionsQuery.docs.map(doc => doc.ref.delete()));
+      
+      // Delete the impressions behind the post's insights
+      const [viewersQuery, impressionDaysQuery] = await Promise.all([
+        postDoc.ref.collection('viewers').get(),
+        postDoc.ref.collection('impressionDays').get(),
+      ]);
+      
+      await Promise.all([...viewersQuery.docs, ...impressionDaysQuery.docs].map(doc => doc.ref.delete()));
+      
+      // Delete related poll votes
+      if (postDoc.data().poll) {
+        const pollVotesQuery = await firestore()
+          .collection('pollVotes')
+          .where('postId', '==', postId)
+          .get();
+        
+        await Promise.all(pollVotesQuery.docs.map(doc => doc.ref.delete()));
+      }
+      
+      // Delete related notifications
+      const notificationsQuery = await firestore()
+        .collection('notifications')
+        .where('postId', '==', postId)
+        .get();
       
       const notificationDeletions = notificationsQuery.docs.map(doc => doc.ref.delete());
       await Promise.all(notificationDeletions);
       
-      AnalyticsService.logEvent('delete_comment', { commentId });
+      // Delete the post's media (single content URL or every carousel item) from storage
+      for (const url of getPostStorageUrls(postDoc.data())) {
+        try {
+          await UploadService.deleteFile(url);
+        } catch (storageError) {
+          console.error('Error deleting post media:', storageError);
+          // Continue despite storage delete error
+        }
+      }
+      
+      AnalyticsService.logEvent('purge_post', { postId });
       
       return true;
     } catch (error) {
-      AnalyticsService.logError(error.message, 'delete_comment_error');
+      AnalyticsService.logError(error.message, 'purge_post_error');
       throw error;
     }
   },
 
   /**
-   * Report a comment
-   * @param {string} commentId - Comment ID
+   * Report a post
+   * @param {string} postId - Post ID
    * @param {string} userId - User ID reporting
    * @param {string} reason - Reason for report
    * @param {string} additionalInfo - Additional information
    * @returns {Promise<string>} Report ID
    */
-  reportComment: async (commentId, userId, reason, additionalInfo = '') => {
-    if (!commentId || !userId || !reason) {
-      throw new Error('Comment ID, User ID, and reason are required');
+  reportPost: async (postId, userId, reason, additionalInfo = '') => {
+    if (!postId || !userId || !reason) {
+      throw new Error('Post ID, User ID, and reason are required');
     }
     
     try {
-      // Get comment data for report context
-      const commentDoc = await firestore().collection('comments').doc(commentId).get();
+      // Get post data for report context
+      const postDoc = await firestore().collection('posts').doc(postId).get();
       
-      if (!commentDoc.exists) {
-        throw new Error('Comment not found');
+      if (!postDoc.exists) {
+        throw new Error('Post not found');
       }
       
       // Create report
       const reportRef = await firestore().collection('reports').add({
-        type: 'comment',
-        contentId: commentId,
-        postId: commentDoc.data().postId,
+        type: 'post',
+        contentId: postId,
         reportedBy: userId,
-        reportedUserId: commentDoc.data().userId,
+        // Moderators look up anonymous authors in anonymousAuthors
+        reportedUserId: postDoc.data().userId || null,
         reason,
         additionalInfo,
         timestamp: firestore.FieldValue.serverTimestamp(),
@@ -1049,276 +2431,2832 @@ export const CommentService = {
         reviewed: false,
       });
       
-      AnalyticsService.logEvent('report_comment', { commentId, reason });
+      AnalyticsService.logEvent('report_post', { postId, reason });
+      
+      return reportRef.id;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'report_post_error');
+      throw error;
+    }
+  },
+};
+
+/**
+ * Comment service for Firestore comment operations
+ */
+export const CommentService = {
+  /**
+   * Add a comment to a post
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID
+   * @param {string} text - Comment text
+   * @param {boolean} anonymous - Whether to comment under the thread's pseudonym
+   * @param {Array<Object>} mentions - Users picked from mention suggestions, as { userId, name }
+   * @returns {Promise<string>} Comment ID
+   */
+  addComment: async (postId, userId, text, anonymous = false, mentions = []) => {
+    if (!postId || !userId || !text.trim()) {
+      throw new Error('Post ID, User ID, and text are required');
+    }
+    
+    try {
+      // Get user data for comment
+      const userDoc = await firestore().collection('users').doc(userId).get();
+      
+      if (!userDoc.exists) {
+        throw new Error('User not found');
+      }
+      
+      // Get post details for mentions and the notification
+      const postDoc = await firestore().collection('posts').doc(postId).get();
+      if (postDoc.exists && postDoc.data().deleted) throw new Error('Post not found');
+      
+      const allowedMentions = await MentionService.resolveMentions(
+        userId,
+        buildMentionEntities(text.trim(), mentions),
+        postDoc.exists ? postDoc.data() : null
+      );
+      
+      const pseudonym = anonymous ? await fetchPseudonym(postId) : null;
+      const commentRef = firestore().collection('comments').doc();
+      const batch = firestore().batch();
+      
+      // Create comment; anonymous comments keep their author in anonymousAuthors
+      batch.set(commentRef, {
+        postId,
+        userId: pseudonym ? null : userId,
+        ...getCommentAuthor(userDoc.data(), pseudonym),
+        text: text.trim(),
+        hashtags: extractHashtags(text),
+        mentions: allowedMentions,
+        timestamp: firestore.FieldValue.serverTimestamp(),
+        edited: false,
+        helpfulCount: 0,
+      });
+      
+      if (pseudonym) {
+        addAnonymousAuthor(batch, commentRef.id, { userId, postId, type: 'comment' });
+      }
+      
+      // Increment comment count on post
+      batch.update(firestore().collection('posts').doc(postId), {
+        commentCount: firestore.FieldValue.increment(1),
+      });
+      
+      await batch.commit();
+      
+      await MentionService.notifyMentions(userId, allowedMentions, {
+        postId,
+        commentId: commentRef.id,
+        pseudonym,
+      });
+      
+      const postAuthorId = postDoc.exists ? await getAuthorId(postId, postDoc.data()) : null;
+      if (postDoc.exists && postAuthorId !== userId) {
+        if (postAuthorId) {
+          await PostService.recordInteraction(userId, postAuthorId);
+        }
+        
+        // Create notification
+        await firestore().collection('notifications').add({
+          type: 'comment',
+          postId,
+          commentId: commentRef.id,
+          ...getNotificationSender(userId, pseudonym),
+          ...getNotificationRecipient(postId, postDoc.data()),
+          message: 'commented on your post',
+          timestamp: firestore.FieldValue.serverTimestamp(),
+          read: false,
+        });
+      }
+      
+      AnalyticsService.logEvent('add_comment', { postId });
+      
+      return commentRef.id;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'add_comment_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Reply to a comment. Replies to a comment already at the maximum depth
+   * are added alongside it rather than nested further.
+   * @param {string} postId - Post ID
+   * @param {Object} parentComment - Comment being replied to ({ id, userId, rootId, parentId, depth })
+   * @param {string} userId - User ID
+   * @param {string} text - Reply text
+   * @param {boolean} anonymous - Whether to reply under the thread's pseudonym
+   * @param {Array<Object>} mentions - Users picked from mention suggestions, as { userId, name }
+   * @returns {Promise<Object>} Created reply
+   */
+  addReply: async (postId, parentComment, userId, text, anonymous = false, mentions = []) => {
+    if (!postId || !parentComment?.id || !userId || !text.trim()) {
+      throw new Error('Post ID, parent comment, User ID, and text are required');
+    }
+    
+    try {
+      const userDoc = await firestore().collection('users').doc(userId).get();
+      
+      if (!userDoc.exists) {
+        throw new Error('User not found');
+      }
+      
+      const postDoc = await firestore().collection('posts').doc(postId).get();
+      if (postDoc.exists && postDoc.data().deleted) throw new Error('Post not found');
+      
+      const allowedMentions = await MentionService.resolveMentions(
+        userId,
+        buildMentionEntities(text.trim(), mentions),
+        postDoc.exists ? postDoc.data() : null
+      );
+      
+      const pseudonym = anonymous ? await fetchPseudonym(postId) : null;
+      const rootId = parentComment.rootId || parentComment.id;
+      const parentDepth = parentComment.depth || 0;
+      const atMaxDepth = parentDepth >= MAX_COMMENT_REPLY_DEPTH;
+      const threadParentId = atMaxDepth ? parentComment.parentId : parentComment.id;
+      
+      const replyRef = firestore()
+        .collection('comments')
+        .doc(rootId)
+        .collection('replies')
+        .doc();
+      
+      const replyData = {
+        postId,
+        rootId,
+        parentId: threadParentId,
+        depth: atMaxDepth ? parentDepth : parentDepth + 1,
+        userId: pseudonym ? null : userId,
+        ...getCommentAuthor(userDoc.data(), pseudonym),
+        text: text.trim(),
+        hashtags: extractHashtags(text),
+        mentions: allowedMentions,
+        timestamp: firestore.FieldValue.serverTimestamp(),
+        edited: false,
+        replyCount: 0,
+      };
+      
+      const batch = firestore().batch();
+      batch.set(replyRef, replyData);
+      if (pseudonym) {
+        addAnonymousAuthor(batch, replyRef.id, { userId, postId, type: 'comment', rootId });
+      }
+      batch.update(getCommentRef(threadParentId, threadParentId === rootId ? null : rootId), {
+        replyCount: firestore.FieldValue.increment(1),
+      });
+      batch.update(firestore().collection('posts').doc(postId), {
+        commentCount: firestore.FieldValue.increment(1),
+      });
+      await batch.commit();
+      
+      await MentionService.notifyMentions(userId, allowedMentions, {
+        postId,
+        commentId: replyRef.id,
+        rootCommentId: rootId,
+        pseudonym,
+      });
+      
+      // Let the author of the comment being replied to know
+      const parentAuthorId = await getAuthorId(parentComment.id, parentComment);
+      if (parentAuthorId !== userId && !parentComment.deleted) {
+        if (parentAuthorId) {
+          await PostService.recordInteraction(userId, parentAuthorId);
+        }
+        
+        await firestore().collection('notifications').add({
+          type: 'reply',
+          postId,
+          commentId: replyRef.id,
+          parentCommentId: parentComment.id,
+          rootCommentId: rootId,
+          ...getNotificationSender(userId, pseudonym),
+          ...getNotificationRecipient(parentComment.id, parentComment),
+          message: 'replied to your comment',
+          timestamp: firestore.FieldValue.serverTimestamp(),
+          read: false,
+        });
+      }
+      
+      AnalyticsService.logEvent('add_comment_reply', { postId, depth: replyData.depth });
+      
+      return {
+        id: replyRef.id,
+        ...replyData,
+        timestamp: new Date(),
+      };
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'add_comment_reply_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get direct replies to a comment, oldest first
+   * @param {string} rootId - Top-level comment ID of the thread
+   * @param {string} parentId - ID of the comment whose replies to get
+   * @param {number} limit - Maximum number of replies to get
+   * @param {Object} lastVisible - Last reply document for pagination
+   * @returns {Promise<Object>} Replies, last visible document and whether more exist
+   */
+  getReplies: async (rootId, parentId, limit = 10, lastVisible = null) => {
+    if (!rootId || !parentId) throw new Error('Root and parent comment IDs are required');
+    
+    try {
+      let query = firestore()
+        .collection('comments')
+        .doc(rootId)
+        .collection('replies')
+        .where('parentId', '==', parentId)
+        .orderBy('timestamp', 'asc')
+        .limit(limit);
+      
+      if (lastVisible) {
+        query = query.startAfter(lastVisible);
+      }
+      
+      const snapshot = await query.get();
+      
+      const replies = snapshot.docs.map(doc => {
+        const data = doc.data();
+        return {
+          id: doc.id,
+          ...data,
+          timestamp: data.timestamp?.toDate() || new Date(),
+          editTimestamp: data.editTimestamp?.toDate(),
+        };
+      }).filter(reply => !reply.deleted || reply.replyCount > 0);
+      
+      return {
+        replies,
+        lastVisible: snapshot.docs[snapshot.docs.length - 1] || lastVisible,
+        hasMore: snapshot.docs.length === limit,
+      };
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_comment_replies_error', { rootId, parentId });
+      throw error;
+    }
+  },
+
+  /**
+   * Edit a comment
+   * @param {string} commentId - Comment ID
+   * @param {string} userId - User ID
+   * @param {string} text - Updated comment text
+   * @param {string|null} rootId - Top-level comment ID when editing a reply
+   * @returns {Promise<boolean>} Success status
+   */
+  editComment: async (commentId, userId, text, rootId = null) => {
+    if (!commentId || !userId || !text.trim()) {
+      throw new Error('Comment ID, User ID, and text are required');
+    }
+    
+    try {
+      // Verify ownership
+      const commentDoc = await getCommentRef(commentId, rootId).get();
+      
+      if (!commentDoc.exists || commentDoc.data().deleted) {
+        throw new Error('Comment not found');
+      }
+      
+      if (await getAuthorId(commentId, commentDoc.data()) !== userId) {
+        throw new Error('Not authorized to edit this comment');
+      }
+      
+      const comment = commentDoc.data();
+      
+      if (text.trim() === comment.text) return true;
+      
+      const batch = firestore().batch();
+      
+      addPreviousVersion(batch, commentDoc.ref, { text: comment.text }, comment.editTimestamp || comment.timestamp);
+      
+      // Update comment; mentions whose @name was edited out are dropped, and no new ones are added
+      batch.update(commentDoc.ref, {
+        text: text.trim(),
+        hashtags: extractHashtags(text),
+        mentions: buildMentionEntities(text.trim(), comment.mentions || []),
+        edited: true,
+        editTimestamp: firestore.FieldValue.serverTimestamp(),
+        editCount: firestore.FieldValue.increment(1),
+      });
+      
+      await batch.commit();
+      
+      AnalyticsService.logEvent('edit_comment', { commentId });
+      
+      return true;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'edit_comment_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get the earlier versions of an edited comment
+   * @param {string} commentId - Comment ID
+   * @param {string|null} rootId - Top-level comment ID when the comment is a reply
+   * @returns {Promise<Array>} Previous versions ({ text, timestamp, replacedAt }), newest first
+   */
+  getEditHistory: async (commentId, rootId = null) => {
+    if (!commentId) throw new Error('Comment ID is required');
+    
+    try {
+      return await getPreviousVersions(getCommentRef(commentId, rootId));
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_comment_edit_history_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a comment. It stays in the deleter's "Recently deleted" list until
+   * restored or purged; comments that have replies show as a "[deleted]"
+   * placeholder meanwhile so the thread below them stays intact.
+   * @param {string} commentId - Comment ID
+   * @param {string} userId - User ID
+   * @param {string|null} rootId - Top-level comment ID when deleting a reply
+   * @returns {Promise<boolean>} Success status
+   */
+  deleteComment: async (commentId, userId, rootId = null) => {
+    if (!commentId || !userId) throw new Error('Comment ID and User ID are required');
+    
+    try {
+      // Verify ownership
+      const commentDoc = await getCommentRef(commentId, rootId).get();
+      
+      if (!commentDoc.exists || commentDoc.data().deleted) {
+        throw new Error('Comment not found');
+      }
+      
+      // Check if owner or post owner
+      const isCommenter = await getAuthorId(commentId, commentDoc.data()) === userId;
+      const postId = commentDoc.data().postId;
+      
+      let isPostOwner = false;
+      let postAnonymous = false;
+      if (!isCommenter && postId) {
+        const postDoc = await firestore().collection('posts').doc(postId).get();
+        isPostOwner = postDoc.exists && await getAuthorId(postId, postDoc.data()) === userId;
+        postAnonymous = postDoc.exists && !!postDoc.data().anonymous;
+      }
+      
+      if (!isCommenter && !isPostOwner) {
+        throw new Error('Not authorized to delete this comment');
+      }
+      
+      const { parentId, replyCount } = commentDoc.data();
+      
+      // Without replies the comment disappears from the thread, so it stops counting as a reply
+      const leftThread = !(replyCount > 0);
+      
+      // Anonymous deleters aren't named on the comment: anonymous commenters
+      // are marked on their private record, anonymous post authors by a flag
+      const anonymousCommenter = isCommenter && !!commentDoc.data().anonymous;
+      const anonymousPostOwner = !isCommenter && postAnonymous;
+      const batch = firestore().batch();
+      
+      batch.update(commentDoc.ref, {
+        deleted: true,
+        deletedBy: anonymousCommenter || anonymousPostOwner ? null : userId,
+        deletedByPostAuthor: anonymousPostOwner,
+        deletedAt: firestore.FieldValue.serverTimestamp(),
+        purgeAt: getPurgeAt(),
+        leftThread,
+      });
+      
+      if (anonymousCommenter) {
+        batch.update(firestore().collection('anonymousAuthors').doc(commentId), { deleted: true });
+      }
+      
+      await batch.commit();
+      
+      if (parentId && leftThread) {
+        await getCommentRef(parentId, parentId === rootId ? null : rootId).update({
+          replyCount: firestore.FieldValue.increment(-1),
+        });
+      }
+      
+      // Decrement comment count on post
+      if (postId) {
+        await firestore()
+          .collection('posts')
+          .doc(postId)
+          .update({
+            commentCount: firestore.FieldValue.increment(-1),
+          });
+      }
+      
+      AnalyticsService.logEvent('delete_comment', { commentId });
+      
+      return true;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'delete_comment_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Bring back a comment from "Recently deleted"
+   * @param {string} commentId - Comment ID
+   * @param {string} userId - User ID that deleted it
+   * @param {string|null} rootId - Top-level comment ID when restoring a reply
+   * @returns {Promise<boolean>} Success status
+   */
+  restoreComment: async (commentId, userId, rootId = null) => {
+    if (!commentId || !userId) throw new Error('Comment ID and User ID are required');
+    
+    try {
+      const commentDoc = await getCommentRef(commentId, rootId).get();
+      
+      if (!commentDoc.exists || !commentDoc.data().deleted || !(await isDeletedBy(commentDoc, userId))) {
+        throw new Error('Comment not found');
+      }
+      
+      const { parentId, postId, leftThread, anonymous, deletedByPostAuthor } = commentDoc.data();
+      const batch = firestore().batch();
+      
+      batch.update(commentDoc.ref, {
+        deleted: false,
+        deletedBy: firestore.FieldValue.delete(),
+        deletedByPostAuthor: firestore.FieldValue.delete(),
+        deletedAt: firestore.FieldValue.delete(),
+        purgeAt: firestore.FieldValue.delete(),
+        leftThread: firestore.FieldValue.delete(),
+      });
+      
+      if (anonymous && !deletedByPostAuthor) {
+        batch.update(firestore().collection('anonymousAuthors').doc(commentId), { deleted: false });
+      }
+      
+      await batch.commit();
+      
+      if (parentId && leftThread) {
+        await getCommentRef(parentId, parentId === rootId ? null : rootId).update({
+          replyCount: firestore.FieldValue.increment(1),
+        });
+      }
+      
+      if (postId) {
+        await firestore()
+          .collection('posts')
+          .doc(postId)
+          .update({
+            commentCount: firestore.FieldValue.increment(1),
+          });
+      }
+      
+      AnalyticsService.logEvent('restore_comment', { commentId });
+      
+      return true;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'restore_comment_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Permanently remove a deleted comment. One that has replies keeps an
+   * empty "[deleted]" placeholder so the replies stay in the thread.
+   * @param {string} commentId - Comment ID
+   * @param {string} userId - User ID that deleted it
+   * @param {string|null} rootId - Top-level comment ID when purging a reply
+   * @returns {Promise<boolean>} Success status
+   */
+  purgeComment: async (commentId, userId, rootId = null) => {
+    if (!commentId || !userId) throw new Error('Comment ID and User ID are required');
+    
+    try {
+      const commentDoc = await getCommentRef(commentId, rootId).get();
+      
+      if (!commentDoc.exists || !commentDoc.data().deleted || !(await isDeletedBy(commentDoc, userId))) {
+        throw new Error('Comment not found');
+      }
+      
+      if (commentDoc.data().replyCount > 0) {
+        await commentDoc.ref.update({
+          text: '',
+          userFullName: null,
+          userProfileImageURL: null,
+          pseudonym: firestore.FieldValue.delete(),
+          hashtags: [],
+          mentions: [],
+          deletedBy: firestore.FieldValue.delete(),
+          deletedByPostAuthor: firestore.FieldValue.delete(),
+          purgeAt: firestore.FieldValue.delete(),
+        });
+      } else {
+        await commentDoc.ref.delete();
+      }
+      
+      // Only the author can remove their anonymous record; the purge job clears the rest
+      if (commentDoc.data().anonymous && !commentDoc.data().deletedByPostAuthor) {
+        await firestore().collection('anonymousAuthors').doc(commentId).delete();
+      }
+      
+      // Delete related notifications
+      const notificationsQuery = await firestore()
+        .collection('notifications')
+        .where('commentId', '==', commentId)
+        .get();
+      
+      await Promise.all(notificationsQuery.docs.map(doc => doc.ref.delete()));
+      
+      // The earlier versions go with the text
+      const versionsQuery = await commentDoc.ref.collection('versions').get();
+      await Promise.all(versionsQuery.docs.map(doc => doc.ref.delete()));
+      
+      AnalyticsService.logEvent('purge_comment', { commentId });
+      
+      return true;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'purge_comment_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Report a comment
+   * @param {string} commentId - Comment ID
+   * @param {string} userId - User ID reporting
+   * @param {string} reason - Reason for report
+   * @param {string} additionalInfo - Additional information
+   * @returns {Promise<string>} Report ID
+   */
+  reportComment: async (commentId, userId, reason, additionalInfo = '') => {
+    if (!commentId || !userId || !reason) {
+      throw new Error('Comment ID, User ID, and reason are required');
+    }
+    
+    try {
+      // Get comment data for report context
+      const commentDoc = await firestore().collection('comments').doc(commentId).get();
+      
+      if (!commentDoc.exists) {
+        throw new Error('Comment not found');
+      }
+      
+      // Create report
+      const reportRef = await firestore().collection('reports').add({
+        type: 'comment',
+        contentId: commentId,
+        postId: commentDoc.data().postId,
+        reportedBy: userId,
+        // Moderators look up anonymous authors in anonymousAuthors
+        reportedUserId: commentDoc.data().userId || null,
+        reason,
+        additionalInfo,
+        timestamp: firestore.FieldValue.serverTimestamp(),
+        status: 'pending',
+        reviewed: false,
+      });
+      
+      AnalyticsService.logEvent('report_comment', { commentId, reason });
+      
+      return reportRef.id;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'report_comment_error');
+      throw error;
+    }
+  },
+};
+
+/**
+ * Question service for question posts, whose top-level comments are answers
+ */
+export const QuestionService = {
+  /**
+   * Accept an answer to a question, replacing any earlier accepted answer
+   * @param {string} postId - Question post ID
+   * @param {string|null} commentId - Answer to accept, or null to clear the accepted answer
+   * @param {string} userId - Asker's user ID
+   * @returns {Promise<void>}
+   */
+  acceptAnswer: async (postId, commentId, userId) => {
+    if (!postId || !userId) throw new Error('Post ID and User ID are required');
+    
+    try {
+      const postRef = firestore().collection('posts').doc(postId);
+      const postDoc = await postRef.get();
+      
+      if (!postDoc.exists || postDoc.data().deleted || postDoc.data().type !== 'question') {
+        throw new Error('Question not found');
+      }
+      if (await getAuthorId(postId, postDoc.data()) !== userId) {
+        throw new Error('Only the person who asked can accept an answer');
+      }
+      
+      let answer = null;
+      if (commentId) {
+        const commentDoc = await firestore().collection('comments').doc(commentId).get();
+        
+        if (!commentDoc.exists || commentDoc.data().postId !== postId || commentDoc.data().deleted) {
+          throw new Error('Answer not found');
+        }
+        answer = commentDoc.data();
+      }
+      
+      await postRef.update({ acceptedAnswerId: commentId || null });
+      
+      if (answer && await getAuthorId(commentId, answer) !== userId) {
+        await firestore().collection('notifications').add({
+          type: 'answer_accepted',
+          postId,
+          commentId,
+          // Anonymous askers accept under the pseudonym their question shows
+          ...getNotificationSender(userId, postDoc.data().anonymous ? postDoc.data().pseudonym : null),
+          ...getNotificationRecipient(commentId, answer),
+          message: 'accepted your answer',
+          timestamp: firestore.FieldValue.serverTimestamp(),
+          read: false,
+        });
+      }
+      
+      AnalyticsService.logEvent(commentId ? 'accept_answer' : 'clear_accepted_answer', { postId });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'accept_answer_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Mark an answer as helpful or take the vote back
+   * @param {string} commentId - Answer ID
+   * @param {string} userId - Voter's user ID
+   * @param {boolean} helpful - Whether the user finds it helpful
+   * @returns {Promise<boolean>} Whether the vote changed anything
+   */
+  setHelpful: async (commentId, userId, helpful) => {
+    if (!commentId || !userId) throw new Error('Comment ID and User ID are required');
+    
+    const commentRef = firestore().collection('comments').doc(commentId);
+    const voteRef = firestore().collection('helpfulVotes').doc(`${commentId}_${userId}`);
+    
+    try {
+      // Whether an answer is anonymous never changes, so its author can be looked up
+      // outside the transaction, which can only read documents through its own gets
+      const answerDoc = await commentRef.get();
+      
+      if (!answerDoc.exists) {
+        throw new Error('Answer not found');
+      }
+      if (await getAuthorId(commentId, answerDoc.data()) === userId) {
+        throw new Error('You can\'t vote for your own answer');
+      }
+      
+      const changed = await firestore().runTransaction(async transaction => {
+        const [commentDoc, voteDoc] = await Promise.all([
+          transaction.get(commentRef),
+          transaction.get(voteRef),
+        ]);
+        
+        if (!commentDoc.exists || commentDoc.data().deleted) {
+          throw new Error('Answer not found');
+        }
+        if (voteDoc.exists === helpful) return false;
+        
+        if (helpful) {
+          transaction.set(voteRef, {
+            commentId,
+            postId: commentDoc.data().postId,
+            userId,
+            timestamp: firestore.FieldValue.serverTimestamp(),
+          });
+        } else {
+          transaction.delete(voteRef);
+        }
+        transaction.update(commentRef, {
+          helpfulCount: firestore.FieldValue.increment(helpful ? 1 : -1),
+        });
+        
+        return true;
+      });
+      
+      if (changed) {
+        AnalyticsService.logEvent(helpful ? 'vote_answer_helpful' : 'unvote_answer_helpful', { commentId });
+      }
+      
+      return changed;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'vote_answer_helpful_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get the answers on a question that a user has marked helpful
+   * @param {string} postId - Question post ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Answer IDs
+   */
+  getHelpfulVotes: async (postId, userId) => {
+    if (!postId || !userId) throw new Error('Post ID and User ID are required');
+    
+    try {
+      const snapshot = await firestore()
+        .collection('helpfulVotes')
+        .where('postId', '==', postId)
+        .where('userId', '==', userId)
+        .get();
+      
+      return snapshot.docs.map(doc => doc.data().commentId);
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_helpful_votes_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get recent questions nobody has answered yet about any of the given conditions,
+   * leaving out the user's own and those from blocked users
+   * @param {string} userId - Viewer's user ID
+   * @param {Array<string>} conditions - Conditions to find questions about
+   * @param {number} limit - Maximum number of questions
+   * @returns {Promise<Array>} Questions, newest first
+   */
+  getOpenQuestions: async (userId, conditions = [], limit = 10) => {
+    if (!userId) throw new Error('User ID is required');
+    
+    // Firestore 'in' queries accept at most 10 values
+    const codes = [...new Set(conditions.map(toConditionCode).filter(Boolean))].slice(0, 10);
+    if (codes.length === 0) return [];
+    
+    try {
+      const [snapshot, blockedIds, followingIds] = await Promise.all([
+        firestore()
+          .collection('posts')
+          .where('type', '==', 'question')
+          .where('commentCount', '==', 0)
+          .where('questionCondition', 'in', codes)
+          .orderBy('timestamp', 'desc')
+          .limit(limit * 2)
+          .get(),
+        getBlockedIdsBothWays(userId),
+        getFollowingIds(userId),
+      ]);
+      const viewer = await getPostViewer(followingIds);
+      
+      return filterVisiblePosts(snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        timestamp: doc.data().timestamp?.toDate() || new Date(),
+      })), viewer)
+        .filter(post => post.userId !== userId && !blockedIds.includes(post.userId))
+        .slice(0, limit);
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_open_questions_error');
+      throw error;
+    }
+  },
+};
+
+/**
+ * Notification service for Firestore notification operations
+ */
+export const NotificationService = {
+  /**
+   * Get notifications for a user
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of notifications to get
+   * @param {Object} lastVisible - Last document for pagination
+   * @returns {Promise<Object>} Notifications data and last visible document
+   */
+  getNotifications: async (userId, limit = 20, lastVisible = null) => {
+    if (!userId) throw new Error('User ID is required');
+    
+    try {
+      let query = firestore()
+        .collection('notifications')
+        .where('recipientId', '==', userId)
+        .orderBy('timestamp', 'desc');
+      
+      // Apply pagination if provided
+      if (lastVisible) {
+        query = query.startAfter(lastVisible);
+      }
+      
+      query = query.limit(limit);
+      
+      const snapshot = await query.get();
+      
+      const notifications = [];
+      
+      // Process notifications
+      for (const doc of snapshot.docs) {
+        const notification = {
+          id: doc.id,
+          ...doc.data(),
+          timestamp: doc.data().timestamp?.toDate() || new Date(),
+        };
+        
+        // Get sender info if available
+        if (notification.senderId) {
+          try {
+            const senderDoc = await firestore().collection('users').doc(notification.senderId).get();
+            if (senderDoc.exists) {
+              notification.senderName = `${senderDoc.data().firstName || ''} ${senderDoc.data().lastName || ''}`.trim();
+              notification.senderProfileImage = senderDoc.data().profileImageURL;
+            }
+          } catch (senderError) {
+            console.error('Error getting notification sender:', senderError);
+          }
+        }
+        
+        notifications.push(notification);
+      }
+      
+      const lastDoc = snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1] : null;
+      
+      return { notifications, lastVisible: lastDoc };
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_notifications_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Mark a notification as read
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<boolean>} Success status
+   */
+  markAsRead: async (notificationId) => {
+    if (!notificationId) throw new Error('Notification ID is required');
+    
+    try {
+      await firestore()
+        .collection('notifications')
+        .doc(notificationId)
+        .update({
+          read: true,
+          readTimestamp: firestore.FieldValue.serverTimestamp(),
+        });
+      
+      return true;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'mark_notification_read_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Mark all notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of notifications marked as read
+   */
+  markAllAsRead: async (userId) => {
+    if (!userId) throw new Error('User ID is required');
+    
+    try {
+      const batch = firestore().batch();
+      let count = 0;
+      
+      // Get unread notifications
+      const snapshot = await firestore()
+        .collection('notifications')
+        .where('recipientId', '==', userId)
+        .where('read', '==', false)
+        .get();
+      
+      if (snapshot.empty) return 0;
+      
+      // Update all in batch
+      snapshot.docs.forEach(doc => {
+        batch.update(doc.ref, {
+          read: true,
+          readTimestamp: firestore.FieldValue.serverTimestamp(),
+        });
+        count++;
+      });
+      
+      await batch.commit();
+      
+      AnalyticsService.logEvent('mark_all_notifications_read', { count });
+      
+      return count;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'mark_all_notifications_read_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a notification
+   * @param {string} notificationId - Notification ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Success status
+   */
+  deleteNotification: async (notificationId, userId) => {
+    if (!notificationId || !userId) {
+      throw new Error('Notification ID and User ID are required');
+    }
+    
+    try {
+      // Verify ownership
+      const notificationDoc = await firestore().collection('notifications').doc(notificationId).get();
+      
+      if (!notificationDoc.exists) {
+        throw new Error('Notification not found');
+      }
+      
+      if (notificationDoc.data().recipientId !== userId) {
+        throw new Error('Not authorized to delete this notification');
+      }
+      
+      // Delete the notification
+      await notificationDoc.ref.delete();
+      
+      return true;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'delete_notification_error');
+      throw error;
+    }
+  },
+};
+
+/**
+ * Upload service for Firebase Storage operations
+ */
+export const UploadService = {
+  /**
+   * Upload an image to Firebase Storage
+   * @param {string} uri - Local URI of the image
+   * @param {string} storagePath - Path in Firebase Storage
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<string>} Download URL
+   */
+  uploadImage: async (uri, storagePath, onProgress = null) => {
+    if (!uri || !storagePath) throw new Error('URI and storage path are required');
+    
+    try {
+      // Create storage reference
+      const reference = storage().ref(storagePath);
+      
+      // Start upload task
+      const task = reference.putFile(uri);
+      
+      // Listen for progress
+      if (onProgress) {
+        task.on('state_changed', snapshot => {
+          const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
+          onProgress(progress);
+        });
+      }
+      
+      // Wait for upload to complete
+      await task;
+      
+      // Get download URL
+      const url = await reference.getDownloadURL();
+      
+      return url;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'upload_image_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Upload a video to Firebase Storage
+   * @param {string} uri - Local URI of the video
+   * @param {string} storagePath - Path in Firebase Storage
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<string>} Download URL
+   */
+  uploadVideo: async (uri, storagePath, onProgress = null) => {
+    if (!uri || !storagePath) throw new Error('URI and storage path are required');
+    
+    try {
+      // Create storage reference
+      const reference = storage().ref(storagePath);
+      
+      // Start upload task
+      const task = reference.putFile(uri);
+      
+      // Listen for progress
+      if (onProgress) {
+        task.on('state_changed', snapshot => {
+          const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
+          onProgress(progress);
+        });
+      }
+      
+      // Wait for upload to complete
+      await task;
+      
+      // Get download URL
+      const url = await reference.getDownloadURL();
+      
+      return url;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'upload_video_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Upload all media items of a post together
+   * @param {Array} items - Local media items ({ type, uri, thumbnailUri, fileSize, width, height, altText })
+   * @param {string} userId - Owner user ID
+   * @param {Function} onProgress - Overall progress callback for the whole set
+   * @param {boolean} anonymous - Keep the owner out of the file names, for anonymous posts
+   * @returns {Promise<Array>} Uploaded media objects, in the same order as items
+   */
+  uploadMedia: async (items, userId, onProgress = null, anonymous = false) => {
+    if (!Array.isArray(items) || items.length === 0) throw new Error('At least one media item is required');
+    if (!userId) throw new Error('User ID is required');
+    if (items.length > MAX_POST_MEDIA_ITEMS) {
+      throw new Error(`A post can contain at most ${MAX_POST_MEDIA_ITEMS} media items`);
+    }
+    
+    // Weight progress by file size so a large video doesn't finish "instantly"
+    const weights = items.map(item => (item.fileSize > 0 ? item.fileSize : 1));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const itemProgress = items.map(() => 0);
+    
+    const reportProgress = (index, progress) => {
+      itemProgress[index] = progress;
+      if (onProgress) {
+        const overall = itemProgress.reduce((sum, value, i) => sum + value * weights[i], 0) / totalWeight;
+        onProgress(overall);
+      }
+    };
+    
+    const batchId = Date.now();
+    // Media URLs are public, so anonymous posts mustn't name their author in them
+    const owner = anonymous ? `anonymous_${Math.random().toString(36).slice(2, 10)}` : userId;
+    
+    const results = await Promise.allSettled(items.map(async (item, index) => {
+      const filename = item.uri.substring(item.uri.lastIndexOf('/') + 1);
+      const extension = filename.split('.').pop();
+      const isVideo = item.type === 'video';
+      const storagePath = `${isVideo ? 'videos' : 'images'}/${owner}_${batchId}_${index}.${extension}`;
+      
+      const upload = isVideo ? UploadService.uploadVideo : UploadService.uploadImage;
+      const url = await upload(item.uri, storagePath, progress => reportProgress(index, progress));
+      
+      let thumbnail = null;
+      if (isVideo && item.thumbnailUri) {
+        thumbnail = await UploadService.uploadImage(
+          item.thumbnailUri,
+          `thumbnails/${owner}_${batchId}_${index}.jpg`
+        );
+      }
+      
+      // Shown while the image loads, and in place of it behind a content warning
+      const blurhash = await encodeBlurhash(isVideo ? item.thumbnailUri : item.uri);
+      
+      reportProgress(index, 100);
+      
+      return {
+        type: isVideo ? 'video' : 'image',
+        url,
+        thumbnail,
+        blurhash,
+        width: item.width || null,
+        height: item.height || null,
+        altText: (item.altText || '').trim(),
+      };
+    }));
+    
+    const failed = results.find(result => result.status === 'rejected');
+    
+    if (failed) {
+      // Don't leave orphaned files behind when part of the set fails
+      const uploaded = results
+        .filter(result => result.status === 'fulfilled')
+        .map(result => result.value);
+      
+      for (const url of getPostStorageUrls({ media: uploaded })) {
+        try {
+          await UploadService.deleteFile(url);
+        } catch (cleanupError) {
+          console.error('Error cleaning up uploaded media:', cleanupError);
+        }
+      }
+      
+      AnalyticsService.logError(failed.reason?.message, 'upload_media_error', { count: items.length });
+      throw failed.reason;
+    }
+    
+    AnalyticsService.logEvent('upload_post_media', { count: items.length });
+    
+    return results.map(result => result.value);
+  },
+
+  /**
+   * Delete a file from Firebase Storage
+   * @param {string} url - Firebase Storage URL
+   * @returns {Promise<boolean>} Success status
+   */
+  deleteFile: async (url) => {
+    if (!url || !url.startsWith('https://firebasestorage.googleapis.com')) {
+      throw new Error('Valid Firebase Storage URL is required');
+    }
+    
+    try {
+      const reference = storage().refFromURL(url);
+      await reference.delete();
+      
+      return true;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'delete_file_error');
+      throw error;
+    }
+  },
+};
+
+/**
+ * Topic service for hashtag pages and followed topics
+ */
+export const TopicService = {
+  /**
+   * Follow a hashtag so its posts appear in the home feed
+   * @param {string} userId - User ID
+   * @param {string} hashtag - Hashtag, with or without #
+   * @returns {Promise<void>}
+   */
+  followTopic: async (userId, hashtag) => {
+    const tag = normalizeHashtag(hashtag);
+    if (!userId || !tag) throw new Error('User ID and a valid hashtag are required');
+    
+    try {
+      await firestore()
+        .collection('users')
+        .doc(userId)
+        .collection('followedTopics')
+        .doc(tag)
+        .set({
+          hashtag: tag,
+          followedAt: firestore.FieldValue.serverTimestamp(),
+        });
+      
+      AnalyticsService.logEvent('follow_topic', { hashtag: tag });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'follow_topic_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Stop following a hashtag
+   * @param {string} userId - User ID
+   * @param {string} hashtag - Hashtag, with or without #
+   * @returns {Promise<void>}
+   */
+  unfollowTopic: async (userId, hashtag) => {
+    const tag = normalizeHashtag(hashtag);
+    if (!userId || !tag) throw new Error('User ID and a valid hashtag are required');
+    
+    try {
+      await firestore()
+        .collection('users')
+        .doc(userId)
+        .collection('followedTopics')
+        .doc(tag)
+        .delete();
+      
+      AnalyticsService.logEvent('unfollow_topic', { hashtag: tag });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'unfollow_topic_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Check whether a user follows a hashtag
+   * @param {string} userId - User ID
+   * @param {string} hashtag - Hashtag, with or without #
+   * @returns {Promise<boolean>} Whether the topic is followed
+   */
+  isFollowingTopic: async (userId, hashtag) => {
+    const tag = normalizeHashtag(hashtag);
+    if (!userId || !tag) return false;
+    
+    try {
+      const topicDoc = await firestore()
+        .collection('users')
+        .doc(userId)
+        .collection('followedTopics')
+        .doc(tag)
+        .get();
+      
+      return topicDoc.exists;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'is_following_topic_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get the hashtags a user follows, most recently followed first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Hashtags without #
+   */
+  getFollowedTopics: async (userId) => {
+    if (!userId) throw new Error('User ID is required');
+    
+    try {
+      const snapshot = await firestore()
+        .collection('users')
+        .doc(userId)
+        .collection('followedTopics')
+        .orderBy('followedAt', 'desc')
+        .get();
+      
+      return snapshot.docs.map(doc => doc.id);
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_followed_topics_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Autocomplete hashtags starting with a prefix
+   * @param {string} prefix - Text typed so far, with or without #
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {Promise<Array>} Suggestions of { hashtag, postCount }, most used first
+   */
+  searchHashtags: async (prefix, limit = 10) => {
+    const tag = (prefix || '').trim().replace(/^#+/, '').toLowerCase();
+    if (!/^\w+$/.test(tag)) return [];
+    
+    try {
+      const snapshot = await firestore()
+        .collection('hashtags')
+        .orderBy(firestore.FieldPath.documentId())
+        .startAt(tag)
+        .endAt(`${tag}\uf8ff`)
+        .limit(limit)
+        .get();
+      
+      return snapshot.docs
+        .map(doc => ({ hashtag: doc.id, postCount: doc.data().postCount || 0 }))
+        .sort((a, b) => b.postCount - a.postCount);
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'search_hashtags_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get posts tagged with a hashtag that the signed-in user can see
+   * @param {string} hashtag - Hashtag, with or without #
+   * @param {number} limit - Maximum number of posts to get
+   * @param {Object} lastVisible - Last document for pagination
+   * @returns {Promise<Object>} Posts, last visible document and whether there are more
+   */
+  getTopicPosts: async (hashtag, limit = 10, lastVisible = null) => {
+    const tag = normalizeHashtag(hashtag);
+    if (!tag) throw new Error('A valid hashtag is required');
+    
+    try {
+      let query = firestore()
+        .collection('posts')
+        .where('hashtags', 'array-contains', tag)
+        .orderBy('timestamp', 'desc');
+      
+      if (lastVisible) {
+        query = query.startAfter(lastVisible);
+      }
+      
+      const snapshot = await query.limit(limit).get();
+      const viewer = await getPostViewer(await getFollowingIds(auth().currentUser?.uid));
+      
+      const posts = filterVisiblePosts(snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        timestamp: doc.data().timestamp?.toDate() || new Date(),
+      })), viewer);
+      
+      return {
+        posts,
+        lastVisible: snapshot.docs[snapshot.docs.length - 1] || lastVisible,
+        hasMore: snapshot.docs.length === limit,
+      };
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_topic_posts_error', { hashtag: tag });
+      throw error;
+    }
+  },
+
+  /**
+   * Get recent posts from the topics a user follows, for mixing into the home feed
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of posts to get
+   * @param {Date|null} before - Only return posts older than this
+   * @returns {Promise<Object>} Posts and whether there are more
+   */
+  getFollowedTopicPosts: async (userId, limit = 10, before = null) => {
+    if (!userId) throw new Error('User ID is required');
+    
+    try {
+      const topics = (await TopicService.getFollowedTopics(userId)).slice(0, MAX_FEED_TOPICS);
+      if (topics.length === 0) return { posts: [], hasMore: false };
+      
+      let query = firestore()
+        .collection('posts')
+        .where('hashtags', 'array-contains-any', topics)
+        .orderBy('timestamp', 'desc');
+      
+      if (before) {
+        query = query.startAfter(firestore.Timestamp.fromDate(before));
+      }
+      
+      const snapshot = await query.limit(limit).get();
+      const viewer = await getPostViewer(await getFollowingIds(userId));
+      
+      const posts = filterVisiblePosts(snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        timestamp: doc.data().timestamp?.toDate() || new Date(),
+      })), viewer);
+      
+      return { posts, hasMore: snapshot.docs.length === limit };
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_followed_topic_posts_error');
+      throw error;
+    }
+  },
+};
+
+/**
+ * Mention service for @mention suggestions, permissions and notifications
+ */
+export const MentionService = {
+  /**
+   * Load what mention suggestions need to know about the signed-in user and
+   * the people in the current thread. Load once per composer, then search
+   * as the user types.
+   * @param {string} userId - User ID
+   * @param {Object} options - Options
+   * @param {Array<string>} options.threadUserIds - IDs of people in the post, comment thread or chat
+   * @param {boolean} options.threadOnly - Only suggest people in the thread, as in chats
+   * @returns {Promise<Object>} Context for searchUsers
+   */
+  getMentionContext: async (userId, { threadUserIds = [], threadOnly = false } = {}) => {
+    if (!userId) throw new Error('User ID is required');
+    
+    try {
+      const [followingIds, followerIds, blockedIds] = await Promise.all([
+        getFollowingIds(userId),
+        getFollowerIds(userId),
+        getBlockedIdsBothWays(userId),
+      ]);
+      
+      // People in the thread and people the user follows are searched locally
+      const localIds = [...new Set(threadOnly ? threadUserIds : [...threadUserIds, ...followingIds])]
+        .filter(id => id && id !== userId && !blockedIds.includes(id))
+        .slice(0, 50);
+      const localUsers = [];
+      
+      for (let i = 0; i < localIds.length; i += 10) {
+        const usersSnapshot = await firestore()
+          .collection('users')
+          .where(firestore.FieldPath.documentId(), 'in', localIds.slice(i, i + 10))
+          .get();
+        
+        localUsers.push(...usersSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }
+      
+      return { userId, threadUserIds, threadOnly, followingIds, followerIds, blockedIds, localUsers };
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_mention_context_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Suggest users to mention for the text typed after @
+   * @param {string} query - Text typed after @
+   * @param {Object} context - Context from getMentionContext
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {Promise<Array>} Users as { id, name, profileImageURL, inThread, following }
+   */
+  searchUsers: async (query, context, limit = 6) => {
+    try {
+      let users = context.localUsers;
+      
+      // Look further than the user's own circle once something has been typed
+      if (!context.threadOnly && query) {
+        const prefix = query.charAt(0).toUpperCase() + query.slice(1);
+        const snapshot = await firestore()
+          .collection('users')
+          .orderBy('firstName')
+          .startAt(prefix)
+          .endAt(`${prefix}\uf8ff`)
+          .limit(10)
+          .get();
+        
+        users = [...users, ...snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))];
+      }
+      
+      const mentionable = users.filter(user => (
+        allowsMentionFrom(user, context.followerIds.includes(user.id))
+      ));
+      
+      return rankMentionCandidates(mentionable, query, {
+        threadUserIds: context.threadUserIds,
+        followingIds: context.followingIds,
+        excludedIds: [context.userId, ...context.blockedIds],
+      })
+        .slice(0, limit)
+        .map(user => ({
+          id: user.id,
+          name: getMentionName(user),
+          profileImageURL: user.profileImageURL || null,
+          inThread: context.threadUserIds.includes(user.id),
+          following: context.followingIds.includes(user.id),
+        }));
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'search_mention_users_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Drop mentions the sender isn't allowed to make: of themselves, across a
+   * block, of people whose mention setting excludes the sender, or of people
+   * who can't see the post the mention is in
+   * @param {string} senderId - User doing the mentioning
+   * @param {Array<Object>} mentions - Mention entities
+   * @param {Object|null} post - Post the mention is in or under, with userId and audience fields
+   * @returns {Promise<Array>} Allowed mention entities
+   */
+  resolveMentions: async (senderId, mentions = [], post = null) => {
+    const candidates = (mentions || []).slice(0, MAX_MENTIONS).filter(mention => mention.userId !== senderId);
+    if (candidates.length === 0) return [];
+    
+    try {
+      const [blockedIds, followerIds] = await Promise.all([
+        getBlockedIdsBothWays(senderId),
+        getFollowerIds(senderId),
+      ]);
+      
+      const postFollowerIds = post && post.userId && post.userId !== senderId
+        ? await getFollowerIds(post.userId)
+        : followerIds;
+      
+      const mentionedIds = [...new Set(candidates.map(mention => mention.userId))]
+        .filter(id => !blockedIds.includes(id));
+      const allowedIds = [];
+      
+      for (const mentionedId of mentionedIds) {
+        const userDoc = await firestore().collection('users').doc(mentionedId).get();
+        if (!userDoc.exists || !allowsMentionFrom(userDoc.data(), followerIds.includes(mentionedId))) {
+          continue;
+        }
+        
+        const canSeePost = !post || canViewPost(post, {
+          id: mentionedId,
+          followingIds: postFollowerIds.includes(mentionedId) ? [post.userId] : [],
+          medicalConditions: userDoc.data().medicalConditions || [],
+          communityIds: userDoc.data().communityIds || [],
+        });
+        
+        if (canSeePost) {
+          allowedIds.push(mentionedId);
+        }
+      }
+      
+      return candidates
+        .filter(mention => allowedIds.includes(mention.userId))
+        .map(({ userId, name, offset, length }) => ({ userId, name, offset, length }));
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'resolve_mentions_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Let mentioned users know. Each user is notified once however many times
+   * they're mentioned.
+   * @param {string} senderId - User doing the mentioning
+   * @param {Array<Object>} mentions - Allowed mention entities from resolveMentions
+   * @param {Object} target - Where the mention is
+   * @param {string} target.postId - Post the mention is in or under
+   * @param {string} target.commentId - Comment the mention is in, if any
+   * @param {string} target.rootCommentId - Top-level comment for replies, if any
+   * @param {Object|null} target.pseudonym - Sender's thread pseudonym when posting anonymously
+   * @returns {Promise<void>}
+   */
+  notifyMentions: async (senderId, mentions, { postId, commentId = null, rootCommentId = null, pseudonym = null }) => {
+    const recipientIds = [...new Set((mentions || []).map(mention => mention.userId))]
+      .filter(id => id !== senderId);
+    if (recipientIds.length === 0) return;
+    
+    try {
+      const batch = firestore().batch();
+      
+      recipientIds.forEach(recipientId => {
+        batch.set(firestore().collection('notifications').doc(), {
+          type: 'mention',
+          postId,
+          ...(commentId && { commentId }),
+          ...(rootCommentId && { rootCommentId }),
+          ...getNotificationSender(senderId, pseudonym),
+          recipientId,
+          message: commentId ? 'mentioned you in a comment' : 'mentioned you in a post',
+          timestamp: firestore.FieldValue.serverTimestamp(),
+          read: false,
+        });
+      });
+      
+      await batch.commit();
+      
+      AnalyticsService.logEvent('mention_users', { count: recipientIds.length, inComment: !!commentId });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'notify_mentions_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Choose who may mention a user
+   * @param {string} userId - User ID
+   * @param {string} policy - One of MENTION_POLICY_TYPES
+   * @returns {Promise<void>}
+   */
+  setMentionPolicy: async (userId, policy) => {
+    if (!userId) throw new Error('User ID is required');
+    if (!MENTION_POLICY_TYPES.includes(policy)) throw new Error('Invalid mention setting');
+    
+    try {
+      await firestore().collection('users').doc(userId).update({ mentionPolicy: policy });
+      
+      AnalyticsService.logEvent('set_mention_policy', { policy });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'set_mention_policy_error');
+      throw error;
+    }
+  },
+};
+
+/**
+ * Validate the editable fields of a community
+ * @param {Object} data - Community fields from the form
+ * @returns {Object} Fields stored on the community
+ */
+const buildCommunityFields = (data) => {
+  const name = (data.name || '').trim();
+  const description = (data.description || '').trim();
+  const rules = (data.rules || []).map(rule => rule.trim()).filter(Boolean);
+  const membership = data.membership || DEFAULT_COMMUNITY_MEMBERSHIP;
+  
+  if (!name) throw new Error('Community name is required');
+  if (name.length > MAX_COMMUNITY_NAME_LENGTH) {
+    throw new Error(`Community names can be at most ${MAX_COMMUNITY_NAME_LENGTH} characters`);
+  }
+  if (description.length > MAX_COMMUNITY_DESCRIPTION_LENGTH) {
+    throw new Error(`Descriptions can be at most ${MAX_COMMUNITY_DESCRIPTION_LENGTH} characters`);
+  }
+  if (rules.length > MAX_COMMUNITY_RULES) {
+    throw new Error(`A community can have at most ${MAX_COMMUNITY_RULES} rules`);
+  }
+  if (rules.some(rule => rule.length > MAX_COMMUNITY_RULE_LENGTH)) {
+    throw new Error(`Rules can be at most ${MAX_COMMUNITY_RULE_LENGTH} characters`);
+  }
+  if (!data.condition) throw new Error('Choose the condition this community is for');
+  if (!COMMUNITY_MEMBERSHIP_TYPES.includes(membership)) throw new Error('Invalid membership setting');
+  
+  return {
+    name,
+    nameLower: name.toLowerCase(),
+    description,
+    rules,
+    condition: toConditionCode(data.condition) || data.condition,
+    membership,
+    coverImageURL: data.coverImageURL || null,
+  };
+};
+
+/**
+ * The name and photo shown for a user in a community's member list
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Member fields
+ */
+const getMemberProfile = async (userId) => {
+  const userDoc = await firestore().collection('users').doc(userId).get();
+  const user = userDoc.exists ? userDoc.data() : {};
+  
+  return {
+    userId,
+    userFullName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || 'User',
+    userProfileImageURL: user.profileImageURL || null,
+  };
+};
+
+/**
+ * Load a community and check that a user moderates it
+ * @param {string} communityId - Community ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Community document
+ */
+const getModeratedCommunity = async (communityId, userId) => {
+  const communityDoc = await firestore().collection('communities').doc(communityId).get();
+  
+  if (!communityDoc.exists) {
+    throw new Error('Community not found');
+  }
+  if (!(communityDoc.data().moderatorIds || []).includes(userId)) {
+    throw new Error('Only community moderators can do this');
+  }
+  
+  return communityDoc;
+};
+
+/**
+ * Add a user to a community within a batch or transaction
+ * @param {Object} writer - Firestore batch or transaction
+ * @param {Object} communityRef - Community document reference
+ * @param {Object} member - Member fields from getMemberProfile
+ */
+const addCommunityMember = (writer, communityRef, member) => {
+  writer.set(communityRef.collection('members').doc(member.userId), {
+    ...member,
+    joinedAt: firestore.FieldValue.serverTimestamp(),
+  });
+  writer.update(communityRef, {
+    memberCount: firestore.FieldValue.increment(1),
+  });
+  writer.update(firestore().collection('users').doc(member.userId), {
+    communityIds: firestore.FieldValue.arrayUnion(communityRef.id),
+  });
+};
+
+/**
+ * Remove a member and their moderator role, keeping the counts in step
+ * @param {string} communityId - Community ID
+ * @param {string} userId - Member's user ID
+ * @returns {Promise<void>}
+ */
+const removeCommunityMember = async (communityId, userId) => {
+  const communityRef = firestore().collection('communities').doc(communityId);
+  
+  await firestore().runTransaction(async transaction => {
+    const [communityDoc, memberDoc] = await Promise.all([
+      transaction.get(communityRef),
+      transaction.get(communityRef.collection('members').doc(userId)),
+    ]);
+    
+    if (!communityDoc.exists) {
+      throw new Error('Community not found');
+    }
+    if (communityDoc.data().ownerId === userId) {
+      throw new Error('The owner can\'t leave their own community');
+    }
+    if (!memberDoc.exists) return;
+    
+    transaction.delete(memberDoc.ref);
+    transaction.update(communityRef, {
+      memberCount: firestore.FieldValue.increment(-1),
+      moderatorIds: firestore.FieldValue.arrayRemove(userId),
+    });
+    transaction.update(firestore().collection('users').doc(userId), {
+      communityIds: firestore.FieldValue.arrayRemove(communityId),
+    });
+  });
+};
+
+/**
+ * Convert a community document for the UI
+ * @param {Object} doc - Firestore document
+ * @returns {Object} Community data
+ */
+const toCommunity = (doc) => ({
+  id: doc.id,
+  ...doc.data(),
+  createdAt: doc.data().createdAt?.toDate() || new Date(),
+});
+
+/**
+ * Community service for condition communities, their members and moderation
+ */
+export const CommunityService = {
+  /**
+   * Start a community. The creator becomes its owner and first moderator.
+   * @param {string} userId - Creator's user ID
+   * @param {Object} data - name, description, rules, condition, membership and coverImageURL
+   * @returns {Promise<string>} Community ID
+   */
+  createCommunity: async (userId, data) => {
+    if (!userId) throw new Error('User ID is required');
+    
+    const fields = buildCommunityFields(data);
+    
+    try {
+      const communityRef = firestore().collection('communities').doc();
+      const member = await getMemberProfile(userId);
+      const batch = firestore().batch();
+      
+      batch.set(communityRef, {
+        ...fields,
+        ownerId: userId,
+        moderatorIds: [userId],
+        memberCount: 0,
+        pendingRequestCount: 0,
+        createdAt: firestore.FieldValue.serverTimestamp(),
+      });
+      addCommunityMember(batch, communityRef, member);
+      
+      await batch.commit();
+      
+      AnalyticsService.logEvent('create_community', {
+        membership: fields.membership,
+        ruleCount: fields.rules.length,
+      });
+      
+      return communityRef.id;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'create_community_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Edit a community's details. Posts already in the community follow a change of membership.
+   * @param {string} communityId - Community ID
+   * @param {string} userId - Moderator's user ID
+   * @param {Object} data - Fields as for createCommunity
+   * @returns {Promise<Object>} Updated fields
+   */
+  updateCommunity: async (communityId, userId, data) => {
+    if (!communityId || !userId) throw new Error('Community ID and User ID are required');
+    
+    const fields = buildCommunityFields(data);
+    
+    try {
+      const communityDoc = await getModeratedCommunity(communityId, userId);
+      const previous = communityDoc.data();
+      
+      await communityDoc.ref.update(fields);
+      
+      // Posts keep their own copy of the name and visibility so feeds can filter them
+      if (previous.membership !== fields.membership || previous.name !== fields.name) {
+        const postsSnapshot = await firestore()
+          .collection('posts')
+          .where('communityId', '==', communityId)
+          .get();
+        
+        for (let i = 0; i < postsSnapshot.docs.length; i += MAX_BATCH_WRITES) {
+          const batch = firestore().batch();
+          postsSnapshot.docs.slice(i, i + MAX_BATCH_WRITES).forEach(doc => {
+            batch.update(doc.ref, {
+              communityName: fields.name,
+              communityMembersOnly: fields.membership === 'approval',
+            });
+          });
+          await batch.commit();
+        }
+      }
+      
+      AnalyticsService.logEvent('update_community', { communityId });
+      
+      return fields;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'update_community_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get a community by ID
+   * @param {string} communityId - Community ID
+   * @returns {Promise<Object>} Community data
+   */
+  getCommunity: async (communityId) => {
+    if (!communityId) throw new Error('Community ID is required');
+    
+    try {
+      const communityDoc = await firestore().collection('communities').doc(communityId).get();
+      
+      if (!communityDoc.exists) {
+        throw new Error('Community not found');
+      }
+      
+      return toCommunity(communityDoc);
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_community_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get the communities for a condition, largest first
+   * @param {string} condition - Condition code or name
+   * @param {number} limit - Maximum number of communities
+   * @returns {Promise<Array>} Communities
+   */
+  getCommunitiesForCondition: async (condition, limit = 10) => {
+    if (!condition) return [];
+    
+    try {
+      const snapshot = await firestore()
+        .collection('communities')
+        .where('condition', '==', toConditionCode(condition) || condition)
+        .orderBy('memberCount', 'desc')
+        .limit(limit)
+        .get();
+      
+      return snapshot.docs.map(toCommunity);
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_condition_communities_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get the communities a user belongs to, by name
+   * @param {Array<string>} communityIds - IDs from the user's communityIds
+   * @returns {Promise<Array>} Communities
+   */
+  getCommunitiesByIds: async (communityIds = []) => {
+    if (communityIds.length === 0) return [];
+    
+    try {
+      const communities = [];
+      
+      // Firestore 'in' queries accept at most 10 values
+      for (let i = 0; i < communityIds.length; i += 10) {
+        const snapshot = await firestore()
+          .collection('communities')
+          .where(firestore.FieldPath.documentId(), 'in', communityIds.slice(i, i + 10))
+          .get();
+        
+        communities.push(...snapshot.docs.map(toCommunity));
+      }
+      
+      return communities.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_communities_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Check whether a user is a member of a community or waiting for approval
+   * @param {string} communityId - Community ID
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} 'member', 'pending' or 'none'
+   */
+  getMembershipStatus: async (communityId, userId) => {
+    if (!communityId || !userId) return 'none';
+    
+    try {
+      const communityRef = firestore().collection('communities').doc(communityId);
+      const [memberDoc, requestDoc] = await Promise.all([
+        communityRef.collection('members').doc(userId).get(),
+        communityRef.collection('joinRequests').doc(userId).get(),
+      ]);
+      
+      if (memberDoc.exists) return 'member';
+      return requestDoc.exists ? 'pending' : 'none';
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_membership_status_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Join a community, or ask to join one that needs approval
+   * @param {string} communityId - Community ID
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} The new status, 'member' or 'pending'
+   */
+  joinCommunity: async (communityId, userId) => {
+    if (!communityId || !userId) throw new Error('Community ID and User ID are required');
+    
+    try {
+      const communityRef = firestore().collection('communities').doc(communityId);
+      const member = await getMemberProfile(userId);
+      
+      const { status, community } = await firestore().runTransaction(async transaction => {
+        const [communityDoc, memberDoc, requestDoc] = await Promise.all([
+          transaction.get(communityRef),
+          transaction.get(communityRef.collection('members').doc(userId)),
+          transaction.get(communityRef.collection('joinRequests').doc(userId)),
+        ]);
+        
+        if (!communityDoc.exists) {
+          throw new Error('Community not found');
+        }
+        if (memberDoc.exists) {
+          return { status: 'member', community: communityDoc.data() };
+        }
+        if (requestDoc.exists) {
+          return { status: 'pending', community: communityDoc.data() };
+        }
+        
+        if (communityDoc.data().membership === 'approval') {
+          transaction.set(requestDoc.ref, {
+            ...member,
+            requestedAt: firestore.FieldValue.serverTimestamp(),
+          });
+          transaction.update(communityRef, {
+            pendingRequestCount: firestore.FieldValue.increment(1),
+          });
+          return { status: 'pending', community: communityDoc.data(), requested: true };
+        }
+        
+        addCommunityMember(transaction, communityRef, member);
+        return { status: 'member', community: communityDoc.data() };
+      });
+      
+      if (status === 'pending') {
+        // Let the moderators know someone is waiting
+        const batch = firestore().batch();
+        (community.moderatorIds || []).forEach(moderatorId => {
+          batch.set(firestore().collection('notifications').doc(), {
+            type: 'community_request',
+            communityId,
+            communityName: community.name,
+            senderId: userId,
+            recipientId: moderatorId,
+            message: `asked to join ${community.name}`,
+            timestamp: firestore.FieldValue.serverTimestamp(),
+            read: false,
+          });
+        });
+        await batch.commit();
+      }
+      
+      AnalyticsService.logEvent(status === 'pending' ? 'request_join_community' : 'join_community', { communityId });
+      
+      return status;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'join_community_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Withdraw a request to join a community
+   * @param {string} communityId - Community ID
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  cancelJoinRequest: async (communityId, userId) => {
+    if (!communityId || !userId) throw new Error('Community ID and User ID are required');
+    
+    try {
+      const communityRef = firestore().collection('communities').doc(communityId);
+      
+      await firestore().runTransaction(async transaction => {
+        const requestDoc = await transaction.get(communityRef.collection('joinRequests').doc(userId));
+        if (!requestDoc.exists) return;
+        
+        transaction.delete(requestDoc.ref);
+        transaction.update(communityRef, {
+          pendingRequestCount: firestore.FieldValue.increment(-1),
+        });
+      });
+      
+      AnalyticsService.logEvent('cancel_join_community_request', { communityId });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'cancel_join_community_request_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Leave a community. Owners can't leave the community they run.
+   * @param {string} communityId - Community ID
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  leaveCommunity: async (communityId, userId) => {
+    if (!communityId || !userId) throw new Error('Community ID and User ID are required');
+    
+    try {
+      await removeCommunityMember(communityId, userId);
+      
+      AnalyticsService.logEvent('leave_community', { communityId });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'leave_community_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get a page of a community's members, longest-standing first
+   * @param {string} communityId - Community ID
+   * @param {number} limit - Page size
+   * @param {Object} lastVisible - Last member document of the previous page
+   * @returns {Promise<Object>} { members, lastVisible, hasMore }
+   */
+  getMembers: async (communityId, limit = 30, lastVisible = null) => {
+    if (!communityId) throw new Error('Community ID is required');
+    
+    try {
+      let query = firestore()
+        .collection('communities')
+        .doc(communityId)
+        .collection('members')
+        .orderBy('joinedAt', 'asc')
+        .limit(limit);
+      
+      if (lastVisible) {
+        query = query.startAfter(lastVisible);
+      }
+      
+      const snapshot = await query.get();
+      
+      return {
+        members: snapshot.docs.map(doc => ({
+          id: doc.id,
+          ...doc.data(),
+          joinedAt: doc.data().joinedAt?.toDate() || new Date(),
+        })),
+        lastVisible: snapshot.docs[snapshot.docs.length - 1] || lastVisible,
+        hasMore: snapshot.docs.length === limit,
+      };
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_community_members_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get the pending requests to join a community, oldest first
+   * @param {string} communityId - Community ID
+   * @param {string} moderatorId - Moderator's user ID
+   * @returns {Promise<Array>} Requests
+   */
+  getJoinRequests: async (communityId, moderatorId) => {
+    if (!communityId || !moderatorId) throw new Error('Community ID and User ID are required');
+    
+    try {
+      const communityDoc = await getModeratedCommunity(communityId, moderatorId);
+      const snapshot = await communityDoc.ref
+        .collection('joinRequests')
+        .orderBy('requestedAt', 'asc')
+        .get();
+      
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        requestedAt: doc.data().requestedAt?.toDate() || new Date(),
+      }));
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_join_requests_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Approve or decline a request to join
+   * @param {string} communityId - Community ID
+   * @param {string} requesterId - User ID of the person asking to join
+   * @param {string} moderatorId - Moderator's user ID
+   * @param {boolean} approve - Whether to let them in
+   * @returns {Promise<void>}
+   */
+  respondToJoinRequest: async (communityId, requesterId, moderatorId, approve) => {
+    if (!communityId || !requesterId || !moderatorId) {
+      throw new Error('Community ID, requester and moderator are required');
+    }
+    
+    try {
+      const communityDoc = await getModeratedCommunity(communityId, moderatorId);
+      const communityRef = communityDoc.ref;
+      
+      await firestore().runTransaction(async transaction => {
+        const requestDoc = await transaction.get(communityRef.collection('joinRequests').doc(requesterId));
+        
+        if (!requestDoc.exists) {
+          throw new Error('This request has already been handled');
+        }
+        
+        transaction.delete(requestDoc.ref);
+        transaction.update(communityRef, {
+          pendingRequestCount: firestore.FieldValue.increment(-1),
+        });
+        
+        if (approve) {
+          const { requestedAt, ...member } = requestDoc.data();
+          addCommunityMember(transaction, communityRef, member);
+        }
+      });
+      
+      if (approve) {
+        await firestore().collection('notifications').add({
+          type: 'community_approved',
+          communityId,
+          communityName: communityDoc.data().name,
+          senderId: moderatorId,
+          recipientId: requesterId,
+          message: `approved your request to join ${communityDoc.data().name}`,
+          timestamp: firestore.FieldValue.serverTimestamp(),
+          read: false,
+        });
+      }
+      
+      AnalyticsService.logEvent('respond_join_community_request', { communityId, approve });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'respond_join_community_request_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Remove someone from a community. Only the owner can remove other moderators.
+   * @param {string} communityId - Community ID
+   * @param {string} memberId - User ID to remove
+   * @param {string} moderatorId - Moderator's user ID
+   * @returns {Promise<void>}
+   */
+  removeMember: async (communityId, memberId, moderatorId) => {
+    if (!communityId || !memberId || !moderatorId) {
+      throw new Error('Community ID, member and moderator are required');
+    }
+    
+    try {
+      const communityDoc = await getModeratedCommunity(communityId, moderatorId);
+      const { ownerId, moderatorIds = [] } = communityDoc.data();
+      
+      if (moderatorIds.includes(memberId) && moderatorId !== ownerId) {
+        throw new Error('Only the owner can remove a moderator');
+      }
+      
+      await removeCommunityMember(communityId, memberId);
+      
+      AnalyticsService.logEvent('remove_community_member', { communityId });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'remove_community_member_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Make a member a moderator or take the role away. Only the owner can do this.
+   * @param {string} communityId - Community ID
+   * @param {string} memberId - Member's user ID
+   * @param {string} ownerId - Owner's user ID
+   * @param {boolean} isModerator - Whether the member should moderate
+   * @returns {Promise<void>}
+   */
+  setModerator: async (communityId, memberId, ownerId, isModerator) => {
+    if (!communityId || !memberId || !ownerId) {
+      throw new Error('Community ID, member and owner are required');
+    }
+    
+    try {
+      const communityRef = firestore().collection('communities').doc(communityId);
+      const [communityDoc, memberDoc] = await Promise.all([
+        communityRef.get(),
+        communityRef.collection('members').doc(memberId).get(),
+      ]);
+      
+      if (!communityDoc.exists) {
+        throw new Error('Community not found');
+      }
+      if (communityDoc.data().ownerId !== ownerId) {
+        throw new Error('Only the community owner can change moderators');
+      }
+      if (memberId === ownerId) {
+        throw new Error('The owner is always a moderator');
+      }
+      if (!memberDoc.exists) {
+        throw new Error('Only members can moderate a community');
+      }
+      
+      await communityRef.update({
+        moderatorIds: isModerator
+          ? firestore.FieldValue.arrayUnion(memberId)
+          : firestore.FieldValue.arrayRemove(memberId),
+      });
+      
+      AnalyticsService.logEvent('set_community_moderator', { communityId, isModerator });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'set_community_moderator_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get a page of a community's posts, newest first. Communities that need
+   * approval only show their posts to members.
+   * @param {string} communityId - Community ID
+   * @param {string} userId - Viewer's user ID
+   * @param {number} limit - Page size
+   * @param {Object} lastVisible - Last post document of the previous page
+   * @returns {Promise<Object>} { posts, lastVisible, hasMore }
+   */
+  getCommunityPosts: async (communityId, userId, limit = 10, lastVisible = null) => {
+    if (!communityId) throw new Error('Community ID is required');
+    
+    try {
+      let query = firestore()
+        .collection('posts')
+        .where('communityId', '==', communityId)
+        .orderBy('timestamp', 'desc')
+        .limit(limit);
+      
+      if (lastVisible) {
+        query = query.startAfter(lastVisible);
+      }
+      
+      const [snapshot, viewer] = await Promise.all([
+        query.get(),
+        getFollowingIds(userId).then(getPostViewer),
+      ]);
+      
+      const posts = filterVisiblePosts(snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        timestamp: doc.data().timestamp?.toDate() || new Date(),
+      })), viewer);
+      
+      return {
+        posts,
+        lastVisible: snapshot.docs[snapshot.docs.length - 1] || lastVisible,
+        hasMore: snapshot.docs.length === limit,
+      };
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_community_posts_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Take a post out of a community for breaking its rules
+   * @param {string} communityId - Community ID
+   * @param {string} postId - Post ID
+   * @param {string} moderatorId - Moderator's user ID
+   * @returns {Promise<void>}
+   */
+  removePost: async (communityId, postId, moderatorId) => {
+    if (!communityId || !postId || !moderatorId) {
+      throw new Error('Community ID, post and moderator are required');
+    }
+    
+    try {
+      await getModeratedCommunity(communityId, moderatorId);
+      
+      const postRef = firestore().collection('posts').doc(postId);
+      const postDoc = await postRef.get();
+      
+      if (!postDoc.exists || postDoc.data().communityId !== communityId) {
+        throw new Error('Post not found in this community');
+      }
+      
+      await postRef.update({
+        removedFromCommunity: true,
+        removedBy: moderatorId,
+        removedAt: firestore.FieldValue.serverTimestamp(),
+      });
+      
+      AnalyticsService.logEvent('remove_community_post', { communityId, postId });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'remove_community_post_error');
+      throw error;
+    }
+  },
+};
+
+/**
+ * Post insights service for the impressions and engagement authors see on their posts
+ */
+export const PostInsightsService = {
+  /**
+   * Count a post being seen. Each viewer counts once a day, and authors
+   * don't count towards their own posts.
+   * @param {Object} post - Post data ({ id, userId, anonymous })
+   * @param {string} userId - Viewer's user ID
+   * @returns {Promise<boolean>} Whether a new impression was recorded
+   */
+  recordImpression: async (post, userId) => {
+    if (!post?.id || !userId) throw new Error('Post and User ID are required');
+    
+    try {
+      // Anonymous posts don't carry their author, so look them up
+      if (await getAuthorId(post.id, post) === userId) return false;
+      
+      const postRef = firestore().collection('posts').doc(post.id);
+      const viewerRef = postRef.collection('viewers').doc(userId);
+      const day = getDayKey();
+      const dayRef = postRef.collection('impressionDays').doc(day);
+      
+      return await firestore().runTransaction(async transaction => {
+        const viewerDoc = await transaction.get(viewerRef);
+        
+        if (viewerDoc.exists && viewerDoc.data().lastSeenDay === day) {
+          return false;
+        }
+        
+        const isNewViewer = !viewerDoc.exists;
+        
+        transaction.set(viewerRef, {
+          userId,
+          lastSeenDay: day,
+          impressions: firestore.FieldValue.increment(1),
+          ...(isNewViewer ? { firstSeenAt: firestore.FieldValue.serverTimestamp() } : {}),
+        }, { merge: true });
+        
+        transaction.set(dayRef, {
+          day,
+          impressions: firestore.FieldValue.increment(1),
+          newViewers: firestore.FieldValue.increment(isNewViewer ? 1 : 0),
+        }, { merge: true });
+        
+        return true;
+      });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'record_impression_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get the insights for a post. Only its author can see them.
+   * @param {string} postId - Post ID
+   * @param {string} userId - User ID asking, must be the author
+   * @returns {Promise<Object>} Totals, engagement rate and a daily impressions series
+   */
+  getPostInsights: async (postId, userId) => {
+    if (!postId || !userId) throw new Error('Post ID and User ID are required');
+    
+    try {
+      const postRef = firestore().collection('posts').doc(postId);
+      const postDoc = await postRef.get();
+      
+      if (!postDoc.exists || postDoc.data().deleted) {
+        throw new Error('Post not found');
+      }
+      
+      const post = postDoc.data();
+      
+      if (await getAuthorId(postId, post) !== userId) {
+        throw new Error('Only the author can view insights for this post');
+      }
+      
+      const daysSnapshot = await postRef.collection('impressionDays').get();
+      
+      const impressionsByDay = {};
+      let impressions = 0;
+      let uniqueViewers = 0;
+      
+      daysSnapshot.docs.forEach(doc => {
+        const { day, impressions: dayImpressions = 0, newViewers = 0 } = doc.data();
+        impressionsByDay[day] = dayImpressions;
+        impressions += dayImpressions;
+        uniqueViewers += newViewers;
+      });
+      
+      // Oldest first, with a zero for days nobody saw the post
+      const daily = Array.from({ length: INSIGHTS_CHART_DAYS }, (_, index) => {
+        const date = subDays(new Date(), INSIGHTS_CHART_DAYS - 1 - index);
+        return { date, impressions: impressionsByDay[getDayKey(date)] || 0 };
+      });
       
-      return reportRef.id;
+      const totals = {
+        reactions: post.likeCount || 0,
+        comments: post.commentCount || 0,
+        shares: post.shareCount || 0,
+        bookmarks: post.bookmarkCount || 0,
+        reshares: post.reshareCount || 0,
+      };
+      const engagements = Object.values(totals).reduce((sum, count) => sum + count, 0);
+      
+      AnalyticsService.logEvent('view_post_insights', { postId });
+      
+      return {
+        impressions,
+        uniqueViewers,
+        ...totals,
+        engagements,
+        engagementRate: impressions > 0 ? engagements / impressions : 0,
+        daily,
+      };
     } catch (error) {
-      AnalyticsService.logError(error.message, 'report_comment_error');
+      AnalyticsService.logError(error.message, 'get_post_insights_error');
       throw error;
     }
   },
 };
 
 /**
- * Notification service for Firestore notification operations
+ * Peer service for suggesting people with similar experiences in Explore
  */
-export const NotificationService = {
+export const PeerService = {
   /**
-   * Get notifications for a user
-   * @param {string} userId - User ID
-   * @param {number} limit - Maximum number of notifications to get
-   * @param {Object} lastVisible - Last document for pagination
-   * @returns {Promise<Object>} Notifications data and last visible document
+   * Suggest peers for a user, best match first. Only people whose peer suggestion setting
+   * is 'on' are considered; people the user already follows, blocks on either side and
+   * anyone marked "not interested" are left out.
+   * @param {string} userId - Viewer's user ID
+   * @param {Object} viewer - Viewer's medicalConditions, diagnosisStage, ageRange, languages and region
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {Promise<Array>} Users with `matchScore`, `matchSignals` and `matchShared`
    */
-  getNotifications: async (userId, limit = 20, lastVisible = null) => {
+  getPeerSuggestions: async (userId, viewer, limit = 30) => {
     if (!userId) throw new Error('User ID is required');
     
+    // array-contains-any accepts at most 10 values
+    const conditions = (viewer?.medicalConditions || []).slice(0, 10);
+    if (conditions.length === 0) return [];
+    
     try {
-      let query = firestore()
-        .collection('notifications')
-        .where('recipientId', '==', userId)
-        .orderBy('timestamp', 'desc');
-      
-      // Apply pagination if provided
-      if (lastVisible) {
-        query = query.startAfter(lastVisible);
-      }
-      
-      query = query.limit(limit);
-      
-      const snapshot = await query.get();
+      const [usersSnapshot, dismissedSnapshot, followingIds, blockedIds] = await Promise.all([
+        firestore()
+          .collection('users')
+          .where('medicalConditions', 'array-contains-any', conditions)
+          // Filtered in the query so people who opted out don't use up the candidate pool
+          .where('peerSuggestions', '==', 'on')
+          .limit(PEER_CANDIDATE_POOL_SIZE)
+          .get(),
+        firestore().collection('users').doc(userId).collection('dismissedPeers').get(),
+        getFollowingIds(userId),
+        getBlockedIdsBothWays(userId),
+      ]);
+      
+      const excludedIds = new Set([userId, ...followingIds, ...blockedIds]);
+      const candidates = usersSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(candidate => !excludedIds.has(candidate.id));
+      
+      // Every "not interested" turns down the factors that peer matched on
+      const dismissedFactors = {};
+      dismissedSnapshot.docs.forEach(doc => {
+        (doc.data().factors || []).forEach(factor => {
+          dismissedFactors[factor] = (dismissedFactors[factor] || 0) + 1;
+        });
+      });
       
-      const notifications = [];
+      const mutualFollowCounts = await getMutualFollowCounts(
+        followingIds,
+        candidates.map(candidate => candidate.id)
+      );
       
-      // Process notifications
-      for (const doc of snapshot.docs) {
-        const notification = {
-          id: doc.id,
-          ...doc.data(),
-          timestamp: doc.data().timestamp?.toDate() || new Date(),
-        };
-        
-        // Get sender info if available
-        if (notification.senderId) {
-          try {
-            const senderDoc = await firestore().collection('users').doc(notification.senderId).get();
-            if (senderDoc.exists) {
-              notification.senderName = `${senderDoc.data().firstName || ''} ${senderDoc.data().lastName || ''}`.trim();
-              notification.senderProfileImage = senderDoc.data().profileImageURL;
-            }
-          } catch (senderError) {
-            console.error('Error getting notification sender:', senderError);
-          }
-        }
-        
-        notifications.push(notification);
-      }
+      const suggestions = rankPeers(candidates, viewer, {
+        conditionCounts: countConditions(candidates),
+        mutualFollowCounts,
+        dismissedIds: dismissedSnapshot.docs.map(doc => doc.id),
+        dismissedFactors,
+      }).slice(0, limit);
       
-      const lastDoc = snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1] : null;
+      AnalyticsService.logEvent('get_peer_suggestions', { count: suggestions.length });
       
-      return { notifications, lastVisible: lastDoc };
+      return suggestions;
     } catch (error) {
-      AnalyticsService.logError(error.message, 'get_notifications_error');
+      AnalyticsService.logError(error.message, 'get_peer_suggestions_error');
       throw error;
     }
   },
 
   /**
-   * Mark a notification as read
-   * @param {string} notificationId - Notification ID
-   * @returns {Promise<boolean>} Success status
+   * Stop suggesting a peer, and remember what they matched on so similar peers rank lower
+   * @param {string} userId - Viewer's user ID
+   * @param {string} peerId - Suggested user's ID
+   * @param {Array<string>} factors - Matching factors the peer scored on
+   * @returns {Promise<void>}
    */
-  markAsRead: async (notificationId) => {
-    if (!notificationId) throw new Error('Notification ID is required');
+  dismissPeer: async (userId, peerId, factors = []) => {
+    if (!userId || !peerId) throw new Error('User ID and peer ID are required');
     
     try {
       await firestore()
-        .collection('notifications')
-        .doc(notificationId)
-        .update({
-          read: true,
-          readTimestamp: firestore.FieldValue.serverTimestamp(),
+        .collection('users')
+        .doc(userId)
+        .collection('dismissedPeers')
+        .doc(peerId)
+        .set({
+          factors,
+          dismissedAt: firestore.FieldValue.serverTimestamp(),
         });
       
-      return true;
+      AnalyticsService.logEvent('dismiss_peer_suggestion', { factors: factors.join(',') });
     } catch (error) {
-      AnalyticsService.logError(error.message, 'mark_notification_read_error');
+      AnalyticsService.logError(error.message, 'dismiss_peer_error');
       throw error;
     }
   },
+};
 
+/**
+ * Verification service for health professional applications and badges
+ */
+export const VerificationService = {
   /**
-   * Mark all notifications as read
-   * @param {string} userId - User ID
-   * @returns {Promise<number>} Number of notifications marked as read
+   * Apply for verification. A new application replaces a rejected, revoked or expired one.
+   * @param {string} userId - Applicant's user ID
+   * @param {Object} application - profession, licenseNumber, issuingRegion and document ({ uri })
+   * @returns {Promise<void>}
    */
-  markAllAsRead: async (userId) => {
+  submitApplication: async (userId, application) => {
     if (!userId) throw new Error('User ID is required');
     
+    const licenseNumber = (application.licenseNumber || '').trim();
+    const issuingRegion = (application.issuingRegion || '').trim();
+    
+    if (!PROFESSION_TYPES.includes(application.profession)) throw new Error('Choose your profession');
+    if (!licenseNumber) throw new Error('License number is required');
+    if (licenseNumber.length > MAX_LICENSE_NUMBER_LENGTH) {
+      throw new Error(`License numbers can be at most ${MAX_LICENSE_NUMBER_LENGTH} characters`);
+    }
+    if (!issuingRegion) throw new Error('Enter the region that issued your license');
+    if (!application.document?.uri) throw new Error('Upload a photo of your license or registration');
+    
     try {
-      const batch = firestore().batch();
-      let count = 0;
-      
-      // Get unread notifications
-      const snapshot = await firestore()
-        .collection('notifications')
-        .where('recipientId', '==', userId)
-        .where('read', '==', false)
-        .get();
+      const applicationRef = firestore().collection('verificationApplications').doc(userId);
+      const [existingDoc, userDoc] = await Promise.all([
+        applicationRef.get(),
+        firestore().collection('users').doc(userId).get(),
+      ]);
+      
+      if (existingDoc.exists && existingDoc.data().status === 'pending') {
+        throw new Error('Your application is already being reviewed');
+      }
       
-      if (snapshot.empty) return 0;
+      // Documents are kept by path rather than URL so only admins fetch them
+      const documentPath = `verification/${userId}/${Date.now()}.jpg`;
+      await storage().ref(documentPath).putFile(application.document.uri);
       
-      // Update all in batch
-      snapshot.docs.forEach(doc => {
-        batch.update(doc.ref, {
-          read: true,
-          readTimestamp: firestore.FieldValue.serverTimestamp(),
-        });
-        count++;
+      const user = userDoc.data() || {};
+      await applicationRef.set({
+        userId,
+        userFullName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+        userProfileImageURL: user.profileImageURL || null,
+        profession: application.profession,
+        licenseNumber,
+        issuingRegion,
+        documentPath,
+        status: 'pending',
+        submittedAt: firestore.FieldValue.serverTimestamp(),
+        reviewedBy: null,
+        reviewedAt: null,
+        reviewNotes: null,
+        expiresAt: null,
       });
       
-      await batch.commit();
-      
-      AnalyticsService.logEvent('mark_all_notifications_read', { count });
-      
-      return count;
+      AnalyticsService.logEvent('submit_verification_application', { profession: application.profession });
     } catch (error) {
-      AnalyticsService.logError(error.message, 'mark_all_notifications_read_error');
+      AnalyticsService.logError(error.message, 'submit_verification_application_error');
       throw error;
     }
   },
 
   /**
-   * Delete a notification
-   * @param {string} notificationId - Notification ID
+   * Get a user's latest application
    * @param {string} userId - User ID
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<Object|null>} Application, or null if they haven't applied
    */
-  deleteNotification: async (notificationId, userId) => {
-    if (!notificationId || !userId) {
-      throw new Error('Notification ID and User ID are required');
-    }
+  getApplication: async (userId) => {
+    if (!userId) throw new Error('User ID is required');
     
     try {
-      // Verify ownership
-      const notificationDoc = await firestore().collection('notifications').doc(notificationId).get();
-      
-      if (!notificationDoc.exists) {
-        throw new Error('Notification not found');
-      }
+      const applicationDoc = await firestore().collection('verificationApplications').doc(userId).get();
       
-      if (notificationDoc.data().recipientId !== userId) {
-        throw new Error('Not authorized to delete this notification');
-      }
-      
-      // Delete the notification
-      await notificationDoc.ref.delete();
+      return applicationDoc.exists ? toApplication(applicationDoc) : null;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_verification_application_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Get applications for the admin queue. Pending ones come oldest first, the rest newest first.
+   * @param {string} status - One of VERIFICATION_STATUSES
+   * @param {number} limit - Maximum number of applications
+   * @returns {Promise<Array>} Applications
+   */
+  getApplications: async (status = 'pending', limit = 50) => {
+    try {
+      const snapshot = await firestore()
+        .collection('verificationApplications')
+        .where('status', '==', status)
+        .orderBy(status === 'pending' ? 'submittedAt' : 'reviewedAt', status === 'pending' ? 'asc' : 'desc')
+        .limit(limit)
+        .get();
       
-      return true;
+      return snapshot.docs.map(toApplication);
     } catch (error) {
-      AnalyticsService.logError(error.message, 'delete_notification_error');
+      AnalyticsService.logError(error.message, 'get_verification_applications_error');
       throw error;
     }
   },
-};
 
-/**
- * Upload service for Firebase Storage operations
- */
-export const UploadService = {
   /**
-   * Upload an image to Firebase Storage
-   * @param {string} uri - Local URI of the image
-   * @param {string} storagePath - Path in Firebase Storage
-   * @param {Function} onProgress - Progress callback
+   * Get a download URL for an application's document
+   * @param {string} documentPath - Storage path from the application
    * @returns {Promise<string>} Download URL
    */
-  uploadImage: async (uri, storagePath, onProgress = null) => {
-    if (!uri || !storagePath) throw new Error('URI and storage path are required');
+  getDocumentURL: async (documentPath) => {
+    if (!documentPath) throw new Error('Document path is required');
     
     try {
-      // Create storage reference
-      const reference = storage().ref(storagePath);
+      return await storage().ref(documentPath).getDownloadURL();
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'get_verification_document_error');
+      throw error;
+    }
+  },
+
+  /**
+   * Approve or reject a pending application. Approved professionals get a badge that
+   * expires after VERIFICATION_VALIDITY_MONTHS.
+   * @param {string} userId - Applicant's user ID
+   * @param {string} adminId - Reviewing admin's user ID
+   * @param {boolean} approve - Whether to approve
+   * @param {string} notes - Review notes, shown to the applicant
+   * @returns {Promise<void>}
+   */
+  reviewApplication: async (userId, adminId, approve, notes = '') => {
+    if (!userId || !adminId) throw new Error('User ID and admin ID are required');
+    
+    try {
+      await assertAdmin(adminId);
       
-      // Start upload task
-      const task = reference.putFile(uri);
+      const applicationRef = firestore().collection('verificationApplications').doc(userId);
+      const applicationDoc = await applicationRef.get();
       
-      // Listen for progress
-      if (onProgress) {
-        task.on('state_changed', snapshot => {
-          const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-          onProgress(progress);
+      if (!applicationDoc.exists || applicationDoc.data().status !== 'pending') {
+        throw new Error('This application is no longer pending');
+      }
+      
+      const { profession, issuingRegion } = applicationDoc.data();
+      const expiresAt = approve ? addMonths(new Date(), VERIFICATION_VALIDITY_MONTHS) : null;
+      
+      const batch = firestore().batch();
+      batch.update(applicationRef, {
+        status: approve ? 'approved' : 'rejected',
+        reviewedBy: adminId,
+        reviewedAt: firestore.FieldValue.serverTimestamp(),
+        reviewNotes: notes.trim() || null,
+        expiresAt,
+      });
+      if (approve) {
+        batch.update(firestore().collection('users').doc(userId), {
+          verified: true,
+          verification: {
+            profession,
+            issuingRegion,
+            verifiedAt: firestore.FieldValue.serverTimestamp(),
+            expiresAt,
+          },
         });
       }
+      await batch.commit();
       
-      // Wait for upload to complete
-      await task;
+      if (approve) {
+        await setAuthorVerification(userId, { profession, expiresAt });
+      }
       
-      // Get download URL
-      const url = await reference.getDownloadURL();
+      await firestore().collection('notifications').add({
+        type: approve ? 'verification_approved' : 'verification_rejected',
+        senderId: adminId,
+        recipientId: userId,
+        message: approve
+          ? `verified you as a ${getProfession(profession)?.label.toLowerCase()}`
+          : 'reviewed your verification application',
+        timestamp: firestore.FieldValue.serverTimestamp(),
+        read: false,
+      });
       
-      return url;
+      await SecurityUtils.createAuditLog(adminId, approve ? 'verification_approved' : 'verification_rejected', {
+        userId,
+        profession,
+        notes: notes.trim() || null,
+      });
+      
+      AnalyticsService.logEvent('review_verification_application', { profession, approve });
     } catch (error) {
-      AnalyticsService.logError(error.message, 'upload_image_error');
+      AnalyticsService.logError(error.message, 'review_verification_application_error');
       throw error;
     }
   },
 
   /**
-   * Upload a video to Firebase Storage
-   * @param {string} uri - Local URI of the video
-   * @param {string} storagePath - Path in Firebase Storage
-   * @param {Function} onProgress - Progress callback
-   * @returns {Promise<string>} Download URL
+   * Revoke a professional's verification and remove their badge everywhere
+   * @param {string} userId - Professional's user ID
+   * @param {string} adminId - Admin's user ID
+   * @param {string} reason - Why it was revoked, kept in the audit log
+   * @returns {Promise<void>}
    */
-  uploadVideo: async (uri, storagePath, onProgress = null) => {
-    if (!uri || !storagePath) throw new Error('URI and storage path are required');
+  revokeVerification: async (userId, adminId, reason) => {
+    if (!userId || !adminId) throw new Error('User ID and admin ID are required');
+    if (!reason || !reason.trim()) throw new Error('A reason is required to revoke a verification');
     
     try {
-      // Create storage reference
-      const reference = storage().ref(storagePath);
+      await assertAdmin(adminId);
       
-      // Start upload task
-      const task = reference.putFile(uri);
+      const applicationRef = firestore().collection('verificationApplications').doc(userId);
+      const applicationDoc = await applicationRef.get();
       
-      // Listen for progress
-      if (onProgress) {
-        task.on('state_changed', snapshot => {
-          const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-          onProgress(progress);
-        });
+      if (!applicationDoc.exists || applicationDoc.data().status !== 'approved') {
+        throw new Error('This professional is not verified');
       }
       
-      // Wait for upload to complete
-      await task;
+      const { profession } = applicationDoc.data();
       
-      // Get download URL
-      const url = await reference.getDownloadURL();
+      const batch = firestore().batch();
+      batch.update(applicationRef, {
+        status: 'revoked',
+        revokedBy: adminId,
+        revokedAt: firestore.FieldValue.serverTimestamp(),
+        revokeReason: reason.trim(),
+      });
+      batch.update(firestore().collection('users').doc(userId), {
+        verified: false,
+        verification: null,
+      });
+      await batch.commit();
       
-      return url;
+      await setAuthorVerification(userId, null);
+      
+      await firestore().collection('notifications').add({
+        type: 'verification_revoked',
+        senderId: adminId,
+        recipientId: userId,
+        message: 'revoked your professional verification',
+        timestamp: firestore.FieldValue.serverTimestamp(),
+        read: false,
+      });
+      
+      await SecurityUtils.createAuditLog(adminId, 'verification_revoked', {
+        userId,
+        profession,
+        reason: reason.trim(),
+      });
+      
+      AnalyticsService.logEvent('revoke_verification', { profession });
     } catch (error) {
-      AnalyticsService.logError(error.message, 'upload_video_error');
+      AnalyticsService.logError(error.message, 'revoke_verification_error');
       throw error;
     }
   },
+};
 
+/**
+ * Recently deleted service for the posts and comments a user can still restore
+ */
+export const RecentlyDeletedService = {
   /**
-   * Delete a file from Firebase Storage
-   * @param {string} url - Firebase Storage URL
-   * @returns {Promise<boolean>} Success status
+   * Get everything a user has deleted that hasn't been purged yet, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Items with type 'post' or 'comment'
    */
-  deleteFile: async (url) => {
-    if (!url || !url.startsWith('https://firebasestorage.googleapis.com')) {
-      throw new Error('Valid Firebase Storage URL is required');
-    }
+  getDeletedItems: async (userId) => {
+    if (!userId) throw new Error('User ID is required');
     
     try {
-      const reference = storage().refFromURL(url);
-      await reference.delete();
+      const [postsSnapshot, commentsSnapshot, repliesSnapshot, anonymousSnapshot] = await Promise.all([
+        firestore().collection('posts').where('deletedBy', '==', userId).get(),
+        firestore().collection('comments').where('deletedBy', '==', userId).get(),
+        firestore().collectionGroup('replies').where('deletedBy', '==', userId).get(),
+        firestore().collection('anonymousAuthors').where('userId', '==', userId).get(),
+      ]);
+      
+      // Anonymous posts and comments don't name who deleted them, so find
+      // them through the user's anonymous records instead
+      const anonymousRecords = anonymousSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      const anonymousDocs = await Promise.all(anonymousRecords
+        .filter(record => record.deleted)
+        .map(record => (record.type === 'post'
+          ? firestore().collection('posts').doc(record.id)
+          : getCommentRef(record.id, record.rootId)
+        ).get()));
+      
+      // Comments the user deleted from their own anonymous posts
+      const anonymousPostIds = anonymousRecords.filter(record => record.type === 'post').map(record => record.id);
+      const postAuthorQueries = [];
+      for (let i = 0; i < anonymousPostIds.length; i += 10) {
+        const postIds = anonymousPostIds.slice(i, i + 10);
+        postAuthorQueries.push(
+          firestore().collection('comments').where('postId', 'in', postIds).where('deletedByPostAuthor', '==', true).get(),
+          firestore().collectionGroup('replies').where('postId', 'in', postIds).where('deletedByPostAuthor', '==', true).get()
+        );
+      }
+      const postAuthorDocs = (await Promise.all(postAuthorQueries)).flatMap(snapshot => snapshot.docs);
       
-      return true;
+      const toItem = (doc, type, rootId = null) => {
+        const data = doc.data();
+        return {
+          id: doc.id,
+          type,
+          rootId,
+          ...data,
+          timestamp: data.timestamp?.toDate() || new Date(),
+          deletedAt: data.deletedAt?.toDate() || new Date(),
+          purgeAt: data.purgeAt?.toDate() || null,
+        };
+      };
+      
+      return [
+        ...postsSnapshot.docs.map(doc => toItem(doc, 'post')),
+        ...commentsSnapshot.docs.map(doc => toItem(doc, 'comment')),
+        // Replies live under their top-level comment
+        ...repliesSnapshot.docs.map(doc => toItem(doc, 'comment', doc.ref.parent.parent.id)),
+        ...[...anonymousDocs, ...postAuthorDocs]
+          .filter(doc => doc.exists && doc.data().deleted)
+          .map(doc => (doc.ref.parent.id === 'posts'
+            ? toItem(doc, 'post')
+            : toItem(doc, 'comment', doc.ref.parent.id === 'replies' ? doc.ref.parent.parent.id : null))),
+      ]
+        // Past their restore window, items only wait for the daily purge job
+        .filter(item => !item.purgeAt || item.purgeAt > new Date())
+        .sort((a, b) => b.deletedAt - a.deletedAt);
     } catch (error) {
-      AnalyticsService.logError(error.message, 'delete_file_error');
+      AnalyticsService.logError(error.message, 'get_deleted_items_error');
       throw error;
     }
   },
@@ -1384,7 +5322,15 @@ export default {
   UserService,
   PostService,
   CommentService,
+  QuestionService,
   NotificationService,
   UploadService,
   BlockService,
+  TopicService,
+  MentionService,
+  CommunityService,
+  PostInsightsService,
+  PeerService,
+  VerificationService,
+  RecentlyDeletedService,
 };
@@ -0,0 +1,406 @@
+// src/services/JournalService.js
+// Private health journal, encrypted on the device and backed up as ciphertext
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import firestore from '@react-native-firebase/firestore';
+import RNFS from 'react-native-fs';
+import uuid from 'react-native-uuid';
+import SecurityUtils from '../utils/SecurityUtils';
+import { normalizeJournalEntry } from '../utils/journal';
+import { AnalyticsService } from './AnalyticsService';
+
+// Storage constants
+const JOURNAL_KEY_PREFIX = '@journal_';
+const JOURNAL_PHOTO_DIR = `${RNFS.DocumentDirectoryPath}/journal`;
+// Stay under Firestore's limit of 500 writes per batch
+const SYNC_BATCH_SIZE = 400;
+
+const isOnline = (networkState) => networkState.isConnected && networkState.isInternetReachable !== false;
+
+class JournalService {
+  constructor() {
+    // Last user to open their journal, whose changes are sent when the connection returns
+    this.userId = null;
+    this.writeQueue = Promise.resolve();
+    this.syncing = null;
+    this.wasOnline = true;
+    
+    NetInfo.addEventListener(state => {
+      const online = isOnline(state);
+      
+      if (online && !this.wasOnline && this.userId) {
+        this.sync(this.userId).catch(() => {});
+      }
+      
+      this.wasOnline = online;
+    });
+  }
+  
+  /**
+   * Get the AsyncStorage key holding a user's journal
+   * @param {string} userId - User ID
+   * @returns {string} Storage key
+   */
+  getStorageKey(userId) {
+    return `${JOURNAL_KEY_PREFIX}${userId}`;
+  }
+  
+  getRemoteRef(userId) {
+    return firestore().collection('users').doc(userId).collection('journal');
+  }
+  
+  /**
+   * Run reads and writes of the stored journal one at a time so a sync
+   * finishing in the background can't overwrite an entry saved meanwhile
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} The task's result
+   */
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+  
+  /**
+   * Read and decrypt every stored entry, including deletions waiting to sync
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Stored entries
+   * @throws {Error} If the journal can't be decrypted, so it is never overwritten
+   */
+  async readEntries(userId) {
+    const encrypted = await AsyncStorage.getItem(this.getStorageKey(userId));
+    if (!encrypted) return [];
+    
+    await SecurityUtils.requireEncryption();
+    const entries = await SecurityUtils.decryptData(encrypted);
+    
+    if (!Array.isArray(entries)) {
+      throw new Error('Your journal couldn\'t be unlocked on this device');
+    }
+    
+    return entries;
+  }
+  
+  /**
+   * Encrypt and write the full entry list for a user
+   * @param {string} userId - User ID
+   * @param {Array} entries - Entries to store
+   */
+  async writeEntries(userId, entries) {
+    await SecurityUtils.requireEncryption();
+    const encrypted = await SecurityUtils.encryptData(entries);
+    
+    if (!encrypted) {
+      throw new Error('Failed to encrypt journal');
+    }
+    
+    await AsyncStorage.setItem(this.getStorageKey(userId), encrypted);
+  }
+  
+  /**
+   * Get a user's journal entries
+   * @param {string} userId - User ID
+   * @param {Object} range - Optional { from, to } days in yyyy-MM-dd form, inclusive
+   * @returns {Promise<Array>} Entries, newest day first
+   */
+  async getEntries(userId, { from, to } = {}) {
+    if (!userId) throw new Error('User ID is required');
+    this.userId = userId;
+    
+    const entries = await this.enqueue(() => this.readEntries(userId));
+    
+    return entries
+      .filter(entry => !entry.deleted)
+      .filter(entry => (!from || entry.date >= from) && (!to || entry.date <= to))
+      .sort((a, b) => b.date.localeCompare(a.date) || b.createdAt - a.createdAt);
+  }
+  
+  /**
+   * Get a single entry
+   * @param {string} userId - User ID
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<Object|null>} Entry or null if it no longer exists
+   */
+  async getEntry(userId, entryId) {
+    const entries = await this.getEntries(userId);
+    return entries.find(entry => entry.id === entryId) || null;
+  }
+  
+  /**
+   * Encrypt newly added photos into app storage and remove ones taken out of the entry
+   * @param {string} entryId - Entry ID
+   * @param {Array} photos - Photos from the form; new ones have a picker `uri`
+   * @returns {Promise<Array>} Photos as { id, path, width, height }
+   */
+  async persistPhotos(entryId, photos = []) {
+    const entryDir = `${JOURNAL_PHOTO_DIR}/${entryId}`;
+    await RNFS.mkdir(entryDir);
+    
+    const persisted = [];
+    
+    for (const photo of photos) {
+      if (photo.path) {
+        persisted.push(photo);
+        continue;
+      }
+      
+      const source = photo.uri.replace('file://', '');
+      const encrypted = await SecurityUtils.encryptData(await RNFS.readFile(source, 'base64'));
+      
+      if (!encrypted) {
+        throw new Error('Failed to encrypt photo');
+      }
+      
+      const id = photo.id || uuid.v4();
+      const path = `${entryDir}/${id}.enc`;
+      await RNFS.writeFile(path, encrypted, 'utf8');
+      persisted.push({ id, path, width: photo.width, height: photo.height });
+      
+      // Don't leave an unencrypted copy behind in the picker's cache
+      if (source.startsWith(RNFS.CachesDirectoryPath) || source.startsWith(RNFS.TemporaryDirectoryPath)) {
+        RNFS.unlink(source).catch(() => {});
+      }
+    }
+    
+    try {
+      const referenced = persisted.map(photo => photo.path);
+      const files = await RNFS.readDir(entryDir);
+      
+      await Promise.all(files
+        .filter(file => !referenced.includes(file.path))
+        .map(file => RNFS.unlink(file.path)));
+    } catch (error) {
+      console.error('Error cleaning up journal photos:', error);
+    }
+    
+    return persisted;
+  }
+  
+  /**
+   * Decrypt a stored photo for display
+   * @param {Object} photo - Photo from an entry
+   * @returns {Promise<string|null>} Data URI, or null if the photo can't be read
+   */
+  async loadPhoto(photo) {
+    try {
+      await SecurityUtils.requireEncryption();
+      const base64 = await SecurityUtils.decryptData(await RNFS.readFile(photo.path, 'utf8'));
+      return typeof base64 === 'string' ? `data:image/jpeg;base64,${base64}` : null;
+    } catch (error) {
+      console.error('Error loading journal photo:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Create or update an entry. Saves on the device first, then syncs if online.
+   * @param {string} userId - User ID
+   * @param {Object} entry - Entry fields ({ id?, date, symptoms, notes, mood, sleepHours, medications, photos })
+   * @returns {Promise<Object>} Saved entry
+   */
+  async saveEntry(userId, entry) {
+    if (!userId) throw new Error('User ID is required');
+    this.userId = userId;
+    
+    try {
+      const fields = normalizeJournalEntry(entry);
+      await SecurityUtils.requireEncryption();
+      
+      const savedEntry = await this.enqueue(async () => {
+        const entries = await this.readEntries(userId);
+        const id = entry.id || `journal_${uuid.v4()}`;
+        const existing = entries.find(item => item.id === id && !item.deleted);
+        
+        if (entry.id && !existing) {
+          throw new Error('This entry has been deleted');
+        }
+        
+        const saved = {
+          ...fields,
+          id,
+          photos: await this.persistPhotos(id, fields.photos),
+          createdAt: existing?.createdAt || Date.now(),
+          updatedAt: Date.now(),
+          pendingSync: true,
+        };
+        
+        await this.writeEntries(userId, [saved, ...entries.filter(item => item.id !== id)]);
+        
+        return saved;
+      });
+      
+      // Entry contents never go to analytics
+      if (!entry.id) {
+        AnalyticsService.logEvent('journal_entry_created');
+      }
+      
+      this.sync(userId).catch(() => {});
+      
+      return savedEntry;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'save_journal_entry_error');
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete an entry and its photos. The deletion is kept until it has synced.
+   * @param {string} userId - User ID
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<boolean>} Whether an entry was deleted
+   */
+  async deleteEntry(userId, entryId) {
+    if (!userId || !entryId) throw new Error('User ID and entry ID are required');
+    
+    try {
+      const deleted = await this.enqueue(async () => {
+        const entries = await this.readEntries(userId);
+        if (!entries.some(entry => entry.id === entryId && !entry.deleted)) return false;
+        
+        await this.writeEntries(userId, entries.map(entry => (
+          entry.id === entryId
+            ? { id: entryId, deleted: true, updatedAt: Date.now(), pendingSync: true }
+            : entry
+        )));
+        
+        return true;
+      });
+      
+      if (!deleted) return false;
+      
+      const entryDir = `${JOURNAL_PHOTO_DIR}/${entryId}`;
+      if (await RNFS.exists(entryDir)) {
+        await RNFS.unlink(entryDir);
+      }
+      
+      AnalyticsService.logEvent('journal_entry_deleted');
+      this.sync(userId).catch(() => {});
+      
+      return true;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'delete_journal_entry_error');
+      throw error;
+    }
+  }
+  
+  /**
+   * Back up changed entries and restore ones missing from the device.
+   * Entries leave the device encrypted with its key, so the server only ever
+   * holds ciphertext and only this device can read it. Photos stay on the device.
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Whether a sync ran
+   */
+  sync(userId) {
+    if (!this.syncing) {
+      this.syncing = this.runSync(userId).finally(() => {
+        this.syncing = null;
+      });
+    }
+    
+    return this.syncing;
+  }
+  
+  async runSync(userId) {
+    const networkState = await NetInfo.fetch();
+    if (!isOnline(networkState)) return false;
+    
+    try {
+      const pending = (await this.enqueue(() => this.readEntries(userId)))
+        .filter(entry => entry.pendingSync);
+      
+      for (let i = 0; i < pending.length; i += SYNC_BATCH_SIZE) {
+        const batch = firestore().batch();
+        
+        for (const entry of pending.slice(i, i + SYNC_BATCH_SIZE)) {
+          const ref = this.getRemoteRef(userId).doc(entry.id);
+          
+          if (entry.deleted) {
+            batch.set(ref, { deleted: true, data: null, updatedAt: entry.updatedAt });
+            continue;
+          }
+          
+          const { photos, pendingSync, ...content } = entry;
+          const data = await SecurityUtils.encryptData(content);
+          
+          // Never send an entry that didn't encrypt
+          if (!data || !SecurityUtils.initialized) {
+            throw new Error('Failed to encrypt journal entry');
+          }
+          
+          batch.set(ref, { deleted: false, data, updatedAt: entry.updatedAt });
+        }
+        
+        await batch.commit();
+      }
+      
+      const snapshot = await this.getRemoteRef(userId).get();
+      
+      // Decrypt outside the queue; entries from another device's key come back null and are skipped
+      const remoteEntries = [];
+      for (const doc of snapshot.docs) {
+        const { deleted, data, updatedAt } = doc.data();
+        const content = deleted ? null : await SecurityUtils.decryptData(data);
+        
+        if (deleted || (content && typeof content === 'object')) {
+          remoteEntries.push({ id: doc.id, deleted, content, updatedAt });
+        }
+      }
+      
+      const removedIds = await this.enqueue(async () => {
+        const entries = await this.readEntries(userId);
+        const syncedAt = new Map(pending.map(entry => [entry.id, entry.updatedAt]));
+        const byId = new Map();
+        
+        entries.forEach(entry => {
+          // Clear the flag unless the entry changed again while syncing
+          const synced = entry.pendingSync && syncedAt.get(entry.id) === entry.updatedAt;
+          
+          if (synced && entry.deleted) return;
+          byId.set(entry.id, synced ? { ...entry, pendingSync: false } : entry);
+        });
+        
+        const removed = [];
+        
+        remoteEntries.forEach(remote => {
+          const local = byId.get(remote.id);
+          if (local && local.updatedAt >= remote.updatedAt) return;
+          
+          if (remote.deleted) {
+            if (local) {
+              byId.delete(remote.id);
+              removed.push(remote.id);
+            }
+            return;
+          }
+          
+          byId.set(remote.id, {
+            ...remote.content,
+            id: remote.id,
+            photos: local?.photos || [],
+            updatedAt: remote.updatedAt,
+            pendingSync: false,
+          });
+        });
+        
+        await this.writeEntries(userId, [...byId.values()]);
+        
+        return removed;
+      });
+      
+      await Promise.all(removedIds.map(async (entryId) => {
+        const entryDir = `${JOURNAL_PHOTO_DIR}/${entryId}`;
+        if (await RNFS.exists(entryDir)) {
+          await RNFS.unlink(entryDir);
+        }
+      }));
+      
+      return true;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'sync_journal_error');
+      throw error;
+    }
+  }
+}
+
+export default new JournalService();
@@ -0,0 +1,496 @@
+// src/services/MedicationService.js
+// Medications, dose reminders and adherence history, kept encrypted on the device
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState, Platform } from 'react-native';
+import auth from '@react-native-firebase/auth';
+import notifee, { EventType } from '@notifee/react-native';
+import * as RNLocalize from 'react-native-localize';
+import uuid from 'react-native-uuid';
+import { format } from 'date-fns';
+import SecurityUtils from '../utils/SecurityUtils';
+import { getScheduledDoses, normalizeMedication } from '../utils/medications';
+import { generateDeepLink } from '../utils/deepLinking';
+import { MISSED_DOSE_AFTER_HOURS, SNOOZE_MINUTES, DOSE_HISTORY_DAYS } from '../constants/medications';
+import notificationService from './NotificationService';
+import { AnalyticsService } from './AnalyticsService';
+
+// Storage constants
+const MEDICATIONS_KEY_PREFIX = '@medications_';
+
+// Notification constants
+const REMINDER_TYPE = 'medication_reminder';
+const REMINDER_ID_PREFIX = 'med_';
+const SNOOZE_ID_PREFIX = 'medsnooze_';
+const REMINDER_ACTIONS = [
+  { id: 'taken', title: 'Taken' },
+  { id: 'snooze', title: `Snooze ${SNOOZE_MINUTES} min` },
+  { id: 'skip', title: 'Skip' },
+];
+
+// Reminders are scheduled as one-off notifications this far ahead and topped up
+// as they're used, rather than repeating, so they can follow time zone changes
+const REMINDER_WINDOW_DAYS = 7;
+// iOS keeps at most 64 pending notifications per app, so leave room for others
+const MAX_SCHEDULED_REMINDERS = 50;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const createEmptyState = () => ({
+  medications: [],
+  doses: [],
+  // Doses due before this time have been checked for misses
+  checkedAt: null,
+  // { timeZone, scheduledAt, until } for the reminders currently scheduled
+  reminders: null,
+});
+
+class MedicationService {
+  constructor() {
+    this.writeQueue = Promise.resolve();
+    
+    // Catch up on missed doses and time zone changes whenever the app comes back
+    AppState.addEventListener('change', nextAppState => {
+      const userId = auth().currentUser?.uid;
+      
+      if (nextAppState === 'active' && userId) {
+        this.refreshReminders(userId).catch(() => {});
+      }
+    });
+  }
+  
+  /**
+   * Get the AsyncStorage key holding a user's medications
+   * @param {string} userId - User ID
+   * @returns {string} Storage key
+   */
+  getStorageKey(userId) {
+    return `${MEDICATIONS_KEY_PREFIX}${userId}`;
+  }
+  
+  /**
+   * Run reads and writes one at a time, since reminder actions can arrive
+   * in the background while the app is also saving
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} The task's result
+   */
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+  
+  /**
+   * Read and decrypt a user's medications and dose history
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { medications, doses, checkedAt, reminders }
+   * @throws {Error} If the data can't be decrypted, so it is never overwritten
+   */
+  async readState(userId) {
+    const encrypted = await AsyncStorage.getItem(this.getStorageKey(userId));
+    if (!encrypted) return createEmptyState();
+    
+    await SecurityUtils.requireEncryption();
+    const state = await SecurityUtils.decryptData(encrypted);
+    
+    if (!state || !Array.isArray(state.medications) || !Array.isArray(state.doses)) {
+      throw new Error('Your medications couldn\'t be unlocked on this device');
+    }
+    
+    return state;
+  }
+  
+  async writeState(userId, state) {
+    await SecurityUtils.requireEncryption();
+    const encrypted = await SecurityUtils.encryptData(state);
+    
+    if (!encrypted) {
+      throw new Error('Failed to encrypt medications');
+    }
+    
+    await AsyncStorage.setItem(this.getStorageKey(userId), encrypted);
+  }
+  
+  /**
+   * Read, change and write back a user's state in one queued step
+   * @param {string} userId - User ID
+   * @param {Function} change - Called with the state to modify in place
+   * @returns {Promise<*>} What `change` returned
+   */
+  update(userId, change) {
+    return this.enqueue(async () => {
+      const state = await this.readState(userId);
+      const result = await change(state);
+      await this.writeState(userId, state);
+      return result;
+    });
+  }
+  
+  /**
+   * Get a user's medications
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Medications, sorted by name
+   */
+  async getMedications(userId) {
+    if (!userId) throw new Error('User ID is required');
+    
+    const { medications } = await this.enqueue(() => this.readState(userId));
+    return medications.sort((a, b) => a.name.localeCompare(b.name));
+  }
+  
+  /**
+   * Get a single medication
+   * @param {string} userId - User ID
+   * @param {string} medicationId - Medication ID
+   * @returns {Promise<Object|null>} Medication or null if it no longer exists
+   */
+  async getMedication(userId, medicationId) {
+    const medications = await this.getMedications(userId);
+    return medications.find(medication => medication.id === medicationId) || null;
+  }
+  
+  /**
+   * Get doses due in a time range with what happened to each
+   * @param {string} userId - User ID
+   * @param {number} from - Start of the range in milliseconds, inclusive
+   * @param {number} to - End of the range in milliseconds, exclusive
+   * @returns {Promise<Array>} Doses as { doseId, medicationId, medicationName, dose, scheduledAt, status },
+   *   earliest first. Status is null for doses nobody has answered yet.
+   */
+  async getDoses(userId, from, to) {
+    if (!userId) throw new Error('User ID is required');
+    
+    const { medications, doses } = await this.enqueue(() => this.readState(userId));
+    const byId = new Map();
+    
+    medications.forEach(medication => {
+      getScheduledDoses(medication, from, to).forEach(dose => {
+        byId.set(dose.doseId, { ...dose, medicationName: medication.name, dose: medication.dose, status: null });
+      });
+    });
+    
+    // Recorded doses win, and keep doses of medications that have since been removed
+    doses
+      .filter(dose => dose.scheduledAt >= from && dose.scheduledAt < to)
+      .forEach(dose => {
+        byId.set(dose.doseId, { ...byId.get(dose.doseId), ...dose });
+      });
+    
+    return [...byId.values()].sort((a, b) => a.scheduledAt - b.scheduledAt);
+  }
+  
+  /**
+   * Add or update a medication and reschedule its reminders
+   * @param {string} userId - User ID
+   * @param {Object} medication - Medication fields ({ id?, name, dose, schedule, remindersEnabled })
+   * @returns {Promise<Object>} Saved medication
+   */
+  async saveMedication(userId, medication) {
+    if (!userId) throw new Error('User ID is required');
+    
+    try {
+      const fields = normalizeMedication(medication);
+      
+      const saved = await this.update(userId, state => {
+        const existing = state.medications.find(item => item.id === medication.id);
+        
+        if (medication.id && !existing) {
+          throw new Error('This medication has been removed');
+        }
+        
+        const savedMedication = {
+          ...fields,
+          id: existing?.id || `medication_${uuid.v4()}`,
+          createdAt: existing?.createdAt || Date.now(),
+          updatedAt: Date.now(),
+        };
+        
+        state.medications = [savedMedication, ...state.medications.filter(item => item.id !== savedMedication.id)];
+        
+        return savedMedication;
+      });
+      
+      // Medication names never go to analytics
+      if (!medication.id) {
+        AnalyticsService.logEvent('medication_added', { scheduleType: fields.schedule.type });
+      }
+      
+      await this.refreshReminders(userId, { force: true });
+      
+      return saved;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'save_medication_error');
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove a medication and its reminders. Its dose history is kept.
+   * @param {string} userId - User ID
+   * @param {string} medicationId - Medication ID
+   * @returns {Promise<boolean>} Whether a medication was removed
+   */
+  async deleteMedication(userId, medicationId) {
+    if (!userId || !medicationId) throw new Error('User ID and medication ID are required');
+    
+    try {
+      const deleted = await this.update(userId, state => {
+        const remaining = state.medications.filter(medication => medication.id !== medicationId);
+        const changed = remaining.length !== state.medications.length;
+        
+        state.medications = remaining;
+        return changed;
+      });
+      
+      if (!deleted) return false;
+      
+      AnalyticsService.logEvent('medication_removed');
+      await this.refreshReminders(userId, { force: true });
+      
+      return true;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'delete_medication_error');
+      throw error;
+    }
+  }
+  
+  /**
+   * Record that a dose was taken or skipped, replacing an earlier outcome
+   * @param {string} userId - User ID
+   * @param {Object} dose - { doseId, medicationId, scheduledAt }
+   * @param {string} status - 'taken' or 'skipped'
+   * @returns {Promise<Object>} The recorded dose
+   */
+  async recordDose(userId, dose, status) {
+    if (!userId) throw new Error('User ID is required');
+    if (!['taken', 'skipped'].includes(status)) throw new Error('Invalid dose status');
+    
+    try {
+      const recorded = await this.update(userId, state => {
+        const medication = state.medications.find(item => item.id === dose.medicationId);
+        const previous = state.doses.find(item => item.doseId === dose.doseId);
+        
+        const record = {
+          doseId: dose.doseId,
+          medicationId: dose.medicationId,
+          medicationName: medication?.name || previous?.medicationName || '',
+          scheduledAt: dose.scheduledAt,
+          status,
+          recordedAt: Date.now(),
+        };
+        
+        state.doses = [...state.doses.filter(item => item.doseId !== dose.doseId), record];
+        
+        return record;
+      });
+      
+      // Clear the reminder, whether it's still to come, showing or snoozed
+      await Promise.all([
+        notifee.cancelNotification(`${REMINDER_ID_PREFIX}${dose.doseId}`),
+        notifee.cancelNotification(`${SNOOZE_ID_PREFIX}${dose.doseId}`),
+      ]);
+      
+      AnalyticsService.logEvent('medication_dose_recorded', { status });
+      
+      return recorded;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'record_dose_error');
+      throw error;
+    }
+  }
+  
+  /**
+   * Show a dose's reminder again in a few minutes
+   * @param {Object} notification - The reminder being snoozed
+   */
+  async snoozeReminder(notification) {
+    const { doseId } = notification.data;
+    
+    await notifee.cancelNotification(notification.id);
+    await notificationService.scheduleNotification(
+      {
+        id: `${SNOOZE_ID_PREFIX}${doseId}`,
+        title: notification.title,
+        body: notification.body,
+        data: notification.data,
+        channelType: 'reminders',
+        categoryId: REMINDER_TYPE,
+        actions: REMINDER_ACTIONS,
+        private: true,
+      },
+      new Date(Date.now() + SNOOZE_MINUTES * MINUTE_MS)
+    );
+    
+    AnalyticsService.logEvent('medication_reminder_snoozed');
+  }
+  
+  /**
+   * Record doses nobody answered as missed and drop history past the retention period
+   * @param {Object} state - State to update in place
+   * @param {number} now - Current time in milliseconds
+   */
+  markMissedDoses(state, now) {
+    const historyStart = now - DOSE_HISTORY_DAYS * DAY_MS;
+    const missedBefore = now - MISSED_DOSE_AFTER_HOURS * HOUR_MS;
+    const since = Math.max(state.checkedAt || 0, historyStart);
+    
+    if (missedBefore > since) {
+      const recordedIds = new Set(state.doses.map(dose => dose.doseId));
+      
+      state.medications.forEach(medication => {
+        getScheduledDoses(medication, since, missedBefore)
+          .filter(dose => !recordedIds.has(dose.doseId))
+          .forEach(dose => {
+            state.doses.push({ ...dose, medicationName: medication.name, status: 'missed', recordedAt: now });
+          });
+      });
+      
+      state.checkedAt = missedBefore;
+    }
+    
+    state.doses = state.doses.filter(dose => dose.scheduledAt >= historyStart);
+  }
+  
+  /**
+   * Replace the scheduled reminders with the doses due in the coming days
+   * @param {string} userId - User ID
+   * @param {Object} state - Current state
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<Object>} { timeZone, scheduledAt, until } describing what was scheduled
+   */
+  async scheduleReminders(userId, state, now) {
+    const scheduledIds = await notifee.getTriggerNotificationIds();
+    await notifee.cancelTriggerNotifications(scheduledIds.filter(id => id.startsWith(REMINDER_ID_PREFIX)));
+    
+    // iOS shows notification actions from a registered category
+    if (Platform.OS === 'ios') {
+      await notifee.setNotificationCategories([{
+        id: REMINDER_TYPE,
+        actions: REMINDER_ACTIONS.map(action => ({
+          id: action.id,
+          title: action.title,
+          authenticationRequired: true,
+          destructive: action.id === 'skip',
+        })),
+      }]);
+    }
+    
+    const windowEnd = now + REMINDER_WINDOW_DAYS * DAY_MS;
+    const recordedIds = new Set(state.doses.map(dose => dose.doseId));
+    
+    const upcoming = state.medications
+      .filter(medication => medication.remindersEnabled)
+      .flatMap(medication => getScheduledDoses(medication, now, windowEnd).map(dose => ({ ...dose, medication })))
+      .filter(dose => !recordedIds.has(dose.doseId))
+      .sort((a, b) => a.scheduledAt - b.scheduledAt)
+      .slice(0, MAX_SCHEDULED_REMINDERS);
+    
+    for (const { doseId, medicationId, scheduledAt, medication } of upcoming) {
+      await notificationService.scheduleNotification(
+        {
+          id: `${REMINDER_ID_PREFIX}${doseId}`,
+          title: `Time to take ${medication.name}`,
+          body: [medication.dose, format(scheduledAt, 'h:mm a')].filter(Boolean).join(' · '),
+          // Notification data values must be strings
+          data: {
+            type: REMINDER_TYPE,
+            userId,
+            doseId,
+            medicationId,
+            scheduledAt: String(scheduledAt),
+            deepLink: generateDeepLink('medications'),
+          },
+          channelType: 'reminders',
+          categoryId: REMINDER_TYPE,
+          actions: REMINDER_ACTIONS,
+          private: true,
+        },
+        new Date(scheduledAt)
+      );
+    }
+    
+    return {
+      timeZone: RNLocalize.getTimeZone(),
+      scheduledAt: now,
+      // With the cap reached, reminders only run as far as the last one scheduled
+      until: upcoming.length === MAX_SCHEDULED_REMINDERS ? upcoming[upcoming.length - 1].scheduledAt : windowEnd,
+    };
+  }
+  
+  /**
+   * Catch up on missed doses and reschedule reminders when the time zone has
+   * changed or half of the scheduled ones have been used. Called on sign-in,
+   * when the app returns to the foreground and as reminders are delivered.
+   * @param {string} userId - User ID
+   * @param {Object} options - { force } to reschedule regardless
+   */
+  async refreshReminders(userId, { force = false } = {}) {
+    // Nothing to do for members who have never added a medication
+    if (!userId || !(await AsyncStorage.getItem(this.getStorageKey(userId)))) return;
+    
+    try {
+      await this.update(userId, async state => {
+        const now = Date.now();
+        const { reminders } = state;
+        
+        this.markMissedDoses(state, now);
+        
+        const stale = !reminders ||
+          reminders.timeZone !== RNLocalize.getTimeZone() ||
+          now > reminders.scheduledAt + (reminders.until - reminders.scheduledAt) / 2;
+        
+        if (force || stale) {
+          state.reminders = await this.scheduleReminders(userId, state, now);
+        }
+      });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'refresh_medication_reminders_error');
+      throw error;
+    }
+  }
+  
+  /**
+   * Handle a notifee event for a medication reminder. Registered for both
+   * foreground and background events, since reminder actions are answered
+   * without opening the app.
+   * @param {Object} event - { type, detail } from notifee
+   */
+  async handleNotificationEvent({ type, detail }) {
+    const notification = detail?.notification;
+    const data = notification?.data;
+    if (data?.type !== REMINDER_TYPE) return;
+    
+    const dose = {
+      doseId: data.doseId,
+      medicationId: data.medicationId,
+      scheduledAt: Number(data.scheduledAt),
+    };
+    
+    try {
+      if (type === EventType.DELIVERED) {
+        await this.refreshReminders(data.userId);
+        return;
+      }
+      
+      if (type !== EventType.ACTION_PRESS) return;
+      
+      switch (detail.pressAction?.id) {
+        case 'taken':
+          await this.recordDose(data.userId, dose, 'taken');
+          break;
+        case 'skip':
+          await this.recordDose(data.userId, dose, 'skipped');
+          break;
+        case 'snooze':
+          await this.snoozeReminder(notification);
+          break;
+      }
+    } catch (error) {
+      console.error('Error handling medication reminder:', error);
+    }
+  }
+}
+
+export default new MedicationService();
@@ -0,0 +1,290 @@
+// src/services/MoodCheckInService.js
+// Mood check-ins and the daily check-in reminder, kept encrypted on the device
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import auth from '@react-native-firebase/auth';
+import notifee from '@notifee/react-native';
+import * as RNLocalize from 'react-native-localize';
+import uuid from 'react-native-uuid';
+import { addDays, set } from 'date-fns';
+import SecurityUtils from '../utils/SecurityUtils';
+import { toDateKey } from '../utils/journal';
+import { normalizeCheckIn } from '../utils/moodCheckIns';
+import { parseTimeOfDay } from '../utils/medications';
+import { generateDeepLink } from '../utils/deepLinking';
+import { DEFAULT_CHECK_IN_TIME } from '../constants/moodCheckIns';
+import notificationService from './NotificationService';
+import { AnalyticsService } from './AnalyticsService';
+
+// Storage constants
+const CHECK_INS_KEY_PREFIX = '@mood_check_ins_';
+
+// Notification constants
+const REMINDER_ID = 'mood_check_in';
+
+const createEmptyState = () => ({
+  checkIns: [],
+  // { enabled, time, timeZone } for the daily reminder
+  reminder: { enabled: false, time: DEFAULT_CHECK_IN_TIME, timeZone: null },
+});
+
+class MoodCheckInService {
+  constructor() {
+    this.writeQueue = Promise.resolve();
+    
+    // A daily repeat keeps the same gap in absolute time, so move it after a time zone change
+    AppState.addEventListener('change', nextAppState => {
+      const userId = auth().currentUser?.uid;
+      
+      if (nextAppState === 'active' && userId) {
+        this.refreshReminder(userId).catch(() => {});
+      }
+    });
+  }
+  
+  getStorageKey(userId) {
+    return `${CHECK_INS_KEY_PREFIX}${userId}`;
+  }
+  
+  // Run reads and writes one at a time so concurrent saves don't overwrite each other
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+  
+  /**
+   * Read and decrypt a user's check-ins and reminder settings
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { checkIns, reminder }
+   * @throws {Error} If the data can't be decrypted, so it is never overwritten
+   */
+  async readState(userId) {
+    const encrypted = await AsyncStorage.getItem(this.getStorageKey(userId));
+    if (!encrypted) return createEmptyState();
+    
+    await SecurityUtils.requireEncryption();
+    const state = await SecurityUtils.decryptData(encrypted);
+    
+    if (!state || !Array.isArray(state.checkIns)) {
+      throw new Error('Your mood check-ins couldn\'t be unlocked on this device');
+    }
+    
+    return state;
+  }
+  
+  async writeState(userId, state) {
+    await SecurityUtils.requireEncryption();
+    const encrypted = await SecurityUtils.encryptData(state);
+    
+    if (!encrypted) {
+      throw new Error('Failed to encrypt mood check-ins');
+    }
+    
+    await AsyncStorage.setItem(this.getStorageKey(userId), encrypted);
+  }
+  
+  /**
+   * Read, change and write back a user's state in one queued step
+   * @param {string} userId - User ID
+   * @param {Function} change - Called with the state to modify in place
+   * @returns {Promise<*>} What `change` returned
+   */
+  update(userId, change) {
+    return this.enqueue(async () => {
+      const state = await this.readState(userId);
+      const result = await change(state);
+      await this.writeState(userId, state);
+      return result;
+    });
+  }
+  
+  /**
+   * Get a user's check-ins, optionally within a range of days
+   * @param {string} userId - User ID
+   * @param {Object} options - { from, to } as yyyy-MM-dd days, both inclusive
+   * @returns {Promise<Array>} Check-ins, newest first
+   */
+  async getCheckIns(userId, { from, to } = {}) {
+    if (!userId) throw new Error('User ID is required');
+    
+    const { checkIns } = await this.enqueue(() => this.readState(userId));
+    
+    return checkIns
+      .filter(checkIn => (!from || checkIn.date >= from) && (!to || checkIn.date <= to))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+  
+  /**
+   * Get a single check-in
+   * @param {string} userId - User ID
+   * @param {string} checkInId - Check-in ID
+   * @returns {Promise<Object|null>} Check-in or null if it no longer exists
+   */
+  async getCheckIn(userId, checkInId) {
+    const checkIns = await this.getCheckIns(userId);
+    return checkIns.find(checkIn => checkIn.id === checkInId) || null;
+  }
+  
+  /**
+   * Add or update a check-in. New check-ins belong to the day they're made.
+   * @param {string} userId - User ID
+   * @param {Object} checkIn - Check-in fields ({ id?, score, emotions, note })
+   * @returns {Promise<Object>} Saved check-in
+   */
+  async saveCheckIn(userId, checkIn) {
+    if (!userId) throw new Error('User ID is required');
+    
+    try {
+      const fields = normalizeCheckIn(checkIn);
+      
+      const saved = await this.update(userId, state => {
+        const existing = state.checkIns.find(item => item.id === checkIn.id);
+        
+        if (checkIn.id && !existing) {
+          throw new Error('This check-in has been deleted');
+        }
+        
+        const now = Date.now();
+        const savedCheckIn = {
+          ...fields,
+          id: existing?.id || `checkin_${uuid.v4()}`,
+          date: existing?.date || toDateKey(now),
+          createdAt: existing?.createdAt || now,
+          updatedAt: now,
+        };
+        
+        state.checkIns = [savedCheckIn, ...state.checkIns.filter(item => item.id !== savedCheckIn.id)];
+        
+        return savedCheckIn;
+      });
+      
+      // How someone feels never goes to analytics
+      if (!checkIn.id) {
+        AnalyticsService.logEvent('mood_check_in_created');
+      }
+      
+      return saved;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'save_mood_check_in_error');
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete a check-in
+   * @param {string} userId - User ID
+   * @param {string} checkInId - Check-in ID
+   * @returns {Promise<boolean>} Whether a check-in was deleted
+   */
+  async deleteCheckIn(userId, checkInId) {
+    if (!userId || !checkInId) throw new Error('User ID and check-in ID are required');
+    
+    try {
+      return await this.update(userId, state => {
+        const remaining = state.checkIns.filter(checkIn => checkIn.id !== checkInId);
+        const deleted = remaining.length !== state.checkIns.length;
+        
+        state.checkIns = remaining;
+        return deleted;
+      });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'delete_mood_check_in_error');
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the daily reminder settings
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { enabled, time } with time in HH:mm form
+   */
+  async getReminder(userId) {
+    if (!userId) throw new Error('User ID is required');
+    
+    const { reminder } = await this.enqueue(() => this.readState(userId));
+    return { enabled: reminder.enabled, time: reminder.time };
+  }
+  
+  /**
+   * Turn the daily reminder on or off, or change its time
+   * @param {string} userId - User ID
+   * @param {Object} reminder - { enabled, time } with time in HH:mm form
+   * @returns {Promise<Object>} Saved settings
+   */
+  async setReminder(userId, { enabled, time }) {
+    if (!userId) throw new Error('User ID is required');
+    
+    try {
+      const saved = await this.update(userId, async state => {
+        state.reminder = await this.scheduleReminder({ enabled: !!enabled, time: time || state.reminder.time });
+        return { enabled: state.reminder.enabled, time: state.reminder.time };
+      });
+      
+      AnalyticsService.logEvent('mood_reminder_updated', { enabled: saved.enabled });
+      
+      return saved;
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'set_mood_reminder_error');
+      throw error;
+    }
+  }
+  
+  /**
+   * Replace the scheduled reminder to match the settings
+   * @param {Object} reminder - { enabled, time }
+   * @returns {Promise<Object>} Settings with the time zone they were scheduled in
+   */
+  async scheduleReminder(reminder) {
+    await notifee.cancelTriggerNotification(REMINDER_ID);
+    
+    if (reminder.enabled) {
+      const today = set(new Date(), { ...parseTimeOfDay(reminder.time), seconds: 0, milliseconds: 0 });
+      
+      await notificationService.scheduleNotification(
+        {
+          id: REMINDER_ID,
+          title: 'How are you feeling?',
+          body: 'Take a moment to check in with your mood.',
+          data: {
+            type: REMINDER_ID,
+            deepLink: generateDeepLink('mood-check-in'),
+          },
+          channelType: 'reminders',
+          private: true,
+          repeatDaily: true,
+        },
+        today > new Date() ? today : addDays(today, 1)
+      );
+    }
+    
+    return { ...reminder, timeZone: RNLocalize.getTimeZone() };
+  }
+  
+  /**
+   * Reschedule the reminder when the time zone has changed. Called on sign-in,
+   * with force since signing out cancels it, and when the app returns to the foreground.
+   * @param {string} userId - User ID
+   * @param {Object} options - { force } to reschedule regardless
+   */
+  async refreshReminder(userId, { force = false } = {}) {
+    // Nothing to do for members who have never checked in
+    if (!userId || !(await AsyncStorage.getItem(this.getStorageKey(userId)))) return;
+    
+    try {
+      await this.update(userId, async state => {
+        const { reminder } = state;
+        
+        if (reminder.enabled && (force || reminder.timeZone !== RNLocalize.getTimeZone())) {
+          state.reminder = await this.scheduleReminder(reminder);
+        }
+      });
+    } catch (error) {
+      AnalyticsService.logError(error.message, 'refresh_mood_reminder_error');
+      throw error;
+    }
+  }
+}
+
+export default new MoodCheckInService();
@@ -223,6 +223,14 @@ class NavigationService {
           }
           break;
           
+        case 'medications':
+          this.navigateNested('ProfileTab', 'Medications');
+          return true;
+          
+        case 'mood-check-in':
+          this.navigateNested('ProfileTab', 'MoodCheckIn');
+          return true;
+          
         case 'reset-password':
           if (pathSegments.length > 1) {
             this.navigate('ResetPassword', { token: pathSegments[1] });
@@ -1,7 +1,7 @@
 // src/services/NotificationService.js
 // Enhanced Notification Service with better error handling and token management
 
-import notifee, { AndroidImportance, EventType } from '@notifee/react-native';
+import notifee, { AndroidImportance, AndroidVisibility, EventType, RepeatFrequency, TriggerType } from '@notifee/react-native';
 import messaging from '@react-native-firebase/messaging';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import firestore from '@react-native-firebase/firestore';
@@ -447,6 +447,61 @@ class NotificationService {
     }
   }
   
+  /**
+   * Schedule a local notification. Scheduled notifications are kept by the OS
+   * and notifee restores them after a reboot.
+   * @param {Object} notification - { id?, title, body, data, channelType, categoryId, actions, private, repeatDaily }
+   * @param {Date} date - When to show it, or first show it when repeating daily
+   * @returns {Promise<string|null>} Notification ID, or null if it couldn't be scheduled
+   */
+  async scheduleNotification(notification, date) {
+    try {
+      const channel = this.channels[notification.channelType] || this.channels.reminders;
+      
+      // Channels are created on sign-in, but reminders can be scheduled from a background event
+      if (Platform.OS === 'android') {
+        await notifee.createChannel(channel);
+      }
+      
+      return await notifee.createTriggerNotification(
+        {
+          id: notification.id,
+          title: notification.title,
+          body: notification.body || '',
+          data: notification.data || {},
+          android: {
+            channelId: channel.id,
+            smallIcon: 'ic_notification',
+            pressAction: {
+              id: 'default',
+            },
+            actions: (notification.actions || []).map(action => ({
+              title: action.title,
+              pressAction: { id: action.id },
+            })),
+            // Hide the content on a secure lock screen
+            ...(notification.private && { visibility: AndroidVisibility.PRIVATE }),
+          },
+          ios: {
+            categoryId: notification.categoryId,
+          },
+        },
+        {
+          type: TriggerType.TIMESTAMP,
+          timestamp: date.getTime(),
+          ...(notification.repeatDaily && { repeatFrequency: RepeatFrequency.DAILY }),
+          alarmManager: {
+            allowWhileIdle: true,
+          },
+        }
+      );
+    } catch (error) {
+      console.error('Error scheduling notification:', error);
+      AnalyticsService.logError(error, { context: 'schedule_notification' });
+      return null;
+    }
+  }
+  
   // Method to send a local notification (for testing or local reminders)
   async sendLocalNotification(title, body, data = {}, channelType = 'system') {
     try {
@@ -3,13 +3,15 @@
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import NetInfo from '@react-native-community/netinfo';
-import { Platform } from 'react-native';
+import auth from '@react-native-firebase/auth';
+import firestore from '@react-native-firebase/firestore';
+import { Platform, AppState } from 'react-native';
 import uuid from 'react-native-uuid';
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { setOfflineStatus } from '../redux/slices/networkSlice';
-import { withRetry } from './RetryService';
-import { Analytics } from './AnalyticsService';
+import { withRetry, isRetriableError } from './RetryService';
+import { AnalyticsService as Analytics } from './AnalyticsService';
 
 // Queue keys for different operations
 const QUEUE_KEYS = {
@@ -17,6 +19,7 @@ const QUEUE_KEYS = {
   COMMENT: 'offline_queue_comments',
   LIKE: 'offline_queue_likes',
   PROFILE: 'offline_queue_profile',
+  SCHEDULED: 'offline_queue_scheduled_posts',
 };
 
 // Operation types
@@ -26,6 +29,35 @@ const OPERATION_TYPES = {
   DELETE: 'delete',
 };
 
+// Scheduled post statuses; 'publishing' marks a post one of the author's devices has claimed
+const SCHEDULED_STATUS = 'scheduled';
+const PUBLISHING_STATUS = 'publishing';
+const PUBLISHED_STATUS = 'published';
+
+// Scheduled posts are kept in Firestore so they survive reinstalls and show on every device
+const SCHEDULED_POSTS_COLLECTION = 'scheduledPosts';
+
+/**
+ * Convert a scheduled post document to the entry the app works with
+ * 
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object} Scheduled post entry with ISO dates
+ */
+const toScheduledPost = (doc) => {
+  const data = doc.data();
+  
+  return {
+    id: doc.id,
+    status: data.status,
+    publishAt: data.publishAt.toDate().toISOString(),
+    data: data.data,
+    createdAt: data.createdAt?.toDate().toISOString() || new Date().toISOString(),
+  };
+};
+
+// How often to check for scheduled posts that are due while the app is open
+const SCHEDULE_CHECK_INTERVAL_MS = 60 * 1000;
+
 /**
  * Offline Queue Service
  * 
@@ -37,6 +69,9 @@ class OfflineQueueService {
     this.isOnline = true;
     this.networkListener = null;
     this.syncInProgress = false;
+    this.publishInProgress = false;
+    this.scheduleTimer = null;
+    this.appStateListener = null;
     
     // Queue state
     this.queues = {
@@ -44,6 +79,7 @@ class OfflineQueueService {
       [QUEUE_KEYS.COMMENT]: [],
       [QUEUE_KEYS.LIKE]: [],
       [QUEUE_KEYS.PROFILE]: [],
+      [QUEUE_KEYS.SCHEDULED]: [],
     };
     
     // Callback registrations for sync events
@@ -67,6 +103,7 @@ class OfflineQueueService {
         this.loadQueue(QUEUE_KEYS.COMMENT),
         this.loadQueue(QUEUE_KEYS.LIKE),
         this.loadQueue(QUEUE_KEYS.PROFILE),
+        this.loadQueue(QUEUE_KEYS.SCHEDULED),
       ]);
       
       // Listen for network changes
@@ -90,6 +127,16 @@ class OfflineQueueService {
       if (this.isOnline && this.hasPendingOperations()) {
         this.syncQueues();
       }
+      
+      // Publish scheduled posts that came due while the app was closed,
+      // then keep checking while it is open or returns to the foreground
+      this.publishDueScheduledPosts();
+      this.scheduleTimer = setInterval(() => this.publishDueScheduledPosts(), SCHEDULE_CHECK_INTERVAL_MS);
+      this.appStateListener = AppState.addEventListener('change', nextAppState => {
+        if (nextAppState === 'active') {
+          this.publishDueScheduledPosts();
+        }
+      });
     } catch (error) {
       console.error('Error initializing OfflineQueueService:', error);
     }
@@ -145,6 +192,16 @@ class OfflineQueueService {
       this.networkListener = null;
     }
     
+    if (this.scheduleTimer) {
+      clearInterval(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
+    
+    if (this.appStateListener) {
+      this.appStateListener.remove();
+      this.appStateListener = null;
+    }
+    
     this.isInitialized = false;
     this.syncCallbacks = {
       onSyncStart: [],
@@ -344,10 +401,10 @@ class OfflineQueueService {
   }
   
   /**
-   * Add a like operation to the queue
+   * Add a reaction operation to the queue
    * 
-   * @param {Object} data - Like data (postId, userId)
-   * @returns {Promise<boolean>} Success status
+   * @param {Object} data - Reaction data (postId, userId, reactionType); a null reactionType removes the reaction
+   * @returns {Promise<string|null>} The user's reaction once the operation applies
    */
   async queueLikeOperation(data) {
     const { PostService } = await import('../services/FirebaseService');
@@ -355,23 +412,32 @@ class OfflineQueueService {
     // If online, try to perform the operation directly
     if (this.isOnline) {
       try {
-        const isLiked = await PostService.toggleLike(data.postId, data.userId);
-        return isLiked;
+        if (data.reactionType) {
+          return await PostService.setReaction(data.postId, data.userId, data.reactionType);
+        }
+        
+        await PostService.removeReaction(data.postId, data.userId);
+        return null;
       } catch (error) {
-        console.error('Error performing like operation:', error);
+        console.error('Error performing reaction operation:', error);
         // If operation fails, add to queue
       }
     }
     
     // For offline or failed operations, add to queue
     try {
-      // Get existing queue
-      const queue = [...this.queues[QUEUE_KEYS.LIKE]];
+      const operationId = `${data.postId}_${data.userId}`;
+      
+      // Only the latest reaction to a post matters, so replace any pending one
+      const queue = this.queues[QUEUE_KEYS.LIKE].filter(operation => operation.id !== operationId);
       
       // Add operation to queue
       queue.push({
-        id: `${data.postId}_${data.userId}`,
-        data,
+        id: operationId,
+        data: {
+          ...data,
+          reactionType: data.reactionType || null,
+        },
         createdAt: new Date().toISOString(),
       });
       
@@ -385,7 +451,7 @@ class OfflineQueueService {
       });
       
       // Return optimistic result for UI
-      return true;
+      return data.reactionType || null;
     } catch (error) {
       console.error('Error adding to like queue:', error);
       throw error;
@@ -441,6 +507,237 @@ class OfflineQueueService {
     }
   }
 
+  /**
+   * Schedule a post to be published at a later time
+   * 
+   * Media must already be uploaded so the post can be published without
+   * the composer's local files. The entry is stored in Firestore, and the
+   * first of the author's devices to be open after its time publishes it.
+   * 
+   * @param {Object} data - Post data, as passed to createPost
+   * @param {Date} publishAt - When the post should be published
+   * @returns {Promise<Object>} Scheduled post entry
+   */
+  async schedulePost(data, publishAt) {
+    if (!(publishAt instanceof Date) || publishAt.getTime() <= Date.now()) {
+      throw new Error('Scheduled time must be in the future');
+    }
+    
+    const scheduledRef = firestore().collection(SCHEDULED_POSTS_COLLECTION).doc();
+    const scheduledPost = {
+      id: scheduledRef.id,
+      status: SCHEDULED_STATUS,
+      publishAt: publishAt.toISOString(),
+      data,
+      createdAt: new Date().toISOString(),
+    };
+    
+    // Not awaited when offline: Firestore writes it locally and syncs it later
+    const write = scheduledRef.set({
+      userId: data.userId,
+      status: SCHEDULED_STATUS,
+      publishAt: firestore.Timestamp.fromDate(publishAt),
+      data,
+      createdAt: firestore.FieldValue.serverTimestamp(),
+    });
+    if (this.isOnline) await write;
+    
+    Analytics.logEvent('post_scheduled', {
+      post_type: data.type
+    });
+    
+    return scheduledPost;
+  }
+
+  /**
+   * Get a user's scheduled posts
+   * 
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Scheduled posts, soonest first
+   */
+  async getScheduledPosts(userId) {
+    const snapshot = await firestore()
+      .collection(SCHEDULED_POSTS_COLLECTION)
+      .where('userId', '==', userId)
+      .where('status', '==', SCHEDULED_STATUS)
+      .orderBy('publishAt', 'asc')
+      .get();
+    
+    return snapshot.docs.map(toScheduledPost);
+  }
+
+  /**
+   * Change the publish time of a scheduled post
+   * 
+   * @param {string} scheduledId - Scheduled post ID
+   * @param {Date} publishAt - New publish time
+   * @returns {Promise<Object>} Updated scheduled post entry
+   */
+  async reschedulePost(scheduledId, publishAt) {
+    if (!(publishAt instanceof Date) || publishAt.getTime() <= Date.now()) {
+      throw new Error('Scheduled time must be in the future');
+    }
+    
+    const scheduledRef = firestore().collection(SCHEDULED_POSTS_COLLECTION).doc(scheduledId);
+    
+    // In a transaction so a post another device has started publishing isn't moved
+    const updatedPost = await firestore().runTransaction(async transaction => {
+      const scheduledDoc = await transaction.get(scheduledRef);
+      if (!scheduledDoc.exists || scheduledDoc.data().status !== SCHEDULED_STATUS) {
+        throw new Error('Scheduled post not found');
+      }
+      
+      transaction.update(scheduledRef, { publishAt: firestore.Timestamp.fromDate(publishAt) });
+      
+      return {
+        ...toScheduledPost(scheduledDoc),
+        publishAt: publishAt.toISOString(),
+      };
+    });
+    
+    Analytics.logEvent('post_rescheduled');
+    
+    return updatedPost;
+  }
+
+  /**
+   * Cancel a scheduled post and remove its uploaded media
+   * 
+   * @param {string} scheduledId - Scheduled post ID
+   * @returns {Promise<boolean>} Whether a scheduled post was cancelled
+   */
+  async cancelScheduledPost(scheduledId) {
+    const scheduledRef = firestore().collection(SCHEDULED_POSTS_COLLECTION).doc(scheduledId);
+    
+    const scheduledPost = await firestore().runTransaction(async transaction => {
+      const scheduledDoc = await transaction.get(scheduledRef);
+      if (!scheduledDoc.exists || scheduledDoc.data().status !== SCHEDULED_STATUS) return null;
+      
+      transaction.delete(scheduledRef);
+      return scheduledDoc.data();
+    });
+    if (!scheduledPost) return false;
+    
+    const { UploadService, getPostStorageUrls } = await import('../services/FirebaseService');
+    
+    for (const url of getPostStorageUrls(scheduledPost.data)) {
+      try {
+        await UploadService.deleteFile(url);
+      } catch (error) {
+        console.error('Error deleting scheduled post media:', error);
+      }
+    }
+    
+    Analytics.logEvent('scheduled_post_cancelled');
+    
+    return true;
+  }
+
+  /**
+   * Move scheduled posts kept on this device by earlier versions to Firestore
+   * 
+   * @param {string} userId - Signed-in user ID
+   * @returns {Promise<void>}
+   */
+  async migrateLocalScheduledPosts(userId) {
+    const localPosts = this.queues[QUEUE_KEYS.SCHEDULED]
+      .filter(item => item.status === SCHEDULED_STATUS && item.data.userId === userId);
+    if (localPosts.length === 0) return;
+    
+    const batch = firestore().batch();
+    localPosts.forEach(item => {
+      batch.set(firestore().collection(SCHEDULED_POSTS_COLLECTION).doc(), {
+        userId,
+        status: SCHEDULED_STATUS,
+        publishAt: firestore.Timestamp.fromDate(new Date(item.publishAt)),
+        data: item.data,
+        createdAt: firestore.Timestamp.fromDate(new Date(item.createdAt)),
+      });
+    });
+    await batch.commit();
+    
+    this.queues[QUEUE_KEYS.SCHEDULED] = this.queues[QUEUE_KEYS.SCHEDULED]
+      .filter(item => !localPosts.includes(item));
+    await this.saveQueue(QUEUE_KEYS.SCHEDULED);
+  }
+
+  /**
+   * Hand scheduled posts whose time has come to the post queue
+   * 
+   * Each post is claimed in a transaction first, so when the author has
+   * several devices open only one of them publishes it. queuePostOperation
+   * publishes right away when online and otherwise queues the post until
+   * the next sync.
+   * 
+   * @returns {Promise<number>} Number of posts handed off
+   */
+  async publishDueScheduledPosts() {
+    if (this.publishInProgress || !this.isOnline) return 0;
+    
+    this.publishInProgress = true;
+    let publishedCount = 0;
+    
+    try {
+      // Posts can only be created as their author, so wait until they are signed in
+      const currentUser = auth().currentUser;
+      if (!currentUser) return 0;
+      
+      await this.migrateLocalScheduledPosts(currentUser.uid);
+      
+      const now = Date.now();
+      const duePosts = (await this.getScheduledPosts(currentUser.uid))
+        .filter(item => new Date(item.publishAt).getTime() <= now);
+      
+      for (const scheduledPost of duePosts) {
+        const scheduledRef = firestore().collection(SCHEDULED_POSTS_COLLECTION).doc(scheduledPost.id);
+        
+        try {
+          const claimed = await firestore().runTransaction(async transaction => {
+            const scheduledDoc = await transaction.get(scheduledRef);
+            if (!scheduledDoc.exists || scheduledDoc.data().status !== SCHEDULED_STATUS) return false;
+            
+            transaction.update(scheduledRef, { status: PUBLISHING_STATUS });
+            return true;
+          });
+          if (!claimed) continue;
+          
+          try {
+            await this.queuePostOperation(OPERATION_TYPES.CREATE, {
+              ...scheduledPost.data,
+              scheduledAt: scheduledPost.publishAt,
+            });
+          } catch (error) {
+            // Give the post back so the next check can try again
+            await scheduledRef.update({ status: SCHEDULED_STATUS });
+            throw error;
+          }
+          
+          // Only mark the entry once the post is published or safely in the post queue
+          await scheduledRef.update({
+            status: PUBLISHED_STATUS,
+            publishedAt: firestore.FieldValue.serverTimestamp(),
+          });
+          
+          publishedCount++;
+        } catch (error) {
+          console.error('Error publishing scheduled post:', error);
+        }
+      }
+      
+      if (publishedCount > 0) {
+        Analytics.logEvent('scheduled_posts_published', {
+          count: publishedCount
+        });
+      }
+    } catch (error) {
+      console.error('Error checking scheduled posts:', error);
+    } finally {
+      this.publishInProgress = false;
+    }
+    
+    return publishedCount;
+  }
+
   /**
    * Sync all queued operations when back online
    * 
@@ -453,7 +750,7 @@ class OfflineQueueService {
     this.triggerSyncCallbacks('start', null);
     
     try {
-      const { FirebaseService } = await import('../services/FirebaseService');
+      const { PostService, CommentService, UserService } = await import('../services/FirebaseService');
       
       // Track sync start in analytics
       Analytics.logEvent('offline_sync_started', {
@@ -467,7 +764,7 @@ class OfflineQueueService {
       await this.syncQueue(QUEUE_KEYS.POST, async (operation) => {
         switch (operation.type) {
           case OPERATION_TYPES.CREATE:
-            const postId = await FirebaseService.PostService.createPost({
+            const postId = await PostService.createPost({
               ...operation.data,
               offlineCreated: true
             });
@@ -480,7 +777,7 @@ class OfflineQueueService {
               console.warn('Skipping update on unsaved post:', operation.data.id);
               return operation.data.id;
             }
-            await FirebaseService.PostService.updatePost(operation.data.id, operation.data);
+            await PostService.updatePost(operation.data.id, operation.data);
             return operation.data.id;
           case OPERATION_TYPES.DELETE:
             // Check if this is a temporary ID (which wouldn't exist on server)
@@ -488,7 +785,7 @@ class OfflineQueueService {
               console.warn('Skipping delete on unsaved post:', operation.data.id);
               return operation.data.id;
             }
-            await FirebaseService.PostService.deletePost(operation.data.id);
+            await PostService.deletePost(operation.data.id);
             return operation.data.id;
         }
       });
@@ -503,7 +800,7 @@ class OfflineQueueService {
               // Keep in queue and try again later
               throw new Error(`Post ${postId} not yet synced`);
             }
-            const commentId = await FirebaseService.CommentService.addComment(operation.data);
+            const commentId = await CommentService.addComment(operation.data);
             return commentId;
           case OPERATION_TYPES.UPDATE:
             // Skip updates on temporary comments
@@ -511,7 +808,7 @@ class OfflineQueueService {
               console.warn('Skipping update on unsaved comment:', operation.data.id);
               return operation.data.id;
             }
-            await FirebaseService.CommentService.updateComment(operation.data.id, operation.data.text);
+            await CommentService.updateComment(operation.data.id, operation.data.text);
             return operation.data.id;
           case OPERATION_TYPES.DELETE:
             // Skip deletes on temporary comments
@@ -519,25 +816,30 @@ class OfflineQueueService {
               console.warn('Skipping delete on unsaved comment:', operation.data.id);
               return operation.data.id;
             }
-            await FirebaseService.CommentService.deleteComment(operation.data.id, operation.data.postId);
+            await CommentService.deleteComment(operation.data.id, operation.data.postId);
             return operation.data.id;
         }
       });
       
-      // Sync likes
+      // Sync reactions
       await this.syncQueue(QUEUE_KEYS.LIKE, async (operation) => {
         // Skip likes on temporary posts
         if (operation.data.postId.startsWith('temp_')) {
           console.warn('Skipping like on unsaved post:', operation.data.postId);
           return operation.id;
         }
-        await FirebaseService.PostService.toggleLike(operation.data.postId, operation.data.userId);
+        const { postId, userId, reactionType } = operation.data;
+        if (reactionType) {
+          await PostService.setReaction(postId, userId, reactionType);
+        } else {
+          await PostService.removeReaction(postId, userId);
+        }
         return operation.id;
       });
       
       // Sync profile updates
       await this.syncQueue(QUEUE_KEYS.PROFILE, async (operation) => {
-        await FirebaseService.UserService.updateProfile(operation.id, operation.data);
+        await UserService.updateProfile(operation.id, operation.data);
         return operation.id;
       });
       
@@ -563,4 +865,108 @@ class OfflineQueueService {
     } finally {
       this.syncInProgress = false;
     }
-  }
\ No newline at end of file
+  }
+
+  /**
+   * Run every operation in a queue, keeping the ones that fail for the next sync
+   * 
+   * @param {string} queueKey - Queue key to sync
+   * @param {Function} processOperation - Performs a single operation
+   * @returns {Promise<number>} Number of operations left in the queue
+   */
+  async syncQueue(queueKey, processOperation) {
+    const operations = [...this.queues[queueKey]];
+    if (operations.length === 0) return 0;
+    
+    const failed = [];
+    
+    for (const operation of operations) {
+      try {
+        // No timeout, since a timed out create may still have gone through
+        await withRetry(() => processOperation(operation), {
+          retryCondition: isRetriableError,
+          timeout: 0
+        });
+      } catch (error) {
+        console.error(`Error syncing ${queueKey} operation:`, error);
+        failed.push(operation);
+      }
+    }
+    
+    // Keep anything queued while the sync was running
+    this.queues[queueKey] = [
+      ...failed,
+      ...this.queues[queueKey].filter(operation => !operations.includes(operation)),
+    ];
+    await this.saveQueue(queueKey);
+    
+    return this.queues[queueKey].length;
+  }
+
+  /**
+   * Point queued comments and reactions at a post once it has been created
+   * 
+   * @param {string} tempId - Temporary post ID
+   * @param {string} postId - Actual post ID
+   */
+  async updateReferencesInQueues(tempId, postId) {
+    this.queues[QUEUE_KEYS.COMMENT] = this.queues[QUEUE_KEYS.COMMENT].map(operation => (
+      operation.data.postId === tempId
+        ? { ...operation, data: { ...operation.data, postId } }
+        : operation
+    ));
+    
+    this.queues[QUEUE_KEYS.LIKE] = this.queues[QUEUE_KEYS.LIKE].map(operation => (
+      operation.data.postId === tempId
+        ? { ...operation, id: `${postId}_${operation.data.userId}`, data: { ...operation.data, postId } }
+        : operation
+    ));
+    
+    await Promise.all([
+      this.saveQueue(QUEUE_KEYS.COMMENT),
+      this.saveQueue(QUEUE_KEYS.LIKE),
+    ]);
+  }
+
+  /**
+   * Get the number of operations waiting to sync, by type
+   * 
+   * Scheduled posts aren't counted, since they are waiting on their time rather than the network
+   * 
+   * @returns {Object} Counts of pending posts, comments, likes and profile updates
+   */
+  getPendingOperationCounts() {
+    return {
+      posts: this.queues[QUEUE_KEYS.POST].length,
+      comments: this.queues[QUEUE_KEYS.COMMENT].length,
+      likes: this.queues[QUEUE_KEYS.LIKE].length,
+      profile: this.queues[QUEUE_KEYS.PROFILE].length,
+    };
+  }
+
+  /**
+   * Check whether any operations are waiting to sync
+   * 
+   * @returns {boolean} Whether there are pending operations
+   */
+  hasPendingOperations() {
+    return Object.values(this.getPendingOperationCounts()).some(count => count > 0);
+  }
+
+  /**
+   * Sync the queues now, e.g. from a manual retry
+   * 
+   * @returns {Promise<boolean>} Whether every pending operation was synced
+   */
+  async forceSyncQueues() {
+    const netInfo = await NetInfo.fetch();
+    this.isOnline = netInfo.isConnected && netInfo.isInternetReachable !== false;
+    
+    if (!this.isOnline) return false;
+    
+    await this.syncQueues();
+    return !this.hasPendingOperations();
+  }
+}
+
+export const OfflineQueue = new OfflineQueueService();
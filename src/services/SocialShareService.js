@@ -3,6 +3,7 @@
 
 import { Platform, Share, Alert } from 'react-native';
 import RNShare from 'react-native-share';
+import firestore from '@react-native-firebase/firestore';
 import { AnalyticsService } from './AnalyticsService';
 import Config from 'react-native-config';
 import MediaService from './MediaService';
@@ -53,6 +54,26 @@ const generateShareUrl = (contentType, contentId, options = {}) => {
   return url;
 };
 
+/**
+ * Count a completed share towards the post's insights
+ * @param {string} postId - Post ID
+ * @param {Object} result - Result of the share dialog
+ * @returns {Promise<void>}
+ */
+const recordPostShare = async (postId, result) => {
+  // Share.share resolves with a dismissed action when the sheet is closed without sharing
+  if (!postId || !result || result.action === Share.dismissedAction || result.dismissedAction) return;
+  
+  try {
+    await firestore().collection('posts').doc(postId).update({
+      shareCount: firestore.FieldValue.increment(1),
+    });
+  } catch (error) {
+    // The share itself went through, so only log the missed count
+    AnalyticsService.logError(error.message, 'record_post_share_error');
+  }
+};
+
 /**
  * Share content using the native share dialog
  * @param {Object} options - Share options
@@ -289,7 +310,7 @@ export const sharePostWithMedia = async (post, options = {}) => {
     const shareText = options.message || text || title || '';
     const shareTitle = options.title || `Health post shared by ${author?.displayName || 'a user'}`;
     
-    return await shareContent({
+    const result = await shareContent({
       title: shareTitle,
       message: shareText,
       contentType: 'post',
@@ -297,6 +318,10 @@ export const sharePostWithMedia = async (post, options = {}) => {
       imageUrl,
       ...options,
     });
+    
+    await recordPostShare(id, result);
+    
+    return result;
   } catch (error) {
     console.error('Error sharing post with media:', error);
     throw error;
@@ -4,6 +4,20 @@
 import firestore from '@react-native-firebase/firestore';
 import storage from '@react-native-firebase/storage';
 import { withRetry } from './RetryService';
+import { toConditionCodes, getConditionMatchValues } from '../utils/conditions';
+
+/**
+ * Store related conditions as catalog codes, keeping any the catalog doesn't know
+ * 
+ * @param {Object} eventData - Event fields
+ * @returns {Object} Event fields with normalized conditions
+ */
+const normalizeEventConditions = (eventData) => {
+  if (!eventData.relatedConditions) return eventData;
+  
+  const { codes, unmapped } = toConditionCodes(eventData.relatedConditions);
+  return { ...eventData, relatedConditions: [...codes, ...unmapped] };
+};
 
 /**
  * Event Services
@@ -21,7 +35,7 @@ export const EventService = {
     try {
       const eventRef = await withRetry(() => 
         firestore().collection('events').add({
-          ...eventData,
+          ...normalizeEventConditions(eventData),
           attendeeCount: 1, // Host is first attendee
           attendees: [eventData.hostId], // Add host to attendees
           createdAt: firestore.FieldValue.serverTimestamp()
@@ -74,7 +88,7 @@ export const EventService = {
   updateEvent: async (eventId, eventData) => {
     try {
       return await withRetry(() => 
-        firestore().collection('events').doc(eventId).update(eventData)
+        firestore().collection('events').doc(eventId).update(normalizeEventConditions(eventData))
       );
     } catch (error) {
       console.error('Update event error:', error);
@@ -151,9 +165,9 @@ export const EventService = {
         .where('startDate', '>=', new Date()) // Only upcoming events
         .orderBy('startDate', 'asc');
       
-      // Apply condition filter if provided
+      // Apply condition filter if provided, matching events saved before conditions were codes too
       if (condition) {
-        query = query.where('relatedConditions', 'array-contains', condition);
+        query = query.where('relatedConditions', 'array-contains-any', getConditionMatchValues(condition));
       }
       
       // Filter by host if provided
@@ -219,9 +233,9 @@ export const EventService = {
         .where('endDate', '<', new Date()) // Only past events
         .orderBy('endDate', 'desc'); // Most recent first
       
-      // Apply condition filter if provided
+      // Apply condition filter if provided, matching events saved before conditions were codes too
       if (condition) {
-        query = query.where('relatedConditions', 'array-contains', condition);
+        query = query.where('relatedConditions', 'array-contains-any', getConditionMatchValues(condition));
       }
       
       // Filter by host if provided
@@ -9,6 +9,7 @@ import firestore from '@react-native-firebase/firestore';
 import { sanitizeInput } from './validationUtils';
 import NetInfo from '@react-native-community/netinfo';
 import crypto from 'crypto-js';
+import { getActiveVerification } from './verification';
 
 // DISPOSABLE_EMAIL_DOMAINS list - expanded with more domains
 const DISPOSABLE_EMAIL_DOMAINS = [
@@ -230,6 +231,22 @@ class SecurityUtils {
     }
   }
 
+  /**
+   * Make sure data will really be encrypted. encryptData falls back to plain
+   * text without a key, which health records must never be stored as.
+   * 
+   * @throws {Error} If encryption isn't available on this device
+   */
+  async requireEncryption() {
+    if (!this.initialized) {
+      await this.initializeEncryptionKey();
+    }
+    
+    if (!this.initialized) {
+      throw new Error('Secure storage isn\'t available on this device, so this can\'t be saved');
+    }
+  }
+
   /**
    * Encrypt sensitive data
    * Improved with better error handling and initialization checks
@@ -893,14 +910,14 @@ class SecurityUtils {
       // Security levels:
       // 0 - Unauthenticated
       // 1 - Basic user
-      // 2 - Verified user
+      // 2 - Verified health professional, until their verification expires
       // 3 - Admin/Moderator
       
       let securityLevel = 1; // Default for authenticated users
       
       if (userData.role === 'admin' || userData.role === 'moderator') {
         securityLevel = 3;
-      } else if (userData.verified) {
+      } else if (getActiveVerification(userData)) {
         securityLevel = 2;
       }
       
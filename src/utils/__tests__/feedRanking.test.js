@@ -0,0 +1,164 @@
+// src/utils/__tests__/feedRanking.test.js
+
+import {
+  DEFAULT_RANKING_CONFIG,
+  mergeRankingConfig,
+  getPostSignals,
+  rankPosts,
+} from '../feedRanking';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 15, 12);
+
+const config = mergeRankingConfig();
+
+const makePost = (id, hoursAgo, fields = {}) => ({
+  id,
+  userId: 'author',
+  timestamp: new Date(NOW - hoursAgo * HOUR_MS),
+  ...fields,
+});
+
+const emptyContext = { viewerConditions: [], authorConditions: {}, interactionCounts: {} };
+
+describe('mergeRankingConfig', () => {
+  it('uses the defaults when nothing is stored', () => {
+    expect(mergeRankingConfig()).toEqual(DEFAULT_RANKING_CONFIG);
+    expect(mergeRankingConfig({})).toEqual(DEFAULT_RANKING_CONFIG);
+  });
+  
+  it('takes stored numbers over the defaults', () => {
+    const merged = mergeRankingConfig({
+      weights: { recency: 2, affinity: 0 },
+      recencyHalfLifeHours: 12,
+      candidatePoolSize: 100,
+    });
+    
+    expect(merged.weights).toEqual({ ...DEFAULT_RANKING_CONFIG.weights, recency: 2, affinity: 0 });
+    expect(merged.recencyHalfLifeHours).toBe(12);
+    expect(merged.candidatePoolSize).toBe(100);
+    expect(merged.engagementPivot).toBe(DEFAULT_RANKING_CONFIG.engagementPivot);
+  });
+  
+  it('ignores values of the wrong type or out of range', () => {
+    const merged = mergeRankingConfig({
+      weights: { recency: '3', engagement: -1, affinity: NaN },
+      recencyHalfLifeHours: Infinity,
+      commentWeight: null,
+      reshareWeight: -2,
+    });
+    
+    expect(merged).toEqual(DEFAULT_RANKING_CONFIG);
+  });
+  
+  it('drops keys it doesn\'t know', () => {
+    const merged = mergeRankingConfig({ weights: { novelty: 1 }, extra: 5 });
+    
+    expect(merged.weights).not.toHaveProperty('novelty');
+    expect(merged).not.toHaveProperty('extra');
+  });
+});
+
+describe('getPostSignals', () => {
+  it('halves recency every half-life', () => {
+    expect(getPostSignals(makePost('a', 0), emptyContext, config, NOW).recency).toBe(1);
+    expect(getPostSignals(makePost('a', 24), emptyContext, config, NOW).recency).toBeCloseTo(0.5);
+    expect(getPostSignals(makePost('a', 48), emptyContext, config, NOW).recency).toBeCloseTo(0.25);
+  });
+  
+  it('gives the full shared-conditions signal to posts for one of the viewer\'s communities', () => {
+    const post = makePost('a', 1, { audienceCondition: 'Asthma' });
+    const context = { ...emptyContext, viewerConditions: ['asthma'] };
+    
+    expect(getPostSignals(post, context, config, NOW).sharedConditions).toBe(1);
+  });
+  
+  it('scales shared conditions with the author up to maxSharedConditions', () => {
+    const context = {
+      ...emptyContext,
+      viewerConditions: ['Asthma', 'Migraine'],
+      authorConditions: { author: ['Asthma'] },
+    };
+    
+    expect(getPostSignals(makePost('a', 1), context, config, NOW).sharedConditions).toBe(0.5);
+  });
+  
+  it('weights comments and reshares in engagement', () => {
+    const liked = getPostSignals(makePost('a', 1, { likeCount: 2 }), emptyContext, config, NOW);
+    const commented = getPostSignals(makePost('b', 1, { commentCount: 1 }), emptyContext, config, NOW);
+    const reshared = getPostSignals(makePost('c', 1, { reshareCount: 1 }), emptyContext, config, NOW);
+    
+    // Two likes count the same as one comment at the default weights
+    expect(liked.engagement).toBeCloseTo(0.5);
+    expect(commented.engagement).toBeCloseTo(liked.engagement);
+    expect(reshared.engagement).toBeGreaterThan(commented.engagement);
+  });
+  
+  it('reaches half affinity at affinityPivot past interactions', () => {
+    const context = { ...emptyContext, interactionCounts: { author: 5 } };
+    
+    expect(getPostSignals(makePost('a', 1), context, config, NOW).affinity).toBeCloseTo(0.5);
+  });
+});
+
+describe('rankPosts', () => {
+  it('puts higher scores first and adds rankingScore', () => {
+    const context = { ...emptyContext, interactionCounts: { friend: 10 } };
+    const posts = [
+      makePost('old', 48),
+      makePost('friend', 6, { userId: 'friend' }),
+      makePost('popular', 6, { likeCount: 40 }),
+      makePost('recent', 1),
+    ];
+    
+    const ranked = rankPosts(posts, context, config, NOW);
+    
+    expect(ranked.map(post => post.id)).toEqual(['popular', 'friend', 'recent', 'old']);
+    ranked.forEach((post, index) => {
+      expect(typeof post.rankingScore).toBe('number');
+      if (index > 0) expect(post.rankingScore).toBeLessThanOrEqual(ranked[index - 1].rankingScore);
+    });
+  });
+  
+  it('follows the configured weights', () => {
+    const posts = [makePost('recent', 1), makePost('popular', 6, { likeCount: 40 })];
+    const engagementOnly = mergeRankingConfig({ weights: { recency: 0, sharedConditions: 0, engagement: 1, affinity: 0 } });
+    const recencyOnly = mergeRankingConfig({ weights: { recency: 1, sharedConditions: 0, engagement: 0, affinity: 0 } });
+    
+    expect(rankPosts(posts, emptyContext, engagementOnly, NOW)[0].id).toBe('popular');
+    expect(rankPosts(posts, emptyContext, recencyOnly, NOW)[0].id).toBe('recent');
+  });
+  
+  it('breaks ties by newest first, then by post ID', () => {
+    // Nothing but the post ID and timestamp differ, and no signal is weighted
+    const flat = mergeRankingConfig({ weights: { recency: 0, sharedConditions: 0, engagement: 0, affinity: 0 } });
+    const posts = [
+      makePost('b', 3),
+      makePost('c', 1),
+      makePost('a', 3),
+      makePost('d', 2),
+    ];
+    
+    expect(rankPosts(posts, emptyContext, flat, NOW).map(post => post.id)).toEqual(['c', 'd', 'a', 'b']);
+  });
+  
+  it('gives the same order whatever order the posts come in', () => {
+    const posts = [
+      makePost('a', 2, { likeCount: 3 }),
+      makePost('b', 2, { likeCount: 3 }),
+      makePost('c', 5, { commentCount: 4 }),
+      makePost('d', 30),
+    ];
+    const order = rankPosts(posts, emptyContext, config, NOW).map(post => post.id);
+    
+    expect(rankPosts([...posts].reverse(), emptyContext, config, NOW).map(post => post.id)).toEqual(order);
+  });
+  
+  it('leaves the input posts unchanged', () => {
+    const posts = [makePost('a', 1)];
+    
+    rankPosts(posts, emptyContext, config, NOW);
+    
+    expect(posts[0]).not.toHaveProperty('rankingScore');
+  });
+});
@@ -0,0 +1,142 @@
+// src/utils/__tests__/medications.test.js
+
+import { getScheduledDoses } from '../medications';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Local times, so the weekday and time-of-day checks hold in any time zone
+const at = (day, hours = 0, minutes = 0) => new Date(2026, 2, day, hours, minutes).getTime();
+
+const makeMedication = (schedule, fields = {}) => ({ id: 'med', schedule, createdAt: 0, ...fields });
+
+const toLocalTimes = (doses) => doses.map(dose => {
+  const date = new Date(dose.scheduledAt);
+  return `${date.getDate()} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+});
+
+describe('getScheduledDoses', () => {
+  describe('daily', () => {
+    it('lists every time on every day in the range, earliest first', () => {
+      const medication = makeMedication({ type: 'daily', times: ['20:00', '08:30'] });
+      
+      expect(toLocalTimes(getScheduledDoses(medication, at(2), at(4)))).toEqual([
+        '2 08:30', '2 20:00', '3 08:30', '3 20:00',
+      ]);
+    });
+    
+    it('includes the start of the range and excludes the end', () => {
+      const medication = makeMedication({ type: 'daily', times: ['08:00'] });
+      
+      expect(toLocalTimes(getScheduledDoses(medication, at(2, 8), at(3, 8)))).toEqual(['2 08:00']);
+    });
+    
+    it('skips doses before the medication was added', () => {
+      const medication = makeMedication({ type: 'daily', times: ['08:00', '20:00'] }, { createdAt: at(2, 12) });
+      
+      expect(toLocalTimes(getScheduledDoses(medication, at(1), at(3)))).toEqual(['2 20:00']);
+    });
+    
+    it('gives each dose an ID from the medication and its time', () => {
+      const medication = makeMedication({ type: 'daily', times: ['08:00'] });
+      const [dose] = getScheduledDoses(medication, at(2), at(3));
+      
+      expect(dose).toEqual({ doseId: `med_${at(2, 8)}`, medicationId: 'med', scheduledAt: at(2, 8) });
+    });
+  });
+  
+  describe('weekdays', () => {
+    it('only lists the chosen days of the week', () => {
+      // 2 March 2026 is a Monday; days run from 0 for Sunday
+      const medication = makeMedication({ type: 'weekdays', weekdays: [1, 3, 5], times: ['09:00'] });
+      
+      expect(toLocalTimes(getScheduledDoses(medication, at(2), at(9)))).toEqual([
+        '2 09:00', '4 09:00', '6 09:00',
+      ]);
+    });
+    
+    it('lists Sunday as day 0', () => {
+      const medication = makeMedication({ type: 'weekdays', weekdays: [0], times: ['10:00', '18:00'] });
+      
+      expect(toLocalTimes(getScheduledDoses(medication, at(2), at(16)))).toEqual([
+        '8 10:00', '8 18:00', '15 10:00', '15 18:00',
+      ]);
+    });
+    
+    it('lists nothing when none of the days fall in the range', () => {
+      const medication = makeMedication({ type: 'weekdays', weekdays: [6], times: ['09:00'] });
+      
+      expect(getScheduledDoses(medication, at(2), at(7))).toEqual([]);
+    });
+  });
+  
+  describe('interval', () => {
+    it('counts every N hours from the first dose', () => {
+      const medication = makeMedication({ type: 'interval', intervalHours: 8, startAt: at(2, 6) });
+      
+      expect(toLocalTimes(getScheduledDoses(medication, at(2), at(3, 12)))).toEqual([
+        '2 06:00', '2 14:00', '2 22:00', '3 06:00',
+      ]);
+    });
+    
+    it('picks up the schedule part way through', () => {
+      const medication = makeMedication({ type: 'interval', intervalHours: 6, startAt: at(1, 0) });
+      
+      expect(toLocalTimes(getScheduledDoses(medication, at(5, 7), at(5, 20)))).toEqual([
+        '5 12:00', '5 18:00',
+      ]);
+    });
+    
+    it('lists nothing before the first dose', () => {
+      const medication = makeMedication({ type: 'interval', intervalHours: 4, startAt: at(10, 8) });
+      
+      expect(getScheduledDoses(medication, at(9), at(10, 8))).toEqual([]);
+    });
+    
+    it('skips doses before the medication was added', () => {
+      const medication = makeMedication({ type: 'interval', intervalHours: 12, startAt: at(1, 8) }, { createdAt: at(3, 9) });
+      
+      expect(toLocalTimes(getScheduledDoses(medication, at(1), at(4, 12)))).toEqual([
+        '3 20:00', '4 08:00',
+      ]);
+    });
+  });
+  
+  // These ranges cover the clock changes in zones that observe daylight saving time
+  // (8 March and 1 November 2026 in the US); elsewhere they behave like any other day
+  describe('daylight saving time', () => {
+    const ranges = [
+      ['spring', new Date(2026, 2, 6).getTime(), new Date(2026, 2, 11).getTime()],
+      ['autumn', new Date(2026, 9, 30).getTime(), new Date(2026, 10, 4).getTime()],
+    ];
+    
+    it.each(ranges)('keeps daily doses at the same clock time across the %s change', (_, from, to) => {
+      const medication = makeMedication({ type: 'daily', times: ['08:00', '23:30'] });
+      const doses = getScheduledDoses(medication, from, to);
+      
+      expect(doses).toHaveLength(10);
+      doses.forEach((dose, index) => {
+        const date = new Date(dose.scheduledAt);
+        expect([date.getHours(), date.getMinutes()]).toEqual(index % 2 === 0 ? [8, 0] : [23, 30]);
+      });
+    });
+    
+    it.each(ranges)('lists a dose on every day across the %s change', (_, from, to) => {
+      const medication = makeMedication({ type: 'daily', times: ['00:00'] });
+      const days = getScheduledDoses(medication, from, to).map(dose => new Date(dose.scheduledAt).getDate());
+      
+      expect(new Set(days).size).toBe(5);
+    });
+    
+    it.each(ranges)('keeps interval doses the same number of hours apart across the %s change', (_, from, to) => {
+      const medication = makeMedication({ type: 'interval', intervalHours: 6, startAt: from + 2 * HOUR_MS });
+      const doses = getScheduledDoses(medication, from, to);
+      
+      expect(doses.length).toBeGreaterThan(0);
+      doses.slice(1).forEach((dose, index) => {
+        expect(dose.scheduledAt - doses[index].scheduledAt).toBe(6 * HOUR_MS);
+      });
+      expect(doses[0].scheduledAt).toBe(from + 2 * HOUR_MS);
+      expect(doses[doses.length - 1].scheduledAt + 6 * HOUR_MS).toBeGreaterThanOrEqual(to);
+    });
+  });
+});
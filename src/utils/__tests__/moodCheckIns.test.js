@@ -0,0 +1,212 @@
+// src/utils/__tests__/moodCheckIns.test.js
+
+import {
+  normalizeCheckIn,
+  getDailyMoods,
+  getMoodTrend,
+  describeMoodTrend,
+  getSymptomCorrelations,
+  describeSymptomCorrelation,
+} from '../moodCheckIns';
+import { MOOD_TREND_RANGES, MAX_EMOTION_TAGS, MAX_CHECK_IN_NOTE_LENGTH } from '../../constants/moodCheckIns';
+
+// Sunday 15 March 2026, in the evening
+const TODAY = new Date(2026, 2, 15, 18);
+const [WEEK, MONTH, QUARTER] = MOOD_TREND_RANGES;
+
+const checkIn = (date, score) => ({ date, score });
+
+describe('normalizeCheckIn', () => {
+  it('trims the note and drops repeated emotions', () => {
+    expect(normalizeCheckIn({ score: 4, emotions: ['Calm', 'Happy', 'Calm'], note: '  Good walk  ' })).toEqual({
+      score: 4,
+      emotions: ['Calm', 'Happy'],
+      note: 'Good walk',
+    });
+  });
+  
+  it('defaults emotions and note to empty', () => {
+    expect(normalizeCheckIn({ score: 1 })).toEqual({ score: 1, emotions: [], note: '' });
+  });
+  
+  it.each([[0], [6], [2.5], [undefined], ['3']])('rejects a score of %p', (score) => {
+    expect(() => normalizeCheckIn({ score })).toThrow('Choose how you\'re feeling');
+  });
+  
+  it('rejects unknown emotions and too many of them', () => {
+    expect(() => normalizeCheckIn({ score: 3, emotions: ['Bored'] })).toThrow(`Choose up to ${MAX_EMOTION_TAGS} emotions`);
+    expect(() => normalizeCheckIn({
+      score: 3,
+      emotions: ['Calm', 'Happy', 'Grateful', 'Hopeful', 'Energetic', 'Tired', 'Anxious'],
+    })).toThrow(`Choose up to ${MAX_EMOTION_TAGS} emotions`);
+  });
+  
+  it('rejects a note that is too long', () => {
+    expect(() => normalizeCheckIn({ score: 3, note: 'a'.repeat(MAX_CHECK_IN_NOTE_LENGTH + 1) })).toThrow('The note is too long');
+  });
+});
+
+describe('getDailyMoods', () => {
+  it('averages the check-ins on each day', () => {
+    const moods = getDailyMoods([
+      checkIn('2026-03-14', 2),
+      checkIn('2026-03-15', 3),
+      checkIn('2026-03-14', 5),
+    ]);
+    
+    expect([...moods]).toEqual([['2026-03-14', 3.5], ['2026-03-15', 3]]);
+  });
+});
+
+describe('getMoodTrend', () => {
+  it('gives one point per day for a week, ending today', () => {
+    const points = getMoodTrend([
+      checkIn('2026-03-09', 2),
+      checkIn('2026-03-15', 4),
+      checkIn('2026-03-15', 5),
+      checkIn('2026-03-08', 1),
+    ], WEEK, TODAY);
+    
+    expect(points).toHaveLength(7);
+    expect(points.map(point => point.label)).toEqual(['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+    expect(points[0]).toMatchObject({ start: new Date(2026, 2, 9), average: 2, count: 1, description: 'Monday, March 9' });
+    expect(points[6]).toMatchObject({ average: 4.5, count: 2 });
+    expect(points.slice(1, 6).every(point => point.average === null && point.count === 0)).toBe(true);
+  });
+  
+  it('labels longer daily ranges by date', () => {
+    const points = getMoodTrend([], MONTH, TODAY);
+    
+    expect(points).toHaveLength(30);
+    expect(points[0].label).toBe('14/2');
+    expect(points[29].label).toBe('15/3');
+  });
+  
+  it('groups long ranges by week and rounds to one decimal place', () => {
+    const points = getMoodTrend([
+      checkIn('2026-03-09', 3),
+      checkIn('2026-03-12', 4),
+      checkIn('2026-03-15', 4),
+    ], QUARTER, TODAY);
+    
+    expect(points).toHaveLength(13);
+    expect(points[12]).toMatchObject({
+      start: new Date(2026, 2, 9),
+      average: 3.7,
+      count: 3,
+      description: 'the week of March 9',
+    });
+  });
+});
+
+describe('describeMoodTrend', () => {
+  const point = (average, count, description) => ({ average, count, description });
+  
+  it('says when there are no check-ins', () => {
+    expect(describeMoodTrend([point(null, 0, 'Monday')], '7 days')).toBe('No check-ins in the last 7 days.');
+  });
+  
+  it('summarizes a single day', () => {
+    expect(describeMoodTrend([point(null, 0, 'Monday'), point(3, 1, 'Tuesday')], '7 days'))
+      .toBe('Average mood 3 out of 5 over the last 7 days, from 1 check-in.');
+  });
+  
+  it('describes an improving trend with the lowest and highest points', () => {
+    const points = [point(2, 1, 'Monday'), point(2, 1, 'Tuesday'), point(4, 2, 'Wednesday'), point(4.5, 1, 'Thursday')];
+    
+    expect(describeMoodTrend(points, '7 days')).toBe(
+      'Average mood 3.3 out of 5 over the last 7 days, from 5 check-ins. ' +
+      'Your mood has been improving. Lowest was 2 on Monday, highest was 4.5 on Thursday.'
+    );
+  });
+  
+  it('describes declining and steady trends', () => {
+    expect(describeMoodTrend([point(4, 1, 'Monday'), point(3, 1, 'Tuesday')], '7 days'))
+      .toContain('Your mood has been declining.');
+    expect(describeMoodTrend([point(3, 1, 'Monday'), point(3.4, 1, 'Tuesday')], '7 days'))
+      .toContain('Your mood has been fairly steady.');
+  });
+  
+  it('leaves out the lowest and highest points when every point is the same', () => {
+    expect(describeMoodTrend([point(3, 1, 'Monday'), point(3, 1, 'Tuesday')], '7 days')).not.toContain('Lowest');
+  });
+});
+
+describe('getSymptomCorrelations', () => {
+  const checkIns = [
+    checkIn('2026-03-01', 2),
+    checkIn('2026-03-02', 1),
+    checkIn('2026-03-03', 2),
+    checkIn('2026-03-04', 4),
+    checkIn('2026-03-05', 5),
+    checkIn('2026-03-06', 4),
+  ];
+  const entry = (date, symptoms) => ({ date, symptoms });
+  
+  it('compares mood on days with and without each symptom', () => {
+    const correlations = getSymptomCorrelations(checkIns, [
+      entry('2026-03-01', [{ name: 'Headache', severity: 3 }]),
+      entry('2026-03-02', [{ name: 'headache', severity: 5 }, { name: 'Nausea', severity: 2 }]),
+      entry('2026-03-03', [{ name: 'Headache', severity: 3 }]),
+      entry('2026-03-04', []),
+      entry('2026-03-05', [{ name: 'Nausea', severity: 1 }]),
+      entry('2026-03-06', [{ name: 'Nausea', severity: 1 }]),
+    ]);
+    
+    expect(correlations).toHaveLength(2);
+    expect(correlations[0]).toMatchObject({
+      name: 'Headache',
+      days: 3,
+      moodWith: 1.7,
+      moodWithout: 4.3,
+      difference: -2.7,
+    });
+    expect(correlations[0].correlation).toBeLessThan(-0.9);
+    expect(correlations[1]).toMatchObject({ name: 'Nausea', days: 3, moodWith: 3.3, moodWithout: 2.7, difference: 0.7 });
+  });
+  
+  it('keeps the highest severity when a symptom is logged twice in a day', () => {
+    const [headache] = getSymptomCorrelations(checkIns, [
+      entry('2026-03-01', [{ name: 'Headache', severity: 1 }]),
+      entry('2026-03-01', [{ name: 'Headache', severity: 4 }]),
+      entry('2026-03-01', [{ name: 'Headache', severity: 2 }]),
+      entry('2026-03-02', [{ name: 'Headache', severity: 4 }]),
+      entry('2026-03-03', [{ name: 'Headache', severity: 4 }]),
+      entry('2026-03-04', []),
+    ]);
+    
+    // Severities of 4, 4, 4 and 0 against moods of 2, 1, 2 and 4
+    expect(headache).toMatchObject({ days: 3, moodWith: 1.7, moodWithout: 4 });
+    expect(headache.correlation).toBeCloseTo(-7 / Math.sqrt(57));
+  });
+  
+  it('leaves out symptoms logged on too few days or on every day', () => {
+    expect(getSymptomCorrelations(checkIns, [
+      entry('2026-03-01', [{ name: 'Headache', severity: 3 }]),
+      entry('2026-03-02', [{ name: 'Headache', severity: 3 }]),
+      entry('2026-03-03', []),
+    ])).toEqual([]);
+    
+    expect(getSymptomCorrelations(checkIns.slice(0, 3), [
+      entry('2026-03-01', [{ name: 'Headache', severity: 3 }]),
+      entry('2026-03-02', [{ name: 'Headache', severity: 3 }]),
+      entry('2026-03-03', [{ name: 'Headache', severity: 3 }]),
+    ])).toEqual([]);
+  });
+  
+  it('ignores journal entries on days without a check-in', () => {
+    expect(getSymptomCorrelations(checkIns, [
+      entry('2026-02-01', [{ name: 'Headache', severity: 3 }]),
+      entry('2026-02-02', [{ name: 'Headache', severity: 3 }]),
+      entry('2026-02-03', [{ name: 'Headache', severity: 3 }]),
+      entry('2026-03-04', []),
+    ])).toEqual([]);
+  });
+});
+
+describe('describeSymptomCorrelation', () => {
+  it('puts the comparison in plain words', () => {
+    expect(describeSymptomCorrelation({ name: 'Headache', days: 5, moodWith: 2.4, moodWithout: 3.6 }))
+      .toBe('On the 5 days you logged Headache, your mood averaged 2.4, compared with 3.6 on other days.');
+  });
+});
@@ -0,0 +1,94 @@
+// src/utils/__tests__/postVisibility.test.js
+
+import { canViewPost, filterVisiblePosts } from '../postVisibility';
+
+const author = { id: 'author', followingIds: [], medicalConditions: [], communityIds: [] };
+const follower = { id: 'follower', followingIds: ['author'], medicalConditions: [], communityIds: [] };
+const member = { id: 'member', followingIds: [], medicalConditions: ['asthma'], communityIds: ['community'] };
+const stranger = { id: 'stranger', followingIds: [], medicalConditions: ['Migraine'], communityIds: [] };
+const signedOut = { id: null, followingIds: [], medicalConditions: [], communityIds: [] };
+
+const makePost = (fields = {}) => ({ id: 'post', userId: 'author', ...fields });
+
+describe('canViewPost', () => {
+  // Who sees a post for each audience: [author, follower, member, stranger, signed out]
+  const matrix = [
+    ['public', [true, true, true, true, true]],
+    ['followers', [true, true, false, false, false]],
+    ['community', [true, false, true, false, false]],
+    ['private', [true, false, false, false, false]],
+    ['unknown', [true, false, false, false, false]],
+  ];
+  
+  it.each(matrix)('shows %s posts to the right viewers', (audience, expected) => {
+    const post = makePost({ audience, audienceCondition: 'Asthma' });
+    
+    expect([author, follower, member, stranger, signedOut].map(viewer => canViewPost(post, viewer))).toEqual(expected);
+  });
+  
+  it('treats posts without an audience as public', () => {
+    expect(canViewPost(makePost(), stranger)).toBe(true);
+    expect(canViewPost(makePost(), signedOut)).toBe(true);
+  });
+  
+  it('matches community posts to the viewer\'s conditions however they\'re written', () => {
+    const post = makePost({ audience: 'community', audienceCondition: 'Type 2 Diabetes' });
+    
+    expect(canViewPost(post, { ...stranger, medicalConditions: ['diabetes type II'] })).toBe(true);
+    expect(canViewPost(post, { ...stranger, medicalConditions: ['Type 1 Diabetes'] })).toBe(false);
+  });
+  
+  it('hides community posts without a condition from everyone but the author', () => {
+    const post = makePost({ audience: 'community', audienceCondition: null });
+    
+    expect(canViewPost(post, member)).toBe(false);
+    expect(canViewPost(post, author)).toBe(true);
+  });
+  
+  it('hides deleted and removed posts, even from their author', () => {
+    expect(canViewPost(makePost({ deleted: true }), author)).toBe(false);
+    expect(canViewPost(makePost({ removedFromCommunity: true }), author)).toBe(false);
+  });
+  
+  it('keeps members-only community posts among the members', () => {
+    const post = makePost({ communityId: 'community', communityMembersOnly: true });
+    
+    expect(canViewPost(post, member)).toBe(true);
+    expect(canViewPost(post, author)).toBe(true);
+    expect(canViewPost(post, follower)).toBe(false);
+    expect(canViewPost(post, signedOut)).toBe(false);
+  });
+  
+  it('still applies the audience inside a members-only community', () => {
+    const post = makePost({ communityId: 'community', communityMembersOnly: true, audience: 'followers' });
+    
+    expect(canViewPost(post, member)).toBe(false);
+    expect(canViewPost(post, { ...member, followingIds: ['author'] })).toBe(true);
+  });
+  
+  it('shows posts in open communities to everyone the audience allows', () => {
+    const post = makePost({ communityId: 'community', communityMembersOnly: false });
+    
+    expect(canViewPost(post, stranger)).toBe(true);
+  });
+  
+  it('handles a missing post or viewer', () => {
+    expect(canViewPost(null, author)).toBe(false);
+    expect(canViewPost(makePost({ audience: 'public' }), undefined)).toBe(true);
+    expect(canViewPost(makePost({ audience: 'followers' }), undefined)).toBe(false);
+  });
+});
+
+describe('filterVisiblePosts', () => {
+  it('keeps only the posts the viewer may see, in order', () => {
+    const posts = [
+      makePost({ id: 'public', audience: 'public' }),
+      makePost({ id: 'followers', audience: 'followers' }),
+      makePost({ id: 'private', audience: 'private' }),
+      makePost({ id: 'deleted', deleted: true }),
+      makePost({ id: 'own', userId: 'follower', audience: 'private' }),
+    ];
+    
+    expect(filterVisiblePosts(posts, follower).map(post => post.id)).toEqual(['public', 'followers', 'own']);
+  });
+});
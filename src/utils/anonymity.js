@@ -0,0 +1,43 @@
+// src/utils/anonymity.js
+// Pseudonyms for anonymous posts and comments
+
+// The server keeps names unique within a thread, so it needs these counts;
+// keep them in step with PSEUDONYM_ADJECTIVE_COUNT and PSEUDONYM_NOUN_COUNT in functions/index.js
+const ADJECTIVES = [
+  'Quiet', 'Gentle', 'Brave', 'Calm', 'Hopeful', 'Kind', 'Steady', 'Bright',
+  'Patient', 'Warm', 'Curious', 'Honest', 'Mellow', 'Sunny', 'Thoughtful', 'Bold',
+  'Cheerful', 'Clever', 'Cozy', 'Daring', 'Eager', 'Friendly', 'Graceful', 'Humble',
+  'Jolly', 'Lively', 'Lucky', 'Merry', 'Nimble', 'Peaceful', 'Playful', 'Serene',
+];
+
+const NOUNS = [
+  'Otter', 'Heron', 'Fox', 'Maple', 'Willow', 'Sparrow', 'River', 'Cedar',
+  'Panda', 'Robin', 'Falcon', 'Birch', 'Dolphin', 'Meadow', 'Koala', 'Harbor',
+  'Badger', 'Beacon', 'Canyon', 'Comet', 'Crane', 'Finch', 'Glacier', 'Hazel',
+  'Lantern', 'Lark', 'Lynx', 'Orchard', 'Pebble', 'Pine', 'Seal', 'Wren',
+];
+
+const COLORS = [
+  '#5C6BC0', '#26A69A', '#AB47BC', '#EF6C00', '#8D6E63', '#42A5F5', '#66BB6A', '#EC407A',
+];
+
+const ICONS = [
+  'leaf', 'moon', 'flower', 'water', 'planet', 'snow', 'sunny', 'star',
+];
+
+/**
+ * Turn a pseudonym seed into the name, color and icon shown for it. Seeds
+ * come from the server, which derives them from the thread, the real author
+ * and a secret, so the same user keeps the same pseudonym across a post and
+ * all of its comments, but gets a different one in every other thread and
+ * can't be identified from it. The server also re-rolls seeds whose name is
+ * already taken in the thread, so two people there don't end up with the same name.
+ *
+ * @param {number} seed - Unsigned 32-bit pseudonym seed
+ * @returns {Object} Pseudonym with name, color and icon
+ */
+export const toPseudonym = (seed) => ({
+  name: `${ADJECTIVES[seed % ADJECTIVES.length]} ${NOUNS[(seed >>> 8) % NOUNS.length]}`,
+  color: COLORS[(seed >>> 16) % COLORS.length],
+  icon: ICONS[(seed >>> 24) % ICONS.length],
+});
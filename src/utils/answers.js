@@ -0,0 +1,15 @@
+// src/utils/answers.js
+// Ordering answers on question posts
+
+/**
+ * Order a question's answers: the accepted answer first, then the most helpful,
+ * then the oldest so earlier answers win ties
+ * @param {Array<Object>} answers - Top-level comments with helpfulCount and timestamp
+ * @param {string|null} acceptedAnswerId - ID of the accepted answer
+ * @returns {Array<Object>} Sorted copy of the answers
+ */
+export const sortAnswers = (answers, acceptedAnswerId = null) => [...answers].sort((a, b) => (
+  (b.id === acceptedAnswerId) - (a.id === acceptedAnswerId) ||
+  (b.helpfulCount || 0) - (a.helpfulCount || 0) ||
+  a.timestamp - b.timestamp
+));
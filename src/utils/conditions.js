@@ -0,0 +1,210 @@
+// src/utils/conditions.js
+// Looking up, naming and matching conditions from the bundled catalog
+
+import { CONDITIONS, CONDITION_CATEGORIES, CONDITION_LANGUAGES } from '../constants/conditions';
+
+// array-contains-any accepts at most 10 values
+const MAX_MATCH_VALUES = 10;
+
+// Words that don't tell conditions apart ("type 2 diabetes" vs "diabetes 2")
+const IGNORED_WORDS = new Set(['type', 'of', 'the']);
+
+// Roman numerals people use for condition types ("diabetes type II")
+const ROMAN_NUMERALS = { i: '1', ii: '2', iii: '3' };
+
+const CONDITIONS_BY_CODE = new Map(CONDITIONS.map(condition => [condition.code, condition]));
+
+/**
+ * Lowercase words of a condition name without accents, punctuation or filler words
+ * @param {string} text - Condition name as typed
+ * @returns {Array<string>} Normalized words in order
+ */
+const toWords = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .split(/[^a-z0-9]+/)
+  .map(word => ROMAN_NUMERALS[word] || word)
+  .filter(word => word && !IGNORED_WORDS.has(word));
+
+/**
+ * Normalize a condition name for comparison
+ * @param {string} text - Condition name as typed
+ * @returns {string} Normalized text
+ */
+export const normalizeConditionText = (text) => toWords(text).join(' ');
+
+// Word order doesn't matter for exact matches, so "diabetes type II" finds "Type 2 Diabetes"
+const toLookupKey = (text) => toWords(text).sort().join(' ');
+
+/**
+ * Every name a condition is known by, in the order they should be tried
+ * @param {Object} condition - Catalog entry
+ * @returns {Array<string>} Localized names followed by synonyms
+ */
+const getConditionLabels = (condition) => [
+  ...new Set([...CONDITION_LANGUAGES.map(language => condition.names[language]).filter(Boolean), ...condition.synonyms]),
+];
+
+const CODES_BY_KEY = new Map();
+CONDITIONS.forEach(condition => {
+  [condition.code.replace(/_/g, ' '), ...getConditionLabels(condition)].forEach(label => {
+    const key = toLookupKey(label);
+    // Earlier, more specific entries win when two conditions share a synonym
+    if (key && !CODES_BY_KEY.has(key)) CODES_BY_KEY.set(key, condition.code);
+  });
+});
+
+/**
+ * Get a catalog entry by code
+ * @param {string} code - Condition code
+ * @returns {Object|null} Catalog entry
+ */
+export const getCondition = (code) => CONDITIONS_BY_CODE.get(code) || null;
+
+/**
+ * Check whether a value is a catalog code rather than free text
+ * @param {string} value - Stored condition value
+ * @returns {boolean} Whether the value is a code
+ */
+export const isConditionCode = (value) => CONDITIONS_BY_CODE.has(value);
+
+/**
+ * Map a code, name or synonym in any bundled language to a code
+ * @param {string} value - Code or free text
+ * @returns {string|null} Condition code, or null if nothing in the catalog matches
+ */
+export const toConditionCode = (value) => {
+  if (!value) return null;
+  if (isConditionCode(value)) return value;
+  
+  return CODES_BY_KEY.get(toLookupKey(value)) || null;
+};
+
+/**
+ * Check whether two stored condition values, codes or legacy free text, are the same condition
+ * @param {string} a - Condition code or free text
+ * @param {string} b - Condition code or free text
+ * @returns {boolean} Whether they match
+ */
+export const isSameCondition = (a, b) => {
+  if (!a || !b) return false;
+  
+  return (toConditionCode(a) || normalizeConditionText(a)) === (toConditionCode(b) || normalizeConditionText(b));
+};
+
+/**
+ * Map stored condition values to codes, keeping what can't be mapped
+ * @param {Array<string>} values - Codes or free text
+ * @returns {Object} { codes, unmapped } without duplicates
+ */
+export const toConditionCodes = (values = []) => {
+  const codes = [];
+  const unmapped = [];
+  
+  values.forEach(value => {
+    const code = toConditionCode(value);
+    
+    if (code) {
+      if (!codes.includes(code)) codes.push(code);
+    } else if (value && value.trim() && !unmapped.includes(value.trim())) {
+      unmapped.push(value.trim());
+    }
+  });
+  
+  return { codes, unmapped };
+};
+
+/**
+ * Display name for a condition in a language. Values that aren't codes are shown as stored.
+ * @param {string} value - Condition code or legacy free text
+ * @param {string} language - Language code, e.g. 'es'
+ * @returns {string} Display name
+ */
+export const getConditionName = (value, language = 'en') => {
+  const condition = getCondition(toConditionCode(value));
+  if (!condition) return value || '';
+  
+  const baseLanguage = (language || 'en').split('-')[0];
+  return condition.names[baseLanguage] || condition.names.en;
+};
+
+/**
+ * Display name for a condition category
+ * @param {string} code - Category code
+ * @param {string} language - Language code
+ * @returns {string} Display name
+ */
+export const getConditionCategoryName = (code, language = 'en') => {
+  const category = CONDITION_CATEGORIES.find(item => item.code === code);
+  if (!category) return code || '';
+  
+  const baseLanguage = (language || 'en').split('-')[0];
+  return category.names[baseLanguage] || category.names.en;
+};
+
+/**
+ * Check whether a condition matches search text, by any of its names or synonyms
+ * @param {string} value - Condition code or legacy free text
+ * @param {string} query - Search text
+ * @returns {boolean} Whether it matches
+ */
+export const conditionMatchesQuery = (value, query) => {
+  const normalizedQuery = normalizeConditionText(query);
+  if (!normalizedQuery) return false;
+  
+  const code = toConditionCode(value);
+  if (code && code === toConditionCode(query)) return true;
+  
+  const labels = code ? getConditionLabels(getCondition(code)) : [value];
+  return labels.some(label => normalizeConditionText(label).includes(normalizedQuery));
+};
+
+/**
+ * Search the catalog for a picker, best matches first
+ * @param {string} query - Search text; empty returns the whole catalog
+ * @param {string} language - Language used to name and sort results
+ * @returns {Array<Object>} Catalog entries
+ */
+export const searchConditions = (query, language = 'en') => {
+  const byName = (a, b) => getConditionName(a.code, language).localeCompare(getConditionName(b.code, language));
+  const normalizedQuery = normalizeConditionText(query);
+  
+  if (!normalizedQuery) {
+    return [...CONDITIONS].sort(byName);
+  }
+  
+  const exactCode = toConditionCode(query);
+  
+  return CONDITIONS
+    .map(condition => {
+      if (condition.code === exactCode) return { condition, score: 4 };
+      
+      const labels = [getConditionName(condition.code, language), ...getConditionLabels(condition)]
+        .map(normalizeConditionText);
+      const score = Math.max(...labels.map(label => {
+        if (label.startsWith(normalizedQuery)) return 3;
+        if (label.split(' ').some(word => word.startsWith(normalizedQuery))) return 2;
+        return label.includes(normalizedQuery) ? 1 : 0;
+      }));
+      
+      return { condition, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || byName(a.condition, b.condition))
+    .map(result => result.condition);
+};
+
+/**
+ * Values to query stored conditions with while older documents may still hold
+ * free text: the code followed by the names it used to be saved as
+ * @param {string} value - Condition code or free text
+ * @returns {Array<string>} At most 10 values for array-contains-any
+ */
+export const getConditionMatchValues = (value) => {
+  const condition = getCondition(toConditionCode(value));
+  if (!condition) return value ? [value] : [];
+  
+  return [condition.code, ...getConditionLabels(condition)].slice(0, MAX_MATCH_VALUES);
+};
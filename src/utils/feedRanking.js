@@ -0,0 +1,127 @@
+// src/utils/feedRanking.js
+// Deterministic scoring for the "For you" feed. Everything here is pure so it
+// can be tested with fixed inputs; the current time is always passed in.
+
+import { isSameCondition } from './conditions';
+
+// Defaults used for anything the `config/feedRanking` document doesn't set
+export const DEFAULT_RANKING_CONFIG = {
+  weights: {
+    recency: 1,
+    sharedConditions: 0.8,
+    engagement: 0.6,
+    affinity: 0.5,
+  },
+  // Hours for the recency signal to halve
+  recencyHalfLifeHours: 24,
+  // Engagement per hour at which the engagement signal reaches 0.5
+  engagementPivot: 2,
+  // Past interactions with an author at which the affinity signal reaches 0.5
+  affinityPivot: 5,
+  // Shared conditions needed for the full shared-conditions signal
+  maxSharedConditions: 2,
+  commentWeight: 2,
+  reshareWeight: 3,
+  // How many recent posts are fetched and ranked
+  candidatePoolSize: 50,
+};
+
+/**
+ * Merge a stored config over the defaults, ignoring values of the wrong type
+ * @param {Object} stored - Data from the config document
+ * @returns {Object} Complete ranking config
+ */
+export const mergeRankingConfig = (stored = {}) => {
+  const pickNumber = (value, fallback) => (
+    typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : fallback
+  );
+  
+  const weights = Object.keys(DEFAULT_RANKING_CONFIG.weights).reduce((merged, key) => ({
+    ...merged,
+    [key]: pickNumber(stored.weights?.[key], DEFAULT_RANKING_CONFIG.weights[key]),
+  }), {});
+  
+  return Object.keys(DEFAULT_RANKING_CONFIG).reduce((merged, key) => (
+    key === 'weights'
+      ? merged
+      : { ...merged, [key]: pickNumber(stored[key], DEFAULT_RANKING_CONFIG[key]) }
+  ), { weights });
+};
+
+const toMillis = (value) => (value instanceof Date ? value.getTime() : new Date(value).getTime());
+
+/**
+ * Compute each ranking signal for a post, each between 0 and 1
+ * @param {Object} post - Post with userId, timestamp and engagement counts
+ * @param {Object} context - Viewer context
+ * @param {Array<string>} context.viewerConditions - Viewer's medical conditions
+ * @param {Object} context.authorConditions - Medical conditions keyed by author ID
+ * @param {Object} context.interactionCounts - Viewer's past interactions keyed by author ID
+ * @param {Object} config - Ranking config from mergeRankingConfig
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Signals keyed like config.weights
+ */
+export const getPostSignals = (post, context, config, now) => {
+  const ageHours = Math.max(0, (now - toMillis(post.timestamp)) / (60 * 60 * 1000));
+  
+  const recency = config.recencyHalfLifeHours > 0
+    ? Math.pow(0.5, ageHours / config.recencyHalfLifeHours)
+    : 0;
+  
+  const viewerConditions = context.viewerConditions || [];
+  const authorConditions = context.authorConditions?.[post.userId] || [];
+  const sharesCondition = condition => viewerConditions.some(viewerCondition => isSameCondition(viewerCondition, condition));
+  const sharedCount = authorConditions.filter(sharesCondition).length;
+  // A post shared with one of the viewer's condition communities is as relevant as it gets
+  const sharedConditions = post.audienceCondition && sharesCondition(post.audienceCondition)
+    ? 1
+    : Math.min(1, sharedCount / Math.max(1, config.maxSharedConditions));
+  
+  const interactions = (post.likeCount || 0) +
+    (post.commentCount || 0) * config.commentWeight +
+    (post.reshareCount || 0) * config.reshareWeight;
+  // Per-hour rate, with the first hour counted as a full hour so brand-new posts don't spike
+  const velocity = interactions / Math.max(1, ageHours);
+  const engagement = velocity / (velocity + Math.max(config.engagementPivot, Number.EPSILON));
+  
+  const pastInteractions = context.interactionCounts?.[post.userId] || 0;
+  const affinity = pastInteractions / (pastInteractions + Math.max(config.affinityPivot, Number.EPSILON));
+  
+  return { recency, sharedConditions, engagement, affinity };
+};
+
+/**
+ * Score a post as the weighted sum of its signals
+ * @param {Object} post - Post to score
+ * @param {Object} context - Viewer context, see getPostSignals
+ * @param {Object} config - Ranking config from mergeRankingConfig
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Score
+ */
+export const scorePost = (post, context, config, now) => {
+  const signals = getPostSignals(post, context, config, now);
+  
+  return Object.keys(config.weights).reduce(
+    (score, key) => score + config.weights[key] * signals[key],
+    0
+  );
+};
+
+/**
+ * Order posts by score. Ties fall back to newest first, then post ID, so the
+ * same inputs always give the same order.
+ * @param {Array<Object>} posts - Candidate posts
+ * @param {Object} context - Viewer context, see getPostSignals
+ * @param {Object} config - Ranking config from mergeRankingConfig
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<Object>} Posts with a `rankingScore`, highest first
+ */
+export const rankPosts = (posts, context, config, now) => (
+  posts
+    .map(post => ({ ...post, rankingScore: scorePost(post, context, config, now) }))
+    .sort((a, b) => (
+      b.rankingScore - a.rankingScore ||
+      toMillis(b.timestamp) - toMillis(a.timestamp) ||
+      (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+    ))
+);
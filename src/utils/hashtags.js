@@ -0,0 +1,79 @@
+// src/utils/hashtags.js
+// Parsing and normalizing #hashtags in captions and comments
+
+// Posts and comments keep at most this many hashtags
+export const MAX_HASHTAGS = 10;
+export const MAX_HASHTAG_LENGTH = 50;
+
+// A hashtag starts after whitespace, punctuation or the start of the text, so
+// "#1" inside a URL fragment or "a#b" don't count. Tags must contain a letter.
+const HASHTAG_PATTERN = /(^|[^\w&/#])#([A-Za-z0-9_]*[A-Za-z][A-Za-z0-9_]*)/g;
+
+/**
+ * Normalize a hashtag for storage and lookup
+ * @param {string} tag - Tag with or without the leading #
+ * @returns {string} Lowercase tag without #, or '' if invalid
+ */
+export const normalizeHashtag = (tag) => {
+  const normalized = (tag || '').trim().replace(/^#+/, '').toLowerCase();
+  
+  if (!/^[a-z0-9_]*[a-z][a-z0-9_]*$/.test(normalized) || normalized.length > MAX_HASHTAG_LENGTH) {
+    return '';
+  }
+  
+  return normalized;
+};
+
+/**
+ * Extract the unique normalized hashtags from text, in order of appearance
+ * @param {string} text - Caption or comment text
+ * @returns {Array<string>} Hashtags without #
+ */
+export const extractHashtags = (text) => {
+  if (!text) return [];
+  
+  const tags = [];
+  
+  for (const match of text.matchAll(HASHTAG_PATTERN)) {
+    const tag = normalizeHashtag(match[2]);
+    
+    if (tag && !tags.includes(tag)) {
+      tags.push(tag);
+      if (tags.length === MAX_HASHTAGS) break;
+    }
+  }
+  
+  return tags;
+};
+
+/**
+ * Split text into plain and hashtag segments for rendering
+ * @param {string} text - Caption or comment text
+ * @returns {Array<Object>} Segments of { text, hashtag }, where hashtag is null for plain text
+ */
+export const splitHashtags = (text) => {
+  if (!text) return [];
+  
+  const segments = [];
+  let lastIndex = 0;
+  
+  for (const match of text.matchAll(HASHTAG_PATTERN)) {
+    const tagStart = match.index + match[1].length;
+    const hashtag = normalizeHashtag(match[2]);
+    
+    if (!hashtag) continue;
+    
+    if (tagStart > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, tagStart), hashtag: null });
+    }
+    
+    segments.push({ text: `#${match[2]}`, hashtag });
+    lastIndex = tagStart + match[2].length + 1;
+  }
+  
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), hashtag: null });
+  }
+  
+  return segments;
+};
@@ -0,0 +1,162 @@
+// src/utils/journal.js
+// Helpers for dating, validating and sharing health journal entries
+
+import {
+  format,
+  parse,
+  startOfMonth,
+  endOfMonth,
+  startOfWeek,
+  endOfWeek,
+  eachDayOfInterval,
+  isValid,
+} from 'date-fns';
+import {
+  JOURNAL_MOOD_VALUES,
+  MIN_SYMPTOM_SEVERITY,
+  MAX_SYMPTOM_SEVERITY,
+  MAX_SLEEP_HOURS,
+  MAX_JOURNAL_SYMPTOMS,
+  MAX_JOURNAL_MEDICATIONS,
+  MAX_JOURNAL_PHOTOS,
+  MAX_JOURNAL_NOTES_LENGTH,
+  MAX_JOURNAL_ITEM_NAME_LENGTH,
+} from '../constants/journal';
+
+const DATE_KEY_FORMAT = 'yyyy-MM-dd';
+
+// Matches the caption limit in the post composer
+const MAX_SHARED_CAPTION_LENGTH = 500;
+
+/**
+ * Get the calendar day an entry belongs to. Entries are keyed by local day
+ * rather than a timestamp so they stay on the same day after a time zone change.
+ * @param {Date} date - Date
+ * @returns {string} Day in yyyy-MM-dd form
+ */
+export const toDateKey = (date) => format(date, DATE_KEY_FORMAT);
+
+/**
+ * @param {string} dateKey - Day in yyyy-MM-dd form
+ * @returns {Date} Local midnight on that day
+ */
+export const fromDateKey = (dateKey) => parse(dateKey, DATE_KEY_FORMAT, new Date());
+
+/**
+ * Get the days to show in a month calendar, padded to whole weeks
+ * @param {Date} month - Any day in the month
+ * @returns {Array<Array<Date>>} Weeks, each a list of seven days starting on Sunday
+ */
+export const getMonthWeeks = (month) => {
+  const days = eachDayOfInterval({
+    start: startOfWeek(startOfMonth(month)),
+    end: endOfWeek(endOfMonth(month)),
+  });
+  
+  const weeks = [];
+  for (let i = 0; i < days.length; i += 7) {
+    weeks.push(days.slice(i, i + 7));
+  }
+  
+  return weeks;
+};
+
+/**
+ * Get the highest symptom severity in an entry
+ * @param {Object} entry - Journal entry
+ * @returns {number|null} Highest severity, or null if no symptoms were logged
+ */
+export const getPeakSeverity = (entry) => {
+  if (!entry?.symptoms?.length) return null;
+  return Math.max(...entry.symptoms.map(symptom => symptom.severity));
+};
+
+const cleanName = (name) => (typeof name === 'string' ? name.trim().slice(0, MAX_JOURNAL_ITEM_NAME_LENGTH) : '');
+
+/**
+ * Check an entry from the form and normalize its fields
+ * @param {Object} entry - Entry fields
+ * @returns {Object} Normalized fields
+ * @throws {Error} If a field is out of range
+ */
+export const normalizeJournalEntry = (entry) => {
+  const day = entry.date ? fromDateKey(entry.date) : null;
+  
+  if (!day || !isValid(day) || toDateKey(day) !== entry.date) {
+    throw new Error('Choose a date for this entry');
+  }
+  
+  const symptoms = (entry.symptoms || [])
+    .map(symptom => ({ name: cleanName(symptom.name), severity: symptom.severity }))
+    .filter(symptom => symptom.name);
+  
+  if (symptoms.length > MAX_JOURNAL_SYMPTOMS) {
+    throw new Error(`An entry can include at most ${MAX_JOURNAL_SYMPTOMS} symptoms`);
+  }
+  
+  const invalidSeverity = symptoms.some(({ severity }) => (
+    !Number.isInteger(severity) || severity < MIN_SYMPTOM_SEVERITY || severity > MAX_SYMPTOM_SEVERITY
+  ));
+  
+  if (invalidSeverity) {
+    throw new Error(`Symptom severity must be between ${MIN_SYMPTOM_SEVERITY} and ${MAX_SYMPTOM_SEVERITY}`);
+  }
+  
+  const medications = [...new Set((entry.medications || []).map(cleanName).filter(Boolean))];
+  
+  if (medications.length > MAX_JOURNAL_MEDICATIONS) {
+    throw new Error(`An entry can include at most ${MAX_JOURNAL_MEDICATIONS} medications`);
+  }
+  
+  const hasSleep = entry.sleepHours !== null && entry.sleepHours !== undefined && entry.sleepHours !== '';
+  const sleepHours = hasSleep ? Number(entry.sleepHours) : null;
+  
+  if (hasSleep && (Number.isNaN(sleepHours) || sleepHours < 0 || sleepHours > MAX_SLEEP_HOURS)) {
+    throw new Error(`Sleep must be between 0 and ${MAX_SLEEP_HOURS} hours`);
+  }
+  
+  if (entry.mood && !JOURNAL_MOOD_VALUES.includes(entry.mood)) {
+    throw new Error('Invalid mood');
+  }
+  
+  const notes = (entry.notes || '').trim();
+  
+  if (notes.length > MAX_JOURNAL_NOTES_LENGTH) {
+    throw new Error(`Notes can be at most ${MAX_JOURNAL_NOTES_LENGTH} characters`);
+  }
+  
+  if ((entry.photos || []).length > MAX_JOURNAL_PHOTOS) {
+    throw new Error(`An entry can include at most ${MAX_JOURNAL_PHOTOS} photos`);
+  }
+  
+  if (!symptoms.length && !medications.length && !notes && !entry.mood && !hasSleep && !entry.photos?.length) {
+    throw new Error('Add something to your entry before saving it');
+  }
+  
+  return {
+    date: entry.date,
+    symptoms,
+    medications,
+    sleepHours,
+    mood: entry.mood || null,
+    notes,
+    photos: entry.photos || [],
+  };
+};
+
+/**
+ * Get the parts of an entry that go on a post when the member shares it.
+ * Notes become the editable caption and photos are never included.
+ * @param {Object} entry - Journal entry
+ * @returns {Object} { journalEntry, caption } for a post draft
+ */
+export const toSharedJournalEntry = (entry) => ({
+  journalEntry: {
+    date: entry.date,
+    symptoms: entry.symptoms.map(({ name, severity }) => ({ name, severity })),
+    medications: [...entry.medications],
+    sleepHours: entry.sleepHours,
+    mood: entry.mood,
+  },
+  caption: entry.notes.slice(0, MAX_SHARED_CAPTION_LENGTH),
+});
@@ -0,0 +1,181 @@
+// src/utils/medications.js
+// Working out when medication doses are due and how well they were kept to
+
+import { addDays, startOfDay, set, format } from 'date-fns';
+import {
+  MEDICATION_SCHEDULE_TYPE_VALUES,
+  WEEKDAY_LABELS,
+  DOSE_INTERVAL_HOURS,
+  MAX_MEDICATION_NAME_LENGTH,
+  MAX_MEDICATION_DOSE_LENGTH,
+  MAX_DOSE_TIMES,
+} from '../constants/medications';
+
+const HOUR_MS = 60 * 60 * 1000;
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * @param {string} time - Time of day in HH:mm form
+ * @returns {Object} { hours, minutes }
+ */
+export const parseTimeOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return { hours, minutes };
+};
+
+/**
+ * @param {Date} date - Date
+ * @returns {string} Its time of day in HH:mm form
+ */
+export const toTimeOfDay = (date) => format(date, 'HH:mm');
+
+/**
+ * @param {string} time - Time of day in HH:mm form
+ * @returns {string} Time for display, e.g. "8:30 AM"
+ */
+export const formatTimeOfDay = (time) => format(
+  set(new Date(), { ...parseTimeOfDay(time), seconds: 0, milliseconds: 0 }),
+  'h:mm a'
+);
+
+export const getDoseId = (medicationId, scheduledAt) => `${medicationId}_${scheduledAt}`;
+
+/**
+ * Get a medication's doses due in a time range. Daily and weekday schedules follow
+ * the local clock, so an 8 AM dose stays at 8 AM after a time zone change, while
+ * interval schedules count elapsed hours from the first dose.
+ * @param {Object} medication - Medication with its schedule
+ * @param {number} from - Start of the range in milliseconds, inclusive
+ * @param {number} to - End of the range in milliseconds, exclusive
+ * @returns {Array<Object>} Doses as { doseId, medicationId, scheduledAt }, earliest first
+ */
+export const getScheduledDoses = (medication, from, to) => {
+  const { schedule } = medication;
+  // Nothing was due before the medication was added
+  const start = Math.max(from, medication.createdAt || 0);
+  const times = [];
+
+  if (schedule.type === 'interval') {
+    const step = schedule.intervalHours * HOUR_MS;
+    const first = schedule.startAt + Math.max(0, Math.ceil((start - schedule.startAt) / step)) * step;
+
+    for (let time = first; time < to; time += step) {
+      times.push(time);
+    }
+  } else {
+    for (let day = startOfDay(start); day.getTime() < to; day = addDays(day, 1)) {
+      if (schedule.type === 'weekdays' && !schedule.weekdays.includes(day.getDay())) continue;
+
+      schedule.times.forEach(time => {
+        const scheduledAt = set(day, { ...parseTimeOfDay(time), seconds: 0, milliseconds: 0 }).getTime();
+        if (scheduledAt >= start && scheduledAt < to) times.push(scheduledAt);
+      });
+    }
+  }
+
+  return times
+    .sort((a, b) => a - b)
+    .map(scheduledAt => ({ doseId: getDoseId(medication.id, scheduledAt), medicationId: medication.id, scheduledAt }));
+};
+
+/**
+ * Describe a schedule for display
+ * @param {Object} schedule - Medication schedule
+ * @returns {string} e.g. "Mon, Wed, Fri at 8:00 AM"
+ */
+export const describeSchedule = (schedule) => {
+  if (schedule.type === 'interval') {
+    return `Every ${schedule.intervalHours} hours from ${format(schedule.startAt, 'h:mm a')}`;
+  }
+
+  const times = [...schedule.times].sort().map(formatTimeOfDay).join(', ');
+  const days = schedule.type === 'weekdays'
+    ? [...schedule.weekdays].sort().map(day => WEEKDAY_LABELS[day]).join(', ')
+    : 'Every day';
+
+  return `${days} at ${times}`;
+};
+
+/**
+ * Check a medication from the form and normalize its fields
+ * @param {Object} medication - Medication fields
+ * @returns {Object} Normalized fields
+ * @throws {Error} If a field is missing or out of range
+ */
+export const normalizeMedication = (medication) => {
+  const name = (medication.name || '').trim();
+  const dose = (medication.dose || '').trim();
+  const { schedule = {} } = medication;
+
+  if (!name) {
+    throw new Error('Enter the medication\'s name');
+  }
+
+  if (name.length > MAX_MEDICATION_NAME_LENGTH || dose.length > MAX_MEDICATION_DOSE_LENGTH) {
+    throw new Error('The name or dose is too long');
+  }
+
+  if (!MEDICATION_SCHEDULE_TYPE_VALUES.includes(schedule.type)) {
+    throw new Error('Choose when you take this medication');
+  }
+
+  let normalizedSchedule;
+
+  if (schedule.type === 'interval') {
+    if (!DOSE_INTERVAL_HOURS.includes(schedule.intervalHours) || !Number.isFinite(schedule.startAt)) {
+      throw new Error('Choose how often you take this medication and when you take the first dose');
+    }
+
+    normalizedSchedule = { type: 'interval', intervalHours: schedule.intervalHours, startAt: schedule.startAt };
+  } else {
+    const times = [...new Set(schedule.times || [])].sort();
+
+    if (times.length === 0 || times.length > MAX_DOSE_TIMES || !times.every(time => TIME_OF_DAY_PATTERN.test(time))) {
+      throw new Error(`Add between 1 and ${MAX_DOSE_TIMES} times of day`);
+    }
+
+    normalizedSchedule = { type: schedule.type, times };
+
+    if (schedule.type === 'weekdays') {
+      const weekdays = [...new Set(schedule.weekdays || [])].filter(day => day >= 0 && day <= 6).sort();
+
+      if (weekdays.length === 0) {
+        throw new Error('Choose at least one day of the week');
+      }
+
+      normalizedSchedule.weekdays = weekdays;
+    }
+  }
+
+  return {
+    name,
+    dose,
+    schedule: normalizedSchedule,
+    remindersEnabled: medication.remindersEnabled !== false,
+  };
+};
+
+/**
+ * Summarize dose outcomes in a time range
+ * @param {Array<Object>} doses - Recorded doses with scheduledAt and status
+ * @param {number} from - Start of the range in milliseconds, inclusive
+ * @param {number} to - End of the range in milliseconds, exclusive
+ * @returns {Object} { taken, skipped, missed, total, percent }, percent is null with no doses
+ */
+export const getAdherence = (doses, from, to) => {
+  const counts = { taken: 0, skipped: 0, missed: 0 };
+
+  doses.forEach(dose => {
+    if (dose.scheduledAt >= from && dose.scheduledAt < to && counts[dose.status] !== undefined) {
+      counts[dose.status] += 1;
+    }
+  });
+
+  const total = counts.taken + counts.skipped + counts.missed;
+
+  return {
+    ...counts,
+    total,
+    percent: total > 0 ? Math.round((counts.taken / total) * 100) : null,
+  };
+};
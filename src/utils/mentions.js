@@ -0,0 +1,164 @@
+// src/utils/mentions.js
+// Finding, storing and rendering @mentions. A mention is stored as an entity
+// { userId, name, offset, length } pointing at the "@name" text it covers.
+
+// Posts, comments and messages keep at most this many mentions
+export const MAX_MENTIONS = 10;
+
+// The text typed after @ that counts as a query: a name has no spaces until a suggestion is picked
+const MENTION_QUERY_PATTERN = /(^|\s)@([^\s@]{0,30})$/;
+
+/**
+ * Get a user's display name for mentions
+ * @param {Object} user - User with firstName and lastName
+ * @returns {string} Full name
+ */
+export const getMentionName = (user) => (
+  `${user.firstName || ''} ${user.lastName || ''}`.trim() || 'Unknown'
+);
+
+/**
+ * Find the @query being typed at the cursor
+ * @param {string} text - Composer text
+ * @param {number} cursor - Cursor position
+ * @returns {Object|null} { query, start } where start is the index of the @, or null
+ */
+export const getMentionQuery = (text, cursor) => {
+  if (!text) return null;
+  
+  const match = text.slice(0, cursor).match(MENTION_QUERY_PATTERN);
+  if (!match) return null;
+  
+  return {
+    query: match[2],
+    start: match.index + match[1].length,
+  };
+};
+
+/**
+ * Replace the @query being typed with a completed mention
+ * @param {string} text - Composer text
+ * @param {number} start - Index of the @ from getMentionQuery
+ * @param {number} cursor - Cursor position
+ * @param {string} name - Name of the chosen user
+ * @returns {Object} { text, cursor } after insertion
+ */
+export const insertMention = (text, start, cursor, name) => {
+  const mention = `@${name} `;
+  
+  return {
+    text: text.slice(0, start) + mention + text.slice(cursor).replace(/^ /, ''),
+    cursor: start + mention.length,
+  };
+};
+
+/**
+ * Build mention entities for the mentions still present in the final text.
+ * Each picked user claims the next unclaimed "@name" in the text, so editing
+ * around a mention doesn't break it and deleting it drops it.
+ * @param {string} text - Final text
+ * @param {Array<Object>} mentionedUsers - Users picked from suggestions, as { userId, name }
+ * @returns {Array<Object>} Entities sorted by offset
+ */
+export const buildMentionEntities = (text, mentionedUsers = []) => {
+  if (!text) return [];
+  
+  const entities = [];
+  const isClaimed = (offset) => entities.some(entity => entity.offset === offset);
+  
+  mentionedUsers.forEach(({ userId, name }) => {
+    const token = `@${name}`;
+    let offset = text.indexOf(token);
+    
+    // Skip occurrences another mention already claimed, or that run into more name characters
+    while (offset !== -1 && (isClaimed(offset) || /\w/.test(text.charAt(offset + token.length)))) {
+      offset = text.indexOf(token, offset + 1);
+    }
+    
+    if (offset !== -1 && entities.length < MAX_MENTIONS) {
+      entities.push({ userId, name, offset, length: token.length });
+    }
+  });
+  
+  return entities.sort((a, b) => a.offset - b.offset);
+};
+
+/**
+ * Split text into plain and mention segments for rendering. Entities that no
+ * longer match the text are ignored.
+ * @param {string} text - Text to split
+ * @param {Array<Object>} mentions - Mention entities
+ * @returns {Array<Object>} Segments of { text, mention }, where mention is null for plain text
+ */
+export const splitMentions = (text, mentions = []) => {
+  if (!text) return [];
+  
+  const segments = [];
+  let lastIndex = 0;
+  
+  [...mentions]
+    .sort((a, b) => a.offset - b.offset)
+    .forEach(mention => {
+      const end = mention.offset + mention.length;
+      
+      if (mention.offset < lastIndex || text.slice(mention.offset, end) !== `@${mention.name}`) {
+        return;
+      }
+      
+      if (mention.offset > lastIndex) {
+        segments.push({ text: text.slice(lastIndex, mention.offset), mention: null });
+      }
+      
+      segments.push({ text: text.slice(mention.offset, end), mention });
+      lastIndex = end;
+    });
+  
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), mention: null });
+  }
+  
+  return segments;
+};
+
+/**
+ * Filter and order mention suggestions. People in the current thread come
+ * first, then people the user follows, then everyone else; within each group
+ * names starting with the query beat names that only contain it.
+ * @param {Array<Object>} users - Candidate users with id, firstName and lastName
+ * @param {string} query - Text typed after @
+ * @param {Object} context - Ranking context
+ * @param {Array<string>} context.threadUserIds - IDs of people in the thread
+ * @param {Array<string>} context.followingIds - IDs of people the user follows
+ * @param {Array<string>} context.excludedIds - IDs that must not be suggested
+ * @returns {Array<Object>} Matching users, best first
+ */
+export const rankMentionCandidates = (users, query, context = {}) => {
+  const { threadUserIds = [], followingIds = [], excludedIds = [] } = context;
+  const search = (query || '').toLowerCase();
+  
+  const scored = users
+    .filter(user => !excludedIds.includes(user.id))
+    .map(user => {
+      const name = getMentionName(user).toLowerCase();
+      const words = name.split(/\s+/);
+      const startsWith = name.startsWith(search) || words.some(word => word.startsWith(search));
+      
+      return {
+        user,
+        name,
+        matches: startsWith || name.includes(search),
+        score: (threadUserIds.includes(user.id) ? 4 : 0) +
+          (followingIds.includes(user.id) ? 2 : 0) +
+          (startsWith ? 1 : 0),
+      };
+    })
+    .filter(entry => entry.matches);
+  
+  // Dedupe by ID, keeping the first occurrence
+  const seen = new Set();
+  
+  return scored
+    .filter(entry => !seen.has(entry.user.id) && seen.add(entry.user.id))
+    .sort((a, b) => b.score - a.score || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+    .map(entry => entry.user);
+};
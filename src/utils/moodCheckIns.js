@@ -0,0 +1,214 @@
+// src/utils/moodCheckIns.js
+// Validating mood check-ins and summarizing them into trends and symptom comparisons
+
+import { addDays, format, startOfDay, subDays } from 'date-fns';
+import {
+  MIN_MOOD_SCORE,
+  MAX_MOOD_SCORE,
+  EMOTION_TAGS,
+  MAX_EMOTION_TAGS,
+  MAX_CHECK_IN_NOTE_LENGTH,
+  MIN_CORRELATION_DAYS,
+} from '../constants/moodCheckIns';
+import { toDateKey } from './journal';
+
+// Difference in average score, first half of a range against the second, that counts as a change
+const TREND_THRESHOLD = 0.5;
+
+const average = (values) => (
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+);
+
+const roundScore = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Pearson correlation between two equally long lists of numbers
+ * @returns {number|null} Coefficient from -1 to 1, or null if either list doesn't vary
+ */
+const getCorrelation = (xs, ys) => {
+  const meanX = average(xs);
+  const meanY = average(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  
+  xs.forEach((x, index) => {
+    covariance += (x - meanX) * (ys[index] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[index] - meanY) ** 2;
+  });
+  
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+/**
+ * Check a check-in from the form and normalize its fields
+ * @param {Object} checkIn - { score, emotions, note }
+ * @returns {Object} Normalized fields
+ * @throws {Error} If a field is missing or out of range
+ */
+export const normalizeCheckIn = (checkIn) => {
+  const { score } = checkIn;
+  const emotions = [...new Set(checkIn.emotions || [])];
+  const note = (checkIn.note || '').trim();
+  
+  if (!Number.isInteger(score) || score < MIN_MOOD_SCORE || score > MAX_MOOD_SCORE) {
+    throw new Error('Choose how you\'re feeling');
+  }
+  
+  if (emotions.length > MAX_EMOTION_TAGS || !emotions.every(emotion => EMOTION_TAGS.includes(emotion))) {
+    throw new Error(`Choose up to ${MAX_EMOTION_TAGS} emotions`);
+  }
+  
+  if (note.length > MAX_CHECK_IN_NOTE_LENGTH) {
+    throw new Error('The note is too long');
+  }
+  
+  return { score, emotions, note };
+};
+
+/**
+ * Average each day's check-ins
+ * @param {Array<Object>} checkIns - Check-ins with date and score
+ * @returns {Map<string, number>} Average score by yyyy-MM-dd day
+ */
+export const getDailyMoods = (checkIns) => {
+  const scoresByDate = new Map();
+  
+  checkIns.forEach(checkIn => {
+    scoresByDate.set(checkIn.date, [...(scoresByDate.get(checkIn.date) || []), checkIn.score]);
+  });
+  
+  return new Map([...scoresByDate].map(([date, scores]) => [date, average(scores)]));
+};
+
+/**
+ * Group check-ins into chart points for a range ending today
+ * @param {Array<Object>} checkIns - Check-ins with date and score
+ * @param {Object} range - { days, groupByWeek } from MOOD_TREND_RANGES
+ * @param {Date} today - Current day
+ * @returns {Array<Object>} Points as { start, label, description, average, count }, oldest first.
+ *   Average is rounded to one decimal place and null where there were no check-ins.
+ */
+export const getMoodTrend = (checkIns, range, today = new Date()) => {
+  const periodDays = range.groupByWeek ? 7 : 1;
+  const periods = Math.ceil(range.days / periodDays);
+  const lastDay = startOfDay(today);
+  
+  return Array.from({ length: periods }, (_, index) => {
+    const start = subDays(lastDay, (periods - index) * periodDays - 1);
+    const dateKeys = Array.from({ length: periodDays }, (__, offset) => toDateKey(addDays(start, offset)));
+    const scores = checkIns.filter(checkIn => dateKeys.includes(checkIn.date)).map(checkIn => checkIn.score);
+    const mean = average(scores);
+    
+    return {
+      start,
+      label: range.days <= 7 ? format(start, 'EEE') : format(start, 'd/M'),
+      description: range.groupByWeek ? `the week of ${format(start, 'MMMM d')}` : format(start, 'EEEE, MMMM d'),
+      average: mean === null ? null : roundScore(mean),
+      count: scores.length,
+    };
+  });
+};
+
+/**
+ * Describe a trend for screen readers, in place of the chart
+ * @param {Array<Object>} points - Points from getMoodTrend
+ * @param {string} rangeLabel - e.g. "30 days"
+ * @returns {string} Summary of the average, direction, and lowest and highest points
+ */
+export const describeMoodTrend = (points, rangeLabel) => {
+  const withData = points.filter(point => point.average !== null);
+  
+  if (withData.length === 0) {
+    return `No check-ins in the last ${rangeLabel}.`;
+  }
+  
+  const count = withData.reduce((sum, point) => sum + point.count, 0);
+  const overall = roundScore(withData.reduce((sum, point) => sum + point.average * point.count, 0) / count);
+  const parts = [
+    `Average mood ${overall} out of ${MAX_MOOD_SCORE} over the last ${rangeLabel}, from ${count} ${count === 1 ? 'check-in' : 'check-ins'}.`,
+  ];
+  
+  if (withData.length >= 2) {
+    const half = Math.floor(withData.length / 2);
+    const change = average(withData.slice(-half).map(point => point.average)) -
+      average(withData.slice(0, half).map(point => point.average));
+    
+    if (change >= TREND_THRESHOLD) parts.push('Your mood has been improving.');
+    else if (change <= -TREND_THRESHOLD) parts.push('Your mood has been declining.');
+    else parts.push('Your mood has been fairly steady.');
+    
+    const lowest = withData.reduce((low, point) => (point.average < low.average ? point : low));
+    const highest = withData.reduce((high, point) => (point.average > high.average ? point : high));
+    
+    if (lowest.average !== highest.average) {
+      parts.push(`Lowest was ${lowest.average} on ${lowest.description}, highest was ${highest.average} on ${highest.description}.`);
+    }
+  }
+  
+  return parts.join(' ');
+};
+
+/**
+ * Compare mood on days a symptom was logged in the journal with days it wasn't.
+ * Only days with both a check-in and a journal entry are compared.
+ * @param {Array<Object>} checkIns - Check-ins with date and score
+ * @param {Array<Object>} journalEntries - Journal entries with date and symptoms
+ * @returns {Array<Object>} Symptoms as { name, days, moodWith, moodWithout, difference, correlation },
+ *   largest difference first. Correlation is between severity and mood, from -1 to 1, or null.
+ */
+export const getSymptomCorrelations = (checkIns, journalEntries) => {
+  const dailyMoods = getDailyMoods(checkIns);
+  // Peak severity of each symptom on each day, keyed by lowercase name
+  const severitiesByDate = new Map();
+  const names = new Map();
+  
+  journalEntries.forEach(entry => {
+    if (!dailyMoods.has(entry.date)) return;
+    
+    const severities = severitiesByDate.get(entry.date) || new Map();
+    
+    (entry.symptoms || []).forEach(symptom => {
+      const key = symptom.name.toLowerCase();
+      if (!names.has(key)) names.set(key, symptom.name);
+      severities.set(key, Math.max(severities.get(key) ?? 0, symptom.severity));
+    });
+    
+    severitiesByDate.set(entry.date, severities);
+  });
+  
+  const dates = [...severitiesByDate.keys()];
+  const moods = dates.map(date => dailyMoods.get(date));
+  
+  return [...names]
+    .map(([key, name]) => {
+      const severities = dates.map(date => severitiesByDate.get(date).get(key) ?? null);
+      const moodWith = moods.filter((_, index) => severities[index] !== null);
+      const moodWithout = moods.filter((_, index) => severities[index] === null);
+      
+      if (moodWith.length < MIN_CORRELATION_DAYS || moodWithout.length === 0) return null;
+      
+      return {
+        name,
+        days: moodWith.length,
+        moodWith: roundScore(average(moodWith)),
+        moodWithout: roundScore(average(moodWithout)),
+        difference: roundScore(average(moodWith) - average(moodWithout)),
+        correlation: getCorrelation(severities.map(severity => severity ?? 0), moods),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+};
+
+/**
+ * Describe a symptom comparison in plain words
+ * @param {Object} correlation - Item from getSymptomCorrelations
+ * @returns {string} e.g. "On the 5 days you logged Headache, your mood averaged 2.4, compared with 3.6 on other days."
+ */
+export const describeSymptomCorrelation = (correlation) => (
+  `On the ${correlation.days} days you logged ${correlation.name}, your mood averaged ` +
+  `${correlation.moodWith}, compared with ${correlation.moodWithout} on other days.`
+);
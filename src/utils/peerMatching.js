@@ -0,0 +1,188 @@
+// src/utils/peerMatching.js
+// Deterministic scoring for peer suggestions in Explore. Everything here is pure so it
+// can be tested with fixed inputs.
+
+import { toConditionCode, normalizeConditionText } from './conditions';
+import { AGE_RANGE_TYPES, getDiagnosisStage, getRegion, getProfileLanguage } from '../constants/peerMatching';
+
+export const DEFAULT_MATCHING_CONFIG = {
+  weights: {
+    sharedConditions: 1,
+    diagnosisStage: 0.4,
+    ageRange: 0.3,
+    language: 0.4,
+    region: 0.3,
+    mutualFollows: 0.5,
+  },
+  // People the viewer follows who also follow a candidate at which the mutual-follows signal reaches 0.5
+  mutualFollowsPivot: 2,
+  // How much each "not interested" in a peer who matched on a factor turns that factor down
+  dismissalPenalty: 0.25,
+  // Languages shared by so many people that they aren't worth calling out
+  commonLanguages: ['en'],
+  // Most explanation parts shown for one suggestion
+  maxReasons: 3,
+};
+
+// Codes for catalog conditions, normalized text for anything older
+const toConditionKey = (value) => toConditionCode(value) || normalizeConditionText(value);
+
+/**
+ * Count how many candidates have each condition, so rarer shared conditions can count for more
+ * @param {Array<Object>} candidates - Candidate users
+ * @returns {Object} Counts keyed by condition code
+ */
+export const countConditions = (candidates) => candidates.reduce((counts, candidate) => {
+  new Set((candidate.medicalConditions || []).map(toConditionKey)).forEach(key => {
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+}, {});
+
+/**
+ * Compute each matching signal for a candidate, each between 0 and 1, and what the two have in common
+ * @param {Object} candidate - Candidate user with id and profile fields
+ * @param {Object} viewer - Viewer's profile fields
+ * @param {Object} context - Matching context
+ * @param {Object} context.conditionCounts - From countConditions over the candidate pool
+ * @param {Object} context.mutualFollowCounts - People the viewer follows who follow each candidate, keyed by ID
+ * @param {Object} config - Matching config, see DEFAULT_MATCHING_CONFIG
+ * @returns {Object} { signals, shared } with signals keyed like config.weights
+ */
+export const getPeerSignals = (candidate, viewer, context, config) => {
+  const rarity = key => 1 / Math.sqrt(Math.max(1, context.conditionCounts?.[key] || 1));
+  
+  const candidateConditions = candidate.medicalConditions || [];
+  const candidateKeys = new Set(candidateConditions.map(toConditionKey));
+  const viewerKeys = [...new Set((viewer.medicalConditions || []).map(toConditionKey))];
+  const sharedKeys = viewerKeys
+    .filter(key => candidateKeys.has(key))
+    .sort((a, b) => rarity(b) - rarity(a));
+  
+  // Shared rarity as a share of everything the viewer has, so one rare match beats one common one
+  const viewerRarity = viewerKeys.reduce((sum, key) => sum + rarity(key), 0);
+  const sharedConditions = viewerRarity > 0
+    ? sharedKeys.reduce((sum, key) => sum + rarity(key), 0) / viewerRarity
+    : 0;
+  
+  const diagnosisStage = viewer.diagnosisStage && viewer.diagnosisStage === candidate.diagnosisStage ? 1 : 0;
+  
+  const viewerAge = AGE_RANGE_TYPES.indexOf(viewer.ageRange);
+  const candidateAge = AGE_RANGE_TYPES.indexOf(candidate.ageRange);
+  const ageDistance = viewerAge >= 0 && candidateAge >= 0 ? Math.abs(viewerAge - candidateAge) : null;
+  const ageRange = ageDistance === 0 ? 1 : ageDistance === 1 ? 0.5 : 0;
+  
+  const sharedLanguages = (viewer.languages || []).filter(language => (candidate.languages || []).includes(language));
+  const notableLanguages = sharedLanguages.filter(language => !config.commonLanguages.includes(language));
+  const language = notableLanguages.length > 0 ? 1 : sharedLanguages.length > 0 ? 0.5 : 0;
+  
+  const region = viewer.region && viewer.region === candidate.region ? 1 : 0;
+  
+  const mutualCount = context.mutualFollowCounts?.[candidate.id] || 0;
+  const mutualFollows = mutualCount / (mutualCount + Math.max(config.mutualFollowsPivot, Number.EPSILON));
+  
+  return {
+    signals: { sharedConditions, diagnosisStage, ageRange, language, region, mutualFollows },
+    shared: {
+      // The candidate's own values, rarest first
+      conditions: sharedKeys.map(key => candidateConditions.find(value => toConditionKey(value) === key)),
+      diagnosisStage: diagnosisStage ? candidate.diagnosisStage : null,
+      ageRange: ageRange === 1,
+      languages: notableLanguages,
+      region: region ? candidate.region : null,
+      mutualFollows: mutualCount,
+    },
+  };
+};
+
+/**
+ * The factors a candidate matched on, recorded with a "not interested" so they count for less next time
+ * @param {Object} signals - From getPeerSignals
+ * @returns {Array<string>} Signal keys above zero
+ */
+export const getMatchedFactors = (signals) => Object.keys(signals).filter(key => signals[key] > 0);
+
+/**
+ * Score a candidate as the weighted sum of their signals, with factors the viewer
+ * has dismissed peers for turned down
+ * @param {Object} candidate - Candidate user
+ * @param {Object} viewer - Viewer's profile fields
+ * @param {Object} context - Matching context, see getPeerSignals
+ * @param {Object} context.dismissedFactors - How often each factor matched a dismissed peer
+ * @param {Object} config - Matching config
+ * @returns {Object} { score, signals, shared }
+ */
+export const scorePeer = (candidate, viewer, context, config) => {
+  const { signals, shared } = getPeerSignals(candidate, viewer, context, config);
+  
+  const score = Object.keys(config.weights).reduce((total, key) => {
+    const dismissals = context.dismissedFactors?.[key] || 0;
+    const weight = config.weights[key] / (1 + config.dismissalPenalty * dismissals);
+    return total + weight * signals[key];
+  }, 0);
+  
+  return { score, signals, shared };
+};
+
+/**
+ * Order candidates by score, leaving out anyone dismissed or sharing no condition.
+ * Ties fall back to user ID so the same inputs always give the same order.
+ * @param {Array<Object>} candidates - Candidate users
+ * @param {Object} viewer - Viewer's profile fields
+ * @param {Object} context - Matching context, see scorePeer
+ * @param {Array<string>} context.dismissedIds - Users the viewer marked "not interested"
+ * @param {Object} config - Matching config
+ * @returns {Array<Object>} Candidates with `matchScore`, `matchSignals` and `matchShared`, best first
+ */
+export const rankPeers = (candidates, viewer, context, config = DEFAULT_MATCHING_CONFIG) => {
+  const dismissedIds = new Set(context.dismissedIds || []);
+  
+  return candidates
+    .filter(candidate => !dismissedIds.has(candidate.id))
+    .map(candidate => {
+      const { score, signals, shared } = scorePeer(candidate, viewer, context, config);
+      return { ...candidate, matchScore: score, matchSignals: signals, matchShared: shared };
+    })
+    .filter(candidate => candidate.matchSignals.sharedConditions > 0)
+    .sort((a, b) => (
+      b.matchScore - a.matchScore ||
+      (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+    ));
+};
+
+/**
+ * Explain a suggestion in a short sentence, e.g. "Also managing Lupus, speaks Spanish"
+ * @param {Object} shared - `matchShared` from rankPeers
+ * @param {Function} conditionName - Names a condition in the viewer's language
+ * @param {Object} config - Matching config
+ * @returns {string} Explanation, or an empty string if there's nothing to say
+ */
+export const describePeerMatch = (shared, conditionName, config = DEFAULT_MATCHING_CONFIG) => {
+  if (!shared) return '';
+  
+  const reasons = [];
+  
+  if (shared.conditions.length > 0) {
+    const names = shared.conditions.slice(0, 2).map(conditionName);
+    const more = shared.conditions.length - names.length;
+    reasons.push(`also managing ${names.join(' and ')}${more > 0 ? ` and ${more} more` : ''}`);
+  }
+  if (shared.diagnosisStage) {
+    reasons.push(getDiagnosisStage(shared.diagnosisStage)?.phrase);
+  }
+  if (shared.languages.length > 0) {
+    reasons.push(`speaks ${shared.languages.map(type => getProfileLanguage(type)?.name || type).join(' and ')}`);
+  }
+  if (shared.mutualFollows > 0) {
+    reasons.push(`followed by ${shared.mutualFollows} ${shared.mutualFollows === 1 ? 'person' : 'people'} you follow`);
+  }
+  if (shared.region) {
+    reasons.push(`also in ${getRegion(shared.region)?.label}`);
+  }
+  if (shared.ageRange) {
+    reasons.push('similar age');
+  }
+  
+  const text = reasons.filter(Boolean).slice(0, config.maxReasons).join(', ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
@@ -0,0 +1,47 @@
+// src/utils/postVisibility.js
+// Decide whether a viewer may see a post given its audience
+
+import { DEFAULT_AUDIENCE } from '../constants/audiences';
+import { isSameCondition } from './conditions';
+
+/**
+ * Check whether a viewer may see a post. Authors always see their own posts.
+ *
+ * @param {Object} post - Post with userId, audience, audienceCondition and community fields
+ * @param {Object} viewer - Viewer details
+ * @param {string} viewer.id - Viewer's user ID
+ * @param {Array<string>} viewer.followingIds - IDs of users the viewer follows
+ * @param {Array<string>} viewer.medicalConditions - Viewer's conditions
+ * @param {Array<string>} viewer.communityIds - Communities the viewer belongs to
+ * @returns {boolean} Whether the post is visible
+ */
+export const canViewPost = (post, viewer) => {
+  if (!post || post.deleted || post.removedFromCommunity) return false;
+  if (viewer?.id && post.userId === viewer.id) return true;
+  
+  // Communities that approve their members keep posts among those members
+  if (post.communityId && post.communityMembersOnly && !viewer?.communityIds?.includes(post.communityId)) {
+    return false;
+  }
+  
+  switch (post.audience || DEFAULT_AUDIENCE) {
+    case 'public':
+      return true;
+    case 'followers':
+      return !!viewer?.followingIds?.includes(post.userId);
+    case 'community':
+      return !!viewer?.medicalConditions?.some(condition => isSameCondition(condition, post.audienceCondition));
+    default:
+      // 'private' and anything unknown stay hidden
+      return false;
+  }
+};
+
+/**
+ * Keep only the posts a viewer may see
+ *
+ * @param {Array<Object>} posts - Posts to filter
+ * @param {Object} viewer - Viewer details, see canViewPost
+ * @returns {Array<Object>} Visible posts
+ */
+export const filterVisiblePosts = (posts, viewer) => posts.filter(post => canViewPost(post, viewer));
@@ -0,0 +1,71 @@
+// src/utils/textDiff.js
+// Word-level diff between two versions of a caption or comment
+
+// Above this many token pairs the texts are shown as a whole replacement
+// instead of diffed, to keep the table small on long posts
+const MAX_DIFF_CELLS = 250000;
+
+// Words and the whitespace between them, so joining tokens gives back the text
+const tokenize = (text) => (text ? text.split(/(\s+)/).filter(Boolean) : []);
+
+// Join neighbouring tokens of the same kind into one segment
+const pushSegment = (segments, type, text) => {
+  const last = segments[segments.length - 1];
+  
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    segments.push({ type, text });
+  }
+};
+
+/**
+ * Diff two texts word by word
+ * @param {string} before - Earlier version
+ * @param {string} after - Later version
+ * @returns {Array<Object>} Segments of { type: 'equal' | 'removed' | 'added', text }
+ */
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const segments = [];
+  
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    if (before) segments.push({ type: 'removed', text: before });
+    if (after) segments.push({ type: 'added', text: after });
+    return segments;
+  }
+  
+  // lengths[i][j] is the longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  
+  let i = 0;
+  let j = 0;
+  
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushSegment(segments, 'equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushSegment(segments, 'removed', a[i]);
+      i++;
+    } else {
+      pushSegment(segments, 'added', b[j]);
+      j++;
+    }
+  }
+  
+  while (i < a.length) pushSegment(segments, 'removed', a[i++]);
+  while (j < b.length) pushSegment(segments, 'added', b[j++]);
+  
+  return segments;
+};
@@ -0,0 +1,41 @@
+// src/utils/verification.js
+// Whether a professional verification is still in effect
+
+import { getProfession } from '../constants/professions';
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  return new Date(value);
+};
+
+/**
+ * Get the fields copied onto a user's posts and comments so they show a badge
+ * @param {Object} userData - User document data
+ * @param {Date} now - Current time
+ * @returns {Object|null} { profession, expiresAt }, or null if the user isn't verified
+ */
+export const getActiveVerification = (userData, now = new Date()) => {
+  const verification = userData?.verified ? userData.verification : null;
+  const expiresAt = toDate(verification?.expiresAt);
+  
+  if (!verification || !getProfession(verification.profession) || !expiresAt || expiresAt <= now) {
+    return null;
+  }
+  
+  return { profession: verification.profession, expiresAt };
+};
+
+/**
+ * Get the profession to show a badge for
+ * @param {Object} verification - `authorVerification` on a post or comment, or `verification` on a user
+ * @param {Date} now - Current time
+ * @returns {Object|null} Entry from PROFESSIONS, or null if there's no badge to show
+ */
+export const getVerifiedProfession = (verification, now = new Date()) => {
+  const expiresAt = toDate(verification?.expiresAt);
+  if (!expiresAt || expiresAt <= now) return null;
+  
+  return getProfession(verification.profession);
+};